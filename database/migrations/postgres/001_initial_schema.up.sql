@@ -0,0 +1,142 @@
+-- Schema inicial (antes criado por NeonDatabase.initializeTables)
+-- Idempotente: pode ser aplicada sobre bancos criados pelas versões anteriores
+
+-- Usuários e autenticação
+CREATE TABLE IF NOT EXISTS users (
+  id VARCHAR(255) PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  username VARCHAR(255) UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bancos antigos não tinham a coluna username
+ALTER TABLE users ADD COLUMN IF NOT EXISTS username VARCHAR(255) UNIQUE;
+
+CREATE TABLE IF NOT EXISTS user_auth (
+  user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categorias
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense')),
+  icon VARCHAR(10),
+  color VARCHAR(20),
+  is_default BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ajustes em tabelas de categorias criadas por versões anteriores
+DO $$
+BEGIN
+  -- Adicionar parent_id se não existir
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'categories' AND column_name = 'parent_id'
+  ) THEN
+    ALTER TABLE categories ADD COLUMN parent_id INTEGER REFERENCES categories(id) ON DELETE CASCADE;
+  END IF;
+
+  -- Adicionar is_default se não existir
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'categories' AND column_name = 'is_default'
+  ) THEN
+    ALTER TABLE categories ADD COLUMN is_default BOOLEAN DEFAULT FALSE;
+  END IF;
+
+  -- Remover constraint antiga e adicionar nova
+  IF EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE constraint_name = 'categories_user_id_name_type_key'
+    AND table_name = 'categories'
+  ) THEN
+    ALTER TABLE categories DROP CONSTRAINT categories_user_id_name_type_key;
+  END IF;
+
+  -- Adicionar nova constraint se não existir
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE constraint_name = 'unique_user_category'
+    AND table_name = 'categories'
+  ) THEN
+    ALTER TABLE categories ADD CONSTRAINT unique_user_category
+      UNIQUE NULLS NOT DISTINCT (user_id, name, type, parent_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_categories_user_id ON categories(user_id);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_categories_type ON categories(type);
+CREATE INDEX IF NOT EXISTS idx_categories_is_default ON categories(is_default);
+
+-- Transações
+CREATE TABLE IF NOT EXISTS transactions (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense')),
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  description TEXT,
+  date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Orçamentos
+CREATE TABLE IF NOT EXISTS budgets (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  period VARCHAR(20) NOT NULL CHECK (period IN ('monthly', 'annual', 'custom')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  rollover BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, category_id, start_date, end_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_user_id ON budgets(user_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_category_id ON budgets(category_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_dates ON budgets(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_budgets_user_dates ON budgets(user_id, start_date, end_date);
+
+-- Metas financeiras
+CREATE TABLE IF NOT EXISTS goals (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(200) NOT NULL,
+  target_amount DECIMAL(15, 2) NOT NULL CHECK (target_amount > 0),
+  current_amount DECIMAL(15, 2) DEFAULT 0 CHECK (current_amount >= 0),
+  monthly_contribution DECIMAL(15, 2),
+  deadline DATE,
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS goal_contributions (
+  id SERIAL PRIMARY KEY,
+  goal_id INTEGER REFERENCES goals(id) ON DELETE CASCADE,
+  amount DECIMAL(15, 2) NOT NULL,
+  description TEXT,
+  contribution_date DATE DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_goals_user_id ON goals(user_id);
+CREATE INDEX IF NOT EXISTS idx_goals_status ON goals(status);
+CREATE INDEX IF NOT EXISTS idx_goals_user_status ON goals(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_goal_id ON goal_contributions(goal_id);
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_date ON goal_contributions(contribution_date);
@@ -0,0 +1,7 @@
+-- Remove os índices da tabela transactions
+DROP INDEX IF EXISTS idx_transactions_user_date;
+DROP INDEX IF EXISTS idx_transactions_category;
+DROP INDEX IF EXISTS idx_transactions_type;
+DROP INDEX IF EXISTS idx_transactions_user_type;
+DROP INDEX IF EXISTS idx_transactions_description_gin;
+DROP INDEX IF EXISTS idx_transactions_user_id;
@@ -0,0 +1,35 @@
+-- Contas/carteiras (conta corrente, poupança, dinheiro, vale-refeição...)
+-- Toda transação passa a pertencer a uma conta
+
+CREATE TABLE IF NOT EXISTS accounts (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('checking', 'savings', 'cash', 'meal_voucher', 'investment', 'other')),
+  initial_balance DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  icon VARCHAR(10),
+  color VARCHAR(20),
+  is_archived BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account
+ON transactions(account_id);
+
+-- Usuários existentes ganham uma conta principal com as transações já lançadas
+INSERT INTO accounts (user_id, name, type, icon)
+SELECT u.id, 'Conta principal', 'checking', '🏦'
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM accounts a WHERE a.user_id = u.id);
+
+UPDATE transactions
+SET account_id = (
+  SELECT MIN(a.id) FROM accounts a WHERE a.user_id = transactions.user_id
+)
+WHERE account_id IS NULL;
@@ -0,0 +1,24 @@
+-- Transferências entre contas
+-- Cada transferência gera um par de movimentações ligadas pelo transfer_id:
+-- uma saída (expense) na conta de origem e uma entrada (income) na de destino.
+-- As movimentações não têm categoria e ficam fora dos totais de receitas/despesas.
+
+CREATE TABLE IF NOT EXISTS transfers (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  to_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  description TEXT,
+  date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (from_account_id <> to_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfers_user_id ON transfers(user_id);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transfer_id INTEGER REFERENCES transfers(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer
+ON transactions(transfer_id);
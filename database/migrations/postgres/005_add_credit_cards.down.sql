@@ -0,0 +1,12 @@
+-- Cartões de crédito voltam a ser contas do tipo "other" (o histórico é mantido)
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_credit_card_check;
+
+UPDATE accounts SET type = 'other' WHERE type = 'credit_card';
+
+ALTER TABLE accounts DROP COLUMN IF EXISTS due_day;
+ALTER TABLE accounts DROP COLUMN IF EXISTS closing_day;
+ALTER TABLE accounts DROP COLUMN IF EXISTS credit_limit;
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_type_check;
+ALTER TABLE accounts ADD CONSTRAINT accounts_type_check
+CHECK (type IN ('checking', 'savings', 'cash', 'meal_voucher', 'investment', 'other'));
@@ -0,0 +1,13 @@
+-- Cartões de crédito: conta do tipo credit_card com limite, dia de fechamento
+-- e dia de vencimento da fatura
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_type_check;
+ALTER TABLE accounts ADD CONSTRAINT accounts_type_check
+CHECK (type IN ('checking', 'savings', 'cash', 'meal_voucher', 'investment', 'credit_card', 'other'));
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS credit_limit DECIMAL(15, 2) CHECK (credit_limit >= 0);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS closing_day INTEGER CHECK (closing_day BETWEEN 1 AND 31);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS due_day INTEGER CHECK (due_day BETWEEN 1 AND 31);
+
+ALTER TABLE accounts ADD CONSTRAINT accounts_credit_card_check
+CHECK (type <> 'credit_card' OR (credit_limit IS NOT NULL AND closing_day IS NOT NULL AND due_day IS NOT NULL));
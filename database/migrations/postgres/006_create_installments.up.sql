@@ -0,0 +1,26 @@
+-- Compras parceladas
+-- Cada parcelamento gera uma despesa por parcela, uma por mês a partir da
+-- data da compra, ligadas pelo installment_plan_id e numeradas (1..N).
+-- As parcelas futuras já ficam gravadas com a data em que vão cair.
+
+CREATE TABLE IF NOT EXISTS installment_plans (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category_id INTEGER NOT NULL REFERENCES categories(id),
+  account_id INTEGER NOT NULL REFERENCES accounts(id),
+  description TEXT,
+  total_amount DECIMAL(15, 2) NOT NULL CHECK (total_amount > 0),
+  installment_count INTEGER NOT NULL CHECK (installment_count BETWEEN 2 AND 72),
+  date DATE NOT NULL,
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_installment_plans_user_id ON installment_plans(user_id);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_plan_id INTEGER REFERENCES installment_plans(id) ON DELETE CASCADE;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_number INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_installment_plan
+ON transactions(installment_plan_id, installment_number);
@@ -0,0 +1,5 @@
+-- Remove as regras de recorrência (as transações já lançadas são mantidas)
+DROP INDEX IF EXISTS idx_transactions_recurring_rule;
+ALTER TABLE transactions DROP COLUMN IF EXISTS recurring_rule_id;
+DROP TABLE IF EXISTS recurring_rule_exceptions;
+DROP TABLE IF EXISTS recurring_rules;
@@ -0,0 +1,43 @@
+-- Transações recorrentes
+-- Cada regra descreve uma receita ou despesa que se repete (diária, semanal,
+-- mensal ou anual). As ocorrências são numeradas a partir da data de início
+-- (1..N) e viram transações quando vencem; generated_count guarda quantas já
+-- foram processadas. Ocorrências futuras podem ser puladas ou alteradas uma
+-- a uma em recurring_rule_exceptions.
+
+CREATE TABLE IF NOT EXISTS recurring_rules (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('income', 'expense')),
+  category_id INTEGER NOT NULL REFERENCES categories(id),
+  account_id INTEGER NOT NULL REFERENCES accounts(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  description TEXT,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+  day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  max_occurrences INTEGER CHECK (max_occurrences > 0),
+  generated_count INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_rules_user_id ON recurring_rules(user_id);
+
+CREATE TABLE IF NOT EXISTS recurring_rule_exceptions (
+  id SERIAL PRIMARY KEY,
+  rule_id INTEGER NOT NULL REFERENCES recurring_rules(id) ON DELETE CASCADE,
+  occurrence_number INTEGER NOT NULL CHECK (occurrence_number > 0),
+  is_skipped BOOLEAN DEFAULT FALSE,
+  amount DECIMAL(15, 2) CHECK (amount > 0),
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (rule_id, occurrence_number)
+);
+
+-- As transações já lançadas continuam existindo se a regra for removida
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recurring_rule_id INTEGER REFERENCES recurring_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_recurring_rule ON transactions(recurring_rule_id);
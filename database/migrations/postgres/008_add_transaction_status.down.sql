@@ -0,0 +1,4 @@
+-- Remove a situação das transações (as previstas deixam de existir)
+DELETE FROM transactions WHERE status = 'planned';
+DROP INDEX IF EXISTS idx_transactions_user_status;
+ALTER TABLE transactions DROP COLUMN IF EXISTS status;
@@ -0,0 +1,11 @@
+-- Situação das transações
+-- planned = prevista (conta já conhecida, pode ter data futura; não entra no
+--           saldo nem nos totais realizados até ser confirmada)
+-- pending = pendente (já aconteceu, mas ainda não compensou no banco)
+-- cleared = compensada (padrão; todas as transações existentes)
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'cleared'
+  CHECK (status IN ('planned', 'pending', 'cleared'));
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_status
+ON transactions(user_id, status);
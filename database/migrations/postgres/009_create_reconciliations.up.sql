@@ -0,0 +1,20 @@
+-- Conciliação das contas com o extrato do banco
+-- Cada conciliação registra a data e o saldo final do extrato de uma conta.
+-- As transações conferidas ficam ligadas a ela (reconciliation_id) e passam a
+-- ser travadas contra edição e exclusão até serem desbloqueadas.
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  statement_date DATE NOT NULL,
+  statement_balance DECIMAL(15, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliations_account ON reconciliations(account_id, statement_date);
+
+-- Desbloquear uma transação (ou remover a conciliação) apenas desfaz o vínculo
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reconciliation_id INTEGER REFERENCES reconciliations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reconciliation ON transactions(reconciliation_id);
@@ -0,0 +1,31 @@
+-- Divisão de uma transação entre várias categorias
+-- Um cupom de supermercado pode ter mercado, limpeza e farmácia: as linhas da
+-- divisão somam o valor da transação, e transactions.category_id guarda a
+-- categoria principal (a primeira linha). Transações sem divisão não têm linhas.
+
+CREATE TABLE IF NOT EXISTS transaction_splits (
+  id SERIAL PRIMARY KEY,
+  transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction ON transaction_splits(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_category ON transaction_splits(category_id);
+
+-- Valores das transações por categoria: uma linha por linha da divisão ou a
+-- própria transação quando ela não é dividida. Os totais por categoria
+-- (relatórios, orçamentos, dashboard) somam esta view em vez de transactions.
+CREATE OR REPLACE VIEW transaction_category_lines AS
+SELECT
+  t.id,
+  t.user_id,
+  t.type,
+  t.account_id,
+  t.transfer_id,
+  t.status,
+  t.date,
+  CASE WHEN s.id IS NULL THEN t.category_id ELSE s.category_id END AS category_id,
+  CASE WHEN s.id IS NULL THEN t.amount ELSE s.amount END AS amount
+FROM transactions t
+LEFT JOIN transaction_splits s ON s.transaction_id = t.id;
@@ -0,0 +1,3 @@
+-- Remove os anexos das transações (os arquivos ficam no diretório de anexos)
+DROP INDEX IF EXISTS idx_attachments_hash;
+DROP TABLE IF EXISTS attachments;
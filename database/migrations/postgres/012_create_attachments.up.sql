@@ -0,0 +1,18 @@
+-- Anexos das transações (fotos de recibos, notas fiscais em PDF)
+-- O arquivo fica no diretório de anexos, com o hash SHA-256 do conteúdo como
+-- nome: o mesmo arquivo anexado a várias transações é gravado uma única vez.
+-- Aqui ficam o nome original e o dono de cada anexo.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  content_hash CHAR(64) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (transaction_id, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_hash ON attachments(content_hash);
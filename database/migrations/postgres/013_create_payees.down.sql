@@ -0,0 +1,5 @@
+-- Remove os favorecidos (as transações mantêm a descrição)
+DROP INDEX IF EXISTS idx_transactions_payee;
+ALTER TABLE transactions DROP COLUMN IF EXISTS payee_id;
+DROP TABLE IF EXISTS payee_aliases;
+DROP TABLE IF EXISTS payees;
@@ -0,0 +1,24 @@
+-- Favorecidos (lojas, empresas e pessoas com quem o usuário transaciona)
+-- A descrição das transações é texto livre ("iFood", "IFOOD *REST", "ifood");
+-- o favorecido reúne essas variações pelos apelidos, guarda a categoria
+-- padrão das compras nele e permite somar o histórico por estabelecimento.
+
+CREATE TABLE IF NOT EXISTS payees (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(60) NOT NULL,
+  default_category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS payee_aliases (
+  id SERIAL PRIMARY KEY,
+  payee_id INTEGER NOT NULL REFERENCES payees(id) ON DELETE CASCADE,
+  alias VARCHAR(60) NOT NULL,
+  UNIQUE (payee_id, alias)
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payee_id INTEGER REFERENCES payees(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_payee ON transactions(payee_id);
@@ -0,0 +1,23 @@
+-- Regras de categorização automática
+-- Cada regra combina condições (texto na descrição, faixa de valor, dias da
+-- semana: weekdays guarda os índices de Date.getDay() separados por vírgula)
+-- com ações (categoria e/ou tags, separadas por vírgula). As regras são
+-- avaliadas em ordem de prioridade (1 primeiro) ao criar e ao importar
+-- transações, e podem ser reaplicadas ao histórico.
+
+CREATE TABLE IF NOT EXISTS category_rules (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  priority INTEGER NOT NULL CHECK (priority > 0),
+  is_active BOOLEAN DEFAULT TRUE,
+  description_contains VARCHAR(100),
+  min_amount DECIMAL(15, 2) CHECK (min_amount >= 0),
+  max_amount DECIMAL(15, 2) CHECK (max_amount >= 0),
+  weekdays VARCHAR(20),
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  tags TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user_priority ON category_rules(user_id, priority);
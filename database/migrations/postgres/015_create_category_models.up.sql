@@ -0,0 +1,11 @@
+-- Modelos de sugestão de categoria (um por usuário)
+-- O modelo é um classificador treinado com o histórico do próprio usuário,
+-- gravado como JSON: contagem das características (palavras da descrição,
+-- faixa de valor e dia da semana) por categoria e o ID da última transação
+-- aprendida, para continuar o treino de onde parou.
+
+CREATE TABLE IF NOT EXISTS category_models (
+  user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  model TEXT NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,15 @@
+-- Perfis de importação de CSV
+-- Cada perfil guarda como ler o arquivo de um banco ou planilha, gravado
+-- como JSON: separador, codificação, cabeçalho, formatos de data e de valor
+-- e a coluna de cada campo da transação (data, valor, descrição, tipo e
+-- categoria), para importar o próximo arquivo sem refazer o mapeamento.
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  settings TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
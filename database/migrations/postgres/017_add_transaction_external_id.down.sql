@@ -0,0 +1,3 @@
+-- Remove o identificador do extrato (as transações importadas são mantidas)
+DROP INDEX IF EXISTS idx_transactions_account_external;
+ALTER TABLE transactions DROP COLUMN IF EXISTS external_id;
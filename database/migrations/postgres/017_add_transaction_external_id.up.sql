@@ -0,0 +1,9 @@
+-- Identificador da transação no extrato importado (FITID do OFX)
+-- O banco repete o mesmo FITID quando o extrato é exportado de novo; com ele
+-- gravado, reimportar um período já importado não duplica as transações.
+-- O FITID só é único dentro da conta do banco, daí o índice por conta.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_account_external
+ON transactions(account_id, external_id);
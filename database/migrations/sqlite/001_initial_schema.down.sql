@@ -0,0 +1,8 @@
+-- Remove todo o schema inicial (APAGA TODOS OS DADOS)
+DROP TABLE IF EXISTS goal_contributions;
+DROP TABLE IF EXISTS goals;
+DROP TABLE IF EXISTS budgets;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS user_auth;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,174 @@
+-- Schema inicial (SQLite)
+-- Equivalente a postgres/001_initial_schema.up.sql
+
+-- Usuários e autenticação
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  username TEXT UNIQUE,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE TABLE IF NOT EXISTS user_auth (
+  user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+-- Categorias
+CREATE TABLE IF NOT EXISTS categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+  icon TEXT,
+  color TEXT,
+  is_default INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+-- Equivalente a UNIQUE NULLS NOT DISTINCT (user_id, name, type, parent_id)
+CREATE UNIQUE INDEX IF NOT EXISTS unique_user_category
+  ON categories(COALESCE(user_id, ''), name, type, COALESCE(parent_id, 0));
+CREATE INDEX IF NOT EXISTS idx_categories_user_id ON categories(user_id);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_categories_type ON categories(type);
+CREATE INDEX IF NOT EXISTS idx_categories_is_default ON categories(is_default);
+
+-- Transações
+CREATE TABLE IF NOT EXISTS transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  amount REAL NOT NULL,
+  description TEXT,
+  date TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+-- Orçamentos
+CREATE TABLE IF NOT EXISTS budgets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  amount REAL NOT NULL CHECK (amount > 0),
+  period TEXT NOT NULL CHECK (period IN ('monthly', 'annual', 'custom')),
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  rollover INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE(user_id, category_id, start_date, end_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_user_id ON budgets(user_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_category_id ON budgets(category_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_dates ON budgets(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_budgets_user_dates ON budgets(user_id, start_date, end_date);
+
+-- Metas financeiras
+CREATE TABLE IF NOT EXISTS goals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  target_amount REAL NOT NULL CHECK (target_amount > 0),
+  current_amount REAL DEFAULT 0 CHECK (current_amount >= 0),
+  monthly_contribution REAL,
+  deadline TEXT,
+  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  completed_at TEXT,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE TABLE IF NOT EXISTS goal_contributions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  goal_id INTEGER REFERENCES goals(id) ON DELETE CASCADE,
+  amount REAL NOT NULL,
+  description TEXT,
+  contribution_date TEXT DEFAULT (date('now', 'localtime')),
+  created_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_goals_user_id ON goals(user_id);
+CREATE INDEX IF NOT EXISTS idx_goals_status ON goals(status);
+CREATE INDEX IF NOT EXISTS idx_goals_user_status ON goals(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_goal_id ON goal_contributions(goal_id);
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_date ON goal_contributions(contribution_date);
+
+-- Colunas DATE guardam apenas 'YYYY-MM-DD', como no PostgreSQL
+CREATE TRIGGER IF NOT EXISTS trg_transactions_date_insert
+AFTER INSERT ON transactions
+WHEN length(NEW.date) > 10
+BEGIN
+  UPDATE transactions SET date = substr(NEW.date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_transactions_date_update
+AFTER UPDATE ON transactions
+WHEN length(NEW.date) > 10
+BEGIN
+  UPDATE transactions SET date = substr(NEW.date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_budgets_start_date_insert
+AFTER INSERT ON budgets
+WHEN length(NEW.start_date) > 10
+BEGIN
+  UPDATE budgets SET start_date = substr(NEW.start_date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_budgets_start_date_update
+AFTER UPDATE ON budgets
+WHEN length(NEW.start_date) > 10
+BEGIN
+  UPDATE budgets SET start_date = substr(NEW.start_date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_budgets_end_date_insert
+AFTER INSERT ON budgets
+WHEN length(NEW.end_date) > 10
+BEGIN
+  UPDATE budgets SET end_date = substr(NEW.end_date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_budgets_end_date_update
+AFTER UPDATE ON budgets
+WHEN length(NEW.end_date) > 10
+BEGIN
+  UPDATE budgets SET end_date = substr(NEW.end_date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_goals_deadline_insert
+AFTER INSERT ON goals
+WHEN length(NEW.deadline) > 10
+BEGIN
+  UPDATE goals SET deadline = substr(NEW.deadline, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_goals_deadline_update
+AFTER UPDATE ON goals
+WHEN length(NEW.deadline) > 10
+BEGIN
+  UPDATE goals SET deadline = substr(NEW.deadline, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_goal_contributions_contribution_date_insert
+AFTER INSERT ON goal_contributions
+WHEN length(NEW.contribution_date) > 10
+BEGIN
+  UPDATE goal_contributions SET contribution_date = substr(NEW.contribution_date, 1, 10) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_goal_contributions_contribution_date_update
+AFTER UPDATE ON goal_contributions
+WHEN length(NEW.contribution_date) > 10
+BEGIN
+  UPDATE goal_contributions SET contribution_date = substr(NEW.contribution_date, 1, 10) WHERE id = NEW.id;
+END;
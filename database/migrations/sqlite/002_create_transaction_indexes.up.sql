@@ -0,0 +1,18 @@
+-- Índices otimizados para a tabela transactions (SQLite)
+-- Equivalente a postgres/002_create_transaction_indexes.up.sql, sem o índice
+-- de busca textual (GIN/to_tsvector não existem no SQLite)
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_date
+ON transactions(user_id, date DESC, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_category
+ON transactions(category_id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_type
+ON transactions(type);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_type
+ON transactions(user_id, type);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_id
+ON transactions(user_id, id);
@@ -0,0 +1,4 @@
+-- Remove as contas (as transações continuam existindo, sem conta)
+DROP INDEX IF EXISTS idx_transactions_account;
+ALTER TABLE transactions DROP COLUMN account_id;
+DROP TABLE IF EXISTS accounts;
@@ -0,0 +1,34 @@
+-- Contas/carteiras (SQLite)
+-- Equivalente a postgres/003_create_accounts.up.sql
+
+CREATE TABLE IF NOT EXISTS accounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('checking', 'savings', 'cash', 'meal_voucher', 'investment', 'other')),
+  initial_balance REAL NOT NULL DEFAULT 0,
+  icon TEXT,
+  color TEXT,
+  is_archived INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE(user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
+
+ALTER TABLE transactions ADD COLUMN account_id INTEGER REFERENCES accounts(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account
+ON transactions(account_id);
+
+INSERT INTO accounts (user_id, name, type, icon)
+SELECT u.id, 'Conta principal', 'checking', '🏦'
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM accounts a WHERE a.user_id = u.id);
+
+UPDATE transactions
+SET account_id = (
+  SELECT MIN(a.id) FROM accounts a WHERE a.user_id = transactions.user_id
+)
+WHERE account_id IS NULL;
@@ -0,0 +1,5 @@
+-- Remove as transferências junto com as movimentações geradas por elas
+DELETE FROM transactions WHERE transfer_id IS NOT NULL;
+DROP INDEX IF EXISTS idx_transactions_transfer;
+ALTER TABLE transactions DROP COLUMN transfer_id;
+DROP TABLE IF EXISTS transfers;
@@ -0,0 +1,22 @@
+-- Transferências entre contas (SQLite)
+-- Equivalente a postgres/004_create_transfers.up.sql
+
+CREATE TABLE IF NOT EXISTS transfers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  to_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  amount REAL NOT NULL CHECK (amount > 0),
+  description TEXT,
+  date TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+  CHECK (from_account_id <> to_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfers_user_id ON transfers(user_id);
+
+ALTER TABLE transactions ADD COLUMN transfer_id INTEGER REFERENCES transfers(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer
+ON transactions(transfer_id);
@@ -0,0 +1,29 @@
+-- Cartões de crédito voltam a ser contas do tipo "other" (o histórico é mantido)
+
+CREATE TABLE accounts_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('checking', 'savings', 'cash', 'meal_voucher', 'investment', 'other')),
+  initial_balance REAL NOT NULL DEFAULT 0,
+  icon TEXT,
+  color TEXT,
+  is_archived INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE(user_id, name)
+);
+
+INSERT INTO accounts_old (
+  id, user_id, name, type, initial_balance, icon, color, is_archived, created_at, updated_at
+)
+SELECT
+  id, user_id, name,
+  CASE WHEN type = 'credit_card' THEN 'other' ELSE type END,
+  initial_balance, icon, color, is_archived, created_at, updated_at
+FROM accounts;
+
+DROP TABLE accounts;
+ALTER TABLE accounts_old RENAME TO accounts;
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
@@ -0,0 +1,33 @@
+-- Cartões de crédito (SQLite)
+-- Equivalente a postgres/005_add_credit_cards.up.sql
+-- O SQLite não altera CHECK constraints: a tabela accounts é reconstruída
+-- (o MigrationRunner roda as migrações sem foreign keys)
+
+CREATE TABLE accounts_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('checking', 'savings', 'cash', 'meal_voucher', 'investment', 'credit_card', 'other')),
+  initial_balance REAL NOT NULL DEFAULT 0,
+  icon TEXT,
+  color TEXT,
+  is_archived INTEGER DEFAULT 0,
+  credit_limit REAL CHECK (credit_limit >= 0),
+  closing_day INTEGER CHECK (closing_day BETWEEN 1 AND 31),
+  due_day INTEGER CHECK (due_day BETWEEN 1 AND 31),
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE(user_id, name),
+  CHECK (type <> 'credit_card' OR (credit_limit IS NOT NULL AND closing_day IS NOT NULL AND due_day IS NOT NULL))
+);
+
+INSERT INTO accounts_new (
+  id, user_id, name, type, initial_balance, icon, color, is_archived, created_at, updated_at
+)
+SELECT id, user_id, name, type, initial_balance, icon, color, is_archived, created_at, updated_at
+FROM accounts;
+
+DROP TABLE accounts;
+ALTER TABLE accounts_new RENAME TO accounts;
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
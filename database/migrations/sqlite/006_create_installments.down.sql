@@ -0,0 +1,6 @@
+-- Remove os parcelamentos junto com as parcelas geradas por eles
+DELETE FROM transactions WHERE installment_plan_id IS NOT NULL;
+DROP INDEX IF EXISTS idx_transactions_installment_plan;
+ALTER TABLE transactions DROP COLUMN installment_number;
+ALTER TABLE transactions DROP COLUMN installment_plan_id;
+DROP TABLE IF EXISTS installment_plans;
@@ -0,0 +1,24 @@
+-- Compras parceladas (SQLite)
+-- Equivalente a postgres/006_create_installments.up.sql
+
+CREATE TABLE IF NOT EXISTS installment_plans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category_id INTEGER NOT NULL REFERENCES categories(id),
+  account_id INTEGER NOT NULL REFERENCES accounts(id),
+  description TEXT,
+  total_amount REAL NOT NULL CHECK (total_amount > 0),
+  installment_count INTEGER NOT NULL CHECK (installment_count BETWEEN 2 AND 72),
+  date TEXT NOT NULL,
+  cancelled_at TEXT,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_installment_plans_user_id ON installment_plans(user_id);
+
+ALTER TABLE transactions ADD COLUMN installment_plan_id INTEGER REFERENCES installment_plans(id) ON DELETE CASCADE;
+ALTER TABLE transactions ADD COLUMN installment_number INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_installment_plan
+ON transactions(installment_plan_id, installment_number);
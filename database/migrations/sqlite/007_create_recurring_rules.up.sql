@@ -0,0 +1,38 @@
+-- Transações recorrentes (SQLite)
+-- Equivalente a postgres/007_create_recurring_rules.up.sql
+
+CREATE TABLE IF NOT EXISTS recurring_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+  category_id INTEGER NOT NULL REFERENCES categories(id),
+  account_id INTEGER NOT NULL REFERENCES accounts(id),
+  amount REAL NOT NULL CHECK (amount > 0),
+  description TEXT,
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+  day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+  start_date TEXT NOT NULL,
+  end_date TEXT,
+  max_occurrences INTEGER CHECK (max_occurrences > 0),
+  generated_count INTEGER NOT NULL DEFAULT 0,
+  is_active INTEGER DEFAULT 1,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_rules_user_id ON recurring_rules(user_id);
+
+CREATE TABLE IF NOT EXISTS recurring_rule_exceptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL REFERENCES recurring_rules(id) ON DELETE CASCADE,
+  occurrence_number INTEGER NOT NULL CHECK (occurrence_number > 0),
+  is_skipped INTEGER DEFAULT 0,
+  amount REAL CHECK (amount > 0),
+  description TEXT,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE (rule_id, occurrence_number)
+);
+
+ALTER TABLE transactions ADD COLUMN recurring_rule_id INTEGER REFERENCES recurring_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_recurring_rule ON transactions(recurring_rule_id);
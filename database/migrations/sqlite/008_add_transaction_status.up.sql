@@ -0,0 +1,8 @@
+-- Situação das transações (SQLite)
+-- Equivalente a postgres/008_add_transaction_status.up.sql
+
+ALTER TABLE transactions ADD COLUMN status TEXT NOT NULL DEFAULT 'cleared'
+  CHECK (status IN ('planned', 'pending', 'cleared'));
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_status
+ON transactions(user_id, status);
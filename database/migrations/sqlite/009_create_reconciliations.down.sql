@@ -0,0 +1,4 @@
+-- Remove as conciliações (as transações voltam a ficar destravadas)
+DROP INDEX IF EXISTS idx_transactions_reconciliation;
+ALTER TABLE transactions DROP COLUMN reconciliation_id;
+DROP TABLE IF EXISTS reconciliations;
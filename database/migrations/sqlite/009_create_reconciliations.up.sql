@@ -0,0 +1,17 @@
+-- Conciliação das contas com o extrato do banco (SQLite)
+-- Equivalente a postgres/009_create_reconciliations.up.sql
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  statement_date TEXT NOT NULL,
+  statement_balance REAL NOT NULL,
+  created_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliations_account ON reconciliations(account_id, statement_date);
+
+ALTER TABLE transactions ADD COLUMN reconciliation_id INTEGER REFERENCES reconciliations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reconciliation ON transactions(reconciliation_id);
@@ -0,0 +1,4 @@
+-- Remove as tags das transações
+DROP INDEX IF EXISTS idx_transaction_tags_tag;
+DROP TABLE IF EXISTS transaction_tags;
+DROP TABLE IF EXISTS tags;
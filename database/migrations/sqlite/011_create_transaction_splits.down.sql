@@ -0,0 +1,5 @@
+-- Remove a divisão das transações entre categorias
+DROP VIEW IF EXISTS transaction_category_lines;
+DROP INDEX IF EXISTS idx_transaction_splits_category;
+DROP INDEX IF EXISTS idx_transaction_splits_transaction;
+DROP TABLE IF EXISTS transaction_splits;
@@ -0,0 +1,26 @@
+-- Divisão de uma transação entre várias categorias (SQLite)
+-- Equivalente a postgres/011_create_transaction_splits.up.sql
+
+CREATE TABLE IF NOT EXISTS transaction_splits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  amount REAL NOT NULL CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction ON transaction_splits(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_category ON transaction_splits(category_id);
+
+CREATE VIEW IF NOT EXISTS transaction_category_lines AS
+SELECT
+  t.id,
+  t.user_id,
+  t.type,
+  t.account_id,
+  t.transfer_id,
+  t.status,
+  t.date,
+  CASE WHEN s.id IS NULL THEN t.category_id ELSE s.category_id END AS category_id,
+  CASE WHEN s.id IS NULL THEN t.amount ELSE s.amount END AS amount
+FROM transactions t
+LEFT JOIN transaction_splits s ON s.transaction_id = t.id;
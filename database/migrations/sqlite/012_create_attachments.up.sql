@@ -0,0 +1,16 @@
+-- Anexos das transações (SQLite)
+-- Equivalente a postgres/012_create_attachments.up.sql
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  file_name TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE (transaction_id, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_hash ON attachments(content_hash);
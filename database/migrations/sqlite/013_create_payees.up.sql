@@ -0,0 +1,22 @@
+-- Favorecidos (SQLite)
+-- Equivalente a postgres/013_create_payees.up.sql
+
+CREATE TABLE IF NOT EXISTS payees (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  default_category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS payee_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  payee_id INTEGER NOT NULL REFERENCES payees(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL,
+  UNIQUE (payee_id, alias)
+);
+
+ALTER TABLE transactions ADD COLUMN payee_id INTEGER REFERENCES payees(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_payee ON transactions(payee_id);
@@ -0,0 +1,3 @@
+-- Remove as regras de categorização (as transações mantêm a categoria e as tags)
+DROP INDEX IF EXISTS idx_category_rules_user_priority;
+DROP TABLE IF EXISTS category_rules;
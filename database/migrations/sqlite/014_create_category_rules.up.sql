@@ -0,0 +1,19 @@
+-- Regras de categorização automática (SQLite)
+-- Equivalente a postgres/014_create_category_rules.up.sql
+
+CREATE TABLE IF NOT EXISTS category_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  priority INTEGER NOT NULL CHECK (priority > 0),
+  is_active INTEGER DEFAULT 1,
+  description_contains TEXT,
+  min_amount REAL CHECK (min_amount >= 0),
+  max_amount REAL CHECK (max_amount >= 0),
+  weekdays TEXT,
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  tags TEXT,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user_priority ON category_rules(user_id, priority);
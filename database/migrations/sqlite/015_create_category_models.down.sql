@@ -0,0 +1,2 @@
+-- Remove os modelos de sugestão de categoria (são refeitos a partir do histórico)
+DROP TABLE IF EXISTS category_models;
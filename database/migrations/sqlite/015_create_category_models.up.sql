@@ -0,0 +1,8 @@
+-- Modelos de sugestão de categoria (SQLite)
+-- Equivalente a postgres/015_create_category_models.up.sql
+
+CREATE TABLE IF NOT EXISTS category_models (
+  user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  model TEXT NOT NULL,
+  updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+);
@@ -0,0 +1,2 @@
+-- Remove os perfis de importação (as transações importadas são mantidas)
+DROP TABLE IF EXISTS import_profiles;
@@ -0,0 +1,12 @@
+-- Perfis de importação de CSV (SQLite)
+-- Equivalente a postgres/016_create_import_profiles.up.sql
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  settings TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now', 'localtime')),
+  updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+  UNIQUE (user_id, name)
+);
@@ -0,0 +1,7 @@
+-- Identificador da transação no extrato importado (SQLite)
+-- Equivalente a postgres/017_add_transaction_external_id.up.sql
+
+ALTER TABLE transactions ADD COLUMN external_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_account_external
+ON transactions(account_id, external_id);
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { UserRepository } from '../src/infrastructure/database/UserRepository.js';
+import { BackupRepository } from '../src/infrastructure/database/BackupRepository.js';
+import { AttachmentStorageService } from '../src/infrastructure/services/AttachmentStorageService.js';
+import { BackupFileService } from '../src/infrastructure/services/BackupFileService.js';
+import { BACKUP_SECTIONS } from '../src/domain/entities/Backup.js';
+import { CreateBackupUseCase } from '../src/application/use-cases/backup/CreateBackupUseCase.js';
+import { parseArgs } from './lib/cli.js';
+
+/**
+ * Exibe as instruções de uso
+ */
+function printUsage() {
+  console.log(`
+Uso: npm run backup -- --email <email> [opções]
+
+Opções:
+  --dir <pasta>    Pasta do arquivo de backup (padrão: BACKUPS_PATH ou ./backups)
+`);
+}
+
+/**
+ * Script que grava o backup de tudo o que pertence a um usuário
+ */
+async function createBackup() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.email || options.dir === true) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const user = await new UserRepository(database).findByEmail(options.email);
+
+    if (!user) {
+      throw new Error(`Usuário não encontrado: ${options.email}`);
+    }
+
+    const useCase = new CreateBackupUseCase(
+      new BackupRepository(database),
+      new AttachmentStorageService(),
+      new BackupFileService({ backupsDir: options.dir || null })
+    );
+
+    const result = await useCase.execute(user.id);
+
+    if (!result.success) {
+      throw new Error(result.errors.join('\n   '));
+    }
+
+    printCounts(result.counts);
+
+    for (const fileName of result.missingFiles) {
+      console.log(`⚠️  Anexo sem o arquivo no disco (só o registro entrou no backup): ${fileName}`);
+    }
+
+    console.log(`\n✅ Backup gravado em ${result.filepath} (${formatSize(result.size)})`);
+    console.log('🔒 O arquivo tem a senha criptografada e os anexos: guarde-o em local seguro\n');
+  } catch (error) {
+    console.error('\n❌ Erro ao criar o backup:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+/**
+ * Quantidade de registros de cada seção
+ */
+function printCounts(counts) {
+  console.log('');
+
+  for (const [section, label] of Object.entries(BACKUP_SECTIONS)) {
+    console.log(`   ${label}: ${counts[section]}`);
+  }
+
+  console.log(`   Contribuições de metas: ${counts.goalContributions}`);
+  console.log(`   Modelo de sugestão de categoria: ${counts.categoryModel ? 'sim' : 'não'}`);
+}
+
+/**
+ * Tamanho do arquivo em KB ou MB
+ */
+function formatSize(size) {
+  return size >= 1024 * 1024
+    ? `${(size / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(size / 1024))} KB`;
+}
+
+// Criar backup
+createBackup();
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { UserRepository } from '../src/infrastructure/database/UserRepository.js';
+import { TransactionRepository } from '../src/infrastructure/database/TransactionRepository.js';
+import { CategoryRepository } from '../src/infrastructure/database/CategoryRepository.js';
+import { AccountRepository } from '../src/infrastructure/database/AccountRepository.js';
+import { PayeeRepository } from '../src/infrastructure/database/PayeeRepository.js';
+import { CategoryRuleRepository } from '../src/infrastructure/database/CategoryRuleRepository.js';
+import { ImportProfileRepository } from '../src/infrastructure/database/ImportProfileRepository.js';
+import { ImportFileService } from '../src/infrastructure/services/ImportFileService.js';
+import { IMPORT_FIELDS } from '../src/domain/entities/ImportProfile.js';
+import { CreateTransactionUseCase } from '../src/application/use-cases/CreateTransactionUseCase.js';
+import { PreviewCsvFileUseCase } from '../src/application/use-cases/imports/PreviewCsvFileUseCase.js';
+import { ImportCsvTransactionsUseCase } from '../src/application/use-cases/imports/ImportCsvTransactionsUseCase.js';
+import { ListImportProfilesUseCase } from '../src/application/use-cases/imports/ListImportProfilesUseCase.js';
+import { parseArgs } from './lib/cli.js';
+import { resolveCategory, resolveAccount, describeErrors, printCategoryHint } from './lib/importCli.js';
+
+/**
+ * Exibe as instruções de uso
+ */
+function printUsage() {
+  console.log(`
+Uso: npm run import:csv -- --email <email> --file <arquivo.csv> [opções]
+
+Opções:
+  --profile <nome>           Perfil de importação salvo (sem ele, as colunas são detectadas)
+  --account <nome>           Conta das transações (padrão: a conta principal)
+  --income-category <nome>   Categoria das receitas sem categoria no arquivo
+  --expense-category <nome>  Categoria das despesas sem categoria no arquivo
+  --allow-duplicates         Importa também as possíveis duplicadas
+  --dry-run                  Só confere as linhas, sem gravar
+`);
+}
+
+/**
+ * Script que importa transações de um arquivo CSV para um usuário
+ */
+async function importCsv() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.email || !options.file) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const user = await new UserRepository(database).findByEmail(options.email);
+
+    if (!user) {
+      throw new Error(`Usuário não encontrado: ${options.email}`);
+    }
+
+    const categoryRepository = new CategoryRepository(database);
+    const accountRepository = new AccountRepository(database);
+    const importFileService = new ImportFileService();
+
+    const profile = await resolveProfile(user.id, options, importFileService);
+    const categories = await categoryRepository.findByUserId(user.id);
+    const fallbackCategoryIds = {
+      income: resolveCategory(categories, options['income-category'], 'income'),
+      expense: resolveCategory(categories, options['expense-category'], 'expense')
+    };
+    const accountId = await resolveAccount(accountRepository, user.id, options.account);
+
+    const useCase = new ImportCsvTransactionsUseCase(
+      importFileService,
+      new CreateTransactionUseCase(
+        new TransactionRepository(database),
+        categoryRepository,
+        accountRepository,
+        new PayeeRepository(database),
+        new CategoryRuleRepository(database)
+      ),
+      categoryRepository
+    );
+
+    const result = await useCase.execute(user.id, options.file, profile, {
+      accountId,
+      fallbackCategoryIds,
+      allowDuplicates: Boolean(options['allow-duplicates']),
+      dryRun: Boolean(options['dry-run'])
+    });
+
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+
+    printReport(result, Boolean(options['dry-run']));
+
+    if (result.results.some(row => row.status === 'error')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Erro ao importar o arquivo:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+/**
+ * Perfil salvo pelo nome ou o detectado pelo arquivo
+ */
+async function resolveProfile(userId, options, importFileService) {
+  if (options.profile) {
+    const result = await new ListImportProfilesUseCase(new ImportProfileRepository(database)).execute(userId);
+
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+
+    const profile = result.profiles.find(other => other.name.toLowerCase() === String(options.profile).toLowerCase());
+
+    if (!profile) {
+      throw new Error(`Perfil de importação não encontrado: ${options.profile}`);
+    }
+
+    console.log(`\n${profile.getSummary()}`);
+    return profile;
+  }
+
+  const preview = await new PreviewCsvFileUseCase(importFileService).execute(userId, options.file);
+
+  if (!preview.success) {
+    throw new Error(preview.errors.join(', '));
+  }
+
+  const profile = preview.suggestedProfile;
+  const header = profile.hasHeader ? preview.rows[0].cells : [];
+
+  console.log(`\n🧭 Colunas detectadas (${preview.encoding}, separador ${preview.delimiter === '\t' ? 'tab' : preview.delimiter}):`);
+  Object.entries(IMPORT_FIELDS).forEach(([field, label]) => {
+    const index = profile.columns[field];
+    console.log(`   ${label}: ${index === null ? '-' : `${index + 1}${header[index] ? ` (${header[index]})` : ''}`}`);
+  });
+
+  return profile;
+}
+
+/**
+ * Relatório por linha do arquivo
+ */
+function printReport(result, dryRun) {
+  console.log('');
+
+  for (const row of result.results) {
+    const messages = [...describeErrors(row.errors, row.transaction && row.transaction.type), ...(row.warnings || [])];
+
+    if (messages.length > 0) {
+      const icon = row.status === 'error' ? '❌' : row.status === 'duplicate' ? '🧬' : '⚠️ ';
+      console.log(`${icon} Linha ${row.line}: ${messages.join('; ')}`);
+    }
+  }
+
+  const count = status => result.results.filter(row => row.status === status).length;
+
+  if (dryRun) {
+    printCategoryHint(result.results, 'linha(s) sem categoria na coluna');
+    console.log(`\n✓ ${count('valid')} linha(s) pronta(s), ${count('error')} com erro (nada foi gravado)\n`);
+    return;
+  }
+
+  console.log(`\n✅ ${result.importedCount} transação(ões) importada(s) de ${result.fileName}`);
+
+  if (count('duplicate') > 0) {
+    console.log(`🧬 ${count('duplicate')} possível(is) duplicada(s) ignorada(s) (use --allow-duplicates para importar)`);
+  }
+
+  if (count('error') > 0) {
+    console.log(`❌ ${count('error')} linha(s) com erro`);
+  }
+
+  console.log('');
+}
+
+// Importar arquivo
+importCsv();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { UserRepository } from '../src/infrastructure/database/UserRepository.js';
+import { TransactionRepository } from '../src/infrastructure/database/TransactionRepository.js';
+import { CategoryRepository } from '../src/infrastructure/database/CategoryRepository.js';
+import { AccountRepository } from '../src/infrastructure/database/AccountRepository.js';
+import { PayeeRepository } from '../src/infrastructure/database/PayeeRepository.js';
+import { CategoryRuleRepository } from '../src/infrastructure/database/CategoryRuleRepository.js';
+import { ImportFileService } from '../src/infrastructure/services/ImportFileService.js';
+import { CreateTransactionUseCase } from '../src/application/use-cases/CreateTransactionUseCase.js';
+import { ImportOfxStatementUseCase } from '../src/application/use-cases/imports/ImportOfxStatementUseCase.js';
+import { parseArgs } from './lib/cli.js';
+import { resolveCategory, resolveAccount, describeErrors, printCategoryHint } from './lib/importCli.js';
+
+/**
+ * Exibe as instruções de uso
+ */
+function printUsage() {
+  console.log(`
+Uso: npm run import:ofx -- --email <email> --file <extrato.ofx> [opções]
+
+Opções:
+  --account <nome>           Conta do extrato (padrão: a conta principal)
+  --income-category <nome>   Categoria das receitas que nenhuma regra categoriza
+  --expense-category <nome>  Categoria das despesas que nenhuma regra categoriza
+  --accept-conflicts         Importa também os lançamentos parecidos com transações já registradas
+  --dry-run                  Só mostra o resumo, sem gravar
+`);
+}
+
+/**
+ * Script que importa um extrato OFX para um usuário
+ */
+async function importOfx() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.email || !options.file) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const user = await new UserRepository(database).findByEmail(options.email);
+
+    if (!user) {
+      throw new Error(`Usuário não encontrado: ${options.email}`);
+    }
+
+    const transactionRepository = new TransactionRepository(database);
+    const categoryRepository = new CategoryRepository(database);
+    const accountRepository = new AccountRepository(database);
+
+    const categories = await categoryRepository.findByUserId(user.id);
+    const fallbackCategoryIds = {
+      income: resolveCategory(categories, options['income-category'], 'income'),
+      expense: resolveCategory(categories, options['expense-category'], 'expense')
+    };
+    const accountId = await resolveAccount(accountRepository, user.id, options.account);
+
+    const useCase = new ImportOfxStatementUseCase(
+      new ImportFileService(),
+      new CreateTransactionUseCase(
+        transactionRepository,
+        categoryRepository,
+        accountRepository,
+        new PayeeRepository(database),
+        new CategoryRuleRepository(database)
+      ),
+      transactionRepository,
+      accountRepository
+    );
+
+    const dryRun = Boolean(options['dry-run']);
+    let acceptConflicts = [];
+
+    if (options['accept-conflicts']) {
+      const check = await useCase.execute(user.id, options.file, { accountId, dryRun: true });
+
+      acceptConflicts = check.success
+        ? check.entries.filter(entry => entry.status === 'conflict' && entry.matches).map(entry => entry.index)
+        : [];
+    }
+
+    const result = await useCase.execute(user.id, options.file, {
+      accountId,
+      fallbackCategoryIds,
+      acceptConflicts,
+      dryRun
+    });
+
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+
+    printReport(result, dryRun);
+
+    if (result.entries.some(entry => entry.status === 'error')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Erro ao importar o extrato:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+/**
+ * Resumo do extrato e os lançamentos com conflito ou erro
+ */
+function printReport(result, dryRun) {
+  console.log(`\n${result.statement.getSummary()}\n`);
+
+  for (const entry of result.entries) {
+    if (entry.status === 'conflict') {
+      console.log(`⚠️  Lançamento ${entry.index} (${entry.transaction.description}): ${entry.reason}`);
+    } else if (entry.status === 'error') {
+      console.log(`❌ Lançamento ${entry.index}: ${describeErrors(entry.errors, entry.transaction.type).join('; ')}`);
+    }
+  }
+
+  const count = status => result.entries.filter(entry => entry.status === status).length;
+
+  if (dryRun) {
+    printCategoryHint(result.entries, 'lançamento(s) sem categoria no extrato');
+    console.log(`\n✓ ${count('new')} nova(s), ${count('skipped')} já importada(s), ` +
+      `${count('conflict')} conflito(s), ${count('error')} com erro (nada foi gravado)\n`);
+    return;
+  }
+
+  console.log(`\n✅ ${result.importedCount} transação(ões) importada(s) de ${result.fileName}`);
+
+  if (count('skipped') > 0) {
+    console.log(`↺ ${count('skipped')} já importada(s) e ignorada(s)`);
+  }
+
+  if (count('conflict') > 0) {
+    console.log(`⚠️  ${count('conflict')} conflito(s) não importado(s) (use --accept-conflicts para os parecidos)`);
+  }
+
+  if (count('error') > 0) {
+    console.log(`❌ ${count('error')} lançamento(s) com erro`);
+  }
+
+  console.log('');
+}
+
+// Importar extrato
+importOfx();
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { UserRepository } from '../src/infrastructure/database/UserRepository.js';
+import { TransactionRepository } from '../src/infrastructure/database/TransactionRepository.js';
+import { CategoryRepository } from '../src/infrastructure/database/CategoryRepository.js';
+import { AccountRepository } from '../src/infrastructure/database/AccountRepository.js';
+import { PayeeRepository } from '../src/infrastructure/database/PayeeRepository.js';
+import { CategoryRuleRepository } from '../src/infrastructure/database/CategoryRuleRepository.js';
+import { TransferRepository } from '../src/infrastructure/database/TransferRepository.js';
+import { ImportFileService } from '../src/infrastructure/services/ImportFileService.js';
+import { QIF_DATE_FORMATS } from '../src/domain/entities/QifFile.js';
+import { CreateTransactionUseCase } from '../src/application/use-cases/CreateTransactionUseCase.js';
+import { CreateCategoryUseCase } from '../src/application/use-cases/CreateCategoryUseCase.js';
+import { CreateTransferUseCase } from '../src/application/use-cases/transfers/CreateTransferUseCase.js';
+import { ImportQifTransactionsUseCase } from '../src/application/use-cases/imports/ImportQifTransactionsUseCase.js';
+import { parseArgs } from './lib/cli.js';
+import { resolveCategory, resolveAccount, describeErrors, printCategoryHint } from './lib/importCli.js';
+
+/**
+ * Exibe as instruções de uso
+ */
+function printUsage() {
+  console.log(`
+Uso: npm run import:qif -- --email <email> --file <arquivo.qif> [opções]
+
+Opções:
+  --account <nome>           Conta das transações sem conta de mesmo nome no arquivo (padrão: a conta principal)
+  --date-format <formato>    dd/mm/yyyy ou mm/dd/yyyy (sem ele, detectado pelas datas)
+  --income-category <nome>   Categoria das receitas sem categoria no arquivo
+  --expense-category <nome>  Categoria das despesas sem categoria no arquivo
+  --allow-duplicates         Importa também as possíveis duplicadas
+  --dry-run                  Só confere as transações, sem gravar nem criar categorias
+`);
+}
+
+/**
+ * Script que importa transações de um arquivo QIF para um usuário
+ */
+async function importQif() {
+  const options = parseArgs(process.argv.slice(2));
+  const dateFormat = options['date-format'] || 'auto';
+
+  if (!options.email || !options.file || (dateFormat !== 'auto' && !QIF_DATE_FORMATS[dateFormat])) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const user = await new UserRepository(database).findByEmail(options.email);
+
+    if (!user) {
+      throw new Error(`Usuário não encontrado: ${options.email}`);
+    }
+
+    const categoryRepository = new CategoryRepository(database);
+    const accountRepository = new AccountRepository(database);
+    const transferRepository = new TransferRepository(database);
+
+    const categories = await categoryRepository.findByUserId(user.id);
+    const fallbackCategoryIds = {
+      income: resolveCategory(categories, options['income-category'], 'income'),
+      expense: resolveCategory(categories, options['expense-category'], 'expense')
+    };
+    const accountId = await resolveAccount(accountRepository, user.id, options.account);
+
+    const useCase = new ImportQifTransactionsUseCase(
+      new ImportFileService(),
+      new CreateTransactionUseCase(
+        new TransactionRepository(database),
+        categoryRepository,
+        accountRepository,
+        new PayeeRepository(database),
+        new CategoryRuleRepository(database)
+      ),
+      new CreateCategoryUseCase(categoryRepository),
+      new CreateTransferUseCase(transferRepository, accountRepository),
+      categoryRepository,
+      accountRepository,
+      transferRepository
+    );
+
+    const dryRun = Boolean(options['dry-run']);
+    const result = await useCase.execute(user.id, options.file, {
+      accountId,
+      dateFormat,
+      fallbackCategoryIds,
+      allowDuplicates: Boolean(options['allow-duplicates']),
+      dryRun
+    });
+
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+
+    printReport(result, dryRun);
+
+    if (result.results.some(row => row.status === 'error')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Erro ao importar o arquivo:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+/**
+ * Resumo do arquivo e relatório por transação
+ */
+function printReport(result, dryRun) {
+  console.log(`\n${result.qif.getSummary()}\n`);
+
+  for (const row of result.results) {
+    const messages = [...describeErrors(row.errors, row.transaction && row.transaction.type), ...(row.warnings || [])];
+
+    if (messages.length > 0) {
+      const icon = row.status === 'error' ? '❌' : row.status === 'duplicate' ? '🧬' : row.status === 'skipped' ? '⏭️ ' : '⚠️ ';
+      console.log(`${icon} Transação ${row.index}: ${messages.join('; ')}`);
+    }
+  }
+
+  if (result.unmatchedAccounts.length > 0) {
+    console.log(`🏦 Contas do arquivo sem conta de mesmo nome (usada a conta escolhida): ${result.unmatchedAccounts.join(', ')}`);
+  }
+
+  if (result.newCategories.length > 0) {
+    console.log(`📁 Categorias ${dryRun ? 'a criar' : 'criadas'}: ${result.newCategories.join(', ')}`);
+  }
+
+  const count = status => result.results.filter(row => row.status === status).length;
+
+  if (dryRun) {
+    printCategoryHint(result.results, 'transação(ões) sem categoria no arquivo');
+    console.log(`\n✓ ${count('valid')} transação(ões) pronta(s), ${count('skipped')} ignorada(s), ` +
+      `${count('error')} com erro (nada foi gravado)\n`);
+    return;
+  }
+
+  console.log(`\n✅ ${result.importedCount} transação(ões) importada(s) de ${result.fileName}`);
+
+  if (count('duplicate') > 0) {
+    console.log(`🧬 ${count('duplicate')} possível(is) duplicada(s) ignorada(s) (use --allow-duplicates para importar)`);
+  }
+
+  if (count('skipped') > 0) {
+    console.log(`⏭️  ${count('skipped')} transferência(s) ignorada(s)`);
+  }
+
+  if (count('error') > 0) {
+    console.log(`❌ ${count('error')} transação(ões) com erro`);
+  }
+
+  console.log('');
+}
+
+// Importar arquivo
+importQif();
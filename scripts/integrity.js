@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { IntegrityRepository } from '../src/infrastructure/database/IntegrityRepository.js';
+import { IntegrityIssue } from '../src/domain/entities/IntegrityIssue.js';
+import { CheckDataIntegrityUseCase } from '../src/application/use-cases/integrity/CheckDataIntegrityUseCase.js';
+import { RepairDataIntegrityUseCase } from '../src/application/use-cases/integrity/RepairDataIntegrityUseCase.js';
+
+/**
+ * Script que verifica a integridade dos dados de todos os usuários
+ * Uso: npm run integrity [-- --repair]
+ * (com --repair, aplica os reparos automáticos e verifica de novo)
+ */
+async function checkIntegrity() {
+  const shouldRepair = process.argv.includes('--repair');
+
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const integrityRepository = new IntegrityRepository(database);
+    const checkUseCase = new CheckDataIntegrityUseCase(integrityRepository);
+
+    let issues = await runCheck(checkUseCase);
+
+    if (issues.length === 0) {
+      console.log('\n✓ Nenhum problema de integridade encontrado\n');
+      return;
+    }
+
+    printIssues(issues);
+
+    const repairable = issues.filter(issue => issue.isRepairable());
+
+    if (!shouldRepair) {
+      if (repairable.length > 0) {
+        console.log('Para aplicar os reparos automáticos: npm run integrity -- --repair\n');
+      }
+      return;
+    }
+
+    if (repairable.length === 0) {
+      console.log('Nenhum dos problemas tem reparo automático\n');
+      return;
+    }
+
+    const result = await new RepairDataIntegrityUseCase(integrityRepository)
+      .execute(repairable.map(issue => issue.code));
+
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+
+    for (const { code, count } of result.repaired) {
+      console.log(`✅ ${new IntegrityIssue({ code }).getRepairLabel()}: ${count} registro(s)`);
+    }
+
+    issues = await runCheck(checkUseCase);
+
+    if (issues.length === 0) {
+      console.log('\n✓ Nenhum problema de integridade restante\n');
+    } else {
+      console.log('\nRestante:');
+      printIssues(issues);
+    }
+  } catch (error) {
+    console.error('\n❌ Erro ao verificar a integridade dos dados:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+/**
+ * Roda a verificação e devolve os problemas encontrados
+ */
+async function runCheck(checkUseCase) {
+  const result = await checkUseCase.execute();
+
+  if (!result.success) {
+    throw new Error(result.errors.join(', '));
+  }
+
+  return result.issues;
+}
+
+/**
+ * Lista os problemas com o reparo (ou a dica) de cada um
+ */
+function printIssues(issues) {
+  console.log('');
+
+  for (const issue of issues) {
+    console.log(`⚠️  ${issue.getLabel()}: ${issue.count}`);
+
+    if (issue.isRepairable()) {
+      console.log(`   Reparo: ${issue.getRepairLabel()}`);
+    } else if (issue.getHint()) {
+      console.log(`   ${issue.getHint()}`);
+    }
+  }
+
+  console.log('');
+}
+
+// Verificar integridade
+checkIntegrity();
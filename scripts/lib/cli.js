@@ -0,0 +1,22 @@
+/**
+ * Lê as opções da linha de comando (--nome valor e --flag)
+ * @param {string[]} argv - Argumentos depois do nome do script
+ * @returns {Object} Opções pelo nome, sem o "--"
+ */
+export function parseArgs(argv) {
+  const options = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const key = argv[index].replace(/^--/, '');
+    const next = argv[index + 1];
+
+    if (next !== undefined && !next.startsWith('--')) {
+      options[key] = next;
+      index++;
+    } else {
+      options[key] = true;
+    }
+  }
+
+  return options;
+}
@@ -0,0 +1,60 @@
+import { Category } from '../../src/domain/entities/Category.js';
+import { MISSING_CATEGORY_ERROR } from '../../src/application/use-cases/CreateTransactionUseCase.js';
+
+/**
+ * Categoria informada pelo nome (aceita "Pai:Filho")
+ */
+export function resolveCategory(categories, name, type) {
+  if (!name) {
+    return null;
+  }
+
+  const category = Category.findByName(categories, name, type);
+
+  if (!category) {
+    throw new Error(`Categoria de ${type === 'income' ? 'receita' : 'despesa'} não encontrada: ${name}`);
+  }
+
+  return category.id;
+}
+
+/**
+ * Conta informada pelo nome
+ */
+export async function resolveAccount(accountRepository, userId, name) {
+  if (!name) {
+    return null;
+  }
+
+  const accounts = await accountRepository.findByUserId(userId);
+  const account = accounts.find(other => Category.normalizeName(other.name) === Category.normalizeName(name));
+
+  if (!account) {
+    throw new Error(`Conta não encontrada: ${name}`);
+  }
+
+  return account.id;
+}
+
+/**
+ * Erros de um item importado; o de categoria obrigatória indica a opção que define a categoria
+ */
+export function describeErrors(errors, type) {
+  const option = type === 'income' ? '--income-category' : '--expense-category';
+
+  return (errors || []).map(error => (error === MISSING_CATEGORY_ERROR ? `${error}: use ${option} <nome>` : error));
+}
+
+/**
+ * Aviso dos itens que só as regras de categorização podem categorizar
+ * @param {Array} rows - Itens do resultado da importação
+ * @param {string} label - Como os itens sem categoria são descritos (ex.: "linha(s) sem categoria na coluna")
+ */
+export function printCategoryHint(rows, label) {
+  const count = rows.filter(row => row.needsCategory).length;
+
+  if (count > 0) {
+    console.log(`💡 ${count} ${label}: sem uma regra de categorização que se aplique, ` +
+      'darão erro (use --income-category e --expense-category)');
+  }
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+
+/**
+ * Exibe as instruções de uso
+ */
+function printUsage() {
+  console.log(`
+Uso: npm run migrate <comando> [argumento]
+
+Comandos:
+  status          Lista as migrações aplicadas e pendentes
+  up [versão]     Aplica as migrações pendentes (até a versão informada)
+  down [passos]   Reverte as últimas migrações aplicadas (padrão: 1)
+`);
+}
+
+/**
+ * Confere o argumento de up e down: um inteiro positivo (ou nenhum)
+ */
+function isValidArgument(argument) {
+  return argument === undefined || (/^\d+$/.test(argument) && parseInt(argument, 10) > 0);
+}
+
+/**
+ * Formata o nome de uma migração
+ */
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Lista a situação de cada migração
+ */
+async function status(runner) {
+  const migrations = await runner.status();
+
+  console.log(`\n📋 Migrações (${database.dialect})\n`);
+
+  if (migrations.length === 0) {
+    console.log('   Nenhuma migração encontrada');
+  }
+
+  migrations.forEach(migration => {
+    if (migration.missing) {
+      console.log(`   ⚠️  ${label(migration)}  (aplicada, arquivo não encontrado)`);
+    } else if (migration.applied) {
+      console.log(`   ✅ ${label(migration)}  (${migration.appliedAt.toLocaleString('pt-BR')})`);
+    } else {
+      console.log(`   ⏳ ${label(migration)}  (pendente)`);
+    }
+  });
+
+  console.log('');
+}
+
+/**
+ * Aplica as migrações pendentes
+ */
+async function up(runner, target) {
+  const applied = await runner.up(target ? parseInt(target, 10) : null);
+
+  if (applied.length === 0) {
+    console.log('\n✓ Schema já está atualizado\n');
+    return;
+  }
+
+  applied.forEach(migration => console.log(`   ⬆️  ${label(migration)}`));
+  console.log(`\n✅ ${applied.length} migração(ões) aplicada(s)\n`);
+}
+
+/**
+ * Reverte as últimas migrações
+ */
+async function down(runner, steps) {
+  const reverted = await runner.down(steps ? parseInt(steps, 10) : 1);
+
+  if (reverted.length === 0) {
+    console.log('\n✓ Nenhuma migração para reverter\n');
+    return;
+  }
+
+  reverted.forEach(migration => console.log(`   ⬇️  ${label(migration)}`));
+  console.log(`\n✅ ${reverted.length} migração(ões) revertida(s)\n`);
+}
+
+/**
+ * Script de migrações do banco de dados
+ */
+async function migrate() {
+  const [command, argument] = process.argv.slice(2);
+  const commands = { status, up, down };
+
+  if (!commands[command]) {
+    printUsage();
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  // "down 0" ou "down x" não podem virar "reverter tudo"
+  if (command !== 'status' && !isValidArgument(argument)) {
+    console.error(`\n❌ Argumento inválido para "${command}": ${argument} (use um número inteiro positivo)`);
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.connect();
+    await commands[command](new MigrationRunner(database), argument);
+  } catch (error) {
+    console.error('\n❌ Erro ao executar migrações:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+// Executar migrações
+migrate();
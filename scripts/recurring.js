@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { RecurringRuleRepository } from '../src/infrastructure/database/RecurringRuleRepository.js';
+import { MaterializeRecurringTransactionsUseCase } from '../src/application/use-cases/recurring/MaterializeRecurringTransactionsUseCase.js';
+
+/**
+ * Script que lança as transações recorrentes vencidas de todos os usuários
+ * (para rodar periodicamente, ex: cron diário; o app também lança ao fazer login)
+ */
+async function materialize() {
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const useCase = new MaterializeRecurringTransactionsUseCase(new RecurringRuleRepository(database));
+    const result = await useCase.execute();
+
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+
+    if (result.createdCount === 0) {
+      console.log('\n✓ Nenhuma transação recorrente vencida\n');
+    } else {
+      console.log(`\n✅ ${result.createdCount} transação(ões) recorrente(s) lançada(s)\n`);
+    }
+  } catch (error) {
+    console.error('\n❌ Erro ao lançar transações recorrentes:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+// Lançar transações recorrentes
+materialize();
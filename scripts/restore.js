@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+import { database } from '../src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from '../src/infrastructure/database/MigrationRunner.js';
+import { UserRepository } from '../src/infrastructure/database/UserRepository.js';
+import { BackupRepository } from '../src/infrastructure/database/BackupRepository.js';
+import { AttachmentStorageService } from '../src/infrastructure/services/AttachmentStorageService.js';
+import { BackupFileService } from '../src/infrastructure/services/BackupFileService.js';
+import { BACKUP_SECTIONS } from '../src/domain/entities/Backup.js';
+import { RestoreBackupUseCase } from '../src/application/use-cases/backup/RestoreBackupUseCase.js';
+import { parseArgs } from './lib/cli.js';
+
+/**
+ * Nomes exibidos, além das seções do backup
+ */
+const LABELS = {
+  ...BACKUP_SECTIONS,
+  goalContributions: 'Contribuições de metas',
+  categoryModel: 'Modelo de sugestão de categoria'
+};
+
+/**
+ * Exibe as instruções de uso
+ */
+function printUsage() {
+  console.log(`
+Uso: npm run restore -- --file <backup.json> [opções]
+
+Opções:
+  --user <email>   Usuário de destino, já cadastrado e sem dados (padrão: o
+                   usuário do backup, criado se ainda não existir)
+  --dry-run        Só confere o arquivo e o destino, sem gravar nada
+`);
+}
+
+/**
+ * Script que restaura um backup num banco novo ou em outro usuário
+ */
+async function restoreBackup() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.file || options.file === true || options.user === true) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.connect();
+    await new MigrationRunner(database).assertUpToDate();
+
+    const useCase = new RestoreBackupUseCase(
+      new BackupFileService(),
+      new BackupRepository(database),
+      new UserRepository(database),
+      new AttachmentStorageService()
+    );
+
+    const dryRun = Boolean(options['dry-run']);
+    const result = await useCase.execute(options.file, {
+      targetEmail: options.user || null,
+      dryRun
+    });
+
+    if (!result.success) {
+      throw new Error(result.errors.join('\n   '));
+    }
+
+    printReport(result, dryRun);
+  } catch (error) {
+    console.error('\n❌ Erro ao restaurar o backup:', error.message);
+    console.error('');
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+/**
+ * Destino, registros restaurados e reaproveitados e avisos
+ */
+function printReport(result, dryRun) {
+  const createdAt = result.backup.createdAt.toLocaleString('pt-BR');
+  const action = dryRun ? 'seria restaurado' : 'restaurado';
+
+  console.log(`\n💾 Backup de ${result.backup.user.email}, criado em ${createdAt}`);
+  console.log(result.createdUser
+    ? `👤 ${action} para o novo usuário ${result.email}`
+    : `👤 ${action} para o usuário ${result.email}`);
+  console.log('');
+
+  for (const [key, label] of Object.entries(LABELS)) {
+    const restored = result.restored[key] || 0;
+    const reused = result.reused[key] || 0;
+
+    if (restored > 0 || reused > 0) {
+      console.log(`   ${label}: ${restored}${reused > 0 ? ` (+${reused} já existente(s), reaproveitada(s))` : ''}`);
+    }
+  }
+
+  if (result.createdCategories.length > 0) {
+    console.log(`\n📁 Categorias padrão que não existem neste banco (${dryRun ? 'seriam criadas' : 'criadas'} para o usuário): ${result.createdCategories.join(', ')}`);
+  }
+
+  for (const fileName of result.skippedAttachments) {
+    console.log(`⚠️  Anexo sem o conteúdo no arquivo (não restaurado): ${fileName}`);
+  }
+
+  for (const warning of result.warnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+
+  console.log(dryRun
+    ? '\n✓ O backup pode ser restaurado (nada foi gravado)\n'
+    : '\n✅ Backup restaurado\n');
+}
+
+// Restaurar backup
+restoreBackup();
@@ -91,7 +91,8 @@ PORT=3000
     console.log('═'.repeat(50));
     console.log('\n📦 Próximos passos:\n');
     console.log('   1. Instale as dependências: npm install');
-    console.log('   2. Inicie a aplicação: npm start');
+    console.log('   2. Crie as tabelas do banco: npm run migrate up');
+    console.log('   3. Inicie a aplicação: npm start');
     console.log('\n');
 
   } catch (error) {
@@ -9,16 +9,27 @@ import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 
 // Import dependencies for export API
-import { database } from './src/infrastructure/database/NeonDatabase.js';
+import { database } from './src/infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from './src/infrastructure/database/MigrationRunner.js';
 import { TransactionRepository } from './src/infrastructure/database/TransactionRepository.js';
 import { PDFExportService } from './src/infrastructure/services/PDFExportService.js';
+import { ExportFileService } from './src/infrastructure/services/ExportFileService.js';
 import { ExportTransactionsToPDFUseCase } from './src/application/use-cases/exports/ExportTransactionsToPDFUseCase.js';
 import { ExportReportToPDFUseCase } from './src/application/use-cases/exports/ExportReportToPDFUseCase.js';
+import { ExportTransactionsToDataFileUseCase } from './src/application/use-cases/exports/ExportTransactionsToDataFileUseCase.js';
+import { ExportReportToDataFileUseCase } from './src/application/use-cases/exports/ExportReportToDataFileUseCase.js';
 import { GenerateMonthlyReportUseCase } from './src/application/use-cases/reports/GenerateMonthlyReportUseCase.js';
 import { GenerateCategoryReportUseCase } from './src/application/use-cases/reports/GenerateCategoryReportUseCase.js';
 import { GenerateEvolutionReportUseCase } from './src/application/use-cases/reports/GenerateEvolutionReportUseCase.js';
 import { GenerateTopTransactionsReportUseCase } from './src/application/use-cases/reports/GenerateTopTransactionsReportUseCase.js';
+import { GenerateComparativeReportUseCase } from './src/application/use-cases/reports/GenerateComparativeReportUseCase.js';
+import { GeneratePatternAnalysisUseCase } from './src/application/use-cases/reports/GeneratePatternAnalysisUseCase.js';
+import { GenerateTagReportUseCase } from './src/application/use-cases/reports/GenerateTagReportUseCase.js';
+import { GeneratePayeeReportUseCase } from './src/application/use-cases/reports/GeneratePayeeReportUseCase.js';
 import { CategoryRepository } from './src/infrastructure/database/CategoryRepository.js';
+import { AttachmentRepository } from './src/infrastructure/database/AttachmentRepository.js';
+import { AttachmentStorageService } from './src/infrastructure/services/AttachmentStorageService.js';
+import { GetAttachmentFileUseCase } from './src/application/use-cases/attachments/GetAttachmentFileUseCase.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,6 +37,17 @@ const __dirname = dirname(__filename);
 // Carregar variáveis de ambiente
 dotenv.config();
 
+// Chave dos links de download dos anexos, herdada pelos terminais abertos por
+// este servidor. Sem ela, os links não são gerados e a rota dos anexos fica
+// desativada (uma chave gerada a cada início invalidaria os links já gravados
+// nos PDFs exportados); o terminal e a API de exportação funcionam normalmente
+const attachmentLinksEnabled = Boolean(process.env.ATTACHMENTS_SECRET);
+
+if (!attachmentLinksEnabled) {
+  console.warn('⚠️  ATTACHMENTS_SECRET não definido: os links de download dos anexos estão desativados ' +
+    '(gere a chave com: openssl rand -hex 32)');
+}
+
 /**
  * Servidor Web para Terminal Emulado + API de Exportação
  * Executa o CLI do sistema financeiro no navegador
@@ -60,26 +82,43 @@ app.use('/downloads', express.static(join(__dirname, 'exports')));
 // Inicializar dependências da API
 let exportTransactionsUseCase;
 let exportReportUseCase;
+let exportTransactionsDataUseCase;
+let exportReportDataUseCase;
+let exportFileService;
+let attachmentStorage;
+let getAttachmentFileUseCase;
 
 async function initializeExportAPI() {
   try {
     await database.connect();
-    await database.initializeTables();
+    await new MigrationRunner(database).assertUpToDate();
 
     const transactionRepository = new TransactionRepository(database);
     const categoryRepository = new CategoryRepository(database);
     const pdfExportService = new PDFExportService();
+    exportFileService = new ExportFileService();
+    const attachmentRepository = new AttachmentRepository(database);
+    attachmentStorage = new AttachmentStorageService();
+
+    // Use case de anexos
+    getAttachmentFileUseCase = new GetAttachmentFileUseCase(attachmentRepository, attachmentStorage);
 
     // Use cases de relatórios
     const monthlyReportUseCase = new GenerateMonthlyReportUseCase(transactionRepository);
     const categoryReportUseCase = new GenerateCategoryReportUseCase(transactionRepository, categoryRepository);
     const evolutionReportUseCase = new GenerateEvolutionReportUseCase(transactionRepository);
     const topReportUseCase = new GenerateTopTransactionsReportUseCase(transactionRepository);
+    const comparativeReportUseCase = new GenerateComparativeReportUseCase(transactionRepository);
+    const patternsReportUseCase = new GeneratePatternAnalysisUseCase(transactionRepository);
+    const tagReportUseCase = new GenerateTagReportUseCase(transactionRepository);
+    const payeeReportUseCase = new GeneratePayeeReportUseCase(transactionRepository);
 
     // Use cases de exportação
     exportTransactionsUseCase = new ExportTransactionsToPDFUseCase(
       transactionRepository,
-      pdfExportService
+      pdfExportService,
+      attachmentRepository,
+      attachmentStorage
     );
 
     exportReportUseCase = new ExportReportToPDFUseCase(
@@ -92,6 +131,27 @@ async function initializeExportAPI() {
       }
     );
 
+    // CSV e JSON
+    exportTransactionsDataUseCase = new ExportTransactionsToDataFileUseCase(
+      transactionRepository,
+      categoryRepository,
+      exportFileService
+    );
+
+    exportReportDataUseCase = new ExportReportToDataFileUseCase(
+      {
+        monthly: monthlyReportUseCase,
+        category: categoryReportUseCase,
+        evolution: evolutionReportUseCase,
+        top: topReportUseCase,
+        comparative: comparativeReportUseCase,
+        patterns: patternsReportUseCase,
+        tag: tagReportUseCase,
+        payee: payeeReportUseCase
+      },
+      exportFileService
+    );
+
     console.log('✅ API de Exportação inicializada');
   } catch (error) {
     console.error('❌ Erro ao inicializar API de Exportação:', error);
@@ -108,10 +168,40 @@ app.get('/export', (req, res) => {
   res.sendFile(join(__dirname, 'public', 'export.html'));
 });
 
-// API: Exportar transações para PDF
+// Anexo de uma transação: só abre com o link assinado para o dono do anexo, dentro da validade
+// (rota registrada só com ATTACHMENTS_SECRET definido)
+if (attachmentLinksEnabled) {
+  app.get('/attachments/:id', async (req, res) => {
+    try {
+      const { user, expires, token } = req.query;
+
+      if (!attachmentStorage || !attachmentStorage.verifyLink(req.params.id, user, expires, token)) {
+        return res.status(404).send('Anexo não encontrado');
+      }
+
+      const result = await getAttachmentFileUseCase.execute(user, Number(req.params.id));
+
+      if (!result.success) {
+        return res.status(404).send('Anexo não encontrado');
+      }
+
+      res.type(result.attachment.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename*=UTF-8''${encodeURIComponent(result.attachment.fileName)}`
+      );
+      res.sendFile(result.filePath);
+    } catch (error) {
+      console.error('Erro ao abrir anexo:', error);
+      res.status(500).send('Erro ao abrir anexo');
+    }
+  });
+}
+
+// API: Exportar transações para PDF, CSV ou JSON (options.format, padrão PDF)
 app.post('/api/export/transactions', async (req, res) => {
   try {
-    const { userId, filters } = req.body;
+    const { userId, filters, options } = req.body;
 
     if (!userId) {
       return res.status(400).json({
@@ -120,13 +210,17 @@ app.post('/api/export/transactions', async (req, res) => {
       });
     }
 
-    const result = await exportTransactionsUseCase.execute(userId, filters || {});
+    const format = (options && options.format) || 'pdf';
+    const useCase = format === 'pdf' ? exportTransactionsUseCase : exportTransactionsDataUseCase;
+    const result = await useCase.execute(userId, filters || {}, options || {});
 
     res.json({
       success: true,
+      format,
       filename: result.filename,
       downloadUrl: `/downloads/${result.filename}`,
       transactionCount: result.transactionCount,
+      attachmentCount: result.attachmentCount,
       pages: result.pages,
       size: result.size
     });
@@ -139,7 +233,7 @@ app.post('/api/export/transactions', async (req, res) => {
   }
 });
 
-// API: Exportar relatório para PDF
+// API: Exportar relatório para PDF, CSV ou JSON (options.format, padrão PDF)
 app.post('/api/export/report', async (req, res) => {
   try {
     const { userId, reportType, options } = req.body;
@@ -158,10 +252,13 @@ app.post('/api/export/report', async (req, res) => {
       });
     }
 
-    const result = await exportReportUseCase.execute(userId, reportType, options || {});
+    const format = (options && options.format) || 'pdf';
+    const useCase = format === 'pdf' ? exportReportUseCase : exportReportDataUseCase;
+    const result = await useCase.execute(userId, reportType, options || {});
 
     res.json({
       success: true,
+      format,
       filename: result.filename,
       downloadUrl: `/downloads/${result.filename}`,
       pages: result.pages,
@@ -180,7 +277,10 @@ app.post('/api/export/report', async (req, res) => {
 app.get('/api/exports', async (req, res) => {
   try {
     const pdfExportService = new PDFExportService();
-    const exports = pdfExportService.listExports();
+    const exports = [
+      ...pdfExportService.listExports(),
+      ...(exportFileService ? exportFileService.listExports() : [])
+    ].sort((a, b) => b.created - a.created);
 
     res.json({
       success: true,
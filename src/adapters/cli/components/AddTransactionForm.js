@@ -1,20 +1,34 @@
 import { Input } from './Input.js';
 import { QuickMenu } from './QuickMenu.js';
+import { TagInput } from './TagInput.js';
+import { PayeeInput } from './PayeeInput.js';
 import {
   clearScreen,
   createBox,
   createSeparator
 } from '../utils/banner.js';
 import { colors, icons, styles } from '../utils/colors.js';
+import { InstallmentPlan, MIN_INSTALLMENTS, MAX_INSTALLMENTS } from '../../../domain/entities/InstallmentPlan.js';
+import { CategoryModel } from '../../../domain/entities/CategoryModel.js';
 
 /**
  * Componente: Formulário para adicionar transação
  */
 export class AddTransactionForm {
-  constructor(user, transactionUseCases, categoryUseCases) {
+  constructor(user, transactionUseCases, categoryUseCases, accountUseCases = null) {
     this.user = user;
     this.createTransactionUseCase = transactionUseCases.createTransactionUseCase;
+    this.createInstallmentPlanUseCase = transactionUseCases.createInstallmentPlanUseCase || null;
     this.listCategoriesUseCase = categoryUseCases.listCategoriesUseCase;
+    this.suggestCategoryUseCase = categoryUseCases.suggestCategoryUseCase || null;
+    this.learnCategoryChoiceUseCase = categoryUseCases.learnCategoryChoiceUseCase || null;
+    this.listAccountsUseCase = accountUseCases ? accountUseCases.listAccounts : null;
+    this.tagInput = new TagInput(user, transactionUseCases.listTagsUseCase || null);
+    this.payeeInput = new PayeeInput(
+      user,
+      transactionUseCases.listPayeesUseCase || null,
+      transactionUseCases.createPayeeUseCase || null
+    );
   }
 
   /**
@@ -63,7 +77,6 @@ export class AddTransactionForm {
       ));
       console.log('\n');
 
-      // 2. Seleção de Categoria
       const categories = await this._loadCategories(type);
 
       if (categories.length === 0) {
@@ -73,27 +86,26 @@ export class AddTransactionForm {
         return null;
       }
 
-      console.log(colors.info('📂 Selecione a categoria:\n'));
-
-      const categoryOptions = categories.map(cat => ({
-        name: `${cat.icon || '📁'} ${cat.name}`,
-        value: cat.id,
-        icon: cat.icon || '📁',
-        color: cat.color || 'white'
-      }));
+      // 2. Input de Descrição (opcional), com autocompletar de favorecidos
+      console.log(colors.info('📝 Descrição (opcional, Enter para pular):\n'));
 
-      const categoryId = await QuickMenu.selectWithIcons('Categoria', categoryOptions);
+      const { description, payee } = await this.payeeInput.ask();
 
-      if (!categoryId) {
-        return null; // Cancelado
+      if (description && description.length > 200) {
+        console.log(colors.error('\n❌ Descrição muito longa! Máximo 200 caracteres.\n'));
+        await Input.pressKey();
+        return await this.show(type);
       }
 
-      const selectedCategory = categories.find(c => c.id === categoryId);
+      const descriptionLabel = payee && payee.name !== description
+        ? `${description} (🏪 ${payee.name})`
+        : description;
 
       clearScreen();
       console.log('\n');
       console.log(createBox(
-        `${typeIcon} NOVA ${typeName}\n${colors.textDim(`Categoria: ${selectedCategory.icon} ${selectedCategory.name}`)}`,
+        `${typeIcon} NOVA ${typeName}` +
+        (descriptionLabel ? `\n${colors.textDim(`Descrição: ${descriptionLabel}`)}` : ''),
         { borderColor: typeColor, padding: 1 }
       ));
       console.log('\n');
@@ -120,38 +132,136 @@ export class AddTransactionForm {
       clearScreen();
       console.log('\n');
       console.log(createBox(
-        `${typeIcon} NOVA ${typeName}\n` +
-        `${colors.textDim(`Categoria: ${selectedCategory.icon} ${selectedCategory.name}`)}\n` +
-        `${colors.textDim(`Valor: R$ ${amount.toFixed(2).replace('.', ',')}`)}`,
+        `${typeIcon} NOVA ${typeName}\n${colors.textDim(`Valor: R$ ${amount.toFixed(2).replace('.', ',')}`)}` +
+        (descriptionLabel ? `\n${colors.textDim(`Descrição: ${descriptionLabel}`)}` : ''),
         { borderColor: typeColor, padding: 1 }
       ));
       console.log('\n');
 
-      // 4. Input de Descrição (opcional)
-      console.log(colors.info('📝 Descrição (opcional, Enter para pular):\n'));
-      console.log(colors.textDim('  Máximo 200 caracteres\n'));
+      // 4. Seleção de Categoria: a sugerida pelo histórico vem primeiro, já
+      // selecionada, seguida da categoria padrão do favorecido
+      console.log(colors.info('📂 Selecione a categoria:\n'));
 
-      const description = await Input.prompt('Descrição: ');
+      const suggestion = await this._suggestCategory(type, categories, description, amount);
+      const defaultCategory = payee ? categories.find(c => c.id === payee.defaultCategoryId) : null;
+      const suggestedCategory = suggestion ? categories.find(c => c.id === suggestion.categoryId) : null;
 
-      if (description && description.length > 200) {
-        console.log(colors.error('\n❌ Descrição muito longa! Máximo 200 caracteres.\n'));
-        await Input.pressKey();
-        return await this.show(type);
+      const categoryOptions = categories.map(cat => {
+        const hints = [];
+
+        if (cat === suggestedCategory) {
+          hints.push(`sugerida ${CategoryModel.getConfidenceLabel(suggestion.confidence)}`);
+        }
+
+        if (cat === defaultCategory) {
+          hints.push(`padrão de ${payee.name}`);
+        }
+
+        return {
+          name: `${cat.icon || '📁'} ${cat.name}` + (hints.length > 0 ? ` ${colors.textDim(`(${hints.join(', ')})`)}` : ''),
+          value: cat.id,
+          icon: cat === suggestedCategory ? '⭐' : (cat.icon || '📁'),
+          color: cat === suggestedCategory ? 'cyan' : (cat.color || 'white')
+        };
+      });
+
+      [defaultCategory, suggestedCategory].forEach(first => {
+        if (first) {
+          const index = categoryOptions.findIndex(option => option.value === first.id);
+          categoryOptions.unshift(...categoryOptions.splice(index, 1));
+        }
+      });
+
+      const categoryId = await QuickMenu.selectWithIcons(
+        'Categoria',
+        categoryOptions,
+        suggestedCategory ? { defaultValue: suggestedCategory.id } : {}
+      );
+
+      if (!categoryId) {
+        return null; // Cancelado
+      }
+
+      const selectedCategory = categories.find(c => c.id === categoryId);
+
+      // 4.1 Parcelamento (apenas despesas): o valor digitado é o total da compra
+      let installmentCount = 1;
+
+      if (type === 'expense' && this.createInstallmentPlanUseCase) {
+        console.log('\n');
+        const paymentChoice = await QuickMenu.selectWithIcons(
+          'Forma de pagamento',
+          [
+            { name: 'À vista', value: 'single', icon: '💵', color: 'green' },
+            { name: 'Parcelado', value: 'installments', icon: '🧾', color: 'yellow' }
+          ]
+        );
+
+        if (!paymentChoice) {
+          return null; // Cancelado
+        }
+
+        if (paymentChoice === 'installments') {
+          console.log(colors.info(`\n🔢 Em quantas parcelas? (${MIN_INSTALLMENTS} a ${MAX_INSTALLMENTS})\n`));
+          console.log(colors.textDim('  A primeira parcela cai na data da compra e as demais nos meses seguintes\n'));
+
+          const installmentsInput = await Input.prompt('Parcelas: ');
+
+          if (!installmentsInput || installmentsInput.trim() === '') {
+            return null; // Cancelado
+          }
+
+          installmentCount = Number(installmentsInput.trim().replace(/x$/i, ''));
+
+          if (!Number.isInteger(installmentCount) ||
+              installmentCount < MIN_INSTALLMENTS ||
+              installmentCount > MAX_INSTALLMENTS) {
+            console.log(colors.error(`\n❌ Número de parcelas inválido! Use de ${MIN_INSTALLMENTS} a ${MAX_INSTALLMENTS}.\n`));
+            await Input.pressKey();
+            return await this.show(type);
+          }
+        }
       }
 
+      const amountLabel = installmentCount > 1
+        ? `R$ ${amount.toFixed(2).replace('.', ',')} em ${installmentCount}x`
+        : `R$ ${amount.toFixed(2).replace('.', ',')}`;
+
+      // 4.2 Tags (opcional; a compra parcelada não recebe tags)
+      let tags = [];
+
+      if (installmentCount === 1) {
+        clearScreen();
+        console.log('\n');
+        console.log(createBox(
+          `${typeIcon} NOVA ${typeName}\n` +
+          `${colors.textDim(`Categoria: ${selectedCategory.icon} ${selectedCategory.name}`)}\n` +
+          `${colors.textDim(`Valor: ${amountLabel}`)}` +
+          (descriptionLabel ? `\n${colors.textDim(`Descrição: ${descriptionLabel}`)}` : ''),
+          { borderColor: typeColor, padding: 1 }
+        ));
+        console.log('\n');
+        console.log(colors.info('🏷️  Tags (opcional):\n'));
+
+        tags = await this.tagInput.ask();
+      }
+
+      const tagsLabel = tags.map(name => `#${name}`).join(' ');
+
       clearScreen();
       console.log('\n');
       console.log(createBox(
         `${typeIcon} NOVA ${typeName}\n` +
         `${colors.textDim(`Categoria: ${selectedCategory.icon} ${selectedCategory.name}`)}\n` +
-        `${colors.textDim(`Valor: R$ ${amount.toFixed(2).replace('.', ',')}`)}` +
-        (description ? `\n${colors.textDim(`Descrição: ${description}`)}` : ''),
+        `${colors.textDim(`Valor: ${amountLabel}`)}` +
+        (descriptionLabel ? `\n${colors.textDim(`Descrição: ${descriptionLabel}`)}` : '') +
+        (tagsLabel ? `\n${colors.textDim(`Tags: ${tagsLabel}`)}` : ''),
         { borderColor: typeColor, padding: 1 }
       ));
       console.log('\n');
 
-      // 5. Seleção de Data
-      console.log(colors.info('📅 Selecione a data:\n'));
+      // 5. Seleção de Data (num parcelamento, a data da compra = 1ª parcela)
+      console.log(colors.info(installmentCount > 1 ? '📅 Selecione a data da compra:\n' : '📅 Selecione a data:\n'));
 
       const dateChoice = await QuickMenu.selectWithIcons(
         'Data da transação',
@@ -167,6 +277,7 @@ export class AddTransactionForm {
       }
 
       let date;
+      let status = 'cleared';
 
       if (dateChoice === 'today') {
         date = new Date();
@@ -206,17 +317,51 @@ export class AddTransactionForm {
           return await this.show(type);
         }
 
-        // Verificar se não é futuro
+        // Data futura: a transação fica prevista até ser confirmada
+        // (um parcelamento já gera as parcelas futuras a partir da compra)
         const tomorrow = new Date();
         tomorrow.setDate(tomorrow.getDate() + 1);
         if (date > tomorrow) {
-          console.log(colors.error('\n❌ Data não pode ser no futuro!\n'));
+          if (installmentCount > 1) {
+            console.log(colors.error('\n❌ A data da compra não pode ser no futuro!\n'));
+            await Input.pressKey();
+            return await this.show(type);
+          }
+
+          status = 'planned';
+          console.log(colors.info('\n🗓️  Data futura: a transação será registrada como prevista.'));
+          console.log(colors.textDim('   Ela não entra no saldo até ser confirmada.\n'));
           await Input.pressKey();
-          return await this.show(type);
         }
       }
 
-      // 6. Confirmação
+      // 6. Seleção de Conta (apenas quando o usuário tem mais de uma)
+      const accounts = await this._loadAccounts();
+      let selectedAccount = accounts.length === 1 ? accounts[0] : null;
+
+      if (accounts.length > 1) {
+        clearScreen();
+        console.log('\n');
+        console.log(colors.info(`${icons.bank} Selecione a conta:\n`));
+
+        const accountId = await QuickMenu.selectWithIcons(
+          'Conta',
+          accounts.map(account => ({
+            name: `${account.name} ${colors.textDim(`(${account.getFormattedBalance()})`)}`,
+            value: account.id,
+            icon: account.icon,
+            color: 'white'
+          }))
+        );
+
+        if (!accountId) {
+          return null; // Cancelado
+        }
+
+        selectedAccount = accounts.find(a => a.id === accountId);
+      }
+
+      // 7. Confirmação
       clearScreen();
       console.log('\n');
 
@@ -227,8 +372,14 @@ export class AddTransactionForm {
         `${typeIcon} CONFIRMAR ${typeName}\n\n` +
         `${selectedCategory.icon || '📁'} Categoria: ${colors.bold(selectedCategory.name)}\n` +
         `💰 Valor: ${colors.bold(`R$ ${formattedAmount}`)}\n` +
+        (installmentCount > 1 ? this._installmentsHint(amount, installmentCount, date) : '') +
         `📅 Data: ${colors.bold(formattedDate)}\n` +
-        (description ? `📝 Descrição: ${colors.bold(description)}\n` : ''),
+        (status === 'planned' ? `🗓️  Situação: ${colors.bold('Prevista')}\n` : '') +
+        (selectedAccount ? `${selectedAccount.icon} Conta: ${colors.bold(selectedAccount.name)}\n` : '') +
+        (selectedAccount && selectedAccount.isCreditCard() ? this._statementHint(selectedAccount, date) : '') +
+        (description ? `📝 Descrição: ${colors.bold(description)}\n` : '') +
+        (payee ? `🏪 Favorecido: ${colors.bold(payee.name)}\n` : '') +
+        (tagsLabel ? `🏷️  Tags: ${colors.bold(tagsLabel)}\n` : ''),
         { borderColor: typeColor, padding: 2 }
       ));
       console.log('\n');
@@ -247,25 +398,63 @@ export class AddTransactionForm {
         return null;
       }
 
-      // 7. Salvar transação
+      // 8. Salvar transação
       console.log(colors.info('\n⏳ Salvando transação...\n'));
 
-      const result = await this.createTransactionUseCase.execute({
+      if (installmentCount > 1) {
+        const firstInstallment = await this._saveInstallmentPlan({
+          categoryId,
+          accountId: selectedAccount ? selectedAccount.id : null,
+          totalAmount: amount,
+          installmentCount,
+          description,
+          date
+        });
+
+        if (firstInstallment) {
+          await this._learnChoice(suggestion, categoryId, { description, amount, date });
+        }
+
+        return firstInstallment;
+      }
+
+      const transactionData = {
         userId: this.user.id,
         type,
         categoryId,
+        accountId: selectedAccount ? selectedAccount.id : null,
         amount,
         description,
-        date
-      });
+        date,
+        status,
+        tags,
+        payeeId: payee ? payee.id : null
+      };
+
+      let result = await this.createTransactionUseCase.execute(transactionData);
+
+      // Parecida com uma transação já registrada: confirmar antes de salvar
+      if (!result.success && result.duplicates) {
+        if (!(await this._confirmDuplicate(result.duplicates))) {
+          return null;
+        }
+
+        result = await this.createTransactionUseCase.execute({ ...transactionData, allowDuplicate: true });
+      }
 
       clearScreen();
 
       if (result.success) {
+        await this._learnChoice(suggestion, categoryId, { description, amount, date });
+
         console.log('\n');
         console.log(createBox(
           `${icons.success} TRANSAÇÃO CRIADA COM SUCESSO!\n\n` +
-          `${result.transaction.getSummary()}`,
+          `${result.transaction.getSummary()}` +
+          (result.transaction.tags.length > 0 ? `\n${colors.textDim(result.transaction.getTagsLabel())}` : '') +
+          (result.appliedRules && result.appliedRules.length > 0
+            ? `\n${colors.textDim(`🤖 Regra(s) aplicada(s): ${result.appliedRules.map(rule => rule.priority).join(', ')}`)}`
+            : ''),
           { borderColor: 'green', padding: 2 }
         ));
         console.log('\n');
@@ -290,6 +479,31 @@ export class AddTransactionForm {
     }
   }
 
+  /**
+   * Mostra as transações parecidas já registradas e pergunta se salva mesmo assim
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _confirmDuplicate(duplicates) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} POSSÍVEL TRANSAÇÃO DUPLICADA\n\n` +
+      'Já existe(m) transação(ões) com o mesmo valor, data próxima e descrição parecida:\n\n' +
+      duplicates.map(transaction => `  ${transaction.getSummary()}`).join('\n'),
+      { borderColor: 'yellow', padding: 2 }
+    ));
+    console.log('\n');
+
+    return await QuickMenu.selectWithIcons(
+      'Salvar mesmo assim?',
+      [
+        { name: 'Não, descartar', value: false, icon: '❌', color: 'gray' },
+        { name: 'Sim, é outra transação', value: true, icon: '✅', color: 'green' }
+      ]
+    );
+  }
+
   /**
    * Carrega categorias do tipo especificado
    * @private
@@ -306,4 +520,121 @@ export class AddTransactionForm {
 
     return result.categories;
   }
+
+  /**
+   * Categoria mais provável pelo histórico do usuário (a data ainda não foi
+   * escolhida nesse passo, então vale o dia da semana de hoje)
+   * @private
+   * @returns {Promise<{categoryId: number, confidence: number}|null>}
+   */
+  async _suggestCategory(type, categories, description, amount) {
+    if (!this.suggestCategoryUseCase) {
+      return null;
+    }
+
+    const result = await this.suggestCategoryUseCase.execute(this.user.id, {
+      type,
+      description,
+      amount,
+      date: new Date(),
+      categoryIds: categories.map(category => category.id)
+    });
+
+    return result.success && result.suggestions.length > 0 ? result.suggestions[0] : null;
+  }
+
+  /**
+   * Ensina o modelo com a categoria escolhida no lugar da sugerida
+   * @private
+   */
+  async _learnChoice(suggestion, categoryId, transactionData) {
+    if (!suggestion || !this.learnCategoryChoiceUseCase) {
+      return;
+    }
+
+    await this.learnCategoryChoiceUseCase.execute(this.user.id, {
+      ...transactionData,
+      suggestedCategoryId: suggestion.categoryId,
+      categoryId
+    });
+  }
+
+  /**
+   * Fatura do cartão em que a compra vai entrar
+   * @private
+   */
+  _statementHint(account, date) {
+    const { closingDate, dueDate } = account.getStatementDates(date);
+    const format = (d) => `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+
+    return `💳 Fatura: ${colors.bold(`fecha ${format(closingDate)}, vence ${format(dueDate)}`)}\n`;
+  }
+
+  /**
+   * Valor e datas das parcelas de uma compra parcelada
+   * @private
+   */
+  _installmentsHint(totalAmount, installmentCount, date) {
+    const plan = new InstallmentPlan({ totalAmount, installmentCount, date });
+    const dates = plan.getInstallmentDates();
+    const last = dates[dates.length - 1];
+    const format = (d) => `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+
+    return `🧾 Parcelas: ${colors.bold(plan.getInstallmentsLabel())} ${colors.textDim(`(última em ${format(last)})`)}\n`;
+  }
+
+  /**
+   * Registra a compra parcelada e exibe o resultado
+   * @private
+   * @returns {Promise<Transaction|null>} Primeira parcela
+   */
+  async _saveInstallmentPlan(planData) {
+    const result = await this.createInstallmentPlanUseCase.execute(this.user.id, planData);
+
+    clearScreen();
+    console.log('\n');
+
+    if (!result.success) {
+      console.log(createBox(
+        `${icons.error} ERRO AO REGISTRAR COMPRA PARCELADA\n\n` +
+        result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+      console.log('\n');
+      await Input.pressKey();
+      return null;
+    }
+
+    const { plan } = result;
+    const first = plan.installments[0];
+    const last = plan.installments[plan.installments.length - 1];
+
+    console.log(createBox(
+      `${icons.success} COMPRA PARCELADA REGISTRADA!\n\n` +
+      `${plan.getSummary()}\n\n` +
+      colors.textDim(`${plan.installments.length} parcelas lançadas: de ${first.getFormattedDate()} a ${last.getFormattedDate()}`),
+      { borderColor: 'green', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+    return first;
+  }
+
+  /**
+   * Carrega as contas ativas do usuário
+   * @private
+   */
+  async _loadAccounts() {
+    if (!this.listAccountsUseCase) {
+      return [];
+    }
+
+    const result = await this.listAccountsUseCase.execute(this.user.id);
+
+    if (!result.success) {
+      return [];
+    }
+
+    return result.accounts;
+  }
 }
@@ -0,0 +1,194 @@
+import os from 'os';
+import { Input } from './Input.js';
+import { QuickMenu } from './QuickMenu.js';
+import {
+  clearScreen,
+  createBox
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { MAX_ATTACHMENTS_PER_TRANSACTION } from '../../../domain/entities/Attachment.js';
+
+/**
+ * Componente: Anexos de uma transação
+ *
+ * Anexa arquivos locais (fotos de recibos, notas fiscais em PDF), mostra onde
+ * estão e o link de download e remove os que não servem mais.
+ */
+export class AttachmentManager {
+  constructor(user, transactionUseCases) {
+    this.user = user;
+    this.addAttachmentUseCase = transactionUseCases.addAttachmentUseCase;
+    this.listAttachmentsUseCase = transactionUseCases.listAttachmentsUseCase;
+    this.removeAttachmentUseCase = transactionUseCases.removeAttachmentUseCase;
+    this.getAttachmentFileUseCase = transactionUseCases.getAttachmentFileUseCase;
+  }
+
+  /**
+   * Gerencia os anexos até o usuário voltar
+   * @param {Transaction} transaction
+   */
+  async show(transaction) {
+    while (true) {
+      const result = await this.listAttachmentsUseCase.execute(this.user.id, transaction.id);
+
+      clearScreen();
+      console.log('\n');
+
+      if (!result.success) {
+        console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+        await Input.pressKey();
+        return;
+      }
+
+      const attachments = result.attachments;
+
+      console.log(createBox(
+        `📎 ANEXOS\n\n${transaction.getSummary()}\n\n` +
+        (attachments.length > 0
+          ? attachments.map(attachment => attachment.getSummary()).join('\n')
+          : colors.textDim('Nenhum arquivo anexado')),
+        { borderColor: 'cyan', padding: 1 }
+      ));
+      console.log('\n');
+
+      const actions = [];
+
+      if (attachments.length < MAX_ATTACHMENTS_PER_TRANSACTION) {
+        actions.push({ name: 'Anexar Arquivo', value: 'add', icon: '➕', color: 'green' });
+      }
+
+      if (attachments.length > 0) {
+        actions.push({ name: 'Abrir Anexo', value: 'open', icon: '👁️', color: 'cyan' });
+        actions.push({ name: 'Remover Anexo', value: 'remove', icon: '🗑️', color: 'red' });
+      }
+
+      actions.push({ name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' });
+
+      const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+
+      if (action === 'add') {
+        await this._add(transaction);
+      } else if (action === 'open') {
+        await this._open(attachments);
+      } else if (action === 'remove') {
+        await this._remove(attachments);
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Anexa um arquivo pelo caminho
+   * @private
+   */
+  async _add(transaction) {
+    console.log(colors.info('\n📎 Caminho do arquivo (foto do recibo ou PDF):\n'));
+    console.log(colors.textDim('  Ex: ~/Downloads/recibo.jpg (pode arrastar o arquivo para o terminal)\n'));
+
+    const input = await Input.prompt('Arquivo:');
+    const filePath = this._normalizePath(input);
+
+    if (!filePath) {
+      return;
+    }
+
+    console.log(colors.info('\n⏳ Anexando arquivo...\n'));
+
+    const result = await this.addAttachmentUseCase.execute(this.user.id, transaction.id, filePath);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} ARQUIVO ANEXADO!\n\n${result.attachment.getSummary()}`
+        : `${icons.error} ERRO AO ANEXAR ARQUIVO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Mostra onde está o arquivo de um anexo e o link de download
+   * @private
+   */
+  async _open(attachments) {
+    const attachmentId = await this._select('Abrir qual anexo?', attachments);
+
+    if (!attachmentId) {
+      return;
+    }
+
+    const result = await this.getAttachmentFileUseCase.execute(this.user.id, attachmentId);
+
+    clearScreen();
+    console.log('\n');
+
+    if (result.success) {
+      console.log(createBox(
+        `${result.attachment.getSummary()}\n\n` +
+        `📂 Arquivo: ${colors.bold(result.filePath)}` +
+        (result.url ? `\n🔗 Link: ${colors.info(result.url)}` : ''),
+        { borderColor: 'cyan', padding: 1 }
+      ));
+    } else {
+      console.log(createBox(
+        `${icons.error} ERRO AO ABRIR ANEXO\n\n` + result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Remove um anexo
+   * @private
+   */
+  async _remove(attachments) {
+    const attachmentId = await this._select('Remover qual anexo?', attachments);
+
+    if (!attachmentId) {
+      return;
+    }
+
+    const result = await this.removeAttachmentUseCase.execute(this.user.id, attachmentId);
+
+    if (!result.success) {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Escolhe um dos anexos
+   * @private
+   */
+  async _select(title, attachments) {
+    return QuickMenu.selectWithIcons(
+      title,
+      [
+        ...attachments.map(attachment => ({
+          name: attachment.getSummary().replace(/^\S+ /, ''),
+          value: attachment.id,
+          icon: attachment.getIcon(),
+          color: 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+  }
+
+  /**
+   * Caminho digitado ou arrastado para o terminal: sem aspas, sem os escapes
+   * de espaço e com ~ expandido para a pasta do usuário
+   * @private
+   */
+  _normalizePath(input) {
+    const trimmed = String(input || '').trim().replace(/^(['"])(.*)\1$/, '$2').replace(/\\ /g, ' ');
+
+    return trimmed.startsWith('~') ? os.homedir() + trimmed.slice(1) : trimmed;
+  }
+}
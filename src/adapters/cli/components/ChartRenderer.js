@@ -232,6 +232,33 @@ export class ChartRenderer {
     return output;
   }
 
+  /**
+   * Renderiza o saldo de cada conta, com o total no final
+   * @param {Array} accounts - Lista de contas ({name, icon, balance})
+   * @returns {string}
+   */
+  static renderAccountBalances(accounts) {
+    if (!accounts || accounts.length === 0) {
+      return chalk.dim('Nenhuma conta cadastrada');
+    }
+
+    const lines = accounts.map(account => {
+      const icon = account.icon || '💼';
+      const name = (account.name || 'Sem nome').padEnd(20);
+      const value = this._formatSignedCurrency(account.balance || 0).padStart(15);
+
+      return `${icon} ${name} ${account.balance < 0 ? colors.error(value) : chalk.white(value)}`;
+    });
+
+    const total = accounts.reduce((sum, account) => sum + (account.balance || 0), 0);
+    const totalValue = this._formatSignedCurrency(total).padStart(15);
+
+    lines.push(chalk.gray('─'.repeat(39)));
+    lines.push(`   ${chalk.bold('Total'.padEnd(20))} ${total < 0 ? colors.error.bold(totalValue) : chalk.bold(totalValue)}`);
+
+    return lines.join('\n');
+  }
+
   /**
    * Renderiza card de resumo (box com informações)
    * @param {string} title - Título do card
@@ -299,6 +326,14 @@ export class ChartRenderer {
     return `R$ ${parts.join(',')}`;
   }
 
+  /**
+   * Formata valor monetário mantendo o sinal negativo
+   * @private
+   */
+  static _formatSignedCurrency(value) {
+    return `${value < 0 ? '-' : ''}${this._formatCurrency(value)}`;
+  }
+
   /**
    * Retorna cor da barra baseado na posição
    * @private
@@ -7,20 +7,42 @@ import { colors, icons } from '../utils/colors.js';
 export class Input {
   /**
    * Input de texto simples
+   * @param {string} message
+   * @param {string|Object} defaultValue - Valor padrão ou { default, validate }
    */
   static async text(message, defaultValue = '') {
+    const options = typeof defaultValue === 'object' ? defaultValue : { default: defaultValue };
+
     const answer = await inquirer.prompt([
       {
         type: 'input',
         name: 'value',
         message,
-        default: defaultValue
+        default: options.default,
+        validate: options.validate
       }
     ]);
 
     return answer.value;
   }
 
+  /**
+   * Input de texto livre (retorna string vazia quando não preenchido)
+   * @param {string} message
+   * @returns {Promise<string>}
+   */
+  static async prompt(message) {
+    const answer = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message
+      }
+    ]);
+
+    return (answer.value || '').trim();
+  }
+
   /**
    * Input de email
    */
@@ -104,6 +126,46 @@ export class Input {
     return answer.selected;
   }
 
+  /**
+   * Seleção múltipla (espaço marca/desmarca, "a" marca todas, Enter conclui)
+   * @param {string} message
+   * @param {Array<{name, value, checked?, disabled?}>} choices
+   * @returns {Promise<Array>} Valores das opções marcadas
+   */
+  static async checkbox(message, choices) {
+    const answer = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message,
+        choices,
+        pageSize: 12
+      }
+    ]);
+
+    return answer.selected;
+  }
+
+  /**
+   * Input com autocompletar: as opções são recalculadas a cada tecla digitada
+   * @param {string} message
+   * @param {Function} source - (term: string) => Array<{name, value, description?, disabled?}>
+   * @returns {Promise<*>} Valor da opção escolhida
+   */
+  static async autocomplete(message, source) {
+    const answer = await inquirer.prompt([
+      {
+        type: 'search',
+        name: 'value',
+        message,
+        source: async (term) => source(term || ''),
+        pageSize: 8
+      }
+    ]);
+
+    return answer.value;
+  }
+
   /**
    * Confirmação sim/não
    */
@@ -122,8 +184,13 @@ export class Input {
 
   /**
    * Input numérico
+   * @param {string} message
+   * @param {number|Object} min - Valor mínimo ou { min, max, validate }
+   * @param {number} max - Valor máximo
    */
   static async number(message, min = 0, max = Infinity) {
+    const options = typeof min === 'object' ? { min: 0, max: Infinity, ...min } : { min, max };
+
     const answer = await inquirer.prompt([
       {
         type: 'number',
@@ -133,10 +200,10 @@ export class Input {
           if (isNaN(input)) {
             return 'Por favor, insira um número válido';
           }
-          if (input < min || input > max) {
-            return `O valor deve estar entre ${min} e ${max}`;
+          if (input < options.min || input > options.max) {
+            return `O valor deve estar entre ${options.min} e ${options.max}`;
           }
-          return true;
+          return options.validate ? options.validate(input) : true;
         }
       }
     ]);
@@ -144,6 +211,41 @@ export class Input {
     return answer.value;
   }
 
+  /**
+   * Input de data no formato DD/MM/AAAA
+   * @param {string} message
+   * @param {Object} options - { validate: (date: Date) => true|string }
+   * @returns {Promise<Date>}
+   */
+  static async date(message, options = {}) {
+    const parse = (input) => {
+      const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(input.trim());
+      if (!match) return null;
+
+      const [, day, month, year] = match.map(Number);
+      const date = new Date(year, month - 1, day);
+
+      return date.getMonth() === month - 1 ? date : null;
+    };
+
+    const answer = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message,
+        validate: (input) => {
+          const date = parse(input);
+          if (!date) {
+            return 'Data inválida. Use o formato DD/MM/AAAA';
+          }
+          return options.validate ? options.validate(date) : true;
+        }
+      }
+    ]);
+
+    return parse(answer.value);
+  }
+
   /**
    * Pressione qualquer tecla para continuar
    */
@@ -156,6 +258,13 @@ export class Input {
       }
     ]);
   }
+
+  /**
+   * Pausa até o usuário pressionar ENTER (alias de pressKey)
+   */
+  static async pause(message) {
+    await Input.pressKey(message);
+  }
 }
 
 export default Input;
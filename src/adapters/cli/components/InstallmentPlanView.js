@@ -0,0 +1,364 @@
+import { Input } from './Input.js';
+import { QuickMenu } from './QuickMenu.js';
+import {
+  clearScreen,
+  createBox
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+
+/**
+ * Componente: Parcelas de uma compra parcelada, com as ações em grupo
+ * (alterar ou cancelar as parcelas restantes, deletar o parcelamento)
+ */
+export class InstallmentPlanView {
+  constructor(user, transactionUseCases, categoryUseCases = null, accountUseCases = null) {
+    this.user = user;
+    this.getInstallmentPlanUseCase = transactionUseCases.getInstallmentPlanUseCase;
+    this.updateRemainingInstallmentsUseCase = transactionUseCases.updateRemainingInstallmentsUseCase;
+    this.cancelRemainingInstallmentsUseCase = transactionUseCases.cancelRemainingInstallmentsUseCase;
+    this.deleteInstallmentPlanUseCase = transactionUseCases.deleteInstallmentPlanUseCase;
+    this.listCategoriesUseCase = categoryUseCases ? categoryUseCases.listCategoriesUseCase : null;
+    this.listAccountsUseCase = accountUseCases ? accountUseCases.listAccounts : null;
+  }
+
+  /**
+   * Exibe o parcelamento até o usuário voltar (ou deletar o parcelamento)
+   * @param {number} planId
+   */
+  async show(planId) {
+    try {
+      while (true) {
+        const result = await this.getInstallmentPlanUseCase.execute(this.user.id, planId);
+
+        clearScreen();
+
+        if (!result.success) {
+          console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+          await Input.pressKey();
+          return;
+        }
+
+        const plan = result.plan;
+        const remaining = plan.getRemainingInstallments();
+
+        this._renderPlan(plan, remaining);
+
+        const actions = [];
+
+        if (remaining.length > 0) {
+          actions.push(
+            { name: 'Alterar Parcelas Restantes', value: 'edit', icon: '✏️', color: 'blue' },
+            { name: 'Cancelar Parcelas Restantes', value: 'cancel', icon: '✂️', color: 'yellow' }
+          );
+        }
+
+        actions.push(
+          { name: 'Deletar Parcelamento', value: 'delete', icon: '🗑️', color: 'red' },
+          { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+        );
+
+        const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+
+        if (action === 'edit') {
+          await this._editRemaining(plan, remaining);
+        } else if (action === 'cancel') {
+          await this._cancelRemaining(plan, remaining);
+        } else if (action === 'delete') {
+          if (await this._deletePlan(plan)) return;
+        } else {
+          return;
+        }
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Resumo do parcelamento e tabela das parcelas
+   * @private
+   */
+  _renderPlan(plan, remaining) {
+    console.log('\n');
+    console.log(createBox(
+      '🧾 COMPRA PARCELADA\n\n' +
+      `${plan.getSummary()}\n\n` +
+      `${plan.categoryIcon || '📁'} Categoria: ${colors.bold(plan.categoryName || 'Sem categoria')}\n` +
+      `${plan.accountIcon || '🏦'} Conta: ${colors.bold(plan.accountName || '-')}\n` +
+      `📅 Compra em: ${colors.bold(this._formatDate(plan.date))}\n` +
+      `⏳ A vencer: ${colors.bold(`${remaining.length} parcela(s) | R$ ${this._formatMoney(plan.getRemainingAmount())}`)}`,
+      { borderColor: plan.isCancelled() ? 'yellow' : 'magenta', padding: 1 }
+    ));
+    console.log('\n');
+
+    const remainingIds = new Set(remaining.map(installment => installment.id));
+
+    console.log(colors.bold('┌─────────┬─────────────┬──────────────┬──────────────┐'));
+    console.log(colors.bold('│ Parcela │ Data        │ Valor        │ Situação     │'));
+    console.log(colors.bold('├─────────┼─────────────┼──────────────┼──────────────┤'));
+
+    plan.installments.forEach(installment => {
+      const status = remainingIds.has(installment.id) ? '🗓️ A vencer' : '✅ Lançada';
+
+      console.log(
+        `│ ${this._pad(installment.getInstallmentLabel(), 7)} │ ${this._pad(installment.getFormattedDate(), 11)} │ ` +
+        `${this._pad(installment.getFormattedAmount(), 12)} │ ${this._pad(status, 11)} │`
+      );
+    });
+
+    console.log(colors.bold('└─────────┴─────────────┴──────────────┴──────────────┘'));
+    console.log('\n');
+  }
+
+  /**
+   * Altera valor, descrição, categoria e conta das parcelas restantes
+   * @private
+   */
+  async _editRemaining(plan, remaining) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `✏️  ALTERAR PARCELAS RESTANTES\n${colors.textDim(`${remaining.length} parcela(s) a vencer; as já lançadas não mudam`)}`,
+      { borderColor: 'blue', padding: 1 }
+    ));
+    console.log('\n');
+
+    const currentAmount = remaining[remaining.length - 1].amount;
+    const amountInput = await Input.text('💰 Valor de cada parcela (R$)', {
+      default: currentAmount.toFixed(2).replace('.', ','),
+      validate: (input) => {
+        const amount = parseFloat(String(input).replace(',', '.'));
+        return isNaN(amount) || amount <= 0 ? 'Valor inválido! Deve ser maior que zero.' : true;
+      }
+    });
+    const amount = parseFloat(String(amountInput).replace(',', '.'));
+
+    const description = await Input.text('📝 Descrição', {
+      default: plan.description,
+      validate: (input) => input.length <= 200 || 'Descrição muito longa! Máximo 200 caracteres.'
+    });
+
+    const category = await this._selectCategory(plan.categoryId);
+    if (category === null) return; // Cancelado
+
+    const account = await this._selectAccount(plan.accountId);
+    if (account === null) return;
+
+    const result = await this.updateRemainingInstallmentsUseCase.execute(this.user.id, plan.id, {
+      amount: amount !== currentAmount ? amount : undefined,
+      description: description.trim(),
+      categoryId: category ? category.id : undefined,
+      accountId: account ? account.id : undefined
+    });
+
+    clearScreen();
+    console.log('\n');
+
+    if (result.success) {
+      console.log(createBox(
+        `${icons.success} ${result.updatedCount} PARCELA(S) ALTERADA(S)!\n\n${result.plan.getSummary()}`,
+        { borderColor: 'green', padding: 2 }
+      ));
+    } else {
+      console.log(createBox(
+        `${icons.error} ERRO AO ALTERAR PARCELAS\n\n` + result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Cancela as parcelas que ainda não venceram
+   * @private
+   */
+  async _cancelRemaining(plan, remaining) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CANCELAR PARCELAS RESTANTES\n\n` +
+      `${plan.getSummary()}\n\n` +
+      `${remaining.length} parcela(s) a vencer (R$ ${this._formatMoney(plan.getRemainingAmount())}) serão removidas.\n` +
+      colors.textDim('As parcelas já lançadas continuam no histórico.'),
+      { borderColor: 'yellow', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, cancelar as parcelas', value: true, icon: '✅', color: 'yellow' },
+        { name: 'Não, manter', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return;
+    }
+
+    const result = await this.cancelRemainingInstallmentsUseCase.execute(this.user.id, plan.id);
+
+    clearScreen();
+    console.log('\n');
+
+    if (result.success) {
+      console.log(createBox(
+        `${icons.success} ${result.cancelledCount} PARCELA(S) CANCELADA(S)!\n\n` +
+        `R$ ${this._formatMoney(result.cancelledAmount)} deixaram de ser lançados`,
+        { borderColor: 'green', padding: 2 }
+      ));
+    } else {
+      console.log(createBox(
+        `${icons.error} ERRO AO CANCELAR PARCELAS\n\n` + result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Deleta o parcelamento inteiro
+   * @private
+   * @returns {Promise<boolean>} true se deletado
+   */
+  async _deletePlan(plan) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR EXCLUSÃO\n\n` +
+      `${plan.getSummary()}\n\n` +
+      colors.warning(`Todas as ${plan.installments.length} parcelas serão removidas, inclusive as já lançadas`),
+      { borderColor: 'red', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, deletar', value: true, icon: '✅', color: 'red' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return false;
+    }
+
+    const result = await this.deleteInstallmentPlanUseCase.execute(this.user.id, plan.id);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} PARCELAMENTO DELETADO COM SUCESSO!`
+        : `${icons.error} ERRO AO DELETAR PARCELAMENTO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+
+    return result.success;
+  }
+
+  /**
+   * Seleciona a categoria de despesa (a atual aparece primeiro)
+   * @private
+   * @returns {Promise<Category|undefined|null>} undefined = sem lista de categorias, null = cancelado
+   */
+  async _selectCategory(currentId) {
+    if (!this.listCategoriesUseCase) {
+      return undefined;
+    }
+
+    const result = await this.listCategoriesUseCase.execute({ userId: this.user.id, type: 'expense' });
+
+    if (!result.success || result.categories.length === 0) {
+      return undefined;
+    }
+
+    const sorted = [...result.categories].sort((a, b) =>
+      Number(b.id === currentId) - Number(a.id === currentId)
+    );
+
+    const categoryId = await QuickMenu.selectWithIcons(
+      '📂 Categoria',
+      [
+        ...sorted.map(category => ({
+          name: category.name,
+          value: category.id,
+          icon: category.icon || '📁',
+          color: category.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return sorted.find(category => category.id === categoryId) || null;
+  }
+
+  /**
+   * Seleciona a conta (a atual aparece primeiro; só pergunta se houver mais de uma)
+   * @private
+   * @returns {Promise<Account|undefined|null>} undefined = nada a escolher, null = cancelado
+   */
+  async _selectAccount(currentId) {
+    if (!this.listAccountsUseCase) {
+      return undefined;
+    }
+
+    const result = await this.listAccountsUseCase.execute(this.user.id);
+
+    if (!result.success || result.accounts.length <= 1) {
+      return undefined;
+    }
+
+    const sorted = [...result.accounts].sort((a, b) =>
+      Number(b.id === currentId) - Number(a.id === currentId)
+    );
+
+    const accountId = await QuickMenu.selectWithIcons(
+      `${icons.bank} Conta`,
+      [
+        ...sorted.map(account => ({
+          name: `${account.name} ${colors.textDim(`(${account.getFormattedBalance()})`)}`,
+          value: account.id,
+          icon: account.icon,
+          color: account.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return sorted.find(account => account.id === accountId) || null;
+  }
+
+  /**
+   * Formata uma data como DD/MM/YYYY
+   * @private
+   */
+  _formatDate(date) {
+    return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+  }
+
+  /**
+   * Formata valor monetário
+   * @private
+   */
+  _formatMoney(value) {
+    return value.toFixed(2).replace('.', ',').replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+  }
+
+  /**
+   * Adiciona padding em string
+   * @private
+   */
+  _pad(str, length) {
+    const s = String(str);
+    return s + ' '.repeat(Math.max(0, length - s.length));
+  }
+}
@@ -0,0 +1,125 @@
+import { Input } from './Input.js';
+import { colors } from '../utils/colors.js';
+import { Payee, MAX_PAYEE_NAME_LENGTH } from '../../../domain/entities/Payee.js';
+
+/**
+ * Tamanho máximo da descrição de uma transação
+ */
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Componente: Descrição da transação com autocompletar de favorecidos
+ *
+ * A cada tecla os favorecidos cujo nome ou apelido contém o texto digitado
+ * são sugeridos (os mais usados primeiro). Enter mantém o texto digitado como
+ * descrição, já vinculado ao favorecido que corresponde a ele, se houver; um
+ * texto novo pode virar um favorecido na hora.
+ */
+export class PayeeInput {
+  constructor(user, listPayeesUseCase = null, createPayeeUseCase = null) {
+    this.user = user;
+    this.listPayeesUseCase = listPayeesUseCase;
+    this.createPayeeUseCase = createPayeeUseCase;
+  }
+
+  /**
+   * Pergunta a descrição
+   * @returns {Promise<{description: string, payee: Payee|null}>}
+   */
+  async ask() {
+    if (!this.listPayeesUseCase) {
+      return { description: await Input.prompt('Descrição: '), payee: null };
+    }
+
+    const payees = await this._loadPayees();
+
+    console.log(colors.textDim('  Digite para buscar um favorecido (ex: iFood); Enter mantém o texto digitado\n'));
+
+    const choice = await Input.autocomplete(
+      '📝 Descrição:',
+      term => this._suggestions(term.trim(), payees)
+    );
+
+    if (choice.action === 'create') {
+      return this._create(choice.description);
+    }
+
+    return { description: choice.description, payee: choice.payee || null };
+  }
+
+  /**
+   * Opções do autocompletar para o texto digitado
+   * @private
+   */
+  _suggestions(term, payees) {
+    // Sem texto: sem descrição ou um dos favorecidos mais usados
+    if (!term) {
+      return [
+        { name: '✔ Sem descrição', value: { description: '' } },
+        ...payees.slice(0, 5).map(payee => this._payeeChoice(payee))
+      ];
+    }
+
+    if (term.length > MAX_DESCRIPTION_LENGTH) {
+      return [{ name: `Descrição muito longa! Máximo ${MAX_DESCRIPTION_LENGTH} caracteres.`, value: null, disabled: true }];
+    }
+
+    // O texto digitado (com o favorecido que corresponde a ele), depois os
+    // favorecidos cujo nome ou apelido contém o texto
+    const match = Payee.findMatch(payees, term);
+    const choices = [{
+      name: `📝 Usar "${term}"` + (match ? ` ${colors.textDim(`(🏪 ${match.name})`)}` : ''),
+      value: { description: term, payee: match }
+    }];
+
+    payees
+      .filter(payee => payee !== match && payee.matchesSearch(term))
+      .forEach(payee => choices.push(this._payeeChoice(payee)));
+
+    if (!match && this.createPayeeUseCase && term.length <= MAX_PAYEE_NAME_LENGTH) {
+      choices.push({ name: `➕ Cadastrar favorecido "${term}"`, value: { action: 'create', description: term } });
+    }
+
+    return choices;
+  }
+
+  /**
+   * Opção de um favorecido existente
+   * @private
+   */
+  _payeeChoice(payee) {
+    const aliases = payee.aliases.length > 0 ? ` ${colors.textDim(`(${payee.getAliasesLabel()})`)}` : '';
+
+    return {
+      name: `🏪 ${payee.name}${aliases}`,
+      value: { description: payee.name, payee }
+    };
+  }
+
+  /**
+   * Cadastra o texto digitado como favorecido
+   * @private
+   */
+  async _create(name) {
+    const result = await this.createPayeeUseCase.execute(this.user.id, { name });
+
+    if (!result.success) {
+      console.log(colors.warning(`\n⚠️  ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return { description: name, payee: null };
+    }
+
+    console.log(colors.success(`\n✅ Favorecido "${result.payee.name}" cadastrado!\n`));
+    return { description: name, payee: result.payee };
+  }
+
+  /**
+   * Carrega os favorecidos do usuário (dos mais usados para os menos usados)
+   * @private
+   */
+  async _loadPayees() {
+    const result = await this.listPayeesUseCase.execute(this.user.id);
+
+    return result.success ? result.payees : [];
+  }
+}
@@ -7,7 +7,7 @@ const term = terminalKit.terminal;
  */
 export class QuickMenu {
   /**
-   * Exibe menu com seleção por números (1-9)
+   * Exibe menu com seleção por números
    * @param {string} titulo - Título do menu
    * @param {Array} opcoes - Array de opções {name, value}
    * @returns {Promise<string>} Valor da opção selecionada
@@ -38,26 +38,12 @@ export class QuickMenu {
         term.removeListener('key', keyHandler);
       };
 
-      const keyHandler = (name, _matches, _data) => {
-        // CTRL+C para sair
-        if (name === 'CTRL_C') {
-          cleanup();
-          term('\n\n');
-          term.red('👋 Saindo...\n\n');
-          process.exit(0);
-        }
-
-        // Verificar se é um número válido
-        const num = parseInt(name);
-
-        if (!isNaN(num) && num >= 1 && num <= opcoes.length) {
-          cleanup();
-          term.green('✓');
-          term('\n\n');
-          resolve(opcoes[num - 1].value);
-        }
-        // Ignora outras teclas silenciosamente
-      };
+      const keyHandler = this._createNumberHandler(opcoes.length, (num) => {
+        cleanup();
+        term.green('✓');
+        term('\n\n');
+        resolve(opcoes[num - 1].value);
+      }, cleanup);
 
       term.on('key', keyHandler);
 
@@ -73,9 +59,10 @@ export class QuickMenu {
    * Exibe menu com opções coloridas e ícones
    * @param {string} titulo - Título do menu
    * @param {Array} opcoes - Array de opções {name, value, icon, color}
+   * @param {Object} [options] - { defaultValue } (opção escolhida com ENTER)
    * @returns {Promise<string>} Valor da opção selecionada
    */
-  static async selectWithIcons(titulo, opcoes) {
+  static async selectWithIcons(titulo, opcoes, { defaultValue } = {}) {
     return new Promise((resolve, reject) => {
       term.clear();
       term('\n');
@@ -138,8 +125,12 @@ export class QuickMenu {
         }
       });
 
+      const defaultIndex = defaultValue === undefined
+        ? -1
+        : opcoes.findIndex(opcao => opcao.value === defaultValue);
+
       term('\n');
-      term.dim('Pressione o número: ');
+      term.dim(defaultIndex >= 0 ? `Pressione o número (ENTER = ${defaultIndex + 1}): ` : 'Pressione o número: ');
 
       term.grabInput({ mouse: false });
 
@@ -148,23 +139,12 @@ export class QuickMenu {
         term.removeListener('key', keyHandler);
       };
 
-      const keyHandler = (name) => {
-        if (name === 'CTRL_C') {
-          cleanup();
-          term('\n\n');
-          term.red('👋 Saindo...\n\n');
-          process.exit(0);
-        }
-
-        const num = parseInt(name);
-
-        if (!isNaN(num) && num >= 1 && num <= opcoes.length) {
-          cleanup();
-          term.green('✓');
-          term('\n\n');
-          resolve(opcoes[num - 1].value);
-        }
-      };
+      const keyHandler = this._createNumberHandler(opcoes.length, (num) => {
+        cleanup();
+        term.green('✓');
+        term('\n\n');
+        resolve(opcoes[num - 1].value);
+      }, cleanup, defaultIndex >= 0 ? defaultIndex + 1 : null);
 
       term.on('key', keyHandler);
 
@@ -175,6 +155,70 @@ export class QuickMenu {
     });
   }
 
+  /**
+   * Cria o handler de teclas que converte números em opções
+   *
+   * Com até 9 opções, a seleção é instantânea. Com mais opções, os dígitos
+   * são acumulados: a escolha é confirmada quando nenhuma opção maior
+   * começa com o número digitado, com ENTER ou após uma breve pausa.
+   * @param {number} total - Quantidade de opções
+   * @param {Function} onSelect - (numero) => void
+   * @param {Function} cleanup - Libera o teclado
+   * @param {number|null} [defaultNumber] - Opção escolhida com ENTER sem dígitos
+   * @returns {Function} Handler do evento 'key'
+   * @private
+   */
+  static _createNumberHandler(total, onSelect, cleanup, defaultNumber = null) {
+    let buffer = '';
+    let timer = null;
+
+    const commit = () => {
+      clearTimeout(timer);
+      const num = parseInt(buffer);
+      buffer = '';
+
+      if (!isNaN(num) && num >= 1 && num <= total) {
+        onSelect(num);
+      }
+    };
+
+    return (name) => {
+      // CTRL+C para sair
+      if (name === 'CTRL_C') {
+        clearTimeout(timer);
+        cleanup();
+        term('\n\n');
+        term.red('👋 Saindo...\n\n');
+        process.exit(0);
+      }
+
+      if (name === 'ENTER' && buffer) {
+        commit();
+        return;
+      }
+
+      if (name === 'ENTER' && defaultNumber) {
+        onSelect(defaultNumber);
+        return;
+      }
+
+      // Ignora outras teclas silenciosamente
+      if (!/^[0-9]$/.test(name) || (buffer === '' && name === '0')) {
+        return;
+      }
+
+      buffer += name;
+      clearTimeout(timer);
+
+      // Confirma na hora se nenhuma opção maior começa com o que foi digitado
+      if (parseInt(buffer) * 10 > total) {
+        commit();
+      } else {
+        timer = setTimeout(commit, 800);
+      }
+    };
+  }
+
   /**
    * Limpa a tela
    */
@@ -23,7 +23,9 @@ export class ReportRenderer {
       'evolution': this.renderEvolutionReport.bind(this),
       'top': this.renderTopTransactionsReport.bind(this),
       'comparative': this.renderComparativeReport.bind(this),
-      'pattern': this.renderPatternAnalysisReport.bind(this)
+      'pattern': this.renderPatternAnalysisReport.bind(this),
+      'tag': this.renderTagReport.bind(this),
+      'payee': this.renderPayeeReport.bind(this)
     };
 
     const renderer = renderers[report.type];
@@ -213,8 +215,9 @@ export class ReportRenderer {
         const dateStr = `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
         const value = this._formatCurrency(t.amount);
         const desc = t.description || 'Sem descrição';
+        const split = t.split ? chalk.dim(' (dividida)') : '';
 
-        output += `${chalk.dim(dateStr)} - ${chalk.white(value.padStart(15))} - ${chalk.gray(desc.substring(0, 30))}\n`;
+        output += `${chalk.dim(dateStr)} - ${chalk.white(value.padStart(15))} - ${chalk.gray(desc.substring(0, 30))}${split}\n`;
       });
 
       if (data.transactions.length > 10) {
@@ -549,6 +552,99 @@ export class ReportRenderer {
     return output;
   }
 
+  /**
+   * Renderiza Relatório de Gastos por Tag
+   */
+  static renderTagReport(report) {
+    const { data, summary, period } = report;
+    let output = '';
+
+    // Cabeçalho
+    output += '\n' + createBox(
+      `🏷️  ${chalk.bold(report.getTitle())}\n${chalk.dim(period.label)}`,
+      { borderColor: '#667eea', padding: 1 }
+    ) + '\n\n';
+
+    if (!data.tags || data.tags.length === 0) {
+      output += chalk.yellow('Nenhuma despesa com tag no período selecionado.\n');
+      output += chalk.dim(`Total de despesas: ${this._formatCurrency(summary.totalExpense)} (${summary.expenseCount} transações)\n`);
+      return output;
+    }
+
+    // Totais por tag
+    output += ChartRenderer.renderSectionTitle('DESPESAS POR TAG', '🏷️') + '\n';
+
+    const maxValue = Math.max(...data.tags.map(tag => tag.total));
+
+    data.tags.forEach(tag => {
+      const label = `#${tag.name}`.substring(0, 20).padEnd(20);
+      const barLength = maxValue > 0 ? Math.round((tag.total / maxValue) * 20) : 0;
+      const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+      const value = this._formatCurrency(tag.total).padStart(14);
+      const details = chalk.dim(`${tag.percentage.toFixed(1)}% | ${tag.count} transações | média ${this._formatCurrency(tag.average)}`);
+
+      output += `${chalk.cyan(label)} ${chalk.magenta(bar)} ${chalk.red(value)} ${details}\n`;
+    });
+
+    output += '\n';
+
+    // Resumo
+    output += ChartRenderer.renderSectionTitle('RESUMO', '📊') + '\n';
+    output += `Total de Despesas:  ${chalk.red(this._formatCurrency(summary.totalExpense))} ${chalk.dim(`(${summary.expenseCount} transações)`)}\n`;
+    output += `Com Tags:           ${chalk.white(this._formatCurrency(summary.taggedTotal))} ${chalk.dim(`(${summary.tagCount} tags)`)}\n`;
+    output += `Sem Tags:           ${chalk.white(this._formatCurrency(data.untagged.total))} ${chalk.dim(`(${data.untagged.count} transações)`)}\n`;
+    output += chalk.dim('\nUma despesa com várias tags entra no total de cada uma delas.\n');
+
+    return output;
+  }
+
+  /**
+   * Renderiza Relatório de Gastos por Favorecido
+   */
+  static renderPayeeReport(report) {
+    const { data, summary, period } = report;
+    let output = '';
+
+    // Cabeçalho
+    output += '\n' + createBox(
+      `🏪 ${chalk.bold(report.getTitle())}\n${chalk.dim(period.label)}`,
+      { borderColor: '#667eea', padding: 1 }
+    ) + '\n\n';
+
+    if (!data.payees || data.payees.length === 0) {
+      output += chalk.yellow('Nenhuma despesa com favorecido no período selecionado.\n');
+      output += chalk.dim(`Total de despesas: ${this._formatCurrency(summary.totalExpense)} (${summary.expenseCount} transações)\n`);
+      return output;
+    }
+
+    // Ranking dos favorecidos
+    output += ChartRenderer.renderSectionTitle(`TOP ${data.payees.length} FAVORECIDOS`, '🏪') + '\n';
+
+    data.payees.forEach((payee, index) => {
+      const position = chalk.gray(`${index + 1}.`.padStart(3));
+      const name = payee.name.substring(0, 22).padEnd(22);
+      const value = this._formatCurrency(payee.total).padStart(14);
+      const lastDate = new Date(payee.lastDate);
+      const last = `${String(lastDate.getDate()).padStart(2, '0')}/${String(lastDate.getMonth() + 1).padStart(2, '0')}`;
+
+      output += `${position} ${chalk.cyan(name)} ${chalk.red(value)} ${chalk.dim(`${payee.percentage.toFixed(1)}%`)}\n`;
+      output += chalk.dim(
+        `      ${payee.count} transações | ${String(payee.frequency).replace('.', ',')}x/mês | ` +
+        `ticket médio ${this._formatCurrency(payee.average)} | última em ${last}`
+      ) + '\n';
+    });
+
+    output += '\n';
+
+    // Resumo
+    output += ChartRenderer.renderSectionTitle('RESUMO', '📊') + '\n';
+    output += `Total de Despesas:  ${chalk.red(this._formatCurrency(summary.totalExpense))} ${chalk.dim(`(${summary.expenseCount} transações)`)}\n`;
+    output += `Com Favorecido:     ${chalk.white(this._formatCurrency(summary.assignedTotal))} ${chalk.dim(`(${summary.payeeCount} favorecidos)`)}\n`;
+    output += `Sem Favorecido:     ${chalk.white(this._formatCurrency(data.unassigned.total))} ${chalk.dim(`(${data.unassigned.count} transações)`)}\n`;
+
+    return output;
+  }
+
   /**
    * Constrói uma linha de comparação para tabela
    * @private
@@ -0,0 +1,252 @@
+import { Input } from './Input.js';
+import { QuickMenu } from './QuickMenu.js';
+import {
+  clearScreen,
+  createBox
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { MAX_SPLIT_LINES } from '../../../domain/entities/Transaction.js';
+
+/**
+ * Componente: Divisão de uma transação entre categorias
+ *
+ * A categoria da transação é a linha principal e fica com o que sobra do
+ * valor total; o usuário só informa as outras categorias e os seus valores
+ * (ex: cupom do supermercado de R$ 300 = limpeza R$ 40 + farmácia R$ 25 e o
+ * restante em alimentação).
+ */
+export class SplitEditor {
+  constructor(user, transactionUseCases, categoryUseCases) {
+    this.user = user;
+    this.updateTransactionUseCase = transactionUseCases.updateTransactionUseCase;
+    this.listCategoriesUseCase = categoryUseCases.listCategoriesUseCase;
+  }
+
+  /**
+   * Edita a divisão até o usuário salvar ou cancelar
+   * @param {Transaction} transaction
+   * @returns {Promise<Transaction|null>} Transação atualizada (null se cancelado)
+   */
+  async show(transaction) {
+    const categories = await this._loadCategories(transaction.type);
+    const main = categories.find(category => category.id === transaction.categoryId) || {
+      id: transaction.categoryId,
+      name: transaction.categoryName,
+      icon: transaction.categoryIcon
+    };
+
+    // Linhas além da principal (a principal fica com o restante do valor)
+    const others = transaction.splits.slice(1).map(split => ({
+      categoryId: split.categoryId,
+      name: split.categoryName,
+      icon: split.categoryIcon,
+      amount: split.amount
+    }));
+
+    while (true) {
+      const remainder = this._remainder(transaction.amount, others);
+
+      this._render(transaction, main, others, remainder);
+
+      const actions = [];
+
+      if (others.length < MAX_SPLIT_LINES - 1 && remainder > 0.01) {
+        actions.push({ name: 'Adicionar Categoria', value: 'add', icon: '➕', color: 'green' });
+      }
+
+      if (others.length > 0) {
+        actions.push({ name: 'Remover Categoria', value: 'remove', icon: '➖', color: 'yellow' });
+      }
+
+      if (others.length > 0) {
+        actions.push({ name: 'Salvar Divisão', value: 'save', icon: '✅', color: 'cyan' });
+      } else if (transaction.isSplit()) {
+        actions.push({ name: 'Desfazer Divisão', value: 'save', icon: '↩️', color: 'cyan' });
+      }
+
+      actions.push({ name: 'Cancelar', value: 'back', icon: '❌', color: 'gray' });
+
+      const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+
+      if (action === 'add') {
+        await this._addLine(categories, main, others, remainder);
+      } else if (action === 'remove') {
+        await this._removeLine(others);
+      } else if (action === 'save') {
+        return await this._save(transaction, main, others, remainder);
+      } else {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Cabeçalho com a transação e as linhas da divisão
+   * @private
+   */
+  _render(transaction, main, others, remainder) {
+    clearScreen();
+    console.log('\n');
+
+    const lines = [
+      `${main.icon || '📁'} ${main.name} ${colors.textDim('(principal)')}: ${colors.bold(this._formatAmount(remainder))}`,
+      ...others.map(line => `${line.icon || '📁'} ${line.name}: ${colors.bold(this._formatAmount(line.amount))}`)
+    ];
+
+    console.log(createBox(
+      `✂️  DIVIDIR ENTRE CATEGORIAS\n\n${transaction.getSummary()}\n\n` +
+      `${lines.join('\n')}\n\n` +
+      colors.textDim(`Total: ${this._formatAmount(transaction.amount)} | a categoria principal fica com o restante`),
+      { borderColor: 'cyan', padding: 1 }
+    ));
+    console.log('\n');
+  }
+
+  /**
+   * Adiciona uma categoria com parte do valor (tirada da categoria principal)
+   * @private
+   */
+  async _addLine(categories, main, others, remainder) {
+    const used = [main.id, ...others.map(line => line.categoryId)];
+    const available = categories.filter(category => !used.includes(category.id));
+
+    if (available.length === 0) {
+      console.log(colors.warning('\n⚠️  Não há outras categorias deste tipo.\n'));
+      await Input.pressKey();
+      return;
+    }
+
+    const categoryId = await QuickMenu.selectWithIcons(
+      '📂 Categoria',
+      [
+        ...available.map(category => ({
+          name: category.name,
+          value: category.id,
+          icon: category.icon || '📁',
+          color: category.color || 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    if (!categoryId) {
+      return;
+    }
+
+    console.log(colors.info(`\n💰 Valor nesta categoria (menos de ${this._formatAmount(remainder)}):\n`));
+
+    const amountInput = await Input.prompt('R$ ');
+
+    if (!amountInput) {
+      return;
+    }
+
+    const amount = Math.round(parseFloat(amountInput.replace(',', '.')) * 100) / 100;
+
+    // A categoria principal precisa ficar com algum valor
+    if (isNaN(amount) || amount <= 0 || amount >= remainder) {
+      console.log(colors.error(`\n❌ Valor inválido! Use mais de zero e menos de ${this._formatAmount(remainder)}.\n`));
+      await Input.pressKey();
+      return;
+    }
+
+    const category = available.find(c => c.id === categoryId);
+
+    others.push({ categoryId, name: category.name, icon: category.icon, amount });
+  }
+
+  /**
+   * Remove uma categoria (o valor dela volta para a principal)
+   * @private
+   */
+  async _removeLine(others) {
+    const index = await QuickMenu.selectWithIcons(
+      'Remover qual categoria?',
+      [
+        ...others.map((line, i) => ({
+          name: `${line.name} (${this._formatAmount(line.amount)})`,
+          value: i + 1,
+          icon: line.icon || '📁',
+          color: 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    if (index) {
+      others.splice(index - 1, 1);
+    }
+  }
+
+  /**
+   * Grava a divisão (sem outras categorias, a transação volta a ter uma só)
+   * @private
+   */
+  async _save(transaction, main, others, remainder) {
+    const splits = others.length > 0
+      ? [{ categoryId: main.id, amount: remainder }, ...others.map(({ categoryId, amount }) => ({ categoryId, amount }))]
+      : [];
+
+    const result = await this.updateTransactionUseCase.execute({
+      id: transaction.id,
+      userId: this.user.id,
+      data: { splits }
+    });
+
+    clearScreen();
+    console.log('\n');
+
+    if (result.success) {
+      const updated = result.transaction;
+      const lines = updated.splits
+        .map(split => `${split.categoryIcon || '📁'} ${split.categoryName}: ${this._formatAmount(split.amount)}`)
+        .join('\n');
+
+      console.log(createBox(
+        `${icons.success} ${updated.isSplit() ? 'DIVISÃO SALVA!' : 'DIVISÃO DESFEITA!'}\n\n` +
+        `${updated.getSummary()}` +
+        (lines ? `\n\n${lines}` : ''),
+        { borderColor: 'green', padding: 2 }
+      ));
+    } else {
+      console.log(createBox(
+        `${icons.error} ERRO AO DIVIDIR TRANSAÇÃO\n\n` + result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+    return result.success ? result.transaction : null;
+  }
+
+  /**
+   * Valor que sobra para a categoria principal
+   * @private
+   */
+  _remainder(total, others) {
+    const used = others.reduce((sum, line) => sum + line.amount, 0);
+    return Math.round((total - used) * 100) / 100;
+  }
+
+  /**
+   * Formata um valor em Reais
+   * @private
+   */
+  _formatAmount(value) {
+    return `R$ ${value.toFixed(2).replace('.', ',')}`;
+  }
+
+  /**
+   * Carrega as categorias do tipo da transação
+   * @private
+   */
+  async _loadCategories(type) {
+    const result = await this.listCategoriesUseCase.execute({
+      userId: this.user.id,
+      type
+    });
+
+    return result.success ? result.categories : [];
+  }
+}
@@ -0,0 +1,116 @@
+import { Input } from './Input.js';
+import { colors } from '../utils/colors.js';
+import { Tag, MAX_TAGS_PER_TRANSACTION } from '../../../domain/entities/Tag.js';
+
+/**
+ * Componente: Entrada de tags com autocompletar
+ *
+ * A cada tecla as tags já usadas que contêm o texto digitado são sugeridas
+ * (as mais usadas primeiro); um texto que ainda não é tag vira a opção de
+ * criar uma nova.
+ */
+export class TagInput {
+  constructor(user, listTagsUseCase = null) {
+    this.user = user;
+    this.listTagsUseCase = listTagsUseCase;
+  }
+
+  /**
+   * Pergunta as tags até o usuário concluir
+   * @param {string[]} current - Tags já escolhidas (ao editar)
+   * @returns {Promise<string[]>}
+   */
+  async ask(current = []) {
+    const existing = await this._loadTags();
+    const selected = [...current];
+
+    console.log(colors.textDim('  Digite para buscar ou criar uma tag (ex: viagem-2026); Enter no vazio conclui\n'));
+
+    while (true) {
+      const label = selected.length > 0 ? ` ${colors.info(selected.map(name => `#${name}`).join(' '))}` : '';
+      const choice = await Input.autocomplete(
+        `🏷️  Tags${label}:`,
+        term => this._suggestions(term, existing, selected)
+      );
+
+      if (choice.action === 'done') {
+        return selected;
+      }
+
+      if (choice.action === 'remove') {
+        selected.splice(selected.indexOf(choice.name), 1);
+      } else {
+        selected.push(choice.name);
+      }
+    }
+  }
+
+  /**
+   * Opções do autocompletar para o texto digitado
+   * @private
+   */
+  _suggestions(term, existing, selected) {
+    const name = Tag.normalize(term);
+    const done = { name: selected.length > 0 ? '✔ Concluir' : '✔ Sem tags', value: { action: 'done' } };
+    const full = selected.length >= MAX_TAGS_PER_TRANSACTION;
+
+    // Sem texto: concluir, as tags mais usadas e a remoção das já escolhidas
+    if (!name) {
+      return [
+        done,
+        ...(full ? [] : existing
+          .filter(tag => !selected.includes(tag.name))
+          .slice(0, 5)
+          .map(tag => this._tagChoice(tag))),
+        ...selected.map(tagName => ({ name: `✖ Remover #${tagName}`, value: { action: 'remove', name: tagName } }))
+      ];
+    }
+
+    if (full) {
+      return [
+        { name: `Limite de ${MAX_TAGS_PER_TRANSACTION} tags atingido`, value: null, disabled: true },
+        done
+      ];
+    }
+
+    // Com texto: as tags que começam com ele primeiro, depois as que o contêm
+    const matches = existing
+      .filter(tag => !selected.includes(tag.name) && tag.name.includes(name))
+      .sort((a, b) => Number(b.name.startsWith(name)) - Number(a.name.startsWith(name)));
+
+    const choices = matches.map(tag => this._tagChoice(tag));
+
+    if (!existing.some(tag => tag.name === name) && !selected.includes(name)) {
+      choices.unshift(Tag.isValidName(name)
+        ? { name: `+ Criar #${name}`, value: { action: 'add', name } }
+        : { name: `#${name}`, value: null, disabled: '(nome inválido ou muito longo)' });
+    }
+
+    return [...choices, done];
+  }
+
+  /**
+   * Opção de uma tag existente
+   * @private
+   */
+  _tagChoice(tag) {
+    return {
+      name: `${tag.getLabel()} ${colors.textDim(`(${tag.transactionCount})`)}`,
+      value: { action: 'add', name: tag.name }
+    };
+  }
+
+  /**
+   * Carrega as tags do usuário (das mais usadas para as menos usadas)
+   * @private
+   */
+  async _loadTags() {
+    if (!this.listTagsUseCase) {
+      return [];
+    }
+
+    const result = await this.listTagsUseCase.execute(this.user.id);
+
+    return result.success ? result.tags : [];
+  }
+}
@@ -1,21 +1,47 @@
 import { Input } from './Input.js';
 import { QuickMenu } from './QuickMenu.js';
+import { TagInput } from './TagInput.js';
 import {
   clearScreen,
   createBox,
   createSeparator
 } from '../utils/banner.js';
 import { colors, icons, styles } from '../utils/colors.js';
+import { UNCATEGORIZED_NAME, UNCATEGORIZED_ICON } from '../../../domain/entities/Category.js';
 
 /**
  * Componente: Lista de transações com paginação
  */
 export class TransactionList {
-  constructor(user, transactionUseCases) {
+  constructor(
+    user,
+    transactionUseCases,
+    transferForm = null,
+    installmentPlanView = null,
+    splitEditor = null,
+    attachmentManager = null,
+    categoryUseCases = null
+  ) {
     this.user = user;
     this.listTransactionsUseCase = transactionUseCases.listTransactionsUseCase;
     this.deleteTransactionUseCase = transactionUseCases.deleteTransactionUseCase;
     this.getTransactionByIdUseCase = transactionUseCases.getTransactionByIdUseCase;
+    this.updateTransactionUseCase = transactionUseCases.updateTransactionUseCase;
+    this.confirmPlannedTransactionUseCase = transactionUseCases.confirmPlannedTransactionUseCase;
+    this.unlockReconciledTransactionUseCase = transactionUseCases.unlockReconciledTransactionUseCase;
+    this.getTransferUseCase = transactionUseCases.getTransferUseCase;
+    this.deleteTransferUseCase = transactionUseCases.deleteTransferUseCase;
+    this.transferForm = transferForm;
+    this.installmentPlanView = installmentPlanView;
+    this.splitEditor = splitEditor;
+    this.attachmentManager = attachmentManager;
+    this.listAttachmentsUseCase = transactionUseCases.listAttachmentsUseCase || null;
+    this.tagInput = transactionUseCases.listTagsUseCase
+      ? new TagInput(user, transactionUseCases.listTagsUseCase)
+      : null;
+    this.bulkUpdateTransactionsUseCase = transactionUseCases.bulkUpdateTransactionsUseCase || null;
+    this.bulkDeleteTransactionsUseCase = transactionUseCases.bulkDeleteTransactionsUseCase || null;
+    this.listCategoriesUseCase = categoryUseCases ? categoryUseCases.listCategoriesUseCase : null;
   }
 
   /**
@@ -60,7 +86,13 @@ export class TransactionList {
         `${icons.money} MINHAS TRANSAÇÕES\n\n` +
         `${colors.success(`📈 Receitas: R$ ${this._formatMoney(result.summary.totalIncome)}`)}\n` +
         `${colors.error(`📉 Despesas: R$ ${this._formatMoney(result.summary.totalExpense)}`)}\n` +
-        `${colors.info(`💰 Saldo: R$ ${this._formatMoney(result.summary.balance)}`)}`,
+        `${colors.info(`💰 Saldo: R$ ${this._formatMoney(result.summary.balance)}`)}` +
+        (result.summary.plannedCount > 0
+          ? `\n${colors.textDim(
+            `🗓️  Previsto: +R$ ${this._formatMoney(result.summary.plannedIncome)} / ` +
+            `-R$ ${this._formatMoney(result.summary.plannedExpense)} (${result.summary.plannedCount} transação(ões))`
+          )}`
+          : ''),
         { borderColor: '#667eea', padding: 1 }
       ));
       console.log('\n');
@@ -96,6 +128,43 @@ export class TransactionList {
         { name: 'Deletar', value: 'delete', icon: '🗑️', color: 'red' }
       ];
 
+      if (this.transferForm && result.transactions.some(t => t.isTransfer())) {
+        actions.splice(1, 0, { name: 'Editar Transferência', value: 'editTransfer', icon: '✏️', color: 'blue' });
+      }
+
+      if (this.confirmPlannedTransactionUseCase && result.transactions.some(t => this._isEditable(t))) {
+        actions.splice(actions.length - 1, 0, {
+          name: result.transactions.some(t => t.isPlanned()) ? 'Confirmar Prevista / Situação' : 'Alterar Situação',
+          value: 'status',
+          icon: '📌',
+          color: 'yellow'
+        });
+      }
+
+      if (this.tagInput && result.transactions.some(t => this._isEditable(t))) {
+        actions.splice(actions.length - 1, 0, { name: 'Editar Tags', value: 'tags', icon: '🏷️', color: 'cyan' });
+      }
+
+      if (this.splitEditor && result.transactions.some(t => this._isEditable(t))) {
+        actions.splice(actions.length - 1, 0, { name: 'Dividir entre Categorias', value: 'split', icon: '✂️', color: 'magenta' });
+      }
+
+      if (this.attachmentManager) {
+        actions.splice(actions.length - 1, 0, { name: 'Anexos', value: 'attachments', icon: '📎', color: 'cyan' });
+      }
+
+      if (this.unlockReconciledTransactionUseCase && result.transactions.some(t => t.isReconciled())) {
+        actions.splice(actions.length - 1, 0, { name: 'Desbloquear Conciliada', value: 'unlock', icon: '🔓', color: 'yellow' });
+      }
+
+      if (this.bulkUpdateTransactionsUseCase && result.transactions.some(t => this._isEditable(t))) {
+        actions.splice(actions.length - 1, 0, { name: 'Ações em Lote', value: 'bulk', icon: '📦', color: 'yellow' });
+      }
+
+      if (this.installmentPlanView && result.transactions.some(t => t.isInstallment())) {
+        actions.splice(actions.length - 1, 0, { name: 'Parcelamento', value: 'installments', icon: '🧾', color: 'magenta' });
+      }
+
       // Adicionar navegação de página
       if (result.pagination.page > 1) {
         actions.unshift({ name: '← Página Anterior', value: 'prev', icon: '◀️', color: 'blue' });
@@ -126,6 +195,46 @@ export class TransactionList {
         return await this.show({ page, limit, filters });
       }
 
+      if (action === 'editTransfer') {
+        await this._editTransfer(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
+      if (action === 'status') {
+        await this._changeStatus(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
+      if (action === 'tags') {
+        await this._editTags(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
+      if (action === 'split') {
+        await this._splitTransaction(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
+      if (action === 'attachments') {
+        await this._manageAttachments(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
+      if (action === 'unlock') {
+        await this._unlockReconciled(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
+      if (action === 'bulk') {
+        await this._bulkActions(result.transactions, filters, result.pagination.total);
+        return await this.show({ page: 1, limit, filters });
+      }
+
+      if (action === 'installments') {
+        await this._manageInstallments(result.transactions);
+        return await this.show({ page, limit, filters });
+      }
+
       if (action === 'delete') {
         await this._deleteTransaction(result.transactions);
         return await this.show({ page, limit, filters });
@@ -147,22 +256,50 @@ export class TransactionList {
     console.log(colors.bold('├─────────────┼──────┼────────────────────┼──────────────────┼──────────────┤'));
 
     transactions.forEach(transaction => {
-      const date = this._pad(transaction.getFormattedDate(), 11);
-      const typeIcon = transaction.isIncome() ? '📈' : '📉';
+      const marker = transaction.isPending() ? '*' : (transaction.isReconciled() ? '✓' : '');
+      const date = this._pad(`${transaction.getFormattedDate()}${marker}`, 11);
+      const typeIcon = this._typeIcon(transaction);
       const type = this._pad(typeIcon, 4);
-      const category = this._pad(`${transaction.categoryIcon || '📁'} ${transaction.categoryName || 'Sem categoria'}`.substring(0, 18), 18);
-      const description = this._pad((transaction.description || '-').substring(0, 16), 16);
+      const categoryLabel = transaction.isTransfer()
+        ? `${icons.transfer} ${transaction.isExpense() ? '→' : '←'} ${transaction.transferAccountName || 'outra conta'}`
+        : this._categoryLabel(transaction);
+      // Transações divididas mostram a categoria principal e quantas outras há
+      const others = transaction.isSplit() ? ` +${transaction.splits.length - 1}` : '';
+      const category = this._pad(`${categoryLabel.substring(0, 18 - others.length)}${others}`, 18);
+      const descriptionLabel = transaction.isInstallment()
+        ? `${transaction.getInstallmentLabel()} ${transaction.description}`
+        : (transaction.description || '-');
+      const description = this._pad(descriptionLabel.substring(0, 16), 16);
 
-      const amountColor = transaction.isIncome() ? colors.success : colors.error;
+      const amountColor = transaction.isTransfer()
+        ? colors.transfer
+        : (transaction.isIncome() ? colors.success : colors.error);
       const amountFormatted = transaction.getSignedAmount();
       const amount = this._pad(amountFormatted, 12);
 
+      if (transaction.isPlanned()) {
+        console.log(colors.textDim(`│ ${date} │ ${type} │ ${category} │ ${description} │ ${amount} │`));
+        return;
+      }
+
       console.log(
         `│ ${date} │ ${type} │ ${category} │ ${description} │ ${amountColor(amount)} │`
       );
     });
 
     console.log(colors.bold('└─────────────┴──────┴────────────────────┴──────────────────┴──────────────┘'));
+
+    if (transactions.some(t => t.isPlanned())) {
+      console.log(colors.textDim('🗓️  Em cinza: transações previstas (não entram no saldo até serem confirmadas)'));
+    }
+
+    if (transactions.some(t => t.isPending())) {
+      console.log(colors.textDim('⏳ Data com *: transações pendentes (ainda não compensadas)'));
+    }
+
+    if (transactions.some(t => t.isReconciled())) {
+      console.log(colors.textDim('🔒 Data com ✓: transações conciliadas (travadas contra edição e exclusão)'));
+    }
   }
 
   /**
@@ -177,8 +314,8 @@ export class TransactionList {
     const options = transactions.map((t, index) => ({
       name: t.getSummary(),
       value: t.id,
-      icon: t.isIncome() ? '📈' : '📉',
-      color: t.isIncome() ? 'green' : 'red'
+      icon: this._typeIcon(t),
+      color: t.isTransfer() ? 'blue' : (t.isIncome() ? 'green' : 'red')
     }));
 
     const transactionId = await QuickMenu.selectWithIcons('Transação', options);
@@ -202,18 +339,37 @@ export class TransactionList {
     }
 
     const t = result.transaction;
+    const attachments = await this._loadAttachments(t);
 
     console.log('\n');
     console.log(createBox(
       `${icons.money} DETALHES DA TRANSAÇÃO\n\n` +
-      `${t.isIncome() ? '📈' : '📉'} Tipo: ${colors.bold(t.isIncome() ? 'Receita' : 'Despesa')}\n` +
-      `${t.categoryIcon || '📁'} Categoria: ${colors.bold(t.categoryName)}\n` +
+      (t.isTransfer()
+        ? `${icons.transfer} Tipo: ${colors.bold('Transferência')}\n` +
+          `🔁 ${t.isIncome() ? 'De' : 'Para'}: ${colors.bold(`${t.transferAccountIcon || '🏦'} ${t.transferAccountName}`)}\n`
+        : `${t.isIncome() ? '📈' : '📉'} Tipo: ${colors.bold(t.isIncome() ? 'Receita' : 'Despesa')}\n` +
+          `${t.categoryName ? (t.categoryIcon || '📁') : UNCATEGORIZED_ICON} Categoria: ${colors.bold(t.categoryName || UNCATEGORIZED_NAME)}\n` +
+          (t.isSplit()
+            ? `✂️  Divisão:\n${t.splits.map(split =>
+              `   ${this._categoryLabel(split)}: ${colors.bold(`R$ ${split.amount.toFixed(2).replace('.', ',')}`)}\n`
+            ).join('')}`
+            : '')) +
+      (t.accountName ? `${t.accountIcon || '🏦'} Conta: ${colors.bold(t.accountName)}\n` : '') +
       `💰 Valor: ${colors.bold(t.getSignedAmount())}\n` +
       `📅 Data: ${colors.bold(t.getFormattedDate())}\n` +
+      `📌 Situação: ${colors.bold(t.getStatusLabel())}\n` +
+      (t.isReconciled() ? `🔒 Conciliação: ${colors.bold('Conferida com o extrato (travada)')}\n` : '') +
+      (t.isInstallment() ? `🧾 Parcela: ${colors.bold(t.getInstallmentLabel())}\n` : '') +
+      (t.isRecurring() ? `🔄 Origem: ${colors.bold('Recorrência')}\n` : '') +
       (t.description ? `📝 Descrição: ${colors.bold(t.description)}\n` : '') +
+      (t.hasPayee() ? `🏪 Favorecido: ${colors.bold(t.payeeName)}\n` : '') +
+      (t.tags.length > 0 ? `🏷️  Tags: ${colors.bold(t.getTagsLabel())}\n` : '') +
+      (attachments.length > 0
+        ? `📎 Anexos:\n${attachments.map(attachment => `   ${attachment.getSummary()}\n`).join('')}`
+        : '') +
       `\n${colors.textDim(`Criado em: ${t.createdAt.toLocaleString('pt-BR')}`)}` +
       `\n${colors.textDim(`Atualizado em: ${t.updatedAt.toLocaleString('pt-BR')}`)}`,
-      { borderColor: t.isIncome() ? 'green' : 'red', padding: 2 }
+      { borderColor: t.isTransfer() ? 'blue' : (t.isIncome() ? 'green' : 'red'), padding: 2 }
     ));
     console.log('\n');
 
@@ -244,13 +400,33 @@ export class TransactionList {
 
     const transaction = transactions.find(t => t.id === transactionId);
 
+    // Parcelas só saem em grupo: cancelar as restantes ou deletar o parcelamento
+    if (transaction.isInstallment() && this.installmentPlanView) {
+      clearScreen();
+      console.log('\n');
+      console.log(createBox(
+        `${icons.warning} PARCELA DE COMPRA PARCELADA\n\n` +
+        `${transaction.getSummary()}\n\n` +
+        'Parcelas não são deletadas uma a uma: cancele as parcelas restantes\n' +
+        'ou delete o parcelamento inteiro.',
+        { borderColor: 'yellow', padding: 2 }
+      ));
+      console.log('\n');
+      await Input.pressKey();
+      await this.installmentPlanView.show(transaction.installmentPlanId);
+      return;
+    }
+
     // Confirmação
     clearScreen();
     console.log('\n');
     console.log(createBox(
       `${icons.warning} CONFIRMAR EXCLUSÃO\n\n` +
       'Deseja realmente deletar?\n\n' +
-      `${transaction.getSummary()}`,
+      `${transaction.getSummary()}` +
+      (transaction.isTransfer()
+        ? `\n\n${colors.warning('A transferência inteira (as duas movimentações) será removida')}`
+        : ''),
       { borderColor: 'red', padding: 2 }
     ));
     console.log('\n');
@@ -267,13 +443,15 @@ export class TransactionList {
       return;
     }
 
-    // Deletar
+    // Deletar (movimentações de transferência removem a transferência inteira)
     console.log(colors.info('\n⏳ Deletando transação...\n'));
 
-    const result = await this.deleteTransactionUseCase.execute({
-      id: transactionId,
-      userId: this.user.id
-    });
+    const result = transaction.isTransfer()
+      ? await this.deleteTransferUseCase.execute(this.user.id, transaction.transferId)
+      : await this.deleteTransactionUseCase.execute({
+        id: transactionId,
+        userId: this.user.id
+      });
 
     clearScreen();
 
@@ -297,6 +475,638 @@ export class TransactionList {
     await Input.pressKey();
   }
 
+  /**
+   * Altera ou deleta várias transações de uma vez: as marcadas nesta página
+   * ou todas as do filtro atual
+   * @private
+   */
+  async _bulkActions(transactions, filters, total) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      '📦 AÇÕES EM LOTE\n\n' +
+      colors.textDim('Transferências, parcelas e transações conciliadas ficam de fora'),
+      { borderColor: 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    const scope = await QuickMenu.selectWithIcons('Aplicar a', [
+      { name: 'Transações Marcadas nesta Página', value: 'page', icon: '☑️', color: 'cyan' },
+      { name: `Todas as ${total} do Filtro Atual`, value: 'filter', icon: '🔍', color: 'yellow' },
+      { name: 'Cancelar', value: null, icon: '❌', color: 'gray' }
+    ]);
+
+    if (!scope) {
+      return;
+    }
+
+    let selection = { filters };
+    let count = total;
+    let selected = transactions;
+
+    if (scope === 'page') {
+      const ids = await Input.checkbox(
+        'Marque as transações (espaço marca, "a" marca todas, Enter conclui):',
+        transactions.map(t => ({
+          name: t.getSummary(),
+          value: t.id,
+          disabled: this._isEditable(t) ? false : '🔒'
+        }))
+      );
+
+      if (ids.length === 0) {
+        return;
+      }
+
+      selection = { transactionIds: ids };
+      count = ids.length;
+      selected = transactions.filter(t => ids.includes(t.id));
+    }
+
+    const actions = [
+      { name: 'Mudar Categoria', value: 'category', icon: '📂', color: 'magenta' },
+      { name: 'Adicionar Tags', value: 'addTags', icon: '🏷️', color: 'cyan' },
+      { name: 'Remover Tags', value: 'removeTags', icon: '🧹', color: 'cyan' },
+      { name: 'Deslocar Data', value: 'shift', icon: '📅', color: 'blue' },
+      { name: 'Deletar', value: 'delete', icon: '🗑️', color: 'red' },
+      { name: 'Cancelar', value: null, icon: '❌', color: 'gray' }
+    ].filter(action =>
+      (action.value !== 'category' || this.listCategoriesUseCase) &&
+      (!['addTags', 'removeTags'].includes(action.value) || this.tagInput) &&
+      (action.value !== 'delete' || this.bulkDeleteTransactionsUseCase)
+    );
+
+    const action = await QuickMenu.selectWithIcons(`O que fazer com ${count} transação(ões)?`, actions);
+
+    if (!action) {
+      return;
+    }
+
+    if (action === 'delete') {
+      await this._bulkDelete(selection, count);
+      return;
+    }
+
+    const changes = await this._askBulkChanges(action, selected, filters);
+
+    if (!changes) {
+      return;
+    }
+
+    const result = await this.bulkUpdateTransactionsUseCase.execute(this.user.id, selection, changes);
+
+    this._showBulkResult(
+      result,
+      'TRANSAÇÕES ALTERADAS',
+      'ERRO AO ALTERAR TRANSAÇÕES',
+      [
+        `✏️  Alterada(s): ${colors.bold(result.updatedCount)}`,
+        result.unchangedCount > 0 ? `➖ Já estavam assim: ${colors.bold(result.unchangedCount)}` : null
+      ]
+    );
+    await Input.pressKey();
+  }
+
+  /**
+   * Pergunta a alteração em lote escolhida
+   * @private
+   * @returns {Promise<Object|null>} Alterações para o caso de uso (null = cancelado)
+   */
+  async _askBulkChanges(action, selected, filters) {
+    if (action === 'category') {
+      const types = [...new Set(selected.filter(t => !t.isTransfer()).map(t => t.type))];
+      let type = filters.type === 'income' || filters.type === 'expense' ? filters.type : types[0];
+
+      if (types.length !== 1 || !type) {
+        type = await QuickMenu.selectWithIcons('Categoria de', [
+          { name: 'Despesas', value: 'expense', icon: '📉', color: 'red' },
+          { name: 'Receitas', value: 'income', icon: '📈', color: 'green' },
+          { name: 'Cancelar', value: null, icon: '❌', color: 'gray' }
+        ]);
+      }
+
+      if (!type) {
+        return null;
+      }
+
+      const result = await this.listCategoriesUseCase.execute({ userId: this.user.id, type });
+      const categoryId = await QuickMenu.selectWithIcons(
+        '📂 Nova categoria',
+        [
+          ...(result.success ? result.categories : []).map(category => ({
+            name: category.name,
+            value: category.id,
+            icon: category.icon || '📁',
+            color: category.color || 'white'
+          })),
+          { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+        ]
+      );
+
+      return categoryId ? { categoryId } : null;
+    }
+
+    if (action === 'addTags' || action === 'removeTags') {
+      console.log('\n');
+      const tags = await this.tagInput.ask();
+
+      if (tags.length === 0) {
+        return null;
+      }
+
+      return action === 'addTags' ? { addTags: tags } : { removeTags: tags };
+    }
+
+    console.log(colors.info('\n📅 Quantos dias deslocar? (ex: 1 = um dia depois, -1 = um dia antes)\n'));
+
+    const shiftDays = await Input.number('Dias:', {
+      min: -366,
+      max: 366,
+      validate: (value) => Number.isInteger(value) && value !== 0 ? true : 'Informe um número inteiro diferente de zero'
+    });
+
+    return { shiftDays };
+  }
+
+  /**
+   * Deleta as transações selecionadas, após confirmação
+   * @private
+   */
+  async _bulkDelete(selection, count) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR EXCLUSÃO EM LOTE\n\n` +
+      `Deseja realmente deletar ${count} transação(ões)?\n\n` +
+      colors.textDim('Transferências, parcelas e transações conciliadas não serão deletadas'),
+      { borderColor: 'red', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, deletar', value: true, icon: '✅', color: 'red' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return;
+    }
+
+    const result = await this.bulkDeleteTransactionsUseCase.execute(this.user.id, selection);
+
+    this._showBulkResult(
+      result,
+      'TRANSAÇÕES DELETADAS',
+      'ERRO AO DELETAR TRANSAÇÕES',
+      [`🗑️  Deletada(s): ${colors.bold(result.deletedCount)}`]
+    );
+    await Input.pressKey();
+  }
+
+  /**
+   * Resumo de uma ação em lote: quantas transações foram afetadas e quais
+   * ficaram de fora (com o motivo)
+   * @private
+   */
+  _showBulkResult(result, successTitle, errorTitle, lines) {
+    clearScreen();
+    console.log('\n');
+
+    if (!result.success) {
+      console.log(createBox(
+        `${icons.error} ${errorTitle}\n\n` + result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+      console.log('\n');
+      return;
+    }
+
+    const reasons = new Map();
+    result.skipped.forEach(({ reason }) => reasons.set(reason, (reasons.get(reason) || 0) + 1));
+
+    console.log(createBox(
+      `${icons.success} ${successTitle}\n\n` +
+      `🔍 Selecionada(s): ${colors.bold(result.matchedCount)}\n` +
+      lines.filter(line => line).join('\n') +
+      (result.skipped.length > 0
+        ? `\n🔒 Fora da ação: ${colors.bold(result.skipped.length)}\n` +
+          [...reasons].map(([reason, total]) => colors.textDim(`   ${total}x ${reason}`)).join('\n')
+        : ''),
+      { borderColor: result.skipped.length > 0 ? 'yellow' : 'green', padding: 2 }
+    ));
+    console.log('\n');
+  }
+
+  /**
+   * Transações cuja situação, tags e divisão podem ser alteradas por aqui
+   * (transferências e parcelas só mudam pela transferência/parcelamento)
+   * @private
+   */
+  _isEditable(transaction) {
+    return !transaction.isTransfer() && !transaction.isInstallment() && !transaction.isReconciled();
+  }
+
+  /**
+   * Altera as tags de uma transação
+   * @private
+   */
+  async _editTags(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('🏷️  Selecione a transação:\n'));
+
+    const options = transactions
+      .filter(t => this._isEditable(t))
+      .map(t => ({
+        name: t.tags.length > 0 ? `${t.getSummary()} ${t.getTagsLabel()}` : t.getSummary(),
+        value: t.id,
+        icon: this._typeIcon(t),
+        color: t.isIncome() ? 'green' : 'red'
+      }));
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'gray' });
+
+    const transactionId = await QuickMenu.selectWithIcons('Transação', options);
+
+    if (!transactionId) {
+      return;
+    }
+
+    const transaction = transactions.find(t => t.id === transactionId);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `🏷️  EDITAR TAGS\n\n${transaction.getSummary()}`,
+      { borderColor: 'cyan', padding: 1 }
+    ));
+    console.log('\n');
+
+    const tags = await this.tagInput.ask(transaction.tags);
+
+    const result = await this.updateTransactionUseCase.execute({
+      id: transaction.id,
+      userId: this.user.id,
+      data: { tags }
+    });
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} TAGS ATUALIZADAS!\n\n${result.transaction.getSummary()}\n` +
+          `🏷️  ${colors.bold(result.transaction.getTagsLabel() || 'Sem tags')}`
+        : `${icons.error} ERRO AO ATUALIZAR TAGS\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Divide uma transação entre categorias (ou altera/desfaz a divisão)
+   * @private
+   */
+  async _splitTransaction(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('✂️  Selecione a transação:\n'));
+
+    const options = transactions
+      .filter(t => this._isEditable(t))
+      .map(t => ({
+        name: t.getSummary(),
+        value: t.id,
+        icon: this._typeIcon(t),
+        color: t.isIncome() ? 'green' : 'red'
+      }));
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'gray' });
+
+    const transactionId = await QuickMenu.selectWithIcons('Transação', options);
+
+    if (!transactionId) {
+      return;
+    }
+
+    await this.splitEditor.show(transactions.find(t => t.id === transactionId));
+  }
+
+  /**
+   * Abre os anexos de uma transação
+   * @private
+   */
+  async _manageAttachments(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('📎 Selecione a transação:\n'));
+
+    const options = transactions.map(t => ({
+      name: t.getSummary(),
+      value: t.id,
+      icon: this._typeIcon(t),
+      color: t.isTransfer() ? 'blue' : (t.isIncome() ? 'green' : 'red')
+    }));
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'gray' });
+
+    const transactionId = await QuickMenu.selectWithIcons('Transação', options);
+
+    if (!transactionId) {
+      return;
+    }
+
+    await this.attachmentManager.show(transactions.find(t => t.id === transactionId));
+  }
+
+  /**
+   * Carrega os anexos de uma transação (vazio se os anexos não estiverem disponíveis)
+   * @private
+   */
+  async _loadAttachments(transaction) {
+    if (!this.listAttachmentsUseCase) {
+      return [];
+    }
+
+    const result = await this.listAttachmentsUseCase.execute(this.user.id, transaction.id);
+
+    return result.success ? result.attachments : [];
+  }
+
+  /**
+   * Desbloqueia uma transação conciliada para permitir edição e exclusão
+   * @private
+   */
+  async _unlockReconciled(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('🔓 Selecione a transação conciliada:\n'));
+
+    const options = transactions
+      .filter(t => t.isReconciled())
+      .map(t => ({
+        name: t.getSummary(),
+        value: t.id,
+        icon: '🔒',
+        color: 'yellow'
+      }));
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'gray' });
+
+    const transactionId = await QuickMenu.selectWithIcons('Transação', options);
+
+    if (!transactionId) {
+      return;
+    }
+
+    const transaction = transactions.find(t => t.id === transactionId);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} DESBLOQUEAR TRANSAÇÃO CONCILIADA\n\n` +
+      `${transaction.getSummary()}\n\n` +
+      'A transação sai da conciliação e volta a poder ser editada ou deletada.\n' +
+      'Ela precisará ser conferida de novo na próxima conciliação da conta.',
+      { borderColor: 'yellow', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, desbloquear', value: true, icon: '🔓', color: 'yellow' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return;
+    }
+
+    const result = await this.unlockReconciledTransactionUseCase.execute(this.user.id, transaction.id);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} TRANSAÇÃO DESBLOQUEADA!\n\n${result.transaction.getSummary()}`
+        : `${icons.error} ERRO AO DESBLOQUEAR TRANSAÇÃO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Confirma uma transação prevista ou alterna entre pendente e compensada
+   * @private
+   */
+  async _changeStatus(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('📌 Selecione a transação:\n'));
+
+    const options = transactions
+      .filter(t => this._isEditable(t))
+      .map(t => ({
+        name: t.getSummary(),
+        value: t.id,
+        icon: t.isPlanned() ? '🗓️' : (t.isPending() ? '⏳' : '✅'),
+        color: t.isPlanned() ? 'yellow' : 'white'
+      }));
+
+    const transactionId = await QuickMenu.selectWithIcons('Transação', options);
+
+    if (!transactionId) {
+      return;
+    }
+
+    const transaction = transactions.find(t => t.id === transactionId);
+    const result = transaction.isPlanned()
+      ? await this._confirmPlanned(transaction)
+      : await this.updateTransactionUseCase.execute({
+        id: transaction.id,
+        userId: this.user.id,
+        data: { status: transaction.isPending() ? 'cleared' : 'pending' }
+      });
+
+    if (!result) {
+      return; // Cancelado
+    }
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} SITUAÇÃO ATUALIZADA!\n\n${result.transaction.getSummary()}\n` +
+          `📌 ${colors.bold(result.transaction.getStatusLabel())}`
+        : `${icons.error} ERRO AO ATUALIZAR SITUAÇÃO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Confirma uma transação prevista (data e valor efetivos)
+   * @private
+   * @returns {Promise<Object|null>} Resultado do caso de uso (null = cancelado)
+   */
+  async _confirmPlanned(transaction) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `🗓️  CONFIRMAR TRANSAÇÃO PREVISTA\n\n${transaction.getSummary()}`,
+      { borderColor: 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    const status = await QuickMenu.selectWithIcons(
+      'Confirmar como',
+      [
+        { name: 'Compensada', value: 'cleared', icon: '✅', color: 'green' },
+        { name: 'Pendente (ainda não compensou)', value: 'pending', icon: '⏳', color: 'yellow' },
+        { name: 'Cancelar', value: null, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!status) {
+      return null;
+    }
+
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const dateOptions = [{ name: 'Hoje', value: 'today', icon: '📅', color: 'cyan' }];
+
+    if (transaction.date <= endOfToday) {
+      dateOptions.push({
+        name: `Na data prevista (${transaction.getFormattedDate()})`,
+        value: 'planned',
+        icon: '🗓️',
+        color: 'blue'
+      });
+    }
+
+    dateOptions.push({ name: 'Outra data', value: 'custom', icon: '📆', color: 'purple' });
+
+    const dateChoice = await QuickMenu.selectWithIcons('Data em que aconteceu', dateOptions);
+    let date = new Date();
+
+    if (dateChoice === 'planned') {
+      date = transaction.date;
+    } else if (dateChoice === 'custom') {
+      date = await Input.date('Data (DD/MM/AAAA):', {
+        validate: (value) => value <= endOfToday || 'A data não pode ser no futuro!'
+      });
+    }
+
+    const amountInput = await Input.text('💰 Valor efetivo (R$)', {
+      default: transaction.amount.toFixed(2).replace('.', ','),
+      validate: (value) => {
+        const amount = parseFloat(String(value).replace(',', '.'));
+        return isNaN(amount) || amount <= 0 ? 'Valor inválido! Deve ser maior que zero.' : true;
+      }
+    });
+
+    return await this.confirmPlannedTransactionUseCase.execute({
+      id: transaction.id,
+      userId: this.user.id,
+      date,
+      amount: parseFloat(String(amountInput).replace(',', '.')),
+      status
+    });
+  }
+
+  /**
+   * Edita a transferência de uma das movimentações listadas
+   * @private
+   */
+  async _editTransfer(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('✏️  Selecione a transferência para editar:\n'));
+
+    const options = transactions
+      .filter((t, index, list) => t.isTransfer() && list.findIndex(o => o.transferId === t.transferId) === index)
+      .map(t => ({
+        name: t.getSummary(),
+        value: t.transferId,
+        icon: icons.transfer,
+        color: 'blue'
+      }));
+
+    const transferId = await QuickMenu.selectWithIcons('Transferência', options);
+
+    if (!transferId) {
+      return;
+    }
+
+    const result = await this.getTransferUseCase.execute(this.user.id, transferId);
+
+    if (!result.success) {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return;
+    }
+
+    await this.transferForm.show(result.transfer);
+  }
+
+  /**
+   * Abre o parcelamento de uma das parcelas listadas
+   * @private
+   */
+  async _manageInstallments(transactions) {
+    clearScreen();
+    console.log('\n');
+    console.log(colors.info('🧾 Selecione a compra parcelada:\n'));
+
+    const options = transactions
+      .filter((t, index, list) =>
+        t.isInstallment() && list.findIndex(o => o.installmentPlanId === t.installmentPlanId) === index
+      )
+      .map(t => ({
+        name: t.getSummary(),
+        value: t.installmentPlanId,
+        icon: '🧾',
+        color: 'magenta'
+      }));
+
+    const planId = await QuickMenu.selectWithIcons('Parcelamento', options);
+
+    if (!planId) {
+      return;
+    }
+
+    await this.installmentPlanView.show(planId);
+  }
+
+  /**
+   * Ícone e nome da categoria de uma transação ou linha da divisão
+   * @private
+   */
+  _categoryLabel(item) {
+    return item.categoryName
+      ? `${item.categoryIcon || '📁'} ${item.categoryName}`
+      : `${UNCATEGORIZED_ICON} ${UNCATEGORIZED_NAME}`;
+  }
+
+  /**
+   * Ícone do tipo da transação
+   * @private
+   */
+  _typeIcon(transaction) {
+    if (transaction.isTransfer()) {
+      return icons.transfer;
+    }
+    return transaction.isIncome() ? '📈' : '📉';
+  }
+
   /**
    * Formata valor monetário
    * @private
@@ -0,0 +1,243 @@
+import { Input } from './Input.js';
+import { QuickMenu } from './QuickMenu.js';
+import {
+  clearScreen,
+  createBox
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+
+/**
+ * Componente: Formulário de transferência entre contas (criar ou editar)
+ */
+export class TransferForm {
+  constructor(user, transactionUseCases, accountUseCases) {
+    this.user = user;
+    this.createTransferUseCase = transactionUseCases.createTransferUseCase;
+    this.updateTransferUseCase = transactionUseCases.updateTransferUseCase;
+    this.listAccountsUseCase = accountUseCases ? accountUseCases.listAccounts : null;
+  }
+
+  /**
+   * Exibe o formulário
+   * @param {Transfer|null} existing - Transferência a editar (null = nova)
+   * @returns {Promise<Transfer|null>} Transferência salva ou null se cancelada
+   */
+  async show(existing = null) {
+    try {
+      const title = existing ? 'EDITAR TRANSFERÊNCIA' : 'NOVA TRANSFERÊNCIA';
+      const accounts = await this._loadAccounts(existing);
+
+      if (accounts.length < 2) {
+        clearScreen();
+        console.log(colors.error('\n❌ É preciso ter pelo menos duas contas ativas para transferir!\n'));
+        console.log(colors.textDim('Crie contas no menu "Contas".\n'));
+        await Input.pressKey();
+        return null;
+      }
+
+      // 1. Conta de origem
+      this._header(title);
+      const from = await this._selectAccount('🔼 De qual conta sai o dinheiro?', accounts, existing && existing.fromAccountId);
+      if (!from) return null; // Cancelado
+
+      // 2. Conta de destino
+      this._header(title, [`De: ${from.icon} ${from.name}`]);
+      const to = await this._selectAccount(
+        '🔽 Para qual conta vai o dinheiro?',
+        accounts.filter(account => account.id !== from.id),
+        existing && existing.toAccountId
+      );
+      if (!to) return null;
+
+      // 3. Valor
+      this._header(title, [`De: ${from.icon} ${from.name}`, `Para: ${to.icon} ${to.name}`]);
+      const amountInput = await Input.text('💰 Valor (R$)', {
+        default: existing ? String(existing.amount).replace('.', ',') : '',
+        validate: (input) => {
+          const amount = parseFloat(String(input).replace(',', '.'));
+          return isNaN(amount) || amount <= 0 ? 'Valor inválido! Deve ser maior que zero.' : true;
+        }
+      });
+      const amount = parseFloat(String(amountInput).replace(',', '.'));
+
+      // 4. Descrição (opcional)
+      const description = await Input.text('📝 Descrição (opcional)', {
+        default: existing ? existing.description : '',
+        validate: (input) => input.length <= 200 || 'Descrição muito longa! Máximo 200 caracteres.'
+      });
+
+      // 5. Data
+      const date = await this._selectDate(existing);
+      if (!date) return null;
+
+      // 6. Confirmação
+      clearScreen();
+      console.log('\n');
+
+      const formattedDate = `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+
+      console.log(createBox(
+        `${icons.transfer} CONFIRMAR TRANSFERÊNCIA\n\n` +
+        `🔼 De: ${colors.bold(`${from.icon} ${from.name}`)}\n` +
+        `🔽 Para: ${colors.bold(`${to.icon} ${to.name}`)}\n` +
+        `💰 Valor: ${colors.bold(`R$ ${amount.toFixed(2).replace('.', ',')}`)}\n` +
+        `📅 Data: ${colors.bold(formattedDate)}\n` +
+        (description ? `📝 Descrição: ${colors.bold(description)}\n` : '') +
+        `\n${colors.textDim('Transferências não contam como receita nem despesa')}`,
+        { borderColor: 'blue', padding: 2 }
+      ));
+      console.log('\n');
+
+      const confirm = await QuickMenu.selectWithIcons(
+        'Deseja salvar?',
+        [
+          { name: 'Sim, salvar', value: true, icon: '✅', color: 'green' },
+          { name: 'Não, cancelar', value: false, icon: '❌', color: 'red' }
+        ]
+      );
+
+      if (!confirm) {
+        console.log(colors.warning('\n⚠️  Transferência cancelada!\n'));
+        await Input.pressKey();
+        return null;
+      }
+
+      // 7. Salvar
+      console.log(colors.info('\n⏳ Salvando transferência...\n'));
+
+      const data = {
+        fromAccountId: from.id,
+        toAccountId: to.id,
+        amount,
+        description: description.trim(),
+        date
+      };
+
+      const result = existing
+        ? await this.updateTransferUseCase.execute(this.user.id, existing.id, data)
+        : await this.createTransferUseCase.execute(this.user.id, data);
+
+      clearScreen();
+      console.log('\n');
+
+      if (result.success) {
+        console.log(createBox(
+          `${icons.success} TRANSFERÊNCIA ${existing ? 'ATUALIZADA' : 'REALIZADA'} COM SUCESSO!\n\n` +
+          `${result.transfer.getSummary()}`,
+          { borderColor: 'green', padding: 2 }
+        ));
+      } else {
+        console.log(createBox(
+          `${icons.error} ERRO AO SALVAR TRANSFERÊNCIA\n\n` +
+          result.errors.join('\n'),
+          { borderColor: 'red', padding: 2 }
+        ));
+      }
+
+      console.log('\n');
+      await Input.pressKey();
+      return result.success ? result.transfer : null;
+
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+      return null;
+    }
+  }
+
+  /**
+   * Cabeçalho do formulário com os dados já escolhidos
+   * @private
+   */
+  _header(title, lines = []) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.transfer} ${title}` + lines.map(line => `\n${colors.textDim(line)}`).join(''),
+      { borderColor: 'blue', padding: 1 }
+    ));
+    console.log('\n');
+  }
+
+  /**
+   * Seleciona uma conta (a conta atual, na edição, aparece primeiro)
+   * @private
+   */
+  async _selectAccount(title, accounts, currentId = null) {
+    const sorted = [...accounts].sort((a, b) =>
+      Number(b.id === currentId) - Number(a.id === currentId)
+    );
+
+    const accountId = await QuickMenu.selectWithIcons(
+      title,
+      [
+        ...sorted.map(account => ({
+          name: `${account.name} ${colors.textDim(`(${account.getFormattedBalance()})`)}`,
+          value: account.id,
+          icon: account.icon,
+          color: account.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return sorted.find(account => account.id === accountId) || null;
+  }
+
+  /**
+   * Seleciona a data (hoje, ontem, a data atual na edição ou personalizada)
+   * @private
+   */
+  async _selectDate(existing) {
+    const options = [
+      { name: 'Hoje', value: 'today', icon: '📅', color: 'cyan' },
+      { name: 'Ontem', value: 'yesterday', icon: '📅', color: 'blue' },
+      { name: 'Personalizada', value: 'custom', icon: '📆', color: 'magenta' }
+    ];
+
+    if (existing) {
+      options.unshift({ name: `Manter (${existing.getFormattedDate()})`, value: 'keep', icon: '📌', color: 'white' });
+    }
+
+    const choice = await QuickMenu.selectWithIcons('📅 Data da transferência', options);
+
+    switch (choice) {
+    case 'keep':
+      return existing.date;
+    case 'today':
+      return new Date();
+    case 'yesterday': {
+      const date = new Date();
+      date.setDate(date.getDate() - 1);
+      return date;
+    }
+    case 'custom':
+      return await Input.date('Data (DD/MM/AAAA):', {
+        validate: (date) => date <= new Date() || 'Data não pode ser no futuro!'
+      });
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Carrega as contas ativas (e, na edição, as contas arquivadas já usadas)
+   * @private
+   */
+  async _loadAccounts(existing) {
+    if (!this.listAccountsUseCase) {
+      return [];
+    }
+
+    const result = await this.listAccountsUseCase.execute(this.user.id, { includeArchived: Boolean(existing) });
+
+    if (!result.success) {
+      return [];
+    }
+
+    return result.accounts.filter(account =>
+      account.isActive() ||
+      (existing && [existing.fromAccountId, existing.toAccountId].includes(account.id))
+    );
+  }
+}
@@ -0,0 +1,892 @@
+import { Input } from '../components/Input.js';
+import { QuickMenu } from '../components/QuickMenu.js';
+import {
+  clearScreen,
+  createBox,
+  createSeparator,
+  successMessage,
+  errorMessage,
+  warningMessage
+} from '../utils/banner.js';
+import { colors, icons, styles } from '../utils/colors.js';
+import { ACCOUNT_TYPES } from '../../../domain/entities/Account.js';
+import { CreditCardStatement } from '../../../domain/entities/CreditCardStatement.js';
+import { Reconciliation } from '../../../domain/entities/Reconciliation.js';
+import ora from 'ora';
+
+/**
+ * Tela de gerenciamento de contas
+ */
+export class AccountScreen {
+  constructor(user, accountUseCases) {
+    this.user = user;
+    this.createAccountUseCase = accountUseCases.createAccount;
+    this.listAccountsUseCase = accountUseCases.listAccounts;
+    this.updateAccountUseCase = accountUseCases.updateAccount;
+    this.deleteAccountUseCase = accountUseCases.deleteAccount;
+    this.getCardStatementsUseCase = accountUseCases.getCardStatements;
+    this.payCardStatementUseCase = accountUseCases.payCardStatement;
+    this.startReconciliationUseCase = accountUseCases.startReconciliation;
+    this.finishReconciliationUseCase = accountUseCases.finishReconciliation;
+    this.listReconciliationsUseCase = accountUseCases.listReconciliations;
+  }
+
+  /**
+   * Exibe menu principal de contas
+   */
+  async show() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.bank} ${styles.bold('GERENCIAR CONTAS')}\n${colors.textDim('Conta corrente, poupança, carteira, cartão de crédito...')}`,
+      { borderColor: '#667eea', padding: 1 }
+    ));
+    console.log('\n');
+    console.log(createSeparator());
+    console.log('\n');
+
+    const choice = await QuickMenu.selectWithIcons(
+      '🏦 O QUE DESEJA FAZER?',
+      [
+        { name: 'Listar Contas', value: 'list', icon: '📋', color: 'cyan' },
+        { name: 'Criar Conta', value: 'create', icon: '➕', color: 'green' },
+        { name: 'Editar Conta', value: 'edit', icon: '✏️', color: 'yellow' },
+        { name: 'Faturas do Cartão', value: 'statements', icon: '💳', color: 'magenta' },
+        { name: 'Conciliar com Extrato', value: 'reconcile', icon: '✅', color: 'green' },
+        { name: 'Arquivar/Reativar Conta', value: 'archive', icon: '📦', color: 'blue' },
+        { name: 'Deletar Conta', value: 'delete', icon: '🗑️', color: 'red' },
+        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+      ]
+    );
+
+    switch (choice) {
+    case 'list':
+      await this.showList();
+      return await this.show();
+    case 'create':
+      await this.showCreate();
+      return await this.show();
+    case 'edit':
+      await this.showEdit();
+      return await this.show();
+    case 'statements':
+      await this.showStatements();
+      return await this.show();
+    case 'reconcile':
+      await this.showReconcile();
+      return await this.show();
+    case 'archive':
+      await this.showArchive();
+      return await this.show();
+    case 'delete':
+      await this.showDelete();
+      return await this.show();
+    case 'back':
+      return 'back';
+    }
+  }
+
+  /**
+   * Lista as contas com o saldo atual
+   */
+  async showList() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.bank} ${styles.bold('SUAS CONTAS')}`,
+      { borderColor: '#667eea', padding: 1 }
+    ));
+    console.log('\n');
+
+    const spinner = ora('Carregando contas...').start();
+
+    const result = await this.listAccountsUseCase.execute(this.user.id, { includeArchived: true });
+
+    spinner.stop();
+
+    if (!result.success) {
+      console.log(errorMessage(result.errors.join('\n')));
+      await Input.pressKey();
+      return;
+    }
+
+    if (result.accounts.length === 0) {
+      console.log(warningMessage('Você ainda não possui contas'));
+      await Input.pressKey();
+      return;
+    }
+
+    result.accounts.forEach(account => {
+      const name = account.isArchived
+        ? colors.textDim(`${account.name} (arquivada)`)
+        : styles.bold(account.name);
+      const balance = account.balance < 0
+        ? colors.error(account.getFormattedBalance())
+        : colors.success(account.getFormattedBalance());
+
+      console.log(`  ${account.icon} ${name}`);
+      console.log(colors.textDim(`    └─ ${account.getTypeLabel()} | ${account.transactionCount} transação(ões) | `) + balance);
+
+      if (account.isCreditCard()) {
+        console.log(colors.textDim(
+          `       Limite: ${account.getFormattedBalance(account.creditLimit)} | ` +
+          `Disponível: ${account.getFormattedBalance(account.getAvailableLimit())} | ` +
+          `Fecha dia ${account.closingDay}, vence dia ${account.dueDay}`
+        ));
+      }
+    });
+
+    const total = result.accounts[0].getFormattedBalance(result.totalBalance);
+    console.log('\n');
+    console.log(`  ${styles.bold('Saldo total (contas ativas):')} ${styles.bold(total)}`);
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Cria nova conta
+   */
+  async showCreate() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.add} ${styles.bold('CRIAR CONTA')}`,
+      { borderColor: 'green', padding: 1 }
+    ));
+    console.log('\n');
+
+    const type = await this._selectType();
+    if (!type) return; // Cancelou
+
+    const name = await Input.text('Nome da conta', ACCOUNT_TYPES[type].label);
+    if (!name) return;
+
+    let initialBalance;
+    let card = {};
+
+    if (type === 'credit_card') {
+      card = await this._askCardSettings();
+      // Dívida atual do cartão vira saldo inicial negativo
+      initialBalance = -Math.abs(await this._askAmount('Valor já devido no cartão (R$)', 0));
+    } else {
+      initialBalance = await this._askAmount('Saldo inicial (R$)', 0);
+    }
+
+    const icon = await Input.text('Ícone (emoji)', ACCOUNT_TYPES[type].icon);
+
+    const spinner = ora('Criando conta...').start();
+
+    const result = await this.createAccountUseCase.execute(this.user.id, {
+      name,
+      type,
+      initialBalance,
+      icon,
+      ...card
+    });
+
+    spinner.stop();
+
+    if (result.success) {
+      console.log('\n');
+      console.log(successMessage(`Conta "${result.account.name}" criada com sucesso!`));
+    } else {
+      console.log('\n');
+      console.log(errorMessage(result.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Edita conta existente
+   */
+  async showEdit() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.edit} ${styles.bold('EDITAR CONTA')}`,
+      { borderColor: 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    const account = await this._selectAccount('✏️ ESCOLHA A CONTA', { includeArchived: true });
+    if (!account) return; // Cancelou
+
+    console.log(colors.info(`\nEditando: ${account.icon} ${account.name}\n`));
+
+    const name = await Input.text('Nome', account.name);
+    const initialBalance = await this._askAmount('Saldo inicial (R$)', account.initialBalance);
+    const card = account.isCreditCard() ? await this._askCardSettings(account) : {};
+    const icon = await Input.text('Ícone', account.icon);
+
+    const confirm = await Input.confirm('Confirmar alterações?', true);
+    if (!confirm) return;
+
+    const spinner = ora('Atualizando conta...').start();
+
+    const result = await this.updateAccountUseCase.execute(this.user.id, account.id, {
+      name,
+      initialBalance,
+      icon,
+      ...card
+    });
+
+    spinner.stop();
+
+    if (result.success) {
+      console.log('\n');
+      console.log(successMessage('Conta atualizada com sucesso!'));
+    } else {
+      console.log('\n');
+      console.log(errorMessage(result.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Arquiva ou reativa uma conta
+   * Contas arquivadas não recebem novas transações, mas mantêm o histórico
+   */
+  async showArchive() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `📦 ${styles.bold('ARQUIVAR/REATIVAR CONTA')}\n${colors.textDim('Contas arquivadas mantêm o histórico, mas não recebem novas transações')}`,
+      { borderColor: 'blue', padding: 1 }
+    ));
+    console.log('\n');
+
+    const account = await this._selectAccount('📦 ESCOLHA A CONTA', { includeArchived: true });
+    if (!account) return; // Cancelou
+
+    const archive = account.isActive();
+    const confirm = await Input.confirm(
+      archive ? `Arquivar a conta "${account.name}"?` : `Reativar a conta "${account.name}"?`,
+      true
+    );
+    if (!confirm) return;
+
+    const spinner = ora(archive ? 'Arquivando conta...' : 'Reativando conta...').start();
+
+    const result = await this.updateAccountUseCase.execute(this.user.id, account.id, {
+      isArchived: archive
+    });
+
+    spinner.stop();
+
+    if (result.success) {
+      console.log('\n');
+      console.log(successMessage(archive ? 'Conta arquivada com sucesso!' : 'Conta reativada com sucesso!'));
+    } else {
+      console.log('\n');
+      console.log(errorMessage(result.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Deleta conta (apenas contas sem transações)
+   */
+  async showDelete() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.delete} ${styles.bold('DELETAR CONTA')}`,
+      { borderColor: 'red', padding: 1 }
+    ));
+    console.log('\n');
+
+    const account = await this._selectAccount('🗑️ ESCOLHA A CONTA', { includeArchived: true });
+    if (!account) return; // Cancelou
+
+    console.log(colors.error(`\n⚠️  Você está prestes a deletar: ${account.icon} ${account.name}\n`));
+
+    const confirm = await Input.confirm('Tem certeza que deseja deletar?', false);
+    if (!confirm) return;
+
+    const spinner = ora('Deletando conta...').start();
+
+    const result = await this.deleteAccountUseCase.execute(this.user.id, account.id);
+
+    spinner.stop();
+
+    if (result.success) {
+      console.log('\n');
+      console.log(successMessage('Conta deletada com sucesso!'));
+    } else {
+      console.log('\n');
+      console.log(errorMessage(result.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Faturas de um cartão de crédito (com pagamento da fatura)
+   */
+  async showStatements() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `💳 ${styles.bold('FATURAS DO CARTÃO')}`,
+      { borderColor: 'magenta', padding: 1 }
+    ));
+    console.log('\n');
+
+    const card = await this._selectAccount('💳 ESCOLHA O CARTÃO', {
+      includeArchived: true,
+      filter: account => account.isCreditCard()
+    });
+    if (!card) return; // Cancelou
+
+    return await this._showCardStatements(card.id);
+  }
+
+  /**
+   * Exibe as faturas de um cartão e as ações disponíveis
+   * @private
+   */
+  async _showCardStatements(cardId) {
+    const spinner = ora('Calculando faturas...').start();
+    const result = await this.getCardStatementsUseCase.execute(this.user.id, cardId);
+    spinner.stop();
+
+    clearScreen();
+
+    if (!result.success) {
+      console.log(errorMessage(result.errors.join('\n')));
+      await Input.pressKey();
+      return;
+    }
+
+    const { account, statements } = result;
+    const format = CreditCardStatement.formatAmount;
+
+    console.log('\n');
+    console.log(createBox(
+      `${account.icon} ${styles.bold(account.name)}\n\n` +
+      `Limite: ${styles.bold(format(account.creditLimit))}\n` +
+      `Utilizado: ${colors.error(format(Math.max(0, -account.balance)))}\n` +
+      `Disponível: ${colors.success(format(result.availableLimit))}\n` +
+      `A pagar (faturas fechadas): ${styles.bold(format(result.amountDue))}\n\n` +
+      colors.textDim(`Fecha dia ${account.closingDay}, vence dia ${account.dueDay}`),
+      { borderColor: 'magenta', padding: 1 }
+    ));
+    console.log('\n');
+
+    // Últimas 6 faturas (e as futuras), da mais recente para a mais antiga
+    const openIndex = statements.findIndex(s => s.getStatus() === 'open');
+    const visible = statements.slice(Math.max(0, openIndex - 5)).reverse();
+
+    console.log(colors.bold('┌─────────┬────────────┬────────────┬──────────────┬──────────────┬─────────────┐'));
+    console.log(colors.bold('│ Fatura  │ Fechamento │ Vencimento │ Total        │ Restante     │ Situação    │'));
+    console.log(colors.bold('├─────────┼────────────┼────────────┼──────────────┼──────────────┼─────────────┤'));
+
+    visible.forEach(statement => {
+      const status = `${statement.getStatusIcon()} ${statement.getStatusLabel()}`;
+      const statusColor = {
+        overdue: colors.error,
+        closed: colors.warning,
+        paid: colors.success
+      }[statement.getStatus()] || colors.info;
+
+      console.log(
+        `│ ${this._pad(statement.reference, 7)} │ ${CreditCardStatement.formatDate(statement.closingDate)} │ ` +
+        `${CreditCardStatement.formatDate(statement.dueDate)} │ ${this._pad(format(statement.total), 12)} │ ` +
+        `${this._pad(format(statement.getRemaining()), 12)} │ ${statusColor(this._pad(status, 11))} │`
+      );
+    });
+
+    console.log(colors.bold('└─────────┴────────────┴────────────┴──────────────┴──────────────┴─────────────┘'));
+    console.log('\n');
+
+    const action = await QuickMenu.selectWithIcons(
+      'O que deseja fazer?',
+      [
+        { name: 'Pagar Fatura', value: 'pay', icon: '💸', color: 'green' },
+        { name: 'Ver Lançamentos da Fatura', value: 'details', icon: '📋', color: 'cyan' },
+        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+      ]
+    );
+
+    if (action === 'pay') {
+      await this._payStatement(account, statements);
+      return await this._showCardStatements(cardId);
+    }
+
+    if (action === 'details') {
+      await this._showStatementTransactions(visible);
+      return await this._showCardStatements(cardId);
+    }
+  }
+
+  /**
+   * Paga uma fatura com uma transferência de outra conta para o cartão
+   * @private
+   */
+  async _payStatement(card, statements) {
+    // Os pagamentos quitam as faturas da mais antiga para a mais recente
+    const statement = statements.find(s => s.isPayable());
+
+    if (!statement) {
+      console.log(warningMessage('Nenhuma fatura com valor a pagar'));
+      await Input.pressKey();
+      return;
+    }
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `💸 ${styles.bold('PAGAR FATURA')}\n\n${statement.getSummary()}\n` +
+      `Restante: ${styles.bold(CreditCardStatement.formatAmount(statement.getRemaining()))}`,
+      { borderColor: 'green', padding: 1 }
+    ));
+    console.log('\n');
+
+    const from = await this._selectAccount('🏦 PAGAR COM QUAL CONTA?', {
+      filter: account => !account.isCreditCard()
+    });
+    if (!from) return;
+
+    const amount = await this._askAmount('Valor do pagamento (R$)', statement.getRemaining());
+
+    const confirm = await Input.confirm('Confirmar pagamento?', true);
+    if (!confirm) return;
+
+    const spinner = ora('Registrando pagamento...').start();
+
+    const result = await this.payCardStatementUseCase.execute(this.user.id, card.id, {
+      reference: statement.reference,
+      fromAccountId: from.id,
+      amount
+    });
+
+    spinner.stop();
+
+    console.log('\n');
+    if (result.success) {
+      console.log(successMessage(`Pagamento da fatura ${statement.reference} registrado!`));
+    } else {
+      console.log(errorMessage(result.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Lista os lançamentos de uma fatura
+   * @private
+   */
+  async _showStatementTransactions(statements) {
+    const reference = await QuickMenu.selectWithIcons(
+      '📋 ESCOLHA A FATURA',
+      [
+        ...statements.map(statement => ({
+          name: statement.getSummary(),
+          value: statement.reference,
+          icon: '💳',
+          color: 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    const statement = statements.find(s => s.reference === reference);
+    if (!statement) return;
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `💳 ${styles.bold(`FATURA ${statement.reference}`)}\n` +
+      colors.textDim(
+        `${CreditCardStatement.formatDate(statement.periodStart)} a ` +
+        `${CreditCardStatement.formatDate(statement.closingDate)} (fechamento)`
+      ),
+      { borderColor: 'magenta', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (statement.previousBalance !== 0) {
+      console.log(`  📌 Saldo anterior | ${CreditCardStatement.formatAmount(statement.previousBalance)}`);
+    }
+
+    if (statement.transactions.length === 0) {
+      console.log(warningMessage('Nenhum lançamento nesta fatura'));
+    } else {
+      [...statement.transactions]
+        .sort((a, b) => a.date - b.date)
+        .forEach(transaction => console.log(`  ${transaction.getSummary()}`));
+
+      console.log('\n');
+      console.log(`  ${styles.bold('Total:')} ${styles.bold(CreditCardStatement.formatAmount(statement.total))}`);
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Concilia uma conta com o extrato do banco
+   * O usuário informa a data e o saldo final do extrato e marca as transações
+   * que aparecem nele até a diferença chegar a zero
+   */
+  async showReconcile() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `✅ ${styles.bold('CONCILIAR COM EXTRATO')}\n${colors.textDim('Confira as transações da conta com o extrato do banco')}`,
+      { borderColor: 'green', padding: 1 }
+    ));
+    console.log('\n');
+
+    const account = await this._selectAccount('✅ ESCOLHA A CONTA');
+    if (!account) return; // Cancelou
+
+    const history = await this.listReconciliationsUseCase.execute(this.user.id, account.id);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${account.icon} ${styles.bold(account.name)}\n\n` +
+      `Saldo atual: ${styles.bold(account.getFormattedBalance())}\n` +
+      (history.success
+        ? `Saldo já conciliado: ${styles.bold(Reconciliation.formatAmount(history.reconciledBalance))}`
+        : ''),
+      { borderColor: 'green', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (history.success && history.reconciliations.length > 0) {
+      console.log(colors.bold('  Últimas conciliações:'));
+      history.reconciliations.slice(0, 5).forEach(reconciliation => {
+        console.log(colors.textDim(`    └─ ${reconciliation.getSummary()}`));
+      });
+      console.log('\n');
+    } else {
+      console.log(colors.textDim('  Esta conta ainda não foi conciliada.\n'));
+    }
+
+    const statementDate = await Input.date('Data do extrato (DD/MM/AAAA)', {
+      validate: (date) => {
+        const today = new Date();
+        today.setHours(23, 59, 59, 999);
+        return date <= today ? true : 'A data do extrato não pode ser no futuro';
+      }
+    });
+    const statementBalance = await this._askAmount('Saldo final do extrato (R$)', account.balance);
+
+    const spinner = ora('Carregando transações...').start();
+    const result = await this.startReconciliationUseCase.execute(this.user.id, account.id, {
+      statementDate,
+      statementBalance
+    });
+    spinner.stop();
+
+    if (!result.success) {
+      console.log('\n');
+      console.log(errorMessage(result.errors.join('\n')));
+      console.log('\n');
+      await Input.pressKey();
+      return;
+    }
+
+    await this._reconcile(result.reconciliation);
+  }
+
+  /**
+   * Marcação das transações até o saldo conciliado bater com o extrato
+   * @private
+   */
+  async _reconcile(reconciliation, page = 1) {
+    const pageSize = 10;
+    const transactions = reconciliation.transactions;
+    const totalPages = Math.max(1, Math.ceil(transactions.length / pageSize));
+    const visible = transactions.slice((page - 1) * pageSize, page * pageSize);
+    const format = Reconciliation.formatAmount;
+    const difference = reconciliation.getDifference();
+    const balanced = reconciliation.isBalanced();
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `✅ ${styles.bold(`CONCILIAÇÃO: ${reconciliation.accountName}`)}\n\n` +
+      `Extrato de ${styles.bold(reconciliation.getFormattedDate())}: ${styles.bold(format(reconciliation.statementBalance))}\n` +
+      `Saldo conciliado: ${styles.bold(format(reconciliation.getClearedBalance()))}\n` +
+      `Diferença: ${balanced ? colors.success(format(0)) : colors.error(format(difference))}\n\n` +
+      colors.textDim(`${reconciliation.selectedIds.size} de ${transactions.length} transação(ões) marcada(s)`),
+      { borderColor: balanced ? 'green' : 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (transactions.length === 0) {
+      console.log(warningMessage('Nenhuma transação a conferir até a data do extrato'));
+      console.log('\n');
+    } else {
+      console.log(colors.bold('┌─────┬───┬────────────┬──────────────────────────────┬──────────────┐'));
+      console.log(colors.bold('│ #   │ ✓ │ Data       │ Descrição                    │ Valor        │'));
+      console.log(colors.bold('├─────┼───┼────────────┼──────────────────────────────┼──────────────┤'));
+
+      visible.forEach((transaction, index) => {
+        const number = (page - 1) * pageSize + index + 1;
+        const mark = reconciliation.isSelected(transaction.id) ? colors.success('x') : ' ';
+        const label = transaction.isTransfer()
+          ? `${transaction.getTransferLabel()}${transaction.description ? ` - ${transaction.description}` : ''}`
+          : (transaction.description || transaction.categoryName || '-');
+        const amount = this._pad(transaction.getSignedAmount(), 12);
+
+        console.log(
+          `│ ${this._pad(number, 3)} │ ${mark} │ ${transaction.getFormattedDate()} │ ` +
+          `${this._pad(this._truncate(label, 28), 28)} │ ` +
+          `${transaction.isIncome() ? colors.success(amount) : colors.error(amount)} │`
+        );
+      });
+
+      console.log(colors.bold('└─────┴───┴────────────┴──────────────────────────────┴──────────────┘'));
+      console.log(colors.textDim(`Página ${page} de ${totalPages}`));
+      console.log('\n');
+    }
+
+    const actions = [];
+
+    if (transactions.length > 0) {
+      actions.push(
+        { name: 'Marcar/Desmarcar Transações', value: 'toggle', icon: '☑️', color: 'cyan' },
+        { name: 'Marcar Todas', value: 'all', icon: '✔️', color: 'cyan' },
+        { name: 'Desmarcar Todas', value: 'none', icon: '⬜', color: 'gray' }
+      );
+    }
+
+    if (page > 1) {
+      actions.push({ name: '← Página Anterior', value: 'prev', icon: '◀️', color: 'blue' });
+    }
+
+    if (page < totalPages) {
+      actions.push({ name: 'Próxima Página →', value: 'next', icon: '▶️', color: 'blue' });
+    }
+
+    if (balanced) {
+      actions.push({ name: 'Finalizar Conciliação', value: 'finish', icon: '✅', color: 'green' });
+    }
+
+    actions.push({ name: 'Cancelar', value: 'cancel', icon: '❌', color: 'red' });
+
+    const action = await QuickMenu.selectWithIcons(
+      balanced ? '✅ Saldo conferido! Finalize a conciliação' : `Diferença: ${format(difference)}`,
+      actions
+    );
+
+    switch (action) {
+    case 'toggle': {
+      const numbers = await this._askNumbers(transactions.length);
+      numbers.forEach(number => reconciliation.toggle(transactions[number - 1].id));
+      return await this._reconcile(reconciliation, page);
+    }
+    case 'all':
+      reconciliation.setSelected(transactions.map(t => t.id), true);
+      return await this._reconcile(reconciliation, page);
+    case 'none':
+      reconciliation.setSelected(transactions.map(t => t.id), false);
+      return await this._reconcile(reconciliation, page);
+    case 'prev':
+      return await this._reconcile(reconciliation, page - 1);
+    case 'next':
+      return await this._reconcile(reconciliation, page + 1);
+    case 'finish':
+      return await this._finishReconciliation(reconciliation);
+    default: {
+      const discard = reconciliation.selectedIds.size === 0 ||
+        await Input.confirm('Descartar as marcações desta conciliação?', false);
+      if (!discard) {
+        return await this._reconcile(reconciliation, page);
+      }
+    }
+    }
+  }
+
+  /**
+   * Grava a conciliação e trava as transações marcadas
+   * @private
+   */
+  async _finishReconciliation(reconciliation) {
+    const count = reconciliation.selectedIds.size;
+    const confirm = await Input.confirm(
+      `Finalizar a conciliação? ${count} transação(ões) ficarão travadas contra edição e exclusão.`,
+      true
+    );
+    if (!confirm) {
+      return await this._reconcile(reconciliation);
+    }
+
+    const spinner = ora('Gravando conciliação...').start();
+    const result = await this.finishReconciliationUseCase.execute(this.user.id, reconciliation);
+    spinner.stop();
+
+    console.log('\n');
+    if (result.success) {
+      console.log(successMessage(
+        `Conta conciliada até ${result.reconciliation.getFormattedDate()}! ` +
+        `${result.reconciliation.transactionCount} transação(ões) conferida(s).`
+      ));
+    } else {
+      console.log(errorMessage(result.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  // ========== MÉTODOS AUXILIARES ==========
+
+  /**
+   * Lê números de linhas da tabela (ex: "1, 3, 5-8")
+   * @param {number} max - Maior número válido
+   * @returns {Promise<number[]>}
+   * @private
+   */
+  async _askNumbers(max) {
+    const parse = (input) => {
+      const numbers = new Set();
+
+      for (const part of String(input).split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part);
+        if (!match) return null;
+
+        const start = Number(match[1]);
+        const end = match[2] ? Number(match[2]) : start;
+        if (start < 1 || end > max || start > end) return null;
+
+        for (let number = start; number <= end; number++) {
+          numbers.add(number);
+        }
+      }
+
+      return [...numbers];
+    };
+
+    const value = await Input.text('Números das transações (ex: 1, 3, 5-8)', {
+      validate: (input) => (parse(input) ? true : `Informe números entre 1 e ${max}`)
+    });
+
+    return parse(value);
+  }
+
+  /**
+   * Seleciona o tipo da conta
+   * @private
+   */
+  async _selectType() {
+    const options = Object.entries(ACCOUNT_TYPES).map(([value, type]) => ({
+      name: type.label,
+      value,
+      icon: type.icon,
+      color: 'white'
+    }));
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'red' });
+
+    return await QuickMenu.selectWithIcons('🏦 TIPO DA CONTA', options);
+  }
+
+  /**
+   * Seleciona uma conta do usuário
+   * @param {string} title
+   * @param {Object} options - { includeArchived?, filter?: (account) => boolean }
+   * @private
+   */
+  async _selectAccount(title, options = {}) {
+    const { filter = () => true, ...listOptions } = options;
+    const result = await this.listAccountsUseCase.execute(this.user.id, listOptions);
+    const accounts = result.success ? result.accounts.filter(filter) : [];
+
+    if (accounts.length === 0) {
+      console.log(warningMessage('Nenhuma conta encontrada'));
+      await Input.pressKey();
+      return null;
+    }
+
+    const choices = accounts.map(account => ({
+      name: `${account.name}${account.isArchived ? ' (arquivada)' : ''} | ${account.getFormattedBalance()}`,
+      value: account.id,
+      icon: account.icon,
+      color: account.isArchived ? 'gray' : 'white'
+    }));
+
+    choices.push({ name: 'Cancelar', value: null, icon: '❌', color: 'red' });
+
+    const accountId = await QuickMenu.selectWithIcons(title, choices);
+
+    return accounts.find(account => account.id === accountId) || null;
+  }
+
+  /**
+   * Lê limite e dias de fechamento/vencimento do cartão
+   * @private
+   */
+  async _askCardSettings(account = null) {
+    const creditLimit = await this._askAmount('Limite do cartão (R$)', account ? account.creditLimit : 0);
+    const closingDay = await this._askDay('Dia de fechamento da fatura', account ? account.closingDay : 1);
+    const dueDay = await this._askDay('Dia de vencimento da fatura', account ? account.dueDay : 10);
+
+    return { creditLimit, closingDay, dueDay };
+  }
+
+  /**
+   * Lê um dia do mês (1 a 31)
+   * @private
+   */
+  async _askDay(message, defaultValue) {
+    const value = await Input.text(message, {
+      default: String(defaultValue),
+      validate: (input) => {
+        const day = Number(input);
+        return Number.isInteger(day) && day >= 1 && day <= 31 ? true : 'Informe um dia entre 1 e 31';
+      }
+    });
+
+    return Number(value);
+  }
+
+  /**
+   * Adiciona padding em string
+   * @private
+   */
+  _pad(str, length) {
+    const s = String(str);
+    return s + ' '.repeat(Math.max(0, length - s.length));
+  }
+
+  /**
+   * Trunca string com reticências
+   * @private
+   */
+  _truncate(str, length) {
+    const s = String(str || '');
+    return s.length > length ? `${s.slice(0, length - 1)}…` : s;
+  }
+
+  /**
+   * Lê um valor monetário (aceita vírgula decimal e valores negativos)
+   * @private
+   */
+  async _askAmount(message, defaultValue) {
+    const value = await Input.text(message, {
+      default: String(defaultValue).replace('.', ','),
+      validate: (input) => {
+        const amount = parseFloat(String(input).replace(',', '.'));
+        return isNaN(amount) ? 'Por favor, insira um valor válido' : true;
+      }
+    });
+
+    return parseFloat(String(value).replace(',', '.'));
+  }
+}
+
+export default AccountScreen;
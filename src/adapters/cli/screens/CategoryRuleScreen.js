@@ -0,0 +1,549 @@
+import { Input } from '../components/Input.js';
+import { QuickMenu } from '../components/QuickMenu.js';
+import {
+  clearScreen,
+  createBox,
+  createSeparator
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { CategoryRule, RULE_WEEKDAYS, MAX_RULE_TEXT_LENGTH } from '../../../domain/entities/CategoryRule.js';
+
+/**
+ * Quantidade de transações exibidas na pré-visualização
+ */
+const PREVIEW_LIMIT = 10;
+
+/**
+ * Tela de regras de categorização automática
+ * (ex: descrição contém "UBER" → Transporte/App + #trabalho)
+ */
+export class CategoryRuleScreen {
+  constructor(user, categoryUseCases) {
+    this.user = user;
+    this.createCategoryRuleUseCase = categoryUseCases.createCategoryRuleUseCase;
+    this.listCategoryRulesUseCase = categoryUseCases.listCategoryRulesUseCase;
+    this.updateCategoryRuleUseCase = categoryUseCases.updateCategoryRuleUseCase;
+    this.deleteCategoryRuleUseCase = categoryUseCases.deleteCategoryRuleUseCase;
+    this.previewCategoryRuleUseCase = categoryUseCases.previewCategoryRuleUseCase;
+    this.applyCategoryRulesUseCase = categoryUseCases.applyCategoryRulesUseCase;
+    this.listCategoriesUseCase = categoryUseCases.listCategoriesUseCase;
+  }
+
+  /**
+   * Exibe as regras até o usuário voltar
+   */
+  async show() {
+    try {
+      while (true) {
+        const result = await this.listCategoryRulesUseCase.execute(this.user.id);
+
+        clearScreen();
+
+        if (!result.success) {
+          console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+          await Input.pressKey();
+          return;
+        }
+
+        const rules = result.rules;
+
+        console.log('\n');
+        console.log(createBox(
+          '🤖 REGRAS DE CATEGORIZAÇÃO\n\n' +
+          colors.textDim('Aplicadas às transações novas e importadas, pela ordem de prioridade'),
+          { borderColor: '#667eea', padding: 1 }
+        ));
+        console.log('\n');
+
+        if (rules.length === 0) {
+          console.log(colors.textDim('Nenhuma regra cadastrada.\n'));
+        } else {
+          rules.forEach(rule => {
+            const line = `  ${rule.getSummary()}`;
+            console.log(rule.isActive ? line : colors.textDim(line));
+          });
+          console.log('\n');
+        }
+
+        console.log(createSeparator());
+        console.log('\n');
+
+        const actions = [{ name: 'Nova Regra', value: 'create', icon: '➕', color: 'green' }];
+
+        if (rules.length > 0) {
+          actions.push({ name: 'Gerenciar Regra', value: 'manage', icon: '⚙️', color: 'blue' });
+        }
+
+        if (rules.some(rule => rule.isActive)) {
+          actions.push({ name: 'Reaplicar ao Histórico', value: 'apply', icon: '🔄', color: 'yellow' });
+        }
+
+        actions.push({ name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' });
+
+        const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+
+        if (action === 'create') {
+          await this._create();
+        } else if (action === 'manage') {
+          const rule = await this._selectRule(rules);
+          if (rule) await this._manage(rule.id);
+        } else if (action === 'apply') {
+          await this._apply();
+        } else {
+          return;
+        }
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Seleciona uma regra
+   * @private
+   */
+  async _selectRule(rules) {
+    const ruleId = await QuickMenu.selectWithIcons(
+      'Regra',
+      [
+        ...rules.map(rule => ({
+          name: rule.getSummary(),
+          value: rule.id,
+          icon: rule.isActive ? '🤖' : '⏸️',
+          color: rule.isActive ? 'white' : 'gray'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return rules.find(rule => rule.id === ruleId) || null;
+  }
+
+  /**
+   * Formulário de nova regra, com a pré-visualização antes de salvar
+   * @private
+   */
+  async _create() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox('➕ NOVA REGRA', { borderColor: 'green', padding: 1 }));
+    console.log('\n');
+
+    const draft = await this._askRule();
+    if (!draft) return;
+
+    const preview = await this.previewCategoryRuleUseCase.execute(this.user.id, draft);
+    const rule = new CategoryRule({ ...draft, userId: this.user.id });
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `🤖 NOVA REGRA\n\n${rule.getConditionsLabel()}\n→ ${rule.getActionsLabel()}`,
+      { borderColor: 'green', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (preview.success) {
+      this._renderPreview(preview);
+    }
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Salvar a regra?',
+      [
+        { name: 'Sim, salvar', value: true, icon: '✅', color: 'green' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) return;
+
+    const result = await this.createCategoryRuleUseCase.execute(this.user.id, draft);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} REGRA CADASTRADA!\n\n${result.rule.getSummary()}` +
+          (preview.success && preview.changedCount > 0
+            ? `\n\n${colors.textDim('Use "Reaplicar ao Histórico" para aplicá-la às transações já registradas')}`
+            : '')
+        : `${icons.error} ERRO AO CADASTRAR REGRA\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Detalhes e ações de uma regra
+   * @private
+   */
+  async _manage(ruleId) {
+    while (true) {
+      const list = await this.listCategoryRulesUseCase.execute(this.user.id);
+      const rule = list.success ? list.rules.find(other => other.id === ruleId) : null;
+
+      if (!rule) {
+        return;
+      }
+
+      clearScreen();
+      console.log('\n');
+      console.log(createBox(
+        '🤖 REGRA\n\n' +
+        `🔢 Prioridade: ${colors.bold(`${rule.priority} de ${list.rules.length}`)}\n` +
+        `🔎 Quando: ${colors.bold(rule.getConditionsLabel())}\n` +
+        `➡️  Então: ${colors.bold(rule.getActionsLabel())}\n` +
+        `📌 Situação: ${colors.bold(rule.isActive ? 'Ativa' : 'Pausada')}`,
+        { borderColor: rule.isActive ? '#667eea' : 'gray', padding: 1 }
+      ));
+      console.log('\n');
+
+      const action = await QuickMenu.selectWithIcons(
+        'O que deseja fazer?',
+        [
+          { name: 'Pré-visualizar', value: 'preview', icon: '👀', color: 'cyan' },
+          { name: 'Aplicar ao Histórico', value: 'apply', icon: '🔄', color: 'yellow' },
+          { name: 'Editar Regra', value: 'edit', icon: '✏️', color: 'blue' },
+          rule.isActive
+            ? { name: 'Pausar Regra', value: 'toggle', icon: '⏸️', color: 'gray' }
+            : { name: 'Reativar Regra', value: 'toggle', icon: '▶️', color: 'green' },
+          { name: 'Mudar Prioridade', value: 'priority', icon: '🔢', color: 'magenta' },
+          { name: 'Deletar Regra', value: 'delete', icon: '🗑️', color: 'red' },
+          { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+        ]
+      );
+
+      let result = null;
+
+      switch (action) {
+      case 'preview':
+        await this._preview(rule);
+        break;
+      case 'apply':
+        if (!rule.isActive) {
+          console.log(colors.warning('\n⚠️  Reative a regra antes de aplicá-la ao histórico\n'));
+          await Input.pressKey();
+        } else {
+          await this._apply(rule);
+        }
+        break;
+      case 'edit': {
+        const draft = await this._askRule(rule);
+        if (draft) {
+          result = await this.updateCategoryRuleUseCase.execute(this.user.id, rule.id, draft);
+        }
+        break;
+      }
+      case 'toggle':
+        result = await this.updateCategoryRuleUseCase.execute(this.user.id, rule.id, { isActive: !rule.isActive });
+        break;
+      case 'priority': {
+        const priority = await Input.number(`🔢 Nova prioridade (1 a ${list.rules.length})`, 1, list.rules.length);
+        result = await this.updateCategoryRuleUseCase.execute(this.user.id, rule.id, { priority });
+        break;
+      }
+      case 'delete':
+        if (await this._delete(rule)) return;
+        break;
+      default:
+        return;
+      }
+
+      if (result && !result.success) {
+        console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+        await Input.pressKey();
+      }
+    }
+  }
+
+  /**
+   * Pré-visualiza as transações já registradas que a regra pega
+   * @private
+   */
+  async _preview(rule) {
+    const preview = await this.previewCategoryRuleUseCase.execute(this.user.id, rule);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `👀 PRÉ-VISUALIZAÇÃO\n\n${rule.getSummary()}`,
+      { borderColor: 'cyan', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (!preview.success) {
+      console.log(colors.error(`❌ ${preview.errors.join('\n')}\n`));
+    } else {
+      this._renderPreview(preview);
+    }
+
+    await Input.pressKey();
+  }
+
+  /**
+   * Lista as transações da pré-visualização e o que mudaria em cada uma
+   * @private
+   */
+  _renderPreview(preview) {
+    const { matches, changedCount } = preview;
+
+    if (matches.length === 0) {
+      console.log(colors.textDim('Nenhuma transação registrada corresponde a esta regra.\n'));
+      return;
+    }
+
+    console.log(colors.bold(
+      `${matches.length} transação(ões) registrada(s) correspondem; ${changedCount} mudaria(m) ao reaplicar:\n`
+    ));
+
+    matches.slice(0, PREVIEW_LIMIT).forEach(match => {
+      let change;
+
+      if (match.locked) {
+        change = colors.textDim('🔒 travada, não muda');
+      } else if (!match.categoryId && match.tags.length === 0) {
+        change = colors.textDim('✔ já está assim');
+      } else {
+        change = colors.info([
+          match.categoryId ? '📂 muda a categoria' : '',
+          ...match.tags.map(name => `+#${name}`)
+        ].filter(part => part).join(' '));
+      }
+
+      console.log(`  ${match.transaction.getSummary()}  ${change}`);
+    });
+
+    if (matches.length > PREVIEW_LIMIT) {
+      console.log(colors.textDim(`  ... e mais ${matches.length - PREVIEW_LIMIT}`));
+    }
+
+    console.log('\n');
+  }
+
+  /**
+   * Reaplica as regras ativas (ou só as transações de uma regra) ao histórico
+   * @private
+   */
+  async _apply(rule = null) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} REAPLICAR AO HISTÓRICO\n\n` +
+      (rule ? `${rule.getSummary()}\n\n` : '') +
+      colors.textDim('As transações já registradas que as regras pegam recebem a categoria e as tags delas.\n') +
+      colors.textDim('Transferências, parcelas e transações conciliadas não mudam.'),
+      { borderColor: 'yellow', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, reaplicar', value: true, icon: '✅', color: 'yellow' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) return;
+
+    const result = await this.applyCategoryRulesUseCase.execute(this.user.id, { ruleId: rule ? rule.id : null });
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} REGRAS REAPLICADAS!\n\n` +
+          `${result.updatedCount} transação(ões) atualizada(s) de ${result.matchedCount} correspondente(s)` +
+          (result.lockedCount > 0 ? `\n${colors.textDim(`${result.lockedCount} travada(s) não mudaram`)}` : '')
+        : `${icons.error} ERRO AO REAPLICAR REGRAS\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Deleta a regra (as transações já categorizadas não mudam)
+   * @private
+   * @returns {Promise<boolean>} true se deletada
+   */
+  async _delete(rule) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR EXCLUSÃO\n\n` +
+      `${rule.getSummary()}\n\n` +
+      colors.textDim('As transações já categorizadas pela regra não mudam'),
+      { borderColor: 'red', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, deletar', value: true, icon: '✅', color: 'red' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return false;
+    }
+
+    const result = await this.deleteCategoryRuleUseCase.execute(this.user.id, rule.id);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} REGRA DELETADA COM SUCESSO!`
+        : `${icons.error} ERRO AO DELETAR REGRA\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+
+    return result.success;
+  }
+
+  /**
+   * Pergunta as condições e as ações da regra (na edição, os valores atuais
+   * são o padrão e "-" limpa o campo)
+   * @private
+   * @returns {Promise<Object|null>} Dados da regra ou null se cancelado
+   */
+  async _askRule(current = null) {
+    console.log(colors.info('🔎 CONDIÇÕES (todas precisam valer; deixe em branco as que não usar)\n'));
+    if (current) console.log(colors.textDim('  Digite - para limpar um campo\n'));
+
+    const descriptionContains = this._clear(await Input.text('Descrição contém (ex: UBER)', {
+      default: current && current.descriptionContains ? current.descriptionContains : undefined,
+      validate: (input) => input.trim().length <= MAX_RULE_TEXT_LENGTH ||
+        `Texto muito longo! Máximo ${MAX_RULE_TEXT_LENGTH} caracteres.`
+    }));
+
+    const validateAmount = (input) => {
+      const value = parseFloat(this._clear(input).replace(',', '.'));
+      return !this._clear(input) || value >= 0 || 'Valor inválido';
+    };
+
+    const minAmount = this._clear(await Input.text('Valor a partir de (ex: 30)', {
+      default: current && current.minAmount !== null ? String(current.minAmount) : undefined,
+      validate: validateAmount
+    }));
+
+    const maxAmount = this._clear(await Input.text('Valor até (ex: 60)', {
+      default: current && current.maxAmount !== null ? String(current.maxAmount) : undefined,
+      validate: validateAmount
+    }));
+
+    console.log(colors.textDim(`\n  ${RULE_WEEKDAYS.join(', ')}\n`));
+
+    const weekdaysInput = this._clear(await Input.text('Dias da semana (ex: sexta, sábado)', {
+      default: current && current.weekdays.length > 0
+        ? current.weekdays.map(day => RULE_WEEKDAYS[day]).join(', ')
+        : undefined,
+      validate: (input) => this._parseWeekdays(this._clear(input)) !== null || 'Dia da semana inválido'
+    }));
+
+    console.log(colors.info('\n➡️  AÇÕES\n'));
+
+    const category = await this._selectCategory(current ? current.categoryId : null);
+    if (category === null) return null;
+
+    const tags = this._clear(await Input.text('🏷️  Tags (separadas por vírgula, opcional)', {
+      default: current && current.tags.length > 0 ? current.tags.join(', ') : undefined
+    }));
+
+    return {
+      descriptionContains,
+      minAmount,
+      maxAmount,
+      weekdays: this._parseWeekdays(weekdaysInput),
+      categoryId: category ? category.id : null,
+      tags,
+      // Dados da categoria para exibição
+      categoryName: category ? category.name : undefined,
+      categoryIcon: category ? category.icon : undefined,
+      categoryType: category ? category.type : undefined,
+      parentCategoryName: category ? category.parentName : undefined
+    };
+  }
+
+  /**
+   * Seleciona a categoria que a regra aplica (com as subcategorias)
+   * @private
+   * @returns {Promise<Object|undefined|null>} undefined = nenhuma, null = cancelado
+   */
+  async _selectCategory(currentId = null) {
+    const result = await this.listCategoriesUseCase.execute({ userId: this.user.id });
+
+    if (!result.success) {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return null;
+    }
+
+    const categories = [];
+
+    result.categories.forEach(category => {
+      categories.push({ id: category.id, name: category.name, icon: category.icon, type: category.type });
+
+      category.subcategories.forEach(sub => {
+        categories.push({ id: sub.id, name: sub.name, icon: sub.icon, type: sub.type, parentName: category.name });
+      });
+    });
+
+    const categoryId = await QuickMenu.selectWithIcons(
+      '📂 Categoria',
+      [
+        ...categories.map(category => ({
+          name: (category.parentName ? `${category.parentName}/${category.name}` : category.name) +
+            ` ${colors.textDim(category.type === 'income' ? '(receita)' : '(despesa)')}`,
+          value: category.id,
+          icon: category.icon || '📁',
+          color: category.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Nenhuma (só tags)', value: 'none', icon: '➖', color: 'gray' },
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    if (categoryId === 'none') {
+      return undefined;
+    }
+
+    return categories.find(category => category.id === categoryId) || null;
+  }
+
+  /**
+   * Converte os nomes dos dias ("sex, sáb" ou "sexta") em índices
+   * @private
+   * @returns {number[]|null} null se algum nome for inválido
+   */
+  _parseWeekdays(input) {
+    if (!input) {
+      return [];
+    }
+
+    const days = input.split(',').map(name => CategoryRule.normalize(name)).filter(name => name);
+    const indexes = days.map(name => RULE_WEEKDAYS.findIndex(day =>
+      name.length >= 3 && CategoryRule.normalize(day).startsWith(name)
+    ));
+
+    return indexes.includes(-1) ? null : indexes;
+  }
+
+  /**
+   * Campo em branco ou "-" vira vazio
+   * @private
+   */
+  _clear(input) {
+    const value = String(input || '').trim();
+    return value === '-' ? '' : value;
+  }
+}
+
+export default CategoryRuleScreen;
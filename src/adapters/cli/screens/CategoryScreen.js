@@ -9,6 +9,7 @@ import {
   warningMessage
 } from '../utils/banner.js';
 import { colors, icons, styles } from '../utils/colors.js';
+import { CategoryRuleScreen } from './CategoryRuleScreen.js';
 import ora from 'ora';
 
 /**
@@ -20,13 +21,19 @@ export class CategoryScreen {
     createCategoryUseCase,
     listCategoriesUseCase,
     updateCategoryUseCase,
-    deleteCategoryUseCase
+    deleteCategoryUseCase,
+    categoryUseCases = null
   ) {
     this.user = user;
     this.createCategoryUseCase = createCategoryUseCase;
     this.listCategoriesUseCase = listCategoriesUseCase;
     this.updateCategoryUseCase = updateCategoryUseCase;
     this.deleteCategoryUseCase = deleteCategoryUseCase;
+    this.mergeCategoriesUseCase = categoryUseCases ? categoryUseCases.mergeCategoriesUseCase : null;
+    this.moveCategoryUseCase = categoryUseCases ? categoryUseCases.moveCategoryUseCase : null;
+    this.categoryRuleScreen = categoryUseCases && categoryUseCases.listCategoryRulesUseCase
+      ? new CategoryRuleScreen(user, categoryUseCases)
+      : null;
   }
 
   /**
@@ -43,16 +50,28 @@ export class CategoryScreen {
     console.log(createSeparator());
     console.log('\n');
 
-    const choice = await QuickMenu.selectWithIcons(
-      '📂 O QUE DESEJA FAZER?',
-      [
-        { name: 'Listar Categorias', value: 'list', icon: '📋', color: 'cyan' },
-        { name: 'Criar Categoria', value: 'create', icon: '➕', color: 'green' },
-        { name: 'Editar Categoria', value: 'edit', icon: '✏️', color: 'yellow' },
-        { name: 'Deletar Categoria', value: 'delete', icon: '🗑️', color: 'red' },
-        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
-      ]
-    );
+    const options = [
+      { name: 'Listar Categorias', value: 'list', icon: '📋', color: 'cyan' },
+      { name: 'Criar Categoria', value: 'create', icon: '➕', color: 'green' },
+      { name: 'Editar Categoria', value: 'edit', icon: '✏️', color: 'yellow' },
+      { name: 'Deletar Categoria', value: 'delete', icon: '🗑️', color: 'red' }
+    ];
+
+    if (this.mergeCategoriesUseCase) {
+      options.push({ name: 'Mesclar Categorias', value: 'merge', icon: '🔗', color: 'cyan' });
+    }
+
+    if (this.moveCategoryUseCase) {
+      options.push({ name: 'Mover Categoria', value: 'move', icon: '↪️', color: 'yellow' });
+    }
+
+    if (this.categoryRuleScreen) {
+      options.push({ name: 'Regras de Categorização', value: 'rules', icon: '🤖', color: 'magenta' });
+    }
+
+    options.push({ name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' });
+
+    const choice = await QuickMenu.selectWithIcons('📂 O QUE DESEJA FAZER?', options);
 
     switch (choice) {
     case 'list':
@@ -67,6 +86,15 @@ export class CategoryScreen {
     case 'delete':
       await this.showDelete();
       return await this.show();
+    case 'merge':
+      await this.showMerge();
+      return await this.show();
+    case 'move':
+      await this.showMove();
+      return await this.show();
+    case 'rules':
+      await this.categoryRuleScreen.show();
+      return await this.show();
     case 'back':
       return 'back';
     }
@@ -111,7 +139,7 @@ export class CategoryScreen {
     this._displayCategoryTree(incomeResult.categories);
 
     // Exibir Despesas
-    console.log(colors.danger(`\n📉 DESPESAS (${this._countTotal(expenseResult.categories)})\n`));
+    console.log(colors.error(`\n📉 DESPESAS (${this._countTotal(expenseResult.categories)})\n`));
     this._displayCategoryTree(expenseResult.categories);
 
     console.log('\n');
@@ -295,7 +323,7 @@ export class CategoryScreen {
     if (!category) return;
 
     // Confirmar
-    console.log(colors.danger(`\n⚠️  Você está prestes a deletar: ${category.icon} ${category.name}\n`));
+    console.log(colors.error(`\n⚠️  Você está prestes a deletar: ${category.icon} ${category.name}\n`));
 
     if (category.subcategories.length > 0) {
       console.log(warningMessage(
@@ -310,13 +338,37 @@ export class CategoryScreen {
     // Executar caso de uso
     const spinner = ora('Deletando categoria...').start();
 
-    const deleteResult = await this.deleteCategoryUseCase.execute({
+    let deleteResult = await this.deleteCategoryUseCase.execute({
       id: categoryId,
       userId: this.user.id
     });
 
     spinner.stop();
 
+    // Categoria em uso: o que a usa passa para uma substituta
+    if (deleteResult.requiresReplacement) {
+      console.log('\n');
+      console.log(warningMessage(deleteResult.errors.join('\n')));
+      console.log('');
+
+      const replacementId = await this._selectTargetCategory(
+        '🔄 CATEGORIA SUBSTITUTA',
+        category.type,
+        [category.id, ...category.subcategories.map(sub => sub.id)]
+      );
+      if (!replacementId) return; // Cancelou
+
+      const replacingSpinner = ora('Deletando categoria...').start();
+
+      deleteResult = await this.deleteCategoryUseCase.execute({
+        id: categoryId,
+        userId: this.user.id,
+        replacementCategoryId: replacementId
+      });
+
+      replacingSpinner.stop();
+    }
+
     if (deleteResult.success) {
       console.log('\n');
       console.log(successMessage('Categoria deletada com sucesso!'));
@@ -332,6 +384,172 @@ export class CategoryScreen {
     await Input.pressKey();
   }
 
+  /**
+   * Mescla uma categoria em outra
+   */
+  async showMerge() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `🔗 ${styles.bold('MESCLAR CATEGORIAS')}\n${colors.textDim('Tudo o que usa uma categoria passa para outra')}`,
+      { borderColor: 'cyan', padding: 1 }
+    ));
+    console.log('\n');
+
+    // A categoria que sai precisa ser do usuário
+    const result = await this.listCategoriesUseCase.executeUserOwned({
+      userId: this.user.id
+    });
+
+    if (!result.success) {
+      console.log(errorMessage('Erro ao carregar categorias'));
+      await Input.pressKey();
+      return;
+    }
+
+    if (result.categories.length === 0) {
+      console.log(warningMessage('Você ainda não criou nenhuma categoria personalizada'));
+      await Input.pressKey();
+      return;
+    }
+
+    const sourceId = await this._selectCategoryToEdit(result.categories, '📂 QUAL CATEGORIA SAI?');
+    if (!sourceId) return; // Cancelou
+
+    const source = this._findCategoryById(result.categories, sourceId);
+    if (!source) return;
+
+    const targetId = await this._selectTargetCategory(
+      '📂 MESCLAR EM QUAL CATEGORIA?',
+      source.type,
+      [source.id, ...source.subcategories.map(sub => sub.id)]
+    );
+    if (!targetId) return; // Cancelou
+
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR MESCLAGEM\n\n` +
+      `${source.icon} ${source.name} será deletada.\n\n` +
+      colors.textDim('Transações, orçamentos, parcelamentos, recorrências, favorecidos e regras\n') +
+      colors.textDim('passam para a categoria escolhida, e as subcategorias ficam sob ela.'),
+      { borderColor: 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    const confirm = await Input.confirm('Tem certeza que deseja mesclar?', false);
+    if (!confirm) return;
+
+    const spinner = ora('Mesclando categorias...').start();
+
+    const mergeResult = await this.mergeCategoriesUseCase.execute({
+      sourceId,
+      targetId,
+      userId: this.user.id
+    });
+
+    spinner.stop();
+
+    console.log('\n');
+    if (mergeResult.success) {
+      console.log(successMessage(
+        `"${source.name}" mesclada em "${mergeResult.category.name}" com sucesso!`
+      ));
+    } else {
+      console.log(errorMessage(mergeResult.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Move uma categoria para baixo de outra (ou para a raiz)
+   */
+  async showMove() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `↪️  ${styles.bold('MOVER CATEGORIA')}\n${colors.textDim('Troque a categoria pai de uma categoria')}`,
+      { borderColor: 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    const result = await this.listCategoriesUseCase.executeUserOwned({
+      userId: this.user.id
+    });
+
+    if (!result.success) {
+      console.log(errorMessage('Erro ao carregar categorias'));
+      await Input.pressKey();
+      return;
+    }
+
+    if (result.categories.length === 0) {
+      console.log(warningMessage('Você ainda não criou nenhuma categoria personalizada'));
+      await Input.pressKey();
+      return;
+    }
+
+    const categoryId = await this._selectCategoryToEdit(result.categories, '📂 QUAL CATEGORIA DESEJA MOVER?');
+    if (!categoryId) return; // Cancelou
+
+    const category = this._findCategoryById(result.categories, categoryId);
+    if (!category) return;
+
+    const parentsResult = await this.listCategoriesUseCase.execute({
+      userId: this.user.id,
+      type: category.type
+    });
+
+    if (!parentsResult.success) {
+      console.log(errorMessage('Erro ao carregar categorias'));
+      await Input.pressKey();
+      return;
+    }
+
+    const options = [];
+
+    if (category.isSubcategory()) {
+      options.push({ name: 'Nenhuma (virar categoria principal)', value: 'root', icon: '🔝', color: 'cyan' });
+    }
+
+    parentsResult.categories
+      .filter(parent => parent.id !== category.id && parent.id !== category.parentId)
+      .forEach(parent => {
+        options.push({
+          name: `${parent.icon} ${parent.name}`,
+          value: parent.id,
+          icon: parent.icon,
+          color: parent.color || 'white'
+        });
+      });
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'red' });
+
+    const parentId = await QuickMenu.selectWithIcons('📂 NOVA CATEGORIA PAI', options);
+    if (!parentId) return; // Cancelou
+
+    const spinner = ora('Movendo categoria...').start();
+
+    const moveResult = await this.moveCategoryUseCase.execute({
+      id: categoryId,
+      userId: this.user.id,
+      parentId: parentId === 'root' ? null : parentId
+    });
+
+    spinner.stop();
+
+    console.log('\n');
+    if (moveResult.success) {
+      console.log(successMessage(`Categoria "${category.name}" movida com sucesso!`));
+    } else {
+      console.log(errorMessage(moveResult.errors.join('\n')));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
   // ========== MÉTODOS AUXILIARES ==========
 
   /**
@@ -401,7 +619,7 @@ export class CategoryScreen {
    * Seleciona categoria para editar/deletar
    * @private
    */
-  async _selectCategoryToEdit(categories) {
+  async _selectCategoryToEdit(categories, title = '📂 ESCOLHA A CATEGORIA') {
     const options = [];
 
     categories.forEach(cat => {
@@ -424,10 +642,57 @@ export class CategoryScreen {
 
     options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'red' });
 
-    return await QuickMenu.selectWithIcons(
-      '📂 ESCOLHA A CATEGORIA',
-      options
-    );
+    return await QuickMenu.selectWithIcons(title, options);
+  }
+
+  /**
+   * Seleciona a categoria que recebe o que usa outra (mesclagem ou
+   * substituição), entre as categorias do tipo, globais ou do usuário
+   * @private
+   */
+  async _selectTargetCategory(title, type, excludedIds = []) {
+    const result = await this.listCategoriesUseCase.execute({
+      userId: this.user.id,
+      type
+    });
+
+    if (!result.success) {
+      console.log(errorMessage('Erro ao carregar categorias'));
+      await Input.pressKey();
+      return null;
+    }
+
+    const isAvailable = cat =>
+      !excludedIds.includes(cat.id) && (cat.isGlobal() || cat.userId === this.user.id);
+    const options = [];
+
+    result.categories.filter(isAvailable).forEach(cat => {
+      options.push({
+        name: cat.name,
+        value: cat.id,
+        icon: cat.icon,
+        color: cat.color || 'white'
+      });
+
+      cat.subcategories.filter(isAvailable).forEach(sub => {
+        options.push({
+          name: `  └─ ${sub.name}`,
+          value: sub.id,
+          icon: sub.icon,
+          color: sub.color || 'white'
+        });
+      });
+    });
+
+    if (options.length === 0) {
+      console.log(errorMessage('Nenhuma outra categoria disponível'));
+      await Input.pressKey();
+      return null;
+    }
+
+    options.push({ name: 'Cancelar', value: null, icon: '❌', color: 'red' });
+
+    return await QuickMenu.selectWithIcons(title, options);
   }
 
   /**
@@ -4,6 +4,7 @@ import { GoalCard } from '../components/GoalCard.js';
 import { GoalProgressBar } from '../components/GoalProgressBar.js';
 import { Input } from '../components/Input.js';
 import { QuickMenu } from '../components/QuickMenu.js';
+import { RecurringRule } from '../../../domain/entities/RecurringRule.js';
 import {
   clearScreen,
   createBox,
@@ -16,11 +17,18 @@ import chalk from 'chalk';
  * Tela do Dashboard - Visualização geral das finanças
  */
 export class DashboardScreen {
-  constructor(user, getDashboardDataUseCase, listBudgetsUseCase = null, listGoalsUseCase = null) {
+  constructor(
+    user,
+    getDashboardDataUseCase,
+    listBudgetsUseCase = null,
+    listGoalsUseCase = null,
+    getUpcomingOccurrencesUseCase = null
+  ) {
     this.user = user;
     this.getDashboardDataUseCase = getDashboardDataUseCase;
     this.listBudgetsUseCase = listBudgetsUseCase;
     this.listGoalsUseCase = listGoalsUseCase;
+    this.getUpcomingOccurrencesUseCase = getUpcomingOccurrencesUseCase;
   }
 
   /**
@@ -104,6 +112,16 @@ export class DashboardScreen {
       console.log('\n');
     }
 
+    // Saldo por conta
+    if (data.accounts && data.accounts.length > 0) {
+      console.log(ChartRenderer.renderSectionTitle('SALDO POR CONTA', '🏦'));
+      console.log('\n');
+      console.log(ChartRenderer.renderAccountBalances(data.accounts));
+      console.log('\n');
+      console.log(ChartRenderer.renderSeparator(70));
+      console.log('\n');
+    }
+
     // Top 5 categorias
     if (data.topCategories && data.topCategories.length > 0) {
       const monthNameShort = this._getFullMonthName(data.currentMonth.month);
@@ -124,6 +142,9 @@ export class DashboardScreen {
     // Widget de Metas
     await this._renderGoalsWidget();
 
+    // Widget de Recorrências
+    await this._renderRecurringWidget();
+
     // Indicadores
     this._renderIndicators(data);
     console.log('\n');
@@ -303,4 +324,43 @@ export class DashboardScreen {
       console.error('Erro ao carregar widget de metas:', error.message);
     }
   }
+
+  /**
+   * Renderiza widget das próximas transações recorrentes
+   * @private
+   */
+  async _renderRecurringWidget() {
+    if (!this.getUpcomingOccurrencesUseCase) {
+      return; // Widget não disponível se não houver use case
+    }
+
+    try {
+      const result = await this.getUpcomingOccurrencesUseCase.execute(this.user.id, { days: 30, limit: 5 });
+
+      if (result.success && result.occurrences.length > 0) {
+        console.log(ChartRenderer.renderSectionTitle('PRÓXIMAS RECORRÊNCIAS (30 DIAS)', '🔄'));
+        console.log('');
+
+        result.occurrences.forEach(occurrence => {
+          const isIncome = occurrence.rule.type === 'income';
+          const amount = `${isIncome ? '+' : '-'}${RecurringRule.formatAmount(occurrence.amount)}`;
+          const line = `  ${RecurringRule.formatDate(occurrence.date)}  ${occurrence.rule.categoryIcon || '📁'} ` +
+            `${occurrence.description}  `;
+
+          if (occurrence.isSkipped) {
+            console.log(colors.textDim(`${line}${amount} (pulada)`));
+          } else {
+            console.log(line + (isIncome ? colors.success(amount) : colors.error(amount)));
+          }
+        });
+
+        console.log('');
+        console.log(ChartRenderer.renderSeparator(70));
+        console.log('');
+      }
+    } catch (error) {
+      // Silenciosamente ignorar erro no widget
+      console.error('Erro ao carregar widget de recorrências:', error.message);
+    }
+  }
 }
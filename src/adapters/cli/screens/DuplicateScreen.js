@@ -0,0 +1,261 @@
+import { Input } from '../components/Input.js';
+import { QuickMenu } from '../components/QuickMenu.js';
+import {
+  clearScreen,
+  createBox,
+  createSeparator
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { DuplicateGroup, DUPLICATE_WINDOW_DAYS } from '../../../domain/entities/DuplicateGroup.js';
+
+/**
+ * Tela de transações duplicadas: agrupa os lançamentos suspeitos e permite
+ * mesclar o grupo ou deletar uma das transações
+ */
+export class DuplicateScreen {
+  constructor(user, transactionUseCases) {
+    this.user = user;
+    this.findDuplicateTransactionsUseCase = transactionUseCases.findDuplicateTransactionsUseCase;
+    this.mergeDuplicateTransactionsUseCase = transactionUseCases.mergeDuplicateTransactionsUseCase;
+    this.deleteTransactionUseCase = transactionUseCases.deleteTransactionUseCase;
+
+    // Grupos marcados como "não são duplicadas" nesta sessão
+    this.ignoredGroups = new Set();
+  }
+
+  /**
+   * Exibe os grupos de duplicadas até o usuário voltar
+   */
+  async show() {
+    try {
+      while (true) {
+        const result = await this.findDuplicateTransactionsUseCase.execute(this.user.id);
+
+        clearScreen();
+
+        if (!result.success) {
+          console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+          await Input.pressKey();
+          return;
+        }
+
+        const groups = result.groups.filter(group => !this.ignoredGroups.has(this._groupKey(group)));
+
+        console.log('\n');
+        console.log(createBox(
+          '🧬 TRANSAÇÕES DUPLICADAS\n\n' +
+          colors.textDim(`Mesmo valor, até ${DUPLICATE_WINDOW_DAYS} dias de distância e descrições parecidas`),
+          { borderColor: '#667eea', padding: 1 }
+        ));
+        console.log('\n');
+
+        if (groups.length === 0) {
+          console.log(colors.success(`${icons.success} Nenhuma transação duplicada encontrada.\n`));
+          await Input.pressKey();
+          return;
+        }
+
+        console.log(colors.bold(`${groups.length} grupo(s) suspeito(s):\n`));
+        groups.forEach((group, index) => {
+          console.log(`  ${colors.textDim(`${index + 1}.`)} ${group.getSummary()}`);
+        });
+        console.log('\n');
+        console.log(createSeparator());
+        console.log('\n');
+
+        const choice = await QuickMenu.selectWithIcons(
+          'Qual grupo deseja revisar?',
+          [
+            ...groups.map((group, index) => ({
+              name: group.getSummary(),
+              value: index,
+              icon: '🧬',
+              color: 'white'
+            })),
+            { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+          ]
+        );
+
+        if (choice === null || choice === 'back') {
+          return;
+        }
+
+        await this._review(groups[choice]);
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Identificador de um grupo (as transações que o formam)
+   * @private
+   */
+  _groupKey(group) {
+    return group.transactions.map(transaction => transaction.id).sort((a, b) => a - b).join(',');
+  }
+
+  /**
+   * Transações do grupo e ações
+   * @private
+   */
+  async _review(group) {
+    const keeper = group.getKeeper();
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `🧬 ${group.getSummary()}\n\n` +
+      group.transactions.map(transaction => this._formatTransaction(transaction, transaction === keeper)).join('\n\n'),
+      { borderColor: 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+    console.log(colors.textDim('⭐ = sugerida para ficar   🔒 = conciliada ou parcela (não pode sair)\n'));
+
+    const action = await QuickMenu.selectWithIcons('O que deseja fazer?', [
+      { name: 'Mesclar (manter uma)', value: 'merge', icon: '🔗', color: 'green' },
+      { name: 'Deletar uma Transação', value: 'delete', icon: '🗑️', color: 'red' },
+      { name: 'Não São Duplicadas', value: 'ignore', icon: '🙈', color: 'cyan' },
+      { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+    ]);
+
+    if (action === 'merge') {
+      await this._merge(group, keeper);
+    } else if (action === 'delete') {
+      await this._delete(group);
+    } else if (action === 'ignore') {
+      this.ignoredGroups.add(this._groupKey(group));
+    }
+  }
+
+  /**
+   * Detalhes de uma transação do grupo
+   * @private
+   */
+  _formatTransaction(transaction, isKeeper) {
+    const marks = `${isKeeper ? '⭐ ' : ''}${DuplicateGroup.isLocked(transaction) ? '🔒 ' : ''}`;
+    const details = [
+      transaction.accountName ? `${transaction.accountIcon || '🏦'} ${transaction.accountName}` : null,
+      transaction.payeeName ? `🏪 ${transaction.payeeName}` : null,
+      transaction.tags.length > 0 ? `🏷️  ${transaction.getTagsLabel()}` : null
+    ].filter(detail => detail);
+
+    return `${marks}${transaction.getSummary()}` +
+      (details.length > 0 ? `\n   ${colors.textDim(details.join(' · '))}` : '');
+  }
+
+  /**
+   * Seleciona uma transação do grupo
+   * @private
+   */
+  async _selectTransaction(title, transactions, defaultValue = null) {
+    const transactionId = await QuickMenu.selectWithIcons(
+      title,
+      [
+        ...transactions.map(transaction => ({
+          name: transaction.getSummary(),
+          value: transaction.id,
+          icon: DuplicateGroup.isLocked(transaction) ? '🔒' : '🧾',
+          color: 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ],
+      { defaultValue }
+    );
+
+    return transactions.find(transaction => transaction.id === transactionId) || null;
+  }
+
+  /**
+   * Mantém uma transação do grupo e remove as outras
+   * @private
+   */
+  async _merge(group, suggestedKeeper) {
+    const keeper = await this._selectTransaction('Qual transação fica?', group.transactions, suggestedKeeper.id);
+
+    if (!keeper) {
+      return;
+    }
+
+    const duplicates = group.transactions.filter(transaction => transaction !== keeper);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR MESCLAGEM\n\n` +
+      `Fica: ${keeper.getSummary()}\n\n` +
+      `Saem:\n${duplicates.map(transaction => `  ${transaction.getSummary()}`).join('\n')}\n\n` +
+      colors.textDim('As tags e os anexos das que saem passam para a que fica'),
+      { borderColor: 'yellow', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, mesclar', value: true, icon: '✅', color: 'green' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return;
+    }
+
+    const result = await this.mergeDuplicateTransactionsUseCase.execute(
+      this.user.id,
+      keeper.id,
+      duplicates.map(transaction => transaction.id)
+    );
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} TRANSAÇÕES MESCLADAS!\n\n${result.transaction.getSummary()}\n\n` +
+          colors.textDim(`${result.removedCount} duplicada(s) removida(s)`)
+        : `${icons.error} ERRO AO MESCLAR TRANSAÇÕES\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Deleta uma das transações do grupo
+   * @private
+   */
+  async _delete(group) {
+    const transaction = await this._selectTransaction('Qual transação deseja deletar?', group.transactions);
+
+    if (!transaction) {
+      return;
+    }
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, deletar', value: true, icon: '✅', color: 'red' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return;
+    }
+
+    const result = await this.deleteTransactionUseCase.execute({ id: transaction.id, userId: this.user.id });
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} TRANSAÇÃO DELETADA COM SUCESSO!`
+        : `${icons.error} ERRO AO DELETAR TRANSAÇÃO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+}
@@ -11,6 +11,7 @@ import chalk from 'chalk';
 import ora from 'ora';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { EXPORT_LOCALES } from '../../../domain/entities/ExportConfig.js';
 
 const execAsync = promisify(exec);
 
@@ -21,10 +22,18 @@ export class ExportScreen {
    * @param {Object} exportUseCases - Use cases de exportação
    * @param {ExportTransactionsToPDFUseCase} exportUseCases.transactions
    * @param {ExportReportToPDFUseCase} exportUseCases.report
+   * @param {ExportTransactionsToQifUseCase} exportUseCases.qif
+   * @param {ExportTransactionsToDataFileUseCase} exportUseCases.transactionsData - CSV e JSON
+   * @param {ExportReportToDataFileUseCase} exportUseCases.reportData - CSV e JSON
+   * @param {ListCategoriesUseCase} exportUseCases.listCategories - Para o relatório por categoria
    */
   constructor(exportUseCases) {
     this.exportTransactionsUseCase = exportUseCases.transactions;
     this.exportReportUseCase = exportUseCases.report;
+    this.exportQifUseCase = exportUseCases.qif || null;
+    this.exportTransactionsDataUseCase = exportUseCases.transactionsData || null;
+    this.exportReportDataUseCase = exportUseCases.reportData || null;
+    this.listCategoriesUseCase = exportUseCases.listCategories || null;
   }
 
   /**
@@ -51,6 +60,10 @@ export class ExportScreen {
               name: `${chalk.green('📊')} Exportar Relatório`,
               value: 'report'
             },
+            ...(this.exportQifUseCase ? [{
+              name: `${chalk.magenta('🔁')} Exportar QIF (outros programas de finanças)`,
+              value: 'qif'
+            }] : []),
             new inquirer.Separator(),
             {
               name: `${chalk.gray('⬅️  Voltar')}`,
@@ -68,6 +81,8 @@ export class ExportScreen {
         await this.exportTransactions(user);
       } else if (action === 'report') {
         await this.exportReport(user);
+      } else if (action === 'qif') {
+        await this.exportQif(user);
       }
 
       // Aguardar antes de mostrar menu novamente
@@ -78,7 +93,7 @@ export class ExportScreen {
   }
 
   /**
-   * Exporta transações para PDF
+   * Exporta transações para PDF, CSV ou JSON
    *
    * @param {Object} user - Usuário logado
    */
@@ -88,6 +103,8 @@ export class ExportScreen {
 
     console.log(chalk.cyan.bold('\n📄 Exportar Transações\n'));
 
+    const { format, locale } = await this.chooseFormat(!!this.exportTransactionsDataUseCase);
+
     // 1. Selecionar período
     const { period } = await inquirer.prompt([
       {
@@ -152,7 +169,17 @@ export class ExportScreen {
       filters.type = typeFilter;
     }
 
-    // 3. Confirmar exportação
+    // 3. Anexos das transações (fotos e PDFs) no fim do arquivo
+    const { includeAttachments } = format === 'pdf' ? await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'includeAttachments',
+        message: 'Incluir os anexos (miniaturas das fotos e links dos arquivos)?',
+        default: false
+      }
+    ]) : { includeAttachments: false };
+
+    // 4. Confirmar exportação
     const { confirm } = await inquirer.prompt([
       {
         type: 'confirm',
@@ -167,14 +194,20 @@ export class ExportScreen {
       return;
     }
 
-    // 4. Gerar PDF
+    if (format !== 'pdf') {
+      await this.runDataExport(format, () =>
+        this.exportTransactionsDataUseCase.execute(user.id, filters, { format, locale }));
+      return;
+    }
+
+    // 5. Gerar PDF
     const spinner = ora('Gerando PDF...').start();
 
     try {
       const result = await this.exportTransactionsUseCase.execute(
         user.id,
         filters,
-        { includeSummary: true }
+        { includeSummary: true, includeAttachments }
       );
 
       spinner.succeed(chalk.green('PDF gerado com sucesso!'));
@@ -185,6 +218,9 @@ export class ExportScreen {
       console.log(chalk.white(`📂 Local: ${chalk.cyan(result.filepath)}`));
       console.log(chalk.white(`📄 Páginas: ${chalk.cyan(result.pages)}`));
       console.log(chalk.white(`📊 Transações: ${chalk.cyan(result.transactionCount)}`));
+      if (includeAttachments) {
+        console.log(chalk.white(`📎 Anexos: ${chalk.cyan(result.attachmentCount)}`));
+      }
       console.log(chalk.white(`💾 Tamanho: ${chalk.cyan(this.formatFileSize(result.size))}`));
       console.log(chalk.gray('─────────────────────────────────────\n'));
 
@@ -213,7 +249,7 @@ export class ExportScreen {
   }
 
   /**
-   * Exporta relatório para PDF
+   * Exporta relatório para PDF, CSV ou JSON
    *
    * @param {Object} user - Usuário logado
    */
@@ -223,7 +259,9 @@ export class ExportScreen {
 
     console.log(chalk.cyan.bold('\n📊 Exportar Relatório\n'));
 
-    // 1. Selecionar tipo de relatório
+    const { format, locale } = await this.chooseFormat(!!this.exportReportDataUseCase);
+
+    // 1. Selecionar tipo de relatório (tags e favorecidos só em CSV e JSON)
     const { reportType } = await inquirer.prompt([
       {
         type: 'list',
@@ -235,13 +273,23 @@ export class ExportScreen {
           { name: '📈 Relatório de Evolução', value: 'evolution' },
           { name: '🏆 Maiores Transações', value: 'top' },
           { name: '⚖️  Relatório Comparativo', value: 'comparative' },
-          { name: '🔍 Análise de Padrões', value: 'patterns' }
+          { name: '🔍 Análise de Padrões', value: 'patterns' },
+          ...(format !== 'pdf' ? [
+            { name: '🏷️  Gastos por Tag', value: 'tag' },
+            { name: '🏪 Gastos por Favorecido', value: 'payee' }
+          ] : [])
         ]
       }
     ]);
 
     // 2. Opções específicas do relatório
-    const options = await this.getReportOptions(reportType);
+    const options = format === 'pdf'
+      ? await this.getReportOptions(reportType)
+      : await this.getDataReportOptions(user, reportType);
+
+    if (!options) {
+      return;
+    }
 
     // 3. Confirmar exportação
     const { confirm } = await inquirer.prompt([
@@ -258,6 +306,12 @@ export class ExportScreen {
       return;
     }
 
+    if (format !== 'pdf') {
+      await this.runDataExport(format, () =>
+        this.exportReportDataUseCase.execute(user.id, reportType, { ...options, format, locale }));
+      return;
+    }
+
     // 4. Gerar PDF
     const spinner = ora('Gerando relatório PDF...').start();
 
@@ -297,6 +351,273 @@ export class ExportScreen {
     }
   }
 
+  /**
+   * Exporta transações para QIF
+   *
+   * @param {Object} user - Usuário logado
+   */
+  async exportQif(user) {
+    console.clear();
+    this.showHeader();
+
+    console.log(chalk.magenta.bold('\n🔁 Exportar QIF\n'));
+    console.log(chalk.gray('Para levar o histórico para Quicken, GnuCash, MS Money e outros.\n'));
+
+    // 1. Selecionar período (para migrar, normalmente todo o histórico)
+    const { period } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'period',
+        message: 'Selecione o período:',
+        choices: [
+          { name: 'Todo o Histórico', value: 'all' },
+          { name: 'Ano Atual', value: 'current-year' },
+          { name: 'Ano Anterior', value: 'last-year' },
+          { name: 'Últimos 6 Meses', value: 'last-6-months' },
+          { name: 'Personalizado', value: 'custom' }
+        ]
+      }
+    ]);
+
+    let filters = period === 'all' ? {} : { period };
+
+    if (period === 'custom') {
+      const dates = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'startDate',
+          message: 'Data inicial (DD/MM/AAAA):',
+          validate: (input) => {
+            return this.isValidDate(input) || 'Data inválida. Use DD/MM/AAAA';
+          }
+        },
+        {
+          type: 'input',
+          name: 'endDate',
+          message: 'Data final (DD/MM/AAAA):',
+          validate: (input) => {
+            return this.isValidDate(input) || 'Data inválida. Use DD/MM/AAAA';
+          }
+        }
+      ]);
+
+      filters = {
+        startDate: this.parseDate(dates.startDate),
+        endDate: this.parseDate(dates.endDate)
+      };
+    }
+
+    // 2. Formato das datas (o QIF não informa qual usa)
+    const { dateFormat } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'dateFormat',
+        message: 'Formato das datas:',
+        choices: [
+          { name: 'DD/MM/AAAA (programas em português)', value: 'dd/mm/yyyy' },
+          { name: 'MM/DD/AAAA (Quicken e programas em inglês)', value: 'mm/dd/yyyy' }
+        ]
+      }
+    ]);
+
+    // 3. Gerar arquivo
+    const spinner = ora('Gerando QIF...').start();
+
+    try {
+      const result = await this.exportQifUseCase.execute(user.id, filters, { dateFormat });
+
+      spinner.succeed(chalk.green('QIF gerado com sucesso!'));
+
+      console.log(chalk.gray('\n─────────────────────────────────────'));
+      console.log(chalk.white(`📁 Arquivo: ${chalk.cyan(result.filename)}`));
+      console.log(chalk.white(`📂 Local: ${chalk.cyan(result.filepath)}`));
+      console.log(chalk.white(`📊 Transações: ${chalk.cyan(result.transactionCount)}`));
+      console.log(chalk.white(`🏦 Contas: ${chalk.cyan(result.accountCount)}`));
+      console.log(chalk.white(`💾 Tamanho: ${chalk.cyan(this.formatFileSize(result.size))}`));
+      console.log(chalk.gray('─────────────────────────────────────\n'));
+    } catch (error) {
+      spinner.fail(chalk.red('Erro ao gerar QIF'));
+      console.log(chalk.red(`\n❌ ${error.message}\n`));
+    }
+  }
+
+  /**
+   * Pergunta o formato do arquivo e, no CSV, o formato dos números e datas
+   *
+   * @param {boolean} allowData - Se os formatos CSV e JSON estão disponíveis
+   * @returns {Promise<{format: string, locale: string|null}>}
+   */
+  async chooseFormat(allowData) {
+    if (!allowData) {
+      return { format: 'pdf', locale: null };
+    }
+
+    const { format } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'format',
+        message: 'Formato do arquivo:',
+        choices: [
+          { name: '📄 PDF (para ler e imprimir)', value: 'pdf' },
+          { name: '📗 CSV (planilhas)', value: 'csv' },
+          { name: '🧩 JSON (scripts e outros sistemas)', value: 'json' }
+        ]
+      }
+    ]);
+
+    if (format !== 'csv') {
+      return { format, locale: null };
+    }
+
+    const { locale } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'locale',
+        message: 'Números e datas:',
+        choices: Object.keys(EXPORT_LOCALES).map(key => ({ name: EXPORT_LOCALES[key].label, value: key }))
+      }
+    ]);
+
+    return { format, locale };
+  }
+
+  /**
+   * Gera um arquivo CSV ou JSON e mostra onde ficou
+   *
+   * @param {string} format - 'csv' ou 'json'
+   * @param {Function} run - Executa a exportação
+   */
+  async runDataExport(format, run) {
+    const label = format.toUpperCase();
+    const spinner = ora(`Gerando ${label}...`).start();
+
+    try {
+      const result = await run();
+
+      spinner.succeed(chalk.green(`${label} gerado com sucesso!`));
+
+      console.log(chalk.gray('\n─────────────────────────────────────'));
+      console.log(chalk.white(`📁 Arquivo: ${chalk.cyan(result.filename)}`));
+      console.log(chalk.white(`📂 Local: ${chalk.cyan(result.filepath)}`));
+      if (result.transactionCount !== undefined) {
+        console.log(chalk.white(`📊 Transações: ${chalk.cyan(result.transactionCount)}`));
+      }
+      if (result.tableCount !== undefined) {
+        console.log(chalk.white(`📋 Tabelas: ${chalk.cyan(result.tableCount)}`));
+      }
+      console.log(chalk.white(`💾 Tamanho: ${chalk.cyan(this.formatFileSize(result.size))}`));
+      console.log(chalk.gray('─────────────────────────────────────\n'));
+    } catch (error) {
+      spinner.fail(chalk.red(`Erro ao gerar ${label}`));
+      console.log(chalk.red(`\n❌ ${error.message}\n`));
+    }
+  }
+
+  /**
+   * Obtém as opções do relatório exportado em CSV ou JSON: as mesmas do PDF
+   * e as que só esses formatos usam (categoria, meses do comparativo...)
+   *
+   * @param {Object} user - Usuário logado
+   * @param {string} reportType - Tipo do relatório
+   * @returns {Promise<Object|null>} Opções do relatório (null = cancelado)
+   */
+  async getDataReportOptions(user, reportType) {
+    const options = await this.getReportOptions(reportType);
+
+    switch (reportType) {
+    case 'category': {
+      const result = this.listCategoriesUseCase
+        ? await this.listCategoriesUseCase.execute({ userId: user.id })
+        : { success: false };
+      const categories = result.success
+        ? result.categories.flatMap(category => [category, ...(category.subcategories || [])])
+        : [];
+
+      if (categories.length === 0) {
+        console.log(chalk.yellow('\n⚠️  Você ainda não possui categorias cadastradas.\n'));
+        return null;
+      }
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'categoryId',
+          message: 'Selecione uma categoria:',
+          choices: categories.map(category => ({
+            name: `${category.icon} ${category.name}`,
+            value: category.id
+          }))
+        },
+        {
+          type: 'list',
+          name: 'months',
+          message: 'Período de análise:',
+          choices: [
+            { name: 'Últimos 3 meses', value: 3 },
+            { name: 'Últimos 6 meses', value: 6 },
+            { name: 'Últimos 12 meses', value: 12 },
+            { name: 'Últimos 24 meses', value: 24 }
+          ],
+          default: 6
+        }
+      ]);
+
+      Object.assign(options, answers);
+      break;
+    }
+    case 'comparative': {
+      const answers = await inquirer.prompt(['period1', 'period2'].map((name, index) => ({
+        type: 'input',
+        name,
+        message: `${index === 0 ? 'Primeiro' : 'Segundo'} mês (MM/AAAA):`,
+        validate: (input) => this.isValidMonth(input) || 'Mês inválido. Use MM/AAAA'
+      })));
+
+      options.period1 = this.parseMonth(answers.period1);
+      options.period2 = this.parseMonth(answers.period2);
+      break;
+    }
+    case 'patterns': {
+      const { months } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'months',
+          message: 'Período de análise:',
+          choices: [
+            { name: 'Últimos 3 meses', value: 3 },
+            { name: 'Últimos 6 meses', value: 6 },
+            { name: 'Últimos 12 meses', value: 12 }
+          ],
+          default: 6
+        }
+      ]);
+
+      options.months = months;
+      break;
+    }
+    case 'tag':
+    case 'payee': {
+      const { period } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'period',
+          message: 'Período:',
+          choices: [
+            { name: 'Este Mês', value: 'month' },
+            { name: 'Últimos 3 meses', value: 'last3' },
+            { name: 'Este Ano', value: 'year' }
+          ]
+        }
+      ]);
+
+      options.period = period;
+      break;
+    }
+    }
+
+    return options;
+  }
+
   /**
    * Obtém opções específicas do relatório
    *
@@ -334,7 +655,7 @@ export class ExportScreen {
           default: '6',
           validate: (input) => {
             const num = parseInt(input);
-            return (num > 0 && num <= 24) || 'Digite um número entre 1 e 24';
+            return (num >= 3 && num <= 24) || 'Digite um número entre 3 e 24';
           }
         }
       ]);
@@ -617,7 +617,9 @@ export class GoalScreen {
       if (stats.closestGoal) {
         console.log(chalk.cyan.bold('🎯 META MAIS PRÓXIMA:'));
         const goalData = {
-          ...stats.closestGoal,
+          name: stats.closestGoal.name,
+          current_amount: stats.closestGoal.currentAmount,
+          target_amount: stats.closestGoal.targetAmount,
           icon: '🏆',
           progress: stats.closestGoal.calculateProgress()
         };
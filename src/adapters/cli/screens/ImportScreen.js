@@ -0,0 +1,881 @@
+import path from 'path';
+import os from 'os';
+import { Input } from '../components/Input.js';
+import { QuickMenu } from '../components/QuickMenu.js';
+import {
+  clearScreen,
+  createBox,
+  createSeparator
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { ImportProfile, IMPORT_FIELDS, DATE_FORMATS } from '../../../domain/entities/ImportProfile.js';
+import { QIF_DATE_FORMATS } from '../../../domain/entities/QifFile.js';
+
+/**
+ * Linhas com problema listadas no relatório (as demais só entram na contagem)
+ */
+const REPORT_LIMIT = 15;
+
+/**
+ * Problemas mostrados na conferência do QIF (que cabe no título do menu)
+ */
+const CHECK_PROBLEM_LIMIT = 5;
+
+/**
+ * Extensões lidas como OFX (o QFX é o OFX do Quicken)
+ */
+const OFX_EXTENSIONS = ['.ofx', '.qfx'];
+
+/**
+ * Tela de importação de extratos. CSV: prévia do arquivo, mapeamento das
+ * colunas (ou um perfil salvo), conferência das linhas e relatório. OFX:
+ * conta do extrato, resumo de novos, já importados e conflitos e relatório.
+ * QIF: conferência (formato das datas, categorias a criar) e relatório
+ */
+export class ImportScreen {
+  constructor(user, transactionUseCases, categoryUseCases, accountUseCases = null) {
+    this.user = user;
+    this.previewCsvFileUseCase = transactionUseCases.previewCsvFileUseCase;
+    this.importCsvTransactionsUseCase = transactionUseCases.importCsvTransactionsUseCase;
+    this.listImportProfilesUseCase = transactionUseCases.listImportProfilesUseCase;
+    this.saveImportProfileUseCase = transactionUseCases.saveImportProfileUseCase;
+    this.deleteImportProfileUseCase = transactionUseCases.deleteImportProfileUseCase;
+    this.importOfxStatementUseCase = transactionUseCases.importOfxStatementUseCase;
+    this.importQifTransactionsUseCase = transactionUseCases.importQifTransactionsUseCase;
+    this.listCategoriesUseCase = categoryUseCases.listCategoriesUseCase;
+    this.listAccountsUseCase = accountUseCases ? accountUseCases.listAccounts : null;
+  }
+
+  /**
+   * Conduz a importação de um arquivo
+   */
+  async show() {
+    try {
+      clearScreen();
+      console.log('\n');
+      console.log(createBox(
+        '📥 IMPORTAR EXTRATO\n\n' +
+        colors.textDim('OFX do banco (reimportar o mesmo período não duplica as transações)\n') +
+        colors.textDim('QIF de outros programas de finanças (categorias Pai:Filho são criadas)\n') +
+        colors.textDim('CSV e planilhas: datas DD/MM/AAAA, valores 1.234,56, separador ; e Latin-1 são reconhecidos'),
+        { borderColor: '#667eea', padding: 1 }
+      ));
+      console.log('\n');
+      console.log(colors.textDim('  Ex: ~/Downloads/extrato.ofx (pode arrastar o arquivo para o terminal)\n'));
+
+      const filePath = this._normalizePath(await Input.prompt('Arquivo:'));
+
+      if (!filePath) {
+        return;
+      }
+
+      if (this.importOfxStatementUseCase && OFX_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        await this._importOfx(filePath);
+        return;
+      }
+
+      if (this.importQifTransactionsUseCase && path.extname(filePath).toLowerCase() === '.qif') {
+        await this._importQif(filePath);
+        return;
+      }
+
+      const preview = await this.previewCsvFileUseCase.execute(this.user.id, filePath);
+
+      if (!preview.success) {
+        console.log(colors.error(`\n❌ ${preview.errors.join('\n')}\n`));
+        await Input.pressKey();
+        return;
+      }
+
+      const choice = await this._chooseProfile(preview);
+
+      if (!choice) {
+        return;
+      }
+
+      const profile = await this._editMapping(choice.profile, preview);
+
+      if (!profile) {
+        return;
+      }
+
+      const imported = await this._import(filePath, profile);
+
+      if (imported && !choice.saved) {
+        await this._offerSave(profile, preview.fileName);
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Prévia do arquivo e escolha do perfil (salvo ou sugerido)
+   * @private
+   * @returns {Promise<{profile: ImportProfile, saved: boolean}|null>}
+   */
+  async _chooseProfile(preview) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `📄 ${preview.fileName}\n\n` +
+      colors.textDim(`${preview.rowCount} linha(s) · codificação ${preview.encoding} · separador ` +
+        `${preview.delimiter === '\t' ? 'tab' : preview.delimiter}`),
+      { borderColor: '#667eea', padding: 1 }
+    ));
+    console.log('\n');
+    preview.rows.forEach(row => {
+      console.log(`  ${colors.textDim(`${String(row.line).padStart(3)} │`)} ${row.cells.join(colors.textDim(' │ '))}`);
+    });
+    if (preview.rowCount > preview.rows.length) {
+      console.log(colors.textDim(`      ... mais ${preview.rowCount - preview.rows.length} linha(s)`));
+    }
+    console.log('\n');
+    console.log(createSeparator());
+    console.log('\n');
+    await Input.pressKey();
+
+    while (true) {
+      const result = await this.listImportProfilesUseCase.execute(this.user.id);
+      const profiles = result.success ? result.profiles : [];
+
+      const choice = await QuickMenu.selectWithIcons(`Como ler ${preview.fileName}?`, [
+        { name: 'Mapear Colunas (sugestão pelo arquivo)', value: 'new', icon: '🧭', color: 'green' },
+        ...profiles.map(profile => ({
+          name: profile.getSummary(),
+          value: profile.id,
+          icon: '📄',
+          color: 'white'
+        })),
+        ...(profiles.length > 0 ? [{ name: 'Excluir um Perfil', value: 'delete', icon: '🗑️', color: 'red' }] : []),
+        { name: 'Cancelar', value: 'back', icon: '⬅️', color: 'gray' }
+      ]);
+
+      if (choice === null || choice === 'back') {
+        return null;
+      }
+
+      if (choice === 'new') {
+        return { profile: preview.suggestedProfile, saved: false };
+      }
+
+      if (choice === 'delete') {
+        await this._deleteProfile(profiles);
+        continue;
+      }
+
+      return { profile: profiles.find(profile => profile.id === choice), saved: true };
+    }
+  }
+
+  /**
+   * Confere e ajusta o mapeamento até o usuário confirmar (o menu mostra
+   * cada coluna com um exemplo e como a primeira linha de dados será lida)
+   * @private
+   * @returns {Promise<ImportProfile|null>}
+   */
+  async _editMapping(initial, preview) {
+    const profile = new ImportProfile({ ...initial.toJSON(), userId: this.user.id });
+
+    while (true) {
+      const header = profile.hasHeader && preview.rows.length > 0 ? preview.rows[0].cells : [];
+      const sample = profile.getDataRows(preview.rows)[0];
+      const columnLabel = index => {
+        if (index === null) {
+          return '(nenhuma)';
+        }
+
+        const name = header[index] ? `${index + 1}. ${header[index]}` : `Coluna ${index + 1}`;
+        const value = sample && sample.cells[index] ? ` (ex: ${sample.cells[index]})` : '';
+
+        return `${name}${value}`;
+      };
+
+      const validation = profile.validateMapping();
+      const status = !validation.isValid
+        ? validation.errors.map(error => `⚠️  ${error}`).join('\n')
+        : sample ? this._formatParsed(sample.line, profile.parseRow(sample.cells)) : 'Nenhuma linha de dados';
+
+      const choice = await QuickMenu.selectWithIcons(`🧭 MAPEAMENTO DAS COLUNAS\n\n${status}`, [
+        ...(validation.isValid ? [{ name: 'Continuar', value: 'continue', icon: '✅', color: 'green' }] : []),
+        ...Object.entries(IMPORT_FIELDS).map(([field, label]) => ({
+          name: `${label}: ${columnLabel(profile.columns[field])}`,
+          value: `column:${field}`,
+          icon: '🔢',
+          color: 'white'
+        })),
+        { name: `Formato da Data: ${DATE_FORMATS[profile.dateFormat]}`, value: 'date', icon: '📅', color: 'cyan' },
+        {
+          name: `Valores: ${profile.decimalSeparator === ',' ? '1.234,56' : '1,234.56'}`,
+          value: 'decimal',
+          icon: '💲',
+          color: 'cyan'
+        },
+        {
+          name: `Primeira Linha é Cabeçalho: ${profile.hasHeader ? 'sim' : 'não'}`,
+          value: 'header',
+          icon: '📑',
+          color: 'cyan'
+        },
+        {
+          name: `Valores Positivos São: ${profile.positiveType === 'income' ? 'receitas' : 'despesas'}`,
+          value: 'positive',
+          icon: '±',
+          color: 'cyan'
+        },
+        { name: 'Cancelar', value: 'back', icon: '⬅️', color: 'gray' }
+      ], { defaultValue: validation.isValid ? 'continue' : undefined });
+
+      if (choice === null || choice === 'back') {
+        return null;
+      }
+
+      if (choice === 'continue') {
+        return profile;
+      }
+
+      if (choice.startsWith('column:')) {
+        const field = choice.slice('column:'.length);
+        const index = await this._chooseColumn(field, preview.columnCount, columnLabel, profile);
+
+        if (index !== undefined) {
+          profile.columns[field] = index;
+        }
+      } else if (choice === 'date') {
+        const format = await QuickMenu.selectWithIcons('Formato das datas', Object.entries(DATE_FORMATS).map(([value, label]) => ({
+          name: label,
+          value,
+          icon: '📅',
+          color: 'white'
+        })), { defaultValue: profile.dateFormat });
+
+        profile.dateFormat = format || profile.dateFormat;
+      } else if (choice === 'decimal') {
+        const separator = await QuickMenu.selectWithIcons('Separador decimal dos valores', [
+          { name: 'Vírgula (1.234,56)', value: ',', icon: '🇧🇷', color: 'white' },
+          { name: 'Ponto (1,234.56)', value: '.', icon: '🌐', color: 'white' }
+        ], { defaultValue: profile.decimalSeparator });
+
+        profile.decimalSeparator = separator || profile.decimalSeparator;
+      } else if (choice === 'header') {
+        profile.hasHeader = !profile.hasHeader;
+      } else if (choice === 'positive') {
+        const type = await QuickMenu.selectWithIcons('Sem coluna de tipo, valores positivos são', [
+          { name: 'Receitas (negativos são despesas)', value: 'income', icon: '📈', color: 'green' },
+          { name: 'Despesas (negativos são receitas)', value: 'expense', icon: '📉', color: 'red' }
+        ], { defaultValue: profile.positiveType });
+
+        profile.positiveType = type || profile.positiveType;
+      }
+    }
+  }
+
+  /**
+   * Escolhe a coluna de um campo
+   * @private
+   * @returns {Promise<number|null|undefined>} null = nenhuma; undefined = cancelado
+   */
+  async _chooseColumn(field, columnCount, columnLabel, profile) {
+    const required = field === 'date' || field === 'amount';
+    const used = index => Object.entries(profile.columns)
+      .some(([other, column]) => other !== field && column === index);
+
+    const choice = await QuickMenu.selectWithIcons(`Qual coluna é "${IMPORT_FIELDS[field]}"?`, [
+      ...[...Array(columnCount).keys()].map(index => ({
+        name: `${columnLabel(index)}${used(index) ? ' · já usada' : ''}`,
+        value: index,
+        icon: '🔢',
+        color: used(index) ? 'gray' : 'white'
+      })),
+      ...(required ? [] : [{ name: 'Nenhuma', value: 'none', icon: '🚫', color: 'gray' }])
+    ], { defaultValue: profile.columns[field] === null ? undefined : profile.columns[field] });
+
+    if (choice === null) {
+      return undefined;
+    }
+
+    return choice === 'none' ? null : choice;
+  }
+
+  /**
+   * Como a primeira linha de dados será lida
+   * @private
+   */
+  _formatParsed(line, { transaction, errors }) {
+    if (errors.length > 0) {
+      return `⚠️  Linha ${line}: ${errors.join('; ')}`;
+    }
+
+    const icon = transaction.type === 'income' ? '📈' : '📉';
+
+    return `Linha ${line} será: ${icon} ${transaction.date.toLocaleDateString('pt-BR')} · ` +
+      `R$ ${this._formatMoney(transaction.amount)} · ${transaction.description || '(sem descrição)'}` +
+      (transaction.categoryName ? ` · ${transaction.categoryName}` : '');
+  }
+
+  /**
+   * Confere as linhas, pede o que falta (categoria padrão e conta), importa
+   * e mostra o relatório
+   * @private
+   * @returns {Promise<boolean>} Se alguma transação foi importada
+   */
+  async _import(filePath, profile) {
+    console.log(colors.info('\n⏳ Conferindo as linhas...\n'));
+
+    const check = await this.importCsvTransactionsUseCase.execute(this.user.id, filePath, profile, { dryRun: true });
+
+    if (!check.success) {
+      console.log(colors.error(`\n❌ ${check.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return false;
+    }
+
+    const valid = check.results.filter(result => result.status === 'valid');
+    const invalid = check.results.filter(result => result.status === 'error');
+
+    if (valid.length === 0) {
+      this._printCheck(check, valid, invalid);
+      await Input.pressKey();
+      return false;
+    }
+
+    const fallbackCategoryIds = {};
+
+    for (const type of ['income', 'expense']) {
+      const missing = valid.filter(result => result.needsCategory && result.transaction.type === type).length;
+
+      if (missing > 0) {
+        const categoryId = await this._chooseFallbackCategory(type, missing);
+
+        if (categoryId === undefined) {
+          return false;
+        }
+
+        fallbackCategoryIds[type] = categoryId;
+      }
+    }
+
+    const accountId = await this._chooseAccount();
+
+    if (accountId === undefined) {
+      return false;
+    }
+
+    this._printCheck(check, valid, invalid);
+
+    const confirmed = await Input.confirm(`Importar ${valid.length} transação(ões)?`);
+
+    if (!confirmed) {
+      return false;
+    }
+
+    console.log(colors.info('\n⏳ Importando...\n'));
+
+    const options = { accountId, fallbackCategoryIds };
+    const result = await this.importCsvTransactionsUseCase.execute(this.user.id, filePath, profile, {
+      ...options,
+      lines: valid.map(row => row.line)
+    });
+
+    if (!result.success) {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return false;
+    }
+
+    let importedCount = result.importedCount;
+    const duplicates = this._showReport(result);
+
+    if (duplicates.length > 0 && await Input.confirm(`Importar as ${duplicates.length} duplicada(s) mesmo assim?`)) {
+      const retry = await this.importCsvTransactionsUseCase.execute(this.user.id, filePath, profile, {
+        ...options,
+        allowDuplicates: true,
+        lines: duplicates.map(row => row.line)
+      });
+
+      if (retry.success) {
+        importedCount += retry.importedCount;
+        this._showReport(retry);
+      } else {
+        console.log(colors.error(`\n❌ ${retry.errors.join('\n')}\n`));
+      }
+    }
+
+    await Input.pressKey();
+
+    return importedCount > 0;
+  }
+
+  /**
+   * Mostra a conferência das linhas antes de importar
+   * @private
+   */
+  _printCheck(check, valid, invalid) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `📋 CONFERÊNCIA DE ${check.fileName}\n\n` +
+      `${colors.success(`✓ ${valid.length} linha(s) pronta(s)`)}\n` +
+      (invalid.length > 0
+        ? colors.error(`✗ ${invalid.length} linha(s) com erro (não serão importadas)`)
+        : colors.textDim('Nenhuma linha com erro')),
+      { borderColor: invalid.length > 0 ? 'yellow' : 'green', padding: 1 }
+    ));
+    console.log('\n');
+    this._printProblems(check.results);
+  }
+
+  /**
+   * Mostra o resultado da importação
+   * @private
+   * @param {string} unit - Como os itens do arquivo são chamados ('Linha' ou 'Transação')
+   * @returns {Array} Itens recusados como duplicados
+   */
+  _showReport(result, unit = 'Linha') {
+    const duplicates = result.results.filter(row => row.status === 'duplicate');
+    const failed = result.results.filter(row => row.status === 'error');
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.success} IMPORTAÇÃO CONCLUÍDA\n\n` +
+      `${colors.success(`✓ ${result.importedCount} transação(ões) importada(s)`)}` +
+      (duplicates.length > 0 ? `\n${colors.warning(`🧬 ${duplicates.length} possível(is) duplicada(s)`)}` : '') +
+      (failed.length > 0 ? `\n${colors.error(`✗ ${failed.length} com erro`)}` : ''),
+      { borderColor: failed.length > 0 || duplicates.length > 0 ? 'yellow' : 'green', padding: 1 }
+    ));
+    console.log('\n');
+    this._printProblems(result.results, unit);
+
+    return duplicates;
+  }
+
+  /**
+   * Lista os erros e avisos por linha (ou transação) do arquivo
+   * @private
+   */
+  _printProblems(results, unit = 'Linha') {
+    const problems = results.filter(row => (row.errors && row.errors.length > 0) || (row.warnings && row.warnings.length > 0));
+
+    problems.slice(0, REPORT_LIMIT).forEach(row => {
+      const messages = [...(row.errors || []), ...(row.warnings || [])].join('; ');
+      const color = row.status === 'error' ? colors.error : colors.warning;
+
+      console.log(`  ${colors.textDim(`${unit} ${row.line || row.index}:`)} ${color(messages)}`);
+    });
+
+    if (problems.length > REPORT_LIMIT) {
+      console.log(colors.textDim(`  ... e mais ${problems.length - REPORT_LIMIT}`));
+    }
+
+    if (problems.length > 0) {
+      console.log('\n');
+    }
+  }
+
+  /**
+   * Importa um extrato OFX: a conta vem antes da conferência, porque é
+   * nela que se procura o que já foi importado
+   * @private
+   */
+  async _importOfx(filePath) {
+    const accountId = await this._chooseAccount('De qual conta é este extrato?');
+
+    if (accountId === undefined) {
+      return;
+    }
+
+    console.log(colors.info('\n⏳ Conferindo o extrato...\n'));
+
+    const check = await this.importOfxStatementUseCase.execute(this.user.id, filePath, { accountId, dryRun: true });
+
+    if (!check.success) {
+      console.log(colors.error(`\n❌ ${check.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return;
+    }
+
+    const importable = check.entries.filter(entry => entry.status === 'new' || (entry.status === 'conflict' && entry.matches));
+
+    if (importable.length === 0) {
+      this._printOfxSummary(check, '📋 CONFERÊNCIA');
+      console.log(colors.textDim('  Nada novo para importar\n'));
+      await Input.pressKey();
+      return;
+    }
+
+    const fallbackCategoryIds = {};
+
+    for (const type of ['income', 'expense']) {
+      const missing = importable.filter(entry => entry.needsCategory && entry.transaction.type === type).length;
+
+      if (missing > 0) {
+        const categoryId = await this._chooseFallbackCategory(type, missing);
+
+        if (categoryId === undefined) {
+          return;
+        }
+
+        fallbackCategoryIds[type] = categoryId;
+      }
+    }
+
+    this._printOfxSummary(check, '📋 CONFERÊNCIA');
+
+    const similar = check.entries.filter(entry => entry.status === 'conflict' && entry.matches);
+    const fresh = check.entries.filter(entry => entry.status === 'new');
+    const acceptConflicts = similar.length > 0 &&
+      await Input.confirm(`Importar também o(s) ${similar.length} parecido(s) com transações já registradas?`)
+      ? similar.map(entry => entry.index)
+      : [];
+    const total = fresh.length + acceptConflicts.length;
+
+    if (total === 0 || !await Input.confirm(`Importar ${total} transação(ões)?`)) {
+      return;
+    }
+
+    console.log(colors.info('\n⏳ Importando...\n'));
+
+    const result = await this.importOfxStatementUseCase.execute(this.user.id, filePath, {
+      accountId,
+      fallbackCategoryIds,
+      acceptConflicts
+    });
+
+    if (result.success) {
+      this._printOfxSummary(result, `${icons.success} IMPORTAÇÃO CONCLUÍDA`);
+    } else {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+    }
+
+    await Input.pressKey();
+  }
+
+  /**
+   * Mostra a contagem por situação do extrato e os conflitos e erros
+   * @private
+   */
+  _printOfxSummary(result, title) {
+    const count = status => result.entries.filter(entry => entry.status === status).length;
+    const lines = [
+      count('imported') > 0 ? colors.success(`✓ ${count('imported')} transação(ões) importada(s)`) : null,
+      count('new') > 0 ? colors.success(`✓ ${count('new')} nova(s)`) : null,
+      count('skipped') > 0 ? colors.textDim(`↺ ${count('skipped')} já importada(s) (ignorada(s))`) : null,
+      count('conflict') > 0 ? colors.warning(`⚠️  ${count('conflict')} conflito(s)`) : null,
+      count('error') > 0 ? colors.error(`✗ ${count('error')} com erro`) : null
+    ].filter(line => line);
+    const problems = result.entries.filter(entry => entry.status === 'conflict' || entry.status === 'error');
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${title} DE ${result.fileName}\n\n` +
+      `${colors.textDim(result.statement.getSummary())}\n\n` +
+      lines.join('\n'),
+      { borderColor: problems.length > 0 ? 'yellow' : 'green', padding: 1 }
+    ));
+    console.log('\n');
+
+    problems.slice(0, REPORT_LIMIT).forEach(entry => {
+      const { transaction } = entry;
+      const label = transaction.date
+        ? `${transaction.date.toLocaleDateString('pt-BR')} · R$ ${this._formatMoney(transaction.amount)} · ${transaction.description}`
+        : transaction.description;
+      const message = entry.status === 'error' ? colors.error(entry.errors.join('; ')) : colors.warning(entry.reason);
+
+      console.log(`  ${colors.textDim(`Lançamento ${entry.index}:`)} ${label}`);
+      console.log(`    ${message}`);
+    });
+
+    if (problems.length > REPORT_LIMIT) {
+      console.log(colors.textDim(`  ... e mais ${problems.length - REPORT_LIMIT} lançamento(s)`));
+    }
+
+    if (problems.length > 0) {
+      console.log('\n');
+    }
+  }
+
+  /**
+   * Importa um arquivo QIF: confere (o formato das datas pode ser trocado
+   * quando a detecção erra), pede o que falta, importa e mostra o relatório
+   * @private
+   */
+  async _importQif(filePath) {
+    let dateFormat = 'auto';
+    let check;
+
+    while (true) {
+      console.log(colors.info('\n⏳ Conferindo as transações...\n'));
+
+      check = await this.importQifTransactionsUseCase.execute(this.user.id, filePath, { dateFormat, dryRun: true });
+
+      if (!check.success) {
+        console.log(colors.error(`\n❌ ${check.errors.join('\n')}\n`));
+        await Input.pressKey();
+        return;
+      }
+
+      const other = check.qif.dateFormat === 'dd/mm/yyyy' ? 'mm/dd/yyyy' : 'dd/mm/yyyy';
+      const choice = await QuickMenu.selectWithIcons(this._formatQifCheck(check), [
+        { name: 'Continuar', value: 'continue', icon: '✅', color: 'green' },
+        { name: `Ler as Datas como ${QIF_DATE_FORMATS[other]}`, value: 'date', icon: '📅', color: 'cyan' },
+        { name: 'Cancelar', value: 'back', icon: '⬅️', color: 'gray' }
+      ], { defaultValue: 'continue' });
+
+      if (choice === null || choice === 'back') {
+        return;
+      }
+
+      if (choice === 'continue') {
+        break;
+      }
+
+      dateFormat = other;
+    }
+
+    const valid = check.results.filter(result => result.status === 'valid');
+
+    if (valid.length === 0) {
+      return;
+    }
+
+    const fallbackCategoryIds = {};
+
+    for (const type of ['income', 'expense']) {
+      const missing = valid.filter(result => result.needsCategory && result.transaction.type === type).length;
+
+      if (missing > 0) {
+        const categoryId = await this._chooseFallbackCategory(type, missing);
+
+        if (categoryId === undefined) {
+          return;
+        }
+
+        fallbackCategoryIds[type] = categoryId;
+      }
+    }
+
+    // Só pergunta a conta quando alguma transação não tem a conta de mesmo nome
+    const needsAccount = check.qif.getAccountNames().length === 0 || check.unmatchedAccounts.length > 0;
+    const accountId = needsAccount ? await this._chooseAccount() : null;
+
+    if (accountId === undefined) {
+      return;
+    }
+
+    const confirmed = await Input.confirm(`Importar ${valid.length} transação(ões)?`);
+
+    if (!confirmed) {
+      return;
+    }
+
+    console.log(colors.info('\n⏳ Importando...\n'));
+
+    const options = { accountId, dateFormat: check.qif.dateFormat, fallbackCategoryIds };
+    const result = await this.importQifTransactionsUseCase.execute(this.user.id, filePath, {
+      ...options,
+      entries: valid.map(row => row.index)
+    });
+
+    if (!result.success) {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return;
+    }
+
+    const duplicates = this._showReport(result, 'Transação');
+
+    if (duplicates.length > 0 && await Input.confirm(`Importar as ${duplicates.length} duplicada(s) mesmo assim?`)) {
+      const retry = await this.importQifTransactionsUseCase.execute(this.user.id, filePath, {
+        ...options,
+        allowDuplicates: true,
+        entries: duplicates.map(row => row.index)
+      });
+
+      if (retry.success) {
+        this._showReport(retry, 'Transação');
+      } else {
+        console.log(colors.error(`\n❌ ${retry.errors.join('\n')}\n`));
+      }
+    }
+
+    await Input.pressKey();
+  }
+
+  /**
+   * Conferência do QIF (vai no título do menu, que limpa a tela)
+   * @private
+   */
+  _formatQifCheck(check) {
+    const valid = check.results.filter(result => result.status === 'valid');
+    const invalid = check.results.filter(result => result.status === 'error');
+    const skipped = check.results.filter(result => result.status === 'skipped');
+    const sample = valid[0];
+    const lines = [
+      `📋 CONFERÊNCIA DE ${check.fileName}`,
+      '',
+      check.qif.getSummary(),
+      colors.success(`✓ ${valid.length} transação(ões) pronta(s)`),
+      invalid.length > 0 ? colors.error(`✗ ${invalid.length} com erro (não serão importadas)`) : null,
+      skipped.length > 0 ? colors.warning(`⏭️  ${skipped.length} transferência(s) ignorada(s)`) : null,
+      check.qif.investmentCount > 0
+        ? colors.warning(`⚠️  ${check.qif.investmentCount} transação(ões) de investimento ignorada(s)`)
+        : null,
+      sample
+        ? colors.textDim(`Ex: ${sample.transaction.date.toLocaleDateString('pt-BR')} · ` +
+          `R$ ${this._formatMoney(sample.transaction.amount)} · ${sample.transaction.description || '(sem descrição)'}`)
+        : null,
+      check.newCategories.length > 0
+        ? `\n📁 Categorias que serão criadas:\n${check.newCategories.slice(0, REPORT_LIMIT).map(name => `   ${name}`).join('\n')}` +
+          (check.newCategories.length > REPORT_LIMIT ? `\n   ... e mais ${check.newCategories.length - REPORT_LIMIT}` : '')
+        : null,
+      check.unmatchedAccounts.length > 0
+        ? colors.warning(`\n🏦 Contas do arquivo sem conta de mesmo nome: ${check.unmatchedAccounts.join(', ')}` +
+          ' (vão para a conta escolhida)')
+        : null
+    ].filter(line => line !== null);
+    const problems = check.results
+      .filter(result => (result.errors && result.errors.length > 0) || (result.warnings && result.warnings.length > 0))
+      .slice(0, CHECK_PROBLEM_LIMIT)
+      .map(result => `   Transação ${result.index}: ${[...(result.errors || []), ...(result.warnings || [])].join('; ')}`);
+
+    return [...lines, ...(problems.length > 0 ? ['', ...problems] : [])].join('\n');
+  }
+
+  /**
+   * Categoria das linhas sem categoria no arquivo
+   * @private
+   * @returns {Promise<number|null|undefined>} null = só as regras; undefined = cancelado
+   */
+  async _chooseFallbackCategory(type, missing) {
+    const result = await this.listCategoriesUseCase.execute({ userId: this.user.id, type });
+    const categories = result.success ? result.categories : [];
+    const label = type === 'income' ? 'receitas' : 'despesas';
+
+    const options = categories.flatMap(category => [
+      { name: category.name, value: category.id, icon: category.icon || '📁', color: 'white' },
+      ...category.subcategories.map(subcategory => ({
+        name: `${category.name} › ${subcategory.name}`,
+        value: subcategory.id,
+        icon: subcategory.icon || '📁',
+        color: 'white'
+      }))
+    ]);
+
+    const choice = await QuickMenu.selectWithIcons(
+      `Categoria das ${missing} ${label} sem categoria no arquivo (as regras de categorização são aplicadas antes)`,
+      [
+        ...options,
+        { name: 'Só as Regras (sem regra, a linha dá erro)', value: 'rules', icon: '🧩', color: 'yellow' },
+        { name: 'Cancelar', value: 'back', icon: '⬅️', color: 'gray' }
+      ]
+    );
+
+    if (choice === null || choice === 'back') {
+      return undefined;
+    }
+
+    return choice === 'rules' ? null : choice;
+  }
+
+  /**
+   * Conta das transações importadas
+   * @private
+   * @returns {Promise<number|null|undefined>} null = conta padrão; undefined = cancelado
+   */
+  async _chooseAccount(title = 'Em qual conta lançar as transações?') {
+    if (!this.listAccountsUseCase) {
+      return null;
+    }
+
+    const result = await this.listAccountsUseCase.execute(this.user.id);
+    const accounts = result.success ? result.accounts : [];
+
+    if (accounts.length <= 1) {
+      return null;
+    }
+
+    const choice = await QuickMenu.selectWithIcons(title, [
+      ...accounts.map(account => ({
+        name: account.name,
+        value: account.id,
+        icon: account.icon || '🏦',
+        color: 'white'
+      })),
+      { name: 'Cancelar', value: 'back', icon: '⬅️', color: 'gray' }
+    ], { defaultValue: accounts[0].id });
+
+    return choice === null || choice === 'back' ? undefined : choice;
+  }
+
+  /**
+   * Oferece salvar o mapeamento para os próximos arquivos
+   * @private
+   */
+  async _offerSave(profile, fileName) {
+    const shouldSave = await Input.confirm('Salvar este mapeamento como perfil para os próximos arquivos?');
+
+    if (!shouldSave) {
+      return;
+    }
+
+    const name = await Input.text('Nome do perfil (ex: o banco):', path.parse(fileName).name);
+    const result = await this.saveImportProfileUseCase.execute(this.user.id, { ...profile.getSettings(), name });
+
+    if (result.success) {
+      console.log(colors.success(`\n${icons.success} Perfil ${result.replaced ? 'atualizado' : 'salvo'}: ${result.profile.getSummary()}\n`));
+    } else {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+    }
+
+    await Input.pressKey();
+  }
+
+  /**
+   * Exclui um perfil salvo
+   * @private
+   */
+  async _deleteProfile(profiles) {
+    const choice = await QuickMenu.selectWithIcons('Qual perfil deseja excluir?', [
+      ...profiles.map(profile => ({
+        name: profile.getSummary(),
+        value: profile.id,
+        icon: '🗑️',
+        color: 'white'
+      })),
+      { name: 'Cancelar', value: 'back', icon: '⬅️', color: 'gray' }
+    ]);
+
+    if (choice === null || choice === 'back') {
+      return;
+    }
+
+    const result = await this.deleteImportProfileUseCase.execute(this.user.id, choice);
+
+    console.log(result.success
+      ? colors.success(`\n${icons.success} Perfil excluído\n`)
+      : colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+    await Input.pressKey();
+  }
+
+  /**
+   * Formata valor monetário
+   * @private
+   */
+  _formatMoney(value) {
+    return value.toFixed(2).replace('.', ',').replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+  }
+
+  /**
+   * Remove aspas e escapes do caminho (ao arrastar o arquivo para o
+   * terminal) e expande o ~
+   * @private
+   */
+  _normalizePath(input) {
+    const trimmed = String(input || '').trim().replace(/^(['"])(.*)\1$/, '$2').replace(/\\ /g, ' ');
+
+    return trimmed.startsWith('~') ? os.homedir() + trimmed.slice(1) : trimmed;
+  }
+}
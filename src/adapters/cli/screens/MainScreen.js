@@ -7,6 +7,7 @@ import { ReportsScreen } from './ReportsScreen.js';
 import { BudgetScreen } from './BudgetScreen.js';
 import { GoalScreen } from './GoalScreen.js';
 import { ExportScreen } from './ExportScreen.js';
+import { AccountScreen } from './AccountScreen.js';
 import {
   clearScreen,
   createBox,
@@ -26,7 +27,8 @@ export class MainScreen {
     reportUseCases = null,
     budgetUseCases = null,
     goalUseCases = null,
-    exportUseCases = null
+    exportUseCases = null,
+    accountUseCases = null
   ) {
     this.user = user;
     this.categoryUseCases = categoryUseCases;
@@ -36,6 +38,7 @@ export class MainScreen {
     this.budgetUseCases = budgetUseCases;
     this.goalUseCases = goalUseCases;
     this.exportUseCases = exportUseCases;
+    this.accountUseCases = accountUseCases;
   }
 
   /**
@@ -60,6 +63,7 @@ export class MainScreen {
         { name: 'Nova Receita', value: 'income', icon: '📈', color: 'green' },
         { name: 'Nova Despesa', value: 'expense', icon: '📉', color: 'red' },
         { name: 'Categorias', value: 'categories', icon: '📂', color: 'purple' },
+        { name: 'Contas', value: 'accounts', icon: '🏦', color: 'blue' },
         { name: 'Ver Transações', value: 'transactions', icon: '💰', color: 'yellow' },
         { name: 'Relatórios', value: 'reports', icon: '📈', color: 'magenta' },
         { name: 'Orçamentos', value: 'budgets', icon: '💰', color: 'cyan' },
@@ -77,7 +81,8 @@ export class MainScreen {
           this.user,
           this.getDashboardDataUseCase,
           this.budgetUseCases ? this.budgetUseCases.listBudgets : null,
-          this.goalUseCases ? this.goalUseCases.listGoals : null
+          this.goalUseCases ? this.goalUseCases.listGoals : null,
+          this.transactionUseCases ? this.transactionUseCases.getUpcomingOccurrencesUseCase : null
         );
         const action = await dashboardScreen.show();
 
@@ -87,7 +92,8 @@ export class MainScreen {
             const transactionScreen = new TransactionScreen(
               this.user,
               this.transactionUseCases,
-              this.categoryUseCases
+              this.categoryUseCases,
+              this.accountUseCases
             );
             await transactionScreen.show();
           }
@@ -101,7 +107,8 @@ export class MainScreen {
         const transactionScreen = new TransactionScreen(
           this.user,
           this.transactionUseCases,
-          this.categoryUseCases
+          this.categoryUseCases,
+          this.accountUseCases
         );
         const addForm = transactionScreen.addTransactionForm;
         await addForm.show('income');
@@ -114,7 +121,8 @@ export class MainScreen {
         const transactionScreen = new TransactionScreen(
           this.user,
           this.transactionUseCases,
-          this.categoryUseCases
+          this.categoryUseCases,
+          this.accountUseCases
         );
         const addForm = transactionScreen.addTransactionForm;
         await addForm.show('expense');
@@ -129,19 +137,29 @@ export class MainScreen {
           this.categoryUseCases.createCategoryUseCase,
           this.categoryUseCases.listCategoriesUseCase,
           this.categoryUseCases.updateCategoryUseCase,
-          this.categoryUseCases.deleteCategoryUseCase
+          this.categoryUseCases.deleteCategoryUseCase,
+          this.categoryUseCases
         );
         await categoryScreen.show();
       } else {
         await this.showComingSoon('Categorias');
       }
       return await this.show();
+    case 'accounts':
+      if (this.accountUseCases) {
+        const accountScreen = new AccountScreen(this.user, this.accountUseCases);
+        await accountScreen.show();
+      } else {
+        await this.showComingSoon('Contas');
+      }
+      return await this.show();
     case 'transactions':
       if (this.transactionUseCases && this.categoryUseCases) {
         const transactionScreen = new TransactionScreen(
           this.user,
           this.transactionUseCases,
-          this.categoryUseCases
+          this.categoryUseCases,
+          this.accountUseCases
         );
         await transactionScreen.show();
       } else {
@@ -153,7 +171,8 @@ export class MainScreen {
         const reportsScreen = new ReportsScreen(
           this.user,
           this.reportUseCases,
-          this.categoryUseCases
+          this.categoryUseCases,
+          this.accountUseCases
         );
         await reportsScreen.show();
       } else {
@@ -0,0 +1,435 @@
+import { Input } from '../components/Input.js';
+import { QuickMenu } from '../components/QuickMenu.js';
+import {
+  clearScreen,
+  createBox,
+  createSeparator
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { MAX_PAYEE_NAME_LENGTH } from '../../../domain/entities/Payee.js';
+
+/**
+ * Tela de favorecidos (lojas, prestadores, pessoas...) com os seus apelidos
+ */
+export class PayeeScreen {
+  constructor(user, transactionUseCases, categoryUseCases, transactionList = null) {
+    this.user = user;
+    this.createPayeeUseCase = transactionUseCases.createPayeeUseCase;
+    this.listPayeesUseCase = transactionUseCases.listPayeesUseCase;
+    this.updatePayeeUseCase = transactionUseCases.updatePayeeUseCase;
+    this.deletePayeeUseCase = transactionUseCases.deletePayeeUseCase;
+    this.getPayeeHistoryUseCase = transactionUseCases.getPayeeHistoryUseCase;
+    this.listCategoriesUseCase = categoryUseCases.listCategoriesUseCase;
+    this.transactionList = transactionList;
+  }
+
+  /**
+   * Exibe os favorecidos até o usuário voltar
+   */
+  async show() {
+    try {
+      while (true) {
+        const result = await this.listPayeesUseCase.execute(this.user.id);
+
+        clearScreen();
+
+        if (!result.success) {
+          console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+          await Input.pressKey();
+          return;
+        }
+
+        const payees = result.payees;
+
+        console.log('\n');
+        console.log(createBox(
+          '🏪 FAVORECIDOS\n\n' +
+          colors.textDim('Transações cuja descrição contém o nome ou um apelido são vinculadas automaticamente'),
+          { borderColor: '#667eea', padding: 1 }
+        ));
+        console.log('\n');
+
+        if (payees.length === 0) {
+          console.log(colors.textDim('Nenhum favorecido cadastrado.\n'));
+        } else {
+          this._renderPayees(payees);
+        }
+
+        console.log(createSeparator());
+        console.log('\n');
+
+        const actions = [{ name: 'Novo Favorecido', value: 'create', icon: '➕', color: 'green' }];
+
+        if (payees.length > 0) {
+          actions.push({ name: 'Gerenciar Favorecido', value: 'manage', icon: '⚙️', color: 'blue' });
+        }
+
+        actions.push({ name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' });
+
+        const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+
+        if (action === 'create') {
+          await this._create();
+        } else if (action === 'manage') {
+          const payee = await this._selectPayee(payees);
+          if (payee) await this._manage(payee.id);
+        } else {
+          return;
+        }
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Tabela dos favorecidos
+   * @private
+   */
+  _renderPayees(payees) {
+    console.log(colors.bold('┌──────────────────────────┬──────────────────────────┬──────────────────────┬─────────────┐'));
+    console.log(colors.bold('│ Favorecido               │ Apelidos                 │ Categoria padrão     │ Transações  │'));
+    console.log(colors.bold('├──────────────────────────┼──────────────────────────┼──────────────────────┼─────────────┤'));
+
+    payees.forEach(payee => {
+      const category = payee.defaultCategoryName
+        ? `${payee.defaultCategoryIcon || '📁'} ${payee.defaultCategoryName}`
+        : '-';
+
+      console.log(
+        `│ ${this._pad(this._truncate(payee.name, 24), 24)} │ ` +
+        `${this._pad(this._truncate(payee.getAliasesLabel() || '-', 24), 24)} │ ` +
+        `${this._pad(this._truncate(category, 20), 20)} │ ` +
+        `${this._pad(payee.transactionCount, 11)} │`
+      );
+    });
+
+    console.log(colors.bold('└──────────────────────────┴──────────────────────────┴──────────────────────┴─────────────┘'));
+    console.log('\n');
+  }
+
+  /**
+   * Seleciona um favorecido
+   * @private
+   */
+  async _selectPayee(payees) {
+    const payeeId = await QuickMenu.selectWithIcons(
+      'Favorecido',
+      [
+        ...payees.map(payee => ({
+          name: payee.getSummary().replace(/^🏪 /, ''),
+          value: payee.id,
+          icon: '🏪',
+          color: 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return payees.find(payee => payee.id === payeeId) || null;
+  }
+
+  /**
+   * Formulário de novo favorecido
+   * @private
+   */
+  async _create() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox('➕ NOVO FAVORECIDO', { borderColor: 'green', padding: 1 }));
+    console.log('\n');
+
+    const name = await this._askName();
+    const aliases = await this._askAliases();
+
+    const category = await this._selectCategory();
+    if (category === null) return;
+
+    const result = await this.createPayeeUseCase.execute(this.user.id, {
+      name,
+      aliases,
+      defaultCategoryId: category ? category.id : null
+    });
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} FAVORECIDO CADASTRADO!\n\n${result.payee.getSummary()}` +
+          (result.linkedCount > 0 ? `\n\n${colors.textDim(`${result.linkedCount} transação(ões) já registrada(s) vinculada(s)`)}` : '')
+        : `${icons.error} ERRO AO CADASTRAR FAVORECIDO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Histórico e ações de um favorecido
+   * @private
+   */
+  async _manage(payeeId) {
+    while (true) {
+      const history = await this.getPayeeHistoryUseCase.execute(this.user.id, payeeId);
+
+      if (!history.success) {
+        return;
+      }
+
+      const { payee, transactions, stats } = history;
+
+      clearScreen();
+      this._renderHistory(payee, transactions, stats);
+
+      const actions = [];
+
+      if (this.transactionList && transactions.length > 0) {
+        actions.push({ name: 'Ver Todas as Transações', value: 'transactions', icon: '📋', color: 'blue' });
+      }
+
+      actions.push(
+        { name: 'Editar Nome', value: 'name', icon: '✏️', color: 'blue' },
+        { name: 'Editar Apelidos', value: 'aliases', icon: '🔤', color: 'cyan' },
+        { name: 'Categoria Padrão', value: 'category', icon: '📂', color: 'magenta' },
+        { name: 'Deletar Favorecido', value: 'delete', icon: '🗑️', color: 'red' },
+        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+      );
+
+      const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+      let result = null;
+
+      switch (action) {
+      case 'transactions':
+        await this.transactionList.show({ page: 1, limit: 10, filters: { payeeId: payee.id } });
+        break;
+      case 'name':
+        result = await this.updatePayeeUseCase.execute(this.user.id, payee.id, {
+          name: await this._askName(payee.name)
+        });
+        break;
+      case 'aliases':
+        result = await this.updatePayeeUseCase.execute(this.user.id, payee.id, {
+          aliases: await this._askAliases(payee.getAliasesLabel())
+        });
+        break;
+      case 'category': {
+        const category = await this._selectCategory(payee.defaultCategoryId);
+        if (category !== null) {
+          result = await this.updatePayeeUseCase.execute(this.user.id, payee.id, {
+            defaultCategoryId: category ? category.id : null
+          });
+        }
+        break;
+      }
+      case 'delete':
+        if (await this._delete(payee)) return;
+        break;
+      default:
+        return;
+      }
+
+      if (result && !result.success) {
+        console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+        await Input.pressKey();
+      } else if (result && result.linkedCount > 0) {
+        console.log(colors.success(`\n${icons.success} ${result.linkedCount} transação(ões) vinculada(s) ao favorecido\n`));
+        await Input.pressKey();
+      }
+    }
+  }
+
+  /**
+   * Resumo do favorecido, estatísticas e últimas transações
+   * @private
+   */
+  _renderHistory(payee, transactions, stats) {
+    const category = payee.defaultCategoryName
+      ? `${payee.defaultCategoryIcon || '📁'} ${payee.defaultCategoryName}`
+      : 'Nenhuma';
+    const frequency = stats.averageDaysBetween !== null
+      ? `a cada ${stats.averageDaysBetween} dia(s), em média`
+      : '-';
+
+    console.log('\n');
+    console.log(createBox(
+      '🏪 FAVORECIDO\n\n' +
+      `${payee.getSummary()}\n\n` +
+      `🔤 Apelidos: ${colors.bold(payee.getAliasesLabel() || '-')}\n` +
+      `📂 Categoria padrão: ${colors.bold(category)}\n\n` +
+      `📉 Gasto total: ${colors.bold(`R$ ${this._formatMoney(stats.totalExpense)}`)} ${colors.textDim(`(${stats.expenseCount} despesa(s))`)}\n` +
+      `🧾 Ticket médio: ${colors.bold(`R$ ${this._formatMoney(stats.averageTicket)}`)}\n` +
+      (stats.incomeCount > 0
+        ? `📈 Recebido: ${colors.bold(`R$ ${this._formatMoney(stats.totalIncome)}`)} ${colors.textDim(`(${stats.incomeCount} receita(s))`)}\n`
+        : '') +
+      `🔁 Frequência: ${colors.bold(frequency)}\n` +
+      `📅 Período: ${colors.bold(stats.firstDate ? `${this._formatDate(stats.firstDate)} a ${this._formatDate(stats.lastDate)}` : '-')}`,
+      { borderColor: '#667eea', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (transactions.length === 0) {
+      console.log(colors.textDim('Nenhuma transação com este favorecido.\n'));
+      return;
+    }
+
+    console.log(colors.bold('Últimas transações:\n'));
+
+    transactions.slice(0, 5).forEach(transaction => {
+      console.log(`  ${transaction.getSummary()}`);
+    });
+
+    console.log('\n');
+  }
+
+  /**
+   * Deleta o favorecido (as transações continuam, sem favorecido)
+   * @private
+   * @returns {Promise<boolean>} true se deletado
+   */
+  async _delete(payee) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR EXCLUSÃO\n\n` +
+      `${payee.getSummary()}\n\n` +
+      colors.textDim('As transações continuam no histórico, sem favorecido'),
+      { borderColor: 'red', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, deletar', value: true, icon: '✅', color: 'red' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return false;
+    }
+
+    const result = await this.deletePayeeUseCase.execute(this.user.id, payee.id);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} FAVORECIDO DELETADO COM SUCESSO!`
+        : `${icons.error} ERRO AO DELETAR FAVORECIDO\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+
+    return result.success;
+  }
+
+  /**
+   * Pergunta o nome do favorecido
+   * @private
+   */
+  async _askName(current = '') {
+    const name = await Input.text('🏪 Nome (ex: iFood)', {
+      default: current || undefined,
+      validate: (input) => {
+        if (!input.trim()) return 'Nome é obrigatório';
+        return input.trim().length <= MAX_PAYEE_NAME_LENGTH || `Nome muito longo! Máximo ${MAX_PAYEE_NAME_LENGTH} caracteres.`;
+      }
+    });
+
+    return name.trim();
+  }
+
+  /**
+   * Pergunta os apelidos, separados por vírgula
+   * @private
+   */
+  async _askAliases(current = '') {
+    console.log(colors.textDim('\n  Outras formas em que o nome aparece no extrato (ex: IFOOD *REST, ifood.com)'));
+    if (current) console.log(colors.textDim('  Digite - para remover todos'));
+    console.log('');
+
+    const input = await Input.text('🔤 Apelidos (separados por vírgula, opcional)', {
+      default: current || undefined
+    });
+
+    return input.trim() === '-' ? '' : input;
+  }
+
+  /**
+   * Seleciona a categoria padrão (a atual aparece primeiro)
+   * @private
+   * @returns {Promise<Category|undefined|null>} undefined = nenhuma, null = cancelado
+   */
+  async _selectCategory(currentId = null) {
+    const result = await this.listCategoriesUseCase.execute({ userId: this.user.id });
+
+    if (!result.success) {
+      console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+      await Input.pressKey();
+      return null;
+    }
+
+    const sorted = [...result.categories].sort((a, b) =>
+      Number(b.id === currentId) - Number(a.id === currentId)
+    );
+
+    const categoryId = await QuickMenu.selectWithIcons(
+      '📂 Categoria padrão',
+      [
+        ...sorted.map(category => ({
+          name: `${category.name} ${colors.textDim(category.type === 'income' ? '(receita)' : '(despesa)')}`,
+          value: category.id,
+          icon: category.icon || '📁',
+          color: category.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Nenhuma', value: 'none', icon: '➖', color: 'gray' },
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    if (categoryId === 'none') {
+      return undefined;
+    }
+
+    return sorted.find(category => category.id === categoryId) || null;
+  }
+
+  /**
+   * Formata data (DD/MM/AAAA)
+   * @private
+   */
+  _formatDate(date) {
+    return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+  }
+
+  /**
+   * Formata valor monetário
+   * @private
+   */
+  _formatMoney(value) {
+    return value.toFixed(2).replace('.', ',').replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+  }
+
+  /**
+   * Corta um texto no tamanho informado
+   * @private
+   */
+  _truncate(str, length) {
+    const s = String(str || '');
+    return s.length > length ? `${s.slice(0, length - 1)}…` : s;
+  }
+
+  /**
+   * Adiciona padding em string
+   * @private
+   */
+  _pad(str, length) {
+    const s = String(str);
+    return s + ' '.repeat(Math.max(0, length - s.length));
+  }
+}
+
+export default PayeeScreen;
@@ -0,0 +1,675 @@
+import { Input } from '../components/Input.js';
+import { QuickMenu } from '../components/QuickMenu.js';
+import {
+  clearScreen,
+  createBox,
+  createSeparator
+} from '../utils/banner.js';
+import { colors, icons } from '../utils/colors.js';
+import { RecurringRule, RECURRING_FREQUENCIES } from '../../../domain/entities/RecurringRule.js';
+
+/**
+ * Data limite usada para listar as próximas ocorrências de uma regra
+ */
+const FAR_FUTURE = new Date(9999, 11, 31);
+
+/**
+ * Tela de transações recorrentes (salário, aluguel, assinaturas...)
+ */
+export class RecurringScreen {
+  constructor(user, transactionUseCases, categoryUseCases, accountUseCases = null) {
+    this.user = user;
+    this.createRecurringRuleUseCase = transactionUseCases.createRecurringRuleUseCase;
+    this.listRecurringRulesUseCase = transactionUseCases.listRecurringRulesUseCase;
+    this.updateRecurringRuleUseCase = transactionUseCases.updateRecurringRuleUseCase;
+    this.deleteRecurringRuleUseCase = transactionUseCases.deleteRecurringRuleUseCase;
+    this.skipRecurringOccurrenceUseCase = transactionUseCases.skipRecurringOccurrenceUseCase;
+    this.modifyRecurringOccurrenceUseCase = transactionUseCases.modifyRecurringOccurrenceUseCase;
+    this.restoreRecurringOccurrenceUseCase = transactionUseCases.restoreRecurringOccurrenceUseCase;
+    this.materializeRecurringTransactionsUseCase = transactionUseCases.materializeRecurringTransactionsUseCase;
+    this.listCategoriesUseCase = categoryUseCases.listCategoriesUseCase;
+    this.listAccountsUseCase = accountUseCases ? accountUseCases.listAccounts : null;
+  }
+
+  /**
+   * Exibe as regras até o usuário voltar
+   */
+  async show() {
+    try {
+      while (true) {
+        const result = await this.listRecurringRulesUseCase.execute(this.user.id);
+
+        clearScreen();
+
+        if (!result.success) {
+          console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+          await Input.pressKey();
+          return;
+        }
+
+        const rules = result.rules;
+
+        console.log('\n');
+        console.log(createBox(
+          '🔄 TRANSAÇÕES RECORRENTES\n\n' +
+          colors.textDim('As ocorrências vencidas são lançadas automaticamente ao entrar no sistema'),
+          { borderColor: '#667eea', padding: 1 }
+        ));
+        console.log('\n');
+
+        if (rules.length === 0) {
+          console.log(colors.textDim('Nenhuma recorrência cadastrada.\n'));
+        } else {
+          this._renderRules(rules);
+        }
+
+        console.log(createSeparator());
+        console.log('\n');
+
+        const actions = [{ name: 'Nova Recorrência', value: 'create', icon: '➕', color: 'green' }];
+
+        if (rules.length > 0) {
+          actions.push(
+            { name: 'Gerenciar Recorrência', value: 'manage', icon: '⚙️', color: 'blue' },
+            { name: 'Lançar Vencidas Agora', value: 'materialize', icon: '⚡', color: 'yellow' }
+          );
+        }
+
+        actions.push({ name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' });
+
+        const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+
+        if (action === 'create') {
+          await this._create();
+        } else if (action === 'manage') {
+          const rule = await this._selectRule(rules);
+          if (rule) await this._manage(rule.id);
+        } else if (action === 'materialize') {
+          await this._materialize();
+        } else {
+          return;
+        }
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ Erro: ${error.message}\n`));
+      await Input.pressKey();
+    }
+  }
+
+  /**
+   * Tabela das regras
+   * @private
+   */
+  _renderRules(rules) {
+    console.log(colors.bold('┌──────────────────────────┬───────────────┬──────────────────┬─────────────┬────────────┐'));
+    console.log(colors.bold('│ Descrição                │ Valor         │ Frequência       │ Próxima     │ Situação   │'));
+    console.log(colors.bold('├──────────────────────────┼───────────────┼──────────────────┼─────────────┼────────────┤'));
+
+    rules.forEach(rule => {
+      const next = rule.getUpcomingOccurrences(FAR_FUTURE, 1)[0];
+      const sign = rule.type === 'income' ? '+' : '-';
+      const amount = `${sign}${RecurringRule.formatAmount(rule.amount)}`;
+      const coloredAmount = rule.type === 'income' ? colors.success(this._pad(amount, 13)) : colors.error(this._pad(amount, 13));
+
+      console.log(
+        `│ ${this._pad(this._truncate(`${rule.categoryIcon || '📁'} ${rule.description || rule.categoryName}`, 24), 24)} │ ` +
+        `${coloredAmount} │ ${this._pad(this._truncate(rule.getFrequencyLabel(), 16), 16)} │ ` +
+        `${this._pad(next && rule.isActive ? RecurringRule.formatDate(next.date) : '-', 11)} │ ` +
+        `${this._pad(rule.getStatusLabel(), 10)} │`
+      );
+    });
+
+    console.log(colors.bold('└──────────────────────────┴───────────────┴──────────────────┴─────────────┴────────────┘'));
+    console.log('\n');
+  }
+
+  /**
+   * Seleciona uma regra
+   * @private
+   */
+  async _selectRule(rules) {
+    const ruleId = await QuickMenu.selectWithIcons(
+      'Recorrência',
+      [
+        ...rules.map(rule => ({
+          name: rule.getSummary().replace(/^🔄 /, ''),
+          value: rule.id,
+          icon: '🔄',
+          color: rule.isActive && !rule.isFinished() ? 'white' : 'gray'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return rules.find(rule => rule.id === ruleId) || null;
+  }
+
+  /**
+   * Formulário de nova recorrência
+   * @private
+   */
+  async _create() {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox('➕ NOVA RECORRÊNCIA', { borderColor: 'green', padding: 1 }));
+    console.log('\n');
+
+    // 1. Tipo e categoria
+    const type = await QuickMenu.selectWithIcons(
+      'Tipo',
+      [
+        { name: 'Receita', value: 'income', icon: '📈', color: 'green' },
+        { name: 'Despesa', value: 'expense', icon: '📉', color: 'red' },
+        { name: 'Cancelar', value: null, icon: '❌', color: 'gray' }
+      ]
+    );
+    if (!type) return;
+
+    const category = await this._selectCategory(type);
+    if (!category) return;
+
+    const account = await this._selectAccount();
+    if (account === null) return;
+
+    // 2. Valor e descrição
+    const amount = await this._askAmount('💰 Valor (R$)');
+    const description = await Input.text('📝 Descrição', {
+      default: category.name,
+      validate: (input) => input.length <= 200 || 'Descrição muito longa! Máximo 200 caracteres.'
+    });
+
+    // 3. Frequência e início
+    const frequency = await QuickMenu.selectWithIcons(
+      'Frequência',
+      Object.entries(RECURRING_FREQUENCIES).map(([value, name]) => ({ name, value, icon: '🔄', color: 'cyan' }))
+    );
+
+    const startChoice = await QuickMenu.selectWithIcons(
+      'Início',
+      [
+        { name: 'Hoje', value: 'today', icon: '📅', color: 'cyan' },
+        { name: 'Outra data', value: 'custom', icon: '🗓️', color: 'blue' }
+      ]
+    );
+    const startDate = startChoice === 'custom' ? await Input.date('Data de início (DD/MM/AAAA):') : new Date();
+
+    let dayOfMonth;
+    if (frequency === 'monthly' || frequency === 'yearly') {
+      const dayInput = await Input.text('📆 Dia do mês (1-31)', {
+        default: String(startDate.getDate()),
+        validate: (input) => {
+          const day = Number(input);
+          return Number.isInteger(day) && day >= 1 && day <= 31 ? true : 'Dia inválido! Use um número de 1 a 31.';
+        }
+      });
+      dayOfMonth = Number(dayInput);
+    }
+
+    // 4. Término
+    const end = await this._askEnd(startDate);
+    if (!end) return;
+
+    const result = await this.createRecurringRuleUseCase.execute(this.user.id, {
+      type,
+      categoryId: category.id,
+      accountId: account ? account.id : undefined,
+      amount,
+      description: description.trim(),
+      frequency,
+      dayOfMonth,
+      startDate,
+      endDate: end.endDate,
+      maxOccurrences: end.maxOccurrences
+    });
+
+    clearScreen();
+    console.log('\n');
+
+    if (!result.success) {
+      console.log(createBox(
+        `${icons.error} ERRO AO CRIAR RECORRÊNCIA\n\n` + result.errors.join('\n'),
+        { borderColor: 'red', padding: 2 }
+      ));
+      console.log('\n');
+      await Input.pressKey();
+      return;
+    }
+
+    // Ocorrências com data até hoje já são lançadas
+    const materialized = await this.materializeRecurringTransactionsUseCase.execute(this.user.id);
+    const created = materialized.success && materialized.createdCount > 0
+      ? `\n\n${materialized.createdCount} transação(ões) vencida(s) lançada(s)`
+      : '';
+
+    console.log(createBox(
+      `${icons.success} RECORRÊNCIA CRIADA!\n\n${result.rule.getSummary()}\n${colors.textDim(`Término: ${result.rule.getEndLabel()}`)}${created}`,
+      { borderColor: 'green', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Pergunta o término da série
+   * @private
+   * @returns {Promise<{endDate: Date|null, maxOccurrences: number|null}|null>} null = cancelado
+   */
+  async _askEnd(startDate) {
+    const choice = await QuickMenu.selectWithIcons(
+      'Término',
+      [
+        { name: 'Sem término', value: 'never', icon: '♾️', color: 'cyan' },
+        { name: 'Em uma data', value: 'date', icon: '📅', color: 'blue' },
+        { name: 'Depois de um número de vezes', value: 'count', icon: '🔢', color: 'magenta' },
+        { name: 'Cancelar', value: null, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    switch (choice) {
+    case 'never':
+      return { endDate: null, maxOccurrences: null };
+    case 'date':
+      return {
+        endDate: await Input.date('Data de término (DD/MM/AAAA):', {
+          validate: (date) => date >= new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()) ||
+            'A data de término não pode ser anterior ao início!'
+        }),
+        maxOccurrences: null
+      };
+    case 'count': {
+      const count = await Input.text('🔢 Número de vezes', {
+        validate: (input) => {
+          const value = Number(input);
+          return Number.isInteger(value) && value > 0 ? true : 'Número inválido! Deve ser maior que zero.';
+        }
+      });
+      return { endDate: null, maxOccurrences: Number(count) };
+    }
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Detalhes de uma regra, com as próximas ocorrências e as ações
+   * @private
+   */
+  async _manage(ruleId) {
+    while (true) {
+      const rules = await this.listRecurringRulesUseCase.execute(this.user.id);
+      const rule = rules.success ? rules.rules.find(r => r.id === ruleId) : null;
+
+      if (!rule) {
+        return;
+      }
+
+      const upcoming = rule.getUpcomingOccurrences(FAR_FUTURE, 6);
+
+      clearScreen();
+      this._renderRule(rule, upcoming);
+
+      const actions = [];
+
+      if (upcoming.length > 0) {
+        actions.push(
+          { name: 'Pular uma Ocorrência', value: 'skip', icon: '⏭️', color: 'yellow' },
+          { name: 'Alterar uma Ocorrência', value: 'modify', icon: '✏️', color: 'blue' }
+        );
+      }
+
+      if (rule.exceptions.length > 0) {
+        actions.push({ name: 'Restaurar Ocorrência', value: 'restore', icon: '↩️', color: 'cyan' });
+      }
+
+      actions.push({ name: 'Editar Recorrência', value: 'edit', icon: '⚙️', color: 'blue' });
+
+      if (!rule.isFinished()) {
+        actions.push(rule.isActive
+          ? { name: 'Pausar', value: 'pause', icon: '⏸️', color: 'yellow' }
+          : { name: 'Reativar', value: 'resume', icon: '▶️', color: 'green' });
+      }
+
+      actions.push(
+        { name: 'Deletar Recorrência', value: 'delete', icon: '🗑️', color: 'red' },
+        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
+      );
+
+      const action = await QuickMenu.selectWithIcons('O que deseja fazer?', actions);
+      let result = null;
+
+      switch (action) {
+      case 'skip': {
+        const occurrence = await this._selectOccurrence(upcoming.filter(o => !o.isSkipped));
+        if (occurrence) {
+          result = await this.skipRecurringOccurrenceUseCase.execute(this.user.id, rule.id, occurrence.number);
+        }
+        break;
+      }
+      case 'modify': {
+        const occurrence = await this._selectOccurrence(upcoming.filter(o => !o.isSkipped));
+        if (occurrence) {
+          const amount = await this._askAmount('💰 Valor desta ocorrência (R$)', occurrence.amount);
+          const description = await Input.text('📝 Descrição desta ocorrência', {
+            default: occurrence.description,
+            validate: (input) => input.length <= 200 || 'Descrição muito longa! Máximo 200 caracteres.'
+          });
+          result = await this.modifyRecurringOccurrenceUseCase.execute(this.user.id, rule.id, occurrence.number, {
+            amount,
+            description: description.trim()
+          });
+        }
+        break;
+      }
+      case 'restore': {
+        const occurrence = await this._selectOccurrence(
+          rule.exceptions.map(exception => rule.getOccurrence(exception.occurrenceNumber))
+        );
+        if (occurrence) {
+          result = await this.restoreRecurringOccurrenceUseCase.execute(this.user.id, rule.id, occurrence.number);
+        }
+        break;
+      }
+      case 'edit':
+        result = await this._edit(rule);
+        break;
+      case 'pause':
+      case 'resume':
+        result = await this.updateRecurringRuleUseCase.execute(this.user.id, rule.id, { isActive: action === 'resume' });
+        break;
+      case 'delete':
+        if (await this._delete(rule)) return;
+        break;
+      default:
+        return;
+      }
+
+      if (result && !result.success) {
+        console.log(colors.error(`\n❌ ${result.errors.join('\n')}\n`));
+        await Input.pressKey();
+      }
+    }
+  }
+
+  /**
+   * Resumo da regra e tabela das próximas ocorrências
+   * @private
+   */
+  _renderRule(rule, upcoming) {
+    console.log('\n');
+    console.log(createBox(
+      '🔄 RECORRÊNCIA\n\n' +
+      `${rule.getSummary()}\n\n` +
+      `${rule.categoryIcon || '📁'} Categoria: ${colors.bold(rule.categoryName || 'Sem categoria')}\n` +
+      `${rule.accountIcon || '🏦'} Conta: ${colors.bold(rule.accountName || '-')}\n` +
+      `📅 Início: ${colors.bold(RecurringRule.formatDate(rule.startDate))}\n` +
+      `🏁 Término: ${colors.bold(rule.getEndLabel())}\n` +
+      `📌 Situação: ${colors.bold(rule.getStatusLabel())} ${colors.textDim(`(${rule.generatedCount} ocorrência(s) processada(s))`)}`,
+      { borderColor: rule.isActive ? '#667eea' : 'yellow', padding: 1 }
+    ));
+    console.log('\n');
+
+    if (upcoming.length === 0) {
+      console.log(colors.textDim('Nenhuma ocorrência futura.\n'));
+      return;
+    }
+
+    console.log(colors.bold('Próximas ocorrências:\n'));
+    console.log(colors.bold('┌──────┬─────────────┬───────────────┬──────────────────────────┬──────────────┐'));
+    console.log(colors.bold('│ Nº   │ Data        │ Valor         │ Descrição                │ Situação     │'));
+    console.log(colors.bold('├──────┼─────────────┼───────────────┼──────────────────────────┼──────────────┤'));
+
+    upcoming.forEach(occurrence => {
+      const status = occurrence.isSkipped ? 'Pulada' : (occurrence.isModified ? 'Alterada' : 'Prevista');
+      const line =
+        `│ ${this._pad(occurrence.number, 4)} │ ${this._pad(RecurringRule.formatDate(occurrence.date), 11)} │ ` +
+        `${this._pad(RecurringRule.formatAmount(occurrence.amount), 13)} │ ` +
+        `${this._pad(this._truncate(occurrence.description, 24), 24)} │ ${this._pad(status, 12)} │`;
+
+      console.log(occurrence.isSkipped ? colors.textDim(line) : line);
+    });
+
+    console.log(colors.bold('└──────┴─────────────┴───────────────┴──────────────────────────┴──────────────┘'));
+    console.log('\n');
+  }
+
+  /**
+   * Seleciona uma ocorrência
+   * @private
+   */
+  async _selectOccurrence(occurrences) {
+    if (occurrences.length === 0) {
+      return null;
+    }
+
+    const number = await QuickMenu.selectWithIcons(
+      'Ocorrência',
+      [
+        ...occurrences.map(occurrence => ({
+          name: `${RecurringRule.formatDate(occurrence.date)} - ${RecurringRule.formatAmount(occurrence.amount)}` +
+            (occurrence.isSkipped ? ' (pulada)' : (occurrence.isModified ? ' (alterada)' : '')),
+          value: occurrence.number,
+          icon: '📅',
+          color: 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return occurrences.find(occurrence => occurrence.number === number) || null;
+  }
+
+  /**
+   * Edita valor, descrição, categoria e conta das próximas ocorrências
+   * @private
+   */
+  async _edit(rule) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `⚙️  EDITAR RECORRÊNCIA\n${colors.textDim('As alterações valem para as próximas ocorrências')}`,
+      { borderColor: 'blue', padding: 1 }
+    ));
+    console.log('\n');
+
+    const amount = await this._askAmount('💰 Valor (R$)', rule.amount);
+    const description = await Input.text('📝 Descrição', {
+      default: rule.description,
+      validate: (input) => input.length <= 200 || 'Descrição muito longa! Máximo 200 caracteres.'
+    });
+
+    const category = await this._selectCategory(rule.type, rule.categoryId);
+    if (!category) return null;
+
+    const account = await this._selectAccount(rule.accountId);
+    if (account === null) return null;
+
+    const result = await this.updateRecurringRuleUseCase.execute(this.user.id, rule.id, {
+      amount,
+      description: description.trim(),
+      categoryId: category.id,
+      accountId: account ? account.id : undefined
+    });
+
+    if (result.success) {
+      console.log(colors.success(`\n${icons.success} Recorrência atualizada!\n`));
+      await Input.pressKey();
+    }
+
+    return result;
+  }
+
+  /**
+   * Deleta a regra (as transações já lançadas são mantidas)
+   * @private
+   * @returns {Promise<boolean>} true se deletada
+   */
+  async _delete(rule) {
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      `${icons.warning} CONFIRMAR EXCLUSÃO\n\n` +
+      `${rule.getSummary()}\n\n` +
+      colors.textDim('As transações já lançadas continuam no histórico'),
+      { borderColor: 'red', padding: 2 }
+    ));
+    console.log('\n');
+
+    const confirm = await QuickMenu.selectWithIcons(
+      'Tem certeza?',
+      [
+        { name: 'Sim, deletar', value: true, icon: '✅', color: 'red' },
+        { name: 'Não, cancelar', value: false, icon: '❌', color: 'gray' }
+      ]
+    );
+
+    if (!confirm) {
+      return false;
+    }
+
+    const result = await this.deleteRecurringRuleUseCase.execute(this.user.id, rule.id);
+
+    clearScreen();
+    console.log('\n');
+    console.log(createBox(
+      result.success
+        ? `${icons.success} RECORRÊNCIA DELETADA COM SUCESSO!`
+        : `${icons.error} ERRO AO DELETAR RECORRÊNCIA\n\n` + result.errors.join('\n'),
+      { borderColor: result.success ? 'green' : 'red', padding: 2 }
+    ));
+    console.log('\n');
+    await Input.pressKey();
+
+    return result.success;
+  }
+
+  /**
+   * Lança as ocorrências vencidas
+   * @private
+   */
+  async _materialize() {
+    const result = await this.materializeRecurringTransactionsUseCase.execute(this.user.id);
+
+    clearScreen();
+    console.log('\n');
+
+    if (!result.success) {
+      console.log(createBox(`${icons.error} ${result.errors.join('\n')}`, { borderColor: 'red', padding: 2 }));
+    } else if (result.createdCount === 0) {
+      console.log(createBox(`${icons.info} Nenhuma ocorrência vencida para lançar`, { borderColor: 'cyan', padding: 2 }));
+    } else {
+      console.log(createBox(
+        `${icons.success} ${result.createdCount} TRANSAÇÃO(ÕES) LANÇADA(S)!`,
+        { borderColor: 'green', padding: 2 }
+      ));
+    }
+
+    console.log('\n');
+    await Input.pressKey();
+  }
+
+  /**
+   * Pergunta um valor em reais
+   * @private
+   */
+  async _askAmount(message, current = null) {
+    const input = await Input.text(message, {
+      default: current !== null ? current.toFixed(2).replace('.', ',') : undefined,
+      validate: (value) => {
+        const amount = parseFloat(String(value).replace(',', '.'));
+        return isNaN(amount) || amount <= 0 ? 'Valor inválido! Deve ser maior que zero.' : true;
+      }
+    });
+
+    return parseFloat(String(input).replace(',', '.'));
+  }
+
+  /**
+   * Seleciona uma categoria do tipo informado (a atual aparece primeiro)
+   * @private
+   * @returns {Promise<Category|null>} null = cancelado
+   */
+  async _selectCategory(type, currentId = null) {
+    const result = await this.listCategoriesUseCase.execute({ userId: this.user.id, type });
+
+    if (!result.success || result.categories.length === 0) {
+      console.log(colors.error('\n❌ Nenhuma categoria encontrada para este tipo!\n'));
+      await Input.pressKey();
+      return null;
+    }
+
+    const sorted = [...result.categories].sort((a, b) =>
+      Number(b.id === currentId) - Number(a.id === currentId)
+    );
+
+    const categoryId = await QuickMenu.selectWithIcons(
+      '📂 Categoria',
+      [
+        ...sorted.map(category => ({
+          name: category.name,
+          value: category.id,
+          icon: category.icon || '📁',
+          color: category.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return sorted.find(category => category.id === categoryId) || null;
+  }
+
+  /**
+   * Seleciona a conta (a atual aparece primeiro; só pergunta se houver mais de uma)
+   * @private
+   * @returns {Promise<Account|undefined|null>} undefined = nada a escolher, null = cancelado
+   */
+  async _selectAccount(currentId = null) {
+    if (!this.listAccountsUseCase) {
+      return undefined;
+    }
+
+    const result = await this.listAccountsUseCase.execute(this.user.id);
+
+    if (!result.success || result.accounts.length <= 1) {
+      return undefined;
+    }
+
+    const sorted = [...result.accounts].sort((a, b) =>
+      Number(b.id === currentId) - Number(a.id === currentId)
+    );
+
+    const accountId = await QuickMenu.selectWithIcons(
+      `${icons.bank} Conta`,
+      [
+        ...sorted.map(account => ({
+          name: `${account.name} ${colors.textDim(`(${account.getFormattedBalance()})`)}`,
+          value: account.id,
+          icon: account.icon,
+          color: account.id === currentId ? 'cyan' : 'white'
+        })),
+        { name: 'Cancelar', value: null, icon: '❌', color: 'red' }
+      ]
+    );
+
+    return sorted.find(account => account.id === accountId) || null;
+  }
+
+  /**
+   * Corta um texto no tamanho informado
+   * @private
+   */
+  _truncate(str, length) {
+    const s = String(str || '');
+    return s.length > length ? `${s.slice(0, length - 1)}…` : s;
+  }
+
+  /**
+   * Adiciona padding em string
+   * @private
+   */
+  _pad(str, length) {
+    const s = String(str);
+    return s + ' '.repeat(Math.max(0, length - s.length));
+  }
+}
+
+export default RecurringScreen;
@@ -17,11 +17,14 @@ export class ReportsScreen {
   constructor(
     user,
     reportUseCases,
-    categoryUseCases
+    categoryUseCases,
+    accountUseCases = null
   ) {
     this.user = user;
     this.reportUseCases = reportUseCases;
     this.categoryUseCases = categoryUseCases;
+    this.accountUseCases = accountUseCases;
+    this.accounts = [];
   }
 
   /**
@@ -47,6 +50,8 @@ export class ReportsScreen {
           { name: 'Maiores Transações', value: 'top', icon: '🏆', color: 'yellow' },
           { name: 'Relatório Comparativo', value: 'comparative', icon: '⚖️', color: 'magenta' },
           { name: 'Análise de Padrões', value: 'patterns', icon: '🔍', color: 'blue' },
+          { name: 'Gastos por Tag', value: 'tag', icon: '🏷️', color: 'cyan' },
+          { name: 'Gastos por Favorecido', value: 'payee', icon: '🏪', color: 'yellow' },
           { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
         ]
       );
@@ -92,6 +97,12 @@ export class ReportsScreen {
       case 'patterns':
         report = await this._generatePatternAnalysisReport();
         break;
+      case 'tag':
+        report = await this._generateTagReport();
+        break;
+      case 'payee':
+        report = await this._generatePayeeReport();
+        break;
       }
 
       if (report) {
@@ -120,13 +131,15 @@ export class ReportsScreen {
 
     // Selecionar mês e ano
     const { month, year } = await this._selectMonthYear();
+    const accountId = await this._selectAccount();
 
     // Gerar relatório
     console.log(chalk.dim('\nGerando relatório...'));
     const report = await this.reportUseCases.generateMonthlyReport.execute(
       this.user.id,
       month,
-      year
+      year,
+      { accountId }
     );
 
     return report;
@@ -143,7 +156,10 @@ export class ReportsScreen {
     console.log('\n');
 
     // Listar categorias
-    const categories = await this.categoryUseCases.listCategoriesUseCase.execute(this.user.id);
+    const result = await this.categoryUseCases.listCategoriesUseCase.execute({ userId: this.user.id });
+    const categories = result.success
+      ? result.categories.flatMap(cat => [cat, ...(cat.subcategories || [])])
+      : [];
 
     if (categories.length === 0) {
       console.log(chalk.yellow('Você ainda não possui categorias cadastradas.'));
@@ -177,12 +193,15 @@ export class ReportsScreen {
       }
     ]);
 
+    const accountId = await this._selectAccount();
+
     // Gerar relatório
     console.log(chalk.dim('\nGerando relatório...'));
     const report = await this.reportUseCases.generateCategoryReport.execute(
       this.user.id,
       answers.categoryId,
-      answers.months
+      answers.months,
+      { accountId }
     );
 
     return report;
@@ -214,11 +233,14 @@ export class ReportsScreen {
       }
     ]);
 
+    const accountId = await this._selectAccount();
+
     // Gerar relatório
     console.log(chalk.dim('\nGerando relatório...'));
     const report = await this.reportUseCases.generateEvolutionReport.execute(
       this.user.id,
-      answers.months
+      answers.months,
+      { accountId }
     );
 
     return report;
@@ -261,13 +283,16 @@ export class ReportsScreen {
       }
     ]);
 
+    const accountId = await this._selectAccount();
+
     // Gerar relatório
     console.log(chalk.dim('\nGerando relatório...'));
     const report = await this.reportUseCases.generateTopTransactionsReport.execute(
       this.user.id,
       {
         period: answers.period,
-        limit: answers.limit
+        limit: answers.limit,
+        accountId
       }
     );
 
@@ -291,12 +316,16 @@ export class ReportsScreen {
     console.log(chalk.white('Segundo período:'));
     const period2 = await this._selectMonthYear();
 
+    console.log('\n');
+    const accountId = await this._selectAccount();
+
     // Gerar relatório
     console.log(chalk.dim('\nGerando relatório comparativo...'));
     const report = await this.reportUseCases.generateComparativeReport.execute(
       this.user.id,
       period1,
-      period2
+      period2,
+      { accountId }
     );
 
     return report;
@@ -327,11 +356,134 @@ export class ReportsScreen {
       }
     ]);
 
+    const accountId = await this._selectAccount();
+
     // Gerar relatório
     console.log(chalk.dim('\nGerando análise de padrões...'));
     const report = await this.reportUseCases.generatePatternAnalysisReport.execute(
       this.user.id,
-      answers.months
+      answers.months,
+      { accountId }
+    );
+
+    return report;
+  }
+
+  /**
+   * Gera relatório de gastos por tag
+   * @private
+   */
+  async _generateTagReport() {
+    clearScreen();
+    console.log('\n');
+    console.log(chalk.cyan.bold('🏷️  GASTOS POR TAG'));
+    console.log('\n');
+
+    // Selecionar período
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'period',
+        message: 'Período:',
+        choices: [
+          { name: 'Este Mês', value: 'month' },
+          { name: 'Últimos 3 meses', value: 'last3' },
+          { name: 'Este Ano', value: 'year' },
+          { name: 'Personalizado', value: 'custom' }
+        ],
+        default: 'month'
+      }
+    ]);
+
+    let startDate = null;
+    let endDate = null;
+
+    if (answers.period === 'custom') {
+      startDate = await Input.date('Data inicial (DD/MM/AAAA):');
+      endDate = await Input.date('Data final (DD/MM/AAAA):', {
+        validate: (date) => date >= startDate || 'A data final deve ser depois da inicial'
+      });
+      endDate.setHours(23, 59, 59, 999);
+    }
+
+    const accountId = await this._selectAccount();
+
+    // Gerar relatório
+    console.log(chalk.dim('\nGerando relatório...'));
+    const report = await this.reportUseCases.generateTagReport.execute(
+      this.user.id,
+      {
+        period: answers.period,
+        startDate,
+        endDate,
+        accountId
+      }
+    );
+
+    return report;
+  }
+
+  /**
+   * Gera relatório de gastos por favorecido
+   * @private
+   */
+  async _generatePayeeReport() {
+    clearScreen();
+    console.log('\n');
+    console.log(chalk.cyan.bold('🏪 GASTOS POR FAVORECIDO'));
+    console.log('\n');
+
+    // Selecionar período
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'period',
+        message: 'Período:',
+        choices: [
+          { name: 'Este Mês', value: 'month' },
+          { name: 'Últimos 3 meses', value: 'last3' },
+          { name: 'Este Ano', value: 'year' },
+          { name: 'Personalizado', value: 'custom' }
+        ],
+        default: 'last3'
+      },
+      {
+        type: 'list',
+        name: 'limit',
+        message: 'Quantidade de favorecidos:',
+        choices: [
+          { name: 'Top 5', value: 5 },
+          { name: 'Top 10', value: 10 },
+          { name: 'Top 20', value: 20 }
+        ],
+        default: 10
+      }
+    ]);
+
+    let startDate = null;
+    let endDate = null;
+
+    if (answers.period === 'custom') {
+      startDate = await Input.date('Data inicial (DD/MM/AAAA):');
+      endDate = await Input.date('Data final (DD/MM/AAAA):', {
+        validate: (date) => date >= startDate || 'A data final deve ser depois da inicial'
+      });
+      endDate.setHours(23, 59, 59, 999);
+    }
+
+    const accountId = await this._selectAccount();
+
+    // Gerar relatório
+    console.log(chalk.dim('\nGerando relatório...'));
+    const report = await this.reportUseCases.generatePayeeReport.execute(
+      this.user.id,
+      {
+        period: answers.period,
+        startDate,
+        endDate,
+        limit: answers.limit,
+        accountId
+      }
     );
 
     return report;
@@ -344,6 +496,13 @@ export class ReportsScreen {
   async _displayReport(report) {
     clearScreen();
 
+    // Conta filtrada (quando o relatório não considera todas as contas)
+    const account = this.accounts.find(a => a.id === report.period.accountId);
+    if (account) {
+      console.log('\n');
+      console.log(chalk.cyan(`${account.icon} Conta: ${chalk.bold(account.name)}`));
+    }
+
     // Renderizar relatório
     const rendered = ReportRenderer.render(report);
     console.log(rendered);
@@ -367,6 +526,42 @@ export class ReportsScreen {
     }
   }
 
+  /**
+   * Seletor de conta (null = todas as contas)
+   * Só pergunta quando o usuário possui mais de uma conta
+   * @private
+   */
+  async _selectAccount() {
+    if (!this.accountUseCases) {
+      return null;
+    }
+
+    const result = await this.accountUseCases.listAccounts.execute(this.user.id, { includeArchived: true });
+    this.accounts = result.success ? result.accounts : [];
+
+    if (this.accounts.length <= 1) {
+      return null;
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'accountId',
+        message: 'Conta:',
+        choices: [
+          { name: 'Todas as contas', value: null },
+          ...this.accounts.map(account => ({
+            name: `${account.icon} ${account.name}${account.isArchived ? ' (arquivada)' : ''}`,
+            value: account.id
+          }))
+        ],
+        default: null
+      }
+    ]);
+
+    return answers.accountId;
+  }
+
   /**
    * Seletor de mês e ano
    * @private
@@ -1,33 +1,93 @@
+import { Input } from '../components/Input.js';
 import { QuickMenu } from '../components/QuickMenu.js';
 import { AddTransactionForm } from '../components/AddTransactionForm.js';
 import { TransactionList } from '../components/TransactionList.js';
+import { TransferForm } from '../components/TransferForm.js';
+import { InstallmentPlanView } from '../components/InstallmentPlanView.js';
+import { SplitEditor } from '../components/SplitEditor.js';
+import { AttachmentManager } from '../components/AttachmentManager.js';
+import { RecurringScreen } from './RecurringScreen.js';
+import { PayeeScreen } from './PayeeScreen.js';
+import { DuplicateScreen } from './DuplicateScreen.js';
+import { ImportScreen } from './ImportScreen.js';
 import {
   clearScreen,
   createBox,
   createSeparator
 } from '../utils/banner.js';
 import { colors, icons } from '../utils/colors.js';
+import { Tag } from '../../../domain/entities/Tag.js';
+import { UNCATEGORIZED_ICON } from '../../../domain/entities/Category.js';
 
 /**
  * Tela principal de gerenciamento de transações
  */
 export class TransactionScreen {
-  constructor(user, transactionUseCases, categoryUseCases) {
+  constructor(user, transactionUseCases, categoryUseCases, accountUseCases = null) {
     this.user = user;
     this.transactionUseCases = transactionUseCases;
     this.categoryUseCases = categoryUseCases;
+    this.accountUseCases = accountUseCases;
 
     // Componentes
     this.addTransactionForm = new AddTransactionForm(
+      user,
+      transactionUseCases,
+      categoryUseCases,
+      accountUseCases
+    );
+
+    this.transferForm = new TransferForm(
+      user,
+      transactionUseCases,
+      accountUseCases
+    );
+
+    this.installmentPlanView = new InstallmentPlanView(
+      user,
+      transactionUseCases,
+      categoryUseCases,
+      accountUseCases
+    );
+
+    this.recurringScreen = new RecurringScreen(
+      user,
+      transactionUseCases,
+      categoryUseCases,
+      accountUseCases
+    );
+
+    this.splitEditor = new SplitEditor(
       user,
       transactionUseCases,
       categoryUseCases
     );
 
+    this.attachmentManager = transactionUseCases.listAttachmentsUseCase
+      ? new AttachmentManager(user, transactionUseCases)
+      : null;
+
     this.transactionList = new TransactionList(
       user,
-      transactionUseCases
+      transactionUseCases,
+      this.transferForm,
+      this.installmentPlanView,
+      this.splitEditor,
+      this.attachmentManager,
+      categoryUseCases
     );
+
+    this.payeeScreen = transactionUseCases.listPayeesUseCase
+      ? new PayeeScreen(user, transactionUseCases, categoryUseCases, this.transactionList)
+      : null;
+
+    this.duplicateScreen = transactionUseCases.findDuplicateTransactionsUseCase
+      ? new DuplicateScreen(user, transactionUseCases)
+      : null;
+
+    this.importScreen = transactionUseCases.importCsvTransactionsUseCase
+      ? new ImportScreen(user, transactionUseCases, categoryUseCases, accountUseCases)
+      : null;
   }
 
   /**
@@ -47,18 +107,34 @@ export class TransactionScreen {
     console.log('\n');
 
     // Menu principal
-    const choice = await QuickMenu.selectWithIcons(
-      'O que deseja fazer?',
-      [
-        { name: 'Adicionar Receita', value: 'income', icon: '📈', color: 'green' },
-        { name: 'Adicionar Despesa', value: 'expense', icon: '📉', color: 'red' },
-        { name: 'Ver Transações', value: 'list', icon: '📋', color: 'blue' },
-        { name: 'Filtros Avançados', value: 'filters', icon: '🔍', color: 'purple' },
-        { name: 'Resumo Rápido', value: 'summary', icon: '📊', color: 'cyan' },
-        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
-      ]
+    const options = [
+      { name: 'Adicionar Receita', value: 'income', icon: '📈', color: 'green' },
+      { name: 'Adicionar Despesa', value: 'expense', icon: '📉', color: 'red' },
+      { name: 'Transferir entre Contas', value: 'transfer', icon: '🔁', color: 'cyan' },
+      { name: 'Ver Transações', value: 'list', icon: '📋', color: 'blue' },
+      { name: 'Recorrências', value: 'recurring', icon: '🔄', color: 'magenta' }
+    ];
+
+    if (this.payeeScreen) {
+      options.push({ name: 'Favorecidos', value: 'payees', icon: '🏪', color: 'yellow' });
+    }
+
+    if (this.duplicateScreen) {
+      options.push({ name: 'Procurar Duplicadas', value: 'duplicates', icon: '🧬', color: 'yellow' });
+    }
+
+    if (this.importScreen) {
+      options.push({ name: 'Importar Extrato (CSV/OFX)', value: 'import', icon: '📥', color: 'green' });
+    }
+
+    options.push(
+      { name: 'Filtros Avançados', value: 'filters', icon: '🔍', color: 'purple' },
+      { name: 'Resumo Rápido', value: 'summary', icon: '📊', color: 'cyan' },
+      { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
     );
 
+    const choice = await QuickMenu.selectWithIcons('O que deseja fazer?', options);
+
     switch (choice) {
     case 'income':
       await this.addTransactionForm.show('income');
@@ -68,10 +144,30 @@ export class TransactionScreen {
       await this.addTransactionForm.show('expense');
       return await this.show();
 
+    case 'transfer':
+      await this.transferForm.show();
+      return await this.show();
+
     case 'list':
       await this.transactionList.show({ page: 1, limit: 10 });
       return await this.show();
 
+    case 'recurring':
+      await this.recurringScreen.show();
+      return await this.show();
+
+    case 'payees':
+      await this.payeeScreen.show();
+      return await this.show();
+
+    case 'duplicates':
+      await this.duplicateScreen.show();
+      return await this.show();
+
+    case 'import':
+      await this.importScreen.show();
+      return await this.show();
+
     case 'filters':
       await this._showFilters();
       return await this.show();
@@ -100,17 +196,33 @@ export class TransactionScreen {
     ));
     console.log('\n');
 
-    const filterChoice = await QuickMenu.selectWithIcons(
-      'Filtrar por',
-      [
-        { name: 'Apenas Receitas', value: 'income', icon: '📈', color: 'green' },
-        { name: 'Apenas Despesas', value: 'expense', icon: '📉', color: 'red' },
-        { name: 'Este Mês', value: 'month', icon: '📅', color: 'blue' },
-        { name: 'Esta Semana', value: 'week', icon: '📅', color: 'cyan' },
-        { name: 'Hoje', value: 'today', icon: '📅', color: 'yellow' },
-        { name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' }
-      ]
-    );
+    const filterOptions = [
+      { name: 'Apenas Receitas', value: 'income', icon: '📈', color: 'green' },
+      { name: 'Apenas Despesas', value: 'expense', icon: '📉', color: 'red' },
+      { name: 'Apenas Transferências', value: 'transfer', icon: '🔁', color: 'cyan' },
+      { name: 'Previstas', value: 'planned', icon: '🗓️', color: 'yellow' },
+      { name: 'Pendentes', value: 'pending', icon: '⏳', color: 'yellow' },
+      { name: 'Este Mês', value: 'month', icon: '📅', color: 'blue' },
+      { name: 'Esta Semana', value: 'week', icon: '📅', color: 'cyan' },
+      { name: 'Hoje', value: 'today', icon: '📅', color: 'yellow' },
+      { name: 'Sem Categoria', value: 'uncategorized', icon: UNCATEGORIZED_ICON, color: 'gray' }
+    ];
+
+    if (this.accountUseCases) {
+      filterOptions.push({ name: 'Por Conta', value: 'account', icon: '🏦', color: 'magenta' });
+    }
+
+    if (this.transactionUseCases.listTagsUseCase) {
+      filterOptions.push({ name: 'Por Tag', value: 'tag', icon: '🏷️', color: 'cyan' });
+    }
+
+    if (this.transactionUseCases.listPayeesUseCase) {
+      filterOptions.push({ name: 'Por Favorecido', value: 'payee', icon: '🏪', color: 'yellow' });
+    }
+
+    filterOptions.push({ name: 'Voltar', value: 'back', icon: '⬅️', color: 'gray' });
+
+    const filterChoice = await QuickMenu.selectWithIcons('Filtrar por', filterOptions);
 
     if (!filterChoice || filterChoice === 'back') {
       return;
@@ -118,10 +230,78 @@ export class TransactionScreen {
 
     let filters = {};
 
-    if (filterChoice === 'income' || filterChoice === 'expense') {
+    if (filterChoice === 'account') {
+      const result = await this.accountUseCases.listAccounts.execute(this.user.id, { includeArchived: true });
+
+      if (!result.success || result.accounts.length === 0) {
+        console.log(colors.warning('\n⚠️  Nenhuma conta encontrada\n'));
+        await Input.pressKey();
+        return;
+      }
+
+      filters.accountId = await QuickMenu.selectWithIcons(
+        'Conta',
+        result.accounts.map(account => ({
+          name: account.isArchived ? `${account.name} (arquivada)` : account.name,
+          value: account.id,
+          icon: account.icon,
+          color: account.isArchived ? 'gray' : 'white'
+        }))
+      );
+    }
+
+    if (filterChoice === 'tag') {
+      const result = await this.transactionUseCases.listTagsUseCase.execute(this.user.id);
+
+      if (!result.success || result.tags.length === 0) {
+        console.log(colors.warning('\n⚠️  Nenhuma tag encontrada. Adicione tags ao registrar uma transação.\n'));
+        await Input.pressKey();
+        return;
+      }
+
+      filters.tag = await Input.autocomplete('🏷️  Tag (digite para buscar):', term => {
+        const name = Tag.normalize(term);
+
+        return result.tags
+          .filter(tag => tag.name.includes(name))
+          .map(tag => ({
+            name: `${tag.getLabel()} ${colors.textDim(`(${tag.transactionCount})`)}`,
+            value: tag.name
+          }));
+      });
+    }
+
+    if (filterChoice === 'payee') {
+      const result = await this.transactionUseCases.listPayeesUseCase.execute(this.user.id);
+
+      if (!result.success || result.payees.length === 0) {
+        console.log(colors.warning('\n⚠️  Nenhum favorecido encontrado. Cadastre em "Favorecidos".\n'));
+        await Input.pressKey();
+        return;
+      }
+
+      filters.payeeId = await Input.autocomplete('🏪 Favorecido (digite para buscar):', term =>
+        result.payees
+          .filter(payee => payee.matchesSearch(term))
+          .map(payee => ({
+            name: `${payee.name} ${colors.textDim(`(${payee.transactionCount})`)}`,
+            value: payee.id
+          }))
+      );
+    }
+
+    if (filterChoice === 'income' || filterChoice === 'expense' || filterChoice === 'transfer') {
       filters.type = filterChoice;
     }
 
+    if (filterChoice === 'planned' || filterChoice === 'pending') {
+      filters.status = filterChoice;
+    }
+
+    if (filterChoice === 'uncategorized') {
+      filters.uncategorized = true;
+    }
+
     if (filterChoice === 'today') {
       const today = new Date();
       today.setHours(0, 0, 0, 0);
@@ -199,7 +379,7 @@ export class TransactionScreen {
 
     if (!resultAll.success || !resultMonth.success) {
       console.log(colors.error('\n❌ Erro ao carregar resumo\n'));
-      await require('../components/Input.js').Input.pressKey();
+      await Input.pressKey();
       return;
     }
 
@@ -218,7 +398,7 @@ export class TransactionScreen {
     ));
     console.log('\n');
 
-    await require('../components/Input.js').Input.pressKey();
+    await Input.pressKey();
   }
 
   /**
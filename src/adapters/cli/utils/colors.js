@@ -27,10 +27,12 @@ export const colors = {
   // Cores financeiras
   income: chalk.hex('#38ef7d'),
   expense: chalk.hex('#eb3349'),
+  transfer: chalk.hex('#4facfe'),
 
   // UI
   text: chalk.white,
   textDim: chalk.gray,
+  bold: chalk.bold,
   highlight: chalk.bold.cyan,
   selected: chalk.bold.hex('#667eea')
 };
@@ -44,6 +46,7 @@ export const icons = {
   money: '💰',
   income: '📈',
   expense: '📉',
+  chart: '📊',
   user: '👤',
   lock: '🔒',
   email: '📧',
@@ -51,7 +54,15 @@ export const icons = {
   check: '✓',
   cross: '✗',
   star: '⭐',
-  rocket: '🚀'
+  rocket: '🚀',
+  add: '➕',
+  edit: '✏️',
+  delete: '🗑️',
+  folder: '📂',
+  search: '🔍',
+  trophy: '🏆',
+  bank: '🏦',
+  transfer: '🔁'
 };
 
 // Estilos de texto
@@ -0,0 +1,81 @@
+import { Transaction } from '../../domain/entities/Transaction.js';
+
+/**
+ * Caso de uso: Confirmar uma transação prevista quando ela de fato acontece
+ */
+export class ConfirmPlannedTransactionUseCase {
+  constructor(transactionRepository) {
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a confirmação: a transação passa a contar no saldo e nos totais
+   * @param {Object} params - {
+   *   id: string,
+   *   userId: string,
+   *   date?: Date|string (padrão: hoje),
+   *   amount?: number (valor efetivo, se diferente do previsto),
+   *   status?: 'pending'|'cleared' (padrão: 'cleared')
+   * }
+   * @returns {Promise<{success: boolean, transaction?: Transaction, errors?: string[]}>}
+   */
+  async execute({ id, userId, date = new Date(), amount, status = 'cleared' }) {
+    try {
+      // Validar parâmetros
+      if (!id || !userId) {
+        return { success: false, errors: ['ID e UserId são obrigatórios'] };
+      }
+
+      if (status !== 'pending' && status !== 'cleared') {
+        return { success: false, errors: ['A transação confirmada deve ficar pendente ou compensada'] };
+      }
+
+      // Buscar transação existente
+      const existingTransaction = await this.transactionRepository.findById(id);
+
+      if (!existingTransaction) {
+        return { success: false, errors: ['Transação não encontrada'] };
+      }
+
+      // Verificar permissão
+      if (!existingTransaction.isEditable(userId)) {
+        return {
+          success: false,
+          errors: ['Você não tem permissão para editar esta transação']
+        };
+      }
+
+      if (!existingTransaction.isPlanned()) {
+        return { success: false, errors: ['Esta transação não está prevista'] };
+      }
+
+      // Validar a transação confirmada (a data não pode mais ser futura)
+      const confirmed = new Transaction({
+        ...existingTransaction,
+        status,
+        amount: amount !== undefined ? amount : existingTransaction.amount,
+        date: typeof date === 'string' ? new Date(date) : date
+      });
+
+      const validation = confirmed.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const updatedTransaction = await this.transactionRepository.update(id, {
+        status: confirmed.status,
+        amount: confirmed.amount,
+        date: confirmed.date
+      });
+
+      return { success: true, transaction: updatedTransaction };
+
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao confirmar transação: ${error.message}`]
+      };
+    }
+  }
+}
@@ -1,23 +1,87 @@
 import { Transaction } from '../../domain/entities/Transaction.js';
+import { Account } from '../../domain/entities/Account.js';
+import { Payee } from '../../domain/entities/Payee.js';
+import { CategoryRule } from '../../domain/entities/CategoryRule.js';
+import { Tag, MAX_TAGS_PER_TRANSACTION } from '../../domain/entities/Tag.js';
+import { DuplicateGroup, DUPLICATE_WINDOW_DAYS } from '../../domain/entities/DuplicateGroup.js';
+
+/**
+ * Erro da transação sem categoria que nenhuma regra nem o favorecido categorizou
+ */
+export const MISSING_CATEGORY_ERROR = 'Categoria é obrigatória (nenhuma regra de categorização nem o favorecido definiu uma)';
 
 /**
  * Caso de uso: Criar nova transação
  */
 export class CreateTransactionUseCase {
-  constructor(transactionRepository, categoryRepository) {
+  constructor(
+    transactionRepository,
+    categoryRepository,
+    accountRepository,
+    payeeRepository = null,
+    categoryRuleRepository = null
+  ) {
     this.transactionRepository = transactionRepository;
     this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+    this.payeeRepository = payeeRepository;
+    this.categoryRuleRepository = categoryRuleRepository;
   }
 
   /**
    * Executa a criação de uma nova transação
-   * @param {Object} transactionData - { userId, type, categoryId, amount, description, date }
-   * @returns {Promise<{success: boolean, transaction?: Transaction, errors?: string[]}>}
+   * @param {Object} transactionData - { userId, type, categoryId, accountId?, payeeId?, amount, description, date,
+   *   status?, tags?, splits?, allowDuplicate?, fallbackCategoryId?, externalId? }
+   *   (sem accountId, a transação vai para a conta padrão do usuário; sem
+   *   payeeId, o favorecido é o que corresponde à descrição, se houver; só as
+   *   transações previstas, status 'planned', podem ter data futura; as tags
+   *   que o usuário ainda não tem são criadas; splits divide o valor entre
+   *   categorias, [{categoryId, amount}], com a primeira linha em categoryId;
+   *   as regras de categorização ativas somam as tags delas e, sem categoryId,
+   *   definem a categoria — é por aqui que as importações passam pelas regras;
+   *   sem categoryId nem regra, vale a categoria padrão do favorecido (se for
+   *   do tipo da transação); fallbackCategoryId é a categoria quando nenhum
+   *   deles define uma; externalId é o identificador no extrato importado (FITID),
+   *   único na conta;
+   *   uma transação parecida com outra já registrada — mesmo valor, data
+   *   próxima e descrição semelhante — só é criada com allowDuplicate, e sem
+   *   ele o resultado traz as suspeitas em duplicates)
+   * @returns {Promise<{success: boolean, transaction?: Transaction, appliedRules?: CategoryRule[],
+   *   duplicates?: Transaction[], errors?: string[]}>}
    */
-  async execute({ userId, type, categoryId, amount, description = '', date }) {
+  async execute({
+    userId,
+    type,
+    categoryId,
+    accountId = null,
+    payeeId = null,
+    amount,
+    description = '',
+    date,
+    status = 'cleared',
+    tags = [],
+    splits = [],
+    allowDuplicate = false,
+    fallbackCategoryId = null,
+    externalId = null
+  }) {
     const errors = [];
 
     try {
+      // Resolver a conta da transação
+      const accountResult = await this._resolveAccount(userId, accountId);
+
+      if (accountResult.error) {
+        return { success: false, errors: [accountResult.error] };
+      }
+
+      // Resolver o favorecido da transação
+      const payeeResult = await this._resolvePayee(userId, payeeId, description);
+
+      if (payeeResult.error) {
+        return { success: false, errors: [payeeResult.error] };
+      }
+
       // Validar e formatar amount (pode vir como string)
       let parsedAmount = amount;
       if (typeof amount === 'string') {
@@ -36,14 +100,44 @@ export class CreateTransactionUseCase {
         parsedDate = new Date(date);
       }
 
+      // Aplicar as regras de categorização
+      const ruleResult = await this._applyRules(userId, {
+        type,
+        description,
+        amount: parsedAmount,
+        date: parsedDate
+      });
+
+      if (!categoryId) {
+        categoryId = ruleResult.categoryId ||
+          await this._payeeCategoryId(payeeResult.payee, type) ||
+          fallbackCategoryId;
+      }
+
+      if (!categoryId) {
+        return { success: false, errors: [MISSING_CATEGORY_ERROR] };
+      }
+
+      const parsedTags = Tag.parseList(tags);
+      ruleResult.tags
+        .filter(name => !parsedTags.includes(name))
+        .slice(0, Math.max(MAX_TAGS_PER_TRANSACTION - parsedTags.length, 0))
+        .forEach(name => parsedTags.push(name));
+
       // Criar e validar entidade Transaction
       const transaction = new Transaction({
         userId,
         type,
         categoryId,
+        accountId: accountResult.account.id,
+        payeeId: payeeResult.payee ? payeeResult.payee.id : null,
+        externalId,
+        status,
         amount: parsedAmount,
         description: description || '',
-        date: parsedDate
+        date: parsedDate,
+        tags: parsedTags,
+        splits
       });
 
       const validation = transaction.validate();
@@ -57,35 +151,55 @@ export class CreateTransactionUseCase {
         return { success: false, errors };
       }
 
-      // Verificar se a categoria existe e pertence ao usuário
-      const category = await this.categoryRepository.findById(categoryId);
+      // Verificar as categorias da transação e das linhas da divisão
+      const categoryIds = new Set([categoryId, ...transaction.splits.map(split => split.categoryId)]);
 
-      if (!category) {
-        return { success: false, errors: ['Categoria não encontrada'] };
-      }
+      for (const id of categoryIds) {
+        // Verificar se a categoria existe e pertence ao usuário
+        const category = await this.categoryRepository.findById(id);
+
+        if (!category) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+
+        // Verificar se a categoria pertence ao usuário ou é global
+        if (!category.isGlobal() && category.userId !== userId) {
+          return {
+            success: false,
+            errors: ['Você não pode usar categorias de outros usuários']
+          };
+        }
 
-      // Verificar se a categoria pertence ao usuário ou é global
-      if (!category.isGlobal() && category.userId !== userId) {
-        return {
-          success: false,
-          errors: ['Você não pode usar categorias de outros usuários']
-        };
+        // Verificar se o tipo da transação é compatível com a categoria
+        if (category.type !== type) {
+          const categoryTypeName = category.type === 'income' ? 'receitas' : 'despesas';
+          const transactionTypeName = type === 'income' ? 'receita' : 'despesa';
+          return {
+            success: false,
+            errors: [`A categoria "${category.name}" é para ${categoryTypeName}, mas você está tentando criar uma ${transactionTypeName}`]
+          };
+        }
       }
 
-      // Verificar se o tipo da transação é compatível com a categoria
-      if (category.type !== type) {
-        const categoryTypeName = category.type === 'income' ? 'receitas' : 'despesas';
-        const transactionTypeName = type === 'income' ? 'receita' : 'despesa';
-        return {
-          success: false,
-          errors: [`A categoria "${category.name}" é para ${categoryTypeName}, mas você está tentando criar uma ${transactionTypeName}`]
-        };
+      // Avisar antes de registrar o mesmo lançamento duas vezes
+      if (!allowDuplicate && !transaction.isPlanned()) {
+        const duplicates = await this._findDuplicates(transaction);
+
+        if (duplicates.length > 0) {
+          return {
+            success: false,
+            duplicates,
+            errors: [duplicates.length === 1
+              ? 'Possível transação duplicada: já existe uma transação parecida'
+              : `Possível transação duplicada: já existem ${duplicates.length} transações parecidas`]
+          };
+        }
       }
 
       // Criar transação
       const createdTransaction = await this.transactionRepository.create(transaction);
 
-      return { success: true, transaction: createdTransaction };
+      return { success: true, transaction: createdTransaction, appliedRules: ruleResult.rules };
 
     } catch (error) {
       return {
@@ -94,4 +208,116 @@ export class CreateTransactionUseCase {
       };
     }
   }
+
+  /**
+   * Busca a conta informada (validando o dono) ou a conta padrão do usuário,
+   * criando a "Conta principal" se ele ainda não tiver nenhuma
+   * @private
+   * @returns {Promise<{account?: Account, error?: string}>}
+   */
+  async _resolveAccount(userId, accountId) {
+    if (accountId) {
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        return { error: 'Conta não encontrada' };
+      }
+
+      if (!account.isActive()) {
+        return { error: `A conta "${account.name}" está arquivada` };
+      }
+
+      return { account };
+    }
+
+    const defaultAccount = await this.accountRepository.findDefaultByUserId(userId);
+
+    if (defaultAccount) {
+      return { account: defaultAccount };
+    }
+
+    return { account: await this.accountRepository.create(Account.createDefault(userId)) };
+  }
+
+  /**
+   * Busca o favorecido informado (validando o dono) ou o que corresponde à
+   * descrição da transação
+   * @private
+   * @returns {Promise<{payee?: Payee|null, error?: string}>}
+   */
+  async _resolvePayee(userId, payeeId, description) {
+    if (!this.payeeRepository) {
+      return { payee: null };
+    }
+
+    if (payeeId) {
+      const payee = await this.payeeRepository.findById(payeeId);
+
+      if (!payee || !payee.belongsTo(userId)) {
+        return { error: 'Favorecido não encontrado' };
+      }
+
+      return { payee };
+    }
+
+    if (!description) {
+      return { payee: null };
+    }
+
+    const payees = await this.payeeRepository.findByUserId(userId);
+
+    return { payee: Payee.findMatch(payees, description) };
+  }
+
+  /**
+   * Categoria padrão do favorecido, quando ela é do tipo da transação
+   * @private
+   * @returns {Promise<number|null>}
+   */
+  async _payeeCategoryId(payee, type) {
+    if (!payee || !payee.defaultCategoryId) {
+      return null;
+    }
+
+    const category = await this.categoryRepository.findById(payee.defaultCategoryId);
+
+    return category && category.type === type ? category.id : null;
+  }
+
+  /**
+   * Avalia as regras de categorização ativas do usuário
+   * @private
+   * @returns {Promise<{categoryId: number|null, tags: string[], rules: CategoryRule[]}>}
+   */
+  async _applyRules(userId, transaction) {
+    if (!this.categoryRuleRepository) {
+      return { categoryId: null, tags: [], rules: [] };
+    }
+
+    const rules = await this.categoryRuleRepository.findByUserId(userId);
+    return CategoryRule.evaluate(rules, transaction);
+  }
+
+  /**
+   * Transações já registradas que parecem ser a mesma que a nova
+   * @private
+   * @returns {Promise<Transaction[]>}
+   */
+  async _findDuplicates(transaction) {
+    const window = DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+    const candidates = await this.transactionRepository.findByFilters({
+      userId: transaction.userId,
+      type: transaction.type,
+      startDate: new Date(transaction.date.getTime() - window),
+      endDate: new Date(transaction.date.getTime() + window),
+      minAmount: transaction.amount - 0.005,
+      maxAmount: transaction.amount + 0.005,
+      includeTransfers: false,
+      includePlanned: false,
+      limit: null
+    });
+
+    return DuplicateGroup.findDuplicates(transaction, candidates);
+  }
 }
@@ -1,17 +1,21 @@
 /**
  * Caso de uso: Deletar categoria
+ * Uma categoria em uso (ela ou uma subcategoria) só sai com uma categoria
+ * substituta, que recebe as transações, divisões, orçamentos, parcelamentos,
+ * recorrências, favorecidos e regras — nada fica sem categoria.
  */
 export class DeleteCategoryUseCase {
-  constructor(categoryRepository) {
+  constructor(categoryRepository, categoryModelRepository = null) {
     this.categoryRepository = categoryRepository;
+    this.categoryModelRepository = categoryModelRepository;
   }
 
   /**
    * Executa a deleção de uma categoria
-   * @param {Object} params - {id, userId, force}
-   * @returns {Promise<{success: boolean, warnings?: string[], errors?: string[]}>}
+   * @param {Object} params - {id, userId, replacementCategoryId}
+   * @returns {Promise<{success: boolean, warnings?: string[], errors?: string[], requiresReplacement?: boolean}>}
    */
-  async execute({ id, userId, force = false }) {
+  async execute({ id, userId, replacementCategoryId = null }) {
     const warnings = [];
 
     // Buscar categoria existente
@@ -29,29 +33,50 @@ export class DeleteCategoryUseCase {
       };
     }
 
-    // Verificar se categoria tem transações vinculadas
-    const hasTransactions = await this.categoryRepository.hasTransactions(id);
+    // Verificar se a categoria (ou uma subcategoria) está em uso
+    const inUse = await this.categoryRepository.isInUse(id);
 
-    if (hasTransactions && !force) {
+    if (inUse && !replacementCategoryId) {
       return {
         success: false,
-        errors: ['Esta categoria possui transações vinculadas. Não é possível deletá-la.'],
-        requiresForce: true
+        errors: ['Esta categoria está em uso. Escolha uma categoria substituta para o que a usa.'],
+        requiresReplacement: true
       };
     }
 
+    let replacement = null;
+
+    if (replacementCategoryId) {
+      replacement = await this.categoryRepository.findById(replacementCategoryId);
+
+      if (!replacement || (!replacement.isGlobal() && replacement.userId !== userId)) {
+        return { success: false, errors: ['Categoria substituta não encontrada'] };
+      }
+
+      if (replacement.type !== category.type) {
+        return { success: false, errors: ['A categoria substituta precisa ser do mesmo tipo'] };
+      }
+
+      if (Number(replacement.id) === Number(category.id) || Number(replacement.parentId) === Number(category.id)) {
+        return { success: false, errors: ['A categoria substituta não pode ser a própria categoria nem uma subcategoria dela'] };
+      }
+    }
+
     // Verificar se categoria tem subcategorias
-    const subcategoriesCount = await this.categoryRepository.countSubcategories(id);
+    const subcategories = await this.categoryRepository.findByParentId(id);
 
-    if (subcategoriesCount > 0) {
-      warnings.push(
-        `Esta categoria possui ${subcategoriesCount} subcategoria(s) que serão deletadas em cascata`
+    if (subcategories.length > 0) {
+      warnings.push(replacement
+        ? `${subcategories.length} subcategoria(s) também foram deletadas; o que as usava passou para "${replacement.name}"`
+        : `Esta categoria possui ${subcategories.length} subcategoria(s) que serão deletadas em cascata`
       );
     }
 
-    // Deletar categoria (cascata deleta subcategorias devido ao ON DELETE CASCADE)
     try {
-      const deleted = await this.categoryRepository.delete(id);
+      const deleted = replacement
+        ? await this.categoryRepository.deleteWithReplacement(id, replacement.id)
+        // Cascata deleta subcategorias devido ao ON DELETE CASCADE
+        : await this.categoryRepository.delete(id);
 
       if (!deleted) {
         return {
@@ -60,6 +85,10 @@ export class DeleteCategoryUseCase {
         };
       }
 
+      if (replacement) {
+        await this._mergeModel(userId, [category, ...subcategories], replacement.id);
+      }
+
       return {
         success: true,
         warnings: warnings.length > 0 ? warnings : undefined
@@ -71,4 +100,26 @@ export class DeleteCategoryUseCase {
       };
     }
   }
+
+  /**
+   * Junta no modelo de sugestão o que foi aprendido nas categorias deletadas
+   * à substituta (sem o modelo, a sugestão reaprende com as próximas transações)
+   * @private
+   */
+  async _mergeModel(userId, categories, replacementId) {
+    if (!this.categoryModelRepository) {
+      return;
+    }
+
+    try {
+      const model = await this.categoryModelRepository.findByUserId(userId);
+
+      if (model) {
+        categories.forEach(category => model.mergeCategory(category.id, replacementId));
+        await this.categoryModelRepository.save(model);
+      }
+    } catch {
+      // A deleção já foi gravada; o modelo é só uma otimização
+    }
+  }
 }
@@ -1,9 +1,13 @@
 /**
  * Caso de uso: Deletar transação
+ * Os anexos saem junto; os seus arquivos são apagados quando nenhum outro
+ * anexo usa o mesmo conteúdo
  */
 export class DeleteTransactionUseCase {
-  constructor(transactionRepository) {
+  constructor(transactionRepository, attachmentRepository = null, attachmentStorage = null) {
     this.transactionRepository = transactionRepository;
+    this.attachmentRepository = attachmentRepository;
+    this.attachmentStorage = attachmentStorage;
   }
 
   /**
@@ -33,6 +37,34 @@ export class DeleteTransactionUseCase {
         };
       }
 
+      // Transações conciliadas ficam travadas até serem desbloqueadas
+      if (transaction.isReconciled()) {
+        return {
+          success: false,
+          errors: ['Esta transação já foi conciliada com o extrato. Desbloqueie-a antes de deletar.']
+        };
+      }
+
+      // Movimentações de transferência só saem junto com a transferência
+      if (transaction.isTransfer()) {
+        return {
+          success: false,
+          errors: ['Esta transação faz parte de uma transferência. Delete a transferência.']
+        };
+      }
+
+      // Parcelas só saem em grupo, pelo parcelamento
+      if (transaction.isInstallment()) {
+        return {
+          success: false,
+          errors: ['Esta transação é uma parcela de uma compra parcelada. Cancele as parcelas restantes ou delete o parcelamento.']
+        };
+      }
+
+      const attachments = this.attachmentRepository
+        ? await this.attachmentRepository.findByTransactionId(transaction.id)
+        : [];
+
       // Deletar transação
       const deleted = await this.transactionRepository.delete(id);
 
@@ -40,6 +72,8 @@ export class DeleteTransactionUseCase {
         return { success: false, errors: ['Erro ao deletar transação'] };
       }
 
+      await this._removeUnusedFiles(attachments);
+
       return { success: true };
 
     } catch (error) {
@@ -49,4 +83,16 @@ export class DeleteTransactionUseCase {
       };
     }
   }
+
+  /**
+   * Apaga os arquivos dos anexos removidos que nenhum outro anexo usa
+   * @private
+   */
+  async _removeUnusedFiles(attachments) {
+    for (const contentHash of new Set(attachments.map(attachment => attachment.contentHash))) {
+      if (!(await this.attachmentRepository.isContentInUse(contentHash))) {
+        await this.attachmentStorage.remove(contentHash);
+      }
+    }
+  }
 }
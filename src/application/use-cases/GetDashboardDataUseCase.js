@@ -4,8 +4,9 @@ import { DashboardData } from '../../domain/entities/DashboardData.js';
  * Caso de uso para obter dados do dashboard
  */
 export class GetDashboardDataUseCase {
-  constructor(transactionRepository) {
+  constructor(transactionRepository, accountRepository) {
     this.transactionRepository = transactionRepository;
+    this.accountRepository = accountRepository;
   }
 
   /**
@@ -25,13 +26,15 @@ export class GetDashboardDataUseCase {
         previousMonthData,
         balanceData,
         topCategories,
-        monthlyTrend
+        monthlyTrend,
+        accounts
       ] = await Promise.all([
         this._getCurrentMonthData(userId),
         this._getPreviousMonthData(userId),
         this._getBalanceData(userId),
         this._getTopCategories(userId),
-        this._getMonthlyTrend(userId)
+        this._getMonthlyTrend(userId),
+        this.accountRepository.findByUserId(userId)
       ]);
 
       // Criar e retornar entidade DashboardData
@@ -42,6 +45,7 @@ export class GetDashboardDataUseCase {
         balance: balanceData,
         topCategories,
         monthlyTrend,
+        accounts,
         generatedAt: new Date()
       });
     } catch (error) {
@@ -58,32 +62,19 @@ export class GetDashboardDataUseCase {
     const startDate = new Date(now.getFullYear(), now.getMonth(), 1);
     const endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
 
-    const query = `
-      SELECT
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
       startDate,
       endDate
-    ]);
+    });
 
-    const income = result.rows.find(r => r.type === 'income')?.total || 0;
-    const expense = result.rows.find(r => r.type === 'expense')?.total || 0;
-    const count = result.rows.reduce((sum, r) => sum + parseInt(r.count), 0);
+    const income = totals.find(r => r.type === 'income')?.total || 0;
+    const expense = totals.find(r => r.type === 'expense')?.total || 0;
+    const count = totals.reduce((sum, r) => sum + r.count, 0);
 
     return {
-      income: parseFloat(income),
-      expense: parseFloat(expense),
-      balance: parseFloat(income) - parseFloat(expense),
+      income,
+      expense,
+      balance: income - expense,
       count,
       month: now.getMonth() + 1,
       year: now.getFullYear()
@@ -100,32 +91,19 @@ export class GetDashboardDataUseCase {
     const startDate = previousMonth;
     const endDate = new Date(previousMonth.getFullYear(), previousMonth.getMonth() + 1, 0, 23, 59, 59);
 
-    const query = `
-      SELECT
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
       startDate,
       endDate
-    ]);
+    });
 
-    const income = result.rows.find(r => r.type === 'income')?.total || 0;
-    const expense = result.rows.find(r => r.type === 'expense')?.total || 0;
-    const count = result.rows.reduce((sum, r) => sum + parseInt(r.count), 0);
+    const income = totals.find(r => r.type === 'income')?.total || 0;
+    const expense = totals.find(r => r.type === 'expense')?.total || 0;
+    const count = totals.reduce((sum, r) => sum + r.count, 0);
 
     return {
-      income: parseFloat(income),
-      expense: parseFloat(expense),
-      balance: parseFloat(income) - parseFloat(expense),
+      income,
+      expense,
+      balance: income - expense,
       count,
       month: previousMonth.getMonth() + 1,
       year: previousMonth.getFullYear()
@@ -137,32 +115,23 @@ export class GetDashboardDataUseCase {
    * @private
    */
   async _getBalanceData(userId) {
-    const query = `
-      SELECT
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions
-      WHERE user_id = $1
-      GROUP BY type
-    `;
+    const totals = await this.transactionRepository.getTotalsByType(userId);
 
-    const result = await this.transactionRepository.database.query(query, [userId]);
-
-    const income = result.rows.find(r => r.type === 'income')?.total || 0;
-    const expense = result.rows.find(r => r.type === 'expense')?.total || 0;
-    const count = result.rows.reduce((sum, r) => sum + parseInt(r.count), 0);
+    const income = totals.find(r => r.type === 'income')?.total || 0;
+    const expense = totals.find(r => r.type === 'expense')?.total || 0;
+    const count = totals.reduce((sum, r) => sum + r.count, 0);
 
     return {
-      totalIncome: parseFloat(income),
-      totalExpense: parseFloat(expense),
-      balance: parseFloat(income) - parseFloat(expense),
+      totalIncome: income,
+      totalExpense: expense,
+      balance: income - expense,
       count
     };
   }
 
   /**
-   * Busca top 5 categorias do mês atual (apenas despesas)
+   * Busca top 5 categorias do mês atual (apenas despesas; as transações
+   * divididas entram em cada categoria com o valor da sua linha)
    * @private
    */
   async _getTopCategories(userId) {
@@ -170,46 +139,28 @@ export class GetDashboardDataUseCase {
     const startDate = new Date(now.getFullYear(), now.getMonth(), 1);
     const endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
 
-    const query = `
-      SELECT
-        c.id,
-        c.name,
-        c.icon,
-        c.color,
-        COALESCE(SUM(t.amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1
-        AND t.type = 'expense'
-        AND t.date >= $2
-        AND t.date <= $3
-      GROUP BY c.id, c.name, c.icon, c.color
-      ORDER BY total DESC
-      LIMIT 5
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+    const categories = await this.transactionRepository.getTotalsByCategory(userId, {
       startDate,
-      endDate
-    ]);
+      endDate,
+      type: 'expense'
+    });
+    const topCategories = categories.slice(0, 5);
 
     // Calcular total de despesas para porcentagem
-    const totalExpenses = result.rows.reduce(
-      (sum, row) => sum + parseFloat(row.total),
+    const totalExpenses = topCategories.reduce(
+      (sum, category) => sum + category.total,
       0
     );
 
-    return result.rows.map(row => ({
-      id: row.id,
-      name: row.name,
-      icon: row.icon,
-      color: row.color,
-      total: parseFloat(row.total),
-      count: parseInt(row.count),
+    return topCategories.map(category => ({
+      id: category.categoryId,
+      name: category.name,
+      icon: category.icon,
+      color: category.color,
+      total: category.total,
+      count: category.count,
       percentage: totalExpenses > 0
-        ? (parseFloat(row.total) / totalExpenses) * 100
+        ? (category.total / totalExpenses) * 100
         : 0
     }));
   }
@@ -219,32 +170,22 @@ export class GetDashboardDataUseCase {
    * @private
    */
   async _getMonthlyTrend(userId) {
-    const query = `
-      SELECT
-        TO_CHAR(date, 'YYYY-MM') as month_year,
-        EXTRACT(MONTH FROM date) as month,
-        EXTRACT(YEAR FROM date) as year,
-        type,
-        COALESCE(SUM(amount), 0) as total
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= DATE_TRUNC('month', CURRENT_DATE - INTERVAL '5 months')
-      GROUP BY month_year, month, year, type
-      ORDER BY month_year
-    `;
+    // Desde o primeiro dia de 5 meses atrás
+    const now = new Date();
+    const startDate = new Date(now.getFullYear(), now.getMonth() - 5, 1);
 
-    const result = await this.transactionRepository.database.query(query, [userId]);
+    const totals = await this.transactionRepository.getMonthlyTotals(userId, { startDate });
 
     // Agrupar por mês
     const monthsMap = new Map();
 
-    result.rows.forEach(row => {
-      const monthKey = row.month_year;
+    totals.forEach(row => {
+      const monthKey = row.monthYear;
 
       if (!monthsMap.has(monthKey)) {
         monthsMap.set(monthKey, {
-          month: parseInt(row.month),
-          year: parseInt(row.year),
+          month: row.month,
+          year: row.year,
           income: 0,
           expense: 0,
           balance: 0
@@ -254,9 +195,9 @@ export class GetDashboardDataUseCase {
       const monthData = monthsMap.get(monthKey);
 
       if (row.type === 'income') {
-        monthData.income = parseFloat(row.total);
+        monthData.income = row.total;
       } else if (row.type === 'expense') {
-        monthData.expense = parseFloat(row.total);
+        monthData.expense = row.total;
       }
 
       monthData.balance = monthData.income - monthData.expense;
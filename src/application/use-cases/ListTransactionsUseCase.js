@@ -13,8 +13,15 @@ export class ListTransactionsUseCase {
    *   page?: number,
    *   limit?: number,
    *   filters?: {
-   *     type?: 'income'|'expense',
+   *     type?: 'income'|'expense'|'transfer',
+   *     includeTransfers?: boolean,
    *     categoryId?: string,
+   *     uncategorized?: boolean,
+   *     accountId?: number,
+   *     installmentPlanId?: number,
+   *     payeeId?: number,
+   *     status?: 'planned'|'pending'|'cleared',
+   *     includePlanned?: boolean,
    *     startDate?: Date|string,
    *     endDate?: Date|string,
    *     minAmount?: number,
@@ -26,7 +33,7 @@ export class ListTransactionsUseCase {
    *   success: boolean,
    *   transactions?: Transaction[],
    *   pagination?: {page, limit, total, totalPages},
-   *   summary?: {totalIncome, totalExpense, balance},
+   *   summary?: {totalIncome, totalExpense, balance, plannedIncome, plannedExpense, plannedCount},
    *   errors?: string[]
    * }>}
    */
@@ -65,7 +72,7 @@ export class ListTransactionsUseCase {
       const total = await this.transactionRepository.count(userId, filters);
       const totalPages = Math.ceil(total / validLimit);
 
-      // Calcular resumo financeiro (com os mesmos filtros)
+      // Calcular resumo financeiro (com os mesmos filtros; previstas à parte)
       const summary = await this.transactionRepository.getSummary(userId, filters);
 
       return {
@@ -80,7 +87,10 @@ export class ListTransactionsUseCase {
         summary: {
           totalIncome: summary.totalIncome,
           totalExpense: summary.totalExpense,
-          balance: summary.balance
+          balance: summary.balance,
+          plannedIncome: summary.plannedIncome,
+          plannedExpense: summary.plannedExpense,
+          plannedCount: summary.plannedCount
         }
       };
 
@@ -0,0 +1,93 @@
+/**
+ * Caso de uso: Mesclar uma categoria em outra
+ * Tudo o que usa a categoria de origem (transações, divisões, orçamentos,
+ * parcelamentos, recorrências, favorecidos e regras) passa para a de destino,
+ * as subcategorias passam a ficar sob o destino e a origem é deletada.
+ */
+export class MergeCategoriesUseCase {
+  constructor(categoryRepository, categoryModelRepository = null) {
+    this.categoryRepository = categoryRepository;
+    this.categoryModelRepository = categoryModelRepository;
+  }
+
+  /**
+   * Executa a mesclagem
+   * @param {Object} params - {sourceId, targetId, userId}
+   * @returns {Promise<{success: boolean, category?: Category, errors?: string[]}>}
+   */
+  async execute({ sourceId, targetId, userId }) {
+    try {
+      if (!sourceId || !targetId) {
+        return { success: false, errors: ['Informe a categoria de origem e a de destino'] };
+      }
+
+      if (Number(sourceId) === Number(targetId)) {
+        return { success: false, errors: ['Escolha uma categoria de destino diferente da origem'] };
+      }
+
+      const source = await this.categoryRepository.findById(sourceId);
+
+      if (!source) {
+        return { success: false, errors: ['Categoria não encontrada'] };
+      }
+
+      if (!source.isDeletable(userId)) {
+        return { success: false, errors: ['Você não tem permissão para mesclar esta categoria'] };
+      }
+
+      const target = await this.categoryRepository.findById(targetId);
+
+      if (!target || (!target.isGlobal() && target.userId !== userId)) {
+        return { success: false, errors: ['Categoria de destino não encontrada'] };
+      }
+
+      if (target.type !== source.type) {
+        return { success: false, errors: ['As duas categorias precisam ser do mesmo tipo'] };
+      }
+
+      if (Number(target.parentId) === Number(source.id)) {
+        return { success: false, errors: [`"${target.name}" é uma subcategoria de "${source.name}"`] };
+      }
+
+      // As subcategorias da origem ficariam sob uma subcategoria (limite: 1 nível)
+      if (target.isSubcategory() && await this.categoryRepository.countSubcategories(source.id) > 0) {
+        return {
+          success: false,
+          errors: [`"${source.name}" tem subcategorias e "${target.name}" já é uma subcategoria. Mova ou mescle as subcategorias antes.`]
+        };
+      }
+
+      await this.categoryRepository.mergeInto(source.id, target.id);
+      await this._mergeModel(userId, source.id, target.id);
+
+      return { success: true, category: target };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao mesclar categorias: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Junta no modelo de sugestão o que foi aprendido na origem ao destino
+   * (sem o modelo, a sugestão reaprende com as próximas transações)
+   * @private
+   */
+  async _mergeModel(userId, sourceId, targetId) {
+    if (!this.categoryModelRepository) {
+      return;
+    }
+
+    try {
+      const model = await this.categoryModelRepository.findByUserId(userId);
+
+      if (model) {
+        model.mergeCategory(sourceId, targetId);
+        await this.categoryModelRepository.save(model);
+      }
+    } catch {
+      // A mesclagem já foi gravada; o modelo é só uma otimização
+    }
+  }
+}
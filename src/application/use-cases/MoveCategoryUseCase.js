@@ -0,0 +1,83 @@
+/**
+ * Caso de uso: Mover categoria
+ * Coloca uma categoria sob outra categoria pai (ou na raiz), mantendo o
+ * limite de um nível de subcategorias
+ */
+export class MoveCategoryUseCase {
+  constructor(categoryRepository) {
+    this.categoryRepository = categoryRepository;
+  }
+
+  /**
+   * Executa a mudança da categoria pai
+   * @param {Object} params - {id, userId, parentId} (parentId null move para a raiz)
+   * @returns {Promise<{success: boolean, category?: Category, errors?: string[]}>}
+   */
+  async execute({ id, userId, parentId = null }) {
+    try {
+      const category = await this.categoryRepository.findById(id);
+
+      if (!category) {
+        return { success: false, errors: ['Categoria não encontrada'] };
+      }
+
+      if (!category.isEditable(userId)) {
+        return { success: false, errors: ['Você não tem permissão para mover esta categoria'] };
+      }
+
+      const newParentId = parentId ? Number(parentId) : null;
+
+      if (newParentId === (category.parentId ? Number(category.parentId) : null)) {
+        return { success: false, errors: ['A categoria já está neste lugar'] };
+      }
+
+      if (newParentId) {
+        if (newParentId === Number(category.id)) {
+          return { success: false, errors: ['Uma categoria não pode ficar sob ela mesma'] };
+        }
+
+        const parent = await this.categoryRepository.findById(newParentId);
+
+        if (!parent || (!parent.isGlobal() && parent.userId !== userId)) {
+          return { success: false, errors: ['Categoria pai não encontrada'] };
+        }
+
+        if (parent.type !== category.type) {
+          return { success: false, errors: ['A categoria pai precisa ser do mesmo tipo'] };
+        }
+
+        if (parent.isSubcategory()) {
+          return { success: false, errors: ['Não é possível mover para uma subcategoria (limite: 1 nível)'] };
+        }
+
+        if (await this.categoryRepository.countSubcategories(category.id) > 0) {
+          return {
+            success: false,
+            errors: ['Uma categoria com subcategorias não pode virar subcategoria (limite: 1 nível)']
+          };
+        }
+      }
+
+      const nameExists = await this.categoryRepository.existsByName(
+        userId,
+        category.name,
+        category.type,
+        newParentId,
+        category.id
+      );
+
+      if (nameExists) {
+        return { success: false, errors: ['Já existe uma categoria com este nome no destino'] };
+      }
+
+      const moved = await this.categoryRepository.move(category.id, newParentId);
+
+      return { success: true, category: moved };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao mover categoria: ${error.message}`]
+      };
+    }
+  }
+}
@@ -1,12 +1,28 @@
-import { Transaction } from '../../domain/entities/Transaction.js';
+import {
+  Transaction,
+  TRANSACTION_STATUSES,
+  MIN_SPLIT_LINES,
+  MAX_SPLIT_LINES
+} from '../../domain/entities/Transaction.js';
+import { Tag, MAX_TAG_LENGTH, MAX_TAGS_PER_TRANSACTION } from '../../domain/entities/Tag.js';
 
 /**
  * Caso de uso: Atualizar transação existente
+ * A transação alterada é reaprendida pela sugestão de categoria.
  */
 export class UpdateTransactionUseCase {
-  constructor(transactionRepository, categoryRepository) {
+  constructor(
+    transactionRepository,
+    categoryRepository,
+    accountRepository,
+    payeeRepository = null,
+    relearnTransactionsUseCase = null
+  ) {
     this.transactionRepository = transactionRepository;
     this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+    this.payeeRepository = payeeRepository;
+    this.relearnTransactionsUseCase = relearnTransactionsUseCase;
   }
 
   /**
@@ -17,9 +33,15 @@ export class UpdateTransactionUseCase {
    *   data: {
    *     type?: string,
    *     categoryId?: string,
+   *     accountId?: number,
+   *     payeeId?: number|null (null desvincula o favorecido),
    *     amount?: number,
    *     description?: string,
-   *     date?: Date|string
+   *     date?: Date|string,
+   *     status?: 'planned'|'pending'|'cleared',
+   *     tags?: string[] (substitui as tags),
+   *     splits?: Array<{categoryId, amount}> (substitui a divisão entre categorias;
+   *       a primeira linha vira a categoria da transação; [] desfaz a divisão)
    *   }
    * }
    * @returns {Promise<{success: boolean, transaction?: Transaction, errors?: string[]}>}
@@ -50,6 +72,30 @@ export class UpdateTransactionUseCase {
         };
       }
 
+      // Transações conciliadas ficam travadas até serem desbloqueadas
+      if (existingTransaction.isReconciled()) {
+        return {
+          success: false,
+          errors: ['Esta transação já foi conciliada com o extrato. Desbloqueie-a antes de editar.']
+        };
+      }
+
+      // Movimentações de transferência só mudam junto com a transferência
+      if (existingTransaction.isTransfer()) {
+        return {
+          success: false,
+          errors: ['Esta transação faz parte de uma transferência. Edite a transferência.']
+        };
+      }
+
+      // Parcelas só mudam em grupo, pelo parcelamento
+      if (existingTransaction.isInstallment()) {
+        return {
+          success: false,
+          errors: ['Esta transação é uma parcela de uma compra parcelada. Altere as parcelas restantes pelo parcelamento.']
+        };
+      }
+
       // Preparar dados para atualização
       const updateData = { ...data };
 
@@ -71,6 +117,47 @@ export class UpdateTransactionUseCase {
         }
       }
 
+      // Transação dividida: valor, tipo e categoria só mudam junto com a divisão
+      if (existingTransaction.isSplit() && updateData.splits === undefined && (
+        (updateData.amount !== undefined && updateData.amount !== existingTransaction.amount) ||
+        (updateData.type && updateData.type !== existingTransaction.type) ||
+        (updateData.categoryId && updateData.categoryId !== existingTransaction.categoryId)
+      )) {
+        return {
+          success: false,
+          errors: ['Esta transação está dividida entre categorias. Refaça a divisão para alterar o valor, o tipo ou a categoria.']
+        };
+      }
+
+      // Validar a divisão se fornecida (deve somar o valor da transação)
+      if (updateData.splits !== undefined) {
+        updateData.splits = updateData.splits.map(split => ({
+          categoryId: split.categoryId,
+          amount: Math.round(parseFloat(split.amount) * 100) / 100
+        }));
+
+        if (updateData.splits.length > 0) {
+          updateData.categoryId = updateData.splits[0].categoryId;
+        }
+
+        const splitTransaction = new Transaction({ ...existingTransaction, ...updateData });
+
+        if (!splitTransaction.isValidSplits()) {
+          return {
+            success: false,
+            errors: [
+              `A divisão deve ter de ${MIN_SPLIT_LINES} a ${MAX_SPLIT_LINES} categorias diferentes, ` +
+              'com valores que somem o total da transação'
+            ]
+          };
+        }
+      }
+
+      // Validar a situação se fornecida
+      if (updateData.status !== undefined && !Object.keys(TRANSACTION_STATUSES).includes(updateData.status)) {
+        return { success: false, errors: ['Situação deve ser prevista, pendente ou compensada'] };
+      }
+
       // Validar e formatar data se fornecida
       if (updateData.date !== undefined) {
         if (typeof updateData.date === 'string') {
@@ -80,18 +167,32 @@ export class UpdateTransactionUseCase {
         if (isNaN(updateData.date.getTime())) {
           return { success: false, errors: ['Data inválida'] };
         }
+      }
 
-        // Data não pode ser no futuro
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        if (updateData.date > tomorrow) {
-          return { success: false, errors: ['Data não pode ser no futuro'] };
-        }
+      // Data não pode ser no futuro (exceto nas transações previstas)
+      const status = updateData.status || existingTransaction.status;
+      const date = updateData.date || existingTransaction.date;
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      tomorrow.setHours(23, 59, 59, 999);
+
+      if (status !== 'planned' && date > tomorrow) {
+        return {
+          success: false,
+          errors: [updateData.date !== undefined
+            ? 'Data não pode ser no futuro'
+            : 'Uma transação com data futura só pode ficar como prevista']
+        };
       }
 
-      // Se está mudando a categoria, validar
-      if (updateData.categoryId && updateData.categoryId !== existingTransaction.categoryId) {
-        const newCategory = await this.categoryRepository.findById(updateData.categoryId);
+      // Se está mudando a categoria (ou a divisão), validar as categorias novas
+      const newCategoryIds = new Set([
+        ...(updateData.categoryId && updateData.categoryId !== existingTransaction.categoryId ? [updateData.categoryId] : []),
+        ...(updateData.splits || []).map(split => split.categoryId)
+      ]);
+
+      for (const newCategoryId of newCategoryIds) {
+        const newCategory = await this.categoryRepository.findById(newCategoryId);
 
         if (!newCategory) {
           return { success: false, errors: ['Nova categoria não encontrada'] };
@@ -117,6 +218,28 @@ export class UpdateTransactionUseCase {
         }
       }
 
+      // Se está mudando a conta, validar
+      if (updateData.accountId && updateData.accountId !== existingTransaction.accountId) {
+        const newAccount = await this.accountRepository.findById(updateData.accountId);
+
+        if (!newAccount || !newAccount.belongsTo(userId)) {
+          return { success: false, errors: ['Conta não encontrada'] };
+        }
+
+        if (!newAccount.isActive()) {
+          return { success: false, errors: [`A conta "${newAccount.name}" está arquivada`] };
+        }
+      }
+
+      // Se está mudando o favorecido, validar
+      if (updateData.payeeId && updateData.payeeId !== existingTransaction.payeeId) {
+        const payee = this.payeeRepository ? await this.payeeRepository.findById(updateData.payeeId) : null;
+
+        if (!payee || !payee.belongsTo(userId)) {
+          return { success: false, errors: ['Favorecido não encontrado'] };
+        }
+      }
+
       // Validar tipo se estiver mudando
       if (updateData.type && !['income', 'expense'].includes(updateData.type)) {
         return { success: false, errors: ['Tipo inválido. Use "income" ou "expense"'] };
@@ -127,9 +250,26 @@ export class UpdateTransactionUseCase {
         return { success: false, errors: ['Descrição deve ter no máximo 200 caracteres'] };
       }
 
+      // Validar tags
+      if (updateData.tags !== undefined) {
+        updateData.tags = Tag.parseList(updateData.tags);
+
+        if (updateData.tags.length > MAX_TAGS_PER_TRANSACTION || !updateData.tags.every(name => Tag.isValidName(name))) {
+          return {
+            success: false,
+            errors: [`Use no máximo ${MAX_TAGS_PER_TRANSACTION} tags de até ${MAX_TAG_LENGTH} caracteres`]
+          };
+        }
+      }
+
       // Atualizar transação
       const updatedTransaction = await this.transactionRepository.update(id, updateData);
 
+      // A alteração já foi gravada; o modelo de sugestão é só uma otimização
+      if (this.relearnTransactionsUseCase) {
+        await this.relearnTransactionsUseCase.execute(userId, [{ before: existingTransaction, after: updatedTransaction }]);
+      }
+
       return { success: true, transaction: updatedTransaction };
 
     } catch (error) {
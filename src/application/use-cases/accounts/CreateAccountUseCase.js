@@ -0,0 +1,56 @@
+import { Account } from '../../../domain/entities/Account.js';
+
+/**
+ * Caso de uso: Criar nova conta
+ */
+export class CreateAccountUseCase {
+  constructor(accountRepository) {
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a criação de uma nova conta
+   * @param {string} userId
+   * @param {Object} accountData - {name, type, initialBalance?, icon?, color?, creditLimit?, closingDay?, dueDay?}
+   * @returns {Promise<{success: boolean, account?: Account, errors?: string[]}>}
+   */
+  async execute(userId, accountData) {
+    // 1. Criar e validar entidade Account
+    const account = new Account({
+      userId,
+      name: accountData.name,
+      type: accountData.type,
+      initialBalance: accountData.initialBalance || 0,
+      icon: accountData.icon,
+      color: accountData.color,
+      creditLimit: accountData.creditLimit,
+      closingDay: accountData.closingDay,
+      dueDay: accountData.dueDay
+    });
+
+    const validation = account.validate();
+
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    try {
+      // 2. Verificar se já existe conta com o mesmo nome
+      const exists = await this.accountRepository.existsByName(userId, account.name);
+
+      if (exists) {
+        return { success: false, errors: [`Já existe uma conta chamada "${account.name.trim()}"`] };
+      }
+
+      // 3. Criar conta
+      const createdAccount = await this.accountRepository.create(account);
+
+      return { success: true, account: createdAccount };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao criar conta: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Caso de uso: Deletar conta
+ */
+export class DeleteAccountUseCase {
+  constructor(accountRepository) {
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a deleção de uma conta
+   * Contas com transações não podem ser deletadas (devem ser arquivadas)
+   * @param {string} userId
+   * @param {number} accountId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, accountId) {
+    try {
+      // 1. Buscar conta existente
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account) {
+        return { success: false, errors: ['Conta não encontrada'] };
+      }
+
+      // 2. Verificar se a conta pertence ao usuário
+      if (!account.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar esta conta'] };
+      }
+
+      // 3. Verificar se há transações vinculadas
+      const hasTransactions = await this.accountRepository.hasTransactions(accountId);
+
+      if (hasTransactions) {
+        return {
+          success: false,
+          errors: [`A conta "${account.name}" possui transações. Arquive-a em vez de deletar.`]
+        };
+      }
+
+      // 4. Deletar conta
+      const deleted = await this.accountRepository.delete(accountId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar conta'] };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar conta: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Caso de uso: Listar contas do usuário com os saldos
+ */
+export class ListAccountsUseCase {
+  constructor(accountRepository) {
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a listagem de contas
+   * @param {string} userId
+   * @param {Object} options - {includeArchived?: boolean}
+   * @returns {Promise<{success: boolean, accounts?: Account[], totalBalance?: number, errors?: string[]}>}
+   */
+  async execute(userId, options = {}) {
+    try {
+      const accounts = await this.accountRepository.findByUserId(userId, {
+        includeArchived: options.includeArchived || false
+      });
+
+      // Saldo total considera apenas contas ativas
+      const totalBalance = accounts
+        .filter(account => account.isActive())
+        .reduce((sum, account) => sum + account.balance, 0);
+
+      return {
+        success: true,
+        accounts,
+        totalBalance
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar contas: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { Account } from '../../../domain/entities/Account.js';
+
+/**
+ * Caso de uso: Atualizar conta (inclusive arquivar/reativar)
+ */
+export class UpdateAccountUseCase {
+  constructor(accountRepository) {
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a atualização de uma conta
+   * @param {string} userId
+   * @param {number} accountId
+   * @param {Object} updateData - {name?, type?, initialBalance?, icon?, color?, isArchived?, creditLimit?, closingDay?, dueDay?}
+   * @returns {Promise<{success: boolean, account?: Account, errors?: string[]}>}
+   */
+  async execute(userId, accountId, updateData) {
+    try {
+      // 1. Buscar conta existente
+      const existingAccount = await this.accountRepository.findById(accountId);
+
+      if (!existingAccount) {
+        return { success: false, errors: ['Conta não encontrada'] };
+      }
+
+      // 2. Verificar se a conta pertence ao usuário
+      if (!existingAccount.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta conta'] };
+      }
+
+      // 3. Criar entidade Account com dados atualizados para validar
+      const updatedAccount = new Account({
+        ...existingAccount,
+        name: updateData.name !== undefined ? updateData.name : existingAccount.name,
+        type: updateData.type !== undefined ? updateData.type : existingAccount.type,
+        initialBalance: updateData.initialBalance !== undefined ? updateData.initialBalance : existingAccount.initialBalance,
+        creditLimit: updateData.creditLimit !== undefined ? updateData.creditLimit : existingAccount.creditLimit,
+        closingDay: updateData.closingDay !== undefined ? updateData.closingDay : existingAccount.closingDay,
+        dueDay: updateData.dueDay !== undefined ? updateData.dueDay : existingAccount.dueDay
+      });
+
+      const validation = updatedAccount.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 4. Se o nome mudou, verificar duplicidade
+      if (updateData.name !== undefined) {
+        const exists = await this.accountRepository.existsByName(userId, updateData.name, accountId);
+
+        if (exists) {
+          return { success: false, errors: [`Já existe uma conta chamada "${updateData.name.trim()}"`] };
+        }
+      }
+
+      // 5. Não arquivar a última conta ativa (novas transações precisam de uma conta)
+      if (updateData.isArchived === true && existingAccount.isActive()) {
+        const activeAccounts = await this.accountRepository.findByUserId(userId);
+
+        if (activeAccounts.length <= 1) {
+          return { success: false, errors: ['Não é possível arquivar a única conta ativa'] };
+        }
+      }
+
+      // 6. Atualizar conta
+      const account = await this.accountRepository.update(accountId, {
+        ...updateData,
+        name: updateData.name !== undefined ? updateData.name.trim() : undefined
+      });
+
+      return { success: true, account };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao atualizar conta: ${error.message}`]
+      };
+    }
+  }
+}
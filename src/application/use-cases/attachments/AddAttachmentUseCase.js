@@ -0,0 +1,86 @@
+import { Attachment, MAX_ATTACHMENTS_PER_TRANSACTION } from '../../../domain/entities/Attachment.js';
+
+/**
+ * Caso de uso: Anexar um arquivo a uma transação
+ * Fotos de recibos e notas fiscais em PDF. O conteúdo é gravado pelo hash:
+ * anexar de novo o mesmo arquivo (em outra transação) não duplica o arquivo
+ */
+export class AddAttachmentUseCase {
+  constructor(attachmentRepository, transactionRepository, attachmentStorage) {
+    this.attachmentRepository = attachmentRepository;
+    this.transactionRepository = transactionRepository;
+    this.attachmentStorage = attachmentStorage;
+  }
+
+  /**
+   * Executa o anexo do arquivo
+   * @param {string} userId
+   * @param {number} transactionId
+   * @param {string} filePath - Caminho do arquivo local
+   * @returns {Promise<{success: boolean, attachment?: Attachment, errors?: string[]}>}
+   */
+  async execute(userId, transactionId, filePath) {
+    try {
+      if (!userId || !transactionId || !filePath) {
+        return { success: false, errors: ['UserId, transação e arquivo são obrigatórios'] };
+      }
+
+      const transaction = await this.transactionRepository.findById(transactionId);
+
+      if (!transaction) {
+        return { success: false, errors: ['Transação não encontrada'] };
+      }
+
+      if (!transaction.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para anexar arquivos a esta transação'] };
+      }
+
+      const existing = await this.attachmentRepository.findByTransactionId(transaction.id);
+
+      if (existing.length >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+        return {
+          success: false,
+          errors: [`Uma transação pode ter no máximo ${MAX_ATTACHMENTS_PER_TRANSACTION} anexos`]
+        };
+      }
+
+      // Conferir nome, tipo e tamanho antes de ler o conteúdo
+      const file = await this.attachmentStorage.inspect(filePath);
+      const attachment = new Attachment({
+        userId,
+        transactionId: transaction.id,
+        fileName: file.fileName,
+        size: file.size
+      });
+
+      const fileValidation = attachment.validateFile();
+
+      if (!fileValidation.isValid) {
+        return { success: false, errors: fileValidation.errors };
+      }
+
+      const stored = await this.attachmentStorage.store(filePath);
+      attachment.contentHash = stored.contentHash;
+      attachment.size = stored.size;
+
+      if (await this.attachmentRepository.existsInTransaction(transaction.id, attachment.contentHash)) {
+        return { success: false, errors: ['Este arquivo já está anexado a esta transação'] };
+      }
+
+      const validation = attachment.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const created = await this.attachmentRepository.create(attachment);
+
+      return { success: true, attachment: created };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao anexar arquivo: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Caso de uso: Obter o arquivo de um anexo (para abrir ou baixar)
+ * Só o dono do anexo tem acesso; para os demais o anexo "não existe"
+ */
+export class GetAttachmentFileUseCase {
+  constructor(attachmentRepository, attachmentStorage) {
+    this.attachmentRepository = attachmentRepository;
+    this.attachmentStorage = attachmentStorage;
+  }
+
+  /**
+   * Executa a busca do arquivo
+   * @param {string} userId
+   * @param {number} attachmentId
+   * @returns {Promise<{success: boolean, attachment?: Attachment, filePath?: string, url?: string|null, errors?: string[]}>}
+   */
+  async execute(userId, attachmentId) {
+    try {
+      if (!userId || !attachmentId) {
+        return { success: false, errors: ['UserId e anexo são obrigatórios'] };
+      }
+
+      const attachment = await this.attachmentRepository.findById(attachmentId);
+
+      if (!attachment || attachment.userId !== userId) {
+        return { success: false, errors: ['Anexo não encontrado'] };
+      }
+
+      if (!this.attachmentStorage.exists(attachment.contentHash)) {
+        return { success: false, errors: ['O arquivo do anexo não foi encontrado no armazenamento'] };
+      }
+
+      return {
+        success: true,
+        attachment,
+        filePath: this.attachmentStorage.getPath(attachment.contentHash),
+        // Link de download do servidor web (null sem chave configurada)
+        url: this.attachmentStorage.createLink(attachment)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao buscar anexo: ${error.message}`]
+      };
+    }
+  }
+}
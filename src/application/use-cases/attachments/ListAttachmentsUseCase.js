@@ -0,0 +1,42 @@
+/**
+ * Caso de uso: Listar os anexos de uma transação
+ */
+export class ListAttachmentsUseCase {
+  constructor(attachmentRepository, transactionRepository) {
+    this.attachmentRepository = attachmentRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a listagem dos anexos
+   * @param {string} userId
+   * @param {number} transactionId
+   * @returns {Promise<{success: boolean, attachments?: Attachment[], errors?: string[]}>}
+   */
+  async execute(userId, transactionId) {
+    try {
+      if (!userId || !transactionId) {
+        return { success: false, errors: ['UserId e transação são obrigatórios'] };
+      }
+
+      const transaction = await this.transactionRepository.findById(transactionId);
+
+      if (!transaction) {
+        return { success: false, errors: ['Transação não encontrada'] };
+      }
+
+      if (!transaction.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para visualizar esta transação'] };
+      }
+
+      const attachments = await this.attachmentRepository.findByTransactionId(transaction.id);
+
+      return { success: true, attachments };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar anexos: ${error.message}`]
+      };
+    }
+  }
+}
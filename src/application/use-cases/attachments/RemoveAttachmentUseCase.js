@@ -0,0 +1,48 @@
+/**
+ * Caso de uso: Remover um anexo
+ * O arquivo só sai do diretório de anexos quando nenhum outro anexo usa o
+ * mesmo conteúdo
+ */
+export class RemoveAttachmentUseCase {
+  constructor(attachmentRepository, attachmentStorage) {
+    this.attachmentRepository = attachmentRepository;
+    this.attachmentStorage = attachmentStorage;
+  }
+
+  /**
+   * Executa a remoção do anexo
+   * @param {string} userId
+   * @param {number} attachmentId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, attachmentId) {
+    try {
+      if (!userId || !attachmentId) {
+        return { success: false, errors: ['UserId e anexo são obrigatórios'] };
+      }
+
+      const attachment = await this.attachmentRepository.findById(attachmentId);
+
+      if (!attachment || attachment.userId !== userId) {
+        return { success: false, errors: ['Anexo não encontrado'] };
+      }
+
+      const deleted = await this.attachmentRepository.delete(attachment.id);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao remover anexo'] };
+      }
+
+      if (!(await this.attachmentRepository.isContentInUse(attachment.contentHash))) {
+        await this.attachmentStorage.remove(attachment.contentHash);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao remover anexo: ${error.message}`]
+      };
+    }
+  }
+}
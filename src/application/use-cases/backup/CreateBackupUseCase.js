@@ -0,0 +1,80 @@
+import { Backup } from '../../../domain/entities/Backup.js';
+
+/**
+ * Caso de uso: Criar o backup de um usuário
+ * Grava num único arquivo JSON o perfil, as contas, categorias, transações,
+ * orçamentos, metas e tudo o mais que pertence ao usuário, com o conteúdo
+ * dos anexos. Roda pelo comando "npm run backup".
+ */
+export class CreateBackupUseCase {
+  constructor(backupRepository, attachmentStorage, backupFileService) {
+    this.backupRepository = backupRepository;
+    this.attachmentStorage = attachmentStorage;
+    this.backupFileService = backupFileService;
+  }
+
+  /**
+   * Executa o backup
+   * @param {string} userId
+   * @param {Object} options - { filename? }
+   * @returns {Promise<{success: boolean, filename?: string, filepath?: string, size?: number,
+   *   counts?: Object<string, number>, missingFiles?: string[], errors?: string[]}>}
+   *   missingFiles são os anexos cujo conteúdo não foi encontrado (o
+   *   registro entra no backup, o arquivo não)
+   */
+  async execute(userId, options = {}) {
+    try {
+      const snapshot = await this.backupRepository.findUserData(userId);
+
+      if (!snapshot) {
+        return { success: false, errors: ['Usuário não encontrado'] };
+      }
+
+      const files = {};
+      const missingFiles = [];
+
+      for (const attachment of snapshot.data.attachments) {
+        if (files[attachment.contentHash]) {
+          continue;
+        }
+
+        if (this.attachmentStorage.exists(attachment.contentHash)) {
+          files[attachment.contentHash] = (await this.attachmentStorage.read(attachment.contentHash)).toString('base64');
+        } else {
+          missingFiles.push(attachment.fileName);
+        }
+      }
+
+      const backup = new Backup({ user: snapshot.user, data: snapshot.data, files });
+      const validation = backup.validate();
+
+      // Referências quebradas no banco de origem: o backup não seria restaurável
+      if (!validation.isValid) {
+        return {
+          success: false,
+          errors: [
+            ...validation.errors,
+            'Verifique os dados com "npm run integrity" antes de fazer o backup'
+          ]
+        };
+      }
+
+      const file = await this.backupFileService.write(
+        options.filename || backup.generateFilename(),
+        `${JSON.stringify(backup.toJSON(), null, 2)}\n`
+      );
+
+      return {
+        success: true,
+        ...file,
+        counts: backup.getCounts(),
+        missingFiles
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao criar o backup: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,179 @@
+import { Backup } from '../../../domain/entities/Backup.js';
+
+/**
+ * Caso de uso: Restaurar um backup
+ * Carrega o arquivo gerado por "npm run backup" num banco novo ou em outro
+ * usuário, sempre com registros novos: os ids do arquivo são trocados pelos
+ * ids criados. O destino é o usuário informado ou, sem ele, o usuário de
+ * mesmo email do backup (criado com o perfil e a senha do backup quando não
+ * existe). Para não misturar históricos, o destino não pode ter transações,
+ * orçamentos, metas etc.; contas, categorias, favorecidos, tags e perfis de
+ * importação de mesmo nome são reaproveitados. Roda pelo comando
+ * "npm run restore".
+ */
+export class RestoreBackupUseCase {
+  constructor(backupFileService, backupRepository, userRepository, attachmentStorage) {
+    this.backupFileService = backupFileService;
+    this.backupRepository = backupRepository;
+    this.userRepository = userRepository;
+    this.attachmentStorage = attachmentStorage;
+  }
+
+  /**
+   * Executa a restauração
+   * @param {string} filePath - Caminho do arquivo de backup
+   * @param {Object} options - { targetEmail?, dryRun? }
+   *   (dryRun grava tudo numa transação desfeita no final: confere o arquivo
+   *   e o destino sem mudar nada)
+   * @returns {Promise<{success: boolean, backup?: Backup, userId?: string, email?: string,
+   *   createdUser?: boolean, restored?: Object<string, number>, reused?: Object<string, number>,
+   *   createdCategories?: string[], skippedAttachments?: string[], warnings?: string[],
+   *   errors?: string[]}>}
+   *   createdCategories são as categorias padrão do backup que não existem no
+   *   banco de destino (criadas para o usuário); skippedAttachments, os
+   *   anexos sem o conteúdo no arquivo nem no destino
+   */
+  async execute(filePath, options = {}) {
+    const { targetEmail = null, dryRun = false } = options;
+
+    try {
+      const file = await this.backupFileService.read(filePath);
+      const backup = Backup.parse(file.text);
+      const validation = backup.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const target = await this._resolveTarget(backup, targetEmail);
+
+      if (target.error) {
+        return { success: false, errors: [target.error] };
+      }
+
+      const attachments = [];
+      const skippedAttachments = [];
+
+      backup.data.attachments.forEach(attachment => {
+        if (backup.files[attachment.contentHash] || this.attachmentStorage.exists(attachment.contentHash)) {
+          attachments.push(attachment);
+        } else {
+          skippedAttachments.push(attachment.fileName);
+        }
+      });
+
+      const contents = this._decodeFiles(backup, attachments);
+
+      if (contents.error) {
+        return { success: false, errors: [contents.error] };
+      }
+
+      // O conteúdo vai antes dos registros: um anexo nunca fica sem arquivo
+      if (!dryRun) {
+        for (const content of contents.files) {
+          await this.attachmentStorage.storeContent(content);
+        }
+      }
+
+      const result = await this.backupRepository.restoreUserData(
+        target.userId,
+        { ...backup.data, attachments },
+        { user: target.profile, dryRun }
+      );
+
+      return {
+        success: true,
+        backup,
+        userId: target.userId,
+        email: target.email,
+        createdUser: Boolean(target.profile),
+        ...result,
+        skippedAttachments,
+        warnings: target.warnings
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao restaurar o backup: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Usuário de destino: o informado (que precisa existir) ou o de mesmo
+   * email do backup, que é criado quando não existe
+   * @private
+   */
+  async _resolveTarget(backup, targetEmail) {
+    const email = targetEmail || backup.user.email;
+    const user = await this.userRepository.findByEmail(email);
+
+    if (user) {
+      const count = await this.backupRepository.countUserData(user.id);
+
+      if (count > 0) {
+        return {
+          error: `O usuário ${user.email} já tem transações, orçamentos ou metas; ` +
+            'restaure em um usuário sem dados (use --user para escolher outro)'
+        };
+      }
+
+      return { userId: user.id, email: user.email, profile: null, warnings: [] };
+    }
+
+    if (targetEmail) {
+      return { error: `Usuário de destino não encontrado: ${targetEmail}` };
+    }
+
+    const warnings = [];
+    const idTaken = backup.user.id ? await this.userRepository.findById(backup.user.id) : null;
+    let username = backup.user.username || null;
+
+    if (username && await this.userRepository.findByUsername(username)) {
+      warnings.push(`O nome de usuário "${username}" já está em uso: o usuário foi criado sem ele`);
+      username = null;
+    }
+
+    if (!backup.user.passwordHash) {
+      warnings.push('O backup não tem a senha do usuário: cadastre uma nova para entrar');
+    }
+
+    return {
+      userId: backup.user.id && !idTaken
+        ? backup.user.id
+        : `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      email: backup.user.email,
+      profile: { ...backup.user, username },
+      warnings
+    };
+  }
+
+  /**
+   * Conteúdo dos anexos restaurados que está no arquivo, conferido pelo hash
+   * @private
+   */
+  _decodeFiles(backup, attachments) {
+    const files = [];
+    const hashes = new Set(attachments.map(attachment => attachment.contentHash));
+
+    for (const contentHash of hashes) {
+      if (!backup.files[contentHash]) {
+        continue;
+      }
+
+      const content = Buffer.from(backup.files[contentHash], 'base64');
+
+      if (this.attachmentStorage.hashContent(content) !== contentHash) {
+        const names = attachments
+          .filter(attachment => attachment.contentHash === contentHash)
+          .map(attachment => attachment.fileName);
+
+        return { error: `O conteúdo do anexo ${names.join(', ')} está corrompido no arquivo` };
+      }
+
+      files.push(content);
+    }
+
+    return { files };
+  }
+}
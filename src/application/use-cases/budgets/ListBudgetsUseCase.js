@@ -28,20 +28,20 @@ export class ListBudgetsUseCase {
       }
 
       // Enriquecer cada orçamento com informações calculadas
+      // (mantendo a entidade, cujos métodos são usados pelos componentes)
       const enrichedBudgets = budgets.map(budget => {
         const usage = budget.calculateUsage();
         const alertLevel = budget.getAlertLevel(usage.percentage);
         const projection = budget.calculateProjection();
 
-        return {
-          ...budget,
+        return Object.assign(budget, {
           usage,
           alertLevel,
           alertIcon: budget.getAlertIcon(alertLevel),
           alertText: budget.getAlertText(alertLevel),
           projection,
           formattedPeriod: budget.getFormattedPeriod()
-        };
+        });
       });
 
       return {
@@ -0,0 +1,74 @@
+/**
+ * Caso de uso: Deletar várias transações de uma vez
+ * As transações selecionadas (ou todas as que atendem a um filtro) saem
+ * atomicamente; transferências, parcelas e transações conciliadas ficam.
+ * Os arquivos dos anexos são apagados quando nenhum outro anexo os usa.
+ */
+export class BulkDeleteTransactionsUseCase {
+  constructor(transactionRepository, attachmentRepository = null, attachmentStorage = null) {
+    this.transactionRepository = transactionRepository;
+    this.attachmentRepository = attachmentRepository;
+    this.attachmentStorage = attachmentStorage;
+  }
+
+  /**
+   * Executa a exclusão em lote
+   * @param {string} userId
+   * @param {Object} selection - { transactionIds?: number[], filters?: Object }
+   *   (filters são os mesmos da listagem; sem transactionIds, valem todas as
+   *   transações do filtro)
+   * @returns {Promise<{success: boolean, matchedCount?: number, deletedCount?: number,
+   *   skipped?: Array<{transaction: Transaction, reason: string}>, errors?: string[]}>}
+   */
+  async execute(userId, selection) {
+    try {
+      const transactions = await this.transactionRepository.findBySelection(userId, selection);
+      const deletable = [];
+      const skipped = [];
+
+      for (const transaction of transactions) {
+        const reason = transaction.getLockReason('delete');
+
+        if (reason) {
+          skipped.push({ transaction, reason });
+        } else {
+          deletable.push(transaction);
+        }
+      }
+
+      const attachments = this.attachmentRepository && deletable.length > 0
+        ? await this.attachmentRepository.findByTransactionIds(deletable.map(transaction => transaction.id))
+        : [];
+
+      const deletedIds = await this.transactionRepository.bulkDelete(userId, deletable.map(transaction => transaction.id));
+      const deleted = new Set(deletedIds.map(Number));
+
+      // Só os arquivos das transações que o banco de fato deletou
+      await this._removeUnusedFiles(attachments.filter(attachment => deleted.has(Number(attachment.transactionId))));
+
+      return {
+        success: true,
+        matchedCount: transactions.length,
+        deletedCount: deletedIds.length,
+        skipped
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar transações: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Apaga os arquivos dos anexos removidos que nenhum outro anexo usa
+   * @private
+   */
+  async _removeUnusedFiles(attachments) {
+    for (const contentHash of new Set(attachments.map(attachment => attachment.contentHash))) {
+      if (!(await this.attachmentRepository.isContentInUse(contentHash))) {
+        await this.attachmentStorage.remove(contentHash);
+      }
+    }
+  }
+}
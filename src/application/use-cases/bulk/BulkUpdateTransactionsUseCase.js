@@ -0,0 +1,150 @@
+import { Transaction } from '../../../domain/entities/Transaction.js';
+import { Tag, MAX_TAGS_PER_TRANSACTION } from '../../../domain/entities/Tag.js';
+
+/**
+ * Caso de uso: Alterar várias transações de uma vez
+ * Muda a categoria, adiciona/remove tags e/ou desloca a data das transações
+ * selecionadas (ou de todas as que atendem a um filtro). As alterações são
+ * gravadas atomicamente: ou todas as transações elegíveis mudam, ou nenhuma.
+ * Transferências, parcelas e transações conciliadas ficam de fora. As
+ * transações alteradas são reaprendidas pela sugestão de categoria.
+ */
+export class BulkUpdateTransactionsUseCase {
+  constructor(transactionRepository, categoryRepository, relearnTransactionsUseCase = null) {
+    this.transactionRepository = transactionRepository;
+    this.categoryRepository = categoryRepository;
+    this.relearnTransactionsUseCase = relearnTransactionsUseCase;
+  }
+
+  /**
+   * Executa a alteração em lote
+   * @param {string} userId
+   * @param {Object} selection - { transactionIds?: number[], filters?: Object }
+   *   (filters são os mesmos da listagem; sem transactionIds, valem todas as
+   *   transações do filtro)
+   * @param {Object} changes - { categoryId?, addTags?: string[], removeTags?: string[], shiftDays?: number }
+   * @returns {Promise<{success: boolean, matchedCount?: number, updatedCount?: number,
+   *   unchangedCount?: number, skipped?: Array<{transaction: Transaction, reason: string}>, errors?: string[]}>}
+   */
+  async execute(userId, selection, changes) {
+    try {
+      const { categoryId = null, addTags = [], removeTags = [], shiftDays = 0 } = changes || {};
+      const tagsToAdd = Tag.parseList(addTags);
+      const tagsToRemove = Tag.parseList(removeTags);
+
+      if (!categoryId && tagsToAdd.length === 0 && tagsToRemove.length === 0 && !shiftDays) {
+        return { success: false, errors: ['Informe a categoria, as tags ou o deslocamento da data'] };
+      }
+
+      if ([...tagsToAdd, ...tagsToRemove].some(name => !Tag.isValidName(name))) {
+        return { success: false, errors: ['Nome de tag inválido'] };
+      }
+
+      if (!Number.isInteger(shiftDays)) {
+        return { success: false, errors: ['O deslocamento da data deve ser um número inteiro de dias'] };
+      }
+
+      let category = null;
+
+      if (categoryId) {
+        category = await this.categoryRepository.findById(categoryId);
+
+        if (!category || (!category.isGlobal() && category.userId !== userId)) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+      }
+
+      const transactions = await this.transactionRepository.findBySelection(userId, selection);
+      const updates = [];
+      const skipped = [];
+      let unchangedCount = 0;
+
+      for (const transaction of transactions) {
+        const result = this._getChanges(transaction, { category, tagsToAdd, tagsToRemove, shiftDays });
+
+        if (result.reason) {
+          skipped.push({ transaction, reason: result.reason });
+        } else if (Object.keys(result.data).length === 0) {
+          unchangedCount++;
+        } else {
+          updates.push({ id: transaction.id, data: result.data, transaction });
+        }
+      }
+
+      const updatedCount = await this.transactionRepository.bulkUpdate(userId, updates);
+
+      if (this.relearnTransactionsUseCase) {
+        await this.relearnTransactionsUseCase.execute(userId, updates.map(({ data, transaction }) => ({
+          before: transaction,
+          after: new Transaction({ ...transaction, ...data })
+        })));
+      }
+
+      return {
+        success: true,
+        matchedCount: transactions.length,
+        updatedCount,
+        unchangedCount,
+        skipped
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao alterar transações: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * O que muda numa transação (ou por que ela fica de fora)
+   * @private
+   * @returns {{data?: Object, reason?: string}}
+   */
+  _getChanges(transaction, { category, tagsToAdd, tagsToRemove, shiftDays }) {
+    const lockReason = transaction.getLockReason('update');
+
+    if (lockReason) {
+      return { reason: lockReason };
+    }
+
+    const data = {};
+
+    if (category && Number(category.id) !== Number(transaction.categoryId)) {
+      if (transaction.isSplit()) {
+        return { reason: 'Dividida entre categorias' };
+      }
+
+      if (category.type !== transaction.type) {
+        return { reason: `A categoria é para ${category.type === 'income' ? 'receitas' : 'despesas'}` };
+      }
+
+      data.categoryId = category.id;
+    }
+
+    if (tagsToAdd.length > 0 || tagsToRemove.length > 0) {
+      const tags = [...new Set([...transaction.tags, ...tagsToAdd])]
+        .filter(name => !tagsToRemove.includes(name));
+
+      if (tags.length > MAX_TAGS_PER_TRANSACTION) {
+        return { reason: `Passaria de ${MAX_TAGS_PER_TRANSACTION} tags` };
+      }
+
+      if (tags.length !== transaction.tags.length || tags.some(name => !transaction.hasTag(name))) {
+        data.tags = tags;
+      }
+    }
+
+    if (shiftDays) {
+      const date = new Date(transaction.date);
+      date.setDate(date.getDate() + shiftDays);
+
+      if (!new Transaction({ ...transaction, date }).isValidDate()) {
+        return { reason: 'A data ficaria no futuro' };
+      }
+
+      data.date = date;
+    }
+
+    return { data };
+  }
+}
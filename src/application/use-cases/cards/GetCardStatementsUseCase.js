@@ -0,0 +1,69 @@
+import { CreditCardStatement } from '../../../domain/entities/CreditCardStatement.js';
+
+/**
+ * Caso de uso: Faturas de um cartão de crédito
+ * (abertas, fechadas, vencidas e pagas, com o limite disponível)
+ */
+export class GetCardStatementsUseCase {
+  constructor(accountRepository, transactionRepository) {
+    this.accountRepository = accountRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa o cálculo das faturas
+   * @param {string} userId
+   * @param {number} accountId - ID do cartão
+   * @param {Object} options - { today?: Date }
+   * @returns {Promise<{
+   *   success: boolean,
+   *   account?: Account,
+   *   statements?: CreditCardStatement[],
+   *   amountDue?: number,
+   *   availableLimit?: number,
+   *   errors?: string[]
+   * }>}
+   */
+  async execute(userId, accountId, options = {}) {
+    const { today = new Date() } = options;
+
+    try {
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        return { success: false, errors: ['Cartão não encontrado'] };
+      }
+
+      if (!account.isCreditCard()) {
+        return { success: false, errors: [`A conta "${account.name}" não é um cartão de crédito`] };
+      }
+
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        accountId: account.id,
+        includePlanned: false,
+        limit: null
+      });
+
+      const statements = CreditCardStatement.fromTransactions(account, transactions, today);
+
+      // Valor a pagar: faturas fechadas (ou vencidas) ainda não quitadas
+      const amountDue = statements
+        .filter(statement => ['closed', 'overdue'].includes(statement.getStatus()))
+        .reduce((sum, statement) => sum + statement.getRemaining(), 0);
+
+      return {
+        success: true,
+        account,
+        statements,
+        amountDue: Math.round(amountDue * 100) / 100,
+        availableLimit: account.getAvailableLimit()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao buscar faturas: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Caso de uso: Pagar fatura do cartão de crédito
+ * O pagamento é uma transferência de uma conta (ex: conta corrente) para o cartão
+ */
+export class PayCardStatementUseCase {
+  /**
+   * @param {GetCardStatementsUseCase} getCardStatementsUseCase
+   * @param {CreateTransferUseCase} createTransferUseCase
+   * @param {IAccountRepository} accountRepository
+   */
+  constructor(getCardStatementsUseCase, createTransferUseCase, accountRepository) {
+    this.getCardStatementsUseCase = getCardStatementsUseCase;
+    this.createTransferUseCase = createTransferUseCase;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa o pagamento
+   * @param {string} userId
+   * @param {number} cardAccountId - ID do cartão
+   * @param {Object} paymentData - {reference, fromAccountId, amount?, date?}
+   *   reference: fatura a pagar (ex: "11/2026"); amount padrão: valor restante da fatura
+   * @returns {Promise<{success: boolean, transfer?: Transfer, statement?: CreditCardStatement, errors?: string[]}>}
+   */
+  async execute(userId, cardAccountId, paymentData) {
+    try {
+      // 1. Faturas do cartão
+      const result = await this.getCardStatementsUseCase.execute(userId, cardAccountId);
+
+      if (!result.success) {
+        return result;
+      }
+
+      const statement = result.statements.find(s => s.reference === paymentData.reference);
+
+      if (!statement) {
+        return { success: false, errors: ['Fatura não encontrada'] };
+      }
+
+      if (!statement.isPayable()) {
+        return { success: false, errors: [`A fatura ${statement.reference} não possui valor a pagar`] };
+      }
+
+      // 2. Os pagamentos quitam as faturas da mais antiga para a mais recente
+      const older = result.statements.find(s => s.closingDate < statement.closingDate && s.isPayable());
+
+      if (older) {
+        return { success: false, errors: [`Pague primeiro a fatura ${older.reference}`] };
+      }
+
+      // 3. A conta de pagamento não pode ser outro cartão
+      const fromAccount = await this.accountRepository.findById(paymentData.fromAccountId);
+
+      if (fromAccount && fromAccount.isCreditCard()) {
+        return { success: false, errors: ['Escolha uma conta que não seja cartão de crédito para pagar a fatura'] };
+      }
+
+      // 4. Transferência da conta de pagamento para o cartão
+      const amount = paymentData.amount !== undefined ? paymentData.amount : statement.getRemaining();
+      const transferResult = await this.createTransferUseCase.execute(userId, {
+        fromAccountId: paymentData.fromAccountId,
+        toAccountId: result.account.id,
+        amount,
+        description: `Pagamento da fatura ${statement.reference} - ${result.account.name}`,
+        date: paymentData.date || new Date()
+      });
+
+      if (!transferResult.success) {
+        return transferResult;
+      }
+
+      return { success: true, transfer: transferResult.transfer, statement };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao pagar fatura: ${error.message}`]
+      };
+    }
+  }
+}
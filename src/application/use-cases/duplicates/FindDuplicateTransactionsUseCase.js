@@ -0,0 +1,43 @@
+import { DuplicateGroup } from '../../../domain/entities/DuplicateGroup.js';
+
+/**
+ * Caso de uso: Procurar transações duplicadas no histórico
+ * Agrupa as transações com o mesmo valor, datas próximas e descrições
+ * parecidas (transferências e transações previstas ficam de fora)
+ */
+export class FindDuplicateTransactionsUseCase {
+  constructor(transactionRepository) {
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a busca
+   * @param {string} userId
+   * @param {Object} [options] - { startDate?, endDate?, accountId? }
+   * @returns {Promise<{success: boolean, groups?: DuplicateGroup[], errors?: string[]}>}
+   */
+  async execute(userId, { startDate = null, endDate = null, accountId = null } = {}) {
+    try {
+      if (!userId) {
+        return { success: false, errors: ['UserId é obrigatório'] };
+      }
+
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        startDate,
+        endDate,
+        accountId,
+        includeTransfers: false,
+        includePlanned: false,
+        limit: null
+      });
+
+      return { success: true, groups: DuplicateGroup.findGroups(transactions) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao procurar duplicadas: ${error.message}`]
+      };
+    }
+  }
+}
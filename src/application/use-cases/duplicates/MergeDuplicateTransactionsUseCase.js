@@ -0,0 +1,112 @@
+import { DuplicateGroup } from '../../../domain/entities/DuplicateGroup.js';
+import { MAX_TAGS_PER_TRANSACTION } from '../../../domain/entities/Tag.js';
+
+/**
+ * Caso de uso: Mesclar transações duplicadas
+ * Uma transação fica e as outras saem. A que fica recebe as tags das outras
+ * e, se não tiver, a descrição e o favorecido delas (uma transação conciliada
+ * ou parcela fica como está); os anexos das que saem passam para ela.
+ * Tudo é gravado de uma vez: se algo falhar, nenhuma transação muda.
+ */
+export class MergeDuplicateTransactionsUseCase {
+  constructor(transactionRepository) {
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a mesclagem
+   * @param {string} userId
+   * @param {number} keeperId - Transação que fica
+   * @param {number[]} duplicateIds - Transações que saem
+   * @returns {Promise<{success: boolean, transaction?: Transaction, removedCount?: number, errors?: string[]}>}
+   */
+  async execute(userId, keeperId, duplicateIds) {
+    try {
+      const ids = [...new Set((duplicateIds || []).map(Number))].filter(id => id !== Number(keeperId));
+
+      if (!keeperId || ids.length === 0) {
+        return { success: false, errors: ['Informe a transação que fica e ao menos uma duplicada'] };
+      }
+
+      const keeper = await this.transactionRepository.findById(keeperId);
+
+      if (!keeper || !keeper.belongsTo(userId)) {
+        return { success: false, errors: ['Transação não encontrada'] };
+      }
+
+      if (keeper.isTransfer()) {
+        return { success: false, errors: ['Transferências não podem ser mescladas'] };
+      }
+
+      const duplicates = [];
+
+      for (const id of ids) {
+        const duplicate = await this.transactionRepository.findById(id);
+
+        if (!duplicate || !duplicate.belongsTo(userId)) {
+          return { success: false, errors: ['Transação não encontrada'] };
+        }
+
+        if (duplicate.isTransfer()) {
+          return { success: false, errors: ['Transferências não podem ser mescladas'] };
+        }
+
+        if (DuplicateGroup.isLocked(duplicate)) {
+          return {
+            success: false,
+            errors: [`A transação "${duplicate.description || duplicate.getFormattedAmount()}" está conciliada ou é uma parcela e não pode sair. Escolha-a para ficar.`]
+          };
+        }
+
+        duplicates.push(duplicate);
+      }
+
+      const changes = DuplicateGroup.isLocked(keeper) ? {} : this._getChanges(keeper, duplicates);
+
+      await this.transactionRepository.merge(keeper.id, changes, duplicates.map(duplicate => duplicate.id));
+
+      return {
+        success: true,
+        transaction: await this.transactionRepository.findById(keeper.id),
+        removedCount: duplicates.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao mesclar transações: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * O que a transação que fica recebe das que saem
+   * @private
+   */
+  _getChanges(keeper, duplicates) {
+    const changes = {};
+    const tags = [...new Set([...keeper.tags, ...duplicates.flatMap(duplicate => duplicate.tags)])]
+      .slice(0, Math.max(MAX_TAGS_PER_TRANSACTION, keeper.tags.length));
+
+    if (tags.length > keeper.tags.length) {
+      changes.tags = tags;
+    }
+
+    if (!keeper.description) {
+      const withDescription = duplicates.find(duplicate => duplicate.description);
+
+      if (withDescription) {
+        changes.description = withDescription.description;
+      }
+    }
+
+    if (!keeper.hasPayee()) {
+      const withPayee = duplicates.find(duplicate => duplicate.hasPayee());
+
+      if (withPayee) {
+        changes.payeeId = withPayee.payeeId;
+      }
+    }
+
+    return changes;
+  }
+}
@@ -0,0 +1,679 @@
+import { ExportConfig } from '../../../domain/entities/ExportConfig.js';
+import { ExportTable } from '../../../domain/entities/ExportTable.js';
+
+/**
+ * Nomes dos tipos de transação nas colunas de tipo do CSV
+ */
+const TYPE_LABELS = {
+  income: 'Receita',
+  expense: 'Despesa'
+};
+
+/**
+ * Export Report to Data File Use Case
+ *
+ * Caso de uso para exportar relatórios para CSV ou JSON. Cada relatório vira
+ * um resumo (Campo, Valor) e as tabelas que ele mostra na tela — transações,
+ * categorias, meses, dias da semana... — com os valores numéricos, sem os
+ * textos formatados, para planilhas e scripts
+ * Parte da Application Layer
+ *
+ * @class ExportReportToDataFileUseCase
+ */
+export class ExportReportToDataFileUseCase {
+  /**
+   * Inicializa o caso de uso
+   *
+   * @param {Object} reportUseCases - Objeto com os use cases de relatórios,
+   *   pelas chaves de ExportConfig (monthly, category, evolution, top,
+   *   comparative, patterns, tag, payee)
+   * @param {ExportFileService} exportFileService - Gravação do arquivo
+   */
+  constructor(reportUseCases, exportFileService) {
+    this.reportUseCases = reportUseCases;
+    this.exportFileService = exportFileService;
+  }
+
+  /**
+   * Executa a exportação de relatório
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} reportType - Tipo do relatório
+   * @param {Object} options - Opções do relatório e do arquivo
+   * @param {string} options.format - 'csv' (padrão) ou 'json'
+   * @param {string} options.locale - Formato dos números e datas do CSV (padrão: 'pt-BR')
+   * @param {string} options.filename - Nome customizado do arquivo
+   * @param {string} options.month - Mês do relatório mensal (YYYY-MM; padrão: mês atual)
+   * @param {string} options.categoryId - Categoria do relatório por categoria (obrigatória nele)
+   * @param {number} options.months - Meses analisados (por categoria, evolução e padrões)
+   * @param {string} options.period - Período dos relatórios de maiores transações, tags e
+   *   favorecidos ('month', 'year'...; com startDate e endDate, o intervalo informado)
+   * @param {Date} options.startDate - Data inicial
+   * @param {Date} options.endDate - Data final
+   * @param {number} options.limit - Limite de resultados (maiores transações e favorecidos)
+   * @param {string|Object} options.period1 - Primeiro mês do comparativo (YYYY-MM ou
+   *   { month, year }; padrão: mês anterior)
+   * @param {string|Object} options.period2 - Segundo mês do comparativo (padrão: mês atual)
+   * @param {number} options.accountId - Filtra por conta
+   * @returns {Promise<Object>} Informações do arquivo gerado
+   */
+  async execute(userId, reportType, options = {}) {
+    try {
+      if (!userId) {
+        throw new Error('ID do usuário é obrigatório');
+      }
+
+      if (!reportType) {
+        throw new Error('Tipo de relatório é obrigatório');
+      }
+
+      const config = new ExportConfig({
+        type: 'report',
+        reportType,
+        format: options.format || 'csv',
+        locale: options.locale || 'pt-BR'
+      });
+
+      if (config.format === 'pdf') {
+        throw new Error('Use a exportação em PDF para gerar PDFs');
+      }
+
+      const report = await this.generateReport(userId, reportType, options);
+      const tables = this.buildTables(reportType, report);
+
+      const content = config.format === 'json'
+        ? ExportTable.toJson(tables, {
+          type: reportType,
+          title: config.getTitle(),
+          period: this.buildPeriodMeta(report.period),
+          accountId: report.period.accountId || null,
+          generatedAt: config.createdAt.toISOString()
+        })
+        : ExportTable.toCsv(tables, config.getLocaleFormat());
+
+      const result = await this.exportFileService.write(options.filename || config.generateFilename(), content);
+
+      return {
+        success: true,
+        ...result,
+        format: config.format,
+        reportType,
+        tableCount: tables.length,
+        generatedAt: config.createdAt
+      };
+    } catch (error) {
+      console.error('Erro ao exportar relatório para CSV/JSON:', error);
+      throw new Error(`Falha na exportação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Período do relatório no JSON; o comparativo traz os dois meses
+   *
+   * @param {Object} period - Período do relatório
+   * @returns {Object}
+   */
+  buildPeriodMeta(period) {
+    if (period.period1 && period.period2) {
+      return {
+        label: `${period.period1.label} x ${period.period2.label}`,
+        period1: this.buildPeriodMeta(period.period1),
+        period2: this.buildPeriodMeta(period.period2)
+      };
+    }
+
+    return {
+      label: period.label,
+      start: ExportTable.normalizeValue(period.start, 'date'),
+      end: ExportTable.normalizeValue(period.end, 'date')
+    };
+  }
+
+  /**
+   * Gera o relatório baseado no tipo
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} reportType - Tipo do relatório
+   * @param {Object} options - Opções do relatório
+   * @returns {Promise<Report>} Relatório gerado
+   */
+  async generateReport(userId, reportType, options) {
+    const useCase = this.reportUseCases[reportType];
+
+    if (!useCase) {
+      throw new Error(`Relatório não disponível: ${reportType}`);
+    }
+
+    const accountId = options.accountId || null;
+
+    switch (reportType) {
+    case 'monthly': {
+      const { month, year } = this.parseMonth(options.month, 0);
+      return await useCase.execute(userId, month, year, { accountId });
+    }
+
+    case 'category':
+      if (!options.categoryId) {
+        throw new Error('Categoria é obrigatória para o relatório por categoria');
+      }
+
+      return await useCase.execute(userId, options.categoryId, Number(options.months) || 6, { accountId });
+
+    case 'evolution':
+      return await useCase.execute(userId, Number(options.months) || 12, { accountId });
+
+    case 'top':
+      return await useCase.execute(userId, {
+        ...this.getPeriodOptions(options),
+        limit: Number(options.limit) || 10,
+        accountId
+      });
+
+    case 'comparative':
+      return await useCase.execute(
+        userId,
+        this.parseMonth(options.period1, -1),
+        this.parseMonth(options.period2, 0),
+        { accountId }
+      );
+
+    case 'patterns':
+      return await useCase.execute(userId, Number(options.months) || 6, { accountId });
+
+    case 'tag':
+      return await useCase.execute(userId, { ...this.getPeriodOptions(options), accountId });
+
+    case 'payee':
+      return await useCase.execute(userId, {
+        ...this.getPeriodOptions(options),
+        limit: Number(options.limit) || 10,
+        accountId
+      });
+
+    default:
+      throw new Error(`Tipo de relatório não implementado: ${reportType}`);
+    }
+  }
+
+  /**
+   * Tabelas do relatório
+   *
+   * @param {string} reportType - Tipo do relatório
+   * @param {Report} report - Relatório gerado
+   * @returns {ExportTable[]} Resumo e tabelas de dados
+   */
+  buildTables(reportType, report) {
+    switch (reportType) {
+    case 'monthly':
+      return this.buildMonthlyTables(report);
+    case 'category':
+      return this.buildCategoryTables(report);
+    case 'evolution':
+      return this.buildEvolutionTables(report);
+    case 'top':
+      return this.buildTopTables(report);
+    case 'comparative':
+      return this.buildComparativeTables(report);
+    case 'patterns':
+      return this.buildPatternsTables(report);
+    case 'tag':
+      return this.buildTagTables(report);
+    case 'payee':
+      return this.buildPayeeTables(report);
+    default:
+      throw new Error(`Tipo de relatório não implementado: ${reportType}`);
+    }
+  }
+
+  /**
+   * Relatório mensal: resumo, transações, despesas por categoria e dias
+   *
+   * @param {Report} report - Relatório mensal
+   * @returns {ExportTable[]}
+   */
+  buildMonthlyTables(report) {
+    const { summary, data } = report;
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'totalIncome', label: 'Receitas', value: summary.totalIncome, type: 'decimal' },
+        { key: 'totalExpense', label: 'Despesas', value: summary.totalExpense, type: 'decimal' },
+        { key: 'balance', label: 'Saldo', value: summary.balance, type: 'decimal' },
+        { key: 'transactionCount', label: 'Transações', value: summary.transactionCount, type: 'number' },
+        { key: 'averageDaily', label: 'Média por dia com gastos', value: data.dailyStats.averageDaily, type: 'decimal' }
+      ]),
+      new ExportTable({
+        name: 'transactions',
+        title: 'Transações',
+        columns: [
+          { key: 'date', label: 'Data', type: 'date' },
+          { key: 'type', label: 'Tipo', labels: TYPE_LABELS },
+          { key: 'amount', label: 'Valor', type: 'decimal' },
+          { key: 'description', label: 'Descrição' },
+          { key: 'category', label: 'Categoria' }
+        ],
+        rows: data.transactions.map(transaction => ({
+          ...transaction,
+          category: transaction.category.name
+        }))
+      }),
+      new ExportTable({
+        name: 'categories',
+        title: 'Despesas por Categoria',
+        columns: [
+          { key: 'categoryName', label: 'Categoria' },
+          { key: 'total', label: 'Total', type: 'decimal' },
+          { key: 'count', label: 'Transações', type: 'number' },
+          { key: 'average', label: 'Média', type: 'decimal' },
+          { key: 'percentage', label: '% das despesas', type: 'decimal' }
+        ],
+        rows: data.categoryDistribution
+      }),
+      new ExportTable({
+        name: 'days',
+        title: 'Movimento por Dia',
+        columns: [
+          { key: 'day', label: 'Data', type: 'date' },
+          { key: 'income', label: 'Receitas', type: 'decimal' },
+          { key: 'expense', label: 'Despesas', type: 'decimal' },
+          { key: 'transactionCount', label: 'Transações', type: 'number' }
+        ],
+        rows: data.dailyStats.dailyData
+      })
+    ];
+  }
+
+  /**
+   * Relatório por categoria: resumo, transações e evolução mensal
+   *
+   * @param {Report} report - Relatório por categoria
+   * @returns {ExportTable[]}
+   */
+  buildCategoryTables(report) {
+    const { summary, data } = report;
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'category', label: 'Categoria', value: data.category.name },
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'total', label: 'Total', value: summary.total, type: 'decimal' },
+        { key: 'transactionCount', label: 'Transações', value: summary.transactionCount, type: 'number' },
+        { key: 'averageTicket', label: 'Ticket médio', value: summary.averageTicket, type: 'decimal' },
+        { key: 'minAmount', label: 'Menor valor', value: summary.minAmount, type: 'decimal' },
+        { key: 'maxAmount', label: 'Maior valor', value: summary.maxAmount, type: 'decimal' },
+        {
+          key: 'recentVariation',
+          label: 'Variação dos últimos 3 meses (%)',
+          value: data.recentTrend.variation,
+          type: 'decimal'
+        }
+      ]),
+      new ExportTable({
+        name: 'transactions',
+        title: 'Transações',
+        columns: [
+          { key: 'date', label: 'Data', type: 'date' },
+          { key: 'type', label: 'Tipo', labels: TYPE_LABELS },
+          { key: 'amount', label: 'Valor', type: 'decimal' },
+          { key: 'description', label: 'Descrição' }
+        ],
+        rows: data.transactions
+      }),
+      new ExportTable({
+        name: 'months',
+        title: 'Evolução Mensal',
+        columns: [
+          { key: 'monthYear', label: 'Mês' },
+          { key: 'total', label: 'Total', type: 'decimal' },
+          { key: 'count', label: 'Transações', type: 'number' },
+          { key: 'average', label: 'Média', type: 'decimal' }
+        ],
+        rows: data.monthlyEvolution
+      })
+    ];
+  }
+
+  /**
+   * Relatório de evolução: resumo e meses, com o saldo acumulado
+   *
+   * @param {Report} report - Relatório de evolução
+   * @returns {ExportTable[]}
+   */
+  buildEvolutionTables(report) {
+    const { summary, data } = report;
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'totalIncome', label: 'Receitas', value: summary.totalIncome, type: 'decimal' },
+        { key: 'totalExpense', label: 'Despesas', value: summary.totalExpense, type: 'decimal' },
+        { key: 'totalBalance', label: 'Saldo', value: summary.totalBalance, type: 'decimal' },
+        {
+          key: 'averageMonthlyIncome',
+          label: 'Média mensal de receitas',
+          value: summary.averageMonthlyIncome,
+          type: 'decimal'
+        },
+        {
+          key: 'averageMonthlyExpense',
+          label: 'Média mensal de despesas',
+          value: summary.averageMonthlyExpense,
+          type: 'decimal'
+        },
+        { key: 'trendVariation', label: 'Variação do saldo (%)', value: data.trend.variation, type: 'decimal' }
+      ]),
+      new ExportTable({
+        name: 'months',
+        title: 'Evolução Mensal',
+        columns: [
+          { key: 'monthYear', label: 'Mês' },
+          { key: 'income', label: 'Receitas', type: 'decimal' },
+          { key: 'expense', label: 'Despesas', type: 'decimal' },
+          { key: 'balance', label: 'Saldo', type: 'decimal' },
+          { key: 'accumulated', label: 'Saldo acumulado', type: 'decimal' },
+          { key: 'totalCount', label: 'Transações', type: 'number' }
+        ],
+        rows: data.monthlyData.map((month, index) => ({
+          ...month,
+          accumulated: data.trend.accumulatedData[index].accumulated
+        }))
+      })
+    ];
+  }
+
+  /**
+   * Relatório de maiores transações: resumo e os rankings de despesas e receitas
+   *
+   * @param {Report} report - Relatório de maiores transações
+   * @returns {ExportTable[]}
+   */
+  buildTopTables(report) {
+    const { summary, data } = report;
+    const ranking = (name, title, transactions) => new ExportTable({
+      name,
+      title,
+      columns: [
+        { key: 'position', label: 'Posição', type: 'number' },
+        { key: 'date', label: 'Data', type: 'date' },
+        { key: 'amount', label: 'Valor', type: 'decimal' },
+        { key: 'description', label: 'Descrição' },
+        { key: 'category', label: 'Categoria' }
+      ],
+      rows: transactions.map((transaction, index) => ({
+        ...transaction,
+        position: index + 1,
+        category: transaction.category.name
+      }))
+    });
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'totalIncome', label: 'Receitas', value: summary.totalIncome, type: 'decimal' },
+        { key: 'totalExpense', label: 'Despesas', value: summary.totalExpense, type: 'decimal' },
+        { key: 'balance', label: 'Saldo', value: summary.balance, type: 'decimal' }
+      ]),
+      ranking('topExpenses', 'Maiores Despesas', data.topExpenses),
+      ranking('topIncomes', 'Maiores Receitas', data.topIncomes)
+    ];
+  }
+
+  /**
+   * Relatório comparativo: resumo, totais lado a lado, categorias e observações
+   *
+   * @param {Report} report - Relatório comparativo
+   * @returns {ExportTable[]}
+   */
+  buildComparativeTables(report) {
+    const { data } = report;
+    const { period1, period2 } = report.period;
+    const line = (item, key, diffKey, variationKey) => ({
+      item,
+      period1: data.summary1[key],
+      period2: data.summary2[key],
+      difference: data.comparison[diffKey],
+      variationPercent: data.comparison[variationKey]
+    });
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period1', label: 'Período 1', value: period1.label },
+        { key: 'period2', label: 'Período 2', value: period2.label },
+        { key: 'period1Count', label: 'Transações no período 1', value: data.summary1.totalCount, type: 'number' },
+        { key: 'period2Count', label: 'Transações no período 2', value: data.summary2.totalCount, type: 'number' }
+      ]),
+      new ExportTable({
+        name: 'totals',
+        title: 'Totais',
+        columns: [
+          { key: 'item', label: 'Item' },
+          { key: 'period1', label: period1.label, type: 'decimal' },
+          { key: 'period2', label: period2.label, type: 'decimal' },
+          { key: 'difference', label: 'Diferença', type: 'decimal' },
+          { key: 'variationPercent', label: 'Variação (%)', type: 'decimal' }
+        ],
+        rows: [
+          line('Receitas', 'income', 'incomeDiff', 'incomeVariationPercent'),
+          line('Despesas', 'expense', 'expenseDiff', 'expenseVariationPercent'),
+          line('Saldo', 'balance', 'balanceDiff', 'balanceVariationPercent')
+        ]
+      }),
+      new ExportTable({
+        name: 'categories',
+        title: 'Despesas por Categoria',
+        columns: [
+          { key: 'categoryName', label: 'Categoria' },
+          { key: 'period1Total', label: period1.label, type: 'decimal' },
+          { key: 'period2Total', label: period2.label, type: 'decimal' },
+          { key: 'difference', label: 'Diferença', type: 'decimal' },
+          { key: 'variationPercent', label: 'Variação (%)', type: 'decimal' }
+        ],
+        rows: data.categoryComparison
+      }),
+      new ExportTable({
+        name: 'insights',
+        title: 'Observações',
+        columns: [{ key: 'message', label: 'Observação' }],
+        rows: data.insights
+      })
+    ];
+  }
+
+  /**
+   * Análise de padrões: resumo, dias da semana, categorias, partes do mês e tickets
+   *
+   * @param {Report} report - Análise de padrões
+   * @returns {ExportTable[]}
+   */
+  buildPatternsTables(report) {
+    const { summary, data } = report;
+    const monthParts = {
+      início: 'Início (dias 1 a 10)',
+      meio: 'Meio (dias 11 a 20)',
+      fim: 'Fim (dias 21 em diante)'
+    };
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'totalTransactions', label: 'Transações', value: summary.totalTransactions, type: 'number' },
+        { key: 'activeDays', label: 'Dias com movimento', value: summary.activeDays, type: 'number' },
+        { key: 'activityRate', label: 'Dias com movimento (%)', value: summary.activityRate, type: 'decimal' },
+        {
+          key: 'averageTransactionsPerDay',
+          label: 'Transações por dia com movimento',
+          value: summary.averageTransactionsPerDay,
+          type: 'decimal'
+        },
+        { key: 'totalIncome', label: 'Receitas', value: summary.totalIncome, type: 'decimal' },
+        { key: 'totalExpenses', label: 'Despesas', value: summary.totalExpenses, type: 'decimal' },
+        { key: 'balance', label: 'Saldo', value: summary.balance, type: 'decimal' }
+      ]),
+      new ExportTable({
+        name: 'weekdays',
+        title: 'Dias da Semana',
+        columns: [
+          { key: 'dayName', label: 'Dia' },
+          { key: 'transactionCount', label: 'Transações', type: 'number' },
+          { key: 'totalIncome', label: 'Receitas', type: 'decimal' },
+          { key: 'totalExpenses', label: 'Despesas', type: 'decimal' },
+          { key: 'averageExpense', label: 'Despesa média', type: 'decimal' }
+        ],
+        rows: data.dayOfWeekPattern.data
+      }),
+      new ExportTable({
+        name: 'categories',
+        title: 'Categorias',
+        columns: [
+          { key: 'categoryName', label: 'Categoria' },
+          { key: 'type', label: 'Tipo', labels: TYPE_LABELS },
+          { key: 'frequency', label: 'Transações', type: 'number' },
+          { key: 'frequencyPercent', label: '% das transações', type: 'decimal' },
+          { key: 'total', label: 'Total', type: 'decimal' },
+          { key: 'averageTicket', label: 'Ticket médio', type: 'decimal' }
+        ],
+        rows: data.categoryFrequency
+      }),
+      new ExportTable({
+        name: 'monthParts',
+        title: 'Partes do Mês',
+        columns: [
+          { key: 'part', label: 'Parte do mês' },
+          { key: 'income', label: 'Receitas', type: 'decimal' },
+          { key: 'incomeCount', label: 'Qtd. receitas', type: 'number' },
+          { key: 'expense', label: 'Despesas', type: 'decimal' },
+          { key: 'expenseCount', label: 'Qtd. despesas', type: 'number' }
+        ],
+        rows: Object.keys(monthParts).map(part => ({ ...data.timePattern[part], part: monthParts[part] }))
+      }),
+      new ExportTable({
+        name: 'tickets',
+        title: 'Valores por Tipo',
+        columns: [
+          { key: 'type', label: 'Tipo', labels: TYPE_LABELS },
+          { key: 'count', label: 'Transações', type: 'number' },
+          { key: 'total', label: 'Total', type: 'decimal' },
+          { key: 'average', label: 'Média', type: 'decimal' },
+          { key: 'median', label: 'Mediana', type: 'decimal' },
+          { key: 'min', label: 'Menor valor', type: 'decimal' },
+          { key: 'max', label: 'Maior valor', type: 'decimal' }
+        ],
+        rows: Object.keys(data.ticketAnalysis).map(type => ({ ...data.ticketAnalysis[type], type }))
+      })
+    ];
+  }
+
+  /**
+   * Relatório por tag: resumo e as tags
+   *
+   * @param {Report} report - Relatório por tag
+   * @returns {ExportTable[]}
+   */
+  buildTagTables(report) {
+    const { summary, data } = report;
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'totalExpense', label: 'Despesas', value: summary.totalExpense, type: 'decimal' },
+        { key: 'expenseCount', label: 'Quantidade de despesas', value: summary.expenseCount, type: 'number' },
+        { key: 'taggedTotal', label: 'Despesas com tag', value: summary.taggedTotal, type: 'decimal' },
+        { key: 'untaggedTotal', label: 'Despesas sem tag', value: data.untagged.total, type: 'decimal' },
+        { key: 'untaggedCount', label: 'Quantidade sem tag', value: data.untagged.count, type: 'number' }
+      ]),
+      new ExportTable({
+        name: 'tags',
+        title: 'Tags',
+        columns: [
+          { key: 'name', label: 'Tag' },
+          { key: 'total', label: 'Total', type: 'decimal' },
+          { key: 'count', label: 'Transações', type: 'number' },
+          { key: 'average', label: 'Média', type: 'decimal' },
+          { key: 'percentage', label: '% das despesas', type: 'decimal' }
+        ],
+        rows: data.tags
+      })
+    ];
+  }
+
+  /**
+   * Relatório por favorecido: resumo e os favorecidos
+   *
+   * @param {Report} report - Relatório por favorecido
+   * @returns {ExportTable[]}
+   */
+  buildPayeeTables(report) {
+    const { summary, data } = report;
+
+    return [
+      ExportTable.fromFields('summary', 'Resumo', [
+        { key: 'period', label: 'Período', value: report.period.label },
+        { key: 'totalExpense', label: 'Despesas', value: summary.totalExpense, type: 'decimal' },
+        { key: 'expenseCount', label: 'Quantidade de despesas', value: summary.expenseCount, type: 'number' },
+        { key: 'assignedTotal', label: 'Despesas com favorecido', value: summary.assignedTotal, type: 'decimal' },
+        { key: 'unassignedTotal', label: 'Despesas sem favorecido', value: data.unassigned.total, type: 'decimal' },
+        { key: 'payeeCount', label: 'Favorecidos', value: summary.payeeCount, type: 'number' },
+        { key: 'months', label: 'Meses considerados', value: summary.months, type: 'number' }
+      ]),
+      new ExportTable({
+        name: 'payees',
+        title: 'Favorecidos',
+        columns: [
+          { key: 'name', label: 'Favorecido' },
+          { key: 'total', label: 'Total', type: 'decimal' },
+          { key: 'count', label: 'Transações', type: 'number' },
+          { key: 'average', label: 'Ticket médio', type: 'decimal' },
+          { key: 'frequency', label: 'Compras por mês', type: 'number' },
+          { key: 'lastDate', label: 'Última compra', type: 'date' },
+          { key: 'percentage', label: '% das despesas', type: 'decimal' }
+        ],
+        rows: data.payees
+      })
+    ];
+  }
+
+  /**
+   * Mês e ano de um mês informado (YYYY-MM ou { month, year }) ou, sem ele,
+   * do mês atual deslocado de offset meses
+   *
+   * @param {string|Object} value - Mês informado
+   * @param {number} offset - Deslocamento do mês atual quando não informado
+   * @returns {{month: number, year: number}}
+   */
+  parseMonth(value, offset) {
+    if (value && typeof value === 'object') {
+      return { month: Number(value.month), year: Number(value.year) };
+    }
+
+    if (value) {
+      const [year, month] = String(value).split('-');
+      return { month: parseInt(month, 10), year: parseInt(year, 10) };
+    }
+
+    const date = new Date();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + offset);
+
+    return { month: date.getMonth() + 1, year: date.getFullYear() };
+  }
+
+  /**
+   * Período dos relatórios de maiores transações, tags e favorecidos: com
+   * as duas datas, o intervalo informado
+   *
+   * @param {Object} options - Opções do relatório
+   * @returns {{period: string, startDate?: Date, endDate?: Date}}
+   */
+  getPeriodOptions(options) {
+    if (options.startDate && options.endDate) {
+      return {
+        period: 'custom',
+        startDate: options.startDate instanceof Date ? options.startDate : new Date(options.startDate),
+        endDate: options.endDate instanceof Date ? options.endDate : new Date(options.endDate)
+      };
+    }
+
+    return { period: options.period || 'month' };
+  }
+}
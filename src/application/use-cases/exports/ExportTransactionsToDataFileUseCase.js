@@ -0,0 +1,187 @@
+import { Category, UNCATEGORIZED_NAME } from '../../../domain/entities/Category.js';
+import { ExportConfig } from '../../../domain/entities/ExportConfig.js';
+import { ExportTable } from '../../../domain/entities/ExportTable.js';
+import { TRANSACTION_STATUSES } from '../../../domain/entities/Transaction.js';
+
+/**
+ * Export Transactions to Data File Use Case
+ *
+ * Caso de uso para exportar transações para CSV ou JSON, para planilhas e
+ * scripts. O CSV usa as mesmas colunas que a importação de CSV reconhece
+ * (Data, Tipo, Valor, Descrição, Categoria "Pai:Filho"), então o arquivo
+ * pode ser importado de volta com o perfil detectado
+ * Parte da Application Layer
+ *
+ * @class ExportTransactionsToDataFileUseCase
+ */
+export class ExportTransactionsToDataFileUseCase {
+  /**
+   * Inicializa o caso de uso
+   *
+   * @param {Object} transactionRepository - Repositório de transações
+   * @param {Object} categoryRepository - Repositório de categorias
+   * @param {ExportFileService} exportFileService - Gravação do arquivo
+   */
+  constructor(transactionRepository, categoryRepository, exportFileService) {
+    this.transactionRepository = transactionRepository;
+    this.categoryRepository = categoryRepository;
+    this.exportFileService = exportFileService;
+  }
+
+  /**
+   * Executa a exportação de transações
+   *
+   * @param {string} userId - ID do usuário
+   * @param {Object} filters - Filtros para as transações (sem datas nem
+   *   período, o mês atual)
+   * @param {Date} filters.startDate - Data inicial
+   * @param {Date} filters.endDate - Data final
+   * @param {string} filters.period - Período predefinido (current-month, last-year, etc.)
+   * @param {string} filters.type - Tipo de transação ('income', 'expense')
+   * @param {string} filters.categoryId - ID da categoria
+   * @param {string} filters.accountId - ID da conta
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.format - 'csv' (padrão) ou 'json'
+   * @param {string} options.locale - Formato dos números e datas do CSV (padrão: 'pt-BR')
+   * @param {string} options.filename - Nome customizado do arquivo
+   * @returns {Promise<Object>} Informações do arquivo gerado
+   */
+  async execute(userId, filters = {}, options = {}) {
+    try {
+      if (!userId) {
+        throw new Error('ID do usuário é obrigatório');
+      }
+
+      const config = new ExportConfig({
+        type: 'transactions',
+        filters: this.normalizeFilters(filters),
+        format: options.format || 'csv',
+        locale: options.locale || 'pt-BR'
+      });
+
+      if (config.format === 'pdf') {
+        throw new Error('Use a exportação em PDF para gerar PDFs');
+      }
+
+      // Sem transferências e previstas, como o PDF
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        ...config.filters,
+        includeTransfers: false,
+        includePlanned: false,
+        limit: null
+      });
+
+      const categories = await this.categoryRepository.findByUserId(userId);
+      const table = this.buildTable(transactions, Category.buildPaths(categories));
+
+      const content = config.format === 'json'
+        ? ExportTable.toJson([table], {
+          type: 'transactions',
+          title: config.getTitle(),
+          period: {
+            start: ExportTable.normalizeValue(config.filters.startDate, 'date'),
+            end: ExportTable.normalizeValue(config.filters.endDate, 'date')
+          },
+          generatedAt: config.createdAt.toISOString()
+        })
+        : ExportTable.toCsv([table], config.getLocaleFormat());
+
+      const result = await this.exportFileService.write(options.filename || config.generateFilename(), content);
+
+      return {
+        success: true,
+        ...result,
+        format: config.format,
+        transactionCount: transactions.length,
+        filters: config.filters
+      };
+    } catch (error) {
+      console.error('Erro ao exportar transações para CSV/JSON:', error);
+      throw new Error(`Falha na exportação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normaliza os filtros recebidos
+   *
+   * @param {Object} filters - Filtros brutos
+   * @returns {Object} Filtros normalizados
+   */
+  normalizeFilters(filters) {
+    const normalized = {};
+
+    if (filters.period) {
+      const periodDates = ExportConfig.getPeriodDates(filters.period);
+      normalized.startDate = periodDates.startDate;
+      normalized.endDate = periodDates.endDate;
+    } else {
+      if (filters.startDate) {
+        normalized.startDate = filters.startDate instanceof Date ? filters.startDate : new Date(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        normalized.endDate = filters.endDate instanceof Date ? filters.endDate : new Date(filters.endDate);
+      }
+
+      // Se não houver datas, usar mês atual
+      if (!normalized.startDate && !normalized.endDate) {
+        const periodDates = ExportConfig.getPeriodDates('current-month');
+        normalized.startDate = periodDates.startDate;
+        normalized.endDate = periodDates.endDate;
+      }
+    }
+
+    if (filters.type && ['income', 'expense'].includes(filters.type)) {
+      normalized.type = filters.type;
+    }
+
+    if (filters.categoryId) {
+      normalized.categoryId = filters.categoryId;
+    }
+
+    if (filters.accountId) {
+      normalized.accountId = filters.accountId;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Tabela das transações, da mais antiga para a mais recente
+   *
+   * @param {Array} transactions - Transações exportadas
+   * @param {Map} categoryPaths - ID da categoria -> caminho
+   * @returns {ExportTable}
+   */
+  buildTable(transactions, categoryPaths) {
+    const sorted = [...transactions].sort((a, b) => a.date - b.date || Number(a.id) - Number(b.id));
+
+    return new ExportTable({
+      name: 'transactions',
+      title: 'Transações',
+      columns: [
+        { key: 'date', label: 'Data', type: 'date' },
+        { key: 'type', label: 'Tipo', labels: { income: 'Receita', expense: 'Despesa' } },
+        { key: 'amount', label: 'Valor', type: 'decimal' },
+        { key: 'description', label: 'Descrição' },
+        { key: 'category', label: 'Categoria' },
+        { key: 'account', label: 'Conta' },
+        { key: 'payee', label: 'Favorecido' },
+        { key: 'tags', label: 'Tags' },
+        { key: 'status', label: 'Situação', labels: TRANSACTION_STATUSES }
+      ],
+      rows: sorted.map(transaction => ({
+        date: transaction.date,
+        type: transaction.type,
+        amount: transaction.amount,
+        description: transaction.description,
+        category: categoryPaths.get(Number(transaction.categoryId)) || transaction.categoryName || UNCATEGORIZED_NAME,
+        account: transaction.accountName,
+        payee: transaction.payeeName,
+        tags: transaction.tags.join(', '),
+        status: transaction.status
+      }))
+    });
+  }
+}
@@ -1,3 +1,5 @@
+import { ExportConfig } from '../../../domain/entities/ExportConfig.js';
+
 /**
  * Export Transactions to PDF Use Case
  *
@@ -12,10 +14,14 @@ export class ExportTransactionsToPDFUseCase {
    *
    * @param {Object} transactionRepository - Repositório de transações
    * @param {PDFExportService} pdfExportService - Serviço de exportação PDF
+   * @param {Object} attachmentRepository - Repositório de anexos (opcional)
+   * @param {AttachmentStorageService} attachmentStorage - Armazenamento dos anexos (opcional)
    */
-  constructor(transactionRepository, pdfExportService) {
+  constructor(transactionRepository, pdfExportService, attachmentRepository = null, attachmentStorage = null) {
     this.transactionRepository = transactionRepository;
     this.pdfExportService = pdfExportService;
+    this.attachmentRepository = attachmentRepository;
+    this.attachmentStorage = attachmentStorage;
   }
 
   /**
@@ -29,6 +35,7 @@ export class ExportTransactionsToPDFUseCase {
    * @param {string} filters.categoryId - ID da categoria
    * @param {Object} options - Opções adicionais
    * @param {boolean} options.includeSummary - Incluir resumo no PDF
+   * @param {boolean} options.includeAttachments - Incluir os anexos (miniaturas e links) no fim do PDF
    * @param {string} options.filename - Nome customizado do arquivo
    * @returns {Promise<Object>} Informações do arquivo gerado
    */
@@ -42,22 +49,14 @@ export class ExportTransactionsToPDFUseCase {
       // Preparar filtros
       const normalizedFilters = this.normalizeFilters(filters);
 
-      // 1. Buscar transações do repositório
-      const transactionsResult = await this.transactionRepository.findByUserId(
+      // 1. Buscar transações do repositório (sem transferências e previstas, como o resumo)
+      const transactions = await this.transactionRepository.findByFilters({
         userId,
-        {
-          filters: normalizedFilters,
-          limit: 10000, // Limite alto para exportação
-          orderBy: 'date',
-          orderDirection: 'DESC'
-        }
-      );
-
-      if (!transactionsResult || !transactionsResult.data) {
-        throw new Error('Erro ao buscar transações');
-      }
-
-      const transactions = transactionsResult.data;
+        ...normalizedFilters,
+        includeTransfers: false,
+        includePlanned: false,
+        limit: null
+      });
 
       // Verificar se há transações
       if (transactions.length === 0) {
@@ -77,10 +76,15 @@ export class ExportTransactionsToPDFUseCase {
         period
       };
 
+      const attachments = options.includeAttachments
+        ? await this.collectAttachments(transactions)
+        : [];
+
       const result = await this.pdfExportService.generateTransactionsPDF(
         {
           transactions,
-          summary
+          summary,
+          attachments
         },
         pdfOptions
       );
@@ -90,6 +94,7 @@ export class ExportTransactionsToPDFUseCase {
         success: true,
         ...result,
         transactionCount: transactions.length,
+        attachmentCount: attachments.length,
         summary,
         period,
         filters: normalizedFilters
@@ -100,6 +105,36 @@ export class ExportTransactionsToPDFUseCase {
     }
   }
 
+  /**
+   * Reúne os anexos das transações exportadas, com o arquivo local (para as
+   * miniaturas) e o link de download
+   *
+   * @param {Array} transactions - Transações exportadas
+   * @returns {Promise<Array>} Anexos na ordem das transações
+   */
+  async collectAttachments(transactions) {
+    if (!this.attachmentRepository || !this.attachmentStorage || transactions.length === 0) {
+      return [];
+    }
+
+    const attachments = await this.attachmentRepository.findByTransactionIds(
+      transactions.map(transaction => transaction.id)
+    );
+
+    return transactions.flatMap(transaction => attachments
+      .filter(attachment => attachment.transactionId === transaction.id)
+      .map(attachment => ({
+        transaction,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        filePath: this.attachmentStorage.exists(attachment.contentHash)
+          ? this.attachmentStorage.getPath(attachment.contentHash)
+          : null,
+        url: this.attachmentStorage.createLink(attachment)
+      })));
+  }
+
   /**
    * Normaliza os filtros recebidos
    *
@@ -157,46 +192,7 @@ export class ExportTransactionsToPDFUseCase {
    * @returns {Object} Datas de início e fim
    */
   getPeriodDates(period) {
-    const now = new Date();
-    let startDate, endDate;
-
-    switch (period) {
-    case 'current-month':
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-      break;
-
-    case 'last-month':
-      startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      endDate = new Date(now.getFullYear(), now.getMonth(), 0);
-      break;
-
-    case 'last-3-months':
-      startDate = new Date(now.getFullYear(), now.getMonth() - 3, 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-      break;
-
-    case 'last-6-months':
-      startDate = new Date(now.getFullYear(), now.getMonth() - 6, 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-      break;
-
-    case 'current-year':
-      startDate = new Date(now.getFullYear(), 0, 1);
-      endDate = new Date(now.getFullYear(), 11, 31);
-      break;
-
-    case 'last-year':
-      startDate = new Date(now.getFullYear() - 1, 0, 1);
-      endDate = new Date(now.getFullYear() - 1, 11, 31);
-      break;
-
-    default:
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    }
-
-    return { startDate, endDate };
+    return ExportConfig.getPeriodDates(period);
   }
 
   /**
@@ -0,0 +1,154 @@
+import { Category } from '../../../domain/entities/Category.js';
+import { ExportConfig } from '../../../domain/entities/ExportConfig.js';
+import { QifFile } from '../../../domain/entities/QifFile.js';
+
+/**
+ * Export Transactions to QIF Use Case
+ *
+ * Caso de uso para exportar transações para QIF, o formato de troca dos
+ * programas de finanças de desktop. Cada conta vira um bloco !Account, as
+ * categorias saem como "Pai:Filho" e as transferências como "[Conta]"
+ * Parte da Application Layer
+ *
+ * @class ExportTransactionsToQifUseCase
+ */
+export class ExportTransactionsToQifUseCase {
+  /**
+   * Inicializa o caso de uso
+   *
+   * @param {Object} transactionRepository - Repositório de transações
+   * @param {Object} categoryRepository - Repositório de categorias
+   * @param {Object} accountRepository - Repositório de contas
+   * @param {ExportFileService} exportFileService - Gravação do arquivo
+   */
+  constructor(transactionRepository, categoryRepository, accountRepository, exportFileService) {
+    this.transactionRepository = transactionRepository;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+    this.exportFileService = exportFileService;
+  }
+
+  /**
+   * Executa a exportação de transações
+   *
+   * @param {string} userId - ID do usuário
+   * @param {Object} filters - Filtros para as transações (sem datas nem
+   *   período, todo o histórico)
+   * @param {Date} filters.startDate - Data inicial
+   * @param {Date} filters.endDate - Data final
+   * @param {string} filters.period - Período predefinido (current-month, last-year, etc.)
+   * @param {string} filters.accountId - ID da conta
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.dateFormat - 'dd/mm/yyyy' (padrão) ou 'mm/dd/yyyy'
+   * @param {string} options.filename - Nome customizado do arquivo
+   * @returns {Promise<Object>} Informações do arquivo gerado
+   */
+  async execute(userId, filters = {}, options = {}) {
+    try {
+      if (!userId) {
+        throw new Error('ID do usuário é obrigatório');
+      }
+
+      const normalizedFilters = this.normalizeFilters(filters);
+
+      // Previstas ainda não aconteceram e ficam de fora
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        ...normalizedFilters,
+        includeTransfers: true,
+        includePlanned: false,
+        limit: null
+      });
+
+      const categories = await this.categoryRepository.findByUserId(userId);
+      const accounts = await this.accountRepository.findByUserId(userId);
+      const blocks = this.groupByAccount(transactions, accounts, Category.buildPaths(categories));
+      const date = new Date().toISOString().split('T')[0];
+
+      const result = await this.exportFileService.write(
+        options.filename || `transacoes_${date}_${Date.now()}.qif`,
+        QifFile.serialize(blocks, options.dateFormat || 'dd/mm/yyyy')
+      );
+
+      return {
+        success: true,
+        ...result,
+        transactionCount: transactions.length,
+        accountCount: blocks.length,
+        filters: normalizedFilters
+      };
+    } catch (error) {
+      console.error('Erro ao exportar transações para QIF:', error);
+      throw new Error(`Falha na exportação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normaliza os filtros recebidos
+   *
+   * @param {Object} filters - Filtros brutos
+   * @returns {Object} Filtros normalizados
+   */
+  normalizeFilters(filters) {
+    const normalized = {};
+
+    if (filters.period) {
+      const periodDates = ExportConfig.getPeriodDates(filters.period);
+      normalized.startDate = periodDates.startDate;
+      normalized.endDate = periodDates.endDate;
+    } else {
+      if (filters.startDate) {
+        normalized.startDate = filters.startDate instanceof Date ? filters.startDate : new Date(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        normalized.endDate = filters.endDate instanceof Date ? filters.endDate : new Date(filters.endDate);
+      }
+    }
+
+    if (filters.accountId) {
+      normalized.accountId = filters.accountId;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Agrupa as transações por conta, da mais antiga para a mais recente
+   *
+   * @param {Array} transactions - Transações exportadas
+   * @param {Array} accounts - Contas do usuário
+   * @param {Map} categoryPaths - ID da categoria -> caminho
+   * @returns {Array} Blocos de QifFile.serialize
+   */
+  groupByAccount(transactions, accounts, categoryPaths) {
+    const sorted = [...transactions].sort((a, b) => a.date - b.date || Number(a.id) - Number(b.id));
+    const path = categoryId => categoryPaths.get(Number(categoryId)) || '';
+
+    return accounts
+      .map(account => ({
+        name: account.name,
+        accountType: account.type,
+        transactions: sorted
+          .filter(transaction => Number(transaction.accountId) === Number(account.id))
+          .map(transaction => {
+            const sign = transaction.isExpense() ? -1 : 1;
+
+            return {
+              date: transaction.date,
+              amount: sign * transaction.amount,
+              payee: transaction.description,
+              category: transaction.isTransfer()
+                ? `[${transaction.transferAccountName || ''}]`
+                : path(transaction.categoryId),
+              status: transaction.reconciliationId ? 'reconciled' : transaction.status,
+              splits: transaction.splits.map(split => ({
+                category: path(split.categoryId),
+                amount: sign * split.amount
+              }))
+            };
+          })
+      }))
+      .filter(block => block.transactions.length > 0);
+  }
+}
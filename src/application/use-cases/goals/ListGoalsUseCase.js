@@ -31,7 +31,19 @@ export class ListGoalsUseCase {
 
     // Enriquecer com informações calculadas
     return goals.map(goalData => {
-      const goal = new Goal(goalData);
+      const goal = new Goal({
+        id: goalData.id,
+        userId: goalData.user_id,
+        name: goalData.name,
+        targetAmount: goalData.target_amount,
+        currentAmount: goalData.current_amount,
+        monthlyContribution: goalData.monthly_contribution,
+        deadline: goalData.deadline,
+        status: goalData.status,
+        completedAt: goalData.completed_at,
+        createdAt: goalData.created_at,
+        updatedAt: goalData.updated_at
+      });
       const progress = goal.calculateProgress();
       const estimate = goal.estimateCompletionDate();
       const daysRemaining = goal.getDaysRemaining();
@@ -0,0 +1,42 @@
+/**
+ * Caso de uso: Deletar perfil de importação
+ * As transações já importadas com o perfil são mantidas
+ */
+export class DeleteImportProfileUseCase {
+  constructor(importProfileRepository) {
+    this.importProfileRepository = importProfileRepository;
+  }
+
+  /**
+   * Executa a deleção de um perfil
+   * @param {string} userId
+   * @param {number} profileId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, profileId) {
+    try {
+      const profile = await this.importProfileRepository.findById(profileId);
+
+      if (!profile) {
+        return { success: false, errors: ['Perfil de importação não encontrado'] };
+      }
+
+      if (!profile.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar este perfil'] };
+      }
+
+      const deleted = await this.importProfileRepository.delete(profileId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar perfil de importação'] };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar perfil de importação: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,145 @@
+import { Category, UNCATEGORIZED_NAME } from '../../../domain/entities/Category.js';
+import { ImportProfile } from '../../../domain/entities/ImportProfile.js';
+
+/**
+ * Caso de uso: Importar transações de um arquivo CSV
+ * Cada linha passa pela criação de transação (validação, regras de
+ * categorização, favorecido e aviso de duplicada), então uma linha com
+ * problema não impede as outras: o resultado traz a situação de cada uma.
+ * A categoria vem da coluna de categoria (pelo nome); sem ela, das regras
+ * e, por último, da categoria padrão do tipo informada na importação.
+ */
+export class ImportCsvTransactionsUseCase {
+  constructor(importFileService, createTransactionUseCase, categoryRepository) {
+    this.importFileService = importFileService;
+    this.createTransactionUseCase = createTransactionUseCase;
+    this.categoryRepository = categoryRepository;
+  }
+
+  /**
+   * Executa a importação
+   * @param {string} userId
+   * @param {string} filePath - Caminho do arquivo local
+   * @param {ImportProfile|Object} profile - Como ler o arquivo
+   * @param {Object} options - { accountId?, fallbackCategoryIds?: {income?, expense?},
+   *   allowDuplicates?, lines?: number[], dryRun? }
+   *   (lines limita às linhas do arquivo informadas, ex: para importar as
+   *   duplicadas depois de conferir; dryRun só confere as linhas, sem gravar)
+   * @returns {Promise<{success: boolean, fileName?: string, importedCount?: number,
+   *   results?: Array<{line: number, status: string, transaction?: Transaction|Object,
+   *   errors?: string[], warnings?: string[], needsCategory?: boolean}>, errors?: string[]}>}
+   *   status: 'imported', 'duplicate', 'error' ou, no dryRun, 'valid'
+   */
+  async execute(userId, filePath, profile, options = {}) {
+    const {
+      accountId = null,
+      fallbackCategoryIds = {},
+      allowDuplicates = false,
+      lines = null,
+      dryRun = false
+    } = options;
+
+    try {
+      const mapping = profile instanceof ImportProfile ? profile : new ImportProfile({ ...profile, userId });
+      const validation = mapping.validateMapping();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const file = await this.importFileService.read(filePath, mapping.encoding);
+      const rows = mapping.getDataRows(ImportProfile.parseCsv(file.text, mapping.delimiter))
+        .filter(row => !lines || lines.includes(row.line));
+
+      if (rows.length === 0) {
+        return { success: false, errors: ['Nenhuma linha para importar'] };
+      }
+
+      const categories = await this.categoryRepository.findByUserId(userId);
+      const results = [];
+
+      for (const row of rows) {
+        results.push(await this._importRow(userId, mapping, row, categories, {
+          accountId,
+          fallbackCategoryIds,
+          allowDuplicates,
+          dryRun
+        }));
+      }
+
+      return {
+        success: true,
+        fileName: file.fileName,
+        importedCount: results.filter(result => result.status === 'imported').length,
+        results
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao importar o arquivo: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Confere e cria a transação de uma linha
+   * @private
+   */
+  async _importRow(userId, mapping, row, categories, { accountId, fallbackCategoryIds, allowDuplicates, dryRun }) {
+    const { transaction, errors } = mapping.parseRow(row.cells);
+
+    if (errors.length > 0) {
+      return { line: row.line, status: 'error', transaction, errors };
+    }
+
+    const warnings = [];
+    // "Sem categoria" (como sai na exportação) é o mesmo que a coluna vazia
+    const categoryName = Category.normalizeName(transaction.categoryName) === Category.normalizeName(UNCATEGORIZED_NAME)
+      ? null
+      : transaction.categoryName;
+    const category = categoryName
+      ? Category.findByName(categories, categoryName, transaction.type)
+      : null;
+
+    if (categoryName && !category) {
+      warnings.push(`Categoria não encontrada: "${categoryName}"`);
+    }
+
+    const fallbackCategoryId = fallbackCategoryIds[transaction.type] || null;
+
+    if (dryRun) {
+      return {
+        line: row.line,
+        status: 'valid',
+        transaction: { ...transaction, categoryId: category ? category.id : null },
+        warnings,
+        // Sem categoria da coluna nem padrão, só as regras e o favorecido podem categorizar
+        needsCategory: !category && !fallbackCategoryId
+      };
+    }
+
+    const result = await this.createTransactionUseCase.execute({
+      userId,
+      type: transaction.type,
+      categoryId: category ? category.id : null,
+      fallbackCategoryId,
+      accountId,
+      amount: transaction.amount,
+      description: transaction.description,
+      date: transaction.date,
+      allowDuplicate: allowDuplicates
+    });
+
+    if (result.success) {
+      return { line: row.line, status: 'imported', transaction: result.transaction, warnings };
+    }
+
+    return {
+      line: row.line,
+      status: result.duplicates ? 'duplicate' : 'error',
+      transaction,
+      errors: result.errors,
+      warnings
+    };
+  }
+}
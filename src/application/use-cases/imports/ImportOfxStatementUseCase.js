@@ -0,0 +1,243 @@
+import { OfxStatement } from '../../../domain/entities/OfxStatement.js';
+import { DuplicateGroup, DUPLICATE_WINDOW_DAYS } from '../../../domain/entities/DuplicateGroup.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Caso de uso: Importar o extrato de um arquivo OFX
+ * Cada lançamento do extrato é classificado antes de gravar:
+ * - new: ainda não existe na conta
+ * - skipped: o FITID já foi importado nesta conta (reimportar um período
+ *   não duplica as transações)
+ * - conflict: o FITID já foi importado com outros dados, ou há uma
+ *   transação parecida digitada à mão (esta só entra se for aceita)
+ * - error: data ou valor inválido
+ * Os novos passam pela criação de transação (validação, regras de
+ * categorização e favorecido) com o FITID gravado.
+ */
+export class ImportOfxStatementUseCase {
+  constructor(importFileService, createTransactionUseCase, transactionRepository, accountRepository) {
+    this.importFileService = importFileService;
+    this.createTransactionUseCase = createTransactionUseCase;
+    this.transactionRepository = transactionRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a importação
+   * @param {string} userId
+   * @param {string} filePath - Caminho do arquivo local
+   * @param {Object} options - { accountId?, fallbackCategoryIds?: {income?, expense?},
+   *   acceptConflicts?: number[], dryRun? }
+   *   (sem accountId, a conta padrão; acceptConflicts são as posições no
+   *   extrato dos conflitos com transações parecidas que devem entrar mesmo
+   *   assim; dryRun só classifica, sem gravar)
+   * @returns {Promise<{success: boolean, fileName?: string, statement?: OfxStatement,
+   *   importedCount?: number, entries?: Array<{index: number, fitId: string|null, status: string,
+   *   transaction: Object, reason?: string, matches?: Transaction[], errors?: string[],
+   *   needsCategory?: boolean}>, errors?: string[]}>}
+   *   status: 'new' (no dryRun), 'imported', 'skipped', 'conflict' ou 'error'
+   */
+  async execute(userId, filePath, options = {}) {
+    const {
+      accountId = null,
+      fallbackCategoryIds = {},
+      acceptConflicts = [],
+      dryRun = false
+    } = options;
+
+    try {
+      const file = await this.importFileService.read(filePath);
+      const statement = OfxStatement.parse(file.text);
+
+      if (statement.entries.length === 0) {
+        return { success: false, errors: ['O extrato não tem lançamentos'] };
+      }
+
+      const accountResult = await this._resolveAccount(userId, accountId);
+
+      if (accountResult.error) {
+        return { success: false, errors: [accountResult.error] };
+      }
+
+      const entries = await this._classify(userId, statement, accountResult.account);
+
+      if (!dryRun) {
+        for (const entry of entries) {
+          const accepted = entry.status === 'conflict' && entry.matches && acceptConflicts.includes(entry.index);
+
+          if (entry.status === 'new' || accepted) {
+            await this._create(userId, entry, accountResult.account, fallbackCategoryIds);
+          }
+        }
+      }
+
+      entries.forEach(entry => {
+        if (entry.status === 'new' || (entry.status === 'conflict' && entry.matches)) {
+          entry.needsCategory = !fallbackCategoryIds[entry.transaction.type];
+        }
+      });
+
+      return {
+        success: true,
+        fileName: file.fileName,
+        statement,
+        importedCount: entries.filter(entry => entry.status === 'imported').length,
+        entries
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao importar o extrato: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Conta informada (validando o dono) ou a conta padrão, se houver
+   * @private
+   * @returns {Promise<{account?: Account|null, error?: string}>}
+   */
+  async _resolveAccount(userId, accountId) {
+    if (!accountId) {
+      return { account: await this.accountRepository.findDefaultByUserId(userId) };
+    }
+
+    const account = await this.accountRepository.findById(accountId);
+
+    if (!account || !account.belongsTo(userId)) {
+      return { error: 'Conta não encontrada' };
+    }
+
+    if (!account.isActive()) {
+      return { error: `A conta "${account.name}" está arquivada` };
+    }
+
+    return { account };
+  }
+
+  /**
+   * Classifica os lançamentos do extrato
+   * @private
+   */
+  async _classify(userId, statement, account) {
+    const valid = statement.entries.filter(entry => entry.errors.length === 0);
+    const fitIds = [...new Set(valid.map(entry => entry.fitId).filter(fitId => fitId))];
+    const imported = account ? await this.transactionRepository.findByExternalIds(account.id, fitIds) : [];
+    const candidates = await this._findCandidates(userId, valid, account);
+    const seen = new Map();
+
+    return statement.entries.map(entry => {
+      const transaction = {
+        type: entry.type,
+        amount: entry.amount,
+        date: entry.date,
+        description: entry.description,
+        externalId: entry.fitId
+      };
+      const result = { index: entry.index, fitId: entry.fitId, transaction };
+
+      if (entry.errors.length > 0) {
+        return { ...result, status: 'error', errors: entry.errors };
+      }
+
+      const previous = entry.fitId ? seen.get(entry.fitId) : null;
+
+      if (previous) {
+        return this._isSame(previous, transaction)
+          ? { ...result, status: 'skipped', reason: `Repetido no arquivo (lançamento ${previous.index})` }
+          : { ...result, status: 'conflict', reason: `FITID repetido no arquivo com outros dados (lançamento ${previous.index})` };
+      }
+
+      if (entry.fitId) {
+        seen.set(entry.fitId, { ...transaction, index: entry.index });
+      }
+
+      const existing = entry.fitId ? imported.find(other => other.externalId === entry.fitId) : null;
+
+      if (existing) {
+        return this._isSame(existing, transaction)
+          ? { ...result, status: 'skipped', reason: 'Já importado', existing }
+          : { ...result, status: 'conflict', reason: `Já importado com outros dados: ${existing.getSummary()}`, existing };
+      }
+
+      const matches = DuplicateGroup.findDuplicates(transaction, candidates);
+
+      if (matches.length > 0) {
+        return {
+          ...result,
+          status: 'conflict',
+          reason: `Parecido com: ${matches[0].getSummary()}`,
+          matches
+        };
+      }
+
+      return { ...result, status: 'new' };
+    });
+  }
+
+  /**
+   * Transações do período do extrato que podem ser o mesmo lançamento
+   * registrado à mão (as importadas de extrato nesta conta são outros
+   * lançamentos do banco, já que o FITID é diferente)
+   * @private
+   */
+  async _findCandidates(userId, entries, account) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const times = entries.map(entry => entry.date.getTime());
+    const window = (DUPLICATE_WINDOW_DAYS + 1) * DAY_IN_MS;
+
+    const transactions = await this.transactionRepository.findByFilters({
+      userId,
+      startDate: new Date(Math.min(...times) - window),
+      endDate: new Date(Math.max(...times) + window),
+      includeTransfers: false,
+      includePlanned: false,
+      limit: null
+    });
+
+    return transactions.filter(transaction =>
+      !(transaction.externalId && account && Number(transaction.accountId) === Number(account.id)));
+  }
+
+  /**
+   * Mesmo tipo, valor e dia
+   * @private
+   */
+  _isSame(a, b) {
+    return a.type === b.type &&
+      Math.round(a.amount * 100) === Math.round(b.amount * 100) &&
+      a.date.toDateString() === b.date.toDateString();
+  }
+
+  /**
+   * Cria a transação de um lançamento e atualiza a situação dele
+   * @private
+   */
+  async _create(userId, entry, account, fallbackCategoryIds) {
+    const result = await this.createTransactionUseCase.execute({
+      userId,
+      type: entry.transaction.type,
+      categoryId: null,
+      fallbackCategoryId: fallbackCategoryIds[entry.transaction.type] || null,
+      accountId: account ? account.id : null,
+      amount: entry.transaction.amount,
+      description: entry.transaction.description,
+      date: entry.transaction.date,
+      externalId: entry.fitId,
+      // As parecidas já foram conferidas contra o que havia antes do extrato
+      allowDuplicate: true
+    });
+
+    if (result.success) {
+      entry.status = 'imported';
+      entry.transaction = result.transaction;
+    } else {
+      entry.status = 'error';
+      entry.errors = result.errors;
+    }
+  }
+}
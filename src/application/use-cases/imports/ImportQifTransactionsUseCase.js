@@ -0,0 +1,450 @@
+import { Category } from '../../../domain/entities/Category.js';
+import { QifFile } from '../../../domain/entities/QifFile.js';
+import { MIN_SPLIT_LINES, MAX_SPLIT_LINES } from '../../../domain/entities/Transaction.js';
+
+/**
+ * Caso de uso: Importar transações de um arquivo QIF
+ * Como no CSV, cada transação passa pela criação de transação e uma com
+ * problema não impede as outras. As categorias do arquivo ("Pai:Filho") são
+ * procuradas pelo nome e, quando não existem, criadas — um terceiro nível,
+ * que as categorias não têm, entra no nome da subcategoria ("Filho - Neto").
+ * As transações vão para a conta de mesmo nome do arquivo (!Account), se
+ * houver, ou para a conta informada. Num arquivo que marca as compensadas
+ * (campo C), as que não têm a marca entram como pendentes. As transferências
+ * ("[Conta]") viram transferências para a conta ativa de mesmo nome; sem
+ * ela, são ignoradas — como receita ou despesa comum, inflariam os relatórios.
+ * As categorias criadas para uma transação que não é importada (duplicada
+ * ou com erro) são removidas em seguida, para não sobrarem vazias.
+ */
+export class ImportQifTransactionsUseCase {
+  constructor(
+    importFileService,
+    createTransactionUseCase,
+    createCategoryUseCase,
+    createTransferUseCase,
+    categoryRepository,
+    accountRepository,
+    transferRepository
+  ) {
+    this.importFileService = importFileService;
+    this.createTransactionUseCase = createTransactionUseCase;
+    this.createCategoryUseCase = createCategoryUseCase;
+    this.createTransferUseCase = createTransferUseCase;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+    this.transferRepository = transferRepository;
+  }
+
+  /**
+   * Executa a importação
+   * @param {string} userId
+   * @param {string} filePath - Caminho do arquivo local
+   * @param {Object} options - { accountId?, dateFormat?, fallbackCategoryIds?: {income?, expense?},
+   *   allowDuplicates?, entries?: number[], dryRun? }
+   *   (dateFormat 'auto' detecta pelas datas; entries limita às transações
+   *   do arquivo informadas, pela posição; dryRun só confere, sem gravar nem
+   *   criar categorias)
+   * @returns {Promise<{success: boolean, fileName?: string, qif?: QifFile, importedCount?: number,
+   *   newCategories?: string[], unmatchedAccounts?: string[], results?: Array<{index: number, status: string,
+   *   transaction?: Transaction|Object, errors?: string[], warnings?: string[],
+   *   needsCategory?: boolean}>, errors?: string[]}>}
+   *   status: 'imported', 'duplicate', 'skipped' (transferência sem a outra
+   *   conta ou outro lado de uma transferência do arquivo), 'error' ou, no
+   *   dryRun, 'valid';
+   *   newCategories são as categorias criadas (ou, no dryRun, a criar);
+   *   unmatchedAccounts, as contas do arquivo sem conta de mesmo nome, cujas
+   *   transações vão para a conta informada
+   */
+  async execute(userId, filePath, options = {}) {
+    const {
+      accountId = null,
+      dateFormat = 'auto',
+      fallbackCategoryIds = {},
+      allowDuplicates = false,
+      entries = null,
+      dryRun = false
+    } = options;
+
+    try {
+      const file = await this.importFileService.read(filePath);
+      const qif = QifFile.parse(file.text, dateFormat);
+      const selected = qif.entries.filter(entry => !entries || entries.includes(entry.index));
+
+      if (selected.length === 0) {
+        return {
+          success: false,
+          errors: [qif.investmentCount > 0
+            ? 'O arquivo só tem transações de investimento, que não são importadas'
+            : 'Nenhuma transação para importar']
+        };
+      }
+
+      const accounts = await this.accountRepository.findByUserId(userId);
+      const state = {
+        accounts,
+        categories: await this.categoryRepository.findByUserId(userId),
+        accountsByName: this._matchAccounts(qif.getAccountNames(), accounts),
+        tracksCleared: qif.entries.some(entry => entry.cleared !== null),
+        newCategories: [],
+        // Transferências já lidas do arquivo (o outro lado de cada uma é ignorado)
+        transfers: [],
+        dryRun
+      };
+      const results = [];
+
+      for (const entry of selected) {
+        results.push(await this._importEntry(userId, entry, state, {
+          accountId,
+          fallbackCategoryIds,
+          allowDuplicates,
+          dryRun
+        }));
+      }
+
+      return {
+        success: true,
+        fileName: file.fileName,
+        qif,
+        importedCount: results.filter(result => result.status === 'imported').length,
+        newCategories: state.newCategories,
+        unmatchedAccounts: [...state.accountsByName.entries()]
+          .filter(([, account]) => !account)
+          .map(([name]) => name),
+        results
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao importar o arquivo: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Confere e cria a transação de uma entrada do arquivo
+   * @private
+   */
+  async _importEntry(userId, entry, state, { accountId, fallbackCategoryIds, allowDuplicates, dryRun }) {
+    const transaction = {
+      type: entry.type,
+      amount: entry.amount,
+      date: entry.date,
+      description: entry.description
+    };
+
+    if (entry.errors.length > 0) {
+      return { index: entry.index, status: 'error', transaction, errors: entry.errors };
+    }
+
+    const account = entry.accountName ? state.accountsByName.get(entry.accountName) : null;
+
+    if (entry.category.transferAccount) {
+      return this._importTransfer(userId, entry, transaction, state, account, { accountId, allowDuplicates, dryRun });
+    }
+
+    const warnings = [];
+    // Categorias criadas para esta transação (removidas se ela não for importada)
+    state.created = { categories: [], labels: [] };
+
+    const { categoryId, splits, pending } = entry.splits.length > 0
+      ? await this._resolveSplits(userId, entry, state, warnings)
+      : await this._resolveEntryCategory(userId, entry, state, warnings);
+
+    const fallbackCategoryId = fallbackCategoryIds[entry.type] || null;
+
+    if (dryRun) {
+      return {
+        index: entry.index,
+        status: 'valid',
+        transaction: { ...transaction, categoryId, accountName: account ? account.name : null },
+        warnings,
+        // Sem categoria do arquivo nem padrão, só as regras e o favorecido podem categorizar
+        needsCategory: !categoryId && !pending && !fallbackCategoryId
+      };
+    }
+
+    const result = await this.createTransactionUseCase.execute({
+      userId,
+      type: entry.type,
+      categoryId,
+      fallbackCategoryId,
+      accountId: account ? account.id : accountId,
+      amount: entry.amount,
+      description: entry.description,
+      date: entry.date,
+      status: state.tracksCleared && !entry.cleared ? 'pending' : 'cleared',
+      splits,
+      allowDuplicate: allowDuplicates
+    });
+
+    if (result.success) {
+      return { index: entry.index, status: 'imported', transaction: result.transaction, warnings };
+    }
+
+    await this._discardCreatedCategories(state);
+
+    return {
+      index: entry.index,
+      status: result.duplicates ? 'duplicate' : 'error',
+      transaction,
+      errors: result.errors,
+      warnings
+    };
+  }
+
+  /**
+   * Conta ativa do usuário com o nome de cada conta do arquivo (!Account)
+   * @private
+   * @returns {Map<string, Account|null>} null = vai para a conta informada
+   */
+  _matchAccounts(names, accounts) {
+    return new Map(names.map(name => [
+      name,
+      accounts.find(account =>
+        account.isActive() && Category.normalizeName(account.name) === Category.normalizeName(name)) || null
+    ]));
+  }
+
+  /**
+   * Cria a transferência de uma entrada com "[Conta]" no campo L, entre a
+   * conta da transação e a conta ativa de mesmo nome (uma saída vai da conta
+   * da transação para a outra; uma entrada, o contrário)
+   * @private
+   */
+  async _importTransfer(userId, entry, transaction, state, account, { accountId, allowDuplicates, dryRun }) {
+    const name = entry.category.transferAccount;
+    const counterpart = this._matchAccounts([name], state.accounts).get(name);
+    const source = account || (accountId ? { id: accountId } : await this.accountRepository.findDefaultByUserId(userId));
+    const warnings = entry.splits.length > 0 ? ['Divisão ignorada: a transação é uma transferência'] : [];
+    const skip = reason => ({ index: entry.index, status: 'skipped', transaction, warnings: [...warnings, reason] });
+
+    if (!counterpart || !source || Number(counterpart.id) === Number(source.id)) {
+      return skip(`Transferência com "${name}" ignorada: não há outra conta ativa com esse nome`);
+    }
+
+    const [fromAccountId, toAccountId] = entry.type === 'expense'
+      ? [source.id, counterpart.id]
+      : [counterpart.id, source.id];
+    const transferData = { fromAccountId, toAccountId, amount: entry.amount, description: entry.description, date: entry.date };
+
+    // Um arquivo com as duas contas traz a transferência duas vezes, uma em cada conta
+    const key = [fromAccountId, toAccountId, Math.round(entry.amount * 100), entry.date.toDateString()].join(':');
+
+    if (state.transfers.includes(key)) {
+      return skip(`Outro lado de uma transferência com "${name}" já lida do arquivo`);
+    }
+
+    state.transfers.push(key);
+
+    if (dryRun) {
+      return {
+        index: entry.index,
+        status: 'valid',
+        transaction: { ...transaction, transfer: { fromAccountId, toAccountId } },
+        warnings,
+        needsCategory: false
+      };
+    }
+
+    if (!allowDuplicates && await this._transferExists(userId, transferData)) {
+      return {
+        index: entry.index,
+        status: 'duplicate',
+        transaction,
+        errors: [`Já existe uma transferência igual com "${name}" nesta data`],
+        warnings
+      };
+    }
+
+    const result = await this.createTransferUseCase.execute(userId, transferData);
+
+    if (result.success) {
+      return { index: entry.index, status: 'imported', transaction: result.transfer, warnings };
+    }
+
+    return { index: entry.index, status: 'error', transaction, errors: result.errors, warnings };
+  }
+
+  /**
+   * Verifica se já existe a mesma transferência (contas, valor e dia)
+   * @private
+   */
+  async _transferExists(userId, { fromAccountId, toAccountId, amount, date }) {
+    const transfers = await this.transferRepository.findByUserId(userId, {
+      accountId: fromAccountId,
+      startDate: date,
+      endDate: date
+    });
+
+    return transfers.some(transfer =>
+      Number(transfer.fromAccountId) === Number(fromAccountId) &&
+      Number(transfer.toAccountId) === Number(toAccountId) &&
+      Math.round(transfer.amount * 100) === Math.round(amount * 100));
+  }
+
+  /**
+   * Categoria do campo L
+   * @private
+   * @returns {Promise<{categoryId: number|null, splits: Array, pending?: boolean}>}
+   */
+  async _resolveEntryCategory(userId, entry, state, warnings) {
+    if (!entry.category.path) {
+      return { categoryId: null, splits: [] };
+    }
+
+    const resolved = await this._resolveCategory(userId, entry.category.path, entry.type, state, warnings);
+
+    return { categoryId: resolved.categoryId, splits: [], pending: resolved.pending };
+  }
+
+  /**
+   * Linhas da divisão (S/$) com as categorias resolvidas; uma divisão que
+   * não cabe na transação (transferência numa linha, sinal trocado, soma
+   * diferente do total ou linhas demais) é ignorada e fica a categoria do
+   * campo L ou a da primeira linha
+   * @private
+   * @returns {Promise<{categoryId: number|null, splits: Array, pending?: boolean}>}
+   */
+  async _resolveSplits(userId, entry, state, warnings) {
+    const sign = entry.type === 'expense' ? -1 : 1;
+    const lines = new Map();
+    let problem = null;
+
+    for (const split of entry.splits) {
+      if (!split.category.path) {
+        problem = split.category.transferAccount ? 'tem uma transferência' : 'tem uma linha sem categoria';
+        break;
+      }
+
+      if (split.amount === null || split.amount * sign <= 0) {
+        problem = 'tem uma linha com valor inválido ou de sinal trocado';
+        break;
+      }
+
+      // Linhas na mesma categoria são somadas
+      const key = split.category.path.map(part => Category.normalizeName(part)).join(':');
+      const line = lines.get(key) || { path: split.category.path, amount: 0 };
+
+      line.amount += Math.abs(split.amount);
+      lines.set(key, line);
+    }
+
+    const merged = [...lines.values()];
+    const total = merged.reduce((sum, line) => sum + line.amount, 0);
+
+    if (!problem && Math.round(total * 100) !== Math.round(entry.amount * 100)) {
+      problem = 'não soma o valor da transação';
+    } else if (!problem && merged.length > MAX_SPLIT_LINES) {
+      problem = `tem mais de ${MAX_SPLIT_LINES} categorias`;
+    }
+
+    if (problem) {
+      warnings.push(`Divisão ignorada: ${problem}`);
+
+      const first = entry.splits.find(split => split.category.path);
+
+      return this._resolveEntryCategory(userId, {
+        ...entry,
+        category: entry.category.path || !first ? entry.category : first.category
+      }, state, warnings);
+    }
+
+    const splits = [];
+    let pending = false;
+
+    for (const line of merged) {
+      const resolved = await this._resolveCategory(userId, line.path, entry.type, state, warnings);
+
+      pending = pending || Boolean(resolved.pending);
+      splits.push({ categoryId: resolved.categoryId, amount: Math.round(line.amount * 100) / 100 });
+    }
+
+    if (splits.some(split => !split.categoryId)) {
+      // Categoria que não pôde ser criada (ou, no dryRun, ainda por criar)
+      return { categoryId: splits[0].categoryId, splits: [], pending };
+    }
+
+    return {
+      categoryId: splits[0].categoryId,
+      splits: splits.length >= MIN_SPLIT_LINES ? splits : [],
+      pending
+    };
+  }
+
+  /**
+   * Categoria pelo caminho do arquivo, criando a principal e a subcategoria
+   * que faltam (no dryRun, só anota que serão criadas)
+   * @private
+   * @returns {Promise<{categoryId: number|null, pending?: boolean}>}
+   */
+  async _resolveCategory(userId, path, type, state, warnings) {
+    const names = path.length > 2 ? [path[0], path.slice(1).join(' - ')] : path;
+    const label = `${names.join(':')} (${type === 'income' ? 'receita' : 'despesa'})`;
+    const existing = Category.findByName(state.categories, names.join(':'), type);
+
+    if (existing) {
+      return { categoryId: existing.id };
+    }
+
+    if (state.dryRun) {
+      if (!state.newCategories.includes(label)) {
+        state.newCategories.push(label);
+      }
+
+      return { categoryId: null, pending: true };
+    }
+
+    let parent = null;
+
+    for (const name of names) {
+      const found = state.categories.find(category =>
+        category.type === type &&
+        Category.normalizeName(category.name) === Category.normalizeName(name) &&
+        (parent ? Number(category.parentId) === Number(parent.id) : !category.isSubcategory()));
+
+      if (found) {
+        parent = found;
+        continue;
+      }
+
+      const result = await this.createCategoryUseCase.execute({
+        userId,
+        parentId: parent ? parent.id : null,
+        name,
+        type
+      });
+
+      if (!result.success) {
+        warnings.push(`Não foi possível criar a categoria "${names.join(':')}": ${result.errors.join(', ')}`);
+        return { categoryId: null };
+      }
+
+      state.categories.push(result.category);
+      state.created.categories.push(result.category);
+      parent = result.category;
+    }
+
+    if (!state.newCategories.includes(label)) {
+      state.newCategories.push(label);
+      state.created.labels.push(label);
+    }
+
+    return { categoryId: parent.id };
+  }
+
+  /**
+   * Remove as categorias criadas para a transação que não foi importada
+   * (a subcategoria antes da principal)
+   * @private
+   */
+  async _discardCreatedCategories(state) {
+    const { categories, labels } = state.created;
+
+    for (const category of [...categories].reverse()) {
+      await this.categoryRepository.delete(category.id);
+    }
+
+    state.categories = state.categories.filter(category => !categories.includes(category));
+    state.newCategories = state.newCategories.filter(label => !labels.includes(label));
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Caso de uso: Listar os perfis de importação do usuário
+ */
+export class ListImportProfilesUseCase {
+  constructor(importProfileRepository) {
+    this.importProfileRepository = importProfileRepository;
+  }
+
+  /**
+   * Executa a listagem dos perfis
+   * @param {string} userId
+   * @returns {Promise<{success: boolean, profiles?: ImportProfile[], errors?: string[]}>}
+   */
+  async execute(userId) {
+    try {
+      if (!userId) {
+        return { success: false, errors: ['UserId é obrigatório'] };
+      }
+
+      const profiles = await this.importProfileRepository.findByUserId(userId);
+
+      return { success: true, profiles };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar perfis de importação: ${error.message}`]
+      };
+    }
+  }
+}
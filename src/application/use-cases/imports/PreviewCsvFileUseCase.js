@@ -0,0 +1,61 @@
+import { ImportProfile } from '../../../domain/entities/ImportProfile.js';
+
+/**
+ * Quantidade de linhas do arquivo mostradas na prévia
+ */
+const PREVIEW_ROWS = 6;
+
+/**
+ * Caso de uso: Prévia de um arquivo CSV
+ * Lê o arquivo, detecta a codificação e o separador (quando não informados)
+ * e sugere um perfil de importação: cabeçalho, colunas e formatos de data e
+ * de valor, para o usuário conferir antes de importar.
+ */
+export class PreviewCsvFileUseCase {
+  constructor(importFileService) {
+    this.importFileService = importFileService;
+  }
+
+  /**
+   * Executa a leitura do arquivo
+   * @param {string} userId
+   * @param {string} filePath - Caminho do arquivo local
+   * @param {Object} options - { delimiter?, encoding? } (sem eles, detecta)
+   * @returns {Promise<{success: boolean, fileName?: string, encoding?: string, delimiter?: string,
+   *   rows?: Array<{line: number, cells: string[]}>, rowCount?: number, columnCount?: number,
+   *   suggestedProfile?: ImportProfile, errors?: string[]}>}
+   *   rows traz as primeiras linhas do arquivo (com o cabeçalho); rowCount
+   *   conta todas as linhas com conteúdo
+   */
+  async execute(userId, filePath, { delimiter = null, encoding = 'auto' } = {}) {
+    try {
+      if (!filePath) {
+        return { success: false, errors: ['Informe o arquivo'] };
+      }
+
+      const file = await this.importFileService.read(filePath, encoding);
+      const usedDelimiter = delimiter || ImportProfile.detectDelimiter(file.text);
+      const rows = ImportProfile.parseCsv(file.text, usedDelimiter);
+
+      if (rows.length === 0) {
+        return { success: false, errors: ['O arquivo está vazio'] };
+      }
+
+      return {
+        success: true,
+        fileName: file.fileName,
+        encoding: file.encoding,
+        delimiter: usedDelimiter,
+        rows: rows.slice(0, PREVIEW_ROWS),
+        rowCount: rows.length,
+        columnCount: Math.max(...rows.map(row => row.cells.length)),
+        suggestedProfile: ImportProfile.guess(rows, { userId, delimiter: usedDelimiter, encoding })
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao ler o arquivo: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,43 @@
+import { ImportProfile } from '../../../domain/entities/ImportProfile.js';
+
+/**
+ * Caso de uso: Salvar perfil de importação
+ * Um perfil com o mesmo nome (sem diferenciar maiúsculas) é substituído
+ */
+export class SaveImportProfileUseCase {
+  constructor(importProfileRepository) {
+    this.importProfileRepository = importProfileRepository;
+  }
+
+  /**
+   * Executa a gravação do perfil
+   * @param {string} userId
+   * @param {Object} profileData - { name, delimiter, encoding, hasHeader, dateFormat,
+   *   decimalSeparator, positiveType, columns }
+   * @returns {Promise<{success: boolean, profile?: ImportProfile, replaced?: boolean, errors?: string[]}>}
+   */
+  async execute(userId, profileData) {
+    try {
+      const profile = new ImportProfile({ ...profileData, id: null, userId });
+      const validation = profile.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const profiles = await this.importProfileRepository.findByUserId(userId);
+      const existing = profiles.find(other => other.name.toLowerCase() === profile.name.toLowerCase());
+
+      const saved = existing
+        ? await this.importProfileRepository.update(existing.id, profile)
+        : await this.importProfileRepository.create(profile);
+
+      return { success: true, profile: saved, replaced: Boolean(existing) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao salvar perfil de importação: ${error.message}`]
+      };
+    }
+  }
+}
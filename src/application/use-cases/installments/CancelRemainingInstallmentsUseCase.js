@@ -0,0 +1,60 @@
+/**
+ * Caso de uso: Cancelar as parcelas restantes de uma compra parcelada
+ * (ex: compra devolvida ou quitada antecipadamente). As parcelas que ainda
+ * não venceram são removidas; as já lançadas continuam no histórico.
+ */
+export class CancelRemainingInstallmentsUseCase {
+  constructor(installmentPlanRepository) {
+    this.installmentPlanRepository = installmentPlanRepository;
+  }
+
+  /**
+   * Executa o cancelamento das parcelas restantes
+   * @param {string} userId
+   * @param {number} planId
+   * @param {Object} options - { today?: Date }
+   * @returns {Promise<{success: boolean, cancelledCount?: number, cancelledAmount?: number, errors?: string[]}>}
+   */
+  async execute(userId, planId, options = {}) {
+    const { today = new Date() } = options;
+
+    try {
+      // 1. Buscar parcelamento existente
+      const plan = await this.installmentPlanRepository.findById(planId);
+
+      if (!plan) {
+        return { success: false, errors: ['Parcelamento não encontrado'] };
+      }
+
+      // 2. Verificar se o parcelamento pertence ao usuário
+      if (!plan.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para cancelar este parcelamento'] };
+      }
+
+      // 3. Deve haver parcelas a vencer
+      const remaining = plan.getRemainingInstallments(today);
+
+      if (remaining.length === 0) {
+        return { success: false, errors: ['Não há parcelas a vencer neste parcelamento'] };
+      }
+
+      // 4. Parcelas conciliadas ficam travadas até serem desbloqueadas
+      if (remaining.some(installment => installment.isReconciled())) {
+        return { success: false, errors: ['Conciliada (desbloqueie antes de deletar)'] };
+      }
+
+      // 5. Remover as parcelas restantes
+      const cancelledCount = await this.installmentPlanRepository.cancelRemaining(
+        planId,
+        new Date(today.getFullYear(), today.getMonth(), today.getDate())
+      );
+
+      return { success: true, cancelledCount, cancelledAmount: plan.getRemainingAmount(today) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao cancelar parcelas: ${error.message}`]
+      };
+    }
+  }
+}
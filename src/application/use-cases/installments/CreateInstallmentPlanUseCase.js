@@ -0,0 +1,107 @@
+import { InstallmentPlan } from '../../../domain/entities/InstallmentPlan.js';
+import { Account } from '../../../domain/entities/Account.js';
+
+/**
+ * Caso de uso: Registrar compra parcelada
+ * A compra é lançada uma vez e gera uma despesa por parcela, uma por mês
+ */
+export class CreateInstallmentPlanUseCase {
+  constructor(installmentPlanRepository, categoryRepository, accountRepository) {
+    this.installmentPlanRepository = installmentPlanRepository;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa o registro de uma compra parcelada
+   * @param {string} userId
+   * @param {Object} planData - {categoryId, accountId?, totalAmount, installmentCount, description?, date?}
+   *   (sem accountId, a compra vai para a conta padrão do usuário; date é a
+   *   data da compra, em que cai a primeira parcela)
+   * @returns {Promise<{success: boolean, plan?: InstallmentPlan, errors?: string[]}>}
+   */
+  async execute(userId, planData) {
+    const date = planData.date ? new Date(planData.date) : new Date();
+
+    try {
+      // 1. Resolver a conta da compra
+      const accountResult = await this._resolveAccount(userId, planData.accountId);
+
+      if (accountResult.error) {
+        return { success: false, errors: [accountResult.error] };
+      }
+
+      // 2. Criar e validar entidade InstallmentPlan
+      const plan = new InstallmentPlan({
+        userId,
+        categoryId: planData.categoryId,
+        accountId: accountResult.account.id,
+        description: planData.description,
+        totalAmount: planData.totalAmount,
+        installmentCount: planData.installmentCount,
+        date: new Date(date.getFullYear(), date.getMonth(), date.getDate())
+      });
+
+      const validation = plan.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 3. A categoria deve ser de despesa e do usuário (ou global)
+      const category = await this.categoryRepository.findById(plan.categoryId);
+
+      if (!category) {
+        return { success: false, errors: ['Categoria não encontrada'] };
+      }
+
+      if (!category.isGlobal() && category.userId !== userId) {
+        return { success: false, errors: ['Você não pode usar categorias de outros usuários'] };
+      }
+
+      if (category.type !== 'expense') {
+        return { success: false, errors: [`A categoria "${category.name}" não é de despesas`] };
+      }
+
+      // 4. Criar parcelamento (e as parcelas)
+      const createdPlan = await this.installmentPlanRepository.create(plan);
+
+      return { success: true, plan: createdPlan };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao registrar compra parcelada: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Busca a conta informada (validando o dono) ou a conta padrão do usuário,
+   * criando a "Conta principal" se ele ainda não tiver nenhuma
+   * @private
+   * @returns {Promise<{account?: Account, error?: string}>}
+   */
+  async _resolveAccount(userId, accountId) {
+    if (accountId) {
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        return { error: 'Conta não encontrada' };
+      }
+
+      if (!account.isActive()) {
+        return { error: `A conta "${account.name}" está arquivada` };
+      }
+
+      return { account };
+    }
+
+    const defaultAccount = await this.accountRepository.findDefaultByUserId(userId);
+
+    if (defaultAccount) {
+      return { account: defaultAccount };
+    }
+
+    return { account: await this.accountRepository.create(Account.createDefault(userId)) };
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Caso de uso: Deletar compra parcelada
+ * Remove o parcelamento e todas as suas parcelas (inclusive as já lançadas)
+ */
+export class DeleteInstallmentPlanUseCase {
+  constructor(installmentPlanRepository) {
+    this.installmentPlanRepository = installmentPlanRepository;
+  }
+
+  /**
+   * Executa a deleção de um parcelamento
+   * @param {string} userId
+   * @param {number} planId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, planId) {
+    try {
+      // 1. Buscar parcelamento existente
+      const plan = await this.installmentPlanRepository.findById(planId);
+
+      if (!plan) {
+        return { success: false, errors: ['Parcelamento não encontrado'] };
+      }
+
+      // 2. Verificar se o parcelamento pertence ao usuário
+      if (!plan.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar este parcelamento'] };
+      }
+
+      // 3. Parcelas conciliadas ficam travadas até serem desbloqueadas
+      if (plan.installments.some(installment => installment.isReconciled())) {
+        return { success: false, errors: ['Conciliada (desbloqueie antes de deletar)'] };
+      }
+
+      // 4. Deletar parcelamento
+      const deleted = await this.installmentPlanRepository.delete(planId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar parcelamento'] };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar parcelamento: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Caso de uso: Buscar compra parcelada (com as parcelas)
+ */
+export class GetInstallmentPlanUseCase {
+  constructor(installmentPlanRepository) {
+    this.installmentPlanRepository = installmentPlanRepository;
+  }
+
+  /**
+   * Executa a busca de um parcelamento
+   * @param {string} userId
+   * @param {number} planId
+   * @returns {Promise<{success: boolean, plan?: InstallmentPlan, errors?: string[]}>}
+   */
+  async execute(userId, planId) {
+    try {
+      const plan = await this.installmentPlanRepository.findById(planId);
+
+      if (!plan || !plan.belongsTo(userId)) {
+        return { success: false, errors: ['Parcelamento não encontrado'] };
+      }
+
+      return { success: true, plan };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao buscar parcelamento: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Caso de uso: Alterar as parcelas restantes de uma compra parcelada
+ * Só as parcelas que ainda não venceram mudam; as já lançadas ficam como estão
+ */
+export class UpdateRemainingInstallmentsUseCase {
+  constructor(installmentPlanRepository, categoryRepository, accountRepository) {
+    this.installmentPlanRepository = installmentPlanRepository;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a alteração das parcelas restantes
+   * @param {string} userId
+   * @param {number} planId
+   * @param {Object} updateData - {categoryId?, accountId?, description?, amount? (valor de cada parcela)}
+   * @param {Object} options - { today?: Date }
+   * @returns {Promise<{success: boolean, plan?: InstallmentPlan, updatedCount?: number, errors?: string[]}>}
+   */
+  async execute(userId, planId, updateData, options = {}) {
+    const { today = new Date() } = options;
+
+    try {
+      // 1. Buscar parcelamento existente
+      const plan = await this.installmentPlanRepository.findById(planId);
+
+      if (!plan) {
+        return { success: false, errors: ['Parcelamento não encontrado'] };
+      }
+
+      // 2. Verificar se o parcelamento pertence ao usuário
+      if (!plan.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar este parcelamento'] };
+      }
+
+      // 3. Deve haver parcelas a vencer
+      const remaining = plan.getRemainingInstallments(today);
+
+      if (remaining.length === 0) {
+        return { success: false, errors: ['Não há parcelas a vencer neste parcelamento'] };
+      }
+
+      // 4. Parcelas conciliadas ficam travadas até serem desbloqueadas
+      if (remaining.some(installment => installment.isReconciled())) {
+        return { success: false, errors: ['Conciliada (desbloqueie antes de alterar)'] };
+      }
+
+      // 5. Validar os novos dados
+      const errors = await this._validate(userId, plan, updateData);
+
+      if (errors.length > 0) {
+        return { success: false, errors };
+      }
+
+      // 6. Alterar as parcelas restantes
+      const updatedPlan = await this.installmentPlanRepository.updateRemaining(planId, {
+        categoryId: updateData.categoryId,
+        accountId: updateData.accountId,
+        description: updateData.description,
+        amount: updateData.amount !== undefined ? parseFloat(updateData.amount) : undefined
+      }, new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+
+      return { success: true, plan: updatedPlan, updatedCount: remaining.length };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao alterar parcelas: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Valida valor, descrição, categoria e conta informados
+   * @returns {Promise<string[]>} Erros encontrados
+   * @private
+   */
+  async _validate(userId, plan, updateData) {
+    const errors = [];
+
+    if (updateData.amount !== undefined) {
+      const amount = parseFloat(updateData.amount);
+
+      if (isNaN(amount) || amount <= 0) {
+        errors.push('Valor da parcela deve ser maior que zero');
+      }
+    }
+
+    if (updateData.description !== undefined && updateData.description.length > 200) {
+      errors.push('Descrição deve ter no máximo 200 caracteres');
+    }
+
+    if (updateData.categoryId !== undefined && Number(updateData.categoryId) !== Number(plan.categoryId)) {
+      const category = await this.categoryRepository.findById(updateData.categoryId);
+
+      if (!category || (!category.isGlobal() && category.userId !== userId)) {
+        errors.push('Categoria não encontrada');
+      } else if (category.type !== 'expense') {
+        errors.push(`A categoria "${category.name}" não é de despesas`);
+      }
+    }
+
+    if (updateData.accountId !== undefined && Number(updateData.accountId) !== Number(plan.accountId)) {
+      const account = await this.accountRepository.findById(updateData.accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        errors.push('Conta não encontrada');
+      } else if (!account.isActive()) {
+        errors.push(`A conta "${account.name}" está arquivada`);
+      }
+    }
+
+    return errors;
+  }
+}
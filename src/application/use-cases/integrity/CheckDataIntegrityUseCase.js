@@ -0,0 +1,37 @@
+import { IntegrityIssue } from '../../../domain/entities/IntegrityIssue.js';
+
+/**
+ * Caso de uso: Verificar a integridade dos dados
+ * Procura registros órfãos (divisões, tags, anexos e contribuições de
+ * transações ou metas que não existem mais), transações e orçamentos que
+ * apontam para categorias ou contas deletadas, transações "Sem categoria" e
+ * metas cujo valor guardado não bate com as contribuições. Roda pelo comando
+ * "npm run integrity".
+ */
+export class CheckDataIntegrityUseCase {
+  constructor(integrityRepository) {
+    this.integrityRepository = integrityRepository;
+  }
+
+  /**
+   * Executa a verificação
+   * @returns {Promise<{success: boolean, issues?: IntegrityIssue[], errors?: string[]}>}
+   *   issues traz só as verificações que encontraram algo
+   */
+  async execute() {
+    try {
+      const counts = await this.integrityRepository.countIssues();
+
+      const issues = Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([code, count]) => new IntegrityIssue({ code, count }));
+
+      return { success: true, issues };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao verificar a integridade dos dados: ${error.message}`]
+      };
+    }
+  }
+}
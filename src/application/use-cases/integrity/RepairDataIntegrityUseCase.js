@@ -0,0 +1,49 @@
+import { INTEGRITY_CHECKS, IntegrityIssue } from '../../../domain/entities/IntegrityIssue.js';
+
+/**
+ * Caso de uso: Reparar a integridade dos dados
+ * Aplica os reparos automáticos das verificações (as sem reparo, como as
+ * transações "Sem categoria", ficam para o usuário resolver).
+ */
+export class RepairDataIntegrityUseCase {
+  constructor(integrityRepository) {
+    this.integrityRepository = integrityRepository;
+  }
+
+  /**
+   * Executa os reparos
+   * @param {string[]|null} codes - Verificações a reparar (sem códigos, todas as que têm reparo)
+   * @returns {Promise<{success: boolean, repaired?: Array<{code: string, count: number}>, errors?: string[]}>}
+   */
+  async execute(codes = null) {
+    const selected = codes || Object.keys(INTEGRITY_CHECKS);
+    const unknown = selected.filter(code => !INTEGRITY_CHECKS[code]);
+
+    if (unknown.length > 0) {
+      return { success: false, errors: [`Verificação desconhecida: ${unknown.join(', ')}`] };
+    }
+
+    try {
+      const repaired = [];
+
+      for (const code of selected) {
+        if (!new IntegrityIssue({ code }).isRepairable()) {
+          continue;
+        }
+
+        const count = await this.integrityRepository.repair(code);
+
+        if (count > 0) {
+          repaired.push({ code, count });
+        }
+      }
+
+      return { success: true, repaired };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao reparar a integridade dos dados: ${error.message}`]
+      };
+    }
+  }
+}
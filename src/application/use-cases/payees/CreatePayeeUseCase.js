@@ -0,0 +1,113 @@
+import { Payee } from '../../../domain/entities/Payee.js';
+
+/**
+ * Caso de uso: Criar favorecido
+ * As transações já registradas sem favorecido cuja descrição corresponde ao
+ * nome ou a um apelido passam a ser dele
+ */
+export class CreatePayeeUseCase {
+  constructor(payeeRepository, categoryRepository, transactionRepository) {
+    this.payeeRepository = payeeRepository;
+    this.categoryRepository = categoryRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a criação de um favorecido
+   * @param {string} userId
+   * @param {Object} payeeData - { name, aliases?: string[]|string, defaultCategoryId? }
+   * @returns {Promise<{success: boolean, payee?: Payee, linkedCount?: number, errors?: string[]}>}
+   */
+  async execute(userId, payeeData) {
+    try {
+      // 1. Criar e validar entidade Payee
+      const payee = new Payee({
+        userId,
+        name: payeeData.name,
+        aliases: payeeData.aliases,
+        defaultCategoryId: payeeData.defaultCategoryId
+      });
+
+      const validation = payee.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 2. Nome e apelidos não podem corresponder a outro favorecido
+      const payees = await this.payeeRepository.findByUserId(userId);
+      const conflict = this._findConflict(payee, payees);
+
+      if (conflict) {
+        return { success: false, errors: [conflict] };
+      }
+
+      // 3. A categoria padrão deve ser do usuário (ou global)
+      if (payee.defaultCategoryId) {
+        const category = await this.categoryRepository.findById(payee.defaultCategoryId);
+
+        if (!category || (!category.isGlobal() && category.userId !== userId)) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+      }
+
+      // 4. Criar favorecido e vincular as transações dele
+      const createdPayee = await this.payeeRepository.create(payee);
+      const linkedCount = await this._linkMatching(userId, createdPayee, payees.concat(createdPayee));
+
+      return {
+        success: true,
+        payee: await this.payeeRepository.findById(createdPayee.id),
+        linkedCount
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao criar favorecido: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Nome ou apelido que já pertence a outro favorecido
+   * @private
+   * @returns {string|null} Mensagem de erro
+   */
+  _findConflict(payee, payees) {
+    const keys = payee.getKeys();
+
+    for (const other of payees) {
+      const key = other.getKeys().find(otherKey => keys.includes(otherKey));
+
+      if (key) {
+        return `"${key}" já é o nome ou um apelido do favorecido "${other.name}"`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Vincula as transações sem favorecido cuja descrição corresponde melhor a
+   * este favorecido do que a qualquer outro
+   * @private
+   * @returns {Promise<number>} Quantidade de transações vinculadas
+   */
+  async _linkMatching(userId, payee, payees) {
+    const transactions = await this.transactionRepository.findByFilters({
+      userId,
+      includeTransfers: false,
+      limit: null
+    });
+
+    const ids = transactions
+      .filter(transaction => !transaction.hasPayee() && transaction.description)
+      .filter(transaction => {
+        const match = Payee.findMatch(payees, transaction.description);
+        return match && match.id === payee.id;
+      })
+      .map(transaction => transaction.id);
+
+    return this.payeeRepository.linkTransactions(payee.id, ids);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Caso de uso: Deletar favorecido
+ * As transações do favorecido ficam sem favorecido (a descrição não muda)
+ */
+export class DeletePayeeUseCase {
+  constructor(payeeRepository) {
+    this.payeeRepository = payeeRepository;
+  }
+
+  /**
+   * Executa a deleção de um favorecido
+   * @param {string} userId
+   * @param {number} payeeId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, payeeId) {
+    try {
+      // 1. Buscar favorecido existente
+      const payee = await this.payeeRepository.findById(payeeId);
+
+      if (!payee) {
+        return { success: false, errors: ['Favorecido não encontrado'] };
+      }
+
+      // 2. Verificar se o favorecido pertence ao usuário
+      if (!payee.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar este favorecido'] };
+      }
+
+      // 3. Deletar favorecido
+      const deleted = await this.payeeRepository.delete(payeeId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar favorecido'] };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar favorecido: ${error.message}`]
+      };
+    }
+  }
+}
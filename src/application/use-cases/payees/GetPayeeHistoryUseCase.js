@@ -0,0 +1,71 @@
+/**
+ * Caso de uso: Histórico de um favorecido
+ * Totais, frequência e ticket médio das transações realizadas com o
+ * favorecido (as previstas ficam de fora), com as mais recentes primeiro
+ */
+export class GetPayeeHistoryUseCase {
+  constructor(payeeRepository, transactionRepository) {
+    this.payeeRepository = payeeRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a consulta do histórico
+   * @param {string} userId
+   * @param {number} payeeId
+   * @returns {Promise<{success: boolean, payee?: Payee, transactions?: Transaction[], stats?: Object, errors?: string[]}>}
+   *   stats: { totalExpense, expenseCount, averageTicket, totalIncome, incomeCount,
+   *   firstDate, lastDate, averageDaysBetween }
+   */
+  async execute(userId, payeeId) {
+    try {
+      const payee = await this.payeeRepository.findById(payeeId);
+
+      if (!payee || !payee.belongsTo(userId)) {
+        return { success: false, errors: ['Favorecido não encontrado'] };
+      }
+
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        payeeId: payee.id,
+        includeTransfers: false,
+        includePlanned: false,
+        limit: null
+      });
+
+      return { success: true, payee, transactions, stats: this._calculateStats(transactions) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao carregar histórico do favorecido: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Totais das transações (ordenadas da mais recente para a mais antiga)
+   * @private
+   */
+  _calculateStats(transactions) {
+    const expenses = transactions.filter(transaction => transaction.isExpense());
+    const incomes = transactions.filter(transaction => transaction.isIncome());
+    const sum = (items) => Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) / 100;
+    const totalExpense = sum(expenses);
+
+    const lastDate = transactions.length > 0 ? transactions[0].date : null;
+    const firstDate = transactions.length > 0 ? transactions[transactions.length - 1].date : null;
+    const days = firstDate ? Math.round((lastDate - firstDate) / (1000 * 60 * 60 * 24)) : 0;
+
+    return {
+      totalExpense,
+      expenseCount: expenses.length,
+      averageTicket: expenses.length > 0 ? Math.round((totalExpense / expenses.length) * 100) / 100 : 0,
+      totalIncome: sum(incomes),
+      incomeCount: incomes.length,
+      firstDate,
+      lastDate,
+      // Intervalo médio entre duas transações (null com menos de duas)
+      averageDaysBetween: transactions.length > 1 ? Math.round(days / (transactions.length - 1)) : null
+    };
+  }
+}
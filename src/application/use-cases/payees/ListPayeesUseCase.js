@@ -0,0 +1,30 @@
+/**
+ * Caso de uso: Listar os favorecidos do usuário (para sugestões e filtros)
+ */
+export class ListPayeesUseCase {
+  constructor(payeeRepository) {
+    this.payeeRepository = payeeRepository;
+  }
+
+  /**
+   * Executa a listagem dos favorecidos
+   * @param {string} userId
+   * @returns {Promise<{success: boolean, payees?: Payee[], errors?: string[]}>}
+   */
+  async execute(userId) {
+    try {
+      if (!userId) {
+        return { success: false, errors: ['UserId é obrigatório'] };
+      }
+
+      const payees = await this.payeeRepository.findByUserId(userId);
+
+      return { success: true, payees };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar favorecidos: ${error.message}`]
+      };
+    }
+  }
+}
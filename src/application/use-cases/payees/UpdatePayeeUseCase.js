@@ -0,0 +1,145 @@
+import { Payee } from '../../../domain/entities/Payee.js';
+
+/**
+ * Caso de uso: Atualizar favorecido
+ * Os apelidos novos também vinculam as transações sem favorecido que
+ * correspondem a eles; as transações já vinculadas continuam com o favorecido.
+ */
+export class UpdatePayeeUseCase {
+  constructor(payeeRepository, categoryRepository, transactionRepository) {
+    this.payeeRepository = payeeRepository;
+    this.categoryRepository = categoryRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a atualização de um favorecido
+   * @param {string} userId
+   * @param {number} payeeId
+   * @param {Object} updateData - { name?, aliases?: string[]|string (substitui os apelidos),
+   *   defaultCategoryId? (null remove) }
+   * @returns {Promise<{success: boolean, payee?: Payee, linkedCount?: number, errors?: string[]}>}
+   */
+  async execute(userId, payeeId, updateData) {
+    try {
+      // 1. Buscar favorecido existente
+      const payee = await this.payeeRepository.findById(payeeId);
+
+      if (!payee) {
+        return { success: false, errors: ['Favorecido não encontrado'] };
+      }
+
+      // 2. Verificar se o favorecido pertence ao usuário
+      if (!payee.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar este favorecido'] };
+      }
+
+      // 3. Montar e validar os novos dados
+      const updated = new Payee({
+        ...payee,
+        name: updateData.name !== undefined ? updateData.name : payee.name,
+        aliases: updateData.aliases !== undefined ? updateData.aliases : payee.aliases,
+        defaultCategoryId: updateData.defaultCategoryId !== undefined
+          ? updateData.defaultCategoryId
+          : payee.defaultCategoryId
+      });
+
+      const validation = updated.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const payees = await this.payeeRepository.findByUserId(userId);
+      const conflict = this._findConflict(updated, payees.filter(other => other.id !== payee.id));
+
+      if (conflict) {
+        return { success: false, errors: [conflict] };
+      }
+
+      if (updateData.defaultCategoryId && Number(updateData.defaultCategoryId) !== Number(payee.defaultCategoryId)) {
+        const category = await this.categoryRepository.findById(updateData.defaultCategoryId);
+
+        if (!category || (!category.isGlobal() && category.userId !== userId)) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+      }
+
+      // 4. Atualizar favorecido e vincular as transações dos apelidos novos
+      const data = {};
+
+      if (updateData.name !== undefined) {
+        data.name = updated.name;
+      }
+
+      if (updateData.aliases !== undefined) {
+        data.aliases = updated.aliases;
+      }
+
+      if (updateData.defaultCategoryId !== undefined) {
+        data.defaultCategoryId = updated.defaultCategoryId;
+      }
+
+      const updatedPayee = await this.payeeRepository.update(payeeId, data);
+      const linkedCount = await this._linkMatching(
+        userId,
+        updatedPayee,
+        payees.map(other => (other.id === updatedPayee.id ? updatedPayee : other))
+      );
+
+      return {
+        success: true,
+        payee: linkedCount > 0 ? await this.payeeRepository.findById(payeeId) : updatedPayee,
+        linkedCount
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao atualizar favorecido: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Nome ou apelido que já pertence a outro favorecido
+   * @private
+   * @returns {string|null} Mensagem de erro
+   */
+  _findConflict(payee, payees) {
+    const keys = payee.getKeys();
+
+    for (const other of payees) {
+      const key = other.getKeys().find(otherKey => keys.includes(otherKey));
+
+      if (key) {
+        return `"${key}" já é o nome ou um apelido do favorecido "${other.name}"`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Vincula as transações sem favorecido cuja descrição corresponde melhor a
+   * este favorecido do que a qualquer outro
+   * @private
+   * @returns {Promise<number>} Quantidade de transações vinculadas
+   */
+  async _linkMatching(userId, payee, payees) {
+    const transactions = await this.transactionRepository.findByFilters({
+      userId,
+      includeTransfers: false,
+      limit: null
+    });
+
+    const ids = transactions
+      .filter(transaction => !transaction.hasPayee() && transaction.description)
+      .filter(transaction => {
+        const match = Payee.findMatch(payees, transaction.description);
+        return match && match.id === payee.id;
+      })
+      .map(transaction => transaction.id);
+
+    return this.payeeRepository.linkTransactions(payee.id, ids);
+  }
+}
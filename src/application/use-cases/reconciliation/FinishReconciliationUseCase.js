@@ -0,0 +1,51 @@
+import { Reconciliation } from '../../../domain/entities/Reconciliation.js';
+
+/**
+ * Caso de uso: Finalizar a conciliação de uma conta
+ * Só grava quando o saldo conciliado bate com o extrato; as transações
+ * marcadas ficam compensadas e travadas contra edição e exclusão
+ */
+export class FinishReconciliationUseCase {
+  constructor(reconciliationRepository) {
+    this.reconciliationRepository = reconciliationRepository;
+  }
+
+  /**
+   * Executa a finalização da conciliação
+   * @param {string} userId
+   * @param {Reconciliation} reconciliation - Conciliação iniciada, com as transações marcadas
+   * @returns {Promise<{success: boolean, reconciliation?: Reconciliation, errors?: string[]}>}
+   */
+  async execute(userId, reconciliation) {
+    try {
+      if (!reconciliation || reconciliation.userId !== userId) {
+        return { success: false, errors: ['Conciliação não encontrada'] };
+      }
+
+      const validation = reconciliation.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      if (!reconciliation.isBalanced()) {
+        return {
+          success: false,
+          errors: [
+            `Ainda há uma diferença de ${Reconciliation.formatAmount(reconciliation.getDifference())} ` +
+            'entre o extrato e o saldo conciliado'
+          ]
+        };
+      }
+
+      const created = await this.reconciliationRepository.create(reconciliation);
+
+      return { success: true, reconciliation: created };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao finalizar conciliação: ${error.message}`]
+      };
+    }
+  }
+}
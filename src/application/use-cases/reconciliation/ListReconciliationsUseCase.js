@@ -0,0 +1,40 @@
+/**
+ * Caso de uso: Histórico de conciliações de uma conta
+ */
+export class ListReconciliationsUseCase {
+  constructor(reconciliationRepository, accountRepository) {
+    this.reconciliationRepository = reconciliationRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a listagem das conciliações
+   * @param {string} userId
+   * @param {number} accountId
+   * @returns {Promise<{
+   *   success: boolean,
+   *   reconciliations?: Reconciliation[],
+   *   reconciledBalance?: number,
+   *   errors?: string[]
+   * }>}
+   */
+  async execute(userId, accountId) {
+    try {
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        return { success: false, errors: ['Conta não encontrada'] };
+      }
+
+      const reconciliations = await this.reconciliationRepository.findByAccountId(account.id);
+      const reconciledBalance = await this.reconciliationRepository.getReconciledBalance(account.id);
+
+      return { success: true, reconciliations, reconciledBalance };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar conciliações: ${error.message}`]
+      };
+    }
+  }
+}
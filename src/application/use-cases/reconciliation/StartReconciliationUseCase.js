@@ -0,0 +1,91 @@
+import { Reconciliation } from '../../../domain/entities/Reconciliation.js';
+
+/**
+ * Caso de uso: Iniciar a conciliação de uma conta com o extrato do banco
+ * Monta a conciliação com o saldo já conferido e as transações ainda não
+ * conciliadas até a data do extrato, para o usuário marcar
+ */
+export class StartReconciliationUseCase {
+  constructor(reconciliationRepository, accountRepository, transactionRepository) {
+    this.reconciliationRepository = reconciliationRepository;
+    this.accountRepository = accountRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa o início da conciliação
+   * @param {string} userId
+   * @param {number} accountId
+   * @param {Object} statement - { statementDate: Date|string, statementBalance: number }
+   * @returns {Promise<{
+   *   success: boolean,
+   *   reconciliation?: Reconciliation,
+   *   lastReconciliation?: Reconciliation|null,
+   *   errors?: string[]
+   * }>}
+   */
+  async execute(userId, accountId, statement) {
+    try {
+      const { statementDate, statementBalance } = statement || {};
+
+      // 1. Buscar a conta
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        return { success: false, errors: ['Conta não encontrada'] };
+      }
+
+      if (!account.isActive()) {
+        return { success: false, errors: [`A conta "${account.name}" está arquivada`] };
+      }
+
+      // 2. Validar os dados do extrato
+      const reconciliation = new Reconciliation({
+        userId,
+        accountId: account.id,
+        statementDate: typeof statementDate === 'string' ? new Date(statementDate) : statementDate,
+        statementBalance,
+        accountName: account.name,
+        accountIcon: account.icon
+      });
+
+      const validation = reconciliation.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 3. O extrato não pode ser anterior à última conciliação
+      const lastReconciliation = await this.reconciliationRepository.findLastByAccountId(account.id);
+
+      if (lastReconciliation && reconciliation.statementDate < lastReconciliation.statementDate) {
+        return {
+          success: false,
+          errors: [`A conta já foi conciliada até ${lastReconciliation.getFormattedDate()}. Informe um extrato mais recente.`]
+        };
+      }
+
+      // 4. Saldo já conferido e transações que ainda faltam conferir
+      reconciliation.openingBalance = await this.reconciliationRepository.getReconciledBalance(account.id);
+
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        accountId: account.id,
+        reconciled: false,
+        includePlanned: false,
+        endDate: reconciliation.statementDate,
+        limit: null
+      });
+
+      // Da mais antiga para a mais recente, na ordem do extrato
+      reconciliation.transactions = transactions.sort((a, b) => a.date - b.date || a.id - b.id);
+
+      return { success: true, reconciliation, lastReconciliation };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao iniciar conciliação: ${error.message}`]
+      };
+    }
+  }
+}
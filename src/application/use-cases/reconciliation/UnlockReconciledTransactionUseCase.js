@@ -0,0 +1,44 @@
+/**
+ * Caso de uso: Desbloquear uma transação conciliada
+ * A transação deixa de fazer parte da conciliação e volta a poder ser editada
+ * ou deletada (e a conferir na próxima conciliação da conta)
+ */
+export class UnlockReconciledTransactionUseCase {
+  constructor(transactionRepository, reconciliationRepository) {
+    this.transactionRepository = transactionRepository;
+    this.reconciliationRepository = reconciliationRepository;
+  }
+
+  /**
+   * Executa o desbloqueio
+   * @param {string} userId
+   * @param {number} transactionId
+   * @returns {Promise<{success: boolean, transaction?: Transaction, errors?: string[]}>}
+   */
+  async execute(userId, transactionId) {
+    try {
+      const transaction = await this.transactionRepository.findById(transactionId);
+
+      if (!transaction) {
+        return { success: false, errors: ['Transação não encontrada'] };
+      }
+
+      if (!transaction.isEditable(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta transação'] };
+      }
+
+      if (!transaction.isReconciled()) {
+        return { success: false, errors: ['Esta transação não está conciliada'] };
+      }
+
+      await this.reconciliationRepository.unlockTransaction(transaction.id);
+
+      return { success: true, transaction: await this.transactionRepository.findById(transaction.id) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao desbloquear transação: ${error.message}`]
+      };
+    }
+  }
+}
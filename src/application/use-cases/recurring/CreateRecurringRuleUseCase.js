@@ -0,0 +1,114 @@
+import { RecurringRule } from '../../../domain/entities/RecurringRule.js';
+import { Account } from '../../../domain/entities/Account.js';
+
+/**
+ * Caso de uso: Criar regra de recorrência
+ * A regra só descreve a série; as transações são lançadas quando as
+ * ocorrências vencem (MaterializeRecurringTransactionsUseCase)
+ */
+export class CreateRecurringRuleUseCase {
+  constructor(recurringRuleRepository, categoryRepository, accountRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a criação de uma regra de recorrência
+   * @param {string} userId
+   * @param {Object} ruleData - {type, categoryId, accountId?, amount, description?, frequency,
+   *   dayOfMonth?, startDate?, endDate?, maxOccurrences?}
+   *   (sem accountId, usa a conta padrão do usuário; sem startDate, começa hoje)
+   * @returns {Promise<{success: boolean, rule?: RecurringRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleData) {
+    const startDate = ruleData.startDate ? new Date(ruleData.startDate) : new Date();
+    const endDate = ruleData.endDate ? new Date(ruleData.endDate) : null;
+
+    try {
+      // 1. Resolver a conta da regra
+      const accountResult = await this._resolveAccount(userId, ruleData.accountId);
+
+      if (accountResult.error) {
+        return { success: false, errors: [accountResult.error] };
+      }
+
+      // 2. Criar e validar entidade RecurringRule
+      const rule = new RecurringRule({
+        userId,
+        type: ruleData.type,
+        categoryId: ruleData.categoryId,
+        accountId: accountResult.account.id,
+        amount: ruleData.amount,
+        description: ruleData.description,
+        frequency: ruleData.frequency,
+        dayOfMonth: ruleData.dayOfMonth,
+        startDate: new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()),
+        endDate: endDate ? new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate()) : null,
+        maxOccurrences: ruleData.maxOccurrences
+      });
+
+      const validation = rule.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 3. A categoria deve ser do usuário (ou global) e do mesmo tipo da regra
+      const category = await this.categoryRepository.findById(rule.categoryId);
+
+      if (!category) {
+        return { success: false, errors: ['Categoria não encontrada'] };
+      }
+
+      if (!category.isGlobal() && category.userId !== userId) {
+        return { success: false, errors: ['Você não pode usar categorias de outros usuários'] };
+      }
+
+      if (category.type !== rule.type) {
+        const expected = rule.type === 'income' ? 'receitas' : 'despesas';
+        return { success: false, errors: [`A categoria "${category.name}" não é de ${expected}`] };
+      }
+
+      // 4. Criar regra
+      const createdRule = await this.recurringRuleRepository.create(rule);
+
+      return { success: true, rule: createdRule };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao criar recorrência: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Busca a conta informada (validando o dono) ou a conta padrão do usuário,
+   * criando a "Conta principal" se ele ainda não tiver nenhuma
+   * @private
+   * @returns {Promise<{account?: Account, error?: string}>}
+   */
+  async _resolveAccount(userId, accountId) {
+    if (accountId) {
+      const account = await this.accountRepository.findById(accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        return { error: 'Conta não encontrada' };
+      }
+
+      if (!account.isActive()) {
+        return { error: `A conta "${account.name}" está arquivada` };
+      }
+
+      return { account };
+    }
+
+    const defaultAccount = await this.accountRepository.findDefaultByUserId(userId);
+
+    if (defaultAccount) {
+      return { account: defaultAccount };
+    }
+
+    return { account: await this.accountRepository.create(Account.createDefault(userId)) };
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Caso de uso: Deletar regra de recorrência
+ * As transações já lançadas pela regra continuam no histórico
+ */
+export class DeleteRecurringRuleUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa a deleção de uma regra
+   * @param {string} userId
+   * @param {number} ruleId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, ruleId) {
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.recurringRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Recorrência não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar esta recorrência'] };
+      }
+
+      // 3. Deletar regra
+      const deleted = await this.recurringRuleRepository.delete(ruleId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar recorrência'] };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar recorrência: ${error.message}`]
+      };
+    }
+  }
+}
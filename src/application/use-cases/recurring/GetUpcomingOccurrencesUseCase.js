@@ -0,0 +1,37 @@
+/**
+ * Caso de uso: Próximas ocorrências das recorrências ativas
+ * Usado no Dashboard para mostrar o que vai entrar e sair nos próximos dias
+ */
+export class GetUpcomingOccurrencesUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa a busca das próximas ocorrências
+   * @param {string} userId
+   * @param {Object} options - { days?: number (padrão 30), limit?: number (padrão 10), today?: Date }
+   * @returns {Promise<{success: boolean, occurrences?: Array<Object>, errors?: string[]}>}
+   *   Cada ocorrência: { rule, number, date, amount, description, isSkipped, isModified }
+   */
+  async execute(userId, options = {}) {
+    const { days = 30, limit = 10, today = new Date() } = options;
+    const until = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days, 23, 59, 59, 999);
+
+    try {
+      const rules = await this.recurringRuleRepository.findActive(userId);
+
+      const occurrences = rules
+        .flatMap(rule => rule.getUpcomingOccurrences(until, limit).map(occurrence => ({ rule, ...occurrence })))
+        .sort((a, b) => a.date - b.date)
+        .slice(0, limit);
+
+      return { success: true, occurrences };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao buscar próximas recorrências: ${error.message}`]
+      };
+    }
+  }
+}
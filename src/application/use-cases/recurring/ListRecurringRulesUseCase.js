@@ -0,0 +1,26 @@
+/**
+ * Caso de uso: Listar regras de recorrência do usuário
+ */
+export class ListRecurringRulesUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa a listagem das regras
+   * @param {string} userId
+   * @returns {Promise<{success: boolean, rules?: RecurringRule[], errors?: string[]}>}
+   */
+  async execute(userId) {
+    try {
+      const rules = await this.recurringRuleRepository.findByUserId(userId);
+
+      return { success: true, rules };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar recorrências: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Caso de uso: Lançar as transações recorrentes vencidas
+ * Cada ocorrência ainda não processada com data até hoje vira uma transação
+ * (as puladas são apenas marcadas como processadas). Roda ao fazer login e
+ * pelo comando "npm run recurring".
+ */
+export class MaterializeRecurringTransactionsUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa o lançamento das ocorrências vencidas
+   * @param {string|null} userId - Sem usuário, processa as regras de todos os usuários
+   * @param {Object} options - { today?: Date }
+   * @returns {Promise<{success: boolean, createdCount?: number, errors?: string[]}>}
+   */
+  async execute(userId = null, options = {}) {
+    const { today = new Date() } = options;
+
+    try {
+      const rules = await this.recurringRuleRepository.findActive(userId);
+      let createdCount = 0;
+
+      for (const rule of rules) {
+        const due = rule.getDueOccurrences(today);
+
+        if (due.length === 0) {
+          continue;
+        }
+
+        const transactions = due
+          .filter(occurrence => !occurrence.isSkipped)
+          .map(occurrence => rule.buildTransaction(occurrence));
+
+        createdCount += await this.recurringRuleRepository.materialize(
+          rule.id,
+          transactions,
+          rule.generatedCount,
+          rule.generatedCount + due.length
+        );
+      }
+
+      return { success: true, createdCount };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao lançar transações recorrentes: ${error.message}`]
+      };
+    }
+  }
+}
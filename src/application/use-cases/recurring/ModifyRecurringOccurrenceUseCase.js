@@ -0,0 +1,76 @@
+/**
+ * Caso de uso: Alterar uma única ocorrência de uma recorrência
+ * (ex: conta de luz mais cara em um mês). As demais ocorrências não mudam.
+ */
+export class ModifyRecurringOccurrenceUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa a alteração de uma ocorrência
+   * @param {string} userId
+   * @param {number} ruleId
+   * @param {number} occurrenceNumber
+   * @param {Object} occurrenceData - {amount?, description?}
+   * @returns {Promise<{success: boolean, rule?: RecurringRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleId, occurrenceNumber, occurrenceData) {
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.recurringRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Recorrência não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta recorrência'] };
+      }
+
+      // 3. Só ocorrências que ainda não foram lançadas
+      const number = parseInt(occurrenceNumber);
+
+      if (number <= rule.generatedCount || !rule.hasOccurrence(number)) {
+        return { success: false, errors: ['Ocorrência já lançada ou fora da recorrência'] };
+      }
+
+      // 4. Validar os novos dados
+      const { amount, description } = occurrenceData;
+      const errors = [];
+
+      if (amount === undefined && description === undefined) {
+        errors.push('Nenhum dado para atualizar');
+      }
+
+      if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+        errors.push('Valor deve ser maior que zero');
+      }
+
+      if (description !== undefined && description.length > 200) {
+        errors.push('Descrição deve ter no máximo 200 caracteres');
+      }
+
+      if (errors.length > 0) {
+        return { success: false, errors };
+      }
+
+      // 5. Gravar exceção (mantendo o que já tinha sido alterado antes)
+      const current = rule.getException(number);
+      const updatedRule = await this.recurringRuleRepository.saveException(ruleId, {
+        occurrenceNumber: number,
+        isSkipped: false,
+        amount: amount !== undefined ? parseFloat(amount) : (current ? current.amount : null),
+        description: description !== undefined ? description : (current ? current.description : null)
+      });
+
+      return { success: true, rule: updatedRule };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao alterar ocorrência: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Caso de uso: Restaurar uma ocorrência pulada ou alterada
+ * A ocorrência volta a seguir a regra
+ */
+export class RestoreRecurringOccurrenceUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa a restauração de uma ocorrência
+   * @param {string} userId
+   * @param {number} ruleId
+   * @param {number} occurrenceNumber
+   * @returns {Promise<{success: boolean, rule?: RecurringRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleId, occurrenceNumber) {
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.recurringRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Recorrência não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta recorrência'] };
+      }
+
+      // 3. A ocorrência deve ter sido pulada ou alterada
+      const number = parseInt(occurrenceNumber);
+
+      if (!rule.getException(number)) {
+        return { success: false, errors: ['Esta ocorrência segue a regra normalmente'] };
+      }
+
+      // 4. Remover exceção
+      const updatedRule = await this.recurringRuleRepository.deleteException(ruleId, number);
+
+      return { success: true, rule: updatedRule };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao restaurar ocorrência: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Caso de uso: Pular uma ocorrência de uma recorrência
+ * (ex: aluguel que não será cobrado em um mês). A ocorrência continua
+ * contando para o número de ocorrências da série, mas não gera transação.
+ */
+export class SkipRecurringOccurrenceUseCase {
+  constructor(recurringRuleRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+  }
+
+  /**
+   * Executa o pulo de uma ocorrência
+   * @param {string} userId
+   * @param {number} ruleId
+   * @param {number} occurrenceNumber
+   * @returns {Promise<{success: boolean, rule?: RecurringRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleId, occurrenceNumber) {
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.recurringRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Recorrência não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta recorrência'] };
+      }
+
+      // 3. Só ocorrências que ainda não foram lançadas
+      const number = parseInt(occurrenceNumber);
+
+      if (number <= rule.generatedCount || !rule.hasOccurrence(number)) {
+        return { success: false, errors: ['Ocorrência já lançada ou fora da recorrência'] };
+      }
+
+      // 4. Gravar exceção
+      const updatedRule = await this.recurringRuleRepository.saveException(ruleId, {
+        occurrenceNumber: number,
+        isSkipped: true
+      });
+
+      return { success: true, rule: updatedRule };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao pular ocorrência: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import { RecurringRule } from '../../../domain/entities/RecurringRule.js';
+
+/**
+ * Caso de uso: Atualizar regra de recorrência
+ * As alterações valem para as próximas ocorrências; as transações já
+ * lançadas ficam como estão. Ao reativar uma regra pausada, as ocorrências
+ * que venceram durante a pausa são puladas.
+ */
+export class UpdateRecurringRuleUseCase {
+  constructor(recurringRuleRepository, categoryRepository, accountRepository) {
+    this.recurringRuleRepository = recurringRuleRepository;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a atualização de uma regra
+   * @param {string} userId
+   * @param {number} ruleId
+   * @param {Object} updateData - {categoryId?, accountId?, amount?, description?,
+   *   endDate? (null remove), maxOccurrences? (null remove), isActive?}
+   * @param {Object} options - { today?: Date }
+   * @returns {Promise<{success: boolean, rule?: RecurringRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleId, updateData, options = {}) {
+    const { today = new Date() } = options;
+
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.recurringRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Recorrência não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta recorrência'] };
+      }
+
+      // 3. Montar e validar os novos dados
+      const data = {
+        categoryId: updateData.categoryId,
+        accountId: updateData.accountId,
+        amount: updateData.amount !== undefined ? parseFloat(updateData.amount) : undefined,
+        description: updateData.description,
+        endDate: this._toDate(updateData.endDate),
+        maxOccurrences: updateData.maxOccurrences,
+        isActive: updateData.isActive
+      };
+
+      const updated = new RecurringRule({
+        ...rule,
+        ...Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined))
+      });
+      const validation = updated.validate();
+      const errors = validation.errors.concat(await this._validateReferences(userId, rule, data));
+
+      if (errors.length > 0) {
+        return { success: false, errors };
+      }
+
+      // 4. Ao reativar, pular as ocorrências que venceram durante a pausa
+      if (data.isActive === true && !rule.isActive) {
+        data.generatedCount = rule.generatedCount + rule.getDueOccurrences(today).length;
+      }
+
+      // 5. Atualizar regra
+      const updatedRule = await this.recurringRuleRepository.update(ruleId, data);
+
+      return { success: true, rule: updatedRule };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao atualizar recorrência: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Converte a data de término para a meia-noite (mantendo undefined e null)
+   * @private
+   */
+  _toDate(value) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Valida a categoria e a conta informadas
+   * @returns {Promise<string[]>} Erros encontrados
+   * @private
+   */
+  async _validateReferences(userId, rule, data) {
+    const errors = [];
+
+    if (data.categoryId !== undefined && Number(data.categoryId) !== Number(rule.categoryId)) {
+      const category = await this.categoryRepository.findById(data.categoryId);
+
+      if (!category || (!category.isGlobal() && category.userId !== userId)) {
+        errors.push('Categoria não encontrada');
+      } else if (category.type !== rule.type) {
+        const expected = rule.type === 'income' ? 'receitas' : 'despesas';
+        errors.push(`A categoria "${category.name}" não é de ${expected}`);
+      }
+    }
+
+    if (data.accountId !== undefined && Number(data.accountId) !== Number(rule.accountId)) {
+      const account = await this.accountRepository.findById(data.accountId);
+
+      if (!account || !account.belongsTo(userId)) {
+        errors.push('Conta não encontrada');
+      } else if (!account.isActive()) {
+        errors.push(`A conta "${account.name}" está arquivada`);
+      }
+    }
+
+    return errors;
+  }
+}
@@ -9,6 +9,9 @@ import { Report } from '../../../domain/entities/Report.js';
  * - Média de gastos por mês
  * - Ticket médio
  * - Gráfico de tendência
+ *
+ * Das transações divididas entre categorias entra só o valor da linha desta
+ * categoria.
  */
 export class GenerateCategoryReportUseCase {
   constructor(transactionRepository, categoryRepository) {
@@ -21,14 +24,17 @@ export class GenerateCategoryReportUseCase {
    * @param {string} userId
    * @param {string} categoryId
    * @param {number} monthsBack - Quantos meses para trás analisar (padrão: 6)
+   * @param {Object} options - { accountId?: filtra por conta }
    * @returns {Promise<Report>}
    */
-  async execute(userId, categoryId, monthsBack = 6) {
+  async execute(userId, categoryId, monthsBack = 6, options = {}) {
     // Validação
     if (!userId) {
       throw new Error('userId é obrigatório');
     }
 
+    const { accountId = null } = options;
+
     if (!categoryId) {
       throw new Error('categoryId é obrigatório');
     }
@@ -58,10 +64,10 @@ export class GenerateCategoryReportUseCase {
         monthlyEvolution,
         recentTrend
       ] = await Promise.all([
-        this._getCategorySummary(userId, categoryId, startDate, endDate),
-        this._getCategoryTransactions(userId, categoryId, startDate, endDate),
-        this._getMonthlyEvolution(userId, categoryId, monthsBack),
-        this._getRecentTrend(userId, categoryId)
+        this._getCategorySummary(userId, categoryId, startDate, endDate, accountId),
+        this._getCategoryTransactions(userId, categoryId, startDate, endDate, accountId),
+        this._getMonthlyEvolution(userId, categoryId, monthsBack, accountId),
+        this._getRecentTrend(userId, categoryId, accountId)
       ]);
 
       // Criar entidade Report
@@ -73,7 +79,8 @@ export class GenerateCategoryReportUseCase {
           categoryId,
           categoryName: category.name,
           categoryIcon: category.icon,
-          label: `${category.icon} ${category.name} - Últimos ${monthsBack} meses`
+          label: `${category.icon} ${category.name} - Últimos ${monthsBack} meses`,
+          accountId
         },
         data: {
           category: {
@@ -100,74 +107,49 @@ export class GenerateCategoryReportUseCase {
    * Busca resumo da categoria no período
    * @private
    */
-  async _getCategorySummary(userId, categoryId, startDate, endDate) {
-    const query = `
-      SELECT
-        COUNT(*) as transaction_count,
-        COALESCE(SUM(amount), 0) as total,
-        AVG(amount) as average_ticket,
-        MIN(amount) as min_amount,
-        MAX(amount) as max_amount
-      FROM transactions
-      WHERE user_id = $1
-        AND category_id = $2
-        AND date >= $3
-        AND date <= $4
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getCategorySummary(userId, categoryId, startDate, endDate, accountId) {
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
+      accountId,
       categoryId,
       startDate,
       endDate
-    ]);
+    });
 
-    const row = result.rows[0];
+    const transactionCount = totals.reduce((sum, r) => sum + r.count, 0);
+    const total = totals.reduce((sum, r) => sum + r.total, 0);
 
     return {
-      transactionCount: parseInt(row.transaction_count),
-      total: parseFloat(row.total),
-      averageTicket: row.average_ticket ? parseFloat(row.average_ticket) : 0,
-      minAmount: row.min_amount ? parseFloat(row.min_amount) : 0,
-      maxAmount: row.max_amount ? parseFloat(row.max_amount) : 0
+      transactionCount,
+      total,
+      averageTicket: transactionCount > 0 ? total / transactionCount : 0,
+      minAmount: totals.length > 0 ? Math.min(...totals.map(r => r.min)) : 0,
+      maxAmount: totals.length > 0 ? Math.max(...totals.map(r => r.max)) : 0
     };
   }
 
   /**
-   * Busca todas as transações da categoria no período
+   * Busca todas as transações da categoria no período (com o valor que cabe
+   * à categoria)
    * @private
    */
-  async _getCategoryTransactions(userId, categoryId, startDate, endDate) {
-    const query = `
-      SELECT
-        id,
-        date,
-        type,
-        amount,
-        description,
-        created_at
-      FROM transactions
-      WHERE user_id = $1
-        AND category_id = $2
-        AND date >= $3
-        AND date <= $4
-      ORDER BY date DESC, created_at DESC
-      LIMIT 100
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
+  async _getCategoryTransactions(userId, categoryId, startDate, endDate, accountId) {
+    const transactions = await this.transactionRepository.findByFilters({
       userId,
+      accountId,
       categoryId,
       startDate,
-      endDate
-    ]);
+      endDate,
+      includePlanned: false,
+      limit: 100
+    });
 
-    return result.rows.map(row => ({
-      id: row.id,
-      date: row.date,
-      type: row.type,
-      amount: parseFloat(row.amount),
-      description: row.description
+    return transactions.map(transaction => ({
+      id: transaction.id,
+      date: transaction.date,
+      type: transaction.type,
+      amount: transaction.getCategoryAmount(categoryId),
+      description: transaction.description,
+      split: transaction.isSplit()
     }));
   }
 
@@ -175,36 +157,37 @@ export class GenerateCategoryReportUseCase {
    * Busca evolução mensal da categoria
    * @private
    */
-  async _getMonthlyEvolution(userId, categoryId, monthsBack) {
-    const query = `
-      SELECT
-        TO_CHAR(date, 'YYYY-MM') as month_year,
-        EXTRACT(MONTH FROM date) as month,
-        EXTRACT(YEAR FROM date) as year,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count,
-        AVG(amount) as average
-      FROM transactions
-      WHERE user_id = $1
-        AND category_id = $2
-        AND date >= DATE_TRUNC('month', CURRENT_DATE - INTERVAL '${monthsBack - 1} months')
-      GROUP BY month_year, month, year
-      ORDER BY month_year
-    `;
+  async _getMonthlyEvolution(userId, categoryId, monthsBack, accountId) {
+    const now = new Date();
+    const startDate = new Date(now.getFullYear(), now.getMonth() - (monthsBack - 1), 1);
 
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
-      categoryId
-    ]);
+    const totals = await this.transactionRepository.getMonthlyTotals(userId, {
+      accountId,
+      categoryId,
+      startDate
+    });
+
+    // Somar os tipos de cada mês
+    const monthsMap = new Map();
+
+    totals.forEach(row => {
+      const monthData = monthsMap.get(row.monthYear) || {
+        monthYear: row.monthYear,
+        month: row.month,
+        year: row.year,
+        total: 0,
+        count: 0
+      };
+
+      monthData.total += row.total;
+      monthData.count += row.count;
+      monthsMap.set(row.monthYear, monthData);
+    });
 
-    return result.rows.map(row => ({
-      monthYear: row.month_year,
-      month: parseInt(row.month),
-      year: parseInt(row.year),
-      total: parseFloat(row.total),
-      count: parseInt(row.count),
-      average: parseFloat(row.average),
-      monthName: this._getMonthName(parseInt(row.month))
+    return Array.from(monthsMap.values()).map(monthData => ({
+      ...monthData,
+      average: monthData.total / monthData.count,
+      monthName: this._getMonthName(monthData.month)
     }));
   }
 
@@ -212,34 +195,32 @@ export class GenerateCategoryReportUseCase {
    * Busca tendência recente (últimos 3 meses vs 3 anteriores)
    * @private
    */
-  async _getRecentTrend(userId, categoryId) {
-    const query = `
-      SELECT
-        CASE
-          WHEN date >= DATE_TRUNC('month', CURRENT_DATE - INTERVAL '2 months') THEN 'recent'
-          ELSE 'previous'
-        END as period,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions
-      WHERE user_id = $1
-        AND category_id = $2
-        AND date >= DATE_TRUNC('month', CURRENT_DATE - INTERVAL '5 months')
-      GROUP BY period
-    `;
+  async _getRecentTrend(userId, categoryId, accountId) {
+    // Últimos 3 meses (incluindo o atual) vs 3 anteriores
+    const now = new Date();
+    const recentStart = new Date(now.getFullYear(), now.getMonth() - 2, 1);
+    const previousStart = new Date(now.getFullYear(), now.getMonth() - 5, 1);
 
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
-      categoryId
-    ]);
+    const totals = await this.transactionRepository.getMonthlyTotals(userId, {
+      accountId,
+      categoryId,
+      startDate: previousStart
+    });
 
-    const recentData = result.rows.find(r => r.period === 'recent');
-    const previousData = result.rows.find(r => r.period === 'previous');
+    let recentTotal = 0;
+    let previousTotal = 0;
+    let recentCount = 0;
+    let previousCount = 0;
 
-    const recentTotal = recentData ? parseFloat(recentData.total) : 0;
-    const previousTotal = previousData ? parseFloat(previousData.total) : 0;
-    const recentCount = recentData ? parseInt(recentData.count) : 0;
-    const previousCount = previousData ? parseInt(previousData.count) : 0;
+    totals.forEach(row => {
+      if (new Date(row.year, row.month - 1, 1) >= recentStart) {
+        recentTotal += row.total;
+        recentCount += row.count;
+      } else {
+        previousTotal += row.total;
+        previousCount += row.count;
+      }
+    });
 
     // Calcular variação percentual
     const variation = previousTotal > 0
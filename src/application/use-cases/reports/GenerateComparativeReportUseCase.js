@@ -19,14 +19,17 @@ export class GenerateComparativeReportUseCase {
    * @param {string} userId
    * @param {Object} period1 - Primeiro período { month, year }
    * @param {Object} period2 - Segundo período { month, year }
+   * @param {Object} options - { accountId?: filtra por conta }
    * @returns {Promise<Report>}
    */
-  async execute(userId, period1, period2) {
+  async execute(userId, period1, period2, options = {}) {
     // Validação
     if (!userId) {
       throw new Error('userId é obrigatório');
     }
 
+    const { accountId = null } = options;
+
     if (!period1 || !period1.month || !period1.year) {
       throw new Error('period1 com month e year são obrigatórios');
     }
@@ -55,10 +58,10 @@ export class GenerateComparativeReportUseCase {
         categoryComparison,
         insights
       ] = await Promise.all([
-        this._getPeriodSummary(userId, start1, end1),
-        this._getPeriodSummary(userId, start2, end2),
-        this._getCategoryComparison(userId, start1, end1, start2, end2),
-        this._generateInsights(userId, start1, end1, start2, end2)
+        this._getPeriodSummary(userId, start1, end1, accountId),
+        this._getPeriodSummary(userId, start2, end2, accountId),
+        this._getCategoryComparison(userId, start1, end1, start2, end2, accountId),
+        this._generateInsights(userId, start1, end1, start2, end2, accountId)
       ]);
 
       // Calcular diferenças
@@ -81,7 +84,8 @@ export class GenerateComparativeReportUseCase {
             month: period2.month,
             year: period2.year,
             label: this._getMonthLabel(period2.month, period2.year)
-          }
+          },
+          accountId
         },
         data: {
           summary1,
@@ -108,41 +112,28 @@ export class GenerateComparativeReportUseCase {
    * Busca resumo de um período
    * @private
    */
-  async _getPeriodSummary(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count,
-        AVG(amount) as average
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getPeriodSummary(userId, startDate, endDate, accountId) {
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
-    const incomeRow = result.rows.find(r => r.type === 'income');
-    const expenseRow = result.rows.find(r => r.type === 'expense');
+    const incomeRow = totals.find(r => r.type === 'income');
+    const expenseRow = totals.find(r => r.type === 'expense');
 
-    const income = incomeRow ? parseFloat(incomeRow.total) : 0;
-    const expense = expenseRow ? parseFloat(expenseRow.total) : 0;
+    const income = incomeRow ? incomeRow.total : 0;
+    const expense = expenseRow ? expenseRow.total : 0;
 
     return {
       income,
       expense,
       balance: income - expense,
-      incomeCount: incomeRow ? parseInt(incomeRow.count) : 0,
-      expenseCount: expenseRow ? parseInt(expenseRow.count) : 0,
-      totalCount: (incomeRow ? parseInt(incomeRow.count) : 0) + (expenseRow ? parseInt(expenseRow.count) : 0),
-      averageIncome: incomeRow ? parseFloat(incomeRow.average) : 0,
-      averageExpense: expenseRow ? parseFloat(expenseRow.average) : 0
+      incomeCount: incomeRow ? incomeRow.count : 0,
+      expenseCount: expenseRow ? expenseRow.count : 0,
+      totalCount: (incomeRow ? incomeRow.count : 0) + (expenseRow ? expenseRow.count : 0),
+      averageIncome: incomeRow ? incomeRow.average : 0,
+      averageExpense: expenseRow ? expenseRow.average : 0
     };
   }
 
@@ -182,85 +173,68 @@ export class GenerateComparativeReportUseCase {
    * Compara categorias entre os dois períodos
    * @private
    */
-  async _getCategoryComparison(userId, start1, end1, start2, end2) {
-    const query = `
-      WITH period1 AS (
-        SELECT
-          c.id,
-          c.name,
-          c.icon,
-          COALESCE(SUM(t.amount), 0) as total
-        FROM transactions t
-        INNER JOIN categories c ON t.category_id = c.id
-        WHERE t.user_id = $1
-          AND t.type = 'expense'
-          AND t.date >= $2
-          AND t.date <= $3
-        GROUP BY c.id, c.name, c.icon
-      ),
-      period2 AS (
-        SELECT
-          c.id,
-          c.name,
-          c.icon,
-          COALESCE(SUM(t.amount), 0) as total
-        FROM transactions t
-        INNER JOIN categories c ON t.category_id = c.id
-        WHERE t.user_id = $1
-          AND t.type = 'expense'
-          AND t.date >= $4
-          AND t.date <= $5
-        GROUP BY c.id, c.name, c.icon
-      )
-      SELECT
-        COALESCE(p1.id, p2.id) as category_id,
-        COALESCE(p1.name, p2.name) as category_name,
-        COALESCE(p1.icon, p2.icon) as category_icon,
-        COALESCE(p1.total, 0) as period1_total,
-        COALESCE(p2.total, 0) as period2_total
-      FROM period1 p1
-      FULL OUTER JOIN period2 p2 ON p1.id = p2.id
-      ORDER BY ABS(COALESCE(p2.total, 0) - COALESCE(p1.total, 0)) DESC
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
-      start1,
-      end1,
-      start2,
-      end2
+  async _getCategoryComparison(userId, start1, end1, start2, end2, accountId) {
+    const [categories1, categories2] = await Promise.all([
+      this.transactionRepository.getTotalsByCategory(userId, {
+        accountId,
+        startDate: start1,
+        endDate: end1,
+        type: 'expense'
+      }),
+      this.transactionRepository.getTotalsByCategory(userId, {
+        accountId,
+        startDate: start2,
+        endDate: end2,
+        type: 'expense'
+      })
     ]);
 
-    return result.rows.map(row => {
-      const period1Total = parseFloat(row.period1_total);
-      const period2Total = parseFloat(row.period2_total);
-      const difference = period2Total - period1Total;
-      const variationPercent = period1Total > 0
-        ? (difference / period1Total) * 100
-        : 0;
-
-      return {
-        categoryId: row.category_id,
-        categoryName: row.category_name,
-        icon: row.category_icon,
-        period1Total,
-        period2Total,
-        difference,
-        variationPercent
-      };
+    // Juntar categorias dos dois períodos
+    const categoriesMap = new Map();
+
+    categories1.forEach(category => {
+      categoriesMap.set(category.categoryId, { ...category, period1Total: category.total, period2Total: 0 });
+    });
+
+    categories2.forEach(category => {
+      const existing = categoriesMap.get(category.categoryId);
+      if (existing) {
+        existing.period2Total = category.total;
+      } else {
+        categoriesMap.set(category.categoryId, { ...category, period1Total: 0, period2Total: category.total });
+      }
     });
+
+    return Array.from(categoriesMap.values())
+      .map(category => {
+        const difference = category.period2Total - category.period1Total;
+        const variationPercent = category.period1Total > 0
+          ? (difference / category.period1Total) * 100
+          : 0;
+
+        return {
+          categoryId: category.categoryId,
+          categoryName: category.name,
+          icon: category.icon,
+          period1Total: category.period1Total,
+          period2Total: category.period2Total,
+          difference,
+          variationPercent
+        };
+      })
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
   }
 
   /**
    * Gera insights sobre as mudanças
    * @private
    */
-  async _generateInsights(userId, start1, end1, start2, end2) {
+  async _generateInsights(userId, start1, end1, start2, end2, accountId) {
     const insights = [];
 
     const [summary1, summary2] = await Promise.all([
-      this._getPeriodSummary(userId, start1, end1),
-      this._getPeriodSummary(userId, start2, end2)
+      this._getPeriodSummary(userId, start1, end1, accountId),
+      this._getPeriodSummary(userId, start2, end2, accountId)
     ]);
 
     const comparison = this._calculateComparison(summary1, summary2);
@@ -19,14 +19,17 @@ export class GenerateEvolutionReportUseCase {
    * Executa o caso de uso
    * @param {string} userId
    * @param {number} monthsBack - Quantos meses para trás analisar (padrão: 12)
+   * @param {Object} options - { accountId?: filtra por conta }
    * @returns {Promise<Report>}
    */
-  async execute(userId, monthsBack = 12) {
+  async execute(userId, monthsBack = 12, options = {}) {
     // Validação
     if (!userId) {
       throw new Error('userId é obrigatório');
     }
 
+    const { accountId = null } = options;
+
     if (monthsBack < 3 || monthsBack > 24) {
       throw new Error('monthsBack deve estar entre 3 e 24');
     }
@@ -45,9 +48,9 @@ export class GenerateEvolutionReportUseCase {
         summary,
         trend
       ] = await Promise.all([
-        this._getMonthlyData(userId, monthsBack),
-        this._getSummary(userId, monthsBack),
-        this._getTrend(userId, monthsBack)
+        this._getMonthlyData(userId, monthsBack, accountId),
+        this._getSummary(userId, monthsBack, accountId),
+        this._getTrend(userId, monthsBack, accountId)
       ]);
 
       // Criar entidade Report
@@ -57,7 +60,8 @@ export class GenerateEvolutionReportUseCase {
           start: startDate,
           end: endDate,
           monthsBack,
-          label: `Últimos ${monthsBack} meses`
+          label: `Últimos ${monthsBack} meses`,
+          accountId
         },
         data: {
           monthlyData,
@@ -76,29 +80,17 @@ export class GenerateEvolutionReportUseCase {
    * Busca dados mensais
    * @private
    */
-  async _getMonthlyData(userId, monthsBack) {
-    const query = `
-      SELECT
-        TO_CHAR(date, 'YYYY-MM') as month_year,
-        EXTRACT(MONTH FROM date) as month,
-        EXTRACT(YEAR FROM date) as year,
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= DATE_TRUNC('month', CURRENT_DATE - INTERVAL '${monthsBack - 1} months')
-      GROUP BY month_year, month, year, type
-      ORDER BY month_year
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [userId]);
+  async _getMonthlyData(userId, monthsBack, accountId) {
+    const now = new Date();
+    const rows = await this.transactionRepository.getMonthlyTotals(userId, {
+      accountId,
+      startDate: new Date(now.getFullYear(), now.getMonth() - (monthsBack - 1), 1)
+    });
 
     // Agrupar por mês
     const monthsMap = new Map();
 
     // Preencher todos os meses do período (mesmo sem transações)
-    const now = new Date();
     for (let i = monthsBack - 1; i >= 0; i--) {
       const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
@@ -118,8 +110,8 @@ export class GenerateEvolutionReportUseCase {
     }
 
     // Preencher com dados reais
-    result.rows.forEach(row => {
-      const monthKey = row.month_year;
+    rows.forEach(row => {
+      const monthKey = row.monthYear;
 
       if (!monthsMap.has(monthKey)) {
         return; // Ignorar meses fora do período
@@ -128,11 +120,11 @@ export class GenerateEvolutionReportUseCase {
       const monthData = monthsMap.get(monthKey);
 
       if (row.type === 'income') {
-        monthData.income = parseFloat(row.total);
-        monthData.incomeCount = parseInt(row.count);
+        monthData.income = row.total;
+        monthData.incomeCount = row.count;
       } else if (row.type === 'expense') {
-        monthData.expense = parseFloat(row.total);
-        monthData.expenseCount = parseInt(row.count);
+        monthData.expense = row.total;
+        monthData.expenseCount = row.count;
       }
 
       monthData.balance = monthData.income - monthData.expense;
@@ -146,8 +138,8 @@ export class GenerateEvolutionReportUseCase {
    * Calcula resumo geral
    * @private
    */
-  async _getSummary(userId, monthsBack) {
-    const monthlyData = await this._getMonthlyData(userId, monthsBack);
+  async _getSummary(userId, monthsBack, accountId) {
+    const monthlyData = await this._getMonthlyData(userId, monthsBack, accountId);
 
     // Calcular totais
     const totalIncome = monthlyData.reduce((sum, m) => sum + m.income, 0);
@@ -198,8 +190,8 @@ export class GenerateEvolutionReportUseCase {
    * Calcula tendência
    * @private
    */
-  async _getTrend(userId, monthsBack) {
-    const monthlyData = await this._getMonthlyData(userId, monthsBack);
+  async _getTrend(userId, monthsBack, accountId) {
+    const monthlyData = await this._getMonthlyData(userId, monthsBack, accountId);
 
     // Dividir em dois períodos para comparação
     const halfPoint = Math.floor(monthsBack / 2);
@@ -1,4 +1,5 @@
 import { Report } from '../../../domain/entities/Report.js';
+import { UNCATEGORIZED_NAME, UNCATEGORIZED_ICON } from '../../../domain/entities/Category.js';
 
 /**
  * Use Case: Gerar Relatório Mensal Detalhado
@@ -19,14 +20,17 @@ export class GenerateMonthlyReportUseCase {
    * @param {string} userId
    * @param {number} month - Mês (1-12)
    * @param {number} year - Ano (ex: 2025)
+   * @param {Object} options - { accountId?: filtra por conta }
    * @returns {Promise<Report>}
    */
-  async execute(userId, month, year) {
+  async execute(userId, month, year, options = {}) {
     // Validação
     if (!userId) {
       throw new Error('userId é obrigatório');
     }
 
+    const { accountId = null } = options;
+
     if (!month || month < 1 || month > 12) {
       throw new Error('Mês inválido (deve ser entre 1 e 12)');
     }
@@ -47,10 +51,10 @@ export class GenerateMonthlyReportUseCase {
         categoryDistribution,
         dailyStats
       ] = await Promise.all([
-        this._getMonthSummary(userId, startDate, endDate),
-        this._getMonthTransactions(userId, startDate, endDate),
-        this._getCategoryDistribution(userId, startDate, endDate),
-        this._getDailyStats(userId, startDate, endDate)
+        this._getMonthSummary(userId, startDate, endDate, accountId),
+        this._getMonthTransactions(userId, startDate, endDate, accountId),
+        this._getCategoryDistribution(userId, startDate, endDate, accountId),
+        this._getDailyStats(userId, startDate, endDate, accountId)
       ]);
 
       // Criar entidade Report
@@ -61,7 +65,8 @@ export class GenerateMonthlyReportUseCase {
           end: endDate,
           month,
           year,
-          label: this._getMonthLabel(month, year)
+          label: this._getMonthLabel(month, year),
+          accountId
         },
         data: {
           transactions,
@@ -81,33 +86,20 @@ export class GenerateMonthlyReportUseCase {
    * Busca resumo financeiro do mês
    * @private
    */
-  async _getMonthSummary(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count,
-        AVG(amount) as average
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getMonthSummary(userId, startDate, endDate, accountId) {
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
-    const incomeRow = result.rows.find(r => r.type === 'income');
-    const expenseRow = result.rows.find(r => r.type === 'expense');
+    const incomeRow = totals.find(r => r.type === 'income');
+    const expenseRow = totals.find(r => r.type === 'expense');
 
-    const totalIncome = incomeRow ? parseFloat(incomeRow.total) : 0;
-    const totalExpense = expenseRow ? parseFloat(expenseRow.total) : 0;
-    const incomeCount = incomeRow ? parseInt(incomeRow.count) : 0;
-    const expenseCount = expenseRow ? parseInt(expenseRow.count) : 0;
+    const totalIncome = incomeRow ? incomeRow.total : 0;
+    const totalExpense = expenseRow ? expenseRow.total : 0;
+    const incomeCount = incomeRow ? incomeRow.count : 0;
+    const expenseCount = expenseRow ? expenseRow.count : 0;
 
     return {
       totalIncome,
@@ -116,8 +108,8 @@ export class GenerateMonthlyReportUseCase {
       transactionCount: incomeCount + expenseCount,
       incomeCount,
       expenseCount,
-      averageIncome: incomeRow ? parseFloat(incomeRow.average) : 0,
-      averageExpense: expenseRow ? parseFloat(expenseRow.average) : 0
+      averageIncome: incomeRow ? incomeRow.average : 0,
+      averageExpense: expenseRow ? expenseRow.average : 0
     };
   }
 
@@ -125,42 +117,26 @@ export class GenerateMonthlyReportUseCase {
    * Busca todas as transações do mês
    * @private
    */
-  async _getMonthTransactions(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        t.id,
-        t.date,
-        t.type,
-        t.amount,
-        t.description,
-        c.name as category_name,
-        c.icon as category_icon,
-        c.color as category_color
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1
-        AND t.date >= $2
-        AND t.date <= $3
-      ORDER BY t.date DESC, t.created_at DESC
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
+  async _getMonthTransactions(userId, startDate, endDate, accountId) {
+    const transactions = await this.transactionRepository.findByFilters({
       userId,
+      accountId,
       startDate,
-      endDate
-    ]);
-
-    return result.rows.map(row => ({
-      id: row.id,
-      date: row.date,
-      type: row.type,
-      amount: parseFloat(row.amount),
-      description: row.description,
-      category: {
-        name: row.category_name,
-        icon: row.category_icon,
-        color: row.category_color
-      }
+      endDate,
+      includeTransfers: false,
+      includePlanned: false,
+      limit: null
+    });
+
+    return transactions.map(transaction => ({
+      id: transaction.id,
+      date: transaction.date,
+      type: transaction.type,
+      amount: transaction.amount,
+      description: transaction.description,
+      category: transaction.categoryName
+        ? { name: transaction.categoryName, icon: transaction.categoryIcon, color: transaction.categoryColor }
+        : { name: UNCATEGORIZED_NAME, icon: UNCATEGORIZED_ICON, color: null }
     }));
   }
 
@@ -168,48 +144,30 @@ export class GenerateMonthlyReportUseCase {
    * Busca distribuição por categoria (apenas despesas)
    * @private
    */
-  async _getCategoryDistribution(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        c.id,
-        c.name,
-        c.icon,
-        c.color,
-        COALESCE(SUM(t.amount), 0) as total,
-        COUNT(*) as count,
-        AVG(t.amount) as average
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1
-        AND t.type = 'expense'
-        AND t.date >= $2
-        AND t.date <= $3
-      GROUP BY c.id, c.name, c.icon, c.color
-      ORDER BY total DESC
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getCategoryDistribution(userId, startDate, endDate, accountId) {
+    const categories = await this.transactionRepository.getTotalsByCategory(userId, {
+      accountId,
       startDate,
-      endDate
-    ]);
+      endDate,
+      type: 'expense'
+    });
 
     // Calcular total de despesas para porcentagem
-    const totalExpenses = result.rows.reduce(
-      (sum, row) => sum + parseFloat(row.total),
+    const totalExpenses = categories.reduce(
+      (sum, category) => sum + category.total,
       0
     );
 
-    return result.rows.map(row => ({
-      categoryId: row.id,
-      categoryName: row.name,
-      icon: row.icon,
-      color: row.color,
-      total: parseFloat(row.total),
-      count: parseInt(row.count),
-      average: parseFloat(row.average),
+    return categories.map(category => ({
+      categoryId: category.categoryId,
+      categoryName: category.name,
+      icon: category.icon,
+      color: category.color,
+      total: category.total,
+      count: category.count,
+      average: category.average,
       percentage: totalExpenses > 0
-        ? (parseFloat(row.total) / totalExpenses) * 100
+        ? (category.total / totalExpenses) * 100
         : 0
     }));
   }
@@ -218,32 +176,18 @@ export class GenerateMonthlyReportUseCase {
    * Busca estatísticas diárias
    * @private
    */
-  async _getDailyStats(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        DATE(date) as day,
-        COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as daily_expense,
-        COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as daily_income,
-        COUNT(*) as transaction_count
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY DATE(date)
-      ORDER BY DATE(date)
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getDailyStats(userId, startDate, endDate, accountId) {
+    const dailyTotals = await this.transactionRepository.getDailyTotals(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
-    const dailyData = result.rows.map(row => ({
-      day: row.day,
-      expense: parseFloat(row.daily_expense),
-      income: parseFloat(row.daily_income),
-      transactionCount: parseInt(row.transaction_count)
+    const dailyData = dailyTotals.map(day => ({
+      day: day.day,
+      expense: day.expense,
+      income: day.income,
+      transactionCount: day.count
     }));
 
     // Calcular estatísticas
@@ -19,14 +19,17 @@ export class GeneratePatternAnalysisUseCase {
    * Executa o caso de uso
    * @param {string} userId
    * @param {number} monthsBack - Quantos meses para trás analisar (padrão: 6)
+   * @param {Object} options - { accountId?: filtra por conta }
    * @returns {Promise<Report>}
    */
-  async execute(userId, monthsBack = 6) {
+  async execute(userId, monthsBack = 6, options = {}) {
     // Validação
     if (!userId) {
       throw new Error('userId é obrigatório');
     }
 
+    const { accountId = null } = options;
+
     if (monthsBack < 1 || monthsBack > 24) {
       throw new Error('monthsBack deve estar entre 1 e 24');
     }
@@ -47,11 +50,11 @@ export class GeneratePatternAnalysisUseCase {
         timePattern,
         summary
       ] = await Promise.all([
-        this._getDayOfWeekPattern(userId, startDate, endDate),
-        this._getCategoryFrequency(userId, startDate, endDate),
-        this._getTicketAnalysis(userId, startDate, endDate),
-        this._getTimePattern(userId, startDate, endDate),
-        this._getSummary(userId, startDate, endDate)
+        this._getDayOfWeekPattern(userId, startDate, endDate, accountId),
+        this._getCategoryFrequency(userId, startDate, endDate, accountId),
+        this._getTicketAnalysis(userId, startDate, endDate, accountId),
+        this._getTimePattern(userId, startDate, endDate, accountId),
+        this._getSummary(userId, startDate, endDate, accountId)
       ]);
 
       // Criar entidade Report
@@ -61,7 +64,8 @@ export class GeneratePatternAnalysisUseCase {
           start: startDate,
           end: endDate,
           monthsBack,
-          label: `Análise dos últimos ${monthsBack} meses`
+          label: `Análise dos últimos ${monthsBack} meses`,
+          accountId
         },
         data: {
           dayOfWeekPattern,
@@ -82,38 +86,43 @@ export class GeneratePatternAnalysisUseCase {
    * Analisa padrão por dia da semana
    * @private
    */
-  async _getDayOfWeekPattern(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        EXTRACT(DOW FROM date) as day_of_week,
-        COUNT(*) as transaction_count,
-        COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expenses,
-        COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as total_income,
-        COALESCE(AVG(CASE WHEN type = 'expense' THEN amount ELSE NULL END), 0) as avg_expense
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY day_of_week
-      ORDER BY day_of_week
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getDayOfWeekPattern(userId, startDate, endDate, accountId) {
+    const dailyTotals = await this.transactionRepository.getDailyTotals(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
     const dayNames = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
 
-    const data = result.rows.map(row => ({
-      dayOfWeek: parseInt(row.day_of_week),
-      dayName: dayNames[parseInt(row.day_of_week)],
-      transactionCount: parseInt(row.transaction_count),
-      totalExpenses: parseFloat(row.total_expenses),
-      totalIncome: parseFloat(row.total_income),
-      averageExpense: parseFloat(row.avg_expense)
-    }));
+    // Agrupar os totais diários por dia da semana
+    const daysMap = new Map();
+
+    dailyTotals.forEach(day => {
+      const dayOfWeek = new Date(day.day).getDay();
+      const dayData = daysMap.get(dayOfWeek) || {
+        dayOfWeek,
+        dayName: dayNames[dayOfWeek],
+        transactionCount: 0,
+        totalExpenses: 0,
+        totalIncome: 0,
+        expenseCount: 0
+      };
+
+      dayData.transactionCount += day.count;
+      dayData.totalExpenses += day.expense;
+      dayData.totalIncome += day.income;
+      dayData.expenseCount += day.expenseCount;
+
+      daysMap.set(dayOfWeek, dayData);
+    });
+
+    const data = Array.from(daysMap.values())
+      .sort((a, b) => a.dayOfWeek - b.dayOfWeek)
+      .map(({ expenseCount, ...dayData }) => ({
+        ...dayData,
+        averageExpense: expenseCount > 0 ? dayData.totalExpenses / expenseCount : 0
+      }));
 
     // Encontrar dia com mais gastos
     const maxExpenseDay = data.length > 0
@@ -130,87 +139,55 @@ export class GeneratePatternAnalysisUseCase {
    * Analisa frequência por categoria
    * @private
    */
-  async _getCategoryFrequency(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        c.id,
-        c.name,
-        c.icon,
-        c.type,
-        COUNT(*) as frequency,
-        COALESCE(SUM(t.amount), 0) as total,
-        AVG(t.amount) as average_ticket
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1
-        AND t.date >= $2
-        AND t.date <= $3
-      GROUP BY c.id, c.name, c.icon, c.type
-      ORDER BY frequency DESC
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getCategoryFrequency(userId, startDate, endDate, accountId) {
+    const categories = await this.transactionRepository.getTotalsByCategory(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
-    const totalTransactions = result.rows.reduce(
-      (sum, row) => sum + parseInt(row.frequency),
+    const totalTransactions = categories.reduce(
+      (sum, category) => sum + category.count,
       0
     );
 
-    return result.rows.map(row => ({
-      categoryId: row.id,
-      categoryName: row.name,
-      icon: row.icon,
-      type: row.type,
-      frequency: parseInt(row.frequency),
-      total: parseFloat(row.total),
-      averageTicket: parseFloat(row.average_ticket),
-      frequencyPercent: totalTransactions > 0
-        ? (parseInt(row.frequency) / totalTransactions) * 100
-        : 0
-    }));
+    return categories
+      .map(category => ({
+        categoryId: category.categoryId,
+        categoryName: category.name,
+        icon: category.icon,
+        type: category.type,
+        frequency: category.count,
+        total: category.total,
+        averageTicket: category.average,
+        frequencyPercent: totalTransactions > 0
+          ? (category.count / totalTransactions) * 100
+          : 0
+      }))
+      .sort((a, b) => b.frequency - a.frequency);
   }
 
   /**
    * Analisa ticket médio
    * @private
    */
-  async _getTicketAnalysis(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        type,
-        COUNT(*) as count,
-        COALESCE(SUM(amount), 0) as total,
-        AVG(amount) as average,
-        MIN(amount) as min,
-        MAX(amount) as max,
-        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY amount) as median
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getTicketAnalysis(userId, startDate, endDate, accountId) {
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
     const analysis = {};
 
-    result.rows.forEach(row => {
+    totals.forEach(row => {
       analysis[row.type] = {
-        count: parseInt(row.count),
-        total: parseFloat(row.total),
-        average: parseFloat(row.average),
-        min: parseFloat(row.min),
-        max: parseFloat(row.max),
-        median: parseFloat(row.median)
+        count: row.count,
+        total: row.total,
+        average: row.average,
+        min: row.min,
+        max: row.max,
+        median: row.median
       };
     });
 
@@ -221,30 +198,12 @@ export class GeneratePatternAnalysisUseCase {
    * Analisa padrão temporal (início, meio, fim do mês)
    * @private
    */
-  async _getTimePattern(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        CASE
-          WHEN EXTRACT(DAY FROM date) <= 10 THEN 'início'
-          WHEN EXTRACT(DAY FROM date) <= 20 THEN 'meio'
-          ELSE 'fim'
-        END as period,
-        type,
-        COUNT(*) as count,
-        COALESCE(SUM(amount), 0) as total
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY period, type
-      ORDER BY period, type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getTimePattern(userId, startDate, endDate, accountId) {
+    const dailyTotals = await this.transactionRepository.getDailyTotals(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
     // Organizar por período
     const patterns = {
@@ -253,17 +212,19 @@ export class GeneratePatternAnalysisUseCase {
       fim: { income: 0, expense: 0, incomeCount: 0, expenseCount: 0 }
     };
 
-    result.rows.forEach(row => {
-      const period = row.period;
-      const type = row.type;
-
-      if (type === 'income') {
-        patterns[period].income = parseFloat(row.total);
-        patterns[period].incomeCount = parseInt(row.count);
-      } else {
-        patterns[period].expense = parseFloat(row.total);
-        patterns[period].expenseCount = parseInt(row.count);
+    dailyTotals.forEach(day => {
+      const dayOfMonth = new Date(day.day).getDate();
+      let period = 'fim';
+      if (dayOfMonth <= 10) {
+        period = 'início';
+      } else if (dayOfMonth <= 20) {
+        period = 'meio';
       }
+
+      patterns[period].income += day.income;
+      patterns[period].incomeCount += day.incomeCount;
+      patterns[period].expense += day.expense;
+      patterns[period].expenseCount += day.expenseCount;
     });
 
     return patterns;
@@ -273,31 +234,17 @@ export class GeneratePatternAnalysisUseCase {
    * Calcula resumo geral
    * @private
    */
-  async _getSummary(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        COUNT(*) as total_transactions,
-        COUNT(DISTINCT DATE(date)) as active_days,
-        COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expenses,
-        COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as total_income
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getSummary(userId, startDate, endDate, accountId) {
+    const dailyTotals = await this.transactionRepository.getDailyTotals(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
-
-    const row = result.rows[0];
+    });
 
-    const totalTransactions = parseInt(row.total_transactions);
-    const activeDays = parseInt(row.active_days);
-    const totalExpenses = parseFloat(row.total_expenses);
-    const totalIncome = parseFloat(row.total_income);
+    const totalTransactions = dailyTotals.reduce((sum, d) => sum + d.count, 0);
+    const activeDays = dailyTotals.length;
+    const totalExpenses = dailyTotals.reduce((sum, d) => sum + d.expense, 0);
+    const totalIncome = dailyTotals.reduce((sum, d) => sum + d.income, 0);
 
     // Calcular dias no período
     const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
@@ -0,0 +1,183 @@
+import { Report } from '../../../domain/entities/Report.js';
+
+/**
+ * Média de dias de um mês, para a frequência mensal das compras
+ */
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Use Case: Gerar Relatório por Favorecido
+ *
+ * Totaliza as despesas de cada favorecido (loja, empresa, pessoa) em um período:
+ * - Total gasto, quantidade e ticket médio por favorecido
+ * - Frequência (compras por mês) e data da última compra
+ * - Percentual de cada favorecido sobre o total de despesas do período
+ * - Total das despesas sem favorecido
+ *
+ * Complementa o relatório de maiores transações: lá aparecem as compras
+ * grandes; aqui, os lugares onde o dinheiro vai aos poucos.
+ */
+export class GeneratePayeeReportUseCase {
+  constructor(transactionRepository) {
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa o caso de uso
+   * @param {string} userId
+   * @param {Object} options - Opções de filtro
+   * @param {string} options.period - 'month', 'last3', 'year', 'custom'
+   * @param {Date} options.startDate - Data inicial (para period='custom')
+   * @param {Date} options.endDate - Data final (para period='custom')
+   * @param {number} options.limit - Quantidade de favorecidos (padrão: 10)
+   * @param {number} options.accountId - Filtra por conta (opcional)
+   * @returns {Promise<Report>}
+   */
+  async execute(userId, options = {}) {
+    // Validação
+    if (!userId) {
+      throw new Error('userId é obrigatório');
+    }
+
+    const {
+      period = 'month',
+      startDate,
+      endDate,
+      limit = 10,
+      accountId = null
+    } = options;
+
+    if (limit < 1 || limit > 50) {
+      throw new Error('limit deve estar entre 1 e 50');
+    }
+
+    try {
+      // Calcular período
+      const { start, end, label } = this._calculatePeriod(period, startDate, endDate);
+      // Meses decorridos do período (os dias que ainda não chegaram não contam na frequência)
+      const elapsedEnd = Math.min(end.getTime(), Date.now());
+      const months = Math.max(1, Math.round(((elapsedEnd - start) / (1000 * 60 * 60 * 24 * DAYS_PER_MONTH)) * 10) / 10);
+
+      const filters = { type: 'expense', startDate: start, endDate: end, accountId };
+
+      // Buscar dados em paralelo
+      const [payeeTotals, typeTotals] = await Promise.all([
+        this.transactionRepository.getTotalsByPayee(userId, filters),
+        this.transactionRepository.getTotalsByType(userId, filters)
+      ]);
+
+      const expenseRow = typeTotals.find(row => row.type === 'expense');
+      const totalExpense = expenseRow ? expenseRow.total : 0;
+      const expenseCount = expenseRow ? expenseRow.count : 0;
+
+      const assignedTotal = Math.round(payeeTotals.reduce((sum, row) => sum + row.total, 0) * 100) / 100;
+      const assignedCount = payeeTotals.reduce((sum, row) => sum + row.count, 0);
+
+      const payees = payeeTotals.slice(0, limit).map(row => ({
+        ...row,
+        percentage: totalExpense > 0 ? (row.total / totalExpense) * 100 : 0,
+        frequency: Math.round((row.count / months) * 10) / 10
+      }));
+
+      // Criar entidade Report
+      return new Report({
+        type: 'payee',
+        period: {
+          start,
+          end,
+          period,
+          label,
+          accountId
+        },
+        data: {
+          payees,
+          unassigned: {
+            total: Math.round((totalExpense - assignedTotal) * 100) / 100,
+            count: expenseCount - assignedCount
+          },
+          limit
+        },
+        summary: {
+          totalExpense,
+          expenseCount,
+          assignedTotal,
+          payeeCount: payeeTotals.length,
+          months
+        },
+        userId,
+        generatedAt: new Date()
+      });
+    } catch (error) {
+      throw new Error(`Erro ao gerar relatório por favorecido: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calcula o período baseado na opção selecionada
+   * @private
+   */
+  _calculatePeriod(period, customStart, customEnd) {
+    const now = new Date();
+    let start, end, label;
+
+    switch (period) {
+    case 'month':
+      start = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0);
+      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+      label = `${this._getMonthName(now.getMonth() + 1)} ${now.getFullYear()}`;
+      break;
+
+    case 'last3':
+      start = new Date(now.getFullYear(), now.getMonth() - 2, 1, 0, 0, 0);
+      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+      label = 'Últimos 3 meses';
+      break;
+
+    case 'year':
+      start = new Date(now.getFullYear(), 0, 1, 0, 0, 0);
+      end = new Date(now.getFullYear(), 11, 31, 23, 59, 59);
+      label = `${now.getFullYear()}`;
+      break;
+
+    case 'custom':
+      if (!customStart || !customEnd) {
+        throw new Error('startDate e endDate são obrigatórios para period=custom');
+      }
+      start = customStart instanceof Date ? customStart : new Date(customStart);
+      end = customEnd instanceof Date ? customEnd : new Date(customEnd);
+      if (start > end) {
+        throw new Error('A data inicial deve ser anterior à data final');
+      }
+      label = `${this._formatDate(start)} a ${this._formatDate(end)}`;
+      break;
+
+    default:
+      throw new Error('Período inválido');
+    }
+
+    return { start, end, label };
+  }
+
+  /**
+   * Formata data para exibição
+   * @private
+   */
+  _formatDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = date.getFullYear();
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Retorna o nome do mês
+   * @private
+   */
+  _getMonthName(monthNumber) {
+    const months = [
+      'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+      'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+    ];
+    return months[monthNumber - 1] || 'N/A';
+  }
+}
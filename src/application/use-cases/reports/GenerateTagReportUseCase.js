@@ -0,0 +1,181 @@
+import { Report } from '../../../domain/entities/Report.js';
+
+/**
+ * Use Case: Gerar Relatório por Tag
+ *
+ * Totaliza as despesas de cada tag em um período:
+ * - Total, quantidade e ticket médio por tag
+ * - Percentual de cada tag sobre o total de despesas do período
+ * - Total das despesas sem nenhuma tag
+ *
+ * Uma despesa com várias tags entra no total de cada uma delas, então a soma
+ * das tags pode passar do total de despesas.
+ */
+export class GenerateTagReportUseCase {
+  constructor(transactionRepository) {
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa o caso de uso
+   * @param {string} userId
+   * @param {Object} options - Opções de filtro
+   * @param {string} options.period - 'month', 'last3', 'year', 'custom'
+   * @param {Date} options.startDate - Data inicial (para period='custom')
+   * @param {Date} options.endDate - Data final (para period='custom')
+   * @param {number} options.accountId - Filtra por conta (opcional)
+   * @returns {Promise<Report>}
+   */
+  async execute(userId, options = {}) {
+    // Validação
+    if (!userId) {
+      throw new Error('userId é obrigatório');
+    }
+
+    const {
+      period = 'month',
+      startDate,
+      endDate,
+      accountId = null
+    } = options;
+
+    try {
+      // Calcular período
+      const { start, end, label } = this._calculatePeriod(period, startDate, endDate);
+
+      const filters = { type: 'expense', startDate: start, endDate: end, accountId };
+
+      // Buscar dados em paralelo
+      const [tagTotals, typeTotals, untagged] = await Promise.all([
+        this.transactionRepository.getTotalsByTag(userId, filters),
+        this.transactionRepository.getTotalsByType(userId, filters),
+        this._getUntagged(userId, filters)
+      ]);
+
+      const expenseRow = typeTotals.find(row => row.type === 'expense');
+      const totalExpense = expenseRow ? expenseRow.total : 0;
+      const expenseCount = expenseRow ? expenseRow.count : 0;
+
+      const tags = tagTotals.map(row => ({
+        ...row,
+        percentage: totalExpense > 0 ? (row.total / totalExpense) * 100 : 0
+      }));
+
+      // Criar entidade Report
+      return new Report({
+        type: 'tag',
+        period: {
+          start,
+          end,
+          period,
+          label,
+          accountId
+        },
+        data: {
+          tags,
+          untagged
+        },
+        summary: {
+          totalExpense,
+          expenseCount,
+          taggedTotal: Math.round((totalExpense - untagged.total) * 100) / 100,
+          tagCount: tags.length
+        },
+        userId,
+        generatedAt: new Date()
+      });
+    } catch (error) {
+      throw new Error(`Erro ao gerar relatório por tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Despesas do período sem nenhuma tag
+   * @private
+   */
+  async _getUntagged(userId, filters) {
+    const expenses = await this.transactionRepository.findByFilters({
+      userId,
+      ...filters,
+      includeTransfers: false,
+      includePlanned: false,
+      limit: null
+    });
+
+    const untagged = expenses.filter(transaction => transaction.tags.length === 0);
+
+    return {
+      total: Math.round(untagged.reduce((sum, transaction) => sum + transaction.amount, 0) * 100) / 100,
+      count: untagged.length
+    };
+  }
+
+  /**
+   * Calcula o período baseado na opção selecionada
+   * @private
+   */
+  _calculatePeriod(period, customStart, customEnd) {
+    const now = new Date();
+    let start, end, label;
+
+    switch (period) {
+    case 'month':
+      start = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0);
+      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+      label = `${this._getMonthName(now.getMonth() + 1)} ${now.getFullYear()}`;
+      break;
+
+    case 'last3':
+      start = new Date(now.getFullYear(), now.getMonth() - 2, 1, 0, 0, 0);
+      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+      label = 'Últimos 3 meses';
+      break;
+
+    case 'year':
+      start = new Date(now.getFullYear(), 0, 1, 0, 0, 0);
+      end = new Date(now.getFullYear(), 11, 31, 23, 59, 59);
+      label = `${now.getFullYear()}`;
+      break;
+
+    case 'custom':
+      if (!customStart || !customEnd) {
+        throw new Error('startDate e endDate são obrigatórios para period=custom');
+      }
+      start = customStart instanceof Date ? customStart : new Date(customStart);
+      end = customEnd instanceof Date ? customEnd : new Date(customEnd);
+      if (start > end) {
+        throw new Error('A data inicial deve ser anterior à data final');
+      }
+      label = `${this._formatDate(start)} a ${this._formatDate(end)}`;
+      break;
+
+    default:
+      throw new Error('Período inválido');
+    }
+
+    return { start, end, label };
+  }
+
+  /**
+   * Formata data para exibição
+   * @private
+   */
+  _formatDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = date.getFullYear();
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Retorna o nome do mês
+   * @private
+   */
+  _getMonthName(monthNumber) {
+    const months = [
+      'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+      'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+    ];
+    return months[monthNumber - 1] || 'N/A';
+  }
+}
@@ -1,4 +1,5 @@
 import { Report } from '../../../domain/entities/Report.js';
+import { UNCATEGORIZED_NAME, UNCATEGORIZED_ICON } from '../../../domain/entities/Category.js';
 
 /**
  * Use Case: Gerar Relatório de Maiores Transações
@@ -23,6 +24,7 @@ export class GenerateTopTransactionsReportUseCase {
    * @param {Date} options.startDate - Data inicial (para period='custom')
    * @param {Date} options.endDate - Data final (para period='custom')
    * @param {number} options.limit - Quantidade de transações (padrão: 10)
+   * @param {number} options.accountId - Filtra por conta (opcional)
    * @returns {Promise<Report>}
    */
   async execute(userId, options = {}) {
@@ -35,7 +37,8 @@ export class GenerateTopTransactionsReportUseCase {
       period = 'month',
       startDate,
       endDate,
-      limit = 10
+      limit = 10,
+      accountId = null
     } = options;
 
     if (limit < 1 || limit > 50) {
@@ -52,9 +55,9 @@ export class GenerateTopTransactionsReportUseCase {
         topIncomes,
         summary
       ] = await Promise.all([
-        this._getTopTransactions(userId, 'expense', start, end, limit),
-        this._getTopTransactions(userId, 'income', start, end, limit),
-        this._getSummary(userId, start, end)
+        this._getTopTransactions(userId, 'expense', start, end, limit, accountId),
+        this._getTopTransactions(userId, 'income', start, end, limit, accountId),
+        this._getSummary(userId, start, end, accountId)
       ]);
 
       // Criar entidade Report
@@ -64,7 +67,8 @@ export class GenerateTopTransactionsReportUseCase {
           start,
           end,
           period,
-          label
+          label,
+          accountId
         },
         data: {
           topExpenses,
@@ -140,44 +144,27 @@ export class GenerateTopTransactionsReportUseCase {
    * Busca top transações de um tipo
    * @private
    */
-  async _getTopTransactions(userId, type, startDate, endDate, limit) {
-    const query = `
-      SELECT
-        t.id,
-        t.date,
-        t.amount,
-        t.description,
-        c.name as category_name,
-        c.icon as category_icon,
-        c.color as category_color
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1
-        AND t.type = $2
-        AND t.date >= $3
-        AND t.date <= $4
-      ORDER BY t.amount DESC
-      LIMIT $5
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
+  async _getTopTransactions(userId, type, startDate, endDate, limit, accountId) {
+    const transactions = await this.transactionRepository.findByFilters({
       userId,
+      accountId,
       type,
       startDate,
       endDate,
+      includeTransfers: false,
+      includePlanned: false,
+      orderBy: 'amount',
       limit
-    ]);
-
-    return result.rows.map(row => ({
-      id: row.id,
-      date: row.date,
-      amount: parseFloat(row.amount),
-      description: row.description,
-      category: {
-        name: row.category_name,
-        icon: row.category_icon,
-        color: row.category_color
-      }
+    });
+
+    return transactions.map(transaction => ({
+      id: transaction.id,
+      date: transaction.date,
+      amount: transaction.amount,
+      description: transaction.description,
+      category: transaction.categoryName
+        ? { name: transaction.categoryName, icon: transaction.categoryIcon, color: transaction.categoryColor }
+        : { name: UNCATEGORIZED_NAME, icon: UNCATEGORIZED_ICON, color: null }
     }));
   }
 
@@ -185,32 +172,20 @@ export class GenerateTopTransactionsReportUseCase {
    * Calcula resumo geral do período
    * @private
    */
-  async _getSummary(userId, startDate, endDate) {
-    const query = `
-      SELECT
-        type,
-        COALESCE(SUM(amount), 0) as total,
-        COUNT(*) as count
-      FROM transactions
-      WHERE user_id = $1
-        AND date >= $2
-        AND date <= $3
-      GROUP BY type
-    `;
-
-    const result = await this.transactionRepository.database.query(query, [
-      userId,
+  async _getSummary(userId, startDate, endDate, accountId) {
+    const totals = await this.transactionRepository.getTotalsByType(userId, {
+      accountId,
       startDate,
       endDate
-    ]);
+    });
 
-    const incomeRow = result.rows.find(r => r.type === 'income');
-    const expenseRow = result.rows.find(r => r.type === 'expense');
+    const incomeRow = totals.find(r => r.type === 'income');
+    const expenseRow = totals.find(r => r.type === 'expense');
 
-    const totalIncome = incomeRow ? parseFloat(incomeRow.total) : 0;
-    const totalExpense = expenseRow ? parseFloat(expenseRow.total) : 0;
-    const incomeCount = incomeRow ? parseInt(incomeRow.count) : 0;
-    const expenseCount = expenseRow ? parseInt(expenseRow.count) : 0;
+    const totalIncome = incomeRow ? incomeRow.total : 0;
+    const totalExpense = expenseRow ? expenseRow.total : 0;
+    const incomeCount = incomeRow ? incomeRow.count : 0;
+    const expenseCount = expenseRow ? expenseRow.count : 0;
 
     return {
       totalIncome,
@@ -0,0 +1,87 @@
+import { CategoryRule } from '../../../domain/entities/CategoryRule.js';
+
+/**
+ * Caso de uso: Reaplicar as regras de categorização ao histórico
+ * Cada transação já registrada recebe a categoria e as tags que as regras
+ * ativas dariam a ela hoje (as tags que ela já tem são mantidas).
+ * Transferências, parcelas e transações conciliadas não mudam; as divididas
+ * entre categorias só recebem as tags. As transações que mudam de
+ * categoria são reaprendidas pela sugestão de categoria.
+ */
+export class ApplyCategoryRulesUseCase {
+  constructor(categoryRuleRepository, transactionRepository, relearnTransactionsUseCase = null) {
+    this.categoryRuleRepository = categoryRuleRepository;
+    this.transactionRepository = transactionRepository;
+    this.relearnTransactionsUseCase = relearnTransactionsUseCase;
+  }
+
+  /**
+   * Executa a reaplicação
+   * @param {string} userId
+   * @param {Object} [options] - { ruleId? } (só as transações que essa regra pega;
+   *   a categoria continua vindo da regra de maior prioridade)
+   * @returns {Promise<{success: boolean, matchedCount?: number, updatedCount?: number,
+   *   lockedCount?: number, errors?: string[]}>}
+   */
+  async execute(userId, { ruleId = null } = {}) {
+    try {
+      const rules = (await this.categoryRuleRepository.findByUserId(userId)).filter(rule => rule.isActive);
+
+      if (ruleId && !rules.some(rule => rule.id === ruleId)) {
+        return { success: false, errors: ['Regra não encontrada ou pausada'] };
+      }
+
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        includeTransfers: false,
+        limit: null
+      });
+
+      let matchedCount = 0;
+      let updatedCount = 0;
+      let lockedCount = 0;
+      const recategorized = [];
+
+      for (const transaction of transactions) {
+        const result = CategoryRule.evaluate(rules, transaction);
+
+        if (result.rules.length === 0 || (ruleId && !result.rules.some(rule => rule.id === ruleId))) {
+          continue;
+        }
+
+        matchedCount++;
+        const changes = CategoryRule.getChanges(transaction, result);
+
+        if (changes.locked) {
+          lockedCount++;
+          continue;
+        }
+
+        if (!changes.categoryId && changes.tags.length === 0) {
+          continue;
+        }
+
+        const updated = await this.transactionRepository.update(transaction.id, {
+          categoryId: changes.categoryId || undefined,
+          tags: changes.tags.length > 0 ? [...transaction.tags, ...changes.tags] : undefined
+        });
+        updatedCount++;
+
+        if (changes.categoryId) {
+          recategorized.push({ before: transaction, after: updated });
+        }
+      }
+
+      if (this.relearnTransactionsUseCase) {
+        await this.relearnTransactionsUseCase.execute(userId, recategorized);
+      }
+
+      return { success: true, matchedCount, updatedCount, lockedCount };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao aplicar regras: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,62 @@
+import { CategoryRule } from '../../../domain/entities/CategoryRule.js';
+
+/**
+ * Caso de uso: Criar regra de categorização
+ * A regra nova entra no fim da fila de prioridade
+ */
+export class CreateCategoryRuleUseCase {
+  constructor(categoryRuleRepository, categoryRepository) {
+    this.categoryRuleRepository = categoryRuleRepository;
+    this.categoryRepository = categoryRepository;
+  }
+
+  /**
+   * Executa a criação de uma regra
+   * @param {string} userId
+   * @param {Object} ruleData - { descriptionContains?, minAmount?, maxAmount?, weekdays?: number[],
+   *   categoryId?, tags?: string[]|string }
+   * @returns {Promise<{success: boolean, rule?: CategoryRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleData) {
+    try {
+      // 1. Criar e validar entidade CategoryRule (no fim da fila)
+      const rules = await this.categoryRuleRepository.findByUserId(userId);
+
+      const rule = new CategoryRule({
+        userId,
+        priority: rules.length > 0 ? rules[rules.length - 1].priority + 1 : 1,
+        descriptionContains: ruleData.descriptionContains,
+        minAmount: ruleData.minAmount,
+        maxAmount: ruleData.maxAmount,
+        weekdays: ruleData.weekdays,
+        categoryId: ruleData.categoryId,
+        tags: ruleData.tags
+      });
+
+      const validation = rule.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 2. A categoria deve ser do usuário (ou global)
+      if (rule.categoryId) {
+        const category = await this.categoryRepository.findById(rule.categoryId);
+
+        if (!category || (!category.isGlobal() && category.userId !== userId)) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+      }
+
+      // 3. Criar regra
+      const createdRule = await this.categoryRuleRepository.create(rule);
+
+      return { success: true, rule: createdRule };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao criar regra: ${error.message}`]
+      };
+    }
+  }
+}
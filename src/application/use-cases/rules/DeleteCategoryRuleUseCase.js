@@ -0,0 +1,49 @@
+/**
+ * Caso de uso: Deletar regra de categorização
+ * As regras seguintes sobem uma posição na fila; as transações já
+ * categorizadas pela regra não mudam
+ */
+export class DeleteCategoryRuleUseCase {
+  constructor(categoryRuleRepository) {
+    this.categoryRuleRepository = categoryRuleRepository;
+  }
+
+  /**
+   * Executa a deleção de uma regra
+   * @param {string} userId
+   * @param {number} ruleId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, ruleId) {
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.categoryRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Regra não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar esta regra'] };
+      }
+
+      // 3. Deletar regra e renumerar as demais
+      const deleted = await this.categoryRuleRepository.delete(ruleId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar regra'] };
+      }
+
+      const rules = await this.categoryRuleRepository.findByUserId(userId);
+      await this.categoryRuleRepository.reorder(userId, rules.map(other => other.id));
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar regra: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Caso de uso: Listar as regras de categorização do usuário (em ordem de prioridade)
+ */
+export class ListCategoryRulesUseCase {
+  constructor(categoryRuleRepository) {
+    this.categoryRuleRepository = categoryRuleRepository;
+  }
+
+  /**
+   * Executa a listagem das regras
+   * @param {string} userId
+   * @returns {Promise<{success: boolean, rules?: CategoryRule[], errors?: string[]}>}
+   */
+  async execute(userId) {
+    try {
+      if (!userId) {
+        return { success: false, errors: ['UserId é obrigatório'] };
+      }
+
+      const rules = await this.categoryRuleRepository.findByUserId(userId);
+
+      return { success: true, rules };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar regras: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import { CategoryRule } from '../../../domain/entities/CategoryRule.js';
+
+/**
+ * Caso de uso: Pré-visualizar uma regra de categorização
+ * Lista as transações já registradas que a regra (salva ou ainda em edição)
+ * pegaria e o que mudaria em cada uma, sem alterar nada. A regra é avaliada
+ * sozinha, mesmo pausada.
+ */
+export class PreviewCategoryRuleUseCase {
+  constructor(categoryRepository, transactionRepository) {
+    this.categoryRepository = categoryRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * Executa a pré-visualização
+   * @param {string} userId
+   * @param {CategoryRule|Object} ruleData - Regra salva ou { descriptionContains?, minAmount?, maxAmount?,
+   *   weekdays?, categoryId?, tags? }
+   * @returns {Promise<{success: boolean, matches?: Array<{transaction: Transaction, locked: boolean,
+   *   categoryId: number|null, tags: string[]}>, changedCount?: number, errors?: string[]}>}
+   */
+  async execute(userId, ruleData) {
+    try {
+      const rule = new CategoryRule({ ...ruleData, userId, isActive: true });
+
+      if (!rule.hasConditions()) {
+        return { success: false, errors: ['Informe ao menos uma condição (texto, valor ou dia da semana)'] };
+      }
+
+      // O tipo da categoria limita a regra a receitas ou despesas
+      if (rule.categoryId && !rule.categoryType) {
+        const category = await this.categoryRepository.findById(rule.categoryId);
+
+        if (!category || (!category.isGlobal() && category.userId !== userId)) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+
+        rule.categoryType = category.type;
+      }
+
+      const transactions = await this.transactionRepository.findByFilters({
+        userId,
+        includeTransfers: false,
+        limit: null
+      });
+
+      const matches = transactions
+        .filter(transaction => rule.matches(transaction))
+        .map(transaction => ({
+          transaction,
+          ...CategoryRule.getChanges(transaction, CategoryRule.evaluate([rule], transaction))
+        }));
+
+      return {
+        success: true,
+        matches,
+        changedCount: matches.filter(match => match.categoryId || match.tags.length > 0).length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao pré-visualizar regra: ${error.message}`]
+      };
+    }
+  }
+}
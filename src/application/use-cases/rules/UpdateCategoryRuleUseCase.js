@@ -0,0 +1,91 @@
+import { CategoryRule } from '../../../domain/entities/CategoryRule.js';
+
+/**
+ * Caso de uso: Atualizar regra de categorização
+ * Mudar a prioridade move a regra na fila; as demais são renumeradas
+ */
+export class UpdateCategoryRuleUseCase {
+  constructor(categoryRuleRepository, categoryRepository) {
+    this.categoryRuleRepository = categoryRuleRepository;
+    this.categoryRepository = categoryRepository;
+  }
+
+  /**
+   * Executa a atualização de uma regra
+   * @param {string} userId
+   * @param {number} ruleId
+   * @param {Object} updateData - { isActive?, descriptionContains?, minAmount?, maxAmount?,
+   *   weekdays?: number[], categoryId? (null remove), tags?: string[]|string (substitui as tags),
+   *   priority? (nova posição na fila, 1 = primeira) }
+   * @returns {Promise<{success: boolean, rule?: CategoryRule, errors?: string[]}>}
+   */
+  async execute(userId, ruleId, updateData) {
+    try {
+      // 1. Buscar regra existente
+      const rule = await this.categoryRuleRepository.findById(ruleId);
+
+      if (!rule) {
+        return { success: false, errors: ['Regra não encontrada'] };
+      }
+
+      // 2. Verificar se a regra pertence ao usuário
+      if (!rule.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta regra'] };
+      }
+
+      // 3. Montar e validar os novos dados
+      const fields = ['isActive', 'descriptionContains', 'minAmount', 'maxAmount', 'weekdays', 'categoryId', 'tags'];
+      const data = {};
+
+      fields.forEach(field => {
+        if (updateData[field] !== undefined) {
+          data[field] = updateData[field];
+        }
+      });
+
+      const updated = new CategoryRule({
+        ...rule,
+        ...data,
+        priority: updateData.priority !== undefined ? updateData.priority : rule.priority
+      });
+
+      const validation = updated.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      if (data.categoryId && Number(data.categoryId) !== Number(rule.categoryId)) {
+        const category = await this.categoryRepository.findById(data.categoryId);
+
+        if (!category || (!category.isGlobal() && category.userId !== userId)) {
+          return { success: false, errors: ['Categoria não encontrada'] };
+        }
+      }
+
+      // 4. Atualizar os campos (já normalizados pela entidade)
+      if (Object.keys(data).length > 0) {
+        await this.categoryRuleRepository.update(ruleId, Object.fromEntries(
+          Object.keys(data).map(field => [field, updated[field]])
+        ));
+      }
+
+      // 5. Mover a regra na fila de prioridade
+      if (updated.priority !== rule.priority) {
+        const rules = await this.categoryRuleRepository.findByUserId(userId);
+        const ids = rules.map(other => other.id).filter(id => id !== rule.id);
+        const position = Math.min(updated.priority, ids.length + 1) - 1;
+
+        ids.splice(position, 0, rule.id);
+        await this.categoryRuleRepository.reorder(userId, ids);
+      }
+
+      return { success: true, rule: await this.categoryRuleRepository.findById(ruleId) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao atualizar regra: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Caso de uso: Aprender com a categoria escolhida para uma transação nova
+ * Quando o usuário troca a categoria sugerida por outra, o modelo aprende a
+ * correção com peso extra; a transação em si é aprendida na próxima sugestão.
+ */
+export class LearnCategoryChoiceUseCase {
+  constructor(categoryModelRepository) {
+    this.categoryModelRepository = categoryModelRepository;
+  }
+
+  /**
+   * Executa o aprendizado
+   * @param {string} userId
+   * @param {Object} choice - { description?, amount?, date?, suggestedCategoryId, categoryId }
+   * @returns {Promise<{success: boolean, corrected?: boolean, errors?: string[]}>}
+   */
+  async execute(userId, { description = '', amount = null, date = new Date(), suggestedCategoryId, categoryId }) {
+    try {
+      if (!suggestedCategoryId || !categoryId) {
+        return { success: false, errors: ['Categoria sugerida e escolhida são obrigatórias'] };
+      }
+
+      const model = await this.categoryModelRepository.findByUserId(userId);
+
+      if (!model) {
+        return { success: false, errors: ['Modelo de sugestão não encontrado'] };
+      }
+
+      model.recordChoice({ description, amount, date }, suggestedCategoryId, categoryId);
+      await this.categoryModelRepository.save(model);
+
+      return { success: true, corrected: Number(suggestedCategoryId) !== Number(categoryId) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao aprender com a escolha: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Caso de uso: Reaprender transações alteradas depois de registradas
+ * Quando a categoria (ou a descrição, o valor ou a data) de uma transação
+ * já aprendida muda — na edição, na alteração em lote ou ao reaplicar as
+ * regras —, o modelo esquece a versão antiga e aprende a nova, para não
+ * continuar sugerindo a categoria que o usuário corrigiu.
+ */
+export class RelearnTransactionsUseCase {
+  constructor(categoryModelRepository) {
+    this.categoryModelRepository = categoryModelRepository;
+  }
+
+  /**
+   * Executa o reaprendizado
+   * @param {string} userId
+   * @param {Array<{before: Transaction, after: Transaction}>} changes - Cada transação antes e depois da alteração
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, changes) {
+    try {
+      const model = changes.length > 0 ? await this.categoryModelRepository.findByUserId(userId) : null;
+
+      // Sem modelo (ou num formato antigo), a próxima sugestão aprende tudo do zero
+      if (!model || model.isOutdated()) {
+        return { success: true };
+      }
+
+      changes.forEach(({ before, after }) => model.relearn(before, after));
+      await this.categoryModelRepository.save(model);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao reaprender transações: ${error.message}`]
+      };
+    }
+  }
+}
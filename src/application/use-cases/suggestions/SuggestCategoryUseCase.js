@@ -0,0 +1,93 @@
+import { CategoryModel } from '../../../domain/entities/CategoryModel.js';
+
+/**
+ * Caso de uso: Sugerir a categoria de uma transação nova
+ * O modelo do usuário aprende antes as transações registradas desde a última
+ * sugestão (ou todo o histórico, na primeira vez) e é gravado de volta.
+ */
+export class SuggestCategoryUseCase {
+  constructor(categoryModelRepository, transactionRepository, categoryRepository) {
+    this.categoryModelRepository = categoryModelRepository;
+    this.transactionRepository = transactionRepository;
+    this.categoryRepository = categoryRepository;
+  }
+
+  /**
+   * Executa a sugestão
+   * @param {string} userId
+   * @param {Object} transactionData - { type, description?, amount?, date?, categoryIds? }
+   *   (categoryIds limita a sugestão às categorias oferecidas; uma subcategoria
+   *   aprendida conta para a categoria pai quando só a pai é oferecida)
+   * @returns {Promise<{success: boolean, suggestions?: Array<{categoryId: number, confidence: number}>,
+   *   model?: CategoryModel, errors?: string[]}>}
+   */
+  async execute(userId, { type, description = '', amount = null, date = new Date(), categoryIds = null }) {
+    try {
+      const model = await this._loadModel(userId);
+      const categories = await this.categoryRepository.findByUserId(userId, type);
+      const offered = categoryIds
+        ? categoryIds.map(Number)
+        : categories.map(category => Number(category.id));
+
+      // Cada categoria aprendida conta para ela mesma ou para a pai oferecida
+      const targets = new Map();
+
+      categories.forEach(category => {
+        const id = Number(category.id);
+
+        if (offered.includes(id)) {
+          targets.set(id, id);
+        } else if (category.parentId && offered.includes(Number(category.parentId))) {
+          targets.set(id, Number(category.parentId));
+        }
+      });
+
+      const confidences = new Map();
+
+      model.predict({ description, amount, date }, [...targets.keys()]).forEach(prediction => {
+        const target = targets.get(prediction.categoryId);
+        confidences.set(target, (confidences.get(target) || 0) + prediction.confidence);
+      });
+
+      const suggestions = [...confidences.entries()]
+        .map(([categoryId, confidence]) => ({ categoryId, confidence }))
+        .sort((a, b) => b.confidence - a.confidence);
+
+      return { success: true, suggestions, model };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao sugerir categoria: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Carrega o modelo do usuário e aprende as transações novas
+   * @private
+   * @returns {Promise<CategoryModel>}
+   */
+  async _loadModel(userId) {
+    const stored = await this.categoryModelRepository.findByUserId(userId);
+    const model = stored && !stored.isOutdated() ? stored : new CategoryModel({ userId });
+
+    const pending = await this.transactionRepository.findByFilters({
+      userId,
+      includeTransfers: false,
+      afterId: model.lastTransactionId,
+      limit: null
+    });
+
+    if (pending.length === 0 && stored === model) {
+      return model;
+    }
+
+    pending
+      .filter(transaction => CategoryModel.isLearnable(transaction))
+      .forEach(transaction => model.learn(transaction, transaction.categoryId));
+
+    model.lastTransactionId = Math.max(model.lastTransactionId, ...pending.map(transaction => Number(transaction.id)));
+
+    return await this.categoryModelRepository.save(model);
+  }
+}
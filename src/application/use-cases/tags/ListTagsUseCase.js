@@ -0,0 +1,30 @@
+/**
+ * Caso de uso: Listar as tags do usuário (para sugestões e filtros)
+ */
+export class ListTagsUseCase {
+  constructor(tagRepository) {
+    this.tagRepository = tagRepository;
+  }
+
+  /**
+   * Executa a listagem das tags
+   * @param {string} userId
+   * @returns {Promise<{success: boolean, tags?: Tag[], errors?: string[]}>}
+   */
+  async execute(userId) {
+    try {
+      if (!userId) {
+        return { success: false, errors: ['UserId é obrigatório'] };
+      }
+
+      const tags = await this.tagRepository.findByUserId(userId);
+
+      return { success: true, tags };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao listar tags: ${error.message}`]
+      };
+    }
+  }
+}
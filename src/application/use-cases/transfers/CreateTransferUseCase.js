@@ -0,0 +1,76 @@
+import { Transfer } from '../../../domain/entities/Transfer.js';
+
+/**
+ * Caso de uso: Transferir dinheiro entre contas
+ * A transferência não é receita nem despesa: só move saldo entre as contas
+ */
+export class CreateTransferUseCase {
+  constructor(transferRepository, accountRepository) {
+    this.transferRepository = transferRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a criação de uma transferência
+   * @param {string} userId
+   * @param {Object} transferData - {fromAccountId, toAccountId, amount, description?, date?}
+   * @returns {Promise<{success: boolean, transfer?: Transfer, errors?: string[]}>}
+   */
+  async execute(userId, transferData) {
+    // 1. Criar e validar entidade Transfer
+    const transfer = new Transfer({
+      userId,
+      fromAccountId: transferData.fromAccountId,
+      toAccountId: transferData.toAccountId,
+      amount: transferData.amount,
+      description: transferData.description,
+      date: transferData.date || new Date()
+    });
+
+    const validation = transfer.validate();
+
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    try {
+      // 2. As duas contas devem ser do usuário e estar ativas
+      for (const accountId of [transfer.fromAccountId, transfer.toAccountId]) {
+        const error = await this._checkAccount(userId, accountId);
+
+        if (error) {
+          return { success: false, errors: [error] };
+        }
+      }
+
+      // 3. Criar transferência (e as duas movimentações)
+      const createdTransfer = await this.transferRepository.create(transfer);
+
+      return { success: true, transfer: createdTransfer };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao criar transferência: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Verifica se a conta pode receber a transferência
+   * @returns {Promise<string|null>} Mensagem de erro ou null
+   * @private
+   */
+  async _checkAccount(userId, accountId) {
+    const account = await this.accountRepository.findById(accountId);
+
+    if (!account || !account.belongsTo(userId)) {
+      return 'Conta não encontrada';
+    }
+
+    if (!account.isActive()) {
+      return `A conta "${account.name}" está arquivada`;
+    }
+
+    return null;
+  }
+}
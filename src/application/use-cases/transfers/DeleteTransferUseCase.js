@@ -0,0 +1,52 @@
+/**
+ * Caso de uso: Deletar transferência
+ * Remove a transferência e as suas duas movimentações
+ */
+export class DeleteTransferUseCase {
+  constructor(transferRepository) {
+    this.transferRepository = transferRepository;
+  }
+
+  /**
+   * Executa a deleção de uma transferência
+   * @param {string} userId
+   * @param {number} transferId
+   * @returns {Promise<{success: boolean, errors?: string[]}>}
+   */
+  async execute(userId, transferId) {
+    try {
+      // 1. Buscar transferência existente
+      const transfer = await this.transferRepository.findById(transferId);
+
+      if (!transfer) {
+        return { success: false, errors: ['Transferência não encontrada'] };
+      }
+
+      // 2. Verificar se a transferência pertence ao usuário
+      if (!transfer.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para deletar esta transferência'] };
+      }
+
+      // 3. Movimentações conciliadas ficam travadas até serem desbloqueadas
+      const movements = await this.transferRepository.findMovements(transferId);
+
+      if (movements.some(movement => movement.isReconciled())) {
+        return { success: false, errors: ['Conciliada (desbloqueie antes de deletar)'] };
+      }
+
+      // 4. Deletar transferência
+      const deleted = await this.transferRepository.delete(transferId);
+
+      if (!deleted) {
+        return { success: false, errors: ['Erro ao deletar transferência'] };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao deletar transferência: ${error.message}`]
+      };
+    }
+  }
+}
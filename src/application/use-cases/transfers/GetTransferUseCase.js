@@ -0,0 +1,35 @@
+/**
+ * Caso de uso: Buscar transferência por ID
+ */
+export class GetTransferUseCase {
+  constructor(transferRepository) {
+    this.transferRepository = transferRepository;
+  }
+
+  /**
+   * Executa a busca de uma transferência
+   * @param {string} userId
+   * @param {number} transferId
+   * @returns {Promise<{success: boolean, transfer?: Transfer, errors?: string[]}>}
+   */
+  async execute(userId, transferId) {
+    try {
+      const transfer = await this.transferRepository.findById(transferId);
+
+      if (!transfer) {
+        return { success: false, errors: ['Transferência não encontrada'] };
+      }
+
+      if (!transfer.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para visualizar esta transferência'] };
+      }
+
+      return { success: true, transfer };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao buscar transferência: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,93 @@
+import { Transfer } from '../../../domain/entities/Transfer.js';
+
+/**
+ * Caso de uso: Atualizar transferência
+ * A transferência e as suas duas movimentações são alteradas juntas
+ */
+export class UpdateTransferUseCase {
+  constructor(transferRepository, accountRepository) {
+    this.transferRepository = transferRepository;
+    this.accountRepository = accountRepository;
+  }
+
+  /**
+   * Executa a atualização de uma transferência
+   * @param {string} userId
+   * @param {number} transferId
+   * @param {Object} updateData - {fromAccountId?, toAccountId?, amount?, description?, date?}
+   * @returns {Promise<{success: boolean, transfer?: Transfer, errors?: string[]}>}
+   */
+  async execute(userId, transferId, updateData) {
+    try {
+      // 1. Buscar transferência existente
+      const existingTransfer = await this.transferRepository.findById(transferId);
+
+      if (!existingTransfer) {
+        return { success: false, errors: ['Transferência não encontrada'] };
+      }
+
+      // 2. Verificar se a transferência pertence ao usuário
+      if (!existingTransfer.belongsTo(userId)) {
+        return { success: false, errors: ['Você não tem permissão para editar esta transferência'] };
+      }
+
+      // 3. Movimentações conciliadas ficam travadas até serem desbloqueadas
+      const movements = await this.transferRepository.findMovements(transferId);
+
+      if (movements.some(movement => movement.isReconciled())) {
+        return { success: false, errors: ['Conciliada (desbloqueie antes de alterar)'] };
+      }
+
+      // 4. Criar entidade Transfer com dados atualizados para validar
+      const pick = (field) => updateData[field] !== undefined ? updateData[field] : existingTransfer[field];
+      const updatedTransfer = new Transfer({
+        ...existingTransfer,
+        fromAccountId: pick('fromAccountId'),
+        toAccountId: pick('toAccountId'),
+        amount: pick('amount'),
+        description: pick('description'),
+        date: pick('date')
+      });
+
+      const validation = updatedTransfer.validate();
+
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      // 5. Contas novas devem ser do usuário e estar ativas
+      const changedAccounts = [
+        [updatedTransfer.fromAccountId, existingTransfer.fromAccountId],
+        [updatedTransfer.toAccountId, existingTransfer.toAccountId]
+      ].filter(([newId, oldId]) => Number(newId) !== Number(oldId));
+
+      for (const [accountId] of changedAccounts) {
+        const account = await this.accountRepository.findById(accountId);
+
+        if (!account || !account.belongsTo(userId)) {
+          return { success: false, errors: ['Conta não encontrada'] };
+        }
+
+        if (!account.isActive()) {
+          return { success: false, errors: [`A conta "${account.name}" está arquivada`] };
+        }
+      }
+
+      // 6. Atualizar transferência
+      const transfer = await this.transferRepository.update(transferId, {
+        fromAccountId: updatedTransfer.fromAccountId,
+        toAccountId: updatedTransfer.toAccountId,
+        amount: updatedTransfer.amount,
+        description: updatedTransfer.description,
+        date: updatedTransfer.date
+      });
+
+      return { success: true, transfer };
+    } catch (error) {
+      return {
+        success: false,
+        errors: [`Erro ao atualizar transferência: ${error.message}`]
+      };
+    }
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Tipos de conta com rótulo e ícone padrão
+ */
+export const ACCOUNT_TYPES = {
+  checking: { label: 'Conta corrente', icon: '🏦' },
+  savings: { label: 'Poupança', icon: '🐷' },
+  cash: { label: 'Dinheiro', icon: '💵' },
+  meal_voucher: { label: 'Vale-refeição', icon: '🍽️' },
+  investment: { label: 'Investimentos', icon: '📈' },
+  credit_card: { label: 'Cartão de crédito', icon: '💳' },
+  other: { label: 'Outra', icon: '💼' }
+};
+
+/**
+ * Account Entity - Entidade de domínio representando uma conta/carteira
+ * (conta corrente, poupança, dinheiro, vale-refeição, cartão de crédito...)
+ *
+ * No cartão de crédito o saldo negativo é a dívida do cartão: compras são
+ * despesas e o pagamento da fatura é uma transferência para o cartão.
+ */
+export class Account {
+  constructor({
+    id,
+    userId,
+    name,
+    type,
+    initialBalance,
+    icon,
+    color,
+    isArchived,
+    // Cartão de crédito
+    creditLimit,
+    closingDay,
+    dueDay,
+    createdAt,
+    updatedAt,
+    // Dados calculados (quando há agregação das transações)
+    balance,
+    projectedBalance,
+    transactionCount
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.name = name;
+    this.type = type; // 'checking', 'savings', 'cash', 'meal_voucher', 'investment', 'credit_card', 'other'
+    this.initialBalance = initialBalance !== undefined && initialBalance !== null ? parseFloat(initialBalance) : 0;
+    this.icon = icon || (ACCOUNT_TYPES[type] ? ACCOUNT_TYPES[type].icon : '💼');
+    this.color = color;
+    this.isArchived = isArchived || false;
+    this.creditLimit = creditLimit !== undefined && creditLimit !== null ? parseFloat(creditLimit) : null;
+    this.closingDay = closingDay !== undefined && closingDay !== null ? parseInt(closingDay) : null;
+    this.dueDay = dueDay !== undefined && dueDay !== null ? parseInt(dueDay) : null;
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+
+    // Dados calculados (opcionais)
+    this.balance = balance !== undefined && balance !== null ? parseFloat(balance) : this.initialBalance;
+    // Saldo incluindo as parcelas futuras já lançadas
+    this.projectedBalance = projectedBalance !== undefined && projectedBalance !== null
+      ? parseFloat(projectedBalance)
+      : this.balance;
+    this.transactionCount = transactionCount !== undefined ? parseInt(transactionCount) : 0;
+  }
+
+  /**
+   * Cria a conta padrão de um usuário (usada quando ele ainda não tem contas)
+   * @param {string} userId
+   * @returns {Account}
+   */
+  static createDefault(userId) {
+    return new Account({
+      userId,
+      name: 'Conta principal',
+      type: 'checking'
+    });
+  }
+
+  /**
+   * Valida o nome (mínimo 2 caracteres, máximo 100)
+   * @returns {boolean}
+   */
+  isValidName() {
+    return Boolean(this.name) &&
+           this.name.trim().length >= 2 &&
+           this.name.trim().length <= 100;
+  }
+
+  /**
+   * Valida o tipo
+   * @returns {boolean}
+   */
+  isValidType() {
+    return Object.prototype.hasOwnProperty.call(ACCOUNT_TYPES, this.type);
+  }
+
+  /**
+   * Valida o saldo inicial (pode ser negativo, ex: cheque especial)
+   * @returns {boolean}
+   */
+  isValidInitialBalance() {
+    return !isNaN(this.initialBalance) && isFinite(this.initialBalance);
+  }
+
+  /**
+   * Verifica se a conta é um cartão de crédito
+   * @returns {boolean}
+   */
+  isCreditCard() {
+    return this.type === 'credit_card';
+  }
+
+  /**
+   * Valida os dados do cartão (limite e dias de fechamento/vencimento)
+   * @returns {boolean}
+   */
+  isValidCardSettings() {
+    const isDay = (day) => Number.isInteger(day) && day >= 1 && day <= 31;
+
+    return this.creditLimit !== null &&
+           !isNaN(this.creditLimit) &&
+           this.creditLimit >= 0 &&
+           isDay(this.closingDay) &&
+           isDay(this.dueDay);
+  }
+
+  /**
+   * Limite disponível do cartão (limite - dívida, incluindo as parcelas
+   * futuras: uma compra parcelada ocupa o limite pelo valor total)
+   * @returns {number}
+   */
+  getAvailableLimit() {
+    return Math.round(((this.creditLimit || 0) + this.projectedBalance) * 100) / 100;
+  }
+
+  /**
+   * Datas da fatura em que entra uma compra feita na data informada
+   *
+   * A fatura fecha no dia de fechamento: compras a partir dele entram na
+   * fatura seguinte. O vencimento é no mês do fechamento quando o dia de
+   * vencimento é posterior ao de fechamento, senão no mês seguinte. Dias
+   * inexistentes no mês (ex: 31 em fevereiro) viram o último dia do mês.
+   *
+   * @param {Date} date
+   * @returns {{periodStart: Date, closingDate: Date, dueDate: Date}}
+   */
+  getStatementDates(date) {
+    const dayOf = (year, month, day) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+    const purchase = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    let closingDate = dayOf(purchase.getFullYear(), purchase.getMonth(), this.closingDay);
+
+    if (purchase >= closingDate) {
+      closingDate = dayOf(purchase.getFullYear(), purchase.getMonth() + 1, this.closingDay);
+    }
+
+    const periodStart = dayOf(closingDate.getFullYear(), closingDate.getMonth() - 1, this.closingDay);
+    const dueMonth = this.dueDay > this.closingDay ? closingDate.getMonth() : closingDate.getMonth() + 1;
+    const dueDate = dayOf(closingDate.getFullYear(), dueMonth, this.dueDay);
+
+    return { periodStart, closingDate, dueDate };
+  }
+
+  /**
+   * Retorna o nome do tipo da conta
+   * @returns {string}
+   */
+  getTypeLabel() {
+    return ACCOUNT_TYPES[this.type] ? ACCOUNT_TYPES[this.type].label : this.type;
+  }
+
+  /**
+   * Retorna o valor formatado em Reais (saldo atual por padrão)
+   * @param {number|null} value
+   * @returns {string} Ex: "R$ 1.234,56" ou "-R$ 50,00"
+   */
+  getFormattedBalance(value = null) {
+    const amount = value !== null ? value : this.balance;
+    const formatted = Math.abs(amount).toFixed(2).replace('.', ',');
+    const parts = formatted.split(',');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `${amount < 0 ? '-' : ''}R$ ${parts.join(',')}`;
+  }
+
+  /**
+   * Verifica se a conta pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Verifica se a conta pode receber novas transações
+   * @returns {boolean}
+   */
+  isActive() {
+    return !this.isArchived;
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('UserId é obrigatório');
+    }
+
+    if (!this.isValidName()) {
+      errors.push('Nome deve ter entre 2 e 100 caracteres');
+    }
+
+    if (!this.isValidType()) {
+      errors.push(`Tipo inválido. Use: ${Object.keys(ACCOUNT_TYPES).join(', ')}`);
+    }
+
+    if (!this.isValidInitialBalance()) {
+      errors.push('Saldo inicial inválido');
+    }
+
+    if (this.isCreditCard() && !this.isValidCardSettings()) {
+      errors.push('Cartão de crédito precisa de limite (maior ou igual a zero) e dias de fechamento e vencimento entre 1 e 31');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      name: this.name,
+      type: this.type,
+      initialBalance: this.initialBalance,
+      icon: this.icon,
+      color: this.color,
+      isArchived: this.isArchived,
+      creditLimit: this.creditLimit,
+      closingDay: this.closingDay,
+      dueDay: this.dueDay,
+      balance: this.balance,
+      projectedBalance: this.projectedBalance,
+      transactionCount: this.transactionCount,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string}
+   */
+  getSummary() {
+    const archived = this.isArchived ? ' (arquivada)' : '';
+    const limit = this.isCreditCard() ? ` | Disponível: ${this.getFormattedBalance(this.getAvailableLimit())}` : '';
+    return `${this.icon} ${this.name}${archived} | ${this.getTypeLabel()} | ${this.getFormattedBalance()}${limit}`;
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Limites dos anexos
+ */
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+/**
+ * Tipos de arquivo aceitos (extensão -> tipo MIME)
+ */
+export const ATTACHMENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Attachment Entity - Arquivo anexado a uma transação
+ *
+ * Fotos de recibos e notas fiscais em PDF. O conteúdo fica no diretório de
+ * anexos, identificado pelo hash SHA-256 (contentHash); a entidade guarda o
+ * nome original, o tipo e o tamanho do arquivo.
+ */
+export class Attachment {
+  constructor({
+    id,
+    userId,
+    transactionId,
+    fileName,
+    contentHash,
+    mimeType,
+    size,
+    createdAt
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.transactionId = transactionId;
+    this.fileName = fileName;
+    this.contentHash = contentHash;
+    this.mimeType = mimeType || Attachment.mimeTypeOf(fileName);
+    this.size = parseInt(size);
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+  }
+
+  /**
+   * Tipo MIME de um arquivo pela extensão
+   * @param {string} fileName
+   * @returns {string|null} null se o tipo não for aceito
+   */
+  static mimeTypeOf(fileName) {
+    const match = String(fileName || '').toLowerCase().match(/\.[^./\\]+$/);
+    return match ? ATTACHMENT_TYPES[match[0]] || null : null;
+  }
+
+  /**
+   * Verifica se o anexo é uma imagem
+   * @returns {boolean}
+   */
+  isImage() {
+    return typeof this.mimeType === 'string' && this.mimeType.startsWith('image/');
+  }
+
+  /**
+   * Verifica se o anexo é um PDF
+   * @returns {boolean}
+   */
+  isPdf() {
+    return this.mimeType === 'application/pdf';
+  }
+
+  /**
+   * Valida o arquivo (nome, tipo e tamanho), antes de gravar o conteúdo
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validateFile() {
+    const errors = [];
+
+    if (!this.fileName || this.fileName.length > 255) {
+      errors.push('Nome do arquivo deve ter de 1 a 255 caracteres');
+    }
+
+    if (!Object.values(ATTACHMENT_TYPES).includes(this.mimeType)) {
+      errors.push('Tipo de arquivo não aceito. Use imagens (JPG, PNG, GIF, WEBP, HEIC) ou PDF');
+    }
+
+    if (!Number.isInteger(this.size) || this.size <= 0) {
+      errors.push('O arquivo está vazio');
+    } else if (this.size > MAX_ATTACHMENT_SIZE) {
+      errors.push(`O arquivo passa do limite de ${Attachment.formatSize(MAX_ATTACHMENT_SIZE)}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId || !this.transactionId) {
+      errors.push('UserId e TransactionId são obrigatórios');
+    }
+
+    errors.push(...this.validateFile().errors);
+
+    if (!/^[0-9a-f]{64}$/.test(this.contentHash || '')) {
+      errors.push('Hash do conteúdo inválido');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Formata um tamanho em bytes
+   * @param {number} bytes
+   * @returns {string} Ex: "245 KB", "1,2 MB"
+   */
+  static formatSize(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+
+    if (bytes < 1024 * 1024) {
+      return `${Math.round(bytes / 1024)} KB`;
+    }
+
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace('.', ',')} MB`;
+  }
+
+  /**
+   * Ícone do tipo do arquivo
+   * @returns {string}
+   */
+  getIcon() {
+    return this.isImage() ? '🖼️' : '📄';
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string} Ex: "🖼️ recibo.jpg (245 KB)"
+   */
+  getSummary() {
+    return `${this.getIcon()} ${this.fileName} (${Attachment.formatSize(this.size)})`;
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      transactionId: this.transactionId,
+      fileName: this.fileName,
+      contentHash: this.contentHash,
+      mimeType: this.mimeType,
+      size: this.size,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Identificação e versão do formato do arquivo de backup
+ * (a versão muda quando o formato deixa de ser compatível)
+ */
+export const BACKUP_FORMAT = 'gestao-financeira-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Seções do backup, na ordem da restauração, com o nome exibido
+ */
+export const BACKUP_SECTIONS = {
+  accounts: 'Contas',
+  categories: 'Categorias',
+  payees: 'Favorecidos',
+  tags: 'Tags',
+  transfers: 'Transferências',
+  installmentPlans: 'Compras parceladas',
+  recurringRules: 'Transações recorrentes',
+  reconciliations: 'Conciliações',
+  transactions: 'Transações',
+  attachments: 'Anexos',
+  budgets: 'Orçamentos',
+  goals: 'Metas',
+  categoryRules: 'Regras de categorização',
+  importProfiles: 'Perfis de importação'
+};
+
+/**
+ * Referências entre as seções: [seção, campo, seção referenciada]
+ */
+const BACKUP_REFERENCES = [
+  ['categories', 'parentId', 'categories'],
+  ['payees', 'defaultCategoryId', 'categories'],
+  ['transfers', 'fromAccountId', 'accounts'],
+  ['transfers', 'toAccountId', 'accounts'],
+  ['installmentPlans', 'categoryId', 'categories'],
+  ['installmentPlans', 'accountId', 'accounts'],
+  ['recurringRules', 'categoryId', 'categories'],
+  ['recurringRules', 'accountId', 'accounts'],
+  ['reconciliations', 'accountId', 'accounts'],
+  ['transactions', 'categoryId', 'categories'],
+  ['transactions', 'accountId', 'accounts'],
+  ['transactions', 'transferId', 'transfers'],
+  ['transactions', 'installmentPlanId', 'installmentPlans'],
+  ['transactions', 'recurringRuleId', 'recurringRules'],
+  ['transactions', 'reconciliationId', 'reconciliations'],
+  ['transactions', 'payeeId', 'payees'],
+  ['attachments', 'transactionId', 'transactions'],
+  ['budgets', 'categoryId', 'categories'],
+  ['categoryRules', 'categoryId', 'categories']
+];
+
+/**
+ * Seções cujos registros são referenciados pelo id
+ */
+const IDENTIFIED_SECTIONS = [...new Set(BACKUP_REFERENCES.map(([, , target]) => target))];
+
+/**
+ * Backup Entity - Arquivo com tudo o que pertence a um usuário
+ *
+ * O perfil, cada seção de BACKUP_SECTIONS e o modelo de sugestão de
+ * categoria, em JSON. Os ids são os do banco de origem e só servem para as
+ * referências dentro do arquivo: a restauração cria registros novos e troca
+ * os ids. As categorias padrão (globais) usadas pelo usuário entram com
+ * isGlobal e são procuradas pelo nome no banco de destino. O conteúdo dos
+ * anexos vai em files (base64), pelo hash SHA-256.
+ */
+export class Backup {
+  constructor({ format, version, createdAt, user, data, files }) {
+    this.format = format || BACKUP_FORMAT;
+    this.version = version === undefined ? BACKUP_VERSION : version;
+    this.createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.user = user || {};
+    this.data = {};
+    this.files = files || {};
+
+    const source = data || {};
+
+    Object.keys(BACKUP_SECTIONS).forEach(section => {
+      this.data[section] = source[section] || [];
+    });
+
+    this.data.categoryModel = source.categoryModel || null;
+  }
+
+  /**
+   * Lê o texto de um arquivo de backup
+   * @param {string} text
+   * @returns {Backup}
+   */
+  static parse(text) {
+    let json;
+
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new Error('O arquivo não é um JSON válido');
+    }
+
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new Error('O arquivo não é um backup do Gestão Financeira');
+    }
+
+    return new Backup(json);
+  }
+
+  /**
+   * Valida o formato, a versão e as referências entre as seções
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (this.format !== BACKUP_FORMAT) {
+      return { isValid: false, errors: ['O arquivo não é um backup do Gestão Financeira'] };
+    }
+
+    if (!Number.isInteger(this.version) || this.version < 1) {
+      errors.push(`Versão do backup inválida: ${this.version}`);
+    } else if (this.version > BACKUP_VERSION) {
+      errors.push(`Backup na versão ${this.version}, mais nova que a suportada (${BACKUP_VERSION}); atualize o aplicativo`);
+    }
+
+    if (!this.user.email || !this.user.name) {
+      errors.push('Backup sem o email e o nome do usuário');
+    }
+
+    Object.entries(BACKUP_SECTIONS).forEach(([section, label]) => {
+      if (!Array.isArray(this.data[section])) {
+        errors.push(`${label}: a seção deve ser uma lista`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    const ids = {};
+
+    IDENTIFIED_SECTIONS.forEach(section => {
+      ids[section] = new Set();
+
+      this.data[section].forEach(record => {
+        if (ids[section].has(Number(record.id))) {
+          errors.push(`${BACKUP_SECTIONS[section]}: id ${record.id} repetido`);
+        }
+        ids[section].add(Number(record.id));
+      });
+    });
+
+    const checkReference = (section, field, target, value) => {
+      if (value !== null && value !== undefined && !ids[target].has(Number(value))) {
+        errors.push(`${BACKUP_SECTIONS[section]}: ${field} ${value} não está em ${BACKUP_SECTIONS[target]}`);
+      }
+    };
+
+    BACKUP_REFERENCES.forEach(([section, field, target]) => {
+      this.data[section].forEach(record => checkReference(section, field, target, record[field]));
+    });
+
+    this.data.transactions.forEach(transaction => {
+      (transaction.splits || []).forEach(split => {
+        checkReference('transactions', 'splits.categoryId', 'categories', split.categoryId);
+      });
+    });
+
+    this.data.attachments.forEach(attachment => {
+      if (!/^[0-9a-f]{64}$/.test(attachment.contentHash || '')) {
+        errors.push(`${BACKUP_SECTIONS.attachments}: hash do conteúdo inválido (${attachment.fileName})`);
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Quantidade de registros de cada seção
+   * @returns {Object<string, number>} Seção -> quantidade (mais goalContributions
+   *   e categoryModel, 0 ou 1)
+   */
+  getCounts() {
+    const counts = {};
+
+    Object.keys(BACKUP_SECTIONS).forEach(section => {
+      counts[section] = this.data[section].length;
+    });
+
+    counts.goalContributions = this.data.goals
+      .reduce((sum, goal) => sum + (goal.contributions || []).length, 0);
+    counts.categoryModel = this.data.categoryModel ? 1 : 0;
+
+    return counts;
+  }
+
+  /**
+   * Gera o nome do arquivo
+   * @returns {string} Ex: backup_ana_2024-03-15_1710500000000.json
+   */
+  generateFilename() {
+    const owner = String(this.user.username || this.user.email || 'usuario')
+      .split('@')[0]
+      .replace(/[^a-zA-Z0-9_-]/g, '_');
+    const date = this.createdAt.toISOString().split('T')[0];
+
+    return `backup_${owner}_${date}_${this.createdAt.getTime()}.json`;
+  }
+
+  /**
+   * Converte para o JSON do arquivo
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      format: this.format,
+      version: this.version,
+      createdAt: this.createdAt.toISOString(),
+      user: this.user,
+      data: this.data,
+      files: this.files
+    };
+  }
+}
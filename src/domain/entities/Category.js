@@ -1,3 +1,10 @@
+/**
+ * Nome e ícone do grupo das transações sem categoria (a categoria foi
+ * removida ou nunca existiu)
+ */
+export const UNCATEGORIZED_NAME = 'Sem categoria';
+export const UNCATEGORIZED_ICON = '❓';
+
 /**
  * Category Entity - Entidade de domínio representando uma categoria
  */
@@ -15,6 +22,68 @@ export class Category {
     this.subcategories = []; // Para armazenar subcategorias quando listadas
   }
 
+  /**
+   * Chave de comparação de um nome: minúsculas e sem acentos
+   * @param {string} name
+   * @returns {string} Ex: " Alimentação " -> "alimentacao"
+   */
+  static normalizeName(name) {
+    return String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Categoria de um tipo pelo nome (como vem de um arquivo importado)
+   * Aceita o caminho da subcategoria ("Alimentação:Delivery" ou
+   * "Alimentação > Delivery"); só com o nome, prefere a categoria principal
+   * @param {Category[]} categories - Lista plana (principais e subcategorias)
+   * @param {string} name
+   * @param {string} type - 'income' ou 'expense'
+   * @returns {Category|null}
+   */
+  static findByName(categories, name, type) {
+    const path = String(name || '').split(/:|>/).map(part => Category.normalizeName(part)).filter(part => part);
+
+    if (path.length === 0) {
+      return null;
+    }
+
+    const ofType = categories.filter(category => category.type === type);
+    const named = key => ofType.filter(category => Category.normalizeName(category.name) === key);
+
+    if (path.length > 1) {
+      const parent = named(path[path.length - 2]).find(category => !category.isSubcategory());
+
+      return parent
+        ? named(path[path.length - 1]).find(category => Number(category.parentId) === Number(parent.id)) || null
+        : null;
+    }
+
+    const matches = named(path[0]);
+
+    return matches.find(category => !category.isSubcategory()) || matches[0] || null;
+  }
+
+  /**
+   * Caminho "Pai:Filho" de cada categoria, o inverso de findByName
+   * @param {Category[]} categories - Lista plana de categorias
+   * @returns {Map<number, string>} ID da categoria -> caminho
+   */
+  static buildPaths(categories) {
+    const byId = new Map(categories.map(category => [Number(category.id), category]));
+    const paths = new Map();
+
+    categories.forEach(category => {
+      const parent = category.isSubcategory() ? byId.get(Number(category.parentId)) : null;
+      paths.set(Number(category.id), parent ? `${parent.name}:${category.name}` : category.name);
+    });
+
+    return paths;
+  }
+
   /**
    * Valida o nome (mínimo 2 caracteres, máximo 100)
    * @returns {boolean}
@@ -0,0 +1,343 @@
+/**
+ * Versão do formato do modelo (um modelo de outra versão é refeito do zero)
+ */
+export const CATEGORY_MODEL_VERSION = 1;
+
+/**
+ * Transações aprendidas necessárias para começar a sugerir
+ */
+export const MIN_TRAINING_TRANSACTIONS = 5;
+
+/**
+ * Peso extra de uma correção (categoria escolhida no lugar da sugerida)
+ */
+export const CORRECTION_WEIGHT = 2;
+
+/**
+ * Limites das faixas de valor (R$)
+ */
+const AMOUNT_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * CategoryModel Entity - Classificador de categorias treinado com o
+ * histórico do usuário (Naive Bayes)
+ *
+ * Cada transação vira um conjunto de características — as palavras da
+ * descrição, a faixa de valor e o dia da semana — e o modelo conta quantas
+ * vezes cada característica apareceu em cada categoria. A sugestão é a
+ * categoria mais provável para as características de uma transação nova.
+ */
+export class CategoryModel {
+  constructor({
+    userId,
+    version,
+    documentCount,
+    lastTransactionId,
+    categories,
+    hits,
+    misses,
+    updatedAt
+  }) {
+    this.userId = userId;
+    this.version = version || CATEGORY_MODEL_VERSION;
+    this.documentCount = documentCount || 0;
+    this.lastTransactionId = lastTransactionId || 0;
+    // { [categoryId]: { documents, total, features: { [feature]: peso } } }
+    this.categories = categories || {};
+    // Sugestões aceitas e corrigidas
+    this.hits = hits || 0;
+    this.misses = misses || 0;
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+  }
+
+  /**
+   * Características de uma transação
+   * @param {Object} transaction - { description, amount, date }
+   * @returns {string[]} Ex: ["uber", "trip", "valor:2", "dia:5"]
+   */
+  static extractFeatures({ description, amount, date }) {
+    const words = String(description || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 2 && !/^\d+$/.test(word));
+
+    const features = [...new Set(words)];
+    const parsedAmount = parseFloat(amount);
+
+    if (!isNaN(parsedAmount) && parsedAmount > 0) {
+      const bucket = AMOUNT_BUCKETS.findIndex(limit => parsedAmount < limit);
+      features.push(`valor:${bucket === -1 ? AMOUNT_BUCKETS.length : bucket}`);
+    }
+
+    const parsedDate = date instanceof Date ? date : new Date(date);
+
+    if (date && !isNaN(parsedDate.getTime())) {
+      features.push(`dia:${parsedDate.getDay()}`);
+    }
+
+    return features;
+  }
+
+  /**
+   * Verifica se a transação entra no aprendizado (transferências e
+   * transações divididas não têm uma categoria só e ficam de fora)
+   * @param {Transaction} transaction
+   * @returns {boolean}
+   */
+  static isLearnable(transaction) {
+    return Boolean(transaction.categoryId) && !transaction.isSplit() && !transaction.isTransfer();
+  }
+
+  /**
+   * Nível de confiança para exibição
+   * @param {number} confidence - De 0 a 1
+   * @returns {string} Ex: "●●○ média · 62%"
+   */
+  static getConfidenceLabel(confidence) {
+    const percent = `${Math.round(confidence * 100)}%`;
+
+    if (confidence >= 0.75) {
+      return `●●● alta · ${percent}`;
+    }
+
+    if (confidence >= 0.45) {
+      return `●●○ média · ${percent}`;
+    }
+
+    return `●○○ baixa · ${percent}`;
+  }
+
+  /**
+   * Verifica se o modelo já aprendeu o bastante para sugerir
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.documentCount >= MIN_TRAINING_TRANSACTIONS;
+  }
+
+  /**
+   * Verifica se o modelo foi gravado em outro formato
+   * @returns {boolean}
+   */
+  isOutdated() {
+    return this.version !== CATEGORY_MODEL_VERSION;
+  }
+
+  /**
+   * Aprende que a transação pertence à categoria
+   * @param {Object} transaction - { description, amount, date }
+   * @param {number} categoryId
+   * @param {number} [weight=1] - Peso (uma correção pesa mais)
+   */
+  learn(transaction, categoryId, weight = 1) {
+    const key = String(categoryId);
+
+    if (!this.categories[key]) {
+      this.categories[key] = { documents: 0, total: 0, features: {} };
+    }
+
+    const category = this.categories[key];
+    const features = CategoryModel.extractFeatures(transaction);
+
+    category.documents += weight;
+    this.documentCount += weight;
+
+    features.forEach(feature => {
+      category.features[feature] = (category.features[feature] || 0) + weight;
+      category.total += weight;
+    });
+
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Esquece que a transação pertence à categoria (o contrário de learn)
+   * @param {Object} transaction - { description, amount, date }
+   * @param {number} categoryId
+   * @param {number} [weight=1]
+   */
+  unlearn(transaction, categoryId, weight = 1) {
+    const key = String(categoryId);
+    const category = this.categories[key];
+
+    if (!category) {
+      return;
+    }
+
+    const documents = Math.min(category.documents, weight);
+    category.documents -= documents;
+    this.documentCount = Math.max(this.documentCount - documents, 0);
+
+    CategoryModel.extractFeatures(transaction).forEach(feature => {
+      const removed = Math.min(category.features[feature] || 0, weight);
+
+      if (removed > 0) {
+        category.features[feature] -= removed;
+        category.total -= removed;
+      }
+
+      if (category.features[feature] === 0) {
+        delete category.features[feature];
+      }
+    });
+
+    if (category.documents === 0) {
+      delete this.categories[key];
+    }
+
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Troca o que foi aprendido de uma transação alterada depois (categoria,
+   * descrição, valor ou data) pela versão nova; uma transação que o modelo
+   * ainda não aprendeu fica para a próxima sugestão
+   * @param {Transaction} before - Transação antes da alteração
+   * @param {Transaction} after - Transação depois da alteração
+   */
+  relearn(before, after) {
+    if (Number(before.id) > this.lastTransactionId) {
+      return;
+    }
+
+    if (CategoryModel.isLearnable(before)) {
+      this.unlearn(before, before.categoryId);
+    }
+
+    if (CategoryModel.isLearnable(after)) {
+      this.learn(after, after.categoryId);
+    }
+  }
+
+  /**
+   * Registra se a sugestão foi aceita; uma correção é aprendida com peso extra
+   * @param {Object} transaction - { description, amount, date }
+   * @param {number} suggestedCategoryId
+   * @param {number} categoryId - Categoria escolhida
+   */
+  recordChoice(transaction, suggestedCategoryId, categoryId) {
+    if (Number(suggestedCategoryId) === Number(categoryId)) {
+      this.hits++;
+      this.updatedAt = new Date();
+      return;
+    }
+
+    this.misses++;
+    this.learn(transaction, categoryId, CORRECTION_WEIGHT);
+  }
+
+  /**
+   * Junta o que foi aprendido numa categoria ao que foi aprendido em outra
+   * (a categoria de origem deixa de existir, como numa mesclagem)
+   * @param {number} sourceCategoryId
+   * @param {number} targetCategoryId
+   */
+  mergeCategory(sourceCategoryId, targetCategoryId) {
+    const source = this.categories[String(sourceCategoryId)];
+
+    if (!source || String(sourceCategoryId) === String(targetCategoryId)) {
+      return;
+    }
+
+    const key = String(targetCategoryId);
+
+    if (!this.categories[key]) {
+      this.categories[key] = { documents: 0, total: 0, features: {} };
+    }
+
+    const target = this.categories[key];
+    target.documents += source.documents;
+    target.total += source.total;
+
+    Object.entries(source.features).forEach(([feature, weight]) => {
+      target.features[feature] = (target.features[feature] || 0) + weight;
+    });
+
+    delete this.categories[String(sourceCategoryId)];
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Categorias mais prováveis para a transação
+   * @param {Object} transaction - { description, amount, date }
+   * @param {number[]} [categoryIds] - Categorias possíveis (padrão: todas as aprendidas)
+   * @returns {Array<{categoryId: number, confidence: number}>} Da mais provável para a menos
+   */
+  predict(transaction, categoryIds = null) {
+    if (!this.isReady()) {
+      return [];
+    }
+
+    const candidates = (categoryIds || Object.keys(this.categories))
+      .map(id => String(id))
+      .filter(id => this.categories[id] && this.categories[id].documents > 0);
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const features = CategoryModel.extractFeatures(transaction);
+    const vocabularySize = this._vocabularySize();
+    const categoryCount = Object.keys(this.categories).length;
+
+    // Log-probabilidades com suavização de Laplace
+    const scores = candidates.map(id => {
+      const category = this.categories[id];
+      let score = Math.log((category.documents + 1) / (this.documentCount + categoryCount));
+
+      features.forEach(feature => {
+        score += Math.log(((category.features[feature] || 0) + 1) / (category.total + vocabularySize));
+      });
+
+      return { categoryId: Number(id), score };
+    });
+
+    // Normaliza as probabilidades (softmax)
+    const max = Math.max(...scores.map(item => item.score));
+    const sum = scores.reduce((total, item) => total + Math.exp(item.score - max), 0);
+
+    return scores
+      .map(item => ({ categoryId: item.categoryId, confidence: Math.exp(item.score - max) / sum }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Quantidade de características diferentes que o modelo conhece
+   * @private
+   */
+  _vocabularySize() {
+    const features = new Set();
+
+    Object.values(this.categories).forEach(category => {
+      Object.keys(category.features).forEach(feature => features.add(feature));
+    });
+
+    return Math.max(features.size, 1);
+  }
+
+  /**
+   * Taxa de acerto das sugestões
+   * @returns {number|null} De 0 a 1 (null sem sugestões registradas)
+   */
+  getAccuracy() {
+    const total = this.hits + this.misses;
+    return total > 0 ? this.hits / total : null;
+  }
+
+  /**
+   * Converte o modelo para gravação (JSON)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      documentCount: this.documentCount,
+      lastTransactionId: this.lastTransactionId,
+      categories: this.categories,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
@@ -0,0 +1,344 @@
+import { Tag, MAX_TAGS_PER_TRANSACTION } from './Tag.js';
+
+/**
+ * Tamanho máximo do texto procurado na descrição
+ */
+export const MAX_RULE_TEXT_LENGTH = 100;
+
+/**
+ * Dias da semana (índice = Date.getDay())
+ */
+export const RULE_WEEKDAYS = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+/**
+ * CategoryRule Entity - Regra de categorização automática
+ *
+ * Condições (todas precisam valer): a descrição contém um texto, o valor
+ * está numa faixa e/ou a data cai em certos dias da semana. Ações: definir a
+ * categoria e/ou adicionar tags. As regras são avaliadas pela prioridade
+ * (1 primeiro): a primeira que corresponde e tem categoria define a
+ * categoria, e as tags de todas as que correspondem são somadas.
+ */
+export class CategoryRule {
+  constructor({
+    id,
+    userId,
+    priority,
+    isActive,
+    descriptionContains,
+    minAmount,
+    maxAmount,
+    weekdays,
+    categoryId,
+    tags,
+    createdAt,
+    updatedAt,
+    // Dados da categoria (quando há JOIN)
+    categoryName,
+    categoryIcon,
+    categoryType,
+    parentCategoryName
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.priority = priority ? parseInt(priority) : 1;
+    this.isActive = isActive !== undefined ? Boolean(isActive) : true;
+    this.descriptionContains = descriptionContains ? String(descriptionContains).trim() : null;
+    this.minAmount = CategoryRule._parseAmount(minAmount);
+    this.maxAmount = CategoryRule._parseAmount(maxAmount);
+    this.weekdays = CategoryRule.parseWeekdays(weekdays);
+    this.categoryId = categoryId || null;
+    this.tags = Tag.parseList(tags);
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+
+    // Dados da categoria (opcionais, vêm do JOIN)
+    this.categoryName = categoryName;
+    this.categoryIcon = categoryIcon;
+    this.categoryType = categoryType;
+    this.parentCategoryName = parentCategoryName;
+  }
+
+  /**
+   * Converte um valor opcional (vazio = sem limite)
+   * @private
+   */
+  static _parseAmount(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    return parseFloat(String(value).replace(',', '.'));
+  }
+
+  /**
+   * Normaliza um texto para comparação (minúsculas, sem acentos e espaços repetidos)
+   * @param {string} text
+   * @returns {string} Ex: "Uber  *Trip São Paulo" -> "uber *trip sao paulo"
+   */
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Converte os dias da semana (lista ou texto "1,5") em índices de 0 a 6, sem repetição
+   * @param {number[]|string|null} input
+   * @returns {number[]}
+   */
+  static parseWeekdays(input) {
+    const values = Array.isArray(input) ? input : String(input || '').split(',');
+
+    return [...new Set(values
+      .map(value => String(value).trim())
+      .filter(value => value !== '')
+      .map(Number))]
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Avalia as regras para uma transação
+   * @param {CategoryRule[]} rules - Regras em ordem de prioridade
+   * @param {Object} transaction - { type, description, amount, date }
+   * @returns {{categoryId: number|null, categoryRule: CategoryRule|null, tags: string[], rules: CategoryRule[]}}
+   */
+  static evaluate(rules, transaction) {
+    const matched = rules.filter(rule => rule.matches(transaction));
+    const categoryRule = matched.find(rule => rule.categoryId) || null;
+
+    return {
+      categoryId: categoryRule ? categoryRule.categoryId : null,
+      categoryRule,
+      tags: [...new Set(matched.flatMap(rule => rule.tags))],
+      rules: matched
+    };
+  }
+
+  /**
+   * O que o resultado de evaluate() mudaria numa transação já registrada
+   * Transferências, parcelas e transações conciliadas ficam travadas; as
+   * divididas entre categorias só recebem as tags.
+   * @param {Transaction} transaction
+   * @param {{categoryId: number|null, tags: string[]}} result
+   * @returns {{locked: boolean, categoryId: number|null, tags: string[]}}
+   *   categoryId: nova categoria (null = não muda); tags: tags que faltam
+   */
+  static getChanges(transaction, result) {
+    if (transaction.isTransfer() || transaction.isInstallment() || transaction.isReconciled()) {
+      return { locked: true, categoryId: null, tags: [] };
+    }
+
+    const changesCategory = result.categoryId && !transaction.isSplit() &&
+      Number(result.categoryId) !== Number(transaction.categoryId);
+    const tags = result.tags
+      .filter(name => !transaction.hasTag(name))
+      .slice(0, Math.max(MAX_TAGS_PER_TRANSACTION - transaction.tags.length, 0));
+
+    return { locked: false, categoryId: changesCategory ? result.categoryId : null, tags };
+  }
+
+  /**
+   * Verifica se a regra tem alguma condição
+   * @returns {boolean}
+   */
+  hasConditions() {
+    return Boolean(this.descriptionContains) ||
+      this.minAmount !== null ||
+      this.maxAmount !== null ||
+      this.weekdays.length > 0;
+  }
+
+  /**
+   * Verifica se a regra tem alguma ação
+   * @returns {boolean}
+   */
+  hasActions() {
+    return Boolean(this.categoryId) || this.tags.length > 0;
+  }
+
+  /**
+   * Verifica se a transação atende a todas as condições
+   * Uma regra com categoria só vale para o tipo da categoria (receita ou despesa)
+   * @param {Object} transaction - { type, description, amount, date }
+   * @returns {boolean}
+   */
+  matches(transaction) {
+    if (!this.isActive || !this.hasConditions()) {
+      return false;
+    }
+
+    if (this.categoryType && this.categoryType !== transaction.type) {
+      return false;
+    }
+
+    if (this.descriptionContains &&
+        !CategoryRule.normalize(transaction.description).includes(CategoryRule.normalize(this.descriptionContains))) {
+      return false;
+    }
+
+    const amount = parseFloat(transaction.amount);
+
+    if (this.minAmount !== null && !(amount >= this.minAmount)) {
+      return false;
+    }
+
+    if (this.maxAmount !== null && !(amount <= this.maxAmount)) {
+      return false;
+    }
+
+    if (this.weekdays.length > 0) {
+      const date = transaction.date instanceof Date ? transaction.date : new Date(transaction.date);
+
+      if (!this.weekdays.includes(date.getDay())) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Verifica se a regra pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('UserId é obrigatório');
+    }
+
+    if (!this.hasConditions()) {
+      errors.push('Informe ao menos uma condição (texto, valor ou dia da semana)');
+    }
+
+    if (!this.hasActions()) {
+      errors.push('Informe a categoria e/ou as tags que a regra aplica');
+    }
+
+    if (this.descriptionContains && this.descriptionContains.length > MAX_RULE_TEXT_LENGTH) {
+      errors.push(`Texto da descrição deve ter no máximo ${MAX_RULE_TEXT_LENGTH} caracteres`);
+    }
+
+    if ([this.minAmount, this.maxAmount].some(amount => amount !== null && (isNaN(amount) || amount < 0))) {
+      errors.push('Valores da faixa devem ser números positivos');
+    } else if (this.minAmount !== null && this.maxAmount !== null && this.minAmount > this.maxAmount) {
+      errors.push('Valor mínimo não pode ser maior que o máximo');
+    }
+
+    if (this.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('Dia da semana inválido');
+    }
+
+    if (this.tags.length > MAX_TAGS_PER_TRANSACTION) {
+      errors.push(`Máximo de ${MAX_TAGS_PER_TRANSACTION} tags por regra`);
+    }
+
+    if (this.tags.some(name => !Tag.isValidName(name))) {
+      errors.push('Nome de tag inválido');
+    }
+
+    if (!Number.isInteger(this.priority) || this.priority < 1) {
+      errors.push('Prioridade deve ser um número inteiro maior que zero');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Categoria para exibição (com a categoria pai)
+   * @returns {string} Ex: "🚗 Transporte/App"
+   */
+  getCategoryLabel() {
+    if (!this.categoryId) {
+      return '';
+    }
+
+    const name = this.parentCategoryName ? `${this.parentCategoryName}/${this.categoryName}` : this.categoryName;
+    return `${this.categoryIcon || '📁'} ${name}`;
+  }
+
+  /**
+   * Condições para exibição
+   * @returns {string} Ex: 'descrição contém "UBER" e sexta'
+   */
+  getConditionsLabel() {
+    const format = (value) => `R$ ${value.toFixed(2).replace('.', ',')}`;
+    const parts = [];
+
+    if (this.descriptionContains) {
+      parts.push(`descrição contém "${this.descriptionContains}"`);
+    }
+
+    if (this.minAmount !== null && this.maxAmount !== null) {
+      parts.push(`valor entre ${format(this.minAmount)} e ${format(this.maxAmount)}`);
+    } else if (this.minAmount !== null) {
+      parts.push(`valor a partir de ${format(this.minAmount)}`);
+    } else if (this.maxAmount !== null) {
+      parts.push(`valor até ${format(this.maxAmount)}`);
+    }
+
+    if (this.weekdays.length > 0) {
+      parts.push(this.weekdays.map(day => RULE_WEEKDAYS[day]).join('/'));
+    }
+
+    return parts.join(' e ');
+  }
+
+  /**
+   * Ações para exibição
+   * @returns {string} Ex: "🚗 Transporte/App + #trabalho"
+   */
+  getActionsLabel() {
+    return [this.getCategoryLabel(), ...this.tags.map(name => `#${name}`)]
+      .filter(part => part)
+      .join(' + ');
+  }
+
+  /**
+   * Retorna resumo da regra
+   * @returns {string} Ex: '1. descrição contém "UBER" → 🚗 Transporte/App + #trabalho'
+   */
+  getSummary() {
+    return `${this.priority}. ${this.getConditionsLabel()} → ${this.getActionsLabel()}` +
+      (this.isActive ? '' : ' (pausada)');
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      priority: this.priority,
+      isActive: this.isActive,
+      descriptionContains: this.descriptionContains,
+      minAmount: this.minAmount,
+      maxAmount: this.maxAmount,
+      weekdays: this.weekdays,
+      categoryId: this.categoryId,
+      categoryName: this.categoryName,
+      tags: this.tags,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Situações da fatura com rótulo e ícone
+ */
+export const STATEMENT_STATUS = {
+  future: { label: 'Futura', icon: '🗓️' },
+  open: { label: 'Aberta', icon: '🟢' },
+  closed: { label: 'Fechada', icon: '🟡' },
+  overdue: { label: 'Vencida', icon: '🔴' },
+  paid: { label: 'Paga', icon: '✅' }
+};
+
+/**
+ * CreditCardStatement Entity - Fatura de um cartão de crédito
+ *
+ * A fatura não é gravada no banco: é calculada a partir das movimentações
+ * do cartão. Compras (despesas) e estornos (receitas) entram na fatura pela
+ * data; pagamentos são transferências para o cartão e quitam as faturas da
+ * mais antiga para a mais recente.
+ */
+export class CreditCardStatement {
+  constructor({
+    accountId,
+    periodStart,
+    closingDate,
+    dueDate,
+    total,
+    paid,
+    previousBalance,
+    transactions,
+    today
+  }) {
+    this.accountId = accountId;
+    this.periodStart = periodStart;
+    this.closingDate = closingDate;
+    this.dueDate = dueDate;
+    this.total = total !== undefined ? parseFloat(total) : 0;
+    this.paid = paid !== undefined ? parseFloat(paid) : 0;
+    this.previousBalance = previousBalance !== undefined ? parseFloat(previousBalance) : 0;
+    this.transactions = transactions || [];
+    this.today = today || new Date();
+  }
+
+  /**
+   * Monta as faturas de um cartão a partir das suas movimentações
+   *
+   * Sempre inclui a fatura aberta (a do dia de hoje). O saldo inicial do
+   * cartão (negativo = dívida já existente) entra como saldo anterior na
+   * fatura do dia em que o cartão foi cadastrado.
+   *
+   * @param {Account} account - Cartão de crédito
+   * @param {Transaction[]} transactions - Movimentações do cartão
+   * @param {Date} today - Data de referência
+   * @returns {CreditCardStatement[]} Da mais antiga para a mais recente
+   */
+  static fromTransactions(account, transactions, today = new Date()) {
+    const statements = new Map();
+    const statementFor = (date) => {
+      const dates = account.getStatementDates(date);
+      const key = dates.closingDate.getTime();
+
+      if (!statements.has(key)) {
+        statements.set(key, new CreditCardStatement({
+          ...dates,
+          accountId: account.id,
+          total: 0,
+          paid: 0,
+          today
+        }));
+      }
+
+      return statements.get(key);
+    };
+
+    statementFor(today);
+
+    if (account.initialBalance !== 0) {
+      const statement = statementFor(account.createdAt);
+      statement.previousBalance = -account.initialBalance;
+      statement.total += statement.previousBalance;
+    }
+
+    let payments = 0;
+
+    transactions.forEach(transaction => {
+      // Pagamento da fatura: transferência recebida pelo cartão
+      if (transaction.isTransfer() && transaction.isIncome()) {
+        payments += transaction.amount;
+        return;
+      }
+
+      const statement = statementFor(transaction.date);
+      statement.total += transaction.isExpense() ? transaction.amount : -transaction.amount;
+      statement.transactions.push(transaction);
+    });
+
+    const sorted = [...statements.values()].sort((a, b) => a.closingDate - b.closingDate);
+
+    // Pagamentos quitam as faturas da mais antiga para a mais recente
+    sorted.forEach(statement => {
+      statement.total = CreditCardStatement._round(statement.total);
+
+      if (statement.total <= 0) {
+        payments -= statement.total; // Fatura com crédito (estornos)
+        return;
+      }
+
+      statement.paid = CreditCardStatement._round(Math.max(0, Math.min(statement.total, payments)));
+      payments -= statement.paid;
+    });
+
+    return sorted;
+  }
+
+  /**
+   * Arredonda para centavos
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Identificação da fatura pelo mês de vencimento
+   * @returns {string} Ex: "11/2026"
+   */
+  get reference() {
+    return `${String(this.dueDate.getMonth() + 1).padStart(2, '0')}/${this.dueDate.getFullYear()}`;
+  }
+
+  /**
+   * Valor que falta pagar
+   * @returns {number}
+   */
+  getRemaining() {
+    return CreditCardStatement._round(Math.max(0, this.total - this.paid));
+  }
+
+  /**
+   * Situação da fatura
+   * @returns {'future'|'open'|'closed'|'overdue'|'paid'}
+   */
+  getStatus() {
+    const today = new Date(this.today.getFullYear(), this.today.getMonth(), this.today.getDate());
+
+    if (today < this.periodStart) return 'future';
+    if (today < this.closingDate) return 'open';
+    if (this.getRemaining() === 0) return 'paid';
+    if (today > this.dueDate) return 'overdue';
+    return 'closed';
+  }
+
+  /**
+   * Retorna o rótulo da situação
+   * @returns {string}
+   */
+  getStatusLabel() {
+    return STATEMENT_STATUS[this.getStatus()].label;
+  }
+
+  /**
+   * Retorna o ícone da situação
+   * @returns {string}
+   */
+  getStatusIcon() {
+    return STATEMENT_STATUS[this.getStatus()].icon;
+  }
+
+  /**
+   * Verifica se a fatura pode ser paga (já tem compras e ainda não foi quitada)
+   * @returns {boolean}
+   */
+  isPayable() {
+    return this.getStatus() !== 'future' && this.getRemaining() > 0;
+  }
+
+  /**
+   * Formata uma data como DD/MM/YYYY
+   * @param {Date} date
+   * @returns {string}
+   */
+  static formatDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+  }
+
+  /**
+   * Retorna um valor formatado em Reais
+   * @param {number} value
+   * @returns {string} Ex: "R$ 1.234,56"
+   */
+  static formatAmount(value) {
+    const formatted = Math.abs(value).toFixed(2).replace('.', ',');
+    const parts = formatted.split(',');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `${value < 0 ? '-' : ''}R$ ${parts.join(',')}`;
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      accountId: this.accountId,
+      reference: this.reference,
+      periodStart: this.periodStart.toISOString(),
+      closingDate: this.closingDate.toISOString(),
+      dueDate: this.dueDate.toISOString(),
+      total: this.total,
+      paid: this.paid,
+      previousBalance: this.previousBalance,
+      remaining: this.getRemaining(),
+      status: this.getStatus(),
+      transactionCount: this.transactions.length
+    };
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string}
+   */
+  getSummary() {
+    return `${this.getStatusIcon()} Fatura ${this.reference} | ${this.getStatusLabel()} | ` +
+      `${CreditCardStatement.formatAmount(this.total)} | Vence ${CreditCardStatement.formatDate(this.dueDate)}`;
+  }
+}
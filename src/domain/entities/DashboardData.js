@@ -8,6 +8,7 @@ export class DashboardData {
     balance = {},
     topCategories = [],
     monthlyTrend = [],
+    accounts = [],
     userId = null,
     generatedAt = new Date()
   }) {
@@ -62,6 +63,15 @@ export class DashboardData {
       expense: parseFloat(trend.expense || 0),
       balance: parseFloat(trend.balance || 0)
     }));
+
+    // Saldo atual de cada conta ativa
+    this.accounts = accounts.map(account => ({
+      id: account.id,
+      name: account.name,
+      icon: account.icon || '💼',
+      type: account.type,
+      balance: parseFloat(account.balance || 0)
+    }));
   }
 
   /**
@@ -324,6 +334,7 @@ export class DashboardData {
       balance: this.balance,
       topCategories: this.topCategories,
       monthlyTrend: this.monthlyTrend,
+      accounts: this.accounts,
       indicators: this.getIndicators(),
       summary: {
         current: this.getCurrentMonthSummary(),
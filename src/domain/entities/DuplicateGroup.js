@@ -0,0 +1,193 @@
+import { MAX_TAGS_PER_TRANSACTION } from './Tag.js';
+
+/**
+ * Distância máxima, em dias, entre as datas de duas transações duplicadas
+ */
+export const DUPLICATE_WINDOW_DAYS = 3;
+
+/**
+ * Semelhança mínima entre as descrições (de 0 a 1) de duas transações duplicadas
+ */
+export const MIN_DESCRIPTION_SIMILARITY = 0.5;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * DuplicateGroup Entity - Grupo de transações que parecem ser o mesmo
+ * lançamento registrado mais de uma vez
+ *
+ * Duas transações são suspeitas quando têm o mesmo tipo e o mesmo valor,
+ * datas próximas (até DUPLICATE_WINDOW_DAYS dias) e descrições parecidas.
+ * Transferências nunca entram: as duas pernas têm o mesmo valor por natureza.
+ */
+export class DuplicateGroup {
+  constructor({ transactions }) {
+    // Da mais antiga para a mais recente
+    this.transactions = [...(transactions || [])]
+      .sort((a, b) => a.date - b.date || Number(a.id) - Number(b.id));
+  }
+
+  /**
+   * Palavras de uma descrição (minúsculas, sem acentos nem números soltos)
+   * @param {string} description
+   * @returns {Set<string>} Ex: "Uber *Trip 123" -> {"uber", "trip"}
+   */
+  static tokenize(description) {
+    return new Set(String(description || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 2 && !/^\d+$/.test(word)));
+  }
+
+  /**
+   * Semelhança entre duas descrições (palavras em comum sobre o total de palavras)
+   * Duas descrições vazias são iguais; só uma vazia conta como meio caminho,
+   * porque é comum lançar às pressas sem descrever
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} De 0 a 1
+   */
+  static descriptionSimilarity(a, b) {
+    const wordsA = DuplicateGroup.tokenize(a);
+    const wordsB = DuplicateGroup.tokenize(b);
+
+    if (wordsA.size === 0 && wordsB.size === 0) {
+      return 1;
+    }
+
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0.5;
+    }
+
+    const common = [...wordsA].filter(word => wordsB.has(word)).length;
+    return common / (wordsA.size + wordsB.size - common);
+  }
+
+  /**
+   * Verifica se duas transações parecem ser o mesmo lançamento
+   * @param {Object} a - { id?, type, amount, date, description, transferId? }
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  static isLikelyDuplicate(a, b) {
+    if (a.id && b.id && String(a.id) === String(b.id)) {
+      return false;
+    }
+
+    if (a.type !== b.type || a.transferId || b.transferId) {
+      return false;
+    }
+
+    if (Math.round(parseFloat(a.amount) * 100) !== Math.round(parseFloat(b.amount) * 100)) {
+      return false;
+    }
+
+    const dateA = a.date instanceof Date ? a.date : new Date(a.date);
+    const dateB = b.date instanceof Date ? b.date : new Date(b.date);
+
+    if (Math.round(Math.abs(dateA - dateB) / DAY_IN_MS) > DUPLICATE_WINDOW_DAYS) {
+      return false;
+    }
+
+    return DuplicateGroup.descriptionSimilarity(a.description, b.description) >= MIN_DESCRIPTION_SIMILARITY;
+  }
+
+  /**
+   * Transações já registradas que parecem ser a mesma que a informada
+   * @param {Object} candidate - { type, amount, date, description }
+   * @param {Transaction[]} transactions
+   * @returns {Transaction[]}
+   */
+  static findDuplicates(candidate, transactions) {
+    return transactions.filter(transaction => DuplicateGroup.isLikelyDuplicate(candidate, transaction));
+  }
+
+  /**
+   * Agrupa as transações suspeitas de duplicidade
+   * Se A parece com B e B parece com C, as três ficam no mesmo grupo
+   * @param {Transaction[]} transactions
+   * @returns {DuplicateGroup[]} Do grupo mais recente para o mais antigo
+   */
+  static findGroups(transactions) {
+    const parent = transactions.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    // Ordenadas por data, basta comparar com as próximas dentro da janela
+    const sorted = transactions
+      .map((transaction, index) => ({ transaction, index }))
+      .sort((a, b) => a.transaction.date - b.transaction.date);
+
+    sorted.forEach((item, position) => {
+      for (let next = position + 1; next < sorted.length; next++) {
+        const other = sorted[next];
+
+        if ((other.transaction.date - item.transaction.date) / DAY_IN_MS > DUPLICATE_WINDOW_DAYS + 1) {
+          break;
+        }
+
+        if (DuplicateGroup.isLikelyDuplicate(item.transaction, other.transaction)) {
+          parent[find(other.index)] = find(item.index);
+        }
+      }
+    });
+
+    const groups = new Map();
+
+    transactions.forEach((transaction, index) => {
+      const root = find(index);
+      groups.set(root, [...(groups.get(root) || []), transaction]);
+    });
+
+    return [...groups.values()]
+      .filter(members => members.length >= 2)
+      .map(members => new DuplicateGroup({ transactions: members }))
+      .sort((a, b) => b.getLastDate() - a.getLastDate());
+  }
+
+  /**
+   * Verifica se a transação não pode sair do grupo (conciliada ou parcela)
+   * @param {Transaction} transaction
+   * @returns {boolean}
+   */
+  static isLocked(transaction) {
+    return transaction.isReconciled() || transaction.isInstallment();
+  }
+
+  /**
+   * Transação sugerida para ficar: a travada, senão a mais completa
+   * (favorecido, tags e descrição), senão a mais antiga
+   * @returns {Transaction}
+   */
+  getKeeper() {
+    const score = (transaction) =>
+      (DuplicateGroup.isLocked(transaction) ? 1000 : 0) +
+      (transaction.hasPayee() ? 100 : 0) +
+      Math.min(transaction.tags.length, MAX_TAGS_PER_TRANSACTION) * 10 +
+      Math.min(transaction.description.length, 9) / 10;
+
+    return this.transactions.reduce((best, transaction) => (score(transaction) > score(best) ? transaction : best));
+  }
+
+  /**
+   * Data da transação mais recente do grupo
+   * @returns {Date}
+   */
+  getLastDate() {
+    return this.transactions[this.transactions.length - 1].date;
+  }
+
+  /**
+   * Retorna resumo do grupo
+   * @returns {string} Ex: "2x -R$ 45,90 · Uber trip · 10/11/2025 a 11/11/2025"
+   */
+  getSummary() {
+    const first = this.transactions[0];
+    const lastDate = this.transactions[this.transactions.length - 1].getFormattedDate();
+    const period = first.getFormattedDate() === lastDate ? lastDate : `${first.getFormattedDate()} a ${lastDate}`;
+    const description = this.transactions.map(transaction => transaction.description).find(text => text);
+
+    return `${this.transactions.length}x ${first.getSignedAmount()} · ${description || 'Sem descrição'} · ${period}`;
+  }
+}
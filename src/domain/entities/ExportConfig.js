@@ -1,3 +1,30 @@
+/**
+ * Formatos de número e data das exportações CSV: o separador de colunas e o
+ * decimal seguem o que a planilha do idioma espera abrir sem configuração
+ * (os valores saem sem separador de milhar). O JSON usa sempre números e
+ * datas AAAA-MM-DD
+ */
+export const EXPORT_LOCALES = {
+  'pt-BR': {
+    label: 'Português (1234,56 e DD/MM/AAAA, colunas separadas por ";")',
+    delimiter: ';',
+    decimalSeparator: ',',
+    dateFormat: 'dd/mm/yyyy'
+  },
+  'en-US': {
+    label: 'Inglês (1234.56 e MM/DD/AAAA, colunas separadas por ",")',
+    delimiter: ',',
+    decimalSeparator: '.',
+    dateFormat: 'mm/dd/yyyy'
+  },
+  iso: {
+    label: 'ISO (1234.56 e AAAA-MM-DD, colunas separadas por ",")',
+    delimiter: ',',
+    decimalSeparator: '.',
+    dateFormat: 'yyyy-mm-dd'
+  }
+};
+
 /**
  * ExportConfig Entity
  *
@@ -14,7 +41,8 @@ export class ExportConfig {
    * @param {string} params.type - Tipo de exportação ('transactions', 'report')
    * @param {string} params.reportType - Tipo de relatório ('monthly', 'category', 'evolution', 'top', 'comparative', 'patterns')
    * @param {Object} params.filters - Filtros para aplicar
-   * @param {string} params.format - Formato do arquivo ('pdf')
+   * @param {string} params.format - Formato do arquivo ('pdf', 'csv', 'json')
+   * @param {string} params.locale - Formato dos números e datas do CSV (chave de EXPORT_LOCALES)
    * @param {boolean} params.includeCharts - Incluir gráficos no PDF
    * @param {boolean} params.includeSummary - Incluir resumo no PDF
    * @param {string} params.title - Título personalizado
@@ -24,16 +52,18 @@ export class ExportConfig {
     reportType = null,
     filters = {},
     format = 'pdf',
+    locale = 'pt-BR',
     includeCharts = true,
     includeSummary = true,
     title = null
   }) {
-    this.validate({ type, format, reportType });
+    this.validate({ type, format, reportType, locale });
 
     this.type = type;
     this.reportType = reportType;
     this.filters = this.normalizeFilters(filters);
     this.format = format;
+    this.locale = locale;
     this.includeCharts = includeCharts;
     this.includeSummary = includeSummary;
     this.title = title;
@@ -46,16 +76,18 @@ export class ExportConfig {
    * @param {Object} params - Parâmetros a validar
    * @throws {Error} Se os parâmetros forem inválidos
    */
-  validate({ type, format, reportType }) {
+  validate({ type, format, reportType, locale = 'pt-BR' }) {
     const validTypes = ['transactions', 'report'];
-    const validFormats = ['pdf'];
+    const validFormats = ['pdf', 'csv', 'json'];
     const validReportTypes = [
       'monthly',
       'category',
       'evolution',
       'top',
       'comparative',
-      'patterns'
+      'patterns',
+      'tag',
+      'payee'
     ];
 
     if (!validTypes.includes(type)) {
@@ -72,6 +104,13 @@ export class ExportConfig {
       );
     }
 
+    if (!EXPORT_LOCALES[locale]) {
+      throw new Error(
+        `Formato de números e datas não suportado: ${locale}. ` +
+        `Formatos válidos: ${Object.keys(EXPORT_LOCALES).join(', ')}`
+      );
+    }
+
     if (type === 'report' && !reportType) {
       throw new Error('Tipo de relatório é obrigatório para exportação de relatórios');
     }
@@ -110,6 +149,56 @@ export class ExportConfig {
     return normalized;
   }
 
+  /**
+   * Datas de início e fim de um período predefinido
+   *
+   * @param {string} period - 'current-month', 'last-month', 'last-3-months',
+   *   'last-6-months', 'current-year' ou 'last-year' (outro valor = mês atual)
+   * @returns {{startDate: Date, endDate: Date}}
+   */
+  static getPeriodDates(period) {
+    const now = new Date();
+    let startDate, endDate;
+
+    switch (period) {
+    case 'current-month':
+      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+      break;
+
+    case 'last-month':
+      startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      endDate = new Date(now.getFullYear(), now.getMonth(), 0);
+      break;
+
+    case 'last-3-months':
+      startDate = new Date(now.getFullYear(), now.getMonth() - 3, 1);
+      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+      break;
+
+    case 'last-6-months':
+      startDate = new Date(now.getFullYear(), now.getMonth() - 6, 1);
+      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+      break;
+
+    case 'current-year':
+      startDate = new Date(now.getFullYear(), 0, 1);
+      endDate = new Date(now.getFullYear(), 11, 31);
+      break;
+
+    case 'last-year':
+      startDate = new Date(now.getFullYear() - 1, 0, 1);
+      endDate = new Date(now.getFullYear() - 1, 11, 31);
+      break;
+
+    default:
+      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    }
+
+    return { startDate, endDate };
+  }
+
   /**
    * Retorna o título padrão baseado no tipo
    *
@@ -130,7 +219,9 @@ export class ExportConfig {
       'evolution': 'Relatório de Evolução',
       'top': 'Maiores Transações',
       'comparative': 'Relatório Comparativo',
-      'patterns': 'Análise de Padrões'
+      'patterns': 'Análise de Padrões',
+      'tag': 'Gastos por Tag',
+      'payee': 'Gastos por Favorecido'
     };
 
     return reportTitles[this.reportType] || 'Relatório Financeiro';
@@ -153,6 +244,15 @@ export class ExportConfig {
     return `relatorio_${this.reportType}_${date}_${timestamp}.${this.format}`;
   }
 
+  /**
+   * Formato dos números e datas do CSV
+   *
+   * @returns {{delimiter: string, decimalSeparator: string, dateFormat: string}}
+   */
+  getLocaleFormat() {
+    return EXPORT_LOCALES[this.locale];
+  }
+
   /**
    * Verifica se a configuração é válida para gerar o arquivo
    *
@@ -163,7 +263,8 @@ export class ExportConfig {
       this.validate({
         type: this.type,
         format: this.format,
-        reportType: this.reportType
+        reportType: this.reportType,
+        locale: this.locale
       });
       return true;
     } catch (error) {
@@ -182,6 +283,7 @@ export class ExportConfig {
       reportType: this.reportType,
       filters: this.filters,
       format: this.format,
+      locale: this.locale,
       includeCharts: this.includeCharts,
       includeSummary: this.includeSummary,
       title: this.getTitle(),
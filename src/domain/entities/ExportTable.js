@@ -0,0 +1,256 @@
+/**
+ * Tipos das colunas de uma tabela exportada
+ * - text: texto
+ * - number: número como está (quantidades, frequências)
+ * - decimal: número com duas casas (valores e percentuais)
+ * - date: data, sem horário
+ */
+export const EXPORT_COLUMN_TYPES = ['text', 'number', 'decimal', 'date'];
+
+/**
+ * ExportTable Entity - Tabela de dados de uma exportação CSV ou JSON
+ *
+ * Os relatórios viram uma ou mais tabelas (resumo, transações, categorias...)
+ * com colunas tipadas: o CSV formata cada valor conforme o idioma escolhido
+ * e o JSON mantém números e datas AAAA-MM-DD, para scripts. Num CSV com mais
+ * de uma tabela, cada uma vem depois de uma linha com o título e de uma
+ * linha em branco separando da anterior.
+ */
+export class ExportTable {
+  /**
+   * @param {Object} params
+   * @param {string} params.name - Chave da tabela no JSON (ex: 'transactions')
+   * @param {string} params.title - Título da seção no CSV
+   * @param {Array<{key: string, label: string, type?: string, labels?: Object}>} params.columns
+   *   (labels traduz os códigos da coluna, como 'expense', no CSV; o JSON
+   *   mantém o código)
+   * @param {Array<Object>} params.rows - Linhas com os valores pelas chaves das colunas
+   */
+  constructor({ name, title, columns, rows = [] }) {
+    this.name = name;
+    this.title = title || name;
+    this.columns = columns.map(column => ({ ...column, type: column.type || 'text' }));
+    this.rows = rows;
+    this.keyed = false;
+
+    const invalid = this.columns.find(column => !EXPORT_COLUMN_TYPES.includes(column.type));
+
+    if (invalid) {
+      throw new Error(`Tipo de coluna inválido: ${invalid.type}`);
+    }
+  }
+
+  /**
+   * Tabela de duas colunas (Campo, Valor) com os totais de um resumo; no
+   * JSON ela vira um objeto com os valores pelas chaves dos campos
+   * @param {string} name
+   * @param {string} title
+   * @param {Array<{key: string, label: string, value: *, type?: string}>} fields
+   * @returns {ExportTable}
+   */
+  static fromFields(name, title, fields) {
+    const table = new ExportTable({
+      name,
+      title,
+      columns: [
+        { key: 'field', label: 'Campo' },
+        { key: 'value', label: 'Valor' }
+      ],
+      rows: fields.map(field => ({
+        key: field.key,
+        field: field.label,
+        value: field.value,
+        valueType: field.type || 'text'
+      }))
+    });
+
+    table.keyed = true;
+
+    return table;
+  }
+
+  /**
+   * Dados da tabela para o JSON: as linhas com os valores normalizados ou,
+   * num resumo (fromFields), o objeto com os valores pelas chaves
+   * @returns {Array<Object>|Object}
+   */
+  toData() {
+    if (this.keyed) {
+      const data = {};
+
+      this.rows.forEach(row => {
+        data[row.key] = ExportTable.normalizeValue(row.value, row.valueType);
+      });
+
+      return data;
+    }
+
+    return this.rows.map(row => {
+      const record = {};
+
+      this.columns.forEach(column => {
+        record[column.key] = ExportTable.normalizeValue(row[column.key], this._typeOf(row, column));
+      });
+
+      return record;
+    });
+  }
+
+  /**
+   * Células do CSV (cabeçalho e linhas) já formatadas
+   * @param {{decimalSeparator: string, dateFormat: string}} localeFormat
+   * @returns {string[][]}
+   */
+  toCells(localeFormat) {
+    return [
+      this.columns.map(column => column.label),
+      ...this.rows.map(row => this.columns.map(column => {
+        const value = column.labels && column.labels[row[column.key]] ? column.labels[row[column.key]] : row[column.key];
+
+        return ExportTable.formatValue(value, this._typeOf(row, column), localeFormat);
+      }))
+    ];
+  }
+
+  /**
+   * Texto CSV das tabelas (com BOM, para as planilhas lerem os acentos)
+   * @param {ExportTable[]} tables
+   * @param {{delimiter: string, decimalSeparator: string, dateFormat: string}} localeFormat
+   * @returns {string}
+   */
+  static toCsv(tables, localeFormat) {
+    const sections = tables.map(table => {
+      const cells = table.toCells(localeFormat);
+
+      return tables.length > 1 ? [[table.title], ...cells] : cells;
+    });
+
+    const text = sections
+      .map(rows => rows
+        .map(cells => cells.map(cell => ExportTable.escapeCsv(cell, localeFormat.delimiter)).join(localeFormat.delimiter))
+        .join('\r\n'))
+      .join('\r\n\r\n');
+
+    return `\uFEFF${text}\r\n`;
+  }
+
+  /**
+   * Texto JSON das tabelas, com os dados que descrevem a exportação
+   * @param {ExportTable[]} tables
+   * @param {Object} meta - Tipo, título, período etc.
+   * @returns {string}
+   */
+  static toJson(tables, meta = {}) {
+    const data = { ...meta, tables: {} };
+
+    tables.forEach(table => {
+      data.tables[table.name] = table.toData();
+    });
+
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Valor pronto para o JSON (null quando vazio)
+   * @param {*} value
+   * @param {string} type
+   * @returns {string|number|null}
+   */
+  static normalizeValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    switch (type) {
+    case 'number':
+      return Number(value);
+    case 'decimal':
+      return Math.round(Number(value) * 100) / 100;
+    case 'date':
+      return ExportTable.formatDate(value, 'yyyy-mm-dd');
+    default:
+      return String(value);
+    }
+  }
+
+  /**
+   * Valor formatado para a célula do CSV
+   * @param {*} value
+   * @param {string} type
+   * @param {{decimalSeparator: string, dateFormat: string}} localeFormat
+   * @returns {string}
+   */
+  static formatValue(value, type, localeFormat) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    switch (type) {
+    case 'number':
+      return String(Number(value)).replace('.', localeFormat.decimalSeparator);
+    case 'decimal':
+      return Number(value).toFixed(2).replace('.', localeFormat.decimalSeparator);
+    case 'date':
+      return ExportTable.formatDate(value, localeFormat.dateFormat);
+    default:
+      return String(value);
+    }
+  }
+
+  /**
+   * Data no formato pedido ('dd/mm/yyyy', 'mm/dd/yyyy' ou 'yyyy-mm-dd'); um
+   * texto AAAA-MM-DD, como as datas que o banco devolve sem converter, é
+   * lido sem passar pelo fuso
+   * @param {Date|string} value
+   * @param {string} dateFormat
+   * @returns {string}
+   */
+  static formatDate(value, dateFormat) {
+    const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+    const date = value instanceof Date ? value : new Date(value);
+
+    if (!match && isNaN(date.getTime())) {
+      return String(value);
+    }
+
+    const year = match ? match[1] : String(date.getFullYear());
+    const month = match ? match[2] : String(date.getMonth() + 1).padStart(2, '0');
+    const day = match ? match[3] : String(date.getDate()).padStart(2, '0');
+
+    if (dateFormat === 'mm/dd/yyyy') {
+      return `${month}/${day}/${year}`;
+    }
+
+    if (dateFormat === 'yyyy-mm-dd') {
+      return `${year}-${month}-${day}`;
+    }
+
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Célula entre aspas quando tem o separador, aspas, quebra de linha ou
+   * espaços nas pontas
+   * @param {string} cell
+   * @param {string} delimiter
+   * @returns {string}
+   */
+  static escapeCsv(cell, delimiter) {
+    const text = String(cell);
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Tipo do valor de uma célula: as tabelas de resumo (fromFields) trazem o
+   * tipo em cada linha
+   * @private
+   */
+  _typeOf(row, column) {
+    return column.key === 'value' && row.valueType ? row.valueType : column.type;
+  }
+}
@@ -0,0 +1,577 @@
+/**
+ * Campos da transação que podem vir de uma coluna do arquivo
+ */
+export const IMPORT_FIELDS = {
+  date: 'Data',
+  amount: 'Valor',
+  description: 'Descrição',
+  type: 'Tipo',
+  category: 'Categoria'
+};
+
+/**
+ * Formatos de data aceitos (o separador pode ser "/", "-" ou ".")
+ */
+export const DATE_FORMATS = {
+  'dd/mm/yyyy': 'DD/MM/AAAA',
+  'mm/dd/yyyy': 'MM/DD/AAAA',
+  'yyyy-mm-dd': 'AAAA-MM-DD'
+};
+
+/**
+ * Separadores de colunas aceitos
+ */
+export const CSV_DELIMITERS = {
+  ';': 'Ponto e vírgula (;)',
+  ',': 'Vírgula (,)',
+  '\t': 'Tabulação',
+  '|': 'Barra vertical (|)'
+};
+
+/**
+ * Codificações de arquivo aceitas ("auto" usa UTF-8 quando o arquivo é
+ * UTF-8 válido e Latin-1, comum nos extratos dos bancos, quando não é)
+ */
+export const FILE_ENCODINGS = {
+  auto: 'Detectar',
+  'utf-8': 'UTF-8',
+  latin1: 'Latin-1 (ISO-8859-1)'
+};
+
+/**
+ * Tamanho máximo do nome de um perfil de importação
+ */
+export const MAX_PROFILE_NAME_LENGTH = 50;
+
+/**
+ * Padrões dos nomes de coluna de cada campo (sem acentos, minúsculos), na
+ * ordem em que são testados: "Data do lançamento" é data, não descrição
+ */
+const HEADER_PATTERNS = [
+  ['date', /\b(data|date|dt)\b/],
+  ['amount', /\b(valor|value|amount|quantia|montante)\b/],
+  ['type', /^(tipo|type|natureza|d\/c|c\/d)\b/],
+  ['category', /\bcateg/],
+  ['description', /\b(descricao|description|historico|memo|lancamento|estabelecimento|titulo|title|detalhes?)\b/]
+];
+
+const INCOME_TYPES = ['receita', 'entrada', 'credito', 'c', 'income', 'deposito'];
+const EXPENSE_TYPES = ['despesa', 'saida', 'debito', 'd', 'expense', 'pagamento'];
+
+/**
+ * ImportProfile Entity - Perfil de importação de CSV
+ *
+ * Guarda como ler o arquivo de um banco ou planilha: separador, codificação,
+ * se a primeira linha é cabeçalho, os formatos de data e de valor e qual
+ * coluna é cada campo da transação (colunas contadas a partir de 0). Sem
+ * coluna de tipo, o sinal do valor decide: os positivos são positiveType e
+ * os negativos, o tipo oposto.
+ */
+export class ImportProfile {
+  constructor({
+    id,
+    userId,
+    name,
+    delimiter,
+    encoding,
+    hasHeader,
+    dateFormat,
+    decimalSeparator,
+    positiveType,
+    columns,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.name = String(name || '').trim();
+    this.delimiter = delimiter || ';';
+    this.encoding = encoding || 'auto';
+    this.hasHeader = hasHeader !== undefined ? Boolean(hasHeader) : true;
+    this.dateFormat = dateFormat || 'dd/mm/yyyy';
+    this.decimalSeparator = decimalSeparator || ',';
+    this.positiveType = positiveType || 'income';
+    this.columns = {};
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+
+    Object.keys(IMPORT_FIELDS).forEach(field => {
+      const index = columns ? columns[field] : null;
+      this.columns[field] = index === undefined || index === null || index === '' ? null : Number(index);
+    });
+  }
+
+  /**
+   * Lê as linhas de um texto CSV (campos entre aspas podem ter o separador,
+   * quebras de linha e aspas duplicadas); linhas em branco são ignoradas
+   * @param {string} text
+   * @param {string} delimiter
+   * @returns {Array<{line: number, cells: string[]}>} line é a linha do arquivo (a partir de 1)
+   */
+  static parseCsv(text, delimiter) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const pushRow = () => {
+      cells.push(cell);
+
+      if (cells.some(value => value.trim() !== '')) {
+        rows.push({ line: rowLine, cells: cells.map(value => value.trim()) });
+      }
+
+      cells = [];
+      cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          cell += char;
+        }
+      } else if (char === '"' && cell.trim() === '') {
+        quoted = true;
+        cell = '';
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') {
+          i++;
+        }
+        pushRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || cells.length > 0) {
+      pushRow();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Separador de colunas mais provável: o que divide as primeiras linhas no
+   * maior número de colunas em todas elas
+   * @param {string} text
+   * @returns {string}
+   */
+  static detectDelimiter(text) {
+    const source = String(text || '');
+    const sample = source.length > 4000 ? source.slice(0, source.lastIndexOf('\n', 4000) + 1 || 4000) : source;
+    let best = Object.keys(CSV_DELIMITERS)[0];
+    let bestScore = 1;
+
+    Object.keys(CSV_DELIMITERS).forEach(delimiter => {
+      const rows = ImportProfile.parseCsv(sample, delimiter).slice(0, 5);
+      const score = rows.length > 0 ? Math.min(...rows.map(row => row.cells.length)) : 0;
+
+      if (score > bestScore) {
+        best = delimiter;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Perfil provável para as linhas lidas: cabeçalho, colunas (pelos nomes do
+   * cabeçalho ou pelos valores) e formatos de data e de valor
+   * @param {Array<{line: number, cells: string[]}>} rows
+   * @param {Object} settings - Demais dados do perfil (delimiter, encoding, ...)
+   * @returns {ImportProfile}
+   */
+  static guess(rows, settings = {}) {
+    const sample = rows.slice(0, 20).map(row => row.cells);
+    const first = sample[0] || [];
+    const hasHeader = first.length > 0 &&
+      !first.some(cell => ImportProfile.looksLikeDate(cell) || ImportProfile.looksLikeAmount(cell));
+    const data = sample.slice(hasHeader ? 1 : 0);
+    const indexes = [...Array(Math.max(0, ...sample.map(cells => cells.length))).keys()];
+    const values = index => data.map(cells => cells[index] || '').filter(value => value !== '');
+    const columns = {};
+    const isFree = index => !Object.values(columns).includes(index);
+
+    if (hasHeader) {
+      first.forEach((header, index) => {
+        const key = ImportProfile._normalize(header);
+        const match = HEADER_PATTERNS.find(([field, pattern]) => columns[field] === undefined && pattern.test(key));
+
+        if (match) {
+          columns[match[0]] = index;
+        }
+      });
+    }
+
+    const allMatch = (index, test) => values(index).length > 0 && values(index).every(test);
+
+    if (columns.date === undefined) {
+      columns.date = indexes.find(index => isFree(index) && allMatch(index, ImportProfile.looksLikeDate));
+    }
+
+    if (columns.amount === undefined) {
+      // A última coluna de números costuma ser o valor (antes vêm documento, agência...)
+      columns.amount = [...indexes].reverse()
+        .find(index => isFree(index) && allMatch(index, ImportProfile.looksLikeAmount));
+    }
+
+    if (columns.description === undefined) {
+      const averageLength = index => values(index).reduce((sum, value) => sum + value.length, 0) / (values(index).length || 1);
+
+      columns.description = indexes
+        .filter(index => isFree(index) && values(index).some(value =>
+          !ImportProfile.looksLikeDate(value) && !ImportProfile.looksLikeAmount(value)))
+        .sort((a, b) => averageLength(b) - averageLength(a))[0];
+    }
+
+    return new ImportProfile({
+      ...settings,
+      hasHeader,
+      columns,
+      dateFormat: ImportProfile._detectDateFormat(columns.date === undefined ? [] : values(columns.date)),
+      decimalSeparator: ImportProfile._detectDecimalSeparator(columns.amount === undefined ? [] : values(columns.amount))
+    });
+  }
+
+  /**
+   * Verifica se um texto parece uma data (ex: 05/01/2024, 2024-01-05)
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static looksLikeDate(text) {
+    return /^\d{1,4}[/.-]\d{1,2}[/.-]\d{2,4}\b/.test(String(text || '').trim());
+  }
+
+  /**
+   * Verifica se um texto parece um valor (ex: -1.234,56, R$ 10,00, 99.90 D)
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static looksLikeAmount(text) {
+    return /^\(?[-+]?\s*(R\$)?\s*[-+]?\d[\d.,]*\)?-?(\s*[DC])?$/i.test(String(text || '').trim());
+  }
+
+  /**
+   * Tipo da transação escrito numa coluna
+   * @param {string} text - Ex: "Receita", "Débito", "C", "D"
+   * @returns {string|null} 'income', 'expense' ou null se não reconhecido
+   */
+  static parseType(text) {
+    const key = ImportProfile._normalize(text);
+
+    if (INCOME_TYPES.includes(key)) {
+      return 'income';
+    }
+
+    return EXPENSE_TYPES.includes(key) ? 'expense' : null;
+  }
+
+  /**
+   * Texto sem acentos, minúsculo e sem espaços nas pontas
+   * @private
+   */
+  static _normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Formato de data provável para os valores de uma coluna
+   * @private
+   */
+  static _detectDateFormat(values) {
+    if (values.some(value => /^\d{4}[/.-]/.test(value))) {
+      return 'yyyy-mm-dd';
+    }
+
+    const parts = values
+      .map(value => /^(\d{1,2})[/.-](\d{1,2})[/.-]/.exec(value))
+      .filter(match => match);
+
+    return parts.some(match => Number(match[2]) > 12) ? 'mm/dd/yyyy' : 'dd/mm/yyyy';
+  }
+
+  /**
+   * Separador decimal provável para os valores de uma coluna: o que vem
+   * antes de 1 ou 2 dígitos no final
+   * @private
+   */
+  static _detectDecimalSeparator(values) {
+    const separators = values
+      .map(value => /([.,])\d{1,2}\)?-?(\s*[DC])?$/i.exec(value.trim()))
+      .filter(match => match)
+      .map(match => match[1]);
+
+    const dots = separators.filter(separator => separator === '.').length;
+
+    return dots > separators.length - dots ? '.' : ',';
+  }
+
+  /**
+   * Converte o texto de uma data no formato do perfil (a hora, se houver, é ignorada)
+   * @param {string} text
+   * @returns {Date|null} null se inválida (ex: 31/02/2024)
+   */
+  parseDate(text) {
+    const match = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})\b/.exec(String(text || '').trim());
+
+    if (!match) {
+      return null;
+    }
+
+    const [a, b, c] = match.slice(1).map(Number);
+    let [year, month, day] = this.dateFormat === 'yyyy-mm-dd'
+      ? [a, b, c]
+      : this.dateFormat === 'mm/dd/yyyy' ? [c, a, b] : [c, b, a];
+
+    if (year < 100) {
+      year += 2000;
+    }
+
+    const date = new Date(year, month - 1, day);
+
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+      ? date
+      : null;
+  }
+
+  /**
+   * Converte o texto de um valor com o separador decimal do perfil
+   * Aceita "R$", sinal antes ou depois, parênteses (negativo) e os sufixos
+   * "D" (débito, negativo) e "C" (crédito) dos extratos
+   * @param {string} text - Ex: "-1.234,56", "(10,00)", "99,90 D"
+   * @returns {number|null} Valor com sinal ou null se inválido
+   */
+  parseAmount(text) {
+    let value = String(text || '').trim();
+    let sign = 1;
+
+    const debitCredit = /\s*([DC])$/i.exec(value);
+
+    if (debitCredit) {
+      sign = debitCredit[1].toUpperCase() === 'D' ? -1 : 1;
+      value = value.slice(0, debitCredit.index);
+    }
+
+    if (/^\(.*\)$/.test(value)) {
+      sign = -sign;
+      value = value.slice(1, -1);
+    }
+
+    value = value.replace(/R\$|\s/g, '');
+
+    if (/^[-+]/.test(value)) {
+      sign = value[0] === '-' ? -sign : sign;
+      value = value.slice(1);
+    } else if (value.endsWith('-')) {
+      sign = -sign;
+      value = value.slice(0, -1);
+    }
+
+    value = this.decimalSeparator === ','
+      ? value.replace(/\./g, '').replace(',', '.')
+      : value.replace(/,/g, '');
+
+    return /^\d+(\.\d+)?$/.test(value) ? sign * Number(value) : null;
+  }
+
+  /**
+   * Converte as colunas de uma linha nos dados da transação
+   * @param {string[]} cells
+   * @returns {{transaction: {type: string|null, amount: number|null, date: Date|null,
+   *   description: string, categoryName: string|null}, errors: string[]}}
+   */
+  parseRow(cells) {
+    const errors = [];
+    const cell = field => (this.columns[field] === null ? '' : String(cells[this.columns[field]] || '').trim());
+
+    const dateText = cell('date');
+    const date = this.parseDate(dateText);
+
+    if (!dateText) {
+      errors.push('Data não informada');
+    } else if (!date) {
+      errors.push(`Data inválida: "${dateText}" (formato ${DATE_FORMATS[this.dateFormat]})`);
+    }
+
+    const amountText = cell('amount');
+    const amount = this.parseAmount(amountText);
+
+    if (!amountText) {
+      errors.push('Valor não informado');
+    } else if (amount === null) {
+      errors.push(`Valor inválido: "${amountText}"`);
+    }
+
+    const typeText = cell('type');
+    let type = typeText ? ImportProfile.parseType(typeText) : null;
+
+    if (typeText && !type) {
+      errors.push(`Tipo não reconhecido: "${typeText}" (use receita/despesa, crédito/débito ou C/D)`);
+    } else if (!type && amount !== null) {
+      const negativeType = this.positiveType === 'income' ? 'expense' : 'income';
+      type = amount < 0 ? negativeType : this.positiveType;
+    }
+
+    return {
+      transaction: {
+        type,
+        amount: amount === null ? null : Math.abs(amount),
+        date,
+        description: cell('description'),
+        categoryName: cell('category') || null
+      },
+      errors
+    };
+  }
+
+  /**
+   * Linhas de dados do arquivo (sem o cabeçalho)
+   * @param {Array<{line: number, cells: string[]}>} rows
+   * @returns {Array<{line: number, cells: string[]}>}
+   */
+  getDataRows(rows) {
+    return this.hasHeader ? rows.slice(1) : rows;
+  }
+
+  /**
+   * Verifica se o perfil pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Valida como ler o arquivo (separador, formatos e colunas)
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validateMapping() {
+    const errors = [];
+
+    if (!CSV_DELIMITERS[this.delimiter]) {
+      errors.push('Separador de colunas inválido');
+    }
+
+    if (!FILE_ENCODINGS[this.encoding]) {
+      errors.push('Codificação inválida');
+    }
+
+    if (!DATE_FORMATS[this.dateFormat]) {
+      errors.push('Formato de data inválido');
+    }
+
+    if (!['.', ','].includes(this.decimalSeparator)) {
+      errors.push('Separador decimal deve ser vírgula ou ponto');
+    }
+
+    if (!['income', 'expense'].includes(this.positiveType)) {
+      errors.push('Tipo dos valores positivos deve ser receita ou despesa');
+    }
+
+    if (this.columns.date === null || this.columns.amount === null) {
+      errors.push('Informe as colunas da data e do valor');
+    }
+
+    const mapped = Object.values(this.columns).filter(index => index !== null);
+
+    if (mapped.some(index => !Number.isInteger(index) || index < 0)) {
+      errors.push('Coluna inválida');
+    } else if (new Set(mapped).size !== mapped.length) {
+      errors.push('Cada coluna só pode ser usada para um campo');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Valida a entidade completa (para gravar o perfil)
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('UserId é obrigatório');
+    }
+
+    if (!this.name || this.name.length > MAX_PROFILE_NAME_LENGTH) {
+      errors.push(`Nome do perfil deve ter de 1 a ${MAX_PROFILE_NAME_LENGTH} caracteres`);
+    }
+
+    errors.push(...this.validateMapping().errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Configuração de leitura do arquivo (o que é gravado do perfil)
+   * @returns {Object}
+   */
+  getSettings() {
+    return {
+      delimiter: this.delimiter,
+      encoding: this.encoding,
+      hasHeader: this.hasHeader,
+      dateFormat: this.dateFormat,
+      decimalSeparator: this.decimalSeparator,
+      positiveType: this.positiveType,
+      columns: { ...this.columns }
+    };
+  }
+
+  /**
+   * Retorna resumo do perfil
+   * @returns {string} Ex: "📄 Nubank (; · DD/MM/AAAA · 1.234,56)"
+   */
+  getSummary() {
+    const delimiter = this.delimiter === '\t' ? 'tab' : this.delimiter;
+    const amount = this.decimalSeparator === ',' ? '1.234,56' : '1,234.56';
+
+    return `📄 ${this.name} (${delimiter} · ${DATE_FORMATS[this.dateFormat] || this.dateFormat} · ${amount})`;
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      name: this.name,
+      ...this.getSettings(),
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+}
@@ -0,0 +1,293 @@
+import { Transaction } from './Transaction.js';
+
+/**
+ * Quantidade mínima e máxima de parcelas
+ */
+export const MIN_INSTALLMENTS = 2;
+export const MAX_INSTALLMENTS = 72;
+
+/**
+ * InstallmentPlan Entity - Compra parcelada (ex: "10x sem juros")
+ *
+ * A compra é registrada uma vez e gera uma despesa por parcela, uma por mês
+ * a partir da data da compra. As parcelas ficam ligadas ao parcelamento e
+ * as futuras já são gravadas com a data em que vão cair (num cartão de
+ * crédito, cada uma entra na fatura do seu mês).
+ */
+export class InstallmentPlan {
+  constructor({
+    id,
+    userId,
+    categoryId,
+    accountId,
+    description,
+    totalAmount,
+    installmentCount,
+    date,
+    cancelledAt,
+    createdAt,
+    updatedAt,
+    // Dados da categoria e da conta (quando há JOIN)
+    categoryName,
+    categoryIcon,
+    accountName,
+    accountIcon,
+    // Parcelas gravadas (quando carregadas pelo repositório)
+    installments
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.categoryId = categoryId;
+    this.accountId = accountId;
+    this.description = description || '';
+    this.totalAmount = parseFloat(totalAmount);
+    this.installmentCount = parseInt(installmentCount);
+    this.date = date instanceof Date ? date : new Date(date);
+    this.cancelledAt = cancelledAt ? (cancelledAt instanceof Date ? cancelledAt : new Date(cancelledAt)) : null;
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+
+    // Dados da categoria e da conta (opcionais, vêm do JOIN)
+    this.categoryName = categoryName;
+    this.categoryIcon = categoryIcon;
+    this.accountName = accountName;
+    this.accountIcon = accountIcon;
+
+    this.installments = installments || [];
+  }
+
+  /**
+   * Valida userId, categoryId e accountId (obrigatórios)
+   * @returns {boolean}
+   */
+  hasRequiredIds() {
+    return Boolean(this.userId && this.categoryId && this.accountId);
+  }
+
+  /**
+   * Valida o valor total (deve ser maior que 0 e cobrir 1 centavo por parcela)
+   * @returns {boolean}
+   */
+  isValidAmount() {
+    return this.totalAmount > 0 &&
+           !isNaN(this.totalAmount) &&
+           Math.round(this.totalAmount * 100) >= this.installmentCount;
+  }
+
+  /**
+   * Valida a quantidade de parcelas
+   * @returns {boolean}
+   */
+  isValidInstallmentCount() {
+    return Number.isInteger(this.installmentCount) &&
+           this.installmentCount >= MIN_INSTALLMENTS &&
+           this.installmentCount <= MAX_INSTALLMENTS;
+  }
+
+  /**
+   * Valida a data da compra (não pode ser no futuro; as parcelas seguintes podem)
+   * @returns {boolean}
+   */
+  isValidDate() {
+    if (!(this.date instanceof Date) || isNaN(this.date.getTime())) {
+      return false;
+    }
+
+    // Mesma margem de 1 dia usada nas transações (timezone)
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(23, 59, 59, 999);
+
+    return this.date <= tomorrow;
+  }
+
+  /**
+   * Valida a descrição (máximo 200 caracteres)
+   * @returns {boolean}
+   */
+  isValidDescription() {
+    return this.description.length <= 200;
+  }
+
+  /**
+   * Verifica se as parcelas restantes foram canceladas
+   * @returns {boolean}
+   */
+  isCancelled() {
+    return this.cancelledAt !== null;
+  }
+
+  /**
+   * Verifica se o parcelamento pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Valor de cada parcela
+   * Os centavos que sobram da divisão ficam na primeira parcela
+   * (ex: R$ 100,00 em 3x = R$ 33,34 + R$ 33,33 + R$ 33,33)
+   * @returns {number[]}
+   */
+  getInstallmentAmounts() {
+    const totalCents = Math.round(this.totalAmount * 100);
+    const baseCents = Math.floor(totalCents / this.installmentCount);
+    const remainder = totalCents - baseCents * this.installmentCount;
+
+    return Array.from({ length: this.installmentCount }, (_, index) =>
+      (index === 0 ? baseCents + remainder : baseCents) / 100
+    );
+  }
+
+  /**
+   * Data de cada parcela: uma por mês no mesmo dia da compra
+   * Dias inexistentes no mês (ex: 31 em fevereiro) viram o último dia do mês
+   * @returns {Date[]}
+   */
+  getInstallmentDates() {
+    const year = this.date.getFullYear();
+    const month = this.date.getMonth();
+    const day = this.date.getDate();
+
+    return Array.from({ length: this.installmentCount }, (_, index) => {
+      const daysInMonth = new Date(year, month + index + 1, 0).getDate();
+      return new Date(year, month + index, Math.min(day, daysInMonth));
+    });
+  }
+
+  /**
+   * Monta as despesas das parcelas (ainda não gravadas)
+   * @returns {Transaction[]} Da primeira para a última parcela
+   */
+  buildInstallments() {
+    const amounts = this.getInstallmentAmounts();
+
+    return this.getInstallmentDates().map((date, index) => new Transaction({
+      userId: this.userId,
+      type: 'expense',
+      categoryId: this.categoryId,
+      accountId: this.accountId,
+      installmentPlanId: this.id,
+      installmentNumber: index + 1,
+      installmentCount: this.installmentCount,
+      amount: amounts[index],
+      description: this.description,
+      date
+    }));
+  }
+
+  /**
+   * Parcelas que ainda não venceram (data posterior à data de referência)
+   * @param {Date} today - Data de referência
+   * @returns {Transaction[]}
+   */
+  getRemainingInstallments(today = new Date()) {
+    const endOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59, 999);
+    return this.installments.filter(installment => installment.date > endOfToday);
+  }
+
+  /**
+   * Soma das parcelas que ainda não venceram
+   * @param {Date} today - Data de referência
+   * @returns {number}
+   */
+  getRemainingAmount(today = new Date()) {
+    const total = this.getRemainingInstallments(today).reduce((sum, installment) => sum + installment.amount, 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Retorna um valor formatado em Reais
+   * @param {number} value
+   * @returns {string} Ex: "R$ 1.234,56"
+   */
+  static formatAmount(value) {
+    const formatted = value.toFixed(2).replace('.', ',');
+    const parts = formatted.split(',');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `R$ ${parts.join(',')}`;
+  }
+
+  /**
+   * Descrição das parcelas
+   * @returns {string} Ex: "10x de R$ 300,00"
+   */
+  getInstallmentsLabel() {
+    const amounts = this.getInstallmentAmounts();
+    return `${this.installmentCount}x de ${InstallmentPlan.formatAmount(amounts[amounts.length - 1])}`;
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.hasRequiredIds()) {
+      errors.push('UserId, CategoryId e AccountId são obrigatórios');
+    }
+
+    if (!this.isValidInstallmentCount()) {
+      errors.push(`Número de parcelas deve estar entre ${MIN_INSTALLMENTS} e ${MAX_INSTALLMENTS}`);
+    } else if (!this.isValidAmount()) {
+      errors.push('Valor deve ser maior que zero e de pelo menos 1 centavo por parcela');
+    }
+
+    if (!this.isValidDate()) {
+      errors.push('Data da compra inválida ou no futuro');
+    }
+
+    if (!this.isValidDescription()) {
+      errors.push('Descrição deve ter no máximo 200 caracteres');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      categoryId: this.categoryId,
+      accountId: this.accountId,
+      description: this.description,
+      totalAmount: this.totalAmount,
+      installmentCount: this.installmentCount,
+      date: this.date.toISOString(),
+      cancelledAt: this.cancelledAt ? this.cancelledAt.toISOString() : null,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+      category: this.categoryName ? {
+        name: this.categoryName,
+        icon: this.categoryIcon
+      } : undefined,
+      account: this.accountName ? {
+        name: this.accountName,
+        icon: this.accountIcon
+      } : undefined,
+      installments: this.installments.map(installment => installment.toJSON())
+    };
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string}
+   */
+  getSummary() {
+    const desc = this.description ? `${this.description} | ` : '';
+    const cancelled = this.isCancelled() ? ' (cancelado)' : '';
+
+    return `🧾 ${desc}${InstallmentPlan.formatAmount(this.totalAmount)} em ${this.getInstallmentsLabel()}${cancelled}`;
+  }
+}
@@ -0,0 +1,94 @@
+import { UNCATEGORIZED_NAME } from './Category.js';
+
+/**
+ * Verificações de integridade dos dados
+ * - label: o que foi encontrado
+ * - repairLabel: o que o reparo faz (null quando não há reparo automático)
+ * - hint: como resolver à mão (opcional)
+ */
+export const INTEGRITY_CHECKS = {
+  transaction_missing_category: {
+    label: 'Transações apontando para uma categoria que não existe mais',
+    repairLabel: `Passar as transações para "${UNCATEGORIZED_NAME}"`
+  },
+  split_missing_category: {
+    label: 'Divisões apontando para uma categoria que não existe mais',
+    repairLabel: `Passar as divisões para "${UNCATEGORIZED_NAME}"`
+  },
+  uncategorized_transaction: {
+    label: `Transações em "${UNCATEGORIZED_NAME}"`,
+    repairLabel: null,
+    hint: 'Filtre por "Sem Categoria" na lista de transações e recategorize pelas Ações em Lote'
+  },
+  transaction_missing_account: {
+    label: 'Transações apontando para uma conta que não existe mais',
+    repairLabel: 'Passar as transações para a primeira conta do usuário'
+  },
+  orphan_split: {
+    label: 'Divisões de transações que não existem mais',
+    repairLabel: 'Deletar as divisões'
+  },
+  orphan_transaction_tag: {
+    label: 'Tags ligadas a transações ou tags que não existem mais',
+    repairLabel: 'Deletar as ligações'
+  },
+  orphan_attachment: {
+    label: 'Anexos de transações que não existem mais',
+    repairLabel: 'Deletar os registros dos anexos'
+  },
+  orphan_goal_contribution: {
+    label: 'Contribuições de metas que não existem mais',
+    repairLabel: 'Deletar as contribuições'
+  },
+  budget_missing_category: {
+    label: 'Orçamentos de categorias que não existem mais',
+    repairLabel: 'Deletar os orçamentos'
+  },
+  goal_amount_mismatch: {
+    label: 'Metas com valor guardado diferente da soma das contribuições',
+    repairLabel: 'Recalcular o valor guardado (e a situação) a partir das contribuições'
+  }
+};
+
+/**
+ * IntegrityIssue Entity - Um tipo de problema encontrado na verificação de
+ * integridade, com a quantidade de registros afetados
+ */
+export class IntegrityIssue {
+  constructor({ code, count }) {
+    this.code = code;
+    this.count = Number(count) || 0;
+  }
+
+  /**
+   * Descrição do problema
+   * @returns {string}
+   */
+  getLabel() {
+    return INTEGRITY_CHECKS[this.code] ? INTEGRITY_CHECKS[this.code].label : this.code;
+  }
+
+  /**
+   * O que o reparo automático faz (null se não há)
+   * @returns {string|null}
+   */
+  getRepairLabel() {
+    return INTEGRITY_CHECKS[this.code] ? INTEGRITY_CHECKS[this.code].repairLabel : null;
+  }
+
+  /**
+   * Verifica se o problema tem reparo automático
+   * @returns {boolean}
+   */
+  isRepairable() {
+    return Boolean(this.getRepairLabel());
+  }
+
+  /**
+   * Como resolver à mão (null se não há dica)
+   * @returns {string|null}
+   */
+  getHint() {
+    return (INTEGRITY_CHECKS[this.code] && INTEGRITY_CHECKS[this.code].hint) || null;
+  }
+}
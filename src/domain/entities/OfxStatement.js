@@ -0,0 +1,278 @@
+/**
+ * Tamanho máximo da descrição de uma transação (o MEMO do OFX pode ter até 255)
+ */
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': '\'',
+  '&nbsp;': ' '
+};
+
+/**
+ * OfxStatement Entity - Extrato bancário lido de um arquivo OFX
+ *
+ * Lê tanto o OFX 1.x (SGML, em que os campos não têm tag de fechamento)
+ * quanto o 2.x (XML). Cada STMTTRN vira uma entrada com o FITID, o
+ * identificador que o banco repete quando o mesmo período é exportado de
+ * novo. O sinal do valor decide o tipo: negativos são despesas.
+ */
+export class OfxStatement {
+  constructor({ bankId, accountNumber, isCreditCard, currency, startDate, endDate, balance, entries }) {
+    this.bankId = bankId || null;
+    this.accountNumber = accountNumber || null;
+    this.isCreditCard = Boolean(isCreditCard);
+    this.currency = currency || 'BRL';
+    this.startDate = startDate || null;
+    this.endDate = endDate || null;
+    this.balance = balance === undefined ? null : balance;
+    this.entries = entries || [];
+  }
+
+  /**
+   * Lê o extrato de um texto OFX
+   * @param {string} text
+   * @returns {OfxStatement}
+   * @throws {Error} Arquivo que não é OFX ou com extratos de mais de uma conta
+   */
+  static parse(text) {
+    const root = OfxStatement._parseTree(String(text || ''));
+    const statements = OfxStatement._findAll(root, ['STMTRS', 'CCSTMTRS']);
+
+    if (statements.length === 0) {
+      throw new Error('Nenhum extrato encontrado no arquivo OFX');
+    }
+
+    if (statements.length > 1) {
+      throw new Error(`O arquivo tem extratos de ${statements.length} contas; exporte uma conta por arquivo`);
+    }
+
+    const [statement] = statements;
+    const account = OfxStatement._find(statement, ['BANKACCTFROM', 'CCACCTFROM']);
+    const list = OfxStatement._find(statement, ['BANKTRANLIST']);
+    const ledger = OfxStatement._find(statement, ['LEDGERBAL']);
+    const value = (node, name) => (node ? OfxStatement._value(node, name) : null);
+
+    return new OfxStatement({
+      bankId: value(account, 'BANKID'),
+      accountNumber: value(account, 'ACCTID'),
+      isCreditCard: statement.name === 'CCSTMTRS',
+      currency: value(statement, 'CURDEF'),
+      startDate: OfxStatement.parseDate(value(list, 'DTSTART')),
+      endDate: OfxStatement.parseDate(value(list, 'DTEND')),
+      balance: ledger ? OfxStatement.parseAmount(value(ledger, 'BALAMT')) : null,
+      entries: OfxStatement._findAll(statement, ['STMTTRN']).map((node, index) => OfxStatement._toEntry(node, index + 1))
+    });
+  }
+
+  /**
+   * Data do OFX (AAAAMMDD, com ou sem hora e fuso: 20240105120000[-3:BRT])
+   * O dia é o do extrato; a hora e o fuso são ignorados
+   * @param {string} text
+   * @returns {Date|null}
+   */
+  static parseDate(text) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(text || '').trim());
+
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Valor do OFX (ponto ou vírgula decimal; alguns bancos mandam 1.234,56)
+   * @param {string} text
+   * @returns {number|null}
+   */
+  static parseAmount(text) {
+    let normalized = String(text || '').replace(/\s/g, '');
+    const lastComma = normalized.lastIndexOf(',');
+    const lastDot = normalized.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+      normalized = normalized.replace(/\./g, '').replace(',', '.');
+    } else {
+      normalized = normalized.replace(/,/g, '');
+    }
+
+    return /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(normalized) ? parseFloat(normalized) : null;
+  }
+
+  /**
+   * Converte um STMTTRN na entrada do extrato
+   * @private
+   * @returns {{index: number, fitId: string|null, trnType: string|null, type: string|null,
+   *   amount: number|null, date: Date|null, description: string, errors: string[]}}
+   */
+  static _toEntry(node, index) {
+    const errors = [];
+    const trnType = (OfxStatement._value(node, 'TRNTYPE') || '').toUpperCase() || null;
+    const dateText = OfxStatement._value(node, 'DTPOSTED');
+    const amountText = OfxStatement._value(node, 'TRNAMT');
+    const date = OfxStatement.parseDate(dateText);
+    const amount = OfxStatement.parseAmount(amountText);
+
+    if (!date) {
+      errors.push(dateText ? `Data inválida: "${dateText}"` : 'Data não informada');
+    }
+
+    if (amount === null) {
+      errors.push(amountText ? `Valor inválido: "${amountText}"` : 'Valor não informado');
+    } else if (amount === 0) {
+      errors.push('Valor zerado');
+    }
+
+    // Alguns bancos mandam débitos com valor positivo e TRNTYPE DEBIT
+    const isExpense = amount !== null && (amount < 0 || trnType === 'DEBIT');
+
+    return {
+      index,
+      fitId: OfxStatement._value(node, 'FITID'),
+      trnType,
+      type: amount === null ? null : (isExpense ? 'expense' : 'income'),
+      amount: amount === null ? null : Math.abs(amount),
+      date,
+      description: OfxStatement._describe(OfxStatement._value(node, 'NAME'), OfxStatement._value(node, 'MEMO')),
+      errors
+    };
+  }
+
+  /**
+   * Descrição a partir do NAME e do MEMO (juntos quando um não contém o outro)
+   * @private
+   */
+  static _describe(name, memo) {
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+    const [first, second] = [clean(name), clean(memo)];
+    let description = first || second;
+
+    if (first && second && !second.toLowerCase().includes(first.toLowerCase()) &&
+        !first.toLowerCase().includes(second.toLowerCase())) {
+      description = `${first} - ${second}`;
+    } else if (second.length > first.length) {
+      description = second;
+    }
+
+    return description.slice(0, MAX_DESCRIPTION_LENGTH).trim();
+  }
+
+  /**
+   * Árvore das tags a partir de <OFX> (o cabeçalho do 1.x e o <?xml?> do 2.x
+   * ficam de fora). Uma tag seguida de texto é um campo; sem texto, abre um
+   * grupo que termina na tag de fechamento correspondente — assim o SGML,
+   * em que os campos não fecham, e o XML são lidos do mesmo jeito
+   * @private
+   */
+  static _parseTree(text) {
+    const start = text.search(/<OFX>/i);
+
+    if (start < 0) {
+      throw new Error('Arquivo OFX inválido: a tag <OFX> não foi encontrada');
+    }
+
+    const body = text.slice(start);
+    const root = { name: 'ROOT', value: null, children: [] };
+    const stack = [root];
+    const pattern = /<(\/?)([A-Za-z0-9._]+)[^>]*>([^<]*)/g;
+    let match;
+
+    while ((match = pattern.exec(body)) !== null) {
+      const [, closing, rawName, rawValue] = match;
+      const name = rawName.toUpperCase();
+
+      if (closing) {
+        // Fechamento de um campo (XML) não está na pilha e é ignorado
+        const index = stack.map(node => node.name).lastIndexOf(name);
+
+        if (index > 0) {
+          stack.length = index;
+        }
+        continue;
+      }
+
+      const value = rawValue.trim();
+      const node = { name, value: value ? OfxStatement._decode(value) : null, children: [] };
+
+      stack[stack.length - 1].children.push(node);
+
+      if (!value) {
+        stack.push(node);
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Troca as entidades do SGML/XML pelos caracteres
+   * @private
+   */
+  static _decode(value) {
+    return value
+      .replace(/&(amp|lt|gt|quot|apos|nbsp);/gi, entity => ENTITIES[entity.toLowerCase()])
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+  }
+
+  /**
+   * Primeiro nó com um dos nomes dentro do nó (busca em profundidade; um
+   * campo vazio do SGML vira grupo e "engole" os campos seguintes)
+   * @private
+   */
+  static _find(node, names) {
+    for (const child of node.children) {
+      if (names.includes(child.name)) {
+        return child;
+      }
+
+      const found = OfxStatement._find(child, names);
+
+      if (found) {
+        return found;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Todos os nós com um dos nomes dentro do nó (sem procurar dentro deles)
+   * @private
+   */
+  static _findAll(node, names) {
+    return node.children.flatMap(child => (names.includes(child.name) ? [child] : OfxStatement._findAll(child, names)));
+  }
+
+  /**
+   * Texto do primeiro campo com o nome dentro do nó
+   * @private
+   */
+  static _value(node, name) {
+    const found = OfxStatement._find(node, [name]);
+
+    return found && found.value !== null ? found.value : null;
+  }
+
+  /**
+   * Retorna resumo do extrato
+   * @returns {string} Ex: "🏦 Banco 341 · conta 12345-6 · 01/01/2024 a 31/01/2024 · 42 lançamento(s)"
+   */
+  getSummary() {
+    const format = date => date.toLocaleDateString('pt-BR');
+    const parts = [
+      this.bankId ? `Banco ${this.bankId}` : null,
+      this.accountNumber ? `${this.isCreditCard ? 'cartão' : 'conta'} ${this.accountNumber}` : null,
+      this.startDate && this.endDate ? `${format(this.startDate)} a ${format(this.endDate)}` : null,
+      `${this.entries.length} lançamento(s)`
+    ].filter(part => part);
+
+    return `${this.isCreditCard ? '💳' : '🏦'} ${parts.join(' · ')}`;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Limites dos favorecidos
+ */
+export const MAX_PAYEE_NAME_LENGTH = 60;
+export const MAX_ALIASES_PER_PAYEE = 20;
+
+/**
+ * Payee Entity - Favorecido (loja, empresa ou pessoa) das transações
+ *
+ * A descrição das transações é texto livre, então "iFood", "IFOOD *REST" e
+ * "ifood" seriam três estabelecimentos diferentes. O favorecido reúne essas
+ * variações: o nome e os apelidos são comparados com a descrição sem
+ * maiúsculas, acentos e pontuação, palavra por palavra.
+ */
+export class Payee {
+  constructor({
+    id,
+    userId,
+    name,
+    aliases,
+    defaultCategoryId,
+    createdAt,
+    // Dados da categoria padrão (quando há JOIN)
+    defaultCategoryName,
+    defaultCategoryIcon,
+    // Quantidade de transações do favorecido (quando há agregação)
+    transactionCount
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.name = String(name || '').trim();
+    this.aliases = Payee.parseAliases(aliases || [], this.name);
+    this.defaultCategoryId = defaultCategoryId || null;
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+
+    // Dados da categoria padrão (opcionais, vêm do JOIN)
+    this.defaultCategoryName = defaultCategoryName;
+    this.defaultCategoryIcon = defaultCategoryIcon;
+
+    this.transactionCount = transactionCount !== undefined ? parseInt(transactionCount) : 0;
+  }
+
+  /**
+   * Chave de comparação de um texto: minúsculas, sem acentos e com a
+   * pontuação trocada por espaço
+   * @param {string} text
+   * @returns {string} Ex: "IFOOD *REST" -> "ifood rest"
+   */
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Converte uma lista digitada em apelidos sem repetição (nem repetindo o nome)
+   * @param {string|string[]} input - Ex: "IFOOD *REST, ifood.com"
+   * @param {string} name - Nome do favorecido
+   * @returns {string[]}
+   */
+  static parseAliases(input, name = '') {
+    const aliases = Array.isArray(input) ? input : String(input || '').split(',');
+    const keys = new Set([Payee.normalize(name)]);
+
+    return aliases
+      .map(alias => String(alias || '').trim())
+      .filter(alias => {
+        const key = Payee.normalize(alias);
+
+        if (!key || keys.has(key)) {
+          return false;
+        }
+
+        keys.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Favorecido que corresponde a uma descrição; entre vários, o de nome ou
+   * apelido mais longo (o mais específico)
+   * @param {Payee[]} payees
+   * @param {string} description
+   * @returns {Payee|null}
+   */
+  static findMatch(payees, description) {
+    let best = null;
+    let bestLength = 0;
+
+    payees.forEach(payee => {
+      const length = payee.getMatchLength(description);
+
+      if (length > bestLength) {
+        best = payee;
+        bestLength = length;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Chaves de comparação do nome e dos apelidos
+   * @returns {string[]}
+   */
+  getKeys() {
+    return [this.name, ...this.aliases].map(text => Payee.normalize(text)).filter(key => key.length > 0);
+  }
+
+  /**
+   * Tamanho da maior chave do favorecido contida na descrição (palavras inteiras)
+   * @param {string} description
+   * @returns {number} 0 se a descrição não corresponde ao favorecido
+   */
+  getMatchLength(description) {
+    const text = ` ${Payee.normalize(description)} `;
+
+    return this.getKeys()
+      .filter(key => text.includes(` ${key} `))
+      .reduce((longest, key) => Math.max(longest, key.length), 0);
+  }
+
+  /**
+   * Verifica se a descrição corresponde ao favorecido
+   * @param {string} description
+   * @returns {boolean}
+   */
+  matches(description) {
+    return this.getMatchLength(description) > 0;
+  }
+
+  /**
+   * Verifica se o nome ou algum apelido contém o texto digitado (vazio = todos)
+   * @param {string} term
+   * @returns {boolean}
+   */
+  matchesSearch(term) {
+    const key = Payee.normalize(term);
+    return !key || this.getKeys().some(payeeKey => payeeKey.includes(key));
+  }
+
+  /**
+   * Verifica se o favorecido pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('UserId é obrigatório');
+    }
+
+    if (!Payee.normalize(this.name) || this.name.length > MAX_PAYEE_NAME_LENGTH) {
+      errors.push(`Nome do favorecido deve ter de 1 a ${MAX_PAYEE_NAME_LENGTH} caracteres`);
+    }
+
+    if (this.aliases.length > MAX_ALIASES_PER_PAYEE) {
+      errors.push(`Use no máximo ${MAX_ALIASES_PER_PAYEE} apelidos`);
+    }
+
+    if (this.aliases.some(alias => alias.length > MAX_PAYEE_NAME_LENGTH)) {
+      errors.push(`Cada apelido deve ter no máximo ${MAX_PAYEE_NAME_LENGTH} caracteres`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Apelidos para exibição
+   * @returns {string} Ex: "IFOOD *REST, ifood.com"
+   */
+  getAliasesLabel() {
+    return this.aliases.join(', ');
+  }
+
+  /**
+   * Retorna resumo do favorecido
+   * @returns {string} Ex: "🏪 iFood (12 transações)"
+   */
+  getSummary() {
+    const count = this.transactionCount === 1 ? '1 transação' : `${this.transactionCount} transações`;
+    return `🏪 ${this.name} (${count})`;
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      name: this.name,
+      aliases: this.aliases,
+      defaultCategoryId: this.defaultCategoryId,
+      defaultCategoryName: this.defaultCategoryName,
+      transactionCount: this.transactionCount,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
@@ -0,0 +1,394 @@
+import { OfxStatement } from './OfxStatement.js';
+
+/**
+ * Formatos de data aceitos no QIF (o arquivo não diz qual usa: os programas
+ * em português gravam dia/mês e o Quicken em inglês, mês/dia)
+ */
+export const QIF_DATE_FORMATS = {
+  'dd/mm/yyyy': 'DD/MM/AAAA',
+  'mm/dd/yyyy': 'MM/DD/AAAA'
+};
+
+/**
+ * Seções de transações que são importadas (as de investimentos, não)
+ */
+const TRANSACTION_SECTIONS = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Tipo da seção do QIF para cada tipo de conta
+ */
+const SECTION_BY_ACCOUNT_TYPE = {
+  credit_card: 'CCard',
+  cash: 'Cash',
+  meal_voucher: 'Cash'
+};
+
+/**
+ * Tamanho máximo da descrição de uma transação
+ */
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * QifFile Entity - Arquivo QIF (Quicken Interchange Format)
+ *
+ * Formato de troca dos programas de finanças de desktop (Quicken, MS Money,
+ * GnuCash e outros). Cada registro é uma sequência de linhas cujo primeiro
+ * caractere é o campo (D data, T valor, P favorecido, M memo, L categoria,
+ * S/$ divisão), terminada por "^". A categoria usa "Pai:Filho" e uma conta
+ * entre colchetes ("[Poupança]") indica uma transferência.
+ */
+export class QifFile {
+  constructor({ dateFormat, entries, investmentCount }) {
+    this.dateFormat = dateFormat || 'dd/mm/yyyy';
+    this.entries = entries || [];
+    // Registros das contas de investimento (!Type:Invst), que não são importados
+    this.investmentCount = investmentCount || 0;
+  }
+
+  /**
+   * Lê as transações de um texto QIF
+   * @param {string} text
+   * @param {string} dateFormat - 'auto' (detecta pelas datas) ou uma chave de QIF_DATE_FORMATS
+   * @returns {QifFile}
+   * @throws {Error} Arquivo que não é QIF
+   */
+  static parse(text, dateFormat = 'auto') {
+    const lines = String(text || '').split(/\r?\n/);
+
+    if (!lines.some(line => /^!Type:/i.test(line.trim()))) {
+      throw new Error('Arquivo QIF inválido: o cabeçalho !Type não foi encontrado');
+    }
+
+    const records = QifFile._readRecords(lines);
+    const transactions = records.filter(record => TRANSACTION_SECTIONS.includes(record.section));
+    const format = dateFormat === 'auto'
+      ? QifFile.detectDateFormat(transactions.map(record => QifFile._field(record, 'D')))
+      : dateFormat;
+
+    return new QifFile({
+      dateFormat: format,
+      entries: transactions.map((record, index) => QifFile._toEntry(record, index + 1, format)),
+      investmentCount: records.filter(record => record.section === 'invst').length
+    });
+  }
+
+  /**
+   * Detecta o formato das datas: uma data com o primeiro número acima de 12
+   * decide por dia/mês, com o segundo acima de 12, por mês/dia. Sem data que
+   * decida, o ano com apóstrofo (1/5'24, do Quicken) indica mês/dia
+   * @param {string[]} values - Campos D do arquivo
+   * @returns {string} Chave de QIF_DATE_FORMATS
+   */
+  static detectDateFormat(values) {
+    const parts = values
+      .map(value => QifFile._splitDate(value))
+      .filter(date => date && !date.isoOrder);
+
+    if (parts.some(date => date.first > 12)) {
+      return 'dd/mm/yyyy';
+    }
+
+    if (parts.some(date => date.second > 12)) {
+      return 'mm/dd/yyyy';
+    }
+
+    return values.some(value => String(value || '').includes('\'')) ? 'mm/dd/yyyy' : 'dd/mm/yyyy';
+  }
+
+  /**
+   * Data do QIF no formato informado (aceita ano com 2 ou 4 dígitos,
+   * apóstrofo antes do ano e AAAA-MM-DD)
+   * @param {string} text
+   * @param {string} dateFormat - Chave de QIF_DATE_FORMATS
+   * @returns {Date|null}
+   */
+  static parseDate(text, dateFormat) {
+    const parts = QifFile._splitDate(text);
+
+    if (!parts) {
+      return null;
+    }
+
+    const { first, second, year, isoOrder } = parts;
+    const [day, month] = isoOrder || dateFormat === 'dd/mm/yyyy' ? [first, second] : [second, first];
+    const date = new Date(year, month - 1, day);
+
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Gera o texto QIF das contas e transações
+   * @param {Array<{name: string, accountType: string, transactions: Array<{date: Date, amount: number,
+   *   payee?: string, memo?: string, category?: string, status?: string,
+   *   splits?: Array<{category: string, amount: number, memo?: string}>}>}>} accounts
+   *   amount é negativo nas saídas; category é "Pai:Filho" ou "[Conta]";
+   *   status: 'reconciled', 'cleared' ou outro (não compensada)
+   * @param {string} dateFormat - Chave de QIF_DATE_FORMATS
+   * @returns {string}
+   */
+  static serialize(accounts, dateFormat = 'dd/mm/yyyy') {
+    const lines = [];
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+    const money = amount => amount.toFixed(2);
+    const formatDate = date => {
+      const day = String(date.getDate()).padStart(2, '0');
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+
+      return dateFormat === 'mm/dd/yyyy'
+        ? `${month}/${day}/${date.getFullYear()}`
+        : `${day}/${month}/${date.getFullYear()}`;
+    };
+
+    for (const account of accounts) {
+      const section = SECTION_BY_ACCOUNT_TYPE[account.accountType] || 'Bank';
+
+      lines.push('!Account', `N${clean(account.name)}`, `T${section}`, '^', `!Type:${section}`);
+
+      for (const transaction of account.transactions) {
+        lines.push(`D${formatDate(transaction.date)}`, `T${money(transaction.amount)}`);
+
+        if (transaction.status === 'reconciled' || transaction.status === 'cleared') {
+          lines.push(`C${transaction.status === 'reconciled' ? 'X' : '*'}`);
+        }
+
+        if (clean(transaction.payee)) {
+          lines.push(`P${clean(transaction.payee)}`);
+        }
+
+        if (clean(transaction.memo)) {
+          lines.push(`M${clean(transaction.memo)}`);
+        }
+
+        if (clean(transaction.category)) {
+          lines.push(`L${clean(transaction.category)}`);
+        }
+
+        (transaction.splits || []).forEach(split => {
+          lines.push(`S${clean(split.category)}`);
+
+          if (clean(split.memo)) {
+            lines.push(`E${clean(split.memo)}`);
+          }
+
+          lines.push(`$${money(split.amount)}`);
+        });
+
+        lines.push('^');
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Agrupa as linhas em registros, com a seção (!Type) e a conta (!Account)
+   * em que aparecem
+   * @private
+   */
+  static _readRecords(lines) {
+    const records = [];
+    let section = null;
+    let accountName = null;
+    let fields = [];
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        continue;
+      }
+
+      if (line.startsWith('!')) {
+        const header = line.toLowerCase();
+
+        if (header === '!account') {
+          section = 'account';
+        } else if (header.startsWith('!type:')) {
+          section = header.slice('!type:'.length).trim();
+        }
+        // !Option e !Clear (AutoSwitch) não mudam a seção
+        continue;
+      }
+
+      if (line.startsWith('^')) {
+        if (section === 'account') {
+          const name = fields.find(field => field.code === 'N');
+          accountName = name ? name.value : accountName;
+        } else if (fields.length > 0 && section) {
+          records.push({ section, accountName, fields });
+        }
+
+        fields = [];
+        continue;
+      }
+
+      fields.push({ code: line[0].toUpperCase(), value: line.slice(1).trim() });
+    }
+
+    if (fields.length > 0 && section && section !== 'account') {
+      // Último registro sem o "^" final
+      records.push({ section, accountName, fields });
+    }
+
+    return records;
+  }
+
+  /**
+   * Converte um registro na entrada do arquivo
+   * @private
+   * @returns {{index: number, accountName: string|null, type: string|null, amount: number|null,
+   *   date: Date|null, description: string, category: {path: string[]|null, transferAccount: string|null},
+   *   cleared: boolean|null, splits: Array<{category: Object, amount: number|null, memo: string}>,
+   *   errors: string[]}}
+   */
+  static _toEntry(record, index, dateFormat) {
+    const errors = [];
+    const dateText = QifFile._field(record, 'D');
+    const amountText = QifFile._field(record, 'T') || QifFile._field(record, 'U');
+    const date = QifFile.parseDate(dateText, dateFormat);
+    const amount = amountText ? OfxStatement.parseAmount(amountText) : null;
+
+    if (!date) {
+      errors.push(dateText ? `Data inválida: "${dateText}"` : 'Data não informada');
+    }
+
+    if (amount === null) {
+      errors.push(amountText ? `Valor inválido: "${amountText}"` : 'Valor não informado');
+    } else if (amount === 0) {
+      errors.push('Valor zerado');
+    }
+
+    const cleared = QifFile._field(record, 'C');
+
+    return {
+      index,
+      accountName: record.accountName,
+      type: amount === null ? null : (amount < 0 ? 'expense' : 'income'),
+      amount: amount === null ? null : Math.abs(amount),
+      date,
+      description: QifFile._describe(QifFile._field(record, 'P'), QifFile._field(record, 'M')),
+      category: QifFile._parseCategory(QifFile._field(record, 'L')),
+      // null quando o registro não tem o campo C
+      cleared: cleared === null ? null : cleared !== '',
+      splits: QifFile._readSplits(record.fields),
+      errors
+    };
+  }
+
+  /**
+   * Linhas da divisão (S categoria, E memo e $ valor, nesta ordem)
+   * @private
+   */
+  static _readSplits(fields) {
+    const splits = [];
+
+    for (const field of fields) {
+      if (field.code === 'S') {
+        splits.push({ category: QifFile._parseCategory(field.value), amount: null, memo: '' });
+      } else if (field.code === 'E' && splits.length > 0) {
+        splits[splits.length - 1].memo = field.value;
+      } else if (field.code === '$' && splits.length > 0) {
+        splits[splits.length - 1].amount = OfxStatement.parseAmount(field.value);
+      }
+    }
+
+    return splits;
+  }
+
+  /**
+   * Categoria do campo L ou S: "Pai:Filho/Classe" ou "[Conta]" (transferência)
+   * A classe, depois da barra, é descartada
+   * @private
+   * @returns {{path: string[]|null, transferAccount: string|null}}
+   */
+  static _parseCategory(value) {
+    const [text] = String(value || '').split('/');
+    const transfer = /^\[(.+)\]$/.exec(text.trim());
+
+    if (transfer) {
+      return { path: null, transferAccount: transfer[1].trim() };
+    }
+
+    const path = text.split(':').map(part => part.trim()).filter(part => part);
+
+    return { path: path.length > 0 ? path : null, transferAccount: null };
+  }
+
+  /**
+   * Descrição a partir do favorecido e do memo (juntos quando um não contém o outro)
+   * @private
+   */
+  static _describe(payee, memo) {
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+    const [first, second] = [clean(payee), clean(memo)];
+    const joined = first && second && !first.toLowerCase().includes(second.toLowerCase())
+      ? `${first} - ${second}`
+      : first || second;
+
+    return joined.slice(0, MAX_DESCRIPTION_LENGTH).trim();
+  }
+
+  /**
+   * Separa os números de uma data (o ano de 2 dígitos com apóstrofo é deste
+   * século; sem ele, de 70 a 99 são do século passado)
+   * @private
+   * @returns {{first: number, second: number, year: number, isoOrder: boolean}|null}
+   */
+  static _splitDate(text) {
+    const value = String(text || '').replace(/\s/g, '');
+    const iso = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value);
+
+    if (iso) {
+      return { first: Number(iso[3]), second: Number(iso[2]), year: Number(iso[1]), isoOrder: true };
+    }
+
+    const match = /^(\d{1,2})[-/.](\d{1,2})([-/.']+)(\d{1,4})$/.exec(value);
+
+    if (!match) {
+      return null;
+    }
+
+    let year = Number(match[4]);
+
+    if (match[4].length <= 2) {
+      year += match[3].includes('\'') || year < 70 ? 2000 : 1900;
+    }
+
+    return { first: Number(match[1]), second: Number(match[2]), year, isoOrder: false };
+  }
+
+  /**
+   * Valor do primeiro campo com o código no registro
+   * @private
+   */
+  static _field(record, code) {
+    const found = record.fields.find(field => field.code === code);
+
+    return found ? found.value : null;
+  }
+
+  /**
+   * Nomes das contas do arquivo que têm transações (vazio quando o arquivo
+   * não usa !Account)
+   * @returns {string[]}
+   */
+  getAccountNames() {
+    return [...new Set(this.entries.map(entry => entry.accountName).filter(name => name))];
+  }
+
+  /**
+   * Retorna resumo do arquivo
+   * @returns {string} Ex: "🔁 42 transação(ões) · datas DD/MM/AAAA · conta Itaú"
+   */
+  getSummary() {
+    const accounts = this.getAccountNames();
+    const parts = [
+      `${this.entries.length} transação(ões)`,
+      `datas ${QIF_DATE_FORMATS[this.dateFormat]}`,
+      accounts.length === 1 ? `conta ${accounts[0]}` : null,
+      accounts.length > 1 ? `${accounts.length} contas` : null
+    ].filter(part => part);
+
+    return `🔁 ${parts.join(' · ')}`;
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Reconciliation Entity - Conciliação de uma conta com o extrato do banco
+ *
+ * O usuário informa a data e o saldo final do extrato e marca as transações
+ * que aparecem nele. O saldo conciliado parte do saldo já conferido nas
+ * conciliações anteriores (saldo inicial + transações conciliadas) e soma as
+ * transações marcadas; a conciliação só pode ser finalizada quando a
+ * diferença para o saldo do extrato chega a zero.
+ */
+export class Reconciliation {
+  constructor({
+    id,
+    userId,
+    accountId,
+    statementDate,
+    statementBalance,
+    openingBalance,
+    createdAt,
+    // Dados da conta (quando há JOIN)
+    accountName,
+    accountIcon,
+    // Quantidade de transações conciliadas (quando há agregação)
+    transactionCount,
+    // Transações ainda não conciliadas até a data do extrato
+    transactions,
+    selectedIds
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.accountId = accountId;
+    this.statementDate = statementDate instanceof Date ? statementDate : new Date(statementDate);
+    this.statementBalance = parseFloat(statementBalance);
+    this.openingBalance = openingBalance !== undefined ? parseFloat(openingBalance) : 0;
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+
+    // Dados da conta (opcionais, vêm do JOIN)
+    this.accountName = accountName;
+    this.accountIcon = accountIcon;
+
+    this.transactionCount = transactionCount !== undefined ? parseInt(transactionCount) : 0;
+    this.transactions = transactions || [];
+    this.selectedIds = new Set(selectedIds || []);
+  }
+
+  /**
+   * Valida a data do extrato (não pode ser no futuro)
+   * @returns {boolean}
+   */
+  isValidStatementDate() {
+    if (!(this.statementDate instanceof Date) || isNaN(this.statementDate.getTime())) {
+      return false;
+    }
+
+    // Margem de 1 dia para timezone, como nas transações
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(23, 59, 59, 999);
+
+    return this.statementDate <= tomorrow;
+  }
+
+  /**
+   * Valida o saldo do extrato (pode ser negativo, ex: cartão de crédito)
+   * @returns {boolean}
+   */
+  isValidStatementBalance() {
+    return Number.isFinite(this.statementBalance);
+  }
+
+  /**
+   * Valor da transação com sinal (receitas somam, despesas subtraem)
+   * @param {Transaction} transaction
+   * @returns {number}
+   */
+  static signedAmount(transaction) {
+    return transaction.isIncome() ? transaction.amount : -transaction.amount;
+  }
+
+  /**
+   * Verifica se a transação está marcada como presente no extrato
+   * @param {number} transactionId
+   * @returns {boolean}
+   */
+  isSelected(transactionId) {
+    return this.selectedIds.has(transactionId);
+  }
+
+  /**
+   * Marca ou desmarca uma transação
+   * @param {number} transactionId
+   * @returns {boolean} Se a transação ficou marcada
+   */
+  toggle(transactionId) {
+    if (!this.transactions.some(transaction => transaction.id === transactionId)) {
+      return false;
+    }
+
+    if (this.selectedIds.has(transactionId)) {
+      this.selectedIds.delete(transactionId);
+      return false;
+    }
+
+    this.selectedIds.add(transactionId);
+    return true;
+  }
+
+  /**
+   * Marca ou desmarca todas as transações informadas
+   * @param {number[]} transactionIds
+   * @param {boolean} selected
+   */
+  setSelected(transactionIds, selected) {
+    transactionIds
+      .filter(id => this.transactions.some(transaction => transaction.id === id))
+      .forEach(id => (selected ? this.selectedIds.add(id) : this.selectedIds.delete(id)));
+  }
+
+  /**
+   * Transações marcadas
+   * @returns {Transaction[]}
+   */
+  getSelectedTransactions() {
+    return this.transactions.filter(transaction => this.selectedIds.has(transaction.id));
+  }
+
+  /**
+   * Saldo conciliado: saldo já conferido + transações marcadas
+   * @returns {number}
+   */
+  getClearedBalance() {
+    const selected = this.getSelectedTransactions()
+      .reduce((sum, transaction) => sum + Reconciliation.signedAmount(transaction), 0);
+
+    return Math.round((this.openingBalance + selected) * 100) / 100;
+  }
+
+  /**
+   * Diferença entre o saldo do extrato e o saldo conciliado
+   * @returns {number}
+   */
+  getDifference() {
+    return Math.round((this.statementBalance - this.getClearedBalance()) * 100) / 100;
+  }
+
+  /**
+   * Verifica se o saldo conciliado bate com o extrato
+   * @returns {boolean}
+   */
+  isBalanced() {
+    return Math.abs(this.getDifference()) < 0.005;
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId || !this.accountId) {
+      errors.push('UserId e AccountId são obrigatórios');
+    }
+
+    if (!this.isValidStatementDate()) {
+      errors.push('Data do extrato inválida ou no futuro');
+    }
+
+    if (!this.isValidStatementBalance()) {
+      errors.push('Saldo do extrato inválido');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Retorna a data do extrato formatada
+   * @returns {string} Ex: "10/11/2025"
+   */
+  getFormattedDate() {
+    const day = String(this.statementDate.getDate()).padStart(2, '0');
+    const month = String(this.statementDate.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${this.statementDate.getFullYear()}`;
+  }
+
+  /**
+   * Retorna um valor formatado em Reais
+   * @param {number} value
+   * @returns {string} Ex: "-R$ 1.234,56"
+   */
+  static formatAmount(value) {
+    const formatted = Math.abs(value).toFixed(2).replace('.', ',');
+    const parts = formatted.split(',');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `${value < 0 ? '-' : ''}R$ ${parts.join(',')}`;
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string} Ex: "Extrato de 31/10/2026 | Saldo R$ 1.234,56 | 12 transação(ões)"
+   */
+  getSummary() {
+    return `Extrato de ${this.getFormattedDate()} | Saldo ${Reconciliation.formatAmount(this.statementBalance)} | ` +
+      `${this.transactionCount} transação(ões)`;
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      accountId: this.accountId,
+      statementDate: this.statementDate.toISOString(),
+      statementBalance: this.statementBalance,
+      transactionCount: this.transactionCount,
+      createdAt: this.createdAt.toISOString(),
+      // Dados da conta (se disponíveis)
+      account: this.accountName ? {
+        name: this.accountName,
+        icon: this.accountIcon
+      } : undefined
+    };
+  }
+}
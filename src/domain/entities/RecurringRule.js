@@ -0,0 +1,465 @@
+import { Transaction } from './Transaction.js';
+
+/**
+ * Frequências de repetição
+ */
+export const RECURRING_FREQUENCIES = {
+  daily: 'Diária',
+  weekly: 'Semanal',
+  monthly: 'Mensal',
+  yearly: 'Anual'
+};
+
+const WEEKDAYS = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+/**
+ * RecurringRule Entity - Receita ou despesa que se repete (salário, aluguel, assinaturas...)
+ *
+ * As ocorrências são numeradas a partir da data de início (1, 2, 3...) e
+ * viram transações quando vencem. generatedCount guarda quantas já foram
+ * processadas (lançadas ou puladas); as seguintes ainda podem ser puladas
+ * ou alteradas uma a uma pelas exceções.
+ */
+export class RecurringRule {
+  constructor({
+    id,
+    userId,
+    type,
+    categoryId,
+    accountId,
+    amount,
+    description,
+    frequency,
+    dayOfMonth,
+    startDate,
+    endDate,
+    maxOccurrences,
+    generatedCount,
+    isActive,
+    createdAt,
+    updatedAt,
+    // Dados da categoria e da conta (quando há JOIN)
+    categoryName,
+    categoryIcon,
+    accountName,
+    accountIcon,
+    // Exceções de ocorrências: [{ occurrenceNumber, isSkipped, amount, description }]
+    exceptions
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.type = type; // 'income' ou 'expense'
+    this.categoryId = categoryId;
+    this.accountId = accountId;
+    this.amount = parseFloat(amount);
+    this.description = description || '';
+    this.frequency = frequency;
+    this.startDate = startDate instanceof Date ? startDate : new Date(startDate);
+    this.endDate = endDate ? (endDate instanceof Date ? endDate : new Date(endDate)) : null;
+    this.maxOccurrences = maxOccurrences ? parseInt(maxOccurrences) : null;
+    this.generatedCount = generatedCount ? parseInt(generatedCount) : 0;
+    this.isActive = isActive !== undefined ? Boolean(isActive) : true;
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+
+    // Dia do mês só vale para as frequências mensal e anual (padrão: dia da data de início)
+    this.dayOfMonth = this.usesDayOfMonth()
+      ? (dayOfMonth ? parseInt(dayOfMonth) : this.startDate.getDate())
+      : null;
+
+    // Dados da categoria e da conta (opcionais, vêm do JOIN)
+    this.categoryName = categoryName;
+    this.categoryIcon = categoryIcon;
+    this.accountName = accountName;
+    this.accountIcon = accountIcon;
+
+    this.exceptions = (exceptions || []).map(exception => ({
+      occurrenceNumber: parseInt(exception.occurrenceNumber),
+      isSkipped: Boolean(exception.isSkipped),
+      amount: exception.amount !== null && exception.amount !== undefined ? parseFloat(exception.amount) : null,
+      description: exception.description || null
+    }));
+  }
+
+  /**
+   * Verifica se a frequência usa o dia do mês
+   * @returns {boolean}
+   */
+  usesDayOfMonth() {
+    return this.frequency === 'monthly' || this.frequency === 'yearly';
+  }
+
+  /**
+   * Valida userId, categoryId e accountId (obrigatórios)
+   * @returns {boolean}
+   */
+  hasRequiredIds() {
+    return Boolean(this.userId && this.categoryId && this.accountId);
+  }
+
+  /**
+   * Valida o tipo
+   * @returns {boolean}
+   */
+  isValidType() {
+    return this.type === 'income' || this.type === 'expense';
+  }
+
+  /**
+   * Valida o valor (deve ser maior que 0)
+   * @returns {boolean}
+   */
+  isValidAmount() {
+    return this.amount > 0 && !isNaN(this.amount);
+  }
+
+  /**
+   * Valida a frequência
+   * @returns {boolean}
+   */
+  isValidFrequency() {
+    return Object.keys(RECURRING_FREQUENCIES).includes(this.frequency);
+  }
+
+  /**
+   * Valida o dia do mês (1 a 31; em meses mais curtos vale o último dia)
+   * @returns {boolean}
+   */
+  isValidDayOfMonth() {
+    return !this.usesDayOfMonth() ||
+           (Number.isInteger(this.dayOfMonth) && this.dayOfMonth >= 1 && this.dayOfMonth <= 31);
+  }
+
+  /**
+   * Valida as datas (a data de término não pode ser anterior à de início)
+   * @returns {boolean}
+   */
+  isValidDates() {
+    if (isNaN(this.startDate.getTime())) {
+      return false;
+    }
+
+    if (this.endDate) {
+      return !isNaN(this.endDate.getTime()) && this.endDate >= this.startDate;
+    }
+
+    return true;
+  }
+
+  /**
+   * Valida o número de ocorrências (opcional)
+   * @returns {boolean}
+   */
+  isValidMaxOccurrences() {
+    return this.maxOccurrences === null || (Number.isInteger(this.maxOccurrences) && this.maxOccurrences > 0);
+  }
+
+  /**
+   * Valida a descrição (máximo 200 caracteres)
+   * @returns {boolean}
+   */
+  isValidDescription() {
+    return this.description.length <= 200;
+  }
+
+  /**
+   * Verifica se a regra pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Data de uma ocorrência
+   * Nas frequências mensal e anual, dias inexistentes no mês (ex: 31 em
+   * fevereiro) viram o último dia do mês
+   * @param {number} number - Número da ocorrência (a partir de 1)
+   * @returns {Date}
+   */
+  getOccurrenceDate(number) {
+    const year = this.startDate.getFullYear();
+    const month = this.startDate.getMonth();
+    const day = this.startDate.getDate();
+    const index = number - 1;
+
+    switch (this.frequency) {
+    case 'daily':
+      return new Date(year, month, day + index);
+    case 'weekly':
+      return new Date(year, month, day + index * 7);
+    default: {
+      const step = this.frequency === 'yearly' ? 12 : 1;
+      // A primeira ocorrência é a primeira no dia escolhido a partir da data de início
+      const first = this._dateInMonth(year, month) < this.startDate ? step : 0;
+      return this._dateInMonth(year, month + first + index * step);
+    }
+    }
+  }
+
+  /**
+   * Data no dia da regra de um mês (limitada ao último dia do mês)
+   * @private
+   */
+  _dateInMonth(year, month) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(this.dayOfMonth, daysInMonth));
+  }
+
+  /**
+   * Verifica se a ocorrência faz parte da série (respeita data de término e número de ocorrências)
+   * @param {number} number
+   * @returns {boolean}
+   */
+  hasOccurrence(number) {
+    if (number < 1 || (this.maxOccurrences && number > this.maxOccurrences)) {
+      return false;
+    }
+
+    return !this.endDate || this.getOccurrenceDate(number) <= this.endDate;
+  }
+
+  /**
+   * Verifica se a série terminou (todas as ocorrências já foram processadas)
+   * @returns {boolean}
+   */
+  isFinished() {
+    return !this.hasOccurrence(this.generatedCount + 1);
+  }
+
+  /**
+   * Exceção de uma ocorrência
+   * @param {number} number
+   * @returns {Object|null}
+   */
+  getException(number) {
+    return this.exceptions.find(exception => exception.occurrenceNumber === number) || null;
+  }
+
+  /**
+   * Dados de uma ocorrência, já com a exceção aplicada
+   * @param {number} number
+   * @returns {{number: number, date: Date, amount: number, description: string, isSkipped: boolean, isModified: boolean}}
+   */
+  getOccurrence(number) {
+    const exception = this.getException(number);
+
+    return {
+      number,
+      date: this.getOccurrenceDate(number),
+      amount: exception && exception.amount !== null ? exception.amount : this.amount,
+      description: exception && exception.description !== null ? exception.description : this.description,
+      isSkipped: Boolean(exception && exception.isSkipped),
+      isModified: Boolean(exception && !exception.isSkipped)
+    };
+  }
+
+  /**
+   * Ocorrências ainda não processadas com data até hoje
+   * @param {Date} today - Data de referência
+   * @returns {Array<Object>} Ver getOccurrence
+   */
+  getDueOccurrences(today = new Date()) {
+    const endOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59, 999);
+    return this.getUpcomingOccurrences(endOfToday, Infinity);
+  }
+
+  /**
+   * Próximas ocorrências ainda não processadas (incluindo as puladas)
+   * @param {Date} until - Data limite (inclusive)
+   * @param {number} limit - Quantidade máxima
+   * @returns {Array<Object>} Ver getOccurrence
+   */
+  getUpcomingOccurrences(until, limit = 10) {
+    const occurrences = [];
+    let number = this.generatedCount + 1;
+
+    while (occurrences.length < limit && this.hasOccurrence(number) && this.getOccurrenceDate(number) <= until) {
+      occurrences.push(this.getOccurrence(number));
+      number++;
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Monta a transação de uma ocorrência (ainda não gravada)
+   * @param {Object} occurrence - Ver getOccurrence
+   * @returns {Transaction}
+   */
+  buildTransaction(occurrence) {
+    return new Transaction({
+      userId: this.userId,
+      type: this.type,
+      categoryId: this.categoryId,
+      accountId: this.accountId,
+      recurringRuleId: this.id,
+      amount: occurrence.amount,
+      description: occurrence.description,
+      date: occurrence.date
+    });
+  }
+
+  /**
+   * Retorna um valor formatado em Reais
+   * @param {number} value
+   * @returns {string} Ex: "R$ 1.234,56"
+   */
+  static formatAmount(value) {
+    const formatted = value.toFixed(2).replace('.', ',');
+    const parts = formatted.split(',');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `R$ ${parts.join(',')}`;
+  }
+
+  /**
+   * Retorna uma data no formato dd/mm/aaaa
+   * @param {Date} date
+   * @returns {string}
+   */
+  static formatDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+  }
+
+  /**
+   * Descrição da frequência
+   * @returns {string} Ex: "Mensal (dia 5)", "Semanal (segunda)"
+   */
+  getFrequencyLabel() {
+    const label = RECURRING_FREQUENCIES[this.frequency] || this.frequency;
+
+    switch (this.frequency) {
+    case 'weekly':
+      return `${label} (${WEEKDAYS[this.startDate.getDay()]})`;
+    case 'monthly':
+      return `${label} (dia ${this.dayOfMonth})`;
+    case 'yearly':
+      return `${label} (${this.dayOfMonth}/${String(this.getOccurrenceDate(1).getMonth() + 1).padStart(2, '0')})`;
+    default:
+      return label;
+    }
+  }
+
+  /**
+   * Descrição do término da série
+   * @returns {string} Ex: "até 31/12/2026", "12 vezes", "sem término"
+   */
+  getEndLabel() {
+    const parts = [];
+
+    if (this.maxOccurrences) {
+      parts.push(`${this.maxOccurrences} vezes`);
+    }
+
+    if (this.endDate) {
+      parts.push(`até ${RecurringRule.formatDate(this.endDate)}`);
+    }
+
+    return parts.length > 0 ? parts.join(', ') : 'sem término';
+  }
+
+  /**
+   * Situação da regra
+   * @returns {string} Ex: "Ativa", "Pausada", "Encerrada"
+   */
+  getStatusLabel() {
+    if (this.isFinished()) {
+      return 'Encerrada';
+    }
+
+    return this.isActive ? 'Ativa' : 'Pausada';
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.hasRequiredIds()) {
+      errors.push('UserId, CategoryId e AccountId são obrigatórios');
+    }
+
+    if (!this.isValidType()) {
+      errors.push('Tipo deve ser "income" ou "expense"');
+    }
+
+    if (!this.isValidAmount()) {
+      errors.push('Valor deve ser maior que zero');
+    }
+
+    if (!this.isValidFrequency()) {
+      errors.push('Frequência deve ser diária, semanal, mensal ou anual');
+    }
+
+    if (!this.isValidDayOfMonth()) {
+      errors.push('Dia do mês deve estar entre 1 e 31');
+    }
+
+    if (!this.isValidDates()) {
+      errors.push('Data de término deve ser igual ou posterior à data de início');
+    }
+
+    if (!this.isValidMaxOccurrences()) {
+      errors.push('Número de ocorrências deve ser maior que zero');
+    }
+
+    if (!this.isValidDescription()) {
+      errors.push('Descrição deve ter no máximo 200 caracteres');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      type: this.type,
+      categoryId: this.categoryId,
+      accountId: this.accountId,
+      amount: this.amount,
+      description: this.description,
+      frequency: this.frequency,
+      dayOfMonth: this.dayOfMonth,
+      startDate: this.startDate.toISOString(),
+      endDate: this.endDate ? this.endDate.toISOString() : null,
+      maxOccurrences: this.maxOccurrences,
+      generatedCount: this.generatedCount,
+      isActive: this.isActive,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+      category: this.categoryName ? {
+        name: this.categoryName,
+        icon: this.categoryIcon
+      } : undefined,
+      account: this.accountName ? {
+        name: this.accountName,
+        icon: this.accountIcon
+      } : undefined,
+      exceptions: this.exceptions
+    };
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string}
+   */
+  getSummary() {
+    const desc = this.description || this.categoryName || 'Recorrência';
+    const sign = this.type === 'income' ? '+' : '-';
+
+    return `🔄 ${desc} | ${sign}${RecurringRule.formatAmount(this.amount)} | ${this.getFrequencyLabel()}`;
+  }
+}
@@ -11,8 +11,9 @@ export class Report {
     userId = null,
     generatedAt = new Date()
   }) {
-    this.type = type; // 'monthly', 'category', 'evolution', 'top', 'comparative', 'pattern'
+    this.type = type; // 'monthly', 'category', 'evolution', 'top', 'comparative', 'pattern', 'tag', 'payee'
     this.period = {
+      ...period, // Preserva campos extras (ex: period1/period2 do comparativo)
       start: period?.start ? (period.start instanceof Date ? period.start : new Date(period.start)) : null,
       end: period?.end ? (period.end instanceof Date ? period.end : new Date(period.end)) : null,
       label: period?.label || this._generatePeriodLabel(period)
@@ -108,6 +109,22 @@ export class Report {
     return this.type === 'pattern';
   }
 
+  /**
+   * Verifica se o relatório é por tag
+   * @returns {boolean}
+   */
+  isTag() {
+    return this.type === 'tag';
+  }
+
+  /**
+   * Verifica se o relatório é por favorecido
+   * @returns {boolean}
+   */
+  isPayee() {
+    return this.type === 'payee';
+  }
+
   /**
    * Verifica se o relatório tem dados
    * @returns {boolean}
@@ -156,7 +173,9 @@ export class Report {
       evolution: 'Evolução Financeira',
       top: 'Maiores Transações',
       comparative: 'Relatório Comparativo',
-      pattern: 'Análise de Padrões'
+      pattern: 'Análise de Padrões',
+      tag: 'Gastos por Tag',
+      payee: 'Gastos por Favorecido'
     };
 
     return titles[this.type] || 'Relatório';
@@ -173,7 +192,9 @@ export class Report {
       evolution: 'Evolução financeira dos últimos 12 meses',
       top: 'Ranking das maiores receitas e despesas',
       comparative: 'Comparação entre dois períodos',
-      pattern: 'Análise de padrões e comportamentos financeiros'
+      pattern: 'Análise de padrões e comportamentos financeiros',
+      tag: 'Total de despesas de cada tag no período',
+      payee: 'Total, frequência e ticket médio de cada favorecido no período'
     };
 
     return descriptions[this.type] || '';
@@ -0,0 +1,109 @@
+/**
+ * Limites das tags
+ */
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TAGS_PER_TRANSACTION = 10;
+
+/**
+ * Tag Entity - Etiqueta livre aplicada às transações
+ *
+ * As categorias formam uma única hierarquia; as tags são ortogonais a elas
+ * (ex: "viagem-2026", "reembolsável", "casamento") e uma transação pode ter
+ * várias. Os nomes são normalizados para que "#Viagem 2026" e "viagem-2026"
+ * sejam a mesma tag.
+ */
+export class Tag {
+  constructor({
+    id,
+    userId,
+    name,
+    createdAt,
+    // Quantidade de transações com a tag (quando há agregação)
+    transactionCount
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.name = Tag.normalize(name);
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.transactionCount = transactionCount !== undefined ? parseInt(transactionCount) : 0;
+  }
+
+  /**
+   * Normaliza o nome de uma tag: sem "#", minúsculas e espaços trocados por hífen
+   * @param {string} name
+   * @returns {string} Ex: "#Viagem 2026" -> "viagem-2026"
+   */
+  static normalize(name) {
+    return String(name || '')
+      .trim()
+      .replace(/^#+/, '')
+      .toLowerCase()
+      .replace(/\s+/g, '-');
+  }
+
+  /**
+   * Converte uma lista digitada em nomes de tags normalizados e sem repetição
+   * @param {string|string[]} input - Ex: "viagem-2026, #Reembolsável"
+   * @returns {string[]}
+   */
+  static parseList(input) {
+    const names = Array.isArray(input) ? input : String(input || '').split(',');
+
+    return [...new Set(names.map(name => Tag.normalize(name)).filter(name => name.length > 0))];
+  }
+
+  /**
+   * Valida um nome de tag já normalizado
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isValidName(name) {
+    return typeof name === 'string' &&
+      name.length > 0 &&
+      name.length <= MAX_TAG_LENGTH &&
+      !name.includes(',');
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('UserId é obrigatório');
+    }
+
+    if (!Tag.isValidName(this.name)) {
+      errors.push(`Nome da tag deve ter de 1 a ${MAX_TAG_LENGTH} caracteres`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Nome para exibição
+   * @returns {string} Ex: "#viagem-2026"
+   */
+  getLabel() {
+    return `#${this.name}`;
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      name: this.name,
+      transactionCount: this.transactionCount,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
@@ -1,3 +1,24 @@
+import { Tag, MAX_TAG_LENGTH, MAX_TAGS_PER_TRANSACTION } from './Tag.js';
+import { UNCATEGORIZED_NAME, UNCATEGORIZED_ICON } from './Category.js';
+
+/**
+ * Situações de uma transação
+ * - planned: prevista (pode ter data futura; não entra no saldo nem nos totais realizados)
+ * - pending: pendente (já aconteceu, mas ainda não compensou)
+ * - cleared: compensada
+ */
+export const TRANSACTION_STATUSES = {
+  planned: 'Prevista',
+  pending: 'Pendente',
+  cleared: 'Compensada'
+};
+
+/**
+ * Limites da divisão de uma transação entre categorias
+ */
+export const MIN_SPLIT_LINES = 2;
+export const MAX_SPLIT_LINES = 10;
+
 /**
  * Transaction Entity - Entidade de domínio representando uma transação financeira
  */
@@ -7,30 +28,85 @@ export class Transaction {
     userId,
     type,
     categoryId,
+    accountId,
+    transferId,
+    installmentPlanId,
+    installmentNumber,
+    recurringRuleId,
+    reconciliationId,
+    payeeId,
+    // Identificador no extrato importado (FITID do OFX)
+    externalId,
+    status,
     amount,
     description,
     date,
     createdAt,
     updatedAt,
+    // Nomes das tags
+    tags,
+    // Linhas da divisão entre categorias ({categoryId, amount}; vazio = sem divisão)
+    splits,
     // Dados da categoria (quando há JOIN)
     categoryName,
     categoryIcon,
-    categoryColor
+    categoryColor,
+    // Dados da conta (quando há JOIN)
+    accountName,
+    accountIcon,
+    // Conta do outro lado (quando faz parte de uma transferência)
+    transferAccountName,
+    transferAccountIcon,
+    // Total de parcelas (quando faz parte de um parcelamento)
+    installmentCount,
+    // Nome do favorecido (quando há JOIN)
+    payeeName
   }) {
     this.id = id;
     this.userId = userId;
     this.type = type; // 'income' ou 'expense'
     this.categoryId = categoryId;
+    this.accountId = accountId;
+    this.transferId = transferId || null;
+    this.installmentPlanId = installmentPlanId || null;
+    this.installmentNumber = installmentNumber ? parseInt(installmentNumber) : null;
+    this.recurringRuleId = recurringRuleId || null;
+    this.reconciliationId = reconciliationId || null;
+    this.payeeId = payeeId || null;
+    this.externalId = externalId || null;
+    this.status = status || 'cleared';
     this.amount = parseFloat(amount);
     this.description = description || '';
     this.date = date instanceof Date ? date : new Date(date);
     this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
     this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+    this.tags = Tag.parseList(tags || []);
+    this.splits = (splits || []).map(split => ({
+      categoryId: split.categoryId,
+      amount: parseFloat(split.amount),
+      // Dados da categoria da linha (quando há JOIN)
+      categoryName: split.categoryName,
+      categoryIcon: split.categoryIcon
+    }));
 
     // Dados da categoria (opcionais, vêm do JOIN)
     this.categoryName = categoryName;
     this.categoryIcon = categoryIcon;
     this.categoryColor = categoryColor;
+
+    // Dados da conta (opcionais, vêm do JOIN)
+    this.accountName = accountName;
+    this.accountIcon = accountIcon;
+
+    // Transferência (opcional)
+    this.transferAccountName = transferAccountName;
+    this.transferAccountIcon = transferAccountIcon;
+
+    // Parcelamento (opcional)
+    this.installmentCount = installmentCount ? parseInt(installmentCount) : null;
+
+    // Favorecido (opcional)
+    this.payeeName = payeeName;
   }
 
   /**
@@ -50,7 +126,16 @@ export class Transaction {
   }
 
   /**
-   * Valida a data (não pode ser no futuro)
+   * Valida a situação
+   * @returns {boolean}
+   */
+  isValidStatus() {
+    return Object.keys(TRANSACTION_STATUSES).includes(this.status);
+  }
+
+  /**
+   * Valida a data (não pode ser no futuro, exceto nas transações previstas e
+   * nas parcelas de um parcelamento)
    * @returns {boolean}
    */
   isValidDate() {
@@ -63,6 +148,11 @@ export class Transaction {
       return false;
     }
 
+    // Previstas e parcelas futuras já são gravadas com a data em que vão cair
+    if (this.isPlanned() || this.isInstallment()) {
+      return true;
+    }
+
     // Data não pode ser no futuro (com margem de 1 dia para timezone)
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -80,11 +170,98 @@ export class Transaction {
   }
 
   /**
-   * Valida userId e categoryId (obrigatórios)
+   * Valida as tags (nomes de até 30 caracteres, no máximo 10 por transação)
+   * @returns {boolean}
+   */
+  isValidTags() {
+    return this.tags.length <= MAX_TAGS_PER_TRANSACTION && this.tags.every(name => Tag.isValidName(name));
+  }
+
+  /**
+   * Valida a divisão entre categorias: de 2 a 10 linhas com categorias
+   * diferentes, a primeira na categoria da transação, somando o valor total
+   * @returns {boolean}
+   */
+  isValidSplits() {
+    if (!this.isSplit()) {
+      return true;
+    }
+
+    const categoryIds = this.splits.map(split => Number(split.categoryId));
+    const total = this.splits.reduce((sum, split) => sum + split.amount, 0);
+
+    return !this.isTransfer() &&
+      this.splits.length >= MIN_SPLIT_LINES &&
+      this.splits.length <= MAX_SPLIT_LINES &&
+      this.splits.every(split => split.categoryId && split.amount > 0) &&
+      new Set(categoryIds).size === categoryIds.length &&
+      categoryIds[0] === Number(this.categoryId) &&
+      Math.round(total * 100) === Math.round(this.amount * 100);
+  }
+
+  /**
+   * Valida userId, categoryId e accountId (obrigatórios)
+   * Movimentações de transferência não têm categoria
    * @returns {boolean}
    */
   hasRequiredIds() {
-    return Boolean(this.userId && this.categoryId);
+    return Boolean(this.userId && this.accountId && (this.categoryId || this.isTransfer()));
+  }
+
+  /**
+   * Verifica se a transação tem a tag
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasTag(name) {
+    return this.tags.includes(Tag.normalize(name));
+  }
+
+  /**
+   * Tags para exibição
+   * @returns {string} Ex: "#viagem-2026 #reembolsável"
+   */
+  getTagsLabel() {
+    return this.tags.map(name => `#${name}`).join(' ');
+  }
+
+  /**
+   * Verifica se a transação está vinculada a um favorecido
+   * @returns {boolean}
+   */
+  hasPayee() {
+    return Boolean(this.payeeId);
+  }
+
+  /**
+   * Verifica se a transação está sem categoria (a categoria foi removida)
+   * Transferências não têm categoria
+   * @returns {boolean}
+   */
+  isUncategorized() {
+    return !this.isTransfer() && (!this.categoryName || this.splits.some(split => !split.categoryName));
+  }
+
+  /**
+   * Verifica se a transação está dividida entre categorias
+   * @returns {boolean}
+   */
+  isSplit() {
+    return this.splits.length > 0;
+  }
+
+  /**
+   * Parte do valor da transação que cabe a uma categoria
+   * @param {number} categoryId
+   * @returns {number} O valor da linha da divisão, o valor total (sem divisão) ou 0
+   */
+  getCategoryAmount(categoryId) {
+    if (!this.isSplit()) {
+      return Number(this.categoryId) === Number(categoryId) ? this.amount : 0;
+    }
+
+    const line = this.splits.find(split => Number(split.categoryId) === Number(categoryId));
+    return line ? line.amount : 0;
   }
 
   /**
@@ -103,6 +280,109 @@ export class Transaction {
     return this.type === 'expense';
   }
 
+  /**
+   * Verifica se é uma movimentação de transferência entre contas
+   * (saída na origem = 'expense', entrada no destino = 'income')
+   * @returns {boolean}
+   */
+  isTransfer() {
+    return Boolean(this.transferId);
+  }
+
+  /**
+   * Verifica se é uma parcela de uma compra parcelada
+   * @returns {boolean}
+   */
+  isInstallment() {
+    return this.installmentNumber !== null;
+  }
+
+  /**
+   * Verifica se foi lançada por uma regra de recorrência
+   * @returns {boolean}
+   */
+  isRecurring() {
+    return Boolean(this.recurringRuleId);
+  }
+
+  /**
+   * Verifica se é uma transação prevista (ainda não realizada)
+   * @returns {boolean}
+   */
+  isPlanned() {
+    return this.status === 'planned';
+  }
+
+  /**
+   * Verifica se é uma transação pendente (realizada, mas não compensada)
+   * @returns {boolean}
+   */
+  isPending() {
+    return this.status === 'pending';
+  }
+
+  /**
+   * Verifica se é uma transação compensada
+   * @returns {boolean}
+   */
+  isCleared() {
+    return this.status === 'cleared';
+  }
+
+  /**
+   * Verifica se já foi conferida com o extrato em uma conciliação
+   * (transações conciliadas ficam travadas contra edição e exclusão)
+   * @returns {boolean}
+   */
+  isReconciled() {
+    return Boolean(this.reconciliationId);
+  }
+
+  /**
+   * Por que a transação não pode ser alterada ou deletada sozinha, como nas
+   * operações em lote: transferências e parcelas mudam pela transferência e
+   * pelo parcelamento, e as conciliadas estão travadas
+   * @param {string} action - 'update' ou 'delete'
+   * @returns {string|null} null se pode
+   */
+  getLockReason(action) {
+    const isDelete = action === 'delete';
+
+    if (this.isTransfer()) {
+      return isDelete ? 'Transferência (delete a transferência)' : 'Transferência (altere pela transferência)';
+    }
+
+    if (this.isInstallment()) {
+      return isDelete ? 'Parcela (cancele pelo parcelamento)' : 'Parcela (altere pelo parcelamento)';
+    }
+
+    if (this.isReconciled()) {
+      return `Conciliada (desbloqueie antes de ${isDelete ? 'deletar' : 'alterar'})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Nome da situação
+   * @returns {string} Ex: "Prevista"
+   */
+  getStatusLabel() {
+    return TRANSACTION_STATUSES[this.status] || this.status;
+  }
+
+  /**
+   * Número da parcela sobre o total
+   * @returns {string} Ex: "3/10" (vazio se não for parcela)
+   */
+  getInstallmentLabel() {
+    if (!this.isInstallment()) {
+      return '';
+    }
+
+    return this.installmentCount ? `${this.installmentNumber}/${this.installmentCount}` : `${this.installmentNumber}`;
+  }
+
   /**
    * Retorna o valor formatado em Reais
    * @returns {string} Ex: "R$ 1.234,56"
@@ -169,7 +449,7 @@ export class Transaction {
     const errors = [];
 
     if (!this.hasRequiredIds()) {
-      errors.push('UserId e CategoryId são obrigatórios');
+      errors.push('UserId, CategoryId e AccountId são obrigatórios');
     }
 
     if (!this.isValidType()) {
@@ -180,6 +460,10 @@ export class Transaction {
       errors.push('Valor deve ser maior que zero');
     }
 
+    if (!this.isValidStatus()) {
+      errors.push('Situação deve ser prevista, pendente ou compensada');
+    }
+
     if (!this.isValidDate()) {
       errors.push('Data inválida ou no futuro');
     }
@@ -188,6 +472,17 @@ export class Transaction {
       errors.push('Descrição deve ter no máximo 200 caracteres');
     }
 
+    if (!this.isValidTags()) {
+      errors.push(`Use no máximo ${MAX_TAGS_PER_TRANSACTION} tags de até ${MAX_TAG_LENGTH} caracteres`);
+    }
+
+    if (!this.isValidSplits()) {
+      errors.push(
+        `A divisão deve ter de ${MIN_SPLIT_LINES} a ${MAX_SPLIT_LINES} categorias diferentes, ` +
+        'com valores que somem o total da transação'
+      );
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -204,8 +499,20 @@ export class Transaction {
       userId: this.userId,
       type: this.type,
       categoryId: this.categoryId,
+      accountId: this.accountId,
+      transferId: this.transferId,
+      installmentPlanId: this.installmentPlanId,
+      installmentNumber: this.installmentNumber,
+      installmentCount: this.installmentCount,
+      recurringRuleId: this.recurringRuleId,
+      reconciliationId: this.reconciliationId,
+      payeeId: this.payeeId,
+      externalId: this.externalId,
+      status: this.status,
       amount: this.amount,
       description: this.description,
+      tags: this.tags,
+      splits: this.splits.map(split => ({ categoryId: split.categoryId, amount: split.amount })),
       date: this.date.toISOString(),
       createdAt: this.createdAt.toISOString(),
       updatedAt: this.updatedAt.toISOString(),
@@ -214,21 +521,51 @@ export class Transaction {
         name: this.categoryName,
         icon: this.categoryIcon,
         color: this.categoryColor
-      } : undefined
+      } : undefined,
+      // Dados da conta (se disponíveis)
+      account: this.accountName ? {
+        name: this.accountName,
+        icon: this.accountIcon
+      } : undefined,
+      // Conta do outro lado da transferência (se disponível)
+      transferAccount: this.transferAccountName ? {
+        name: this.transferAccountName,
+        icon: this.transferAccountIcon
+      } : undefined,
+      // Favorecido (se disponível)
+      payee: this.payeeName ? { name: this.payeeName } : undefined
     };
   }
 
+  /**
+   * Descrição da transferência do ponto de vista da conta da movimentação
+   * @returns {string} Ex: "Transferência → Poupança"
+   */
+  getTransferLabel() {
+    const other = this.transferAccountName || 'outra conta';
+    return this.isExpense() ? `Transferência → ${other}` : `Transferência ← ${other}`;
+  }
+
   /**
    * Retorna um resumo curto para exibição
    * @returns {string}
    */
   getSummary() {
-    const icon = this.categoryIcon || (this.isIncome() ? '📈' : '📉');
-    const category = this.categoryName || 'Sem categoria';
+    const status = this.isCleared() ? '' : ` [${this.getStatusLabel().toLowerCase()}]`;
+
+    if (this.isTransfer()) {
+      const desc = this.description ? ` - ${this.description}` : '';
+      return `🔁 ${this.getTransferLabel()} | ${this.getSignedAmount()} | ${this.getFormattedDate()}${desc}${status}`;
+    }
+
+    const icon = this.categoryName ? (this.categoryIcon || (this.isIncome() ? '📈' : '📉')) : UNCATEGORIZED_ICON;
+    const others = this.isSplit() ? ` +${this.splits.length - 1}` : '';
+    const category = `${this.categoryName || UNCATEGORIZED_NAME}${others}`;
     const amount = this.getSignedAmount();
     const date = this.getFormattedDate();
     const desc = this.description ? ` - ${this.description}` : '';
+    const installment = this.isInstallment() ? ` (${this.getInstallmentLabel()})` : '';
 
-    return `${icon} ${category} | ${amount} | ${date}${desc}`;
+    return `${icon} ${category} | ${amount} | ${date}${desc}${installment}${status}`;
   }
 }
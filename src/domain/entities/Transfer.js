@@ -0,0 +1,191 @@
+/**
+ * Transfer Entity - Entidade de domínio representando uma transferência entre contas
+ *
+ * Uma transferência move dinheiro entre duas contas do mesmo usuário sem ser
+ * receita nem despesa. No banco ela gera um par de movimentações ligadas
+ * (saída na conta de origem e entrada na de destino), que alteram o saldo
+ * das contas mas ficam fora dos totais de receitas e despesas.
+ */
+export class Transfer {
+  constructor({
+    id,
+    userId,
+    fromAccountId,
+    toAccountId,
+    amount,
+    description,
+    date,
+    createdAt,
+    updatedAt,
+    // Dados das contas (quando há JOIN)
+    fromAccountName,
+    fromAccountIcon,
+    toAccountName,
+    toAccountIcon
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.fromAccountId = fromAccountId;
+    this.toAccountId = toAccountId;
+    this.amount = parseFloat(amount);
+    this.description = description || '';
+    this.date = date instanceof Date ? date : new Date(date);
+    this.createdAt = createdAt ? (createdAt instanceof Date ? createdAt : new Date(createdAt)) : new Date();
+    this.updatedAt = updatedAt ? (updatedAt instanceof Date ? updatedAt : new Date(updatedAt)) : new Date();
+
+    // Dados das contas (opcionais, vêm do JOIN)
+    this.fromAccountName = fromAccountName;
+    this.fromAccountIcon = fromAccountIcon;
+    this.toAccountName = toAccountName;
+    this.toAccountIcon = toAccountIcon;
+  }
+
+  /**
+   * Valida userId e as duas contas (obrigatórios)
+   * @returns {boolean}
+   */
+  hasRequiredIds() {
+    return Boolean(this.userId && this.fromAccountId && this.toAccountId);
+  }
+
+  /**
+   * Origem e destino devem ser contas diferentes
+   * @returns {boolean}
+   */
+  hasDistinctAccounts() {
+    return Number(this.fromAccountId) !== Number(this.toAccountId);
+  }
+
+  /**
+   * Valida o valor (deve ser maior que 0)
+   * @returns {boolean}
+   */
+  isValidAmount() {
+    return this.amount > 0 && !isNaN(this.amount);
+  }
+
+  /**
+   * Valida a data (não pode ser no futuro)
+   * @returns {boolean}
+   */
+  isValidDate() {
+    if (!(this.date instanceof Date) || isNaN(this.date.getTime())) {
+      return false;
+    }
+
+    // Mesma margem de 1 dia usada nas transações (timezone)
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(23, 59, 59, 999);
+
+    return this.date <= tomorrow;
+  }
+
+  /**
+   * Valida a descrição (máximo 200 caracteres)
+   * @returns {boolean}
+   */
+  isValidDescription() {
+    return this.description.length <= 200;
+  }
+
+  /**
+   * Verifica se a transferência pertence ao usuário
+   * @param {string} currentUserId
+   * @returns {boolean}
+   */
+  belongsTo(currentUserId) {
+    return this.userId === currentUserId;
+  }
+
+  /**
+   * Retorna o valor formatado em Reais
+   * @returns {string} Ex: "R$ 1.234,56"
+   */
+  getFormattedAmount() {
+    const formatted = this.amount.toFixed(2).replace('.', ',');
+    const parts = formatted.split(',');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `R$ ${parts.join(',')}`;
+  }
+
+  /**
+   * Retorna a data formatada
+   * @returns {string} Ex: "10/11/2025"
+   */
+  getFormattedDate() {
+    const day = String(this.date.getDate()).padStart(2, '0');
+    const month = String(this.date.getMonth() + 1).padStart(2, '0');
+    const year = this.date.getFullYear();
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Valida a entidade completa
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.hasRequiredIds()) {
+      errors.push('UserId, conta de origem e conta de destino são obrigatórios');
+    } else if (!this.hasDistinctAccounts()) {
+      errors.push('A conta de origem e a de destino devem ser diferentes');
+    }
+
+    if (!this.isValidAmount()) {
+      errors.push('Valor deve ser maior que zero');
+    }
+
+    if (!this.isValidDate()) {
+      errors.push('Data inválida ou no futuro');
+    }
+
+    if (!this.isValidDescription()) {
+      errors.push('Descrição deve ter no máximo 200 caracteres');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Converte para objeto simples (para JSON/API)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      fromAccountId: this.fromAccountId,
+      toAccountId: this.toAccountId,
+      amount: this.amount,
+      description: this.description,
+      date: this.date.toISOString(),
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+      fromAccount: this.fromAccountName ? {
+        name: this.fromAccountName,
+        icon: this.fromAccountIcon
+      } : undefined,
+      toAccount: this.toAccountName ? {
+        name: this.toAccountName,
+        icon: this.toAccountIcon
+      } : undefined
+    };
+  }
+
+  /**
+   * Retorna um resumo curto para exibição
+   * @returns {string}
+   */
+  getSummary() {
+    const from = this.fromAccountName || 'Origem';
+    const to = this.toAccountName || 'Destino';
+    const desc = this.description ? ` - ${this.description}` : '';
+
+    return `🔁 ${from} → ${to} | ${this.getFormattedAmount()} | ${this.getFormattedDate()}${desc}`;
+  }
+}
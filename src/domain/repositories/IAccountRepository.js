@@ -0,0 +1,84 @@
+/**
+ * Interface do repositório de contas
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * O saldo atual (balance) considera só as transações até hoje; o saldo
+ * previsto (projectedBalance) inclui as parcelas futuras já lançadas.
+ */
+export class IAccountRepository {
+  /**
+   * Cria uma nova conta
+   * @param {Account} account
+   * @returns {Promise<Account>}
+   */
+  async create(account) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca uma conta por ID (com saldo atual)
+   * @param {number} id
+   * @returns {Promise<Account|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista as contas de um usuário com o saldo atual de cada uma
+   * @param {string} userId
+   * @param {Object} options - { includeArchived?: boolean }
+   * @returns {Promise<Account[]>}
+   */
+  async findByUserId(userId, options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca a conta padrão do usuário (a conta ativa mais antiga)
+   * @param {string} userId
+   * @returns {Promise<Account|null>}
+   */
+  async findDefaultByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atualiza uma conta existente
+   * @param {number} id
+   * @param {Object} data - { name?, type?, initialBalance?, icon?, color?, isArchived?, creditLimit?, closingDay?, dueDay? }
+   * @returns {Promise<Account>}
+   */
+  async update(id, data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta uma conta
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Verifica se o usuário já possui uma conta com o nome
+   * @param {string} userId
+   * @param {string} name
+   * @param {number|null} excludeId - ID da conta a excluir da busca (para updates)
+   * @returns {Promise<boolean>}
+   */
+  async existsByName(userId, name, excludeId = null) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Verifica se a conta possui transações
+   * @param {number} accountId
+   * @returns {Promise<boolean>}
+   */
+  async hasTransactions(accountId) {
+    throw new Error('Method not implemented');
+  }
+}
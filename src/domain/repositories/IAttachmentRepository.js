@@ -0,0 +1,73 @@
+/**
+ * Interface do repositório de anexos
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * O repositório guarda só os dados dos anexos; o conteúdo dos arquivos fica
+ * no armazenamento de anexos, identificado por contentHash. Deletar a
+ * transação remove os seus anexos.
+ */
+export class IAttachmentRepository {
+  /**
+   * Grava um anexo
+   * @param {Attachment} attachment
+   * @returns {Promise<Attachment>}
+   */
+  async create(attachment) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca um anexo por ID
+   * @param {number} id
+   * @returns {Promise<Attachment|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista os anexos de uma transação (na ordem em que foram anexados)
+   * @param {number} transactionId
+   * @returns {Promise<Attachment[]>}
+   */
+  async findByTransactionId(transactionId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista os anexos de várias transações (na ordem em que foram anexados)
+   * @param {number[]} transactionIds
+   * @returns {Promise<Attachment[]>}
+   */
+  async findByTransactionIds(transactionIds) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Verifica se o arquivo (pelo hash do conteúdo) já está anexado à transação
+   * @param {number} transactionId
+   * @param {string} contentHash
+   * @returns {Promise<boolean>}
+   */
+  async existsInTransaction(transactionId, contentHash) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Verifica se algum anexo (de qualquer usuário) ainda usa o arquivo
+   * @param {string} contentHash
+   * @returns {Promise<boolean>}
+   */
+  async isContentInUse(contentHash) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove um anexo
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Interface do repositório de backup
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * Os dados seguem o formato das seções do backup (BACKUP_SECTIONS), com os
+ * ids do banco de origem.
+ */
+export class IBackupRepository {
+  /**
+   * Busca o perfil e todos os dados de um usuário
+   * @param {string} userId
+   * @returns {Promise<{user: Object, data: Object}|null>} null se o usuário não existir
+   */
+  async findUserData(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Conta os registros que impedem uma restauração (transações,
+   * transferências, parcelamentos, recorrências, conciliações, orçamentos e metas)
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async countUserData(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Grava os dados de um backup para um usuário, numa única transação,
+   * criando registros novos e trocando os ids das referências
+   * @param {string} userId - Usuário de destino
+   * @param {Object} data - Seções do backup
+   * @param {Object} options - { user?: perfil do usuário a criar antes, dryRun? }
+   *   (dryRun grava e desfaz tudo no final)
+   * @returns {Promise<{restored: Object<string, number>, reused: Object<string, number>,
+   *   createdCategories: string[]}>}
+   */
+  async restoreUserData(userId, data, options = {}) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -74,6 +74,7 @@ export class IBudgetRepository {
 
   /**
    * Calcula o valor gasto em uma categoria durante um período
+   * (das transações divididas, conta só o valor da linha da categoria)
    * @param {string} userId
    * @param {number} categoryId
    * @param {Date} startDate
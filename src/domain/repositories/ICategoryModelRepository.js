@@ -0,0 +1,25 @@
+/**
+ * Interface do repositório de modelos de sugestão de categoria
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * Cada usuário tem no máximo um modelo, gravado inteiro a cada atualização.
+ */
+export class ICategoryModelRepository {
+  /**
+   * Busca o modelo de um usuário
+   * @param {string} userId
+   * @returns {Promise<CategoryModel|null>}
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Grava o modelo do usuário (cria ou substitui)
+   * @param {CategoryModel} model
+   * @returns {Promise<CategoryModel>}
+   */
+  async save(model) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -51,7 +51,8 @@ export class ICategoryRepository {
   }
 
   /**
-   * Verifica se uma categoria tem transações vinculadas
+   * Verifica se uma categoria tem transações vinculadas (inclusive como linha
+   * da divisão de uma transação)
    * @param {number} categoryId - ID da categoria
    * @returns {Promise<boolean>}
    */
@@ -95,6 +96,52 @@ export class ICategoryRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Verifica se a categoria ou alguma subcategoria dela é usada por
+   * transações, orçamentos, parcelamentos, regras recorrentes, regras de
+   * categorização ou como categoria padrão de um favorecido
+   * @param {number} categoryId - ID da categoria
+   * @returns {Promise<boolean>}
+   */
+  async isInUse(categoryId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Move uma categoria para baixo de outra (ou para a raiz)
+   * @param {number} id
+   * @param {number|null} parentId - Nova categoria pai (null para raiz)
+   * @returns {Promise<Category>}
+   */
+  async move(id, parentId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Mescla uma categoria em outra, atomicamente: transações, linhas de
+   * divisão, orçamentos, parcelamentos, recorrências, favorecidos e regras
+   * passam para o destino; as subcategorias passam a ficar sob o destino
+   * (uma com o mesmo nome de uma subcategoria do destino é mesclada nela);
+   * a categoria de origem é deletada
+   * @param {number} sourceId - Categoria que sai
+   * @param {number} targetId - Categoria que fica
+   * @returns {Promise<boolean>}
+   */
+  async mergeInto(sourceId, targetId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta uma categoria e suas subcategorias, atomicamente, passando tudo o
+   * que as usa para a categoria substituta
+   * @param {number} id
+   * @param {number} replacementId - Categoria substituta
+   * @returns {Promise<boolean>}
+   */
+  async deleteWithReplacement(id, replacementId) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Verifica se já existe uma categoria com o mesmo nome para o usuário
    * @param {string} userId - ID do usuário
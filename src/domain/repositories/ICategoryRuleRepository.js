@@ -0,0 +1,65 @@
+/**
+ * Interface do repositório de regras de categorização
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * As regras de um usuário são numeradas pela prioridade (1, 2, 3...); deletar
+ * a categoria de uma regra deleta a regra.
+ */
+export class ICategoryRuleRepository {
+  /**
+   * Cria uma regra
+   * @param {CategoryRule} rule
+   * @returns {Promise<CategoryRule>}
+   */
+  async create(rule) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca uma regra por ID (com os dados da categoria)
+   * @param {number} id
+   * @returns {Promise<CategoryRule|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista as regras de um usuário em ordem de prioridade
+   * @param {string} userId
+   * @returns {Promise<CategoryRule[]>}
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atualiza uma regra
+   * @param {number} id
+   * @param {Object} data - { isActive?, descriptionContains?, minAmount?, maxAmount?,
+   *   weekdays?: number[], categoryId?, tags?: string[] } (null remove a condição/ação)
+   * @returns {Promise<CategoryRule>}
+   */
+  async update(id, data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Grava as prioridades das regras de um usuário na ordem informada (1, 2, 3...)
+   * @param {string} userId
+   * @param {number[]} ruleIds - Todas as regras do usuário, na nova ordem
+   * @returns {Promise<void>}
+   */
+  async reorder(userId, ruleIds) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta uma regra
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
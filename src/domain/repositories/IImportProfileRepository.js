@@ -0,0 +1,51 @@
+/**
+ * Interface do repositório de perfis de importação
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ */
+export class IImportProfileRepository {
+  /**
+   * Cria um perfil
+   * @param {ImportProfile} profile
+   * @returns {Promise<ImportProfile>}
+   */
+  async create(profile) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca um perfil por ID
+   * @param {number} id
+   * @returns {Promise<ImportProfile|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista os perfis de um usuário (por nome)
+   * @param {string} userId
+   * @returns {Promise<ImportProfile[]>}
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Substitui o nome e a configuração de um perfil
+   * @param {number} id
+   * @param {ImportProfile} profile
+   * @returns {Promise<ImportProfile>}
+   */
+  async update(id, profile) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta um perfil
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Interface do repositório de compras parceladas
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * Cada parcelamento é gravado junto com as suas parcelas em transactions
+ * (uma despesa por mês, numeradas de 1 a N). Criar, alterar e cancelar
+ * devem mexer no parcelamento e nas parcelas de forma atômica.
+ */
+export class IInstallmentPlanRepository {
+  /**
+   * Cria um parcelamento e todas as suas parcelas
+   * @param {InstallmentPlan} plan
+   * @returns {Promise<InstallmentPlan>} Com as parcelas
+   */
+  async create(plan) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca um parcelamento por ID (com as parcelas, da primeira para a última)
+   * @param {number} id
+   * @returns {Promise<InstallmentPlan|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Altera as parcelas com data posterior a uma data (as que ainda não venceram)
+   * Categoria, conta e descrição também passam a valer para o parcelamento
+   * (falha, sem mudar nada, se alguma dessas parcelas estiver conciliada)
+   * @param {number} id
+   * @param {Object} data - { categoryId?, accountId?, description?, amount? (valor de cada parcela) }
+   * @param {Date} after - Parcelas até esta data (inclusive) não são alteradas
+   * @returns {Promise<InstallmentPlan>}
+   */
+  async updateRemaining(id, data, after) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove as parcelas com data posterior a uma data e marca o parcelamento
+   * como cancelado (se não sobrar nenhuma parcela, o parcelamento é removido;
+   * falha, sem mudar nada, se alguma dessas parcelas estiver conciliada)
+   * @param {number} id
+   * @param {Date} after - Parcelas até esta data (inclusive) são mantidas
+   * @returns {Promise<number>} Quantidade de parcelas removidas
+   */
+  async cancelRemaining(id, after) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta um parcelamento e todas as suas parcelas
+   * (falha, sem mudar nada, se alguma parcela estiver conciliada)
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Interface do repositório de integridade dos dados
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * As verificações olham o banco inteiro (todos os usuários); os códigos são
+ * os de INTEGRITY_CHECKS.
+ */
+export class IIntegrityRepository {
+  /**
+   * Conta os registros afetados por cada verificação
+   * @returns {Promise<Object<string, number>>} Código -> quantidade
+   */
+  async countIssues() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Aplica o reparo de uma verificação
+   * @param {string} code
+   * @returns {Promise<number>} Quantidade de registros reparados
+   */
+  async repair(code) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Interface do repositório de favorecidos
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * O favorecido é gravado junto com os seus apelidos. Deletar o favorecido
+ * desvincula as transações dele (a descrição delas não muda).
+ */
+export class IPayeeRepository {
+  /**
+   * Cria um favorecido com os seus apelidos
+   * @param {Payee} payee
+   * @returns {Promise<Payee>}
+   */
+  async create(payee) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca um favorecido por ID
+   * @param {number} id
+   * @returns {Promise<Payee|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista os favorecidos de um usuário com a quantidade de transações de cada
+   * um (dos mais usados para os menos usados)
+   * @param {string} userId
+   * @returns {Promise<Payee[]>}
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atualiza um favorecido
+   * @param {number} id
+   * @param {Object} data - { name?, defaultCategoryId? (null remove), aliases? (substitui os apelidos) }
+   * @returns {Promise<Payee>}
+   */
+  async update(id, data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta um favorecido (as transações dele ficam sem favorecido)
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Vincula ao favorecido as transações que ainda não têm favorecido
+   * @param {number} payeeId
+   * @param {number[]} transactionIds
+   * @returns {Promise<number>} Quantidade de transações vinculadas
+   */
+  async linkTransactions(payeeId, transactionIds) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Interface do repositório de conciliações
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * Gravar uma conciliação deve ligar as transações marcadas a ela (e deixá-las
+ * compensadas) de forma atômica: se alguma já tiver sido conciliada ou não
+ * for da conta, nada é gravado.
+ */
+export class IReconciliationRepository {
+  /**
+   * Grava uma conciliação e trava as transações marcadas
+   * @param {Reconciliation} reconciliation
+   * @returns {Promise<Reconciliation>}
+   */
+  async create(reconciliation) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista as conciliações de uma conta (da mais recente para a mais antiga)
+   * @param {number} accountId
+   * @returns {Promise<Reconciliation[]>}
+   */
+  async findByAccountId(accountId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca a conciliação mais recente de uma conta
+   * @param {number} accountId
+   * @returns {Promise<Reconciliation|null>}
+   */
+  async findLastByAccountId(accountId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Saldo já conferido da conta: saldo inicial + transações conciliadas
+   * @param {number} accountId
+   * @returns {Promise<number>}
+   */
+  async getReconciledBalance(accountId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Desfaz o vínculo de uma transação com a sua conciliação
+   * @param {number} transactionId
+   * @returns {Promise<boolean>}
+   */
+  async unlockTransaction(transactionId) {
+    throw new Error('Method not implemented');
+  }
+}
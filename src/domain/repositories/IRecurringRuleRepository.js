@@ -0,0 +1,98 @@
+/**
+ * Interface do repositório de regras de recorrência
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * As regras são carregadas junto com as exceções das ocorrências ainda não
+ * processadas. Lançar as ocorrências vencidas deve gravar as transações e
+ * avançar o generated_count de forma atômica.
+ */
+export class IRecurringRuleRepository {
+  /**
+   * Cria uma nova regra
+   * @param {RecurringRule} rule
+   * @returns {Promise<RecurringRule>}
+   */
+  async create(rule) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca uma regra por ID (com as exceções)
+   * @param {number} id
+   * @returns {Promise<RecurringRule|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca as regras de um usuário (com as exceções)
+   * @param {string} userId
+   * @returns {Promise<RecurringRule[]>}
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca as regras ativas (com as exceções)
+   * @param {string|null} userId - Sem usuário, retorna as regras de todos os usuários
+   * @returns {Promise<RecurringRule[]>}
+   */
+  async findActive(userId = null) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atualiza uma regra
+   * @param {number} id
+   * @param {Object} data - { categoryId?, accountId?, amount?, description?, endDate?, maxOccurrences?, isActive?, generatedCount? }
+   * @returns {Promise<RecurringRule>}
+   */
+  async update(id, data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta uma regra (as transações já lançadas são mantidas)
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Grava (ou substitui) a exceção de uma ocorrência
+   * @param {number} ruleId
+   * @param {Object} exception - { occurrenceNumber, isSkipped, amount?, description? }
+   * @returns {Promise<RecurringRule>}
+   */
+  async saveException(ruleId, exception) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove a exceção de uma ocorrência
+   * @param {number} ruleId
+   * @param {number} occurrenceNumber
+   * @returns {Promise<RecurringRule>}
+   */
+  async deleteException(ruleId, occurrenceNumber) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Grava as transações das ocorrências vencidas e avança o generated_count
+   * Se o generated_count não for mais o esperado (as ocorrências já foram
+   * lançadas por outro processo), nada é gravado
+   * @param {number} id
+   * @param {Transaction[]} transactions - Transações das ocorrências não puladas
+   * @param {number} fromCount - generated_count esperado
+   * @param {number} toCount - Novo generated_count
+   * @returns {Promise<number>} Quantidade de transações gravadas
+   */
+  async materialize(id, transactions, fromCount, toCount) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Interface do repositório de tags
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * As tags são criadas e ligadas às transações pelo repositório de transações
+ * (junto com a transação); aqui ficam apenas as consultas.
+ */
+export class ITagRepository {
+  /**
+   * Lista as tags de um usuário com a quantidade de transações de cada uma
+   * (das mais usadas para as menos usadas)
+   * @param {string} userId
+   * @returns {Promise<Tag[]>}
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -4,7 +4,8 @@
  */
 export class ITransactionRepository {
   /**
-   * Cria uma nova transação
+   * Cria uma nova transação (com as suas tags, criando as que ainda não existem,
+   * e as linhas da divisão entre categorias)
    * @param {Transaction} transaction
    * @returns {Promise<Transaction>}
    */
@@ -21,6 +22,29 @@ export class ITransactionRepository {
     throw new Error('Method "findById" must be implemented');
   }
 
+  /**
+   * Busca as transações de um usuário pelos IDs
+   * (IDs repetidos, inexistentes ou de outros usuários são ignorados)
+   * @param {string} userId
+   * @param {number[]} ids
+   * @returns {Promise<Transaction[]>} Ordenadas pelo ID
+   */
+  async findByIdsForUser(userId, ids) {
+    throw new Error('Method "findByIdsForUser" must be implemented');
+  }
+
+  /**
+   * Transações de uma seleção das operações em lote: pelos IDs (como em
+   * findByIdsForUser) ou, sem IDs, todas as que atendem ao filtro
+   * @param {string} userId
+   * @param {Object} selection - { transactionIds?: number[], filters?: Object }
+   *   (filters são os mesmos de findByFilters, sem paginação)
+   * @returns {Promise<Transaction[]>}
+   */
+  async findBySelection(userId, selection) {
+    throw new Error('Method "findBySelection" must be implemented');
+  }
+
   /**
    * Lista transações de um usuário com paginação
    * @param {string} userId - UUID do usuário
@@ -33,17 +57,30 @@ export class ITransactionRepository {
 
   /**
    * Busca transações com filtros avançados
+   * Com type 'income'/'expense' as movimentações de transferência ficam de fora;
+   * com type 'transfer' apenas elas são retornadas
    * @param {Object} filters - {
    *   userId: string,
-   *   type?: 'income'|'expense',
-   *   categoryId?: string,
+   *   type?: 'income'|'expense'|'transfer',
+   *   includeTransfers?: boolean (padrão true),
+   *   categoryId?: string (inclui as transações divididas com uma linha na categoria),
+   *   uncategorized?: boolean (só as sem categoria, inclusive numa linha da divisão),
+   *   accountId?: number,
+   *   installmentPlanId?: number,
+   *   status?: 'planned'|'pending'|'cleared',
+   *   includePlanned?: boolean (padrão true),
+   *   reconciled?: boolean (true = só as conciliadas, false = só as não conciliadas),
    *   startDate?: Date,
    *   endDate?: Date,
    *   minAmount?: number,
    *   maxAmount?: number,
    *   search?: string (busca na descrição),
+   *   tag?: string (nome da tag),
+   *   payeeId?: number (favorecido),
+   *   afterId?: number (só as transações com ID maior),
+   *   orderBy?: 'date'|'amount' (decrescente),
    *   page?: number,
-   *   limit?: number
+   *   limit?: number|null (null = sem limite)
    * }
    * @returns {Promise<Transaction[]>}
    */
@@ -51,16 +88,40 @@ export class ITransactionRepository {
     throw new Error('Method "findByFilters" must be implemented');
   }
 
+  /**
+   * Transações de uma conta já importadas com os identificadores do extrato
+   * @param {number} accountId
+   * @param {string[]} externalIds - FITIDs do OFX
+   * @returns {Promise<Transaction[]>}
+   */
+  async findByExternalIds(accountId, externalIds) {
+    throw new Error('Method "findByExternalIds" must be implemented');
+  }
+
   /**
    * Atualiza uma transação existente
    * @param {string} id - UUID da transação
-   * @param {Object} data - Dados a serem atualizados
+   * @param {Object} data - Dados a serem atualizados (tags?: string[] substitui as tags;
+   *   splits?: Array<{categoryId, amount}> substitui a divisão, [] desfaz;
+   *   payeeId?: number|null, null desvincula o favorecido)
    * @returns {Promise<Transaction>}
    */
   async update(id, data) {
     throw new Error('Method "update" must be implemented');
   }
 
+  /**
+   * Atualiza várias transações de uma vez, atomicamente (ou todas mudam, ou
+   * nenhuma): falha se alguma não for do usuário, não existir mais ou for
+   * transferência, parcela ou estiver conciliada
+   * @param {string} userId
+   * @param {Array<{id: number, data: Object}>} changes - Os mesmos dados de update()
+   * @returns {Promise<number>} Quantidade de transações atualizadas
+   */
+  async bulkUpdate(userId, changes) {
+    throw new Error('Method "bulkUpdate" must be implemented');
+  }
+
   /**
    * Deleta uma transação
    * @param {string} id - UUID da transação
@@ -70,6 +131,32 @@ export class ITransactionRepository {
     throw new Error('Method "delete" must be implemented');
   }
 
+  /**
+   * Deleta várias transações de uma vez, atomicamente (ou todas saem, ou
+   * nenhuma): falha se alguma não for do usuário, não existir mais ou for
+   * transferência, parcela ou estiver conciliada
+   * @param {string} userId
+   * @param {number[]} ids
+   * @returns {Promise<number[]>} IDs das transações deletadas
+   */
+  async bulkDelete(userId, ids) {
+    throw new Error('Method "bulkDelete" must be implemented');
+  }
+
+  /**
+   * Mescla transações duplicadas, atomicamente (ou tudo acontece, ou nada):
+   * grava as alterações da que fica, copia para ela os anexos das que saem
+   * (os que ela ainda não tem) e deleta as que saem
+   * @param {number} keeperId - Transação que fica
+   * @param {Object} changes - Os mesmos dados de update() ({} = nada muda)
+   * @param {number[]} duplicateIds - Transações que saem (falha se alguma for
+   *   transferência, parcela ou estiver conciliada)
+   * @returns {Promise<number>} Quantidade de transações deletadas
+   */
+  async merge(keeperId, changes, duplicateIds) {
+    throw new Error('Method "merge" must be implemented');
+  }
+
   /**
    * Conta o total de transações (para paginação)
    * @param {string} userId - UUID do usuário
@@ -81,15 +168,89 @@ export class ITransactionRepository {
   }
 
   /**
-   * Calcula o resumo financeiro (total de receitas e despesas)
+   * Calcula o resumo financeiro (total de receitas e despesas realizadas)
+   * Transferências entre contas não entram nos totais nem na contagem; as
+   * transações previstas ficam fora dos totais realizados e são somadas à parte.
+   * Com categoryId, as transações divididas entram só com o valor da linha da categoria
    * @param {string} userId - UUID do usuário
-   * @param {Object} filters - { startDate?: Date, endDate?: Date, categoryId?: string }
-   * @returns {Promise<{totalIncome: number, totalExpense: number, balance: number, count: number}>}
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, categoryId?: string, accountId?: number, status?: string, tag?: string,
+   *   payeeId?: number }
+   * @returns {Promise<{totalIncome: number, totalExpense: number, balance: number, count: number,
+   *   plannedIncome: number, plannedExpense: number, plannedCount: number}>}
    */
   async getSummary(userId, filters = {}) {
     throw new Error('Method "getSummary" must be implemented');
   }
 
+  /**
+   * Totais agrupados por tipo (receita/despesa)
+   * Como nos demais totais de relatório, ignora as transferências entre contas
+   * e as transações previstas. Com categoryId, as transações divididas entram só
+   * com o valor da linha da categoria
+   * @param {string} userId - UUID do usuário
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, categoryId?: number, accountId?: number }
+   * @returns {Promise<Array<{type: string, total: number, count: number, average: number, min: number, max: number, median: number}>>}
+   */
+  async getTotalsByType(userId, filters = {}) {
+    throw new Error('Method "getTotalsByType" must be implemented');
+  }
+
+  /**
+   * Totais agrupados por categoria, do maior para o menor total
+   * Uma transação dividida entra em cada categoria com o valor da sua linha;
+   * as transações sem categoria entram em "Sem categoria" (categoryId null)
+   * @param {string} userId - UUID do usuário
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, type?: 'income'|'expense', accountId?: number }
+   * @returns {Promise<Array<{categoryId: number, name: string, icon: string, color: string, type: string, total: number, count: number, average: number}>>}
+   */
+  async getTotalsByCategory(userId, filters = {}) {
+    throw new Error('Method "getTotalsByCategory" must be implemented');
+  }
+
+  /**
+   * Totais agrupados por tag, do maior para o menor total
+   * Uma transação com várias tags entra no total de cada uma delas
+   * @param {string} userId - UUID do usuário
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, type?: 'income'|'expense', accountId?: number }
+   * @returns {Promise<Array<{tagId: number, name: string, total: number, count: number, average: number}>>}
+   */
+  async getTotalsByTag(userId, filters = {}) {
+    throw new Error('Method "getTotalsByTag" must be implemented');
+  }
+
+  /**
+   * Totais agrupados por favorecido, do maior para o menor total
+   * (as transações sem favorecido ficam de fora)
+   * @param {string} userId - UUID do usuário
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, type?: 'income'|'expense', accountId?: number }
+   * @returns {Promise<Array<{payeeId: number, name: string, total: number, count: number, average: number,
+   *   firstDate: Date, lastDate: Date}>>}
+   */
+  async getTotalsByPayee(userId, filters = {}) {
+    throw new Error('Method "getTotalsByPayee" must be implemented');
+  }
+
+  /**
+   * Totais mensais agrupados por tipo, em ordem cronológica
+   * Com categoryId, as transações divididas entram só com o valor da linha da categoria
+   * @param {string} userId - UUID do usuário
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, categoryId?: number, accountId?: number }
+   * @returns {Promise<Array<{monthYear: string, month: number, year: number, type: string, total: number, count: number, average: number}>>}
+   */
+  async getMonthlyTotals(userId, filters = {}) {
+    throw new Error('Method "getMonthlyTotals" must be implemented');
+  }
+
+  /**
+   * Totais diários, em ordem cronológica
+   * @param {string} userId - UUID do usuário
+   * @param {Object} filters - { startDate?: Date, endDate?: Date, accountId?: number }
+   * @returns {Promise<Array<{day: Date, income: number, expense: number, incomeCount: number, expenseCount: number, count: number}>>}
+   */
+  async getDailyTotals(userId, filters = {}) {
+    throw new Error('Method "getDailyTotals" must be implemented');
+  }
+
   /**
    * Verifica se uma transação existe e pertence ao usuário
    * @param {string} id - UUID da transação
@@ -0,0 +1,67 @@
+/**
+ * Interface do repositório de transferências entre contas
+ * Define os métodos que devem ser implementados pela camada de infraestrutura
+ *
+ * Cada transferência é gravada junto com o seu par de movimentações em
+ * transactions (saída na origem, entrada no destino). Criar, atualizar e
+ * deletar devem alterar a transferência e as duas movimentações de forma atômica.
+ */
+export class ITransferRepository {
+  /**
+   * Cria uma transferência e as duas movimentações ligadas a ela
+   * @param {Transfer} transfer
+   * @returns {Promise<Transfer>}
+   */
+  async create(transfer) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca uma transferência por ID (com os dados das contas)
+   * @param {number} id
+   * @returns {Promise<Transfer|null>}
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Busca as duas movimentações de uma transferência
+   * @param {number} id
+   * @returns {Promise<Transaction[]>}
+   */
+  async findMovements(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lista as transferências de um usuário, das mais recentes para as mais antigas
+   * @param {string} userId
+   * @param {Object} filters - { accountId?: number, startDate?: Date, endDate?: Date }
+   * @returns {Promise<Transfer[]>}
+   */
+  async findByUserId(userId, filters = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atualiza uma transferência e as suas duas movimentações
+   * (falha, sem mudar nada, se alguma movimentação estiver conciliada)
+   * @param {number} id
+   * @param {Object} data - { fromAccountId?, toAccountId?, amount?, description?, date? }
+   * @returns {Promise<Transfer>}
+   */
+  async update(id, data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Deleta uma transferência e as suas duas movimentações
+   * (falha, sem mudar nada, se alguma movimentação estiver conciliada)
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -1,23 +1,117 @@
 #!/usr/bin/env node
 
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
-import { database } from './infrastructure/database/NeonDatabase.js';
+import { database } from './infrastructure/database/DatabaseFactory.js';
+import { MigrationRunner } from './infrastructure/database/MigrationRunner.js';
 import { UserRepository } from './infrastructure/database/UserRepository.js';
 import { CategoryRepository } from './infrastructure/database/CategoryRepository.js';
 import { TransactionRepository } from './infrastructure/database/TransactionRepository.js';
+import { AccountRepository } from './infrastructure/database/AccountRepository.js';
+import { TransferRepository } from './infrastructure/database/TransferRepository.js';
+import { InstallmentPlanRepository } from './infrastructure/database/InstallmentPlanRepository.js';
+import { RecurringRuleRepository } from './infrastructure/database/RecurringRuleRepository.js';
+import { ReconciliationRepository } from './infrastructure/database/ReconciliationRepository.js';
+import { TagRepository } from './infrastructure/database/TagRepository.js';
+import { AttachmentRepository } from './infrastructure/database/AttachmentRepository.js';
+import { PayeeRepository } from './infrastructure/database/PayeeRepository.js';
+import { CategoryRuleRepository } from './infrastructure/database/CategoryRuleRepository.js';
+import { CategoryModelRepository } from './infrastructure/database/CategoryModelRepository.js';
+import { ImportProfileRepository } from './infrastructure/database/ImportProfileRepository.js';
 import { NeonAuthService } from './infrastructure/auth/NeonAuthService.js';
+import { InMemoryAuthService } from './infrastructure/auth/InMemoryAuthService.js';
+import { InMemoryStore } from './infrastructure/memory/InMemoryStore.js';
+import { InMemoryUserRepository } from './infrastructure/memory/InMemoryUserRepository.js';
+import { InMemoryCategoryRepository } from './infrastructure/memory/InMemoryCategoryRepository.js';
+import { InMemoryTransactionRepository } from './infrastructure/memory/InMemoryTransactionRepository.js';
+import { InMemoryAccountRepository } from './infrastructure/memory/InMemoryAccountRepository.js';
+import { InMemoryTransferRepository } from './infrastructure/memory/InMemoryTransferRepository.js';
+import { InMemoryInstallmentPlanRepository } from './infrastructure/memory/InMemoryInstallmentPlanRepository.js';
+import { InMemoryRecurringRuleRepository } from './infrastructure/memory/InMemoryRecurringRuleRepository.js';
+import { InMemoryReconciliationRepository } from './infrastructure/memory/InMemoryReconciliationRepository.js';
+import { InMemoryTagRepository } from './infrastructure/memory/InMemoryTagRepository.js';
+import { InMemoryAttachmentRepository } from './infrastructure/memory/InMemoryAttachmentRepository.js';
+import { InMemoryPayeeRepository } from './infrastructure/memory/InMemoryPayeeRepository.js';
+import { InMemoryCategoryRuleRepository } from './infrastructure/memory/InMemoryCategoryRuleRepository.js';
+import { InMemoryCategoryModelRepository } from './infrastructure/memory/InMemoryCategoryModelRepository.js';
+import { InMemoryImportProfileRepository } from './infrastructure/memory/InMemoryImportProfileRepository.js';
+import { InMemoryBudgetRepository } from './infrastructure/memory/InMemoryBudgetRepository.js';
+import { InMemoryGoalRepository } from './infrastructure/memory/InMemoryGoalRepository.js';
+import { DemoDataSeeder, DEMO_CREDENTIALS } from './infrastructure/memory/DemoDataSeeder.js';
 import { RegisterUserUseCase } from './application/use-cases/RegisterUserUseCase.js';
 import { LoginUserUseCase } from './application/use-cases/LoginUserUseCase.js';
 import { CreateCategoryUseCase } from './application/use-cases/CreateCategoryUseCase.js';
 import { ListCategoriesUseCase } from './application/use-cases/ListCategoriesUseCase.js';
 import { UpdateCategoryUseCase } from './application/use-cases/UpdateCategoryUseCase.js';
 import { DeleteCategoryUseCase } from './application/use-cases/DeleteCategoryUseCase.js';
+import { MergeCategoriesUseCase } from './application/use-cases/MergeCategoriesUseCase.js';
+import { MoveCategoryUseCase } from './application/use-cases/MoveCategoryUseCase.js';
 import { SeedDefaultCategoriesUseCase } from './application/use-cases/SeedDefaultCategoriesUseCase.js';
 import { CreateTransactionUseCase } from './application/use-cases/CreateTransactionUseCase.js';
 import { ListTransactionsUseCase } from './application/use-cases/ListTransactionsUseCase.js';
 import { GetTransactionByIdUseCase } from './application/use-cases/GetTransactionByIdUseCase.js';
 import { UpdateTransactionUseCase } from './application/use-cases/UpdateTransactionUseCase.js';
+import { ConfirmPlannedTransactionUseCase } from './application/use-cases/ConfirmPlannedTransactionUseCase.js';
 import { DeleteTransactionUseCase } from './application/use-cases/DeleteTransactionUseCase.js';
+import { CreateAccountUseCase } from './application/use-cases/accounts/CreateAccountUseCase.js';
+import { ListAccountsUseCase } from './application/use-cases/accounts/ListAccountsUseCase.js';
+import { UpdateAccountUseCase } from './application/use-cases/accounts/UpdateAccountUseCase.js';
+import { DeleteAccountUseCase } from './application/use-cases/accounts/DeleteAccountUseCase.js';
+import { CreateTransferUseCase } from './application/use-cases/transfers/CreateTransferUseCase.js';
+import { GetTransferUseCase } from './application/use-cases/transfers/GetTransferUseCase.js';
+import { UpdateTransferUseCase } from './application/use-cases/transfers/UpdateTransferUseCase.js';
+import { DeleteTransferUseCase } from './application/use-cases/transfers/DeleteTransferUseCase.js';
+import { CreateInstallmentPlanUseCase } from './application/use-cases/installments/CreateInstallmentPlanUseCase.js';
+import { GetInstallmentPlanUseCase } from './application/use-cases/installments/GetInstallmentPlanUseCase.js';
+import { UpdateRemainingInstallmentsUseCase } from './application/use-cases/installments/UpdateRemainingInstallmentsUseCase.js';
+import { CancelRemainingInstallmentsUseCase } from './application/use-cases/installments/CancelRemainingInstallmentsUseCase.js';
+import { DeleteInstallmentPlanUseCase } from './application/use-cases/installments/DeleteInstallmentPlanUseCase.js';
+import { CreateRecurringRuleUseCase } from './application/use-cases/recurring/CreateRecurringRuleUseCase.js';
+import { ListRecurringRulesUseCase } from './application/use-cases/recurring/ListRecurringRulesUseCase.js';
+import { UpdateRecurringRuleUseCase } from './application/use-cases/recurring/UpdateRecurringRuleUseCase.js';
+import { DeleteRecurringRuleUseCase } from './application/use-cases/recurring/DeleteRecurringRuleUseCase.js';
+import { SkipRecurringOccurrenceUseCase } from './application/use-cases/recurring/SkipRecurringOccurrenceUseCase.js';
+import { ModifyRecurringOccurrenceUseCase } from './application/use-cases/recurring/ModifyRecurringOccurrenceUseCase.js';
+import { RestoreRecurringOccurrenceUseCase } from './application/use-cases/recurring/RestoreRecurringOccurrenceUseCase.js';
+import { MaterializeRecurringTransactionsUseCase } from './application/use-cases/recurring/MaterializeRecurringTransactionsUseCase.js';
+import { GetUpcomingOccurrencesUseCase } from './application/use-cases/recurring/GetUpcomingOccurrencesUseCase.js';
+import { StartReconciliationUseCase } from './application/use-cases/reconciliation/StartReconciliationUseCase.js';
+import { FinishReconciliationUseCase } from './application/use-cases/reconciliation/FinishReconciliationUseCase.js';
+import { ListReconciliationsUseCase } from './application/use-cases/reconciliation/ListReconciliationsUseCase.js';
+import { UnlockReconciledTransactionUseCase } from './application/use-cases/reconciliation/UnlockReconciledTransactionUseCase.js';
+import { ListTagsUseCase } from './application/use-cases/tags/ListTagsUseCase.js';
+import { AddAttachmentUseCase } from './application/use-cases/attachments/AddAttachmentUseCase.js';
+import { ListAttachmentsUseCase } from './application/use-cases/attachments/ListAttachmentsUseCase.js';
+import { RemoveAttachmentUseCase } from './application/use-cases/attachments/RemoveAttachmentUseCase.js';
+import { GetAttachmentFileUseCase } from './application/use-cases/attachments/GetAttachmentFileUseCase.js';
+import { CreatePayeeUseCase } from './application/use-cases/payees/CreatePayeeUseCase.js';
+import { ListPayeesUseCase } from './application/use-cases/payees/ListPayeesUseCase.js';
+import { UpdatePayeeUseCase } from './application/use-cases/payees/UpdatePayeeUseCase.js';
+import { DeletePayeeUseCase } from './application/use-cases/payees/DeletePayeeUseCase.js';
+import { GetPayeeHistoryUseCase } from './application/use-cases/payees/GetPayeeHistoryUseCase.js';
+import { CreateCategoryRuleUseCase } from './application/use-cases/rules/CreateCategoryRuleUseCase.js';
+import { ListCategoryRulesUseCase } from './application/use-cases/rules/ListCategoryRulesUseCase.js';
+import { UpdateCategoryRuleUseCase } from './application/use-cases/rules/UpdateCategoryRuleUseCase.js';
+import { DeleteCategoryRuleUseCase } from './application/use-cases/rules/DeleteCategoryRuleUseCase.js';
+import { PreviewCategoryRuleUseCase } from './application/use-cases/rules/PreviewCategoryRuleUseCase.js';
+import { ApplyCategoryRulesUseCase } from './application/use-cases/rules/ApplyCategoryRulesUseCase.js';
+import { SuggestCategoryUseCase } from './application/use-cases/suggestions/SuggestCategoryUseCase.js';
+import { LearnCategoryChoiceUseCase } from './application/use-cases/suggestions/LearnCategoryChoiceUseCase.js';
+import { RelearnTransactionsUseCase } from './application/use-cases/suggestions/RelearnTransactionsUseCase.js';
+import { BulkUpdateTransactionsUseCase } from './application/use-cases/bulk/BulkUpdateTransactionsUseCase.js';
+import { BulkDeleteTransactionsUseCase } from './application/use-cases/bulk/BulkDeleteTransactionsUseCase.js';
+import { FindDuplicateTransactionsUseCase } from './application/use-cases/duplicates/FindDuplicateTransactionsUseCase.js';
+import { MergeDuplicateTransactionsUseCase } from './application/use-cases/duplicates/MergeDuplicateTransactionsUseCase.js';
+import { PreviewCsvFileUseCase } from './application/use-cases/imports/PreviewCsvFileUseCase.js';
+import { ImportCsvTransactionsUseCase } from './application/use-cases/imports/ImportCsvTransactionsUseCase.js';
+import { ListImportProfilesUseCase } from './application/use-cases/imports/ListImportProfilesUseCase.js';
+import { SaveImportProfileUseCase } from './application/use-cases/imports/SaveImportProfileUseCase.js';
+import { DeleteImportProfileUseCase } from './application/use-cases/imports/DeleteImportProfileUseCase.js';
+import { ImportOfxStatementUseCase } from './application/use-cases/imports/ImportOfxStatementUseCase.js';
+import { ImportQifTransactionsUseCase } from './application/use-cases/imports/ImportQifTransactionsUseCase.js';
+import { GetCardStatementsUseCase } from './application/use-cases/cards/GetCardStatementsUseCase.js';
+import { PayCardStatementUseCase } from './application/use-cases/cards/PayCardStatementUseCase.js';
 import { GetDashboardDataUseCase } from './application/use-cases/GetDashboardDataUseCase.js';
 import { GenerateMonthlyReportUseCase } from './application/use-cases/reports/GenerateMonthlyReportUseCase.js';
 import { GenerateCategoryReportUseCase } from './application/use-cases/reports/GenerateCategoryReportUseCase.js';
@@ -25,6 +119,8 @@ import { GenerateEvolutionReportUseCase } from './application/use-cases/reports/
 import { GenerateTopTransactionsReportUseCase } from './application/use-cases/reports/GenerateTopTransactionsReportUseCase.js';
 import { GenerateComparativeReportUseCase } from './application/use-cases/reports/GenerateComparativeReportUseCase.js';
 import { GeneratePatternAnalysisUseCase } from './application/use-cases/reports/GeneratePatternAnalysisUseCase.js';
+import { GenerateTagReportUseCase } from './application/use-cases/reports/GenerateTagReportUseCase.js';
+import { GeneratePayeeReportUseCase } from './application/use-cases/reports/GeneratePayeeReportUseCase.js';
 import { BudgetRepository } from './infrastructure/database/BudgetRepository.js';
 import { CreateBudgetUseCase } from './application/use-cases/budgets/CreateBudgetUseCase.js';
 import { ListBudgetsUseCase } from './application/use-cases/budgets/ListBudgetsUseCase.js';
@@ -41,11 +137,17 @@ import { AddContributionUseCase } from './application/use-cases/goals/AddContrib
 import { CompleteGoalUseCase } from './application/use-cases/goals/CompleteGoalUseCase.js';
 import { GetGoalStatsUseCase } from './application/use-cases/goals/GetGoalStatsUseCase.js';
 import { PDFExportService } from './infrastructure/services/PDFExportService.js';
+import { ExportFileService } from './infrastructure/services/ExportFileService.js';
+import { AttachmentStorageService } from './infrastructure/services/AttachmentStorageService.js';
+import { ImportFileService } from './infrastructure/services/ImportFileService.js';
 import { ExportTransactionsToPDFUseCase } from './application/use-cases/exports/ExportTransactionsToPDFUseCase.js';
 import { ExportReportToPDFUseCase } from './application/use-cases/exports/ExportReportToPDFUseCase.js';
+import { ExportTransactionsToQifUseCase } from './application/use-cases/exports/ExportTransactionsToQifUseCase.js';
+import { ExportTransactionsToDataFileUseCase } from './application/use-cases/exports/ExportTransactionsToDataFileUseCase.js';
+import { ExportReportToDataFileUseCase } from './application/use-cases/exports/ExportReportToDataFileUseCase.js';
 import { AuthScreen } from './adapters/cli/screens/AuthScreen.js';
 import { MainScreen } from './adapters/cli/screens/MainScreen.js';
-import { errorMessage } from './adapters/cli/utils/banner.js';
+import { errorMessage, infoMessage, successMessage } from './adapters/cli/utils/banner.js';
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -54,11 +156,30 @@ dotenv.config();
  * Classe principal da aplicação
  */
 class App {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.demo - Modo demonstração (dados em memória, sem banco)
+   */
+  constructor({ demo = false } = {}) {
+    this.demo = demo;
+    this.demoUser = null;
     this.database = null;
     this.userRepository = null;
     this.categoryRepository = null;
     this.transactionRepository = null;
+    this.accountRepository = null;
+    this.transferRepository = null;
+    this.installmentPlanRepository = null;
+    this.recurringRuleRepository = null;
+    this.reconciliationRepository = null;
+    this.tagRepository = null;
+    this.attachmentRepository = null;
+    this.attachmentStorage = null;
+    this.payeeRepository = null;
+    this.categoryRuleRepository = null;
+    this.categoryModelRepository = null;
+    this.importProfileRepository = null;
+    this.importFileService = null;
     this.authService = null;
     this.registerUseCase = null;
     this.loginUseCase = null;
@@ -66,12 +187,73 @@ class App {
     this.listCategoriesUseCase = null;
     this.updateCategoryUseCase = null;
     this.deleteCategoryUseCase = null;
+    this.mergeCategoriesUseCase = null;
+    this.moveCategoryUseCase = null;
     this.seedDefaultCategoriesUseCase = null;
     this.createTransactionUseCase = null;
     this.listTransactionsUseCase = null;
     this.getTransactionByIdUseCase = null;
     this.updateTransactionUseCase = null;
+    this.confirmPlannedTransactionUseCase = null;
     this.deleteTransactionUseCase = null;
+    this.bulkUpdateTransactionsUseCase = null;
+    this.bulkDeleteTransactionsUseCase = null;
+    this.findDuplicateTransactionsUseCase = null;
+    this.mergeDuplicateTransactionsUseCase = null;
+    this.createAccountUseCase = null;
+    this.listAccountsUseCase = null;
+    this.updateAccountUseCase = null;
+    this.deleteAccountUseCase = null;
+    this.createTransferUseCase = null;
+    this.getTransferUseCase = null;
+    this.updateTransferUseCase = null;
+    this.deleteTransferUseCase = null;
+    this.createInstallmentPlanUseCase = null;
+    this.getInstallmentPlanUseCase = null;
+    this.updateRemainingInstallmentsUseCase = null;
+    this.cancelRemainingInstallmentsUseCase = null;
+    this.deleteInstallmentPlanUseCase = null;
+    this.createRecurringRuleUseCase = null;
+    this.listRecurringRulesUseCase = null;
+    this.updateRecurringRuleUseCase = null;
+    this.deleteRecurringRuleUseCase = null;
+    this.skipRecurringOccurrenceUseCase = null;
+    this.modifyRecurringOccurrenceUseCase = null;
+    this.restoreRecurringOccurrenceUseCase = null;
+    this.materializeRecurringTransactionsUseCase = null;
+    this.getUpcomingOccurrencesUseCase = null;
+    this.startReconciliationUseCase = null;
+    this.finishReconciliationUseCase = null;
+    this.listReconciliationsUseCase = null;
+    this.unlockReconciledTransactionUseCase = null;
+    this.listTagsUseCase = null;
+    this.addAttachmentUseCase = null;
+    this.listAttachmentsUseCase = null;
+    this.removeAttachmentUseCase = null;
+    this.getAttachmentFileUseCase = null;
+    this.createPayeeUseCase = null;
+    this.listPayeesUseCase = null;
+    this.updatePayeeUseCase = null;
+    this.deletePayeeUseCase = null;
+    this.getPayeeHistoryUseCase = null;
+    this.previewCsvFileUseCase = null;
+    this.importCsvTransactionsUseCase = null;
+    this.listImportProfilesUseCase = null;
+    this.saveImportProfileUseCase = null;
+    this.deleteImportProfileUseCase = null;
+    this.importOfxStatementUseCase = null;
+    this.importQifTransactionsUseCase = null;
+    this.createCategoryRuleUseCase = null;
+    this.listCategoryRulesUseCase = null;
+    this.updateCategoryRuleUseCase = null;
+    this.deleteCategoryRuleUseCase = null;
+    this.previewCategoryRuleUseCase = null;
+    this.applyCategoryRulesUseCase = null;
+    this.suggestCategoryUseCase = null;
+    this.learnCategoryChoiceUseCase = null;
+    this.relearnTransactionsUseCase = null;
+    this.getCardStatementsUseCase = null;
+    this.payCardStatementUseCase = null;
     this.getDashboardDataUseCase = null;
     this.generateMonthlyReportUseCase = null;
     this.generateCategoryReportUseCase = null;
@@ -79,6 +261,8 @@ class App {
     this.generateTopTransactionsReportUseCase = null;
     this.generateComparativeReportUseCase = null;
     this.generatePatternAnalysisUseCase = null;
+    this.generateTagReportUseCase = null;
+    this.generatePayeeReportUseCase = null;
     this.budgetRepository = null;
     this.createBudgetUseCase = null;
     this.listBudgetsUseCase = null;
@@ -95,8 +279,12 @@ class App {
     this.completeGoalUseCase = null;
     this.getGoalStatsUseCase = null;
     this.pdfExportService = null;
+    this.exportFileService = null;
     this.exportTransactionsUseCase = null;
     this.exportReportUseCase = null;
+    this.exportQifUseCase = null;
+    this.exportTransactionsDataUseCase = null;
+    this.exportReportDataUseCase = null;
   }
 
   /**
@@ -104,20 +292,11 @@ class App {
    */
   async initialize() {
     try {
-      // Conectar ao banco de dados
-      this.database = database;
-      await this.database.connect();
-      await this.database.initializeTables();
-
-      // Inicializar repositórios
-      this.userRepository = new UserRepository(this.database);
-      this.categoryRepository = new CategoryRepository(this.database);
-      this.transactionRepository = new TransactionRepository(this.database);
-      this.budgetRepository = new BudgetRepository(this.database);
-      this.goalRepository = new GoalRepository(this.database);
-
-      // Inicializar serviços
-      this.authService = new NeonAuthService(this.userRepository, this.database);
+      if (this.demo) {
+        this.initializeInMemory();
+      } else {
+        await this.initializeDatabase();
+      }
 
       // Inicializar casos de uso de autenticação
       this.registerUseCase = new RegisterUserUseCase(
@@ -130,24 +309,206 @@ class App {
       this.createCategoryUseCase = new CreateCategoryUseCase(this.categoryRepository);
       this.listCategoriesUseCase = new ListCategoriesUseCase(this.categoryRepository);
       this.updateCategoryUseCase = new UpdateCategoryUseCase(this.categoryRepository);
-      this.deleteCategoryUseCase = new DeleteCategoryUseCase(this.categoryRepository);
+      this.deleteCategoryUseCase = new DeleteCategoryUseCase(
+        this.categoryRepository,
+        this.categoryModelRepository
+      );
+      this.mergeCategoriesUseCase = new MergeCategoriesUseCase(
+        this.categoryRepository,
+        this.categoryModelRepository
+      );
+      this.moveCategoryUseCase = new MoveCategoryUseCase(this.categoryRepository);
       this.seedDefaultCategoriesUseCase = new SeedDefaultCategoriesUseCase(this.categoryRepository);
 
+      // Inicializar casos de uso de sugestão de categoria
+      this.suggestCategoryUseCase = new SuggestCategoryUseCase(
+        this.categoryModelRepository,
+        this.transactionRepository,
+        this.categoryRepository
+      );
+      this.learnCategoryChoiceUseCase = new LearnCategoryChoiceUseCase(this.categoryModelRepository);
+      this.relearnTransactionsUseCase = new RelearnTransactionsUseCase(this.categoryModelRepository);
+
+      // Inicializar casos de uso de regras de categorização
+      this.createCategoryRuleUseCase = new CreateCategoryRuleUseCase(
+        this.categoryRuleRepository,
+        this.categoryRepository
+      );
+      this.listCategoryRulesUseCase = new ListCategoryRulesUseCase(this.categoryRuleRepository);
+      this.updateCategoryRuleUseCase = new UpdateCategoryRuleUseCase(
+        this.categoryRuleRepository,
+        this.categoryRepository
+      );
+      this.deleteCategoryRuleUseCase = new DeleteCategoryRuleUseCase(this.categoryRuleRepository);
+      this.previewCategoryRuleUseCase = new PreviewCategoryRuleUseCase(
+        this.categoryRepository,
+        this.transactionRepository
+      );
+      this.applyCategoryRulesUseCase = new ApplyCategoryRulesUseCase(
+        this.categoryRuleRepository,
+        this.transactionRepository,
+        this.relearnTransactionsUseCase
+      );
+
       // Inicializar casos de uso de transações
       this.createTransactionUseCase = new CreateTransactionUseCase(
         this.transactionRepository,
-        this.categoryRepository
+        this.categoryRepository,
+        this.accountRepository,
+        this.payeeRepository,
+        this.categoryRuleRepository
       );
       this.listTransactionsUseCase = new ListTransactionsUseCase(this.transactionRepository);
       this.getTransactionByIdUseCase = new GetTransactionByIdUseCase(this.transactionRepository);
       this.updateTransactionUseCase = new UpdateTransactionUseCase(
         this.transactionRepository,
+        this.categoryRepository,
+        this.accountRepository,
+        this.payeeRepository,
+        this.relearnTransactionsUseCase
+      );
+      this.confirmPlannedTransactionUseCase = new ConfirmPlannedTransactionUseCase(this.transactionRepository);
+      this.deleteTransactionUseCase = new DeleteTransactionUseCase(
+        this.transactionRepository,
+        this.attachmentRepository,
+        this.attachmentStorage
+      );
+      this.bulkUpdateTransactionsUseCase = new BulkUpdateTransactionsUseCase(
+        this.transactionRepository,
+        this.categoryRepository,
+        this.relearnTransactionsUseCase
+      );
+      this.bulkDeleteTransactionsUseCase = new BulkDeleteTransactionsUseCase(
+        this.transactionRepository,
+        this.attachmentRepository,
+        this.attachmentStorage
+      );
+      this.findDuplicateTransactionsUseCase = new FindDuplicateTransactionsUseCase(this.transactionRepository);
+      this.mergeDuplicateTransactionsUseCase = new MergeDuplicateTransactionsUseCase(this.transactionRepository);
+
+      // Inicializar casos de uso de contas
+      this.createAccountUseCase = new CreateAccountUseCase(this.accountRepository);
+      this.listAccountsUseCase = new ListAccountsUseCase(this.accountRepository);
+      this.updateAccountUseCase = new UpdateAccountUseCase(this.accountRepository);
+      this.deleteAccountUseCase = new DeleteAccountUseCase(this.accountRepository);
+
+      // Inicializar casos de uso de transferências
+      this.createTransferUseCase = new CreateTransferUseCase(this.transferRepository, this.accountRepository);
+      this.getTransferUseCase = new GetTransferUseCase(this.transferRepository);
+      this.updateTransferUseCase = new UpdateTransferUseCase(this.transferRepository, this.accountRepository);
+      this.deleteTransferUseCase = new DeleteTransferUseCase(this.transferRepository);
+
+      // Inicializar casos de uso de compras parceladas
+      this.createInstallmentPlanUseCase = new CreateInstallmentPlanUseCase(
+        this.installmentPlanRepository,
+        this.categoryRepository,
+        this.accountRepository
+      );
+      this.getInstallmentPlanUseCase = new GetInstallmentPlanUseCase(this.installmentPlanRepository);
+      this.updateRemainingInstallmentsUseCase = new UpdateRemainingInstallmentsUseCase(
+        this.installmentPlanRepository,
+        this.categoryRepository,
+        this.accountRepository
+      );
+      this.cancelRemainingInstallmentsUseCase = new CancelRemainingInstallmentsUseCase(this.installmentPlanRepository);
+      this.deleteInstallmentPlanUseCase = new DeleteInstallmentPlanUseCase(this.installmentPlanRepository);
+
+      // Inicializar casos de uso de transações recorrentes
+      this.createRecurringRuleUseCase = new CreateRecurringRuleUseCase(
+        this.recurringRuleRepository,
+        this.categoryRepository,
+        this.accountRepository
+      );
+      this.listRecurringRulesUseCase = new ListRecurringRulesUseCase(this.recurringRuleRepository);
+      this.updateRecurringRuleUseCase = new UpdateRecurringRuleUseCase(
+        this.recurringRuleRepository,
+        this.categoryRepository,
+        this.accountRepository
+      );
+      this.deleteRecurringRuleUseCase = new DeleteRecurringRuleUseCase(this.recurringRuleRepository);
+      this.skipRecurringOccurrenceUseCase = new SkipRecurringOccurrenceUseCase(this.recurringRuleRepository);
+      this.modifyRecurringOccurrenceUseCase = new ModifyRecurringOccurrenceUseCase(this.recurringRuleRepository);
+      this.restoreRecurringOccurrenceUseCase = new RestoreRecurringOccurrenceUseCase(this.recurringRuleRepository);
+      this.materializeRecurringTransactionsUseCase = new MaterializeRecurringTransactionsUseCase(this.recurringRuleRepository);
+      this.getUpcomingOccurrencesUseCase = new GetUpcomingOccurrencesUseCase(this.recurringRuleRepository);
+
+      // Inicializar casos de uso de conciliação
+      this.startReconciliationUseCase = new StartReconciliationUseCase(
+        this.reconciliationRepository,
+        this.accountRepository,
+        this.transactionRepository
+      );
+      this.finishReconciliationUseCase = new FinishReconciliationUseCase(this.reconciliationRepository);
+      this.listReconciliationsUseCase = new ListReconciliationsUseCase(this.reconciliationRepository, this.accountRepository);
+      this.unlockReconciledTransactionUseCase = new UnlockReconciledTransactionUseCase(
+        this.transactionRepository,
+        this.reconciliationRepository
+      );
+
+      // Inicializar casos de uso de tags
+      this.listTagsUseCase = new ListTagsUseCase(this.tagRepository);
+
+      // Inicializar casos de uso de anexos
+      this.addAttachmentUseCase = new AddAttachmentUseCase(
+        this.attachmentRepository,
+        this.transactionRepository,
+        this.attachmentStorage
+      );
+      this.listAttachmentsUseCase = new ListAttachmentsUseCase(this.attachmentRepository, this.transactionRepository);
+      this.removeAttachmentUseCase = new RemoveAttachmentUseCase(this.attachmentRepository, this.attachmentStorage);
+      this.getAttachmentFileUseCase = new GetAttachmentFileUseCase(this.attachmentRepository, this.attachmentStorage);
+
+      // Inicializar casos de uso de favorecidos
+      this.createPayeeUseCase = new CreatePayeeUseCase(
+        this.payeeRepository,
+        this.categoryRepository,
+        this.transactionRepository
+      );
+      this.listPayeesUseCase = new ListPayeesUseCase(this.payeeRepository);
+      this.updatePayeeUseCase = new UpdatePayeeUseCase(
+        this.payeeRepository,
+        this.categoryRepository,
+        this.transactionRepository
+      );
+      this.deletePayeeUseCase = new DeletePayeeUseCase(this.payeeRepository);
+      this.getPayeeHistoryUseCase = new GetPayeeHistoryUseCase(this.payeeRepository, this.transactionRepository);
+
+      // Inicializar casos de uso de importação
+      this.previewCsvFileUseCase = new PreviewCsvFileUseCase(this.importFileService);
+      this.importCsvTransactionsUseCase = new ImportCsvTransactionsUseCase(
+        this.importFileService,
+        this.createTransactionUseCase,
         this.categoryRepository
       );
-      this.deleteTransactionUseCase = new DeleteTransactionUseCase(this.transactionRepository);
+      this.listImportProfilesUseCase = new ListImportProfilesUseCase(this.importProfileRepository);
+      this.saveImportProfileUseCase = new SaveImportProfileUseCase(this.importProfileRepository);
+      this.deleteImportProfileUseCase = new DeleteImportProfileUseCase(this.importProfileRepository);
+      this.importOfxStatementUseCase = new ImportOfxStatementUseCase(
+        this.importFileService,
+        this.createTransactionUseCase,
+        this.transactionRepository,
+        this.accountRepository
+      );
+      this.importQifTransactionsUseCase = new ImportQifTransactionsUseCase(
+        this.importFileService,
+        this.createTransactionUseCase,
+        this.createCategoryUseCase,
+        this.createTransferUseCase,
+        this.categoryRepository,
+        this.accountRepository,
+        this.transferRepository
+      );
+
+      // Inicializar casos de uso de cartões de crédito
+      this.getCardStatementsUseCase = new GetCardStatementsUseCase(this.accountRepository, this.transactionRepository);
+      this.payCardStatementUseCase = new PayCardStatementUseCase(
+        this.getCardStatementsUseCase,
+        this.createTransferUseCase,
+        this.accountRepository
+      );
 
       // Inicializar casos de uso de dashboard
-      this.getDashboardDataUseCase = new GetDashboardDataUseCase(this.transactionRepository);
+      this.getDashboardDataUseCase = new GetDashboardDataUseCase(this.transactionRepository, this.accountRepository);
 
       // Inicializar casos de uso de relatórios
       this.generateMonthlyReportUseCase = new GenerateMonthlyReportUseCase(this.transactionRepository);
@@ -156,6 +517,8 @@ class App {
       this.generateTopTransactionsReportUseCase = new GenerateTopTransactionsReportUseCase(this.transactionRepository);
       this.generateComparativeReportUseCase = new GenerateComparativeReportUseCase(this.transactionRepository);
       this.generatePatternAnalysisUseCase = new GeneratePatternAnalysisUseCase(this.transactionRepository);
+      this.generateTagReportUseCase = new GenerateTagReportUseCase(this.transactionRepository);
+      this.generatePayeeReportUseCase = new GeneratePayeeReportUseCase(this.transactionRepository);
 
       // Inicializar casos de uso de orçamentos
       this.createBudgetUseCase = new CreateBudgetUseCase(this.budgetRepository, this.categoryRepository);
@@ -174,13 +537,16 @@ class App {
       this.completeGoalUseCase = new CompleteGoalUseCase(this.goalRepository);
       this.getGoalStatsUseCase = new GetGoalStatsUseCase(this.goalRepository);
 
-      // Inicializar serviço de exportação
+      // Inicializar serviços de exportação
       this.pdfExportService = new PDFExportService();
+      this.exportFileService = new ExportFileService();
 
       // Inicializar casos de uso de exportação
       this.exportTransactionsUseCase = new ExportTransactionsToPDFUseCase(
         this.transactionRepository,
-        this.pdfExportService
+        this.pdfExportService,
+        this.attachmentRepository,
+        this.attachmentStorage
       );
 
       this.exportReportUseCase = new ExportReportToPDFUseCase(
@@ -195,9 +561,51 @@ class App {
         }
       );
 
+      this.exportQifUseCase = new ExportTransactionsToQifUseCase(
+        this.transactionRepository,
+        this.categoryRepository,
+        this.accountRepository,
+        this.exportFileService
+      );
+
+      this.exportTransactionsDataUseCase = new ExportTransactionsToDataFileUseCase(
+        this.transactionRepository,
+        this.categoryRepository,
+        this.exportFileService
+      );
+
+      this.exportReportDataUseCase = new ExportReportToDataFileUseCase(
+        {
+          monthly: this.generateMonthlyReportUseCase,
+          category: this.generateCategoryReportUseCase,
+          evolution: this.generateEvolutionReportUseCase,
+          top: this.generateTopTransactionsReportUseCase,
+          comparative: this.generateComparativeReportUseCase,
+          patterns: this.generatePatternAnalysisUseCase,
+          tag: this.generateTagReportUseCase,
+          payee: this.generatePayeeReportUseCase
+        },
+        this.exportFileService
+      );
+
       // Executar seed de categorias padrão (apenas primeira vez)
       await this.seedDefaultCategoriesUseCase.execute();
 
+      // Popular dados de demonstração
+      if (this.demo) {
+        this.demoUser = await new DemoDataSeeder({
+          authService: this.authService,
+          categoryRepository: this.categoryRepository,
+          accountRepository: this.accountRepository,
+          transferRepository: this.transferRepository,
+          installmentPlanRepository: this.installmentPlanRepository,
+          recurringRuleRepository: this.recurringRuleRepository,
+          transactionRepository: this.transactionRepository,
+          budgetRepository: this.budgetRepository,
+          goalRepository: this.goalRepository
+        }).run();
+      }
+
       return true;
     } catch (error) {
       console.error('\n');
@@ -209,6 +617,73 @@ class App {
     }
   }
 
+  /**
+   * Inicializa os repositórios do banco de dados configurado
+   */
+  async initializeDatabase() {
+    // Conectar ao banco de dados
+    this.database = database;
+    await this.database.connect();
+
+    // Verificar se o schema está atualizado (npm run migrate up)
+    await new MigrationRunner(this.database).assertUpToDate();
+
+    // Inicializar repositórios
+    this.userRepository = new UserRepository(this.database);
+    this.categoryRepository = new CategoryRepository(this.database);
+    this.transactionRepository = new TransactionRepository(this.database);
+    this.accountRepository = new AccountRepository(this.database);
+    this.transferRepository = new TransferRepository(this.database);
+    this.installmentPlanRepository = new InstallmentPlanRepository(this.database);
+    this.recurringRuleRepository = new RecurringRuleRepository(this.database);
+    this.reconciliationRepository = new ReconciliationRepository(this.database);
+    this.tagRepository = new TagRepository(this.database);
+    this.attachmentRepository = new AttachmentRepository(this.database);
+    this.payeeRepository = new PayeeRepository(this.database);
+    this.categoryRuleRepository = new CategoryRuleRepository(this.database);
+    this.categoryModelRepository = new CategoryModelRepository(this.database);
+    this.importProfileRepository = new ImportProfileRepository(this.database);
+    this.budgetRepository = new BudgetRepository(this.database);
+    this.goalRepository = new GoalRepository(this.database);
+
+    // Inicializar serviços
+    this.authService = new NeonAuthService(this.userRepository, this.database);
+    this.attachmentStorage = new AttachmentStorageService();
+    this.importFileService = new ImportFileService();
+  }
+
+  /**
+   * Inicializa os repositórios em memória (modo demonstração)
+   */
+  initializeInMemory() {
+    const store = new InMemoryStore();
+
+    this.userRepository = new InMemoryUserRepository(store);
+    this.categoryRepository = new InMemoryCategoryRepository(store);
+    this.transactionRepository = new InMemoryTransactionRepository(store);
+    this.accountRepository = new InMemoryAccountRepository(store);
+    this.transferRepository = new InMemoryTransferRepository(store);
+    this.installmentPlanRepository = new InMemoryInstallmentPlanRepository(store);
+    this.recurringRuleRepository = new InMemoryRecurringRuleRepository(store);
+    this.reconciliationRepository = new InMemoryReconciliationRepository(store);
+    this.tagRepository = new InMemoryTagRepository(store);
+    this.attachmentRepository = new InMemoryAttachmentRepository(store);
+    this.payeeRepository = new InMemoryPayeeRepository(store);
+    this.categoryRuleRepository = new InMemoryCategoryRuleRepository(store);
+    this.categoryModelRepository = new InMemoryCategoryModelRepository(store);
+    this.importProfileRepository = new InMemoryImportProfileRepository(store);
+    this.budgetRepository = new InMemoryBudgetRepository(store);
+    this.goalRepository = new InMemoryGoalRepository(store);
+
+    this.authService = new InMemoryAuthService(this.userRepository, store);
+
+    // Os anexos da demonstração ficam na pasta temporária, fora de data/
+    this.attachmentStorage = new AttachmentStorageService({
+      baseDir: path.join(os.tmpdir(), 'gestao-financeira-demo', 'attachments')
+    });
+    this.importFileService = new ImportFileService();
+  }
+
   /**
    * Inicia a aplicação
    */
@@ -220,8 +695,15 @@ class App {
         process.exit(1);
       }
 
-      // Loop principal
-      let currentUser = null;
+      // Loop principal (no modo demonstração, já entra com o usuário demo)
+      let currentUser = this.demoUser;
+
+      if (this.demo) {
+        console.log(infoMessage(
+          'Modo demonstração: os dados ficam apenas em memória e são descartados ao sair.\n' +
+          `Login: ${DEMO_CREDENTIALS.username} / Senha: ${DEMO_CREDENTIALS.password}`
+        ));
+      }
 
       while (true) {
         // Se não houver usuário logado, mostrar tela de autenticação
@@ -239,6 +721,9 @@ class App {
           }
         }
 
+        // Lançar as transações recorrentes que venceram desde o último acesso
+        await this.materializeRecurringTransactions(currentUser);
+
         // Mostrar tela principal
         const mainScreen = new MainScreen(
           currentUser,
@@ -246,14 +731,65 @@ class App {
             createCategoryUseCase: this.createCategoryUseCase,
             listCategoriesUseCase: this.listCategoriesUseCase,
             updateCategoryUseCase: this.updateCategoryUseCase,
-            deleteCategoryUseCase: this.deleteCategoryUseCase
+            deleteCategoryUseCase: this.deleteCategoryUseCase,
+            mergeCategoriesUseCase: this.mergeCategoriesUseCase,
+            moveCategoryUseCase: this.moveCategoryUseCase,
+            createCategoryRuleUseCase: this.createCategoryRuleUseCase,
+            listCategoryRulesUseCase: this.listCategoryRulesUseCase,
+            updateCategoryRuleUseCase: this.updateCategoryRuleUseCase,
+            deleteCategoryRuleUseCase: this.deleteCategoryRuleUseCase,
+            previewCategoryRuleUseCase: this.previewCategoryRuleUseCase,
+            applyCategoryRulesUseCase: this.applyCategoryRulesUseCase,
+            suggestCategoryUseCase: this.suggestCategoryUseCase,
+            learnCategoryChoiceUseCase: this.learnCategoryChoiceUseCase
           },
           {
             createTransactionUseCase: this.createTransactionUseCase,
             listTransactionsUseCase: this.listTransactionsUseCase,
             getTransactionByIdUseCase: this.getTransactionByIdUseCase,
             updateTransactionUseCase: this.updateTransactionUseCase,
-            deleteTransactionUseCase: this.deleteTransactionUseCase
+            confirmPlannedTransactionUseCase: this.confirmPlannedTransactionUseCase,
+            deleteTransactionUseCase: this.deleteTransactionUseCase,
+            bulkUpdateTransactionsUseCase: this.bulkUpdateTransactionsUseCase,
+            bulkDeleteTransactionsUseCase: this.bulkDeleteTransactionsUseCase,
+            findDuplicateTransactionsUseCase: this.findDuplicateTransactionsUseCase,
+            mergeDuplicateTransactionsUseCase: this.mergeDuplicateTransactionsUseCase,
+            unlockReconciledTransactionUseCase: this.unlockReconciledTransactionUseCase,
+            listTagsUseCase: this.listTagsUseCase,
+            addAttachmentUseCase: this.addAttachmentUseCase,
+            listAttachmentsUseCase: this.listAttachmentsUseCase,
+            removeAttachmentUseCase: this.removeAttachmentUseCase,
+            getAttachmentFileUseCase: this.getAttachmentFileUseCase,
+            createPayeeUseCase: this.createPayeeUseCase,
+            listPayeesUseCase: this.listPayeesUseCase,
+            updatePayeeUseCase: this.updatePayeeUseCase,
+            deletePayeeUseCase: this.deletePayeeUseCase,
+            getPayeeHistoryUseCase: this.getPayeeHistoryUseCase,
+            previewCsvFileUseCase: this.previewCsvFileUseCase,
+            importCsvTransactionsUseCase: this.importCsvTransactionsUseCase,
+            listImportProfilesUseCase: this.listImportProfilesUseCase,
+            saveImportProfileUseCase: this.saveImportProfileUseCase,
+            deleteImportProfileUseCase: this.deleteImportProfileUseCase,
+            importOfxStatementUseCase: this.importOfxStatementUseCase,
+            importQifTransactionsUseCase: this.importQifTransactionsUseCase,
+            createTransferUseCase: this.createTransferUseCase,
+            getTransferUseCase: this.getTransferUseCase,
+            updateTransferUseCase: this.updateTransferUseCase,
+            deleteTransferUseCase: this.deleteTransferUseCase,
+            createInstallmentPlanUseCase: this.createInstallmentPlanUseCase,
+            getInstallmentPlanUseCase: this.getInstallmentPlanUseCase,
+            updateRemainingInstallmentsUseCase: this.updateRemainingInstallmentsUseCase,
+            cancelRemainingInstallmentsUseCase: this.cancelRemainingInstallmentsUseCase,
+            deleteInstallmentPlanUseCase: this.deleteInstallmentPlanUseCase,
+            createRecurringRuleUseCase: this.createRecurringRuleUseCase,
+            listRecurringRulesUseCase: this.listRecurringRulesUseCase,
+            updateRecurringRuleUseCase: this.updateRecurringRuleUseCase,
+            deleteRecurringRuleUseCase: this.deleteRecurringRuleUseCase,
+            skipRecurringOccurrenceUseCase: this.skipRecurringOccurrenceUseCase,
+            modifyRecurringOccurrenceUseCase: this.modifyRecurringOccurrenceUseCase,
+            restoreRecurringOccurrenceUseCase: this.restoreRecurringOccurrenceUseCase,
+            materializeRecurringTransactionsUseCase: this.materializeRecurringTransactionsUseCase,
+            getUpcomingOccurrencesUseCase: this.getUpcomingOccurrencesUseCase
           },
           this.getDashboardDataUseCase,
           {
@@ -262,7 +798,9 @@ class App {
             generateEvolutionReport: this.generateEvolutionReportUseCase,
             generateTopTransactionsReport: this.generateTopTransactionsReportUseCase,
             generateComparativeReport: this.generateComparativeReportUseCase,
-            generatePatternAnalysisReport: this.generatePatternAnalysisUseCase
+            generatePatternAnalysisReport: this.generatePatternAnalysisUseCase,
+            generateTagReport: this.generateTagReportUseCase,
+            generatePayeeReport: this.generatePayeeReportUseCase
           },
           {
             createBudget: this.createBudgetUseCase,
@@ -283,7 +821,22 @@ class App {
           },
           {
             transactions: this.exportTransactionsUseCase,
-            report: this.exportReportUseCase
+            report: this.exportReportUseCase,
+            qif: this.exportQifUseCase,
+            transactionsData: this.exportTransactionsDataUseCase,
+            reportData: this.exportReportDataUseCase,
+            listCategories: this.listCategoriesUseCase
+          },
+          {
+            createAccount: this.createAccountUseCase,
+            listAccounts: this.listAccountsUseCase,
+            updateAccount: this.updateAccountUseCase,
+            deleteAccount: this.deleteAccountUseCase,
+            getCardStatements: this.getCardStatementsUseCase,
+            payCardStatement: this.payCardStatementUseCase,
+            startReconciliation: this.startReconciliationUseCase,
+            finishReconciliation: this.finishReconciliationUseCase,
+            listReconciliations: this.listReconciliationsUseCase
           }
         );
         const action = await mainScreen.show();
@@ -308,6 +861,20 @@ class App {
     }
   }
 
+  /**
+   * Lança as transações recorrentes vencidas do usuário
+   * @param {User} user
+   */
+  async materializeRecurringTransactions(user) {
+    const result = await this.materializeRecurringTransactionsUseCase.execute(user.id);
+
+    if (!result.success) {
+      console.error(errorMessage(result.errors.join('\n')));
+    } else if (result.createdCount > 0) {
+      console.log(successMessage(`${result.createdCount} transação(ões) recorrente(s) lançada(s) desde o último acesso`));
+    }
+  }
+
   /**
    * Limpa recursos
    */
@@ -318,6 +885,6 @@ class App {
   }
 }
 
-// Iniciar aplicação
-const app = new App();
+// Iniciar aplicação (npm run demo ou --demo: modo demonstração)
+const app = new App({ demo: process.argv.includes('--demo') });
 app.start();
@@ -0,0 +1,111 @@
+import bcrypt from 'bcryptjs';
+import { IAuthService } from '../../application/interfaces/IAuthService.js';
+import { User } from '../../domain/entities/User.js';
+
+/**
+ * Implementação do serviço de autenticação em memória (modo demonstração)
+ * Mesmo fluxo do NeonAuthService, com as senhas guardadas no InMemoryStore
+ */
+export class InMemoryAuthService extends IAuthService {
+  /**
+   * @param {InMemoryUserRepository} userRepository - Repositório de usuários
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(userRepository, store) {
+    super();
+    this.userRepository = userRepository;
+    this.store = store;
+    this.currentUser = null;
+  }
+
+  /**
+   * Registra um novo usuário
+   */
+  async register({ email, name, username, password }) {
+    try {
+      // Verificar se usuário já existe
+      const existingUser = await this.userRepository.findByEmail(email);
+      if (existingUser) {
+        return { success: false, error: 'Email já cadastrado' };
+      }
+
+      // Criar ID único para o usuário
+      const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      // Criar hash da senha
+      const passwordHash = await bcrypt.hash(password, 10);
+
+      // Criar usuário
+      const savedUser = await this.userRepository.create(new User({
+        id: userId,
+        email,
+        name,
+        username
+      }));
+
+      this.store.insert('user_auth', {
+        id: userId,
+        user_id: userId,
+        password_hash: passwordHash,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+
+      // Definir como usuário atual
+      this.currentUser = savedUser;
+
+      return { success: true, user: savedUser };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Faz login do usuário com username ou email
+   */
+  async login({ usernameOrEmail, password }) {
+    try {
+      const user = await this.userRepository.findByUsernameOrEmail(usernameOrEmail);
+      if (!user) {
+        return { success: false, error: 'Email ou senha inválidos' };
+      }
+
+      const auth = this.store.table('user_auth').find(row => row.user_id === user.id);
+      if (!auth) {
+        return { success: false, error: 'Email ou senha inválidos' };
+      }
+
+      const passwordMatch = await bcrypt.compare(password, auth.password_hash);
+      if (!passwordMatch) {
+        return { success: false, error: 'Email ou senha inválidos' };
+      }
+
+      this.currentUser = user;
+
+      return { success: true, user };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Faz logout do usuário
+   */
+  async logout() {
+    this.currentUser = null;
+  }
+
+  /**
+   * Obtém o usuário atual autenticado
+   */
+  async getCurrentUser() {
+    return this.currentUser;
+  }
+
+  /**
+   * Verifica se há um usuário autenticado
+   */
+  async isAuthenticated() {
+    return this.currentUser !== null;
+  }
+}
@@ -0,0 +1,243 @@
+import { IAccountRepository } from '../../domain/repositories/IAccountRepository.js';
+import { Account } from '../../domain/entities/Account.js';
+
+/**
+ * Implementação do repositório de contas usando NeonDB
+ */
+export class AccountRepository extends IAccountRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade Account
+   * @private
+   */
+  _rowToAccount(row) {
+    return new Account({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      type: row.type,
+      initialBalance: row.initial_balance,
+      icon: row.icon,
+      color: row.color,
+      isArchived: row.is_archived,
+      creditLimit: row.credit_limit,
+      closingDay: row.closing_day,
+      dueDay: row.due_day,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados calculados (quando há agregação)
+      balance: row.balance,
+      projectedBalance: row.projected_balance,
+      transactionCount: row.transaction_count
+    });
+  }
+
+  /**
+   * Query base: contas com saldo atual (saldo inicial + receitas - despesas
+   * realizadas até hoje) e saldo previsto (incluindo as parcelas futuras e as
+   * transações previstas)
+   * @private
+   */
+  _balanceQuery(where) {
+    return `
+      SELECT
+        a.*,
+        a.initial_balance + COALESCE(SUM(
+          CASE
+            WHEN DATE(t.date) > CURRENT_DATE THEN 0
+            WHEN t.status = 'planned' THEN 0
+            WHEN t.type = 'income' THEN t.amount
+            WHEN t.type = 'expense' THEN -t.amount
+            ELSE 0
+          END
+        ), 0) as balance,
+        a.initial_balance + COALESCE(SUM(
+          CASE
+            WHEN t.type = 'income' THEN t.amount
+            WHEN t.type = 'expense' THEN -t.amount
+            ELSE 0
+          END
+        ), 0) as projected_balance,
+        COUNT(t.id) as transaction_count
+      FROM accounts a
+      LEFT JOIN transactions t ON t.account_id = a.id
+      WHERE ${where}
+      GROUP BY a.id
+    `;
+  }
+
+  /**
+   * Cria uma nova conta
+   */
+  async create(account) {
+    const query = `
+      INSERT INTO accounts (
+        user_id, name, type, initial_balance, icon, color, is_archived,
+        credit_limit, closing_day, due_day, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const params = [
+      account.userId,
+      account.name.trim(),
+      account.type,
+      account.initialBalance,
+      account.icon,
+      account.color,
+      account.isArchived,
+      account.creditLimit,
+      account.closingDay,
+      account.dueDay
+    ];
+
+    const result = await this.database.query(query, params);
+
+    return this._rowToAccount(result.rows[0]);
+  }
+
+  /**
+   * Busca uma conta por ID (com saldo atual)
+   */
+  async findById(id) {
+    const result = await this.database.query(this._balanceQuery('a.id = $1'), [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this._rowToAccount(result.rows[0]);
+  }
+
+  /**
+   * Lista as contas de um usuário com o saldo atual de cada uma
+   */
+  async findByUserId(userId, options = {}) {
+    const { includeArchived = false } = options;
+
+    let where = 'a.user_id = $1';
+    if (!includeArchived) {
+      where += ' AND a.is_archived = FALSE';
+    }
+
+    const query = `${this._balanceQuery(where)} ORDER BY a.is_archived ASC, a.created_at ASC, a.id ASC`;
+    const result = await this.database.query(query, [userId]);
+
+    return result.rows.map(row => this._rowToAccount(row));
+  }
+
+  /**
+   * Busca a conta padrão do usuário (a conta ativa mais antiga)
+   */
+  async findDefaultByUserId(userId) {
+    const result = await this.database.query(
+      `SELECT * FROM accounts
+       WHERE user_id = $1 AND is_archived = FALSE
+       ORDER BY created_at ASC, id ASC
+       LIMIT 1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this._rowToAccount(result.rows[0]);
+  }
+
+  /**
+   * Atualiza uma conta existente
+   */
+  async update(id, data) {
+    const updateFields = [];
+    const params = [];
+    let paramIndex = 1;
+
+    // Campos que podem ser atualizados
+    const allowedFields = [
+      'name', 'type', 'initial_balance', 'icon', 'color', 'is_archived',
+      'credit_limit', 'closing_day', 'due_day'
+    ];
+
+    Object.keys(data).forEach(key => {
+      const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      if (allowedFields.includes(snakeKey) && data[key] !== undefined) {
+        updateFields.push(`${snakeKey} = $${paramIndex}`);
+        params.push(data[key]);
+        paramIndex++;
+      }
+    });
+
+    if (updateFields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    updateFields.push('updated_at = NOW()');
+    params.push(id);
+
+    const query = `
+      UPDATE accounts
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `;
+
+    const result = await this.database.query(query, params);
+
+    if (result.rows.length === 0) {
+      throw new Error('Conta não encontrada');
+    }
+
+    // Buscar com o saldo atual
+    return await this.findById(result.rows[0].id);
+  }
+
+  /**
+   * Deleta uma conta
+   */
+  async delete(id) {
+    const result = await this.database.query('DELETE FROM accounts WHERE id = $1', [id]);
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Verifica se o usuário já possui uma conta com o nome
+   */
+  async existsByName(userId, name, excludeId = null) {
+    let query = `
+      SELECT EXISTS(
+        SELECT 1 FROM accounts
+        WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+    `;
+    const params = [userId, name.trim()];
+
+    if (excludeId) {
+      query += ' AND id != $3';
+      params.push(excludeId);
+    }
+
+    query += ') as exists';
+
+    const result = await this.database.query(query, params);
+
+    return result.rows[0].exists;
+  }
+
+  /**
+   * Verifica se a conta possui transações
+   */
+  async hasTransactions(accountId) {
+    const result = await this.database.query(
+      'SELECT EXISTS(SELECT 1 FROM transactions WHERE account_id = $1) as exists',
+      [accountId]
+    );
+
+    return result.rows[0].exists;
+  }
+}
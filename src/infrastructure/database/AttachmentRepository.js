@@ -0,0 +1,128 @@
+import { IAttachmentRepository } from '../../domain/repositories/IAttachmentRepository.js';
+import { Attachment } from '../../domain/entities/Attachment.js';
+
+/**
+ * Implementação do repositório de anexos usando NeonDB
+ */
+export class AttachmentRepository extends IAttachmentRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade Attachment
+   * @private
+   */
+  _rowToAttachment(row) {
+    return new Attachment({
+      id: row.id,
+      userId: row.user_id,
+      transactionId: row.transaction_id,
+      fileName: row.file_name,
+      contentHash: row.content_hash,
+      mimeType: row.mime_type,
+      size: row.size,
+      createdAt: row.created_at
+    });
+  }
+
+  /**
+   * Grava um anexo
+   */
+  async create(attachment) {
+    try {
+      const result = await this.database.query(
+        `INSERT INTO attachments (user_id, transaction_id, file_name, content_hash, mime_type, size, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING *`,
+        [
+          attachment.userId,
+          attachment.transactionId,
+          attachment.fileName,
+          attachment.contentHash,
+          attachment.mimeType,
+          attachment.size
+        ]
+      );
+
+      return this._rowToAttachment(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Transação não encontrada');
+      }
+      if (error.code === '23505') { // Unique violation
+        throw new Error('Este arquivo já está anexado a esta transação');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um anexo por ID
+   */
+  async findById(id) {
+    const result = await this.database.query('SELECT * FROM attachments WHERE id = $1', [id]);
+
+    return result.rows.length > 0 ? this._rowToAttachment(result.rows[0]) : null;
+  }
+
+  /**
+   * Lista os anexos de uma transação
+   */
+  async findByTransactionId(transactionId) {
+    return this.findByTransactionIds([transactionId]);
+  }
+
+  /**
+   * Lista os anexos de várias transações
+   */
+  async findByTransactionIds(transactionIds) {
+    if (transactionIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = transactionIds.map((_, index) => `$${index + 1}`).join(', ');
+    const result = await this.database.query(
+      `SELECT * FROM attachments
+       WHERE transaction_id IN (${placeholders})
+       ORDER BY id`,
+      transactionIds
+    );
+
+    return result.rows.map(row => this._rowToAttachment(row));
+  }
+
+  /**
+   * Verifica se o arquivo já está anexado à transação
+   */
+  async existsInTransaction(transactionId, contentHash) {
+    const result = await this.database.query(
+      'SELECT 1 FROM attachments WHERE transaction_id = $1 AND content_hash = $2',
+      [transactionId, contentHash]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Verifica se algum anexo ainda usa o arquivo
+   */
+  async isContentInUse(contentHash) {
+    const result = await this.database.query(
+      'SELECT 1 FROM attachments WHERE content_hash = $1 LIMIT 1',
+      [contentHash]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Remove um anexo
+   */
+  async delete(id) {
+    const result = await this.database.query('DELETE FROM attachments WHERE id = $1', [id]);
+
+    return result.rowCount > 0;
+  }
+}
@@ -0,0 +1,976 @@
+import { IBackupRepository } from '../../domain/repositories/IBackupRepository.js';
+
+/**
+ * Registros que impedem a restauração: ela só entra em um usuário sem dados
+ */
+const USER_DATA_TABLES = [
+  'transactions',
+  'transfers',
+  'installment_plans',
+  'recurring_rules',
+  'reconciliations',
+  'budgets',
+  'goals'
+];
+
+/**
+ * Erro lançado no final de uma simulação para desfazer a transação
+ */
+class DryRunRollback extends Error {}
+
+/**
+ * Data (coluna DATE) como 'YYYY-MM-DD'
+ */
+function toDay(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Data e hora (coluna TIMESTAMP) em ISO 8601
+ */
+function toTimestamp(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Número (o driver pg devolve DECIMAL como texto)
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Lista gravada separada por vírgulas
+ */
+function toList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(item => item) : [];
+}
+
+/**
+ * Data e hora de um registro do backup para gravar (agora, se não houver)
+ */
+function fromTimestamp(value) {
+  return value ? new Date(value) : new Date();
+}
+
+/**
+ * Implementação do repositório de backup usando NeonDB
+ * As consultas leem e gravam as tabelas diretamente, com os mesmos valores
+ * (datas de criação, quantidades geradas, valor guardado das metas etc.),
+ * sem passar pelas regras dos outros repositórios.
+ */
+export class BackupRepository extends IBackupRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Busca o perfil e todos os dados de um usuário
+   */
+  async findUserData(userId) {
+    const userResult = await this.database.query(
+      `SELECT u.*, a.password_hash
+       FROM users u
+       LEFT JOIN user_auth a ON a.user_id = u.id
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return null;
+    }
+
+    const rows = async sql => (await this.database.query(sql, [userId])).rows;
+
+    const accounts = await rows('SELECT * FROM accounts WHERE user_id = $1 ORDER BY id');
+    const categories = await rows('SELECT * FROM categories WHERE user_id = $1 OR user_id IS NULL ORDER BY id');
+    const payees = await rows('SELECT * FROM payees WHERE user_id = $1 ORDER BY id');
+    const aliases = await rows(
+      `SELECT pa.* FROM payee_aliases pa
+       JOIN payees p ON p.id = pa.payee_id
+       WHERE p.user_id = $1 ORDER BY pa.id`
+    );
+    const tags = await rows('SELECT * FROM tags WHERE user_id = $1 ORDER BY name');
+    const transfers = await rows('SELECT * FROM transfers WHERE user_id = $1 ORDER BY id');
+    const installmentPlans = await rows('SELECT * FROM installment_plans WHERE user_id = $1 ORDER BY id');
+    const recurringRules = await rows('SELECT * FROM recurring_rules WHERE user_id = $1 ORDER BY id');
+    const exceptions = await rows(
+      `SELECT e.* FROM recurring_rule_exceptions e
+       JOIN recurring_rules r ON r.id = e.rule_id
+       WHERE r.user_id = $1 ORDER BY e.occurrence_number`
+    );
+    const reconciliations = await rows('SELECT * FROM reconciliations WHERE user_id = $1 ORDER BY id');
+    const transactions = await rows('SELECT * FROM transactions WHERE user_id = $1 ORDER BY id');
+    const splits = await rows(
+      `SELECT s.* FROM transaction_splits s
+       JOIN transactions t ON t.id = s.transaction_id
+       WHERE t.user_id = $1 ORDER BY s.id`
+    );
+    const transactionTags = await rows(
+      `SELECT tt.transaction_id, tg.name FROM transaction_tags tt
+       JOIN tags tg ON tg.id = tt.tag_id
+       JOIN transactions t ON t.id = tt.transaction_id
+       WHERE t.user_id = $1 ORDER BY tg.name`
+    );
+    const attachments = await rows('SELECT * FROM attachments WHERE user_id = $1 ORDER BY id');
+    const budgets = await rows('SELECT * FROM budgets WHERE user_id = $1 ORDER BY id');
+    const goals = await rows('SELECT * FROM goals WHERE user_id = $1 ORDER BY id');
+    const contributions = await rows(
+      `SELECT gc.* FROM goal_contributions gc
+       JOIN goals g ON g.id = gc.goal_id
+       WHERE g.user_id = $1 ORDER BY gc.contribution_date, gc.id`
+    );
+    const categoryRules = await rows('SELECT * FROM category_rules WHERE user_id = $1 ORDER BY priority, id');
+    const categoryModels = await rows('SELECT * FROM category_models WHERE user_id = $1');
+    const importProfiles = await rows('SELECT * FROM import_profiles WHERE user_id = $1 ORDER BY id');
+
+    const childrenOf = (children, key) => {
+      const grouped = new Map();
+
+      children.forEach(child => {
+        const parentId = Number(child[key]);
+        grouped.set(parentId, [...(grouped.get(parentId) || []), child]);
+      });
+
+      return id => grouped.get(Number(id)) || [];
+    };
+
+    const aliasesOf = childrenOf(aliases, 'payee_id');
+    const exceptionsOf = childrenOf(exceptions, 'rule_id');
+    const splitsOf = childrenOf(splits, 'transaction_id');
+    const tagsOf = childrenOf(transactionTags, 'transaction_id');
+    const contributionsOf = childrenOf(contributions, 'goal_id');
+
+    const user = userResult.rows[0];
+    const model = categoryModels[0];
+
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        username: user.username || null,
+        passwordHash: user.password_hash || null,
+        createdAt: toTimestamp(user.created_at),
+        updatedAt: toTimestamp(user.updated_at)
+      },
+      data: {
+        accounts: accounts.map(row => ({
+          id: row.id,
+          name: row.name,
+          type: row.type,
+          initialBalance: toNumber(row.initial_balance),
+          icon: row.icon,
+          color: row.color,
+          isArchived: Boolean(row.is_archived),
+          creditLimit: toNumber(row.credit_limit),
+          closingDay: row.closing_day,
+          dueDay: row.due_day,
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        categories: this._usedCategories(categories, {
+          payees, installmentPlans, recurringRules, transactions, splits, budgets, categoryRules
+        }).map(row => ({
+          id: row.id,
+          parentId: row.parent_id,
+          name: row.name,
+          type: row.type,
+          icon: row.icon,
+          color: row.color,
+          isDefault: Boolean(row.is_default),
+          isGlobal: row.user_id === null,
+          createdAt: toTimestamp(row.created_at)
+        })),
+        payees: payees.map(row => ({
+          id: row.id,
+          name: row.name,
+          defaultCategoryId: row.default_category_id,
+          aliases: aliasesOf(row.id).map(alias => alias.alias),
+          createdAt: toTimestamp(row.created_at)
+        })),
+        tags: tags.map(row => ({
+          name: row.name,
+          createdAt: toTimestamp(row.created_at)
+        })),
+        transfers: transfers.map(row => ({
+          id: row.id,
+          fromAccountId: row.from_account_id,
+          toAccountId: row.to_account_id,
+          amount: toNumber(row.amount),
+          description: row.description,
+          date: toDay(row.date),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        installmentPlans: installmentPlans.map(row => ({
+          id: row.id,
+          categoryId: row.category_id,
+          accountId: row.account_id,
+          description: row.description,
+          totalAmount: toNumber(row.total_amount),
+          installmentCount: row.installment_count,
+          date: toDay(row.date),
+          cancelledAt: toTimestamp(row.cancelled_at),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        recurringRules: recurringRules.map(row => ({
+          id: row.id,
+          type: row.type,
+          categoryId: row.category_id,
+          accountId: row.account_id,
+          amount: toNumber(row.amount),
+          description: row.description,
+          frequency: row.frequency,
+          dayOfMonth: row.day_of_month,
+          startDate: toDay(row.start_date),
+          endDate: toDay(row.end_date),
+          maxOccurrences: row.max_occurrences,
+          generatedCount: row.generated_count,
+          isActive: Boolean(row.is_active),
+          exceptions: exceptionsOf(row.id).map(exception => ({
+            occurrenceNumber: exception.occurrence_number,
+            isSkipped: Boolean(exception.is_skipped),
+            amount: toNumber(exception.amount),
+            description: exception.description,
+            createdAt: toTimestamp(exception.created_at)
+          })),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        reconciliations: reconciliations.map(row => ({
+          id: row.id,
+          accountId: row.account_id,
+          statementDate: toDay(row.statement_date),
+          statementBalance: toNumber(row.statement_balance),
+          createdAt: toTimestamp(row.created_at)
+        })),
+        transactions: transactions.map(row => ({
+          id: row.id,
+          type: row.type,
+          categoryId: row.category_id,
+          accountId: row.account_id,
+          amount: toNumber(row.amount),
+          description: row.description,
+          date: toDay(row.date),
+          status: row.status,
+          payeeId: row.payee_id,
+          transferId: row.transfer_id,
+          installmentPlanId: row.installment_plan_id,
+          installmentNumber: row.installment_number,
+          recurringRuleId: row.recurring_rule_id,
+          reconciliationId: row.reconciliation_id,
+          externalId: row.external_id,
+          splits: splitsOf(row.id).map(split => ({
+            categoryId: split.category_id,
+            amount: toNumber(split.amount)
+          })),
+          tags: tagsOf(row.id).map(tag => tag.name),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        attachments: attachments.map(row => ({
+          transactionId: row.transaction_id,
+          fileName: row.file_name,
+          contentHash: row.content_hash,
+          mimeType: row.mime_type,
+          size: row.size,
+          createdAt: toTimestamp(row.created_at)
+        })),
+        budgets: budgets.map(row => ({
+          categoryId: row.category_id,
+          amount: toNumber(row.amount),
+          period: row.period,
+          startDate: toDay(row.start_date),
+          endDate: toDay(row.end_date),
+          rollover: Boolean(row.rollover),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        goals: goals.map(row => ({
+          name: row.name,
+          targetAmount: toNumber(row.target_amount),
+          currentAmount: toNumber(row.current_amount),
+          monthlyContribution: toNumber(row.monthly_contribution),
+          deadline: toDay(row.deadline),
+          status: row.status,
+          completedAt: toTimestamp(row.completed_at),
+          contributions: contributionsOf(row.id).map(contribution => ({
+            amount: toNumber(contribution.amount),
+            description: contribution.description,
+            contributionDate: toDay(contribution.contribution_date),
+            createdAt: toTimestamp(contribution.created_at)
+          })),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        categoryRules: categoryRules.map(row => ({
+          priority: row.priority,
+          isActive: Boolean(row.is_active),
+          descriptionContains: row.description_contains,
+          minAmount: toNumber(row.min_amount),
+          maxAmount: toNumber(row.max_amount),
+          weekdays: toList(row.weekdays).map(Number),
+          categoryId: row.category_id,
+          tags: toList(row.tags),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        })),
+        categoryModel: model
+          ? { ...JSON.parse(model.model), updatedAt: toTimestamp(model.updated_at) }
+          : null,
+        importProfiles: importProfiles.map(row => ({
+          name: row.name,
+          settings: JSON.parse(row.settings),
+          createdAt: toTimestamp(row.created_at),
+          updatedAt: toTimestamp(row.updated_at)
+        }))
+      }
+    };
+  }
+
+  /**
+   * Conta os registros que impedem uma restauração
+   */
+  async countUserData(userId) {
+    const counts = USER_DATA_TABLES
+      .map(table => `(SELECT COUNT(*) FROM ${table} WHERE user_id = $1)`)
+      .join(' + ');
+
+    const result = await this.database.query(`SELECT ${counts} as count`, [userId]);
+
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Grava os dados de um backup para um usuário
+   */
+  async restoreUserData(userId, data, options = {}) {
+    const { user = null, dryRun = false } = options;
+    let outcome = null;
+
+    try {
+      await this.database.transaction(async client => {
+        const context = {
+          client,
+          userId,
+          ids: {
+            accounts: new Map(),
+            categories: new Map(),
+            payees: new Map(),
+            tags: new Map(),
+            transfers: new Map(),
+            installmentPlans: new Map(),
+            recurringRules: new Map(),
+            reconciliations: new Map(),
+            transactions: new Map()
+          },
+          restored: {},
+          reused: {},
+          createdCategories: []
+        };
+
+        if (user) {
+          await this._restoreUser(context, user);
+        }
+
+        await this._restoreAccounts(context, data.accounts);
+        await this._restoreCategories(context, data.categories);
+        await this._restorePayees(context, data.payees);
+        await this._restoreTags(context, data.tags);
+        await this._restoreSchedules(context, data);
+        await this._restoreTransactions(context, data.transactions);
+        await this._restoreAttachments(context, data.attachments);
+        await this._restorePlanning(context, data);
+        await this._restoreSettings(context, data);
+
+        outcome = {
+          restored: context.restored,
+          reused: context.reused,
+          createdCategories: context.createdCategories
+        };
+
+        if (dryRun) {
+          throw new DryRunRollback();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) {
+        throw error;
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Categorias do usuário mais as categorias padrão (globais) usadas pelos
+   * seus registros, com a categoria principal de cada subcategoria usada
+   * @private
+   */
+  _usedCategories(categories, records) {
+    const used = new Set();
+    const use = id => {
+      if (id !== null && id !== undefined) {
+        used.add(Number(id));
+      }
+    };
+
+    records.payees.forEach(row => use(row.default_category_id));
+    ['installmentPlans', 'recurringRules', 'transactions', 'splits', 'budgets', 'categoryRules']
+      .forEach(key => records[key].forEach(row => use(row.category_id)));
+    categories.filter(row => row.user_id !== null).forEach(row => use(row.parent_id));
+
+    const byId = new Map(categories.map(row => [Number(row.id), row]));
+    [...used].forEach(id => use(byId.has(id) ? byId.get(id).parent_id : null));
+
+    return categories.filter(row => row.user_id !== null || used.has(Number(row.id)));
+  }
+
+  /**
+   * Id novo de uma referência do backup
+   * @private
+   */
+  _ref(context, section, id) {
+    if (id === null || id === undefined) {
+      return null;
+    }
+
+    if (!context.ids[section].has(Number(id))) {
+      throw new Error(`Referência não encontrada no backup: ${section} ${id}`);
+    }
+
+    return context.ids[section].get(Number(id));
+  }
+
+  /**
+   * Insere um registro e devolve o id criado
+   * @private
+   */
+  async _insert(context, table, values, returning = true) {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((column, index) => `$${index + 1}`);
+
+    const result = await context.client.query(
+      `INSERT INTO ${table} (${columns.join(', ')})
+       VALUES (${placeholders.join(', ')})${returning ? ' RETURNING id' : ''}`,
+      Object.values(values)
+    );
+
+    return returning ? result.rows[0].id : null;
+  }
+
+  /**
+   * Soma um registro restaurado (ou reaproveitado) de uma seção
+   * @private
+   */
+  _count(counts, section) {
+    counts[section] = (counts[section] || 0) + 1;
+  }
+
+  /**
+   * Cria o usuário com o perfil (e a senha) do backup
+   * @private
+   */
+  async _restoreUser(context, user) {
+    await this._insert(context, 'users', {
+      id: context.userId,
+      email: user.email,
+      name: user.name,
+      username: user.username || null,
+      created_at: fromTimestamp(user.createdAt),
+      updated_at: fromTimestamp(user.updatedAt)
+    }, false);
+
+    if (user.passwordHash) {
+      await this._insert(context, 'user_auth', {
+        user_id: context.userId,
+        password_hash: user.passwordHash
+      }, false);
+    }
+  }
+
+  /**
+   * Contas: uma conta de mesmo nome do usuário de destino é reaproveitada
+   * @private
+   */
+  async _restoreAccounts(context, accounts) {
+    const existing = (await context.client.query(
+      'SELECT id, name FROM accounts WHERE user_id = $1',
+      [context.userId]
+    )).rows;
+
+    for (const account of accounts) {
+      const match = existing.find(row => row.name === account.name);
+
+      if (match) {
+        context.ids.accounts.set(Number(account.id), match.id);
+        this._count(context.reused, 'accounts');
+        continue;
+      }
+
+      const id = await this._insert(context, 'accounts', {
+        user_id: context.userId,
+        name: account.name,
+        type: account.type,
+        initial_balance: account.initialBalance || 0,
+        icon: account.icon,
+        color: account.color,
+        is_archived: Boolean(account.isArchived),
+        credit_limit: account.creditLimit,
+        closing_day: account.closingDay,
+        due_day: account.dueDay,
+        created_at: fromTimestamp(account.createdAt),
+        updated_at: fromTimestamp(account.updatedAt)
+      });
+
+      context.ids.accounts.set(Number(account.id), id);
+      this._count(context.restored, 'accounts');
+    }
+  }
+
+  /**
+   * Categorias, as principais antes das subcategorias. Uma categoria padrão
+   * é procurada entre as padrão do banco de destino (mesmo nome, tipo e
+   * categoria principal) e, se não existir, é criada para o usuário; uma
+   * categoria do usuário de mesmo nome é reaproveitada
+   * @private
+   */
+  async _restoreCategories(context, categories) {
+    const existing = (await context.client.query(
+      'SELECT id, user_id, parent_id, name, type FROM categories WHERE user_id = $1 OR user_id IS NULL',
+      [context.userId]
+    )).rows;
+
+    let pending = [...categories];
+
+    while (pending.length > 0) {
+      const ready = pending.filter(category =>
+        category.parentId === null || category.parentId === undefined ||
+        context.ids.categories.has(Number(category.parentId)));
+
+      if (ready.length === 0) {
+        throw new Error('Categorias do backup com a categoria principal em ciclo');
+      }
+
+      for (const category of ready) {
+        const parentId = this._ref(context, 'categories', category.parentId);
+        const match = existing.find(row =>
+          (row.user_id === null) === Boolean(category.isGlobal) &&
+          row.name === category.name &&
+          row.type === category.type &&
+          (row.parent_id === null ? null : Number(row.parent_id)) === (parentId === null ? null : Number(parentId)));
+
+        if (match) {
+          context.ids.categories.set(Number(category.id), match.id);
+          this._count(context.reused, 'categories');
+          continue;
+        }
+
+        const id = await this._insert(context, 'categories', {
+          user_id: context.userId,
+          parent_id: parentId,
+          name: category.name,
+          type: category.type,
+          icon: category.icon,
+          color: category.color,
+          is_default: category.isGlobal ? false : Boolean(category.isDefault),
+          created_at: fromTimestamp(category.createdAt)
+        });
+
+        context.ids.categories.set(Number(category.id), id);
+        this._count(context.restored, 'categories');
+
+        if (category.isGlobal) {
+          context.createdCategories.push(category.name);
+        }
+      }
+
+      pending = pending.filter(category => !ready.includes(category));
+    }
+  }
+
+  /**
+   * Favorecidos e apelidos: um favorecido de mesmo nome é reaproveitado
+   * @private
+   */
+  async _restorePayees(context, payees) {
+    const existing = (await context.client.query(
+      'SELECT id, name FROM payees WHERE user_id = $1',
+      [context.userId]
+    )).rows;
+
+    for (const payee of payees) {
+      const match = existing.find(row => row.name === payee.name);
+
+      if (match) {
+        context.ids.payees.set(Number(payee.id), match.id);
+        this._count(context.reused, 'payees');
+        continue;
+      }
+
+      const id = await this._insert(context, 'payees', {
+        user_id: context.userId,
+        name: payee.name,
+        default_category_id: this._ref(context, 'categories', payee.defaultCategoryId),
+        created_at: fromTimestamp(payee.createdAt)
+      });
+
+      for (const alias of [...new Set(payee.aliases || [])]) {
+        await this._insert(context, 'payee_aliases', { payee_id: id, alias });
+      }
+
+      context.ids.payees.set(Number(payee.id), id);
+      this._count(context.restored, 'payees');
+    }
+  }
+
+  /**
+   * Tags (pelo nome): uma tag de mesmo nome é reaproveitada
+   * @private
+   */
+  async _restoreTags(context, tags) {
+    const existing = (await context.client.query(
+      'SELECT id, name FROM tags WHERE user_id = $1',
+      [context.userId]
+    )).rows;
+
+    existing.forEach(row => context.ids.tags.set(row.name, row.id));
+
+    for (const tag of tags) {
+      if (context.ids.tags.has(tag.name)) {
+        this._count(context.reused, 'tags');
+        continue;
+      }
+
+      await this._createTag(context, tag.name, tag.createdAt);
+    }
+  }
+
+  /**
+   * Cria uma tag e guarda o id pelo nome
+   * @private
+   */
+  async _createTag(context, name, createdAt) {
+    const id = await this._insert(context, 'tags', {
+      user_id: context.userId,
+      name,
+      created_at: fromTimestamp(createdAt)
+    });
+
+    context.ids.tags.set(name, id);
+    this._count(context.restored, 'tags');
+
+    return id;
+  }
+
+  /**
+   * Transferências, compras parceladas, transações recorrentes (com as
+   * exceções) e conciliações, referenciadas pelas transações
+   * @private
+   */
+  async _restoreSchedules(context, data) {
+    for (const transfer of data.transfers) {
+      const id = await this._insert(context, 'transfers', {
+        user_id: context.userId,
+        from_account_id: this._ref(context, 'accounts', transfer.fromAccountId),
+        to_account_id: this._ref(context, 'accounts', transfer.toAccountId),
+        amount: transfer.amount,
+        description: transfer.description,
+        date: transfer.date,
+        created_at: fromTimestamp(transfer.createdAt),
+        updated_at: fromTimestamp(transfer.updatedAt)
+      });
+
+      context.ids.transfers.set(Number(transfer.id), id);
+      this._count(context.restored, 'transfers');
+    }
+
+    for (const plan of data.installmentPlans) {
+      const id = await this._insert(context, 'installment_plans', {
+        user_id: context.userId,
+        category_id: this._ref(context, 'categories', plan.categoryId),
+        account_id: this._ref(context, 'accounts', plan.accountId),
+        description: plan.description,
+        total_amount: plan.totalAmount,
+        installment_count: plan.installmentCount,
+        date: plan.date,
+        cancelled_at: plan.cancelledAt ? new Date(plan.cancelledAt) : null,
+        created_at: fromTimestamp(plan.createdAt),
+        updated_at: fromTimestamp(plan.updatedAt)
+      });
+
+      context.ids.installmentPlans.set(Number(plan.id), id);
+      this._count(context.restored, 'installmentPlans');
+    }
+
+    for (const rule of data.recurringRules) {
+      const id = await this._insert(context, 'recurring_rules', {
+        user_id: context.userId,
+        type: rule.type,
+        category_id: this._ref(context, 'categories', rule.categoryId),
+        account_id: this._ref(context, 'accounts', rule.accountId),
+        amount: rule.amount,
+        description: rule.description,
+        frequency: rule.frequency,
+        day_of_month: rule.dayOfMonth,
+        start_date: rule.startDate,
+        end_date: rule.endDate,
+        max_occurrences: rule.maxOccurrences,
+        generated_count: rule.generatedCount || 0,
+        is_active: rule.isActive !== false,
+        created_at: fromTimestamp(rule.createdAt),
+        updated_at: fromTimestamp(rule.updatedAt)
+      });
+
+      for (const exception of rule.exceptions || []) {
+        await this._insert(context, 'recurring_rule_exceptions', {
+          rule_id: id,
+          occurrence_number: exception.occurrenceNumber,
+          is_skipped: Boolean(exception.isSkipped),
+          amount: exception.amount,
+          description: exception.description,
+          created_at: fromTimestamp(exception.createdAt)
+        });
+      }
+
+      context.ids.recurringRules.set(Number(rule.id), id);
+      this._count(context.restored, 'recurringRules');
+    }
+
+    for (const reconciliation of data.reconciliations) {
+      const id = await this._insert(context, 'reconciliations', {
+        user_id: context.userId,
+        account_id: this._ref(context, 'accounts', reconciliation.accountId),
+        statement_date: reconciliation.statementDate,
+        statement_balance: reconciliation.statementBalance,
+        created_at: fromTimestamp(reconciliation.createdAt)
+      });
+
+      context.ids.reconciliations.set(Number(reconciliation.id), id);
+      this._count(context.restored, 'reconciliations');
+    }
+  }
+
+  /**
+   * Transações, na ordem em que foram criadas, com as divisões e as tags
+   * @private
+   */
+  async _restoreTransactions(context, transactions) {
+    const ordered = [...transactions].sort((a, b) => Number(a.id) - Number(b.id));
+
+    for (const transaction of ordered) {
+      const id = await this._insert(context, 'transactions', {
+        user_id: context.userId,
+        type: transaction.type,
+        category_id: this._ref(context, 'categories', transaction.categoryId),
+        account_id: this._ref(context, 'accounts', transaction.accountId),
+        amount: transaction.amount,
+        description: transaction.description,
+        date: transaction.date,
+        status: transaction.status || 'cleared',
+        payee_id: this._ref(context, 'payees', transaction.payeeId),
+        transfer_id: this._ref(context, 'transfers', transaction.transferId),
+        installment_plan_id: this._ref(context, 'installmentPlans', transaction.installmentPlanId),
+        installment_number: transaction.installmentNumber,
+        recurring_rule_id: this._ref(context, 'recurringRules', transaction.recurringRuleId),
+        reconciliation_id: this._ref(context, 'reconciliations', transaction.reconciliationId),
+        external_id: transaction.externalId,
+        created_at: fromTimestamp(transaction.createdAt),
+        updated_at: fromTimestamp(transaction.updatedAt)
+      });
+
+      for (const split of transaction.splits || []) {
+        await this._insert(context, 'transaction_splits', {
+          transaction_id: id,
+          category_id: this._ref(context, 'categories', split.categoryId),
+          amount: split.amount
+        });
+      }
+
+      for (const name of [...new Set(transaction.tags || [])]) {
+        const tagId = context.ids.tags.has(name)
+          ? context.ids.tags.get(name)
+          : await this._createTag(context, name, null);
+
+        await this._insert(context, 'transaction_tags', { transaction_id: id, tag_id: tagId }, false);
+      }
+
+      context.ids.transactions.set(Number(transaction.id), id);
+      this._count(context.restored, 'transactions');
+    }
+  }
+
+  /**
+   * Registros dos anexos (o conteúdo é gravado pelo serviço de anexos)
+   * @private
+   */
+  async _restoreAttachments(context, attachments) {
+    for (const attachment of attachments) {
+      await this._insert(context, 'attachments', {
+        user_id: context.userId,
+        transaction_id: this._ref(context, 'transactions', attachment.transactionId),
+        file_name: attachment.fileName,
+        content_hash: attachment.contentHash,
+        mime_type: attachment.mimeType,
+        size: attachment.size,
+        created_at: fromTimestamp(attachment.createdAt)
+      });
+
+      this._count(context.restored, 'attachments');
+    }
+  }
+
+  /**
+   * Orçamentos, metas e contribuições (o valor guardado vem do backup)
+   * @private
+   */
+  async _restorePlanning(context, data) {
+    for (const budget of data.budgets) {
+      await this._insert(context, 'budgets', {
+        user_id: context.userId,
+        category_id: this._ref(context, 'categories', budget.categoryId),
+        amount: budget.amount,
+        period: budget.period,
+        start_date: budget.startDate,
+        end_date: budget.endDate,
+        rollover: Boolean(budget.rollover),
+        created_at: fromTimestamp(budget.createdAt),
+        updated_at: fromTimestamp(budget.updatedAt)
+      });
+
+      this._count(context.restored, 'budgets');
+    }
+
+    for (const goal of data.goals) {
+      const id = await this._insert(context, 'goals', {
+        user_id: context.userId,
+        name: goal.name,
+        target_amount: goal.targetAmount,
+        current_amount: goal.currentAmount || 0,
+        monthly_contribution: goal.monthlyContribution,
+        deadline: goal.deadline,
+        status: goal.status || 'active',
+        completed_at: goal.completedAt ? new Date(goal.completedAt) : null,
+        created_at: fromTimestamp(goal.createdAt),
+        updated_at: fromTimestamp(goal.updatedAt)
+      });
+
+      for (const contribution of goal.contributions || []) {
+        await this._insert(context, 'goal_contributions', {
+          goal_id: id,
+          amount: contribution.amount,
+          description: contribution.description,
+          contribution_date: contribution.contributionDate,
+          created_at: fromTimestamp(contribution.createdAt)
+        });
+
+        this._count(context.restored, 'goalContributions');
+      }
+
+      this._count(context.restored, 'goals');
+    }
+  }
+
+  /**
+   * Regras de categorização, modelo de sugestão de categoria e perfis de
+   * importação (um perfil de mesmo nome é reaproveitado)
+   * @private
+   */
+  async _restoreSettings(context, data) {
+    for (const rule of data.categoryRules) {
+      await this._insert(context, 'category_rules', {
+        user_id: context.userId,
+        priority: rule.priority,
+        is_active: rule.isActive !== false,
+        description_contains: rule.descriptionContains,
+        min_amount: rule.minAmount,
+        max_amount: rule.maxAmount,
+        weekdays: (rule.weekdays || []).length > 0 ? rule.weekdays.join(',') : null,
+        category_id: this._ref(context, 'categories', rule.categoryId),
+        tags: (rule.tags || []).length > 0 ? rule.tags.join(',') : null,
+        created_at: fromTimestamp(rule.createdAt),
+        updated_at: fromTimestamp(rule.updatedAt)
+      });
+
+      this._count(context.restored, 'categoryRules');
+    }
+
+    if (data.categoryModel) {
+      await context.client.query(
+        `INSERT INTO category_models (user_id, model, updated_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id) DO UPDATE SET model = EXCLUDED.model, updated_at = EXCLUDED.updated_at`,
+        [context.userId, JSON.stringify(this._remapModel(context, data.categoryModel)), fromTimestamp(data.categoryModel.updatedAt)]
+      );
+
+      this._count(context.restored, 'categoryModel');
+    }
+
+    const existing = (await context.client.query(
+      'SELECT name FROM import_profiles WHERE user_id = $1',
+      [context.userId]
+    )).rows;
+
+    for (const profile of data.importProfiles) {
+      if (existing.some(row => row.name === profile.name)) {
+        this._count(context.reused, 'importProfiles');
+        continue;
+      }
+
+      await this._insert(context, 'import_profiles', {
+        user_id: context.userId,
+        name: profile.name,
+        settings: JSON.stringify(profile.settings || {}),
+        created_at: fromTimestamp(profile.createdAt),
+        updated_at: fromTimestamp(profile.updatedAt)
+      });
+
+      this._count(context.restored, 'importProfiles');
+    }
+  }
+
+  /**
+   * Modelo de sugestão com os ids novos: as categorias aprendidas e a última
+   * transação aprendida (a maior transação restaurada até ela)
+   * @private
+   */
+  _remapModel(context, categoryModel) {
+    const model = { ...categoryModel };
+    const categories = {};
+
+    delete model.updatedAt;
+
+    Object.entries(model.categories || {}).forEach(([id, stats]) => {
+      if (context.ids.categories.has(Number(id))) {
+        categories[context.ids.categories.get(Number(id))] = stats;
+      }
+    });
+
+    let lastTransactionId = 0;
+
+    context.ids.transactions.forEach((newId, oldId) => {
+      if (oldId <= Number(model.lastTransactionId || 0) && newId > lastTransactionId) {
+        lastTransactionId = newId;
+      }
+    });
+
+    return { ...model, categories, lastTransactionId };
+  }
+}
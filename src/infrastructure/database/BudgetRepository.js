@@ -3,6 +3,9 @@ import { Budget } from '../../domain/entities/Budget.js';
 
 /**
  * Implementação do repositório de orçamentos usando NeonDB
+ *
+ * O gasto de cada categoria é somado na view transaction_category_lines, para
+ * que as transações divididas entrem com o valor da linha da categoria.
  */
 export class BudgetRepository extends IBudgetRepository {
   constructor(database) {
@@ -77,10 +80,11 @@ export class BudgetRepository extends IBudgetRepository {
         c.type as category_type,
         COALESCE(
           (SELECT SUM(t.amount)
-           FROM transactions t
+           FROM transaction_category_lines t
            WHERE t.user_id = b.user_id
              AND t.category_id = b.category_id
              AND t.type = 'expense'
+             AND t.status <> 'planned'
              AND t.date BETWEEN b.start_date AND b.end_date
           ), 0
         ) as spent
@@ -111,10 +115,11 @@ export class BudgetRepository extends IBudgetRepository {
         c.type as category_type,
         COALESCE(
           (SELECT SUM(t.amount)
-           FROM transactions t
+           FROM transaction_category_lines t
            WHERE t.user_id = b.user_id
              AND t.category_id = b.category_id
              AND t.type = 'expense'
+             AND t.status <> 'planned'
              AND t.date BETWEEN b.start_date AND b.end_date
           ), 0
         ) as spent
@@ -158,10 +163,11 @@ export class BudgetRepository extends IBudgetRepository {
         c.type as category_type,
         COALESCE(
           (SELECT SUM(t.amount)
-           FROM transactions t
+           FROM transaction_category_lines t
            WHERE t.user_id = b.user_id
              AND t.category_id = b.category_id
              AND t.type = 'expense'
+             AND t.status <> 'planned'
              AND t.date BETWEEN b.start_date AND b.end_date
           ), 0
         ) as spent
@@ -173,28 +179,31 @@ export class BudgetRepository extends IBudgetRepository {
         CASE
           WHEN (COALESCE(
             (SELECT SUM(t.amount)
-             FROM transactions t
+             FROM transaction_category_lines t
              WHERE t.user_id = b.user_id
                AND t.category_id = b.category_id
                AND t.type = 'expense'
+               AND t.status <> 'planned'
                AND t.date BETWEEN b.start_date AND b.end_date
             ), 0
           ) / b.amount) >= 1 THEN 1
           WHEN (COALESCE(
             (SELECT SUM(t.amount)
-             FROM transactions t
+             FROM transaction_category_lines t
              WHERE t.user_id = b.user_id
                AND t.category_id = b.category_id
                AND t.type = 'expense'
+               AND t.status <> 'planned'
                AND t.date BETWEEN b.start_date AND b.end_date
             ), 0
           ) / b.amount) >= 0.8 THEN 2
           WHEN (COALESCE(
             (SELECT SUM(t.amount)
-             FROM transactions t
+             FROM transaction_category_lines t
              WHERE t.user_id = b.user_id
                AND t.category_id = b.category_id
                AND t.type = 'expense'
+               AND t.status <> 'planned'
                AND t.date BETWEEN b.start_date AND b.end_date
             ), 0
           ) / b.amount) >= 0.5 THEN 3
@@ -221,10 +230,11 @@ export class BudgetRepository extends IBudgetRepository {
         c.type as category_type,
         COALESCE(
           (SELECT SUM(t.amount)
-           FROM transactions t
+           FROM transaction_category_lines t
            WHERE t.user_id = b.user_id
              AND t.category_id = b.category_id
              AND t.type = 'expense'
+             AND t.status <> 'planned'
              AND t.date BETWEEN b.start_date AND b.end_date
           ), 0
         ) as spent
@@ -298,10 +308,11 @@ export class BudgetRepository extends IBudgetRepository {
   async getSpentAmount(userId, categoryId, startDate, endDate) {
     const query = `
       SELECT COALESCE(SUM(amount), 0) as total
-      FROM transactions
+      FROM transaction_category_lines
       WHERE user_id = $1
         AND category_id = $2
         AND type = 'expense'
+        AND status <> 'planned'
         AND date BETWEEN $3::date AND $4::date;
     `;
 
@@ -328,10 +339,11 @@ export class BudgetRepository extends IBudgetRepository {
         c.type as category_type,
         COALESCE(
           (SELECT SUM(t.amount)
-           FROM transactions t
+           FROM transaction_category_lines t
            WHERE t.user_id = b.user_id
              AND t.category_id = b.category_id
              AND t.type = 'expense'
+             AND t.status <> 'planned'
              AND t.date BETWEEN b.start_date AND b.end_date
           ), 0
         ) as spent
@@ -342,10 +354,11 @@ export class BudgetRepository extends IBudgetRepository {
         AND (
           COALESCE(
             (SELECT SUM(t.amount)
-             FROM transactions t
+             FROM transaction_category_lines t
              WHERE t.user_id = b.user_id
                AND t.category_id = b.category_id
                AND t.type = 'expense'
+               AND t.status <> 'planned'
                AND t.date BETWEEN b.start_date AND b.end_date
             ), 0
           ) / b.amount
@@ -354,10 +367,11 @@ export class BudgetRepository extends IBudgetRepository {
         (
           COALESCE(
             (SELECT SUM(t.amount)
-             FROM transactions t
+             FROM transaction_category_lines t
              WHERE t.user_id = b.user_id
                AND t.category_id = b.category_id
                AND t.type = 'expense'
+               AND t.status <> 'planned'
                AND t.date BETWEEN b.start_date AND b.end_date
             ), 0
           ) / b.amount
@@ -377,10 +391,11 @@ export class BudgetRepository extends IBudgetRepository {
       SELECT COALESCE(AVG(monthly_total), 0) as average
       FROM (
         SELECT SUM(amount) as monthly_total
-        FROM transactions
+        FROM transaction_category_lines
         WHERE user_id = $1
           AND category_id = $2
           AND type = 'expense'
+          AND status <> 'planned'
           AND date >= CURRENT_DATE - INTERVAL '${months} months'
         GROUP BY DATE_TRUNC('month', date)
       ) monthly_totals;
@@ -412,7 +427,7 @@ export class BudgetRepository extends IBudgetRepository {
       params.push(excludeId);
     }
 
-    query += ')';
+    query += ') as exists';
 
     const result = await this.database.query(query, params);
 
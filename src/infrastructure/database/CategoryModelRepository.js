@@ -0,0 +1,51 @@
+import { ICategoryModelRepository } from '../../domain/repositories/ICategoryModelRepository.js';
+import { CategoryModel } from '../../domain/entities/CategoryModel.js';
+
+/**
+ * Implementação do repositório de modelos de sugestão de categoria usando NeonDB
+ * O modelo é gravado como JSON na coluna model
+ */
+export class CategoryModelRepository extends ICategoryModelRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade CategoryModel
+   * @private
+   */
+  _rowToModel(row) {
+    return new CategoryModel({
+      ...JSON.parse(row.model),
+      userId: row.user_id,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Busca o modelo de um usuário
+   */
+  async findByUserId(userId) {
+    const result = await this.database.query(
+      'SELECT * FROM category_models WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows.length > 0 ? this._rowToModel(result.rows[0]) : null;
+  }
+
+  /**
+   * Grava o modelo do usuário (cria ou substitui)
+   */
+  async save(model) {
+    await this.database.query(
+      `INSERT INTO category_models (user_id, model, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET model = EXCLUDED.model, updated_at = NOW()`,
+      [model.userId, JSON.stringify(model.toJSON())]
+    );
+
+    return await this.findByUserId(model.userId);
+  }
+}
@@ -121,11 +121,12 @@ export class CategoryRepository extends ICategoryRepository {
   }
 
   /**
-   * Verifica se uma categoria tem transações vinculadas
+   * Verifica se uma categoria tem transações vinculadas (inclusive como linha
+   * da divisão de uma transação)
    */
   async hasTransactions(categoryId) {
     const result = await this.database.query(
-      'SELECT EXISTS(SELECT 1 FROM transactions WHERE category_id = $1)',
+      'SELECT EXISTS(SELECT 1 FROM transaction_category_lines WHERE category_id = $1) as exists',
       [categoryId]
     );
 
@@ -198,6 +199,200 @@ export class CategoryRepository extends ICategoryRepository {
     return result.rowCount > 0;
   }
 
+  /**
+   * Verifica se a categoria ou alguma subcategoria dela é usada por
+   * transações, orçamentos, parcelamentos, regras recorrentes, regras de
+   * categorização ou como categoria padrão de um favorecido
+   */
+  async isInUse(categoryId) {
+    const result = await this.database.query(
+      `SELECT EXISTS(
+         SELECT 1 FROM categories c
+         WHERE (c.id = $1 OR c.parent_id = $1)
+         AND (
+           EXISTS(SELECT 1 FROM transaction_category_lines l WHERE l.category_id = c.id)
+           OR EXISTS(SELECT 1 FROM installment_plans p WHERE p.category_id = c.id)
+           OR EXISTS(SELECT 1 FROM recurring_rules r WHERE r.category_id = c.id)
+           OR EXISTS(SELECT 1 FROM budgets b WHERE b.category_id = c.id)
+           OR EXISTS(SELECT 1 FROM category_rules cr WHERE cr.category_id = c.id)
+           OR EXISTS(SELECT 1 FROM payees py WHERE py.default_category_id = c.id)
+         )
+       ) as exists`,
+      [categoryId]
+    );
+
+    return Boolean(result.rows[0].exists);
+  }
+
+  /**
+   * Move uma categoria para baixo de outra (ou para a raiz)
+   */
+  async move(id, parentId) {
+    try {
+      const result = await this.database.query(
+        'UPDATE categories SET parent_id = $1 WHERE id = $2 RETURNING *',
+        [parentId || null, id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Categoria não encontrada');
+      }
+
+      return this._rowToCategory(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('Já existe uma categoria com este nome no destino');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mescla uma categoria em outra (as subcategorias passam para o destino)
+   */
+  async mergeInto(sourceId, targetId) {
+    await this.database.transaction(async (client) => {
+      const children = await client.query(
+        'SELECT * FROM categories WHERE parent_id = $1',
+        [sourceId]
+      );
+
+      for (const child of children.rows) {
+        // Uma subcategoria com o mesmo nome de uma do destino é mesclada nela
+        const sameName = await client.query(
+          `SELECT id FROM categories
+           WHERE parent_id = $1 AND type = $2 AND LOWER(name) = LOWER($3)
+           AND (user_id = $4 OR user_id IS NULL)`,
+          [targetId, child.type, child.name, child.user_id]
+        );
+
+        if (sameName.rows.length > 0) {
+          await this._reassign(client, child.id, sameName.rows[0].id);
+          await client.query('DELETE FROM categories WHERE id = $1', [child.id]);
+        } else {
+          await client.query('UPDATE categories SET parent_id = $1 WHERE id = $2', [targetId, child.id]);
+        }
+      }
+
+      await this._reassign(client, sourceId, targetId);
+      await client.query('DELETE FROM categories WHERE id = $1', [sourceId]);
+    });
+
+    return true;
+  }
+
+  /**
+   * Deleta uma categoria e suas subcategorias passando tudo para a substituta
+   */
+  async deleteWithReplacement(id, replacementId) {
+    await this.database.transaction(async (client) => {
+      const children = await client.query(
+        'SELECT id FROM categories WHERE parent_id = $1',
+        [id]
+      );
+
+      for (const child of children.rows) {
+        await this._reassign(client, child.id, replacementId);
+      }
+
+      await this._reassign(client, id, replacementId);
+      await client.query('DELETE FROM categories WHERE id = $1', [id]);
+    });
+
+    return true;
+  }
+
+  /**
+   * Passa para a categoria de destino tudo o que usa a categoria de origem
+   * Linhas de uma divisão que acabam na mesma categoria são somadas numa só,
+   * e uma divisão que fica com uma linha deixa de ser divisão; orçamentos do
+   * mesmo período são somados no orçamento do destino
+   * @private
+   */
+  async _reassign(client, sourceId, targetId) {
+    await client.query(
+      'UPDATE transactions SET category_id = $1, updated_at = NOW() WHERE category_id = $2',
+      [targetId, sourceId]
+    );
+
+    const splits = await client.query(
+      'UPDATE transaction_splits SET category_id = $1 WHERE category_id = $2',
+      [targetId, sourceId]
+    );
+
+    if (splits.rowCount > 0) {
+      await client.query(
+        `UPDATE transaction_splits
+         SET amount = (
+           SELECT SUM(s.amount) FROM transaction_splits s
+           WHERE s.transaction_id = transaction_splits.transaction_id AND s.category_id = $1
+         )
+         WHERE category_id = $1 AND id = (
+           SELECT MIN(s.id) FROM transaction_splits s
+           WHERE s.transaction_id = transaction_splits.transaction_id AND s.category_id = $1
+         )`,
+        [targetId]
+      );
+
+      await client.query(
+        `DELETE FROM transaction_splits
+         WHERE category_id = $1 AND id <> (
+           SELECT MIN(s.id) FROM transaction_splits s
+           WHERE s.transaction_id = transaction_splits.transaction_id AND s.category_id = $1
+         )`,
+        [targetId]
+      );
+
+      await client.query(
+        `DELETE FROM transaction_splits
+         WHERE transaction_id IN (
+           SELECT transaction_id FROM transaction_splits
+           GROUP BY transaction_id
+           HAVING COUNT(*) = 1 AND MAX(CASE WHEN category_id = $1 THEN 1 ELSE 0 END) = 1
+         )`,
+        [targetId]
+      );
+    }
+
+    await client.query(
+      `UPDATE budgets
+       SET amount = amount + (
+         SELECT s.amount FROM budgets s
+         WHERE s.category_id = $1 AND s.user_id = budgets.user_id
+         AND s.start_date = budgets.start_date AND s.end_date = budgets.end_date
+       ), updated_at = NOW()
+       WHERE category_id = $2 AND EXISTS(
+         SELECT 1 FROM budgets s
+         WHERE s.category_id = $1 AND s.user_id = budgets.user_id
+         AND s.start_date = budgets.start_date AND s.end_date = budgets.end_date
+       )`,
+      [sourceId, targetId]
+    );
+
+    await client.query(
+      `DELETE FROM budgets
+       WHERE category_id = $1 AND EXISTS(
+         SELECT 1 FROM budgets t
+         WHERE t.category_id = $2 AND t.user_id = budgets.user_id
+         AND t.start_date = budgets.start_date AND t.end_date = budgets.end_date
+       )`,
+      [sourceId, targetId]
+    );
+
+    for (const [table, column] of [
+      ['budgets', 'category_id'],
+      ['installment_plans', 'category_id'],
+      ['recurring_rules', 'category_id'],
+      ['category_rules', 'category_id'],
+      ['payees', 'default_category_id']
+    ]) {
+      await client.query(
+        `UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`,
+        [targetId, sourceId]
+      );
+    }
+  }
+
   /**
    * Verifica se já existe uma categoria com o mesmo nome
    */
@@ -217,7 +412,7 @@ export class CategoryRepository extends ICategoryRepository {
       params.push(excludeId);
     }
 
-    query += ')';
+    query += ') as exists';
 
     const result = await this.database.query(query, params);
 
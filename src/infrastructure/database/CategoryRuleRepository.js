@@ -0,0 +1,187 @@
+import { ICategoryRuleRepository } from '../../domain/repositories/ICategoryRuleRepository.js';
+import { CategoryRule } from '../../domain/entities/CategoryRule.js';
+
+/**
+ * Implementação do repositório de regras de categorização usando NeonDB
+ * Dias da semana e tags são gravados como listas separadas por vírgula
+ */
+export class CategoryRuleRepository extends ICategoryRuleRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade CategoryRule
+   * @private
+   */
+  _rowToRule(row) {
+    return new CategoryRule({
+      id: row.id,
+      userId: row.user_id,
+      priority: row.priority,
+      isActive: row.is_active,
+      descriptionContains: row.description_contains,
+      minAmount: row.min_amount,
+      maxAmount: row.max_amount,
+      weekdays: row.weekdays,
+      categoryId: row.category_id,
+      tags: row.tags,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      categoryType: row.category_type,
+      parentCategoryName: row.parent_category_name
+    });
+  }
+
+  /**
+   * Busca regras com os dados da categoria (e da categoria pai)
+   * @private
+   */
+  async _findWhere(where, params) {
+    const result = await this.database.query(
+      `SELECT
+        r.*,
+        c.name as category_name,
+        c.icon as category_icon,
+        c.type as category_type,
+        pc.name as parent_category_name
+      FROM category_rules r
+      LEFT JOIN categories c ON r.category_id = c.id
+      LEFT JOIN categories pc ON c.parent_id = pc.id
+      WHERE ${where}
+      ORDER BY r.priority ASC, r.id ASC`,
+      params
+    );
+
+    return result.rows.map(row => this._rowToRule(row));
+  }
+
+  /**
+   * Converte uma lista para a coluna de texto (vazia = NULL)
+   * @private
+   */
+  _toList(values) {
+    return values && values.length > 0 ? values.join(',') : null;
+  }
+
+  /**
+   * Cria uma regra
+   */
+  async create(rule) {
+    const query = `
+      INSERT INTO category_rules (
+        user_id, priority, is_active, description_contains, min_amount, max_amount,
+        weekdays, category_id, tags, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+      RETURNING id
+    `;
+
+    const params = [
+      rule.userId,
+      rule.priority,
+      rule.isActive,
+      rule.descriptionContains,
+      rule.minAmount,
+      rule.maxAmount,
+      this._toList(rule.weekdays),
+      rule.categoryId,
+      this._toList(rule.tags)
+    ];
+
+    try {
+      const result = await this.database.query(query, params);
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Categoria não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma regra por ID
+   */
+  async findById(id) {
+    const rules = await this._findWhere('r.id = $1', [id]);
+    return rules[0] || null;
+  }
+
+  /**
+   * Lista as regras de um usuário em ordem de prioridade
+   */
+  async findByUserId(userId) {
+    return await this._findWhere('r.user_id = $1', [userId]);
+  }
+
+  /**
+   * Atualiza uma regra
+   */
+  async update(id, data) {
+    const fields = [];
+    const params = [];
+    let paramIndex = 1;
+
+    // Campos que podem ser atualizados (a prioridade muda só pelo reorder)
+    const allowedFields = [
+      'is_active', 'description_contains', 'min_amount', 'max_amount', 'weekdays', 'category_id', 'tags'
+    ];
+
+    Object.keys(data).forEach(key => {
+      const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      if (allowedFields.includes(snakeKey) && data[key] !== undefined) {
+        fields.push(`${snakeKey} = $${paramIndex}`);
+        params.push(Array.isArray(data[key]) ? this._toList(data[key]) : data[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    fields.push('updated_at = NOW()');
+    params.push(id);
+
+    try {
+      await this.database.query(
+        `UPDATE category_rules SET ${fields.join(', ')} WHERE id = $${paramIndex}`,
+        params
+      );
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Categoria não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Grava as prioridades na ordem informada
+   */
+  async reorder(userId, ruleIds) {
+    await this.database.transaction(async (client) => {
+      for (const [index, ruleId] of ruleIds.entries()) {
+        await client.query(
+          'UPDATE category_rules SET priority = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3',
+          [index + 1, ruleId, userId]
+        );
+      }
+    });
+  }
+
+  /**
+   * Deleta uma regra
+   */
+  async delete(id) {
+    const result = await this.database.query('DELETE FROM category_rules WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+}
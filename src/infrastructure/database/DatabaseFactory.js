@@ -0,0 +1,30 @@
+import dotenv from 'dotenv';
+import { NeonDatabase } from './NeonDatabase.js';
+import { SqliteDatabase } from './SqliteDatabase.js';
+
+dotenv.config();
+
+/**
+ * Backends de armazenamento disponíveis
+ */
+export const DATABASE_PROVIDERS = ['neon', 'sqlite'];
+
+/**
+ * Cria o banco de dados de acordo com o provedor configurado
+ * @param {string} provider - 'neon' (padrão) ou 'sqlite' (DATABASE_PROVIDER no .env)
+ * @returns {NeonDatabase|SqliteDatabase}
+ */
+export function createDatabase(provider = process.env.DATABASE_PROVIDER || 'neon') {
+  switch (provider.toLowerCase()) {
+  case 'neon':
+  case 'postgres':
+    return new NeonDatabase();
+  case 'sqlite':
+    return new SqliteDatabase();
+  default:
+    throw new Error(`DATABASE_PROVIDER inválido: ${provider}. Use: ${DATABASE_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Singleton
+export const database = createDatabase();
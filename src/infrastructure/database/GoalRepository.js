@@ -11,6 +11,26 @@ export class GoalRepository {
     this.database = database;
   }
 
+  /**
+   * Converte row do banco para entidade Goal
+   * @private
+   */
+  _rowToGoal(row) {
+    return new Goal({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      targetAmount: row.target_amount,
+      currentAmount: row.current_amount,
+      monthlyContribution: row.monthly_contribution,
+      deadline: row.deadline,
+      status: row.status,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
   /**
    * Cria uma nova meta
    * @param {Goal} goal - Meta a ser criada
@@ -36,7 +56,7 @@ export class GoalRepository {
     ];
 
     const result = await this.database.query(query, values);
-    return new Goal(result.rows[0]);
+    return this._rowToGoal(result.rows[0]);
   }
 
   /**
@@ -62,7 +82,7 @@ export class GoalRepository {
       return null;
     }
 
-    return new Goal(result.rows[0]);
+    return this._rowToGoal(result.rows[0]);
   }
 
   /**
@@ -252,7 +272,7 @@ export class GoalRepository {
       throw new Error('Meta não encontrada');
     }
 
-    return new Goal(result.rows[0]);
+    return this._rowToGoal(result.rows[0]);
   }
 
   /**
@@ -274,11 +294,7 @@ export class GoalRepository {
    * @returns {Promise<Object>} Contribuição e meta atualizada
    */
   async addContribution(goalId, amount, description = null) {
-    const client = await this.database.pool.connect();
-
-    try {
-      await client.query('BEGIN');
-
+    return this.database.transaction(async (client) => {
       // 1. Adicionar contribuição
       const insertQuery = `
         INSERT INTO goal_contributions (goal_id, amount, description)
@@ -306,18 +322,11 @@ export class GoalRepository {
       `;
       const goalResult = await client.query(updateQuery, [amount, goalId]);
 
-      await client.query('COMMIT');
-
       return {
         contribution: contributionResult.rows[0],
-        goal: new Goal(goalResult.rows[0])
+        goal: this._rowToGoal(goalResult.rows[0])
       };
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    });
   }
 
   /**
@@ -387,20 +396,25 @@ export class GoalRepository {
            WHERE g.user_id = $1
              AND gc.contribution_date >= DATE_TRUNC('month', CURRENT_DATE)
           ), 0
-        ) as this_month_contributions,
-        (
-          SELECT g.*
-          FROM goals g
-          WHERE g.user_id = $1
-            AND g.status = 'active'
-          ORDER BY (g.current_amount / g.target_amount) DESC
-          LIMIT 1
-        ) as closest_goal
+        ) as this_month_contributions
       FROM goals
       WHERE user_id = $1;
     `;
 
-    const result = await this.database.query(query, [userId]);
+    // Meta ativa mais próxima de ser concluída
+    const closestQuery = `
+      SELECT *
+      FROM goals
+      WHERE user_id = $1
+        AND status = 'active'
+      ORDER BY (current_amount / target_amount) DESC
+      LIMIT 1;
+    `;
+
+    const [result, closestResult] = await Promise.all([
+      this.database.query(query, [userId]),
+      this.database.query(closestQuery, [userId])
+    ]);
 
     if (result.rows.length === 0) {
       return {
@@ -423,7 +437,7 @@ export class GoalRepository {
       totalSaved: parseFloat(stats.total_saved) || 0,
       totalRemaining: parseFloat(stats.total_remaining) || 0,
       thisMonthContributions: parseFloat(stats.this_month_contributions) || 0,
-      closestGoal: stats.closest_goal ? new Goal(stats.closest_goal) : null
+      closestGoal: closestResult.rows.length > 0 ? this._rowToGoal(closestResult.rows[0]) : null
     };
   }
 }
@@ -0,0 +1,106 @@
+import { IImportProfileRepository } from '../../domain/repositories/IImportProfileRepository.js';
+import { ImportProfile } from '../../domain/entities/ImportProfile.js';
+
+/**
+ * Implementação do repositório de perfis de importação usando NeonDB
+ * A configuração de leitura do arquivo é gravada como JSON na coluna settings
+ */
+export class ImportProfileRepository extends IImportProfileRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade ImportProfile
+   * @private
+   */
+  _rowToProfile(row) {
+    return new ImportProfile({
+      ...JSON.parse(row.settings),
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Traduz os erros de integridade do banco
+   * @private
+   */
+  _translateError(error) {
+    if (error.code === '23505') { // Unique violation
+      return new Error('Já existe um perfil de importação com este nome');
+    }
+    return error;
+  }
+
+  /**
+   * Cria um perfil
+   */
+  async create(profile) {
+    try {
+      const result = await this.database.query(
+        `INSERT INTO import_profiles (user_id, name, settings, created_at, updated_at)
+         VALUES ($1, $2, $3, NOW(), NOW())
+         RETURNING *`,
+        [profile.userId, profile.name, JSON.stringify(profile.getSettings())]
+      );
+
+      return this._rowToProfile(result.rows[0]);
+    } catch (error) {
+      throw this._translateError(error);
+    }
+  }
+
+  /**
+   * Busca um perfil por ID
+   */
+  async findById(id) {
+    const result = await this.database.query('SELECT * FROM import_profiles WHERE id = $1', [id]);
+
+    return result.rows.length > 0 ? this._rowToProfile(result.rows[0]) : null;
+  }
+
+  /**
+   * Lista os perfis de um usuário
+   */
+  async findByUserId(userId) {
+    const result = await this.database.query(
+      'SELECT * FROM import_profiles WHERE user_id = $1 ORDER BY name',
+      [userId]
+    );
+
+    return result.rows.map(row => this._rowToProfile(row));
+  }
+
+  /**
+   * Substitui o nome e a configuração de um perfil
+   */
+  async update(id, profile) {
+    try {
+      const result = await this.database.query(
+        `UPDATE import_profiles
+         SET name = $1, settings = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [profile.name, JSON.stringify(profile.getSettings()), id]
+      );
+
+      return result.rows.length > 0 ? this._rowToProfile(result.rows[0]) : null;
+    } catch (error) {
+      throw this._translateError(error);
+    }
+  }
+
+  /**
+   * Deleta um perfil
+   */
+  async delete(id) {
+    const result = await this.database.query('DELETE FROM import_profiles WHERE id = $1', [id]);
+
+    return result.rowCount > 0;
+  }
+}
@@ -0,0 +1,313 @@
+import { IInstallmentPlanRepository } from '../../domain/repositories/IInstallmentPlanRepository.js';
+import { InstallmentPlan } from '../../domain/entities/InstallmentPlan.js';
+import { Transaction } from '../../domain/entities/Transaction.js';
+
+/**
+ * Erros dos parcelamentos com parcela conciliada
+ */
+const RECONCILED_UPDATE_ERROR = 'Conciliada (desbloqueie antes de alterar)';
+const RECONCILED_DELETE_ERROR = 'Conciliada (desbloqueie antes de deletar)';
+
+/**
+ * Implementação do repositório de compras parceladas usando NeonDB
+ */
+export class InstallmentPlanRepository extends IInstallmentPlanRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade InstallmentPlan
+   * @private
+   */
+  _rowToPlan(row, installments = []) {
+    return new InstallmentPlan({
+      id: row.id,
+      userId: row.user_id,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      description: row.description,
+      totalAmount: parseFloat(row.total_amount),
+      installmentCount: row.installment_count,
+      date: row.date,
+      cancelledAt: row.cancelled_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria e da conta (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      accountName: row.account_name,
+      accountIcon: row.account_icon,
+      installments
+    });
+  }
+
+  /**
+   * Converte row de uma parcela para entidade Transaction
+   * @private
+   */
+  _rowToInstallment(row, installmentCount) {
+    return new Transaction({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      installmentPlanId: row.installment_plan_id,
+      installmentNumber: row.installment_number,
+      installmentCount,
+      reconciliationId: row.reconciliation_id,
+      amount: parseFloat(row.amount),
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria e da conta (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      categoryColor: row.category_color,
+      accountName: row.account_name,
+      accountIcon: row.account_icon
+    });
+  }
+
+  /**
+   * Grava as parcelas do parcelamento
+   * @private
+   */
+  async _insertInstallments(client, plan) {
+    const query = `
+      INSERT INTO transactions (
+        user_id, type, category_id, account_id, installment_plan_id, installment_number,
+        amount, description, date, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+    `;
+
+    for (const installment of plan.buildInstallments()) {
+      await client.query(query, [
+        installment.userId,
+        installment.type,
+        installment.categoryId,
+        installment.accountId,
+        plan.id,
+        installment.installmentNumber,
+        installment.amount,
+        installment.description,
+        installment.date
+      ]);
+    }
+  }
+
+  /**
+   * Cria um parcelamento e todas as suas parcelas
+   */
+  async create(plan) {
+    try {
+      const id = await this.database.transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO installment_plans (
+            user_id, category_id, account_id, description, total_amount, installment_count, date,
+            created_at, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+          RETURNING *`,
+          [
+            plan.userId,
+            plan.categoryId,
+            plan.accountId,
+            plan.description,
+            plan.totalAmount,
+            plan.installmentCount,
+            plan.date
+          ]
+        );
+
+        await this._insertInstallments(client, new InstallmentPlan({ ...plan, id: result.rows[0].id }));
+
+        return result.rows[0].id;
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Categoria ou conta não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um parcelamento por ID (com as parcelas, da primeira para a última)
+   */
+  async findById(id) {
+    const result = await this.database.query(
+      `SELECT
+        ip.*,
+        c.name as category_name,
+        c.icon as category_icon,
+        a.name as account_name,
+        a.icon as account_icon
+      FROM installment_plans ip
+      LEFT JOIN categories c ON ip.category_id = c.id
+      LEFT JOIN accounts a ON ip.account_id = a.id
+      WHERE ip.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const installments = await this.database.query(
+      `SELECT
+        t.*,
+        c.name as category_name,
+        c.icon as category_icon,
+        c.color as category_color,
+        a.name as account_name,
+        a.icon as account_icon
+      FROM transactions t
+      LEFT JOIN categories c ON t.category_id = c.id
+      LEFT JOIN accounts a ON t.account_id = a.id
+      WHERE t.installment_plan_id = $1
+      ORDER BY t.installment_number ASC`,
+      [id]
+    );
+
+    return this._rowToPlan(
+      row,
+      installments.rows.map(installment => this._rowToInstallment(installment, row.installment_count))
+    );
+  }
+
+  /**
+   * Altera as parcelas que ainda não venceram
+   */
+  async updateRemaining(id, data, after) {
+    const planFields = [];
+    const installmentFields = [];
+    const params = [];
+
+    // Campos que podem ser atualizados (o valor é o de cada parcela)
+    const allowedFields = ['category_id', 'account_id', 'description', 'amount'];
+
+    Object.keys(data).forEach(key => {
+      const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      if (allowedFields.includes(snakeKey) && data[key] !== undefined) {
+        params.push(data[key]);
+        installmentFields.push(`${snakeKey} = $${params.length}`);
+        if (snakeKey !== 'amount') {
+          planFields.push(`${snakeKey} = $${params.length}`);
+        }
+      }
+    });
+
+    if (installmentFields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    params.push(id);
+
+    try {
+      await this.database.transaction(async (client) => {
+        if (planFields.length > 0) {
+          await client.query(
+            `UPDATE installment_plans
+             SET ${planFields.join(', ')}, updated_at = NOW()
+             WHERE id = $${params.length}`,
+            params
+          );
+        }
+
+        const reconciled = await client.query(
+          `SELECT COUNT(*) as count FROM transactions
+           WHERE installment_plan_id = $1 AND date > $2::date AND reconciliation_id IS NOT NULL`,
+          [id, after]
+        );
+
+        if (parseInt(reconciled.rows[0].count) > 0) {
+          throw new Error(RECONCILED_UPDATE_ERROR);
+        }
+
+        await client.query(
+          `UPDATE transactions
+           SET ${installmentFields.join(', ')}, updated_at = NOW()
+           WHERE installment_plan_id = $${params.length} AND date > $${params.length + 1}::date
+             AND reconciliation_id IS NULL`,
+          [...params, after]
+        );
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Categoria ou conta não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela as parcelas que ainda não venceram
+   */
+  async cancelRemaining(id, after) {
+    return await this.database.transaction(async (client) => {
+      const reconciled = await client.query(
+        `SELECT COUNT(*) as count FROM transactions
+         WHERE installment_plan_id = $1 AND date > $2::date AND reconciliation_id IS NOT NULL`,
+        [id, after]
+      );
+
+      if (parseInt(reconciled.rows[0].count) > 0) {
+        throw new Error(RECONCILED_DELETE_ERROR);
+      }
+
+      const removed = await client.query(
+        'DELETE FROM transactions WHERE installment_plan_id = $1 AND date > $2::date AND reconciliation_id IS NULL',
+        [id, after]
+      );
+
+      const left = await client.query(
+        'SELECT COUNT(*) as count FROM transactions WHERE installment_plan_id = $1',
+        [id]
+      );
+
+      if (parseInt(left.rows[0].count) === 0) {
+        await client.query('DELETE FROM installment_plans WHERE id = $1', [id]);
+      } else {
+        await client.query(
+          'UPDATE installment_plans SET cancelled_at = NOW(), updated_at = NOW() WHERE id = $1',
+          [id]
+        );
+      }
+
+      return removed.rowCount;
+    });
+  }
+
+  /**
+   * Deleta um parcelamento e todas as suas parcelas
+   */
+  async delete(id) {
+    return await this.database.transaction(async (client) => {
+      await client.query('DELETE FROM transactions WHERE installment_plan_id = $1 AND reconciliation_id IS NULL', [id]);
+
+      const left = await client.query(
+        'SELECT COUNT(*) as count FROM transactions WHERE installment_plan_id = $1',
+        [id]
+      );
+
+      // Parcela conciliada não sai: desfaz a transação inteira
+      if (parseInt(left.rows[0].count) > 0) {
+        throw new Error(RECONCILED_DELETE_ERROR);
+      }
+
+      const result = await client.query('DELETE FROM installment_plans WHERE id = $1', [id]);
+
+      return result.rowCount > 0;
+    });
+  }
+}
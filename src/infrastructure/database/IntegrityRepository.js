@@ -0,0 +1,144 @@
+import { IIntegrityRepository } from '../../domain/repositories/IIntegrityRepository.js';
+
+const MISSING_TRANSACTION_CATEGORY = `category_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.id = transactions.category_id)`;
+
+const MISSING_SPLIT_CATEGORY = `category_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.id = transaction_splits.category_id)`;
+
+const MISSING_ACCOUNT = `account_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM accounts a WHERE a.id = transactions.account_id)`;
+
+const ORPHAN_SPLIT = 'NOT EXISTS (SELECT 1 FROM transactions t WHERE t.id = transaction_splits.transaction_id)';
+
+const ORPHAN_TRANSACTION_TAG = `NOT EXISTS (SELECT 1 FROM transactions t WHERE t.id = transaction_tags.transaction_id)
+  OR NOT EXISTS (SELECT 1 FROM tags tg WHERE tg.id = transaction_tags.tag_id)`;
+
+const ORPHAN_ATTACHMENT = 'NOT EXISTS (SELECT 1 FROM transactions t WHERE t.id = attachments.transaction_id)';
+
+const ORPHAN_GOAL_CONTRIBUTION = `goal_id IS NULL
+  OR NOT EXISTS (SELECT 1 FROM goals g WHERE g.id = goal_contributions.goal_id)`;
+
+const MISSING_BUDGET_CATEGORY = `category_id IS NULL
+  OR NOT EXISTS (SELECT 1 FROM categories c WHERE c.id = budgets.category_id)`;
+
+const CONTRIBUTIONS_TOTAL = `COALESCE(
+  (SELECT SUM(gc.amount) FROM goal_contributions gc WHERE gc.goal_id = goals.id), 0
+)`;
+
+// O valor guardado não pode ficar negativo (retiradas além do guardado)
+const REPAIRED_GOAL_AMOUNT = `CASE WHEN ${CONTRIBUTIONS_TOTAL} > 0 THEN ${CONTRIBUTIONS_TOTAL} ELSE 0 END`;
+
+/**
+ * Consultas de cada verificação: count devolve a coluna "count"; repair
+ * (quando há) corrige os mesmos registros
+ */
+const CHECKS = {
+  transaction_missing_category: {
+    count: `SELECT COUNT(*) as count FROM transactions WHERE ${MISSING_TRANSACTION_CATEGORY}`,
+    repair: `UPDATE transactions SET category_id = NULL, updated_at = NOW() WHERE ${MISSING_TRANSACTION_CATEGORY}`
+  },
+  split_missing_category: {
+    count: `SELECT COUNT(*) as count FROM transaction_splits WHERE ${MISSING_SPLIT_CATEGORY}`,
+    repair: `UPDATE transaction_splits SET category_id = NULL WHERE ${MISSING_SPLIT_CATEGORY}`
+  },
+  uncategorized_transaction: {
+    // Inclui as que apontam para uma categoria que não existe mais
+    count: `SELECT COUNT(*) as count FROM transactions t
+      WHERE t.transfer_id IS NULL
+        AND EXISTS (
+          SELECT 1 FROM transaction_category_lines l
+          LEFT JOIN categories lc ON l.category_id = lc.id
+          WHERE l.id = t.id AND lc.id IS NULL
+        )`
+  },
+  transaction_missing_account: {
+    count: `SELECT COUNT(*) as count FROM transactions WHERE ${MISSING_ACCOUNT}`,
+    // Sem nenhuma conta do usuário, a transação fica como está
+    repair: `UPDATE transactions
+      SET account_id = (SELECT MIN(a.id) FROM accounts a WHERE a.user_id = transactions.user_id),
+          updated_at = NOW()
+      WHERE ${MISSING_ACCOUNT}
+        AND EXISTS (SELECT 1 FROM accounts a WHERE a.user_id = transactions.user_id)`
+  },
+  orphan_split: {
+    count: `SELECT COUNT(*) as count FROM transaction_splits WHERE ${ORPHAN_SPLIT}`,
+    repair: `DELETE FROM transaction_splits WHERE ${ORPHAN_SPLIT}`
+  },
+  orphan_transaction_tag: {
+    count: `SELECT COUNT(*) as count FROM transaction_tags WHERE ${ORPHAN_TRANSACTION_TAG}`,
+    repair: `DELETE FROM transaction_tags WHERE ${ORPHAN_TRANSACTION_TAG}`
+  },
+  orphan_attachment: {
+    count: `SELECT COUNT(*) as count FROM attachments WHERE ${ORPHAN_ATTACHMENT}`,
+    repair: `DELETE FROM attachments WHERE ${ORPHAN_ATTACHMENT}`
+  },
+  orphan_goal_contribution: {
+    count: `SELECT COUNT(*) as count FROM goal_contributions WHERE ${ORPHAN_GOAL_CONTRIBUTION}`,
+    repair: `DELETE FROM goal_contributions WHERE ${ORPHAN_GOAL_CONTRIBUTION}`
+  },
+  budget_missing_category: {
+    count: `SELECT COUNT(*) as count FROM budgets WHERE ${MISSING_BUDGET_CATEGORY}`,
+    repair: `DELETE FROM budgets WHERE ${MISSING_BUDGET_CATEGORY}`
+  },
+  goal_amount_mismatch: {
+    // Diferenças abaixo de meio centavo são arredondamento
+    count: `SELECT COUNT(*) as count FROM goals
+      WHERE ABS(COALESCE(current_amount, 0) - ${CONTRIBUTIONS_TOTAL}) >= 0.005`,
+    // A situação acompanha o novo valor, como em GoalRepository.addContribution;
+    // uma meta concluída que fica abaixo do alvo volta a ficar ativa
+    repair: `UPDATE goals
+      SET current_amount = ${REPAIRED_GOAL_AMOUNT},
+          status = CASE
+            WHEN ${REPAIRED_GOAL_AMOUNT} >= target_amount THEN 'completed'
+            WHEN status = 'completed' THEN 'active'
+            ELSE status
+          END,
+          completed_at = CASE
+            WHEN ${REPAIRED_GOAL_AMOUNT} >= target_amount AND completed_at IS NULL THEN CURRENT_TIMESTAMP
+            WHEN ${REPAIRED_GOAL_AMOUNT} < target_amount THEN NULL
+            ELSE completed_at
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE ABS(COALESCE(current_amount, 0) - ${CONTRIBUTIONS_TOTAL}) >= 0.005`
+  }
+};
+
+/**
+ * Implementação do repositório de integridade dos dados usando NeonDB
+ */
+export class IntegrityRepository extends IIntegrityRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Conta os registros afetados por cada verificação
+   */
+  async countIssues() {
+    const counts = {};
+
+    for (const [code, check] of Object.entries(CHECKS)) {
+      const result = await this.database.query(check.count);
+      counts[code] = parseInt(result.rows[0].count, 10);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Aplica o reparo de uma verificação
+   */
+  async repair(code) {
+    const check = CHECKS[code];
+
+    if (!check || !check.repair) {
+      throw new Error(`Verificação sem reparo automático: ${code}`);
+    }
+
+    const result = await this.database.query(check.repair);
+
+    return result.rowCount;
+  }
+}
@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Diretório padrão das migrações (database/migrations/<dialeto>/)
+ */
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', '..', '..', 'database', 'migrations');
+
+/**
+ * Formato dos arquivos: 001_nome_da_migracao.up.sql / 001_nome_da_migracao.down.sql
+ */
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * Migrações rodam sem foreign keys (o SQLite precisa disso para reconstruir
+ * tabelas referenciadas; as referências são verificadas antes do COMMIT).
+ * O NeonDatabase ignora a opção.
+ */
+const MIGRATION_TRANSACTION_OPTIONS = { foreignKeys: false };
+
+/**
+ * Executor de migrações versionadas do schema
+ *
+ * Cada banco (NeonDatabase, SqliteDatabase) tem seu próprio diretório de
+ * migrações, escolhido pela propriedade `dialect`. As versões aplicadas ficam
+ * registradas na tabela schema_migrations.
+ */
+export class MigrationRunner {
+  /**
+   * @param {NeonDatabase|SqliteDatabase} database - Banco de dados
+   * @param {string} migrationsDir - Diretório base das migrações
+   */
+  constructor(database, migrationsDir = DEFAULT_MIGRATIONS_DIR) {
+    this.database = database;
+    this.migrationsDir = path.join(migrationsDir, database.dialect);
+  }
+
+  /**
+   * Lista as migrações disponíveis em disco, ordenadas por versão
+   * @returns {Array<{version: number, name: string, upFile: string, downFile: string|null}>}
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      throw new Error(`Diretório de migrações não encontrado: ${this.migrationsDir}`);
+    }
+
+    const migrations = new Map();
+
+    fs.readdirSync(this.migrationsDir).forEach(file => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) return;
+
+      const [, versionText, name, direction] = match;
+      const version = parseInt(versionText, 10);
+      const migration = migrations.get(version) || { version, name, upFile: null, downFile: null };
+
+      if (migration.name !== name) {
+        throw new Error(`Versão de migração duplicada: ${versionText} (${migration.name} e ${name})`);
+      }
+
+      migration[direction === 'up' ? 'upFile' : 'downFile'] = path.join(this.migrationsDir, file);
+      migrations.set(version, migration);
+    });
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (!migration.upFile) {
+          throw new Error(`Migração ${migration.version}_${migration.name} não possui arquivo .up.sql`);
+        }
+        return migration;
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Cria a tabela de controle se não existir
+   */
+  async ensureMigrationsTable() {
+    await this.database.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Busca as migrações já aplicadas
+   * @returns {Promise<Array<{version: number, name: string, appliedAt: Date}>>}
+   */
+  async getAppliedMigrations() {
+    await this.ensureMigrationsTable();
+
+    const result = await this.database.query(
+      'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    );
+
+    return result.rows.map(row => ({
+      version: parseInt(row.version, 10),
+      name: row.name,
+      appliedAt: row.applied_at
+    }));
+  }
+
+  /**
+   * Situação de cada migração (aplicada ou pendente)
+   * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: Date|null, missing: boolean}>>}
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map(m => [m.version, m]));
+
+    const statuses = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedByVersion.has(migration.version),
+      appliedAt: appliedByVersion.get(migration.version)?.appliedAt || null,
+      missing: false
+    }));
+
+    // Migrações registradas no banco cujo arquivo não existe mais
+    applied
+      .filter(m => !migrations.some(migration => migration.version === m.version))
+      .forEach(m => statuses.push({ ...m, applied: true, missing: true }));
+
+    return statuses.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Migrações ainda não aplicadas
+   * @returns {Promise<Array>}
+   */
+  async getPendingMigrations() {
+    const applied = await this.getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(m => m.version));
+
+    return this.loadMigrations().filter(m => !appliedVersions.has(m.version));
+  }
+
+  /**
+   * Aplica as migrações pendentes (cada uma em sua própria transação)
+   * @param {number|null} targetVersion - Aplica até esta versão (padrão: todas)
+   * @returns {Promise<Array>} Migrações aplicadas
+   */
+  async up(targetVersion = null) {
+    const pending = (await this.getPendingMigrations())
+      .filter(m => targetVersion === null || m.version <= targetVersion);
+
+    for (const migration of pending) {
+      const sql = fs.readFileSync(migration.upFile, 'utf8');
+
+      await this.database.transaction(async (client) => {
+        await client.query(sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, new Date()]
+        );
+      }, MIGRATION_TRANSACTION_OPTIONS);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Reverte as últimas migrações aplicadas
+   * @param {number} steps - Quantidade de migrações a reverter (padrão: 1)
+   * @returns {Promise<Array>} Migrações revertidas
+   * @throws {Error} Se steps não for um inteiro positivo
+   */
+  async down(steps = 1) {
+    // slice(-0) e slice(NaN) devolvem a lista inteira: reverteria tudo
+    if (!Number.isInteger(steps) || steps <= 0) {
+      throw new Error(`Quantidade de migrações a reverter inválida: ${steps}`);
+    }
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+
+    // Validar antes de reverter qualquer uma
+    const reverting = toRevert.map(appliedMigration => {
+      const migration = migrations.find(m => m.version === appliedMigration.version);
+
+      if (!migration) {
+        throw new Error(`Arquivo da migração ${appliedMigration.version}_${appliedMigration.name} não encontrado`);
+      }
+
+      if (!migration.downFile) {
+        throw new Error(`Migração ${migration.version}_${migration.name} não possui arquivo .down.sql`);
+      }
+
+      return migration;
+    });
+
+    for (const migration of reverting) {
+      const sql = fs.readFileSync(migration.downFile, 'utf8');
+
+      await this.database.transaction(async (client) => {
+        await client.query(sql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }, MIGRATION_TRANSACTION_OPTIONS);
+    }
+
+    return reverting;
+  }
+
+  /**
+   * Impede a inicialização com o schema desatualizado
+   * @throws {Error} Se houver migrações pendentes
+   */
+  async assertUpToDate() {
+    const pending = await this.getPendingMigrations();
+
+    if (pending.length > 0) {
+      const versions = pending.map(m => `${m.version}_${m.name}`).join(', ');
+      throw new Error(
+        `Schema do banco de dados desatualizado (${pending.length} migração(ões) pendente(s): ${versions}). ` +
+        'Execute: npm run migrate up'
+      );
+    }
+  }
+}
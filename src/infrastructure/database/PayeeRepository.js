@@ -0,0 +1,217 @@
+import { IPayeeRepository } from '../../domain/repositories/IPayeeRepository.js';
+import { Payee } from '../../domain/entities/Payee.js';
+
+/**
+ * Implementação do repositório de favorecidos usando NeonDB
+ */
+export class PayeeRepository extends IPayeeRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade Payee
+   * @private
+   */
+  _rowToPayee(row, aliases = []) {
+    return new Payee({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      aliases: aliases.map(alias => alias.alias),
+      defaultCategoryId: row.default_category_id,
+      createdAt: row.created_at,
+      // Dados da categoria padrão (quando há JOIN)
+      defaultCategoryName: row.default_category_name,
+      defaultCategoryIcon: row.default_category_icon,
+      // Quantidade de transações (quando há agregação)
+      transactionCount: row.transaction_count
+    });
+  }
+
+  /**
+   * Busca favorecidos com a categoria padrão, a quantidade de transações e os apelidos
+   * @private
+   */
+  async _findWhere(where, params) {
+    const result = await this.database.query(
+      `SELECT
+        py.*,
+        c.name as default_category_name,
+        c.icon as default_category_icon,
+        (SELECT COUNT(*) FROM transactions t WHERE t.payee_id = py.id) as transaction_count
+      FROM payees py
+      LEFT JOIN categories c ON py.default_category_id = c.id
+      WHERE ${where}
+      ORDER BY transaction_count DESC, py.name`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return [];
+    }
+
+    const ids = result.rows.map(row => row.id);
+    const placeholders = ids.map((_, index) => `$${index + 1}`).join(', ');
+    const aliases = await this.database.query(
+      `SELECT payee_id, alias FROM payee_aliases
+       WHERE payee_id IN (${placeholders})
+       ORDER BY id`,
+      ids
+    );
+
+    return result.rows.map(row => this._rowToPayee(
+      row,
+      aliases.rows.filter(alias => alias.payee_id === row.id)
+    ));
+  }
+
+  /**
+   * Substitui os apelidos de um favorecido
+   * @param {Object} client - Cliente da transação do banco
+   * @param {number} payeeId
+   * @param {string[]} aliases
+   * @private
+   */
+  async _saveAliases(client, payeeId, aliases) {
+    await client.query('DELETE FROM payee_aliases WHERE payee_id = $1', [payeeId]);
+
+    if (aliases.length === 0) {
+      return;
+    }
+
+    const values = aliases.map((_, index) => `($1, $${index + 2})`).join(', ');
+    await client.query(
+      `INSERT INTO payee_aliases (payee_id, alias) VALUES ${values}`,
+      [payeeId, ...aliases]
+    );
+  }
+
+  /**
+   * Traduz os erros de integridade do banco
+   * @private
+   */
+  _translateError(error) {
+    if (error.code === '23505') { // Unique violation
+      return new Error('Já existe um favorecido com este nome');
+    }
+    if (error.code === '23503') { // Foreign key violation
+      return new Error('Categoria não encontrada');
+    }
+    return error;
+  }
+
+  /**
+   * Cria um favorecido com os seus apelidos
+   */
+  async create(payee) {
+    try {
+      const id = await this.database.transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO payees (user_id, name, default_category_id, created_at)
+           VALUES ($1, $2, $3, NOW())
+           RETURNING id`,
+          [payee.userId, payee.name, payee.defaultCategoryId]
+        );
+        const payeeId = result.rows[0].id;
+
+        await this._saveAliases(client, payeeId, payee.aliases);
+
+        return payeeId;
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      throw this._translateError(error);
+    }
+  }
+
+  /**
+   * Busca um favorecido por ID
+   */
+  async findById(id) {
+    const [payee] = await this._findWhere('py.id = $1', [id]);
+    return payee || null;
+  }
+
+  /**
+   * Lista os favorecidos de um usuário
+   */
+  async findByUserId(userId) {
+    return this._findWhere('py.user_id = $1', [userId]);
+  }
+
+  /**
+   * Atualiza um favorecido
+   */
+  async update(id, data) {
+    const updateFields = [];
+    const params = [];
+
+    if (data.name !== undefined) {
+      params.push(data.name);
+      updateFields.push(`name = $${params.length}`);
+    }
+
+    if (data.defaultCategoryId !== undefined) {
+      params.push(data.defaultCategoryId);
+      updateFields.push(`default_category_id = $${params.length}`);
+    }
+
+    if (updateFields.length === 0 && data.aliases === undefined) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    try {
+      await this.database.transaction(async (client) => {
+        if (updateFields.length > 0) {
+          params.push(id);
+          const result = await client.query(
+            `UPDATE payees SET ${updateFields.join(', ')} WHERE id = $${params.length}`,
+            params
+          );
+
+          if (result.rowCount === 0) {
+            throw new Error('Favorecido não encontrado');
+          }
+        }
+
+        if (data.aliases !== undefined) {
+          await this._saveAliases(client, id, data.aliases);
+        }
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      throw this._translateError(error);
+    }
+  }
+
+  /**
+   * Deleta um favorecido (transactions.payee_id tem ON DELETE SET NULL)
+   */
+  async delete(id) {
+    const result = await this.database.query('DELETE FROM payees WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Vincula ao favorecido as transações que ainda não têm favorecido
+   */
+  async linkTransactions(payeeId, transactionIds) {
+    if (transactionIds.length === 0) {
+      return 0;
+    }
+
+    const placeholders = transactionIds.map((_, index) => `$${index + 2}`).join(', ');
+    const result = await this.database.query(
+      `UPDATE transactions
+       SET payee_id = $1, updated_at = NOW()
+       WHERE id IN (${placeholders}) AND payee_id IS NULL`,
+      [payeeId, ...transactionIds]
+    );
+
+    return result.rowCount;
+  }
+}
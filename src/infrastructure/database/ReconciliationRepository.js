@@ -0,0 +1,149 @@
+import { IReconciliationRepository } from '../../domain/repositories/IReconciliationRepository.js';
+import { Reconciliation } from '../../domain/entities/Reconciliation.js';
+
+/**
+ * Implementação do repositório de conciliações usando NeonDB
+ */
+export class ReconciliationRepository extends IReconciliationRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade Reconciliation
+   * @private
+   */
+  _rowToReconciliation(row) {
+    return new Reconciliation({
+      id: row.id,
+      userId: row.user_id,
+      accountId: row.account_id,
+      statementDate: row.statement_date,
+      statementBalance: parseFloat(row.statement_balance),
+      createdAt: row.created_at,
+      // Dados da conta e quantidade de transações (quando há JOIN)
+      accountName: row.account_name,
+      accountIcon: row.account_icon,
+      transactionCount: row.transaction_count
+    });
+  }
+
+  /**
+   * Query base: conciliações com os dados da conta e a quantidade de transações
+   * @private
+   */
+  _selectQuery(where) {
+    return `
+      SELECT
+        r.*,
+        a.name as account_name,
+        a.icon as account_icon,
+        (SELECT COUNT(*) FROM transactions t WHERE t.reconciliation_id = r.id) as transaction_count
+      FROM reconciliations r
+      INNER JOIN accounts a ON r.account_id = a.id
+      WHERE ${where}
+      ORDER BY r.statement_date DESC, r.id DESC
+    `;
+  }
+
+  /**
+   * Grava uma conciliação e trava as transações marcadas
+   */
+  async create(reconciliation) {
+    const transactionIds = reconciliation.getSelectedTransactions().map(transaction => transaction.id);
+
+    const id = await this.database.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance, created_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         RETURNING id`,
+        [
+          reconciliation.userId,
+          reconciliation.accountId,
+          reconciliation.statementDate,
+          reconciliation.statementBalance
+        ]
+      );
+      const reconciliationId = result.rows[0].id;
+
+      if (transactionIds.length > 0) {
+        const placeholders = transactionIds.map((_, index) => `$${index + 3}`).join(', ');
+        const updated = await client.query(
+          `UPDATE transactions
+           SET reconciliation_id = $1, status = 'cleared', updated_at = NOW()
+           WHERE account_id = $2 AND reconciliation_id IS NULL AND status <> 'planned'
+             AND id IN (${placeholders})`,
+          [reconciliationId, reconciliation.accountId, ...transactionIds]
+        );
+
+        // Outra conciliação (ou edição) mexeu nas transações enquanto esta era feita
+        if (updated.rowCount !== transactionIds.length) {
+          throw new Error('Algumas transações marcadas já foram conciliadas ou alteradas');
+        }
+      }
+
+      return reconciliationId;
+    });
+
+    const [created] = (await this.database.query(this._selectQuery('r.id = $1'), [id])).rows;
+    return this._rowToReconciliation(created);
+  }
+
+  /**
+   * Lista as conciliações de uma conta
+   */
+  async findByAccountId(accountId) {
+    const result = await this.database.query(this._selectQuery('r.account_id = $1'), [accountId]);
+    return result.rows.map(row => this._rowToReconciliation(row));
+  }
+
+  /**
+   * Busca a conciliação mais recente de uma conta
+   */
+  async findLastByAccountId(accountId) {
+    const result = await this.database.query(
+      `${this._selectQuery('r.account_id = $1')} LIMIT 1`,
+      [accountId]
+    );
+
+    return result.rows.length > 0 ? this._rowToReconciliation(result.rows[0]) : null;
+  }
+
+  /**
+   * Saldo já conferido da conta (saldo inicial + transações conciliadas)
+   */
+  async getReconciledBalance(accountId) {
+    const result = await this.database.query(
+      `SELECT
+        a.initial_balance + COALESCE(SUM(
+          CASE
+            WHEN t.type = 'income' THEN t.amount
+            WHEN t.type = 'expense' THEN -t.amount
+            ELSE 0
+          END
+        ), 0) as balance
+      FROM accounts a
+      LEFT JOIN transactions t ON t.account_id = a.id AND t.reconciliation_id IS NOT NULL
+      WHERE a.id = $1
+      GROUP BY a.id, a.initial_balance`,
+      [accountId]
+    );
+
+    return result.rows.length > 0 ? parseFloat(result.rows[0].balance) : 0;
+  }
+
+  /**
+   * Desfaz o vínculo de uma transação com a sua conciliação
+   */
+  async unlockTransaction(transactionId) {
+    const result = await this.database.query(
+      `UPDATE transactions
+       SET reconciliation_id = NULL, updated_at = NOW()
+       WHERE id = $1 AND reconciliation_id IS NOT NULL`,
+      [transactionId]
+    );
+
+    return result.rowCount > 0;
+  }
+}
@@ -0,0 +1,294 @@
+import { IRecurringRuleRepository } from '../../domain/repositories/IRecurringRuleRepository.js';
+import { RecurringRule } from '../../domain/entities/RecurringRule.js';
+
+/**
+ * Implementação do repositório de regras de recorrência usando NeonDB
+ */
+export class RecurringRuleRepository extends IRecurringRuleRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade RecurringRule
+   * @private
+   */
+  _rowToRule(row, exceptions = []) {
+    return new RecurringRule({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      amount: parseFloat(row.amount),
+      description: row.description,
+      frequency: row.frequency,
+      dayOfMonth: row.day_of_month,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      maxOccurrences: row.max_occurrences,
+      generatedCount: row.generated_count,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria e da conta (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      accountName: row.account_name,
+      accountIcon: row.account_icon,
+      exceptions: exceptions.map(exception => ({
+        occurrenceNumber: exception.occurrence_number,
+        isSkipped: exception.is_skipped,
+        amount: exception.amount !== null ? parseFloat(exception.amount) : null,
+        description: exception.description
+      }))
+    });
+  }
+
+  /**
+   * Busca regras com os dados da categoria e da conta e as exceções das
+   * ocorrências ainda não processadas
+   * @private
+   */
+  async _findWhere(where, params) {
+    const result = await this.database.query(
+      `SELECT
+        r.*,
+        c.name as category_name,
+        c.icon as category_icon,
+        a.name as account_name,
+        a.icon as account_icon
+      FROM recurring_rules r
+      LEFT JOIN categories c ON r.category_id = c.id
+      LEFT JOIN accounts a ON r.account_id = a.id
+      WHERE ${where}
+      ORDER BY r.created_at ASC, r.id ASC`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return [];
+    }
+
+    const ids = result.rows.map(row => row.id);
+    const placeholders = ids.map((_, index) => `$${index + 1}`).join(', ');
+    const exceptions = await this.database.query(
+      `SELECT e.*
+       FROM recurring_rule_exceptions e
+       JOIN recurring_rules r ON e.rule_id = r.id
+       WHERE e.rule_id IN (${placeholders}) AND e.occurrence_number > r.generated_count
+       ORDER BY e.occurrence_number ASC`,
+      ids
+    );
+
+    return result.rows.map(row => this._rowToRule(
+      row,
+      exceptions.rows.filter(exception => exception.rule_id === row.id)
+    ));
+  }
+
+  /**
+   * Cria uma nova regra
+   */
+  async create(rule) {
+    const query = `
+      INSERT INTO recurring_rules (
+        user_id, type, category_id, account_id, amount, description, frequency, day_of_month,
+        start_date, end_date, max_occurrences, generated_count, is_active, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const params = [
+      rule.userId,
+      rule.type,
+      rule.categoryId,
+      rule.accountId,
+      rule.amount,
+      rule.description,
+      rule.frequency,
+      rule.dayOfMonth,
+      rule.startDate,
+      rule.endDate,
+      rule.maxOccurrences,
+      rule.generatedCount,
+      rule.isActive
+    ];
+
+    try {
+      const result = await this.database.query(query, params);
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Categoria ou conta não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma regra por ID (com as exceções)
+   */
+  async findById(id) {
+    const rules = await this._findWhere('r.id = $1', [id]);
+    return rules[0] || null;
+  }
+
+  /**
+   * Busca as regras de um usuário (com as exceções)
+   */
+  async findByUserId(userId) {
+    return await this._findWhere('r.user_id = $1', [userId]);
+  }
+
+  /**
+   * Busca as regras ativas (com as exceções)
+   */
+  async findActive(userId = null) {
+    if (userId) {
+      return await this._findWhere('r.user_id = $1 AND r.is_active = TRUE', [userId]);
+    }
+
+    return await this._findWhere('r.is_active = TRUE', []);
+  }
+
+  /**
+   * Atualiza uma regra
+   */
+  async update(id, data) {
+    const fields = [];
+    const params = [];
+    let paramIndex = 1;
+
+    // Campos que podem ser atualizados (a frequência e as datas de início não mudam)
+    const allowedFields = [
+      'category_id', 'account_id', 'amount', 'description', 'end_date',
+      'max_occurrences', 'is_active', 'generated_count'
+    ];
+
+    Object.keys(data).forEach(key => {
+      const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      if (allowedFields.includes(snakeKey) && data[key] !== undefined) {
+        fields.push(`${snakeKey} = $${paramIndex}`);
+        params.push(data[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    fields.push('updated_at = NOW()');
+    params.push(id);
+
+    try {
+      await this.database.query(
+        `UPDATE recurring_rules SET ${fields.join(', ')} WHERE id = $${paramIndex}`,
+        params
+      );
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Categoria ou conta não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Deleta uma regra (as transações já lançadas são mantidas)
+   */
+  async delete(id) {
+    const result = await this.database.query('DELETE FROM recurring_rules WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Grava (ou substitui) a exceção de uma ocorrência
+   */
+  async saveException(ruleId, exception) {
+    await this.database.transaction(async (client) => {
+      await client.query(
+        'DELETE FROM recurring_rule_exceptions WHERE rule_id = $1 AND occurrence_number = $2',
+        [ruleId, exception.occurrenceNumber]
+      );
+
+      await client.query(
+        `INSERT INTO recurring_rule_exceptions (rule_id, occurrence_number, is_skipped, amount, description, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          ruleId,
+          exception.occurrenceNumber,
+          Boolean(exception.isSkipped),
+          exception.amount || null,
+          exception.description || null
+        ]
+      );
+    });
+
+    return await this.findById(ruleId);
+  }
+
+  /**
+   * Remove a exceção de uma ocorrência
+   */
+  async deleteException(ruleId, occurrenceNumber) {
+    await this.database.query(
+      'DELETE FROM recurring_rule_exceptions WHERE rule_id = $1 AND occurrence_number = $2',
+      [ruleId, occurrenceNumber]
+    );
+
+    return await this.findById(ruleId);
+  }
+
+  /**
+   * Grava as transações das ocorrências vencidas e avança o generated_count
+   */
+  async materialize(id, transactions, fromCount, toCount) {
+    return await this.database.transaction(async (client) => {
+      // Trava a regra: se outro processo já lançou as ocorrências, não faz nada
+      const updated = await client.query(
+        `UPDATE recurring_rules
+         SET generated_count = $1, updated_at = NOW()
+         WHERE id = $2 AND generated_count = $3`,
+        [toCount, id, fromCount]
+      );
+
+      if (updated.rowCount === 0) {
+        return 0;
+      }
+
+      for (const transaction of transactions) {
+        await client.query(
+          `INSERT INTO transactions (
+            user_id, type, category_id, account_id, recurring_rule_id, amount, description, date,
+            created_at, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())`,
+          [
+            transaction.userId,
+            transaction.type,
+            transaction.categoryId,
+            transaction.accountId,
+            id,
+            transaction.amount,
+            transaction.description,
+            transaction.date
+          ]
+        );
+      }
+
+      // As exceções das ocorrências processadas não são mais necessárias
+      await client.query(
+        'DELETE FROM recurring_rule_exceptions WHERE rule_id = $1 AND occurrence_number <= $2',
+        [id, toCount]
+      );
+
+      return transactions.length;
+    });
+  }
+}
@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { SqliteDialect } from './SqliteDialect.js';
+
+dotenv.config();
+
+/**
+ * Colunas retornadas como Date (o driver pg faz isso para DATE/TIMESTAMP)
+ */
+const DATE_COLUMNS = new Set([
+  'date',
+  'day',
+  'start_date',
+  'statement_date',
+  'end_date',
+  'deadline',
+  'contribution_date',
+  'first_date',
+  'last_date',
+  'completed_at',
+  'cancelled_at',
+  'applied_at',
+  'created_at',
+  'updated_at'
+]);
+
+/**
+ * Colunas retornadas como boolean (o SQLite armazena 0/1)
+ */
+const BOOLEAN_COLUMNS = new Set([
+  'exists',
+  'is_default',
+  'rollover',
+  'is_archived',
+  'is_active',
+  'is_skipped'
+]);
+
+/**
+ * Códigos de erro do SQLite mapeados para os SQLSTATE do PostgreSQL,
+ * para que os repositórios tratem erros da mesma forma nos dois bancos
+ */
+const ERROR_CODES = {
+  SQLITE_CONSTRAINT_FOREIGNKEY: '23503',
+  SQLITE_CONSTRAINT_UNIQUE: '23505',
+  SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+  SQLITE_CONSTRAINT_NOTNULL: '23502',
+  SQLITE_CONSTRAINT_CHECK: '23514'
+};
+
+/**
+ * Banco de dados local em arquivo SQLite
+ * Mesma interface do NeonDatabase (connect, query, transaction, close)
+ *
+ * Há uma única conexão: queries e transações passam por uma fila, para que
+ * uma query feita enquanto outra transação aguarda (ex.: duas requisições no
+ * servidor web) não entre nela nem seja desfeita no ROLLBACK dela.
+ */
+export class SqliteDatabase {
+  /**
+   * @param {string} filename - Caminho do arquivo (padrão: SQLITE_DATABASE_PATH ou data/financas.db)
+   */
+  constructor(filename = process.env.SQLITE_DATABASE_PATH || path.join('data', 'financas.db')) {
+    this.filename = filename;
+    this.db = null;
+    this.dialect = 'sqlite';
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Abre (ou cria) o arquivo do banco de dados
+   */
+  async connect() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch {
+      throw new Error('Pacote better-sqlite3 não instalado. Execute: npm install better-sqlite3');
+    }
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+
+    try {
+      this.db = new Database(this.filename);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      SqliteDialect.registerFunctions(this.db);
+      console.log(`✅ Conectado ao SQLite (${this.filename})`);
+    } catch (error) {
+      console.error('❌ Erro ao abrir banco SQLite:', error.message);
+      throw error;
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Executa uma query escrita no dialeto PostgreSQL
+   * @param {string} text - Query SQL
+   * @param {Array} params - Parâmetros da query
+   * @returns {Promise<{rows: Array, rowCount: number}>}
+   */
+  async query(text, params = []) {
+    return this._exclusive(() => this._execute(text, params));
+  }
+
+  /**
+   * Executa uma query sem passar pela fila (usada dentro da transação que já a ocupa)
+   * @private
+   */
+  async _execute(text, params = []) {
+    if (!this.db) {
+      await this.connect();
+    }
+
+    const { sql, params: namedParams } = SqliteDialect.translate(text, params);
+
+    try {
+      // Scripts com vários comandos (sem parâmetros)
+      if (params.length === 0 && this._isScript(sql)) {
+        this.db.exec(sql);
+        return { rows: [], rowCount: 0 };
+      }
+
+      const statement = this.db.prepare(sql);
+
+      if (statement.reader) {
+        const rows = statement.all(namedParams).map(row => this._normalizeRow(row));
+        return { rows, rowCount: rows.length };
+      }
+
+      const info = statement.run(namedParams);
+      return { rows: [], rowCount: info.changes };
+    } catch (error) {
+      if (ERROR_CODES[error.code]) {
+        error.sqliteCode = error.code;
+        error.code = ERROR_CODES[error.code];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Executa operações dentro de uma transação
+   *
+   * Com `foreignKeys: false` as foreign keys ficam desligadas durante a
+   * transação (necessário para reconstruir tabelas referenciadas por outras,
+   * já que o SQLite não altera constraints com ALTER TABLE). As referências
+   * são verificadas antes do COMMIT.
+   *
+   * A transação ocupa a fila até o COMMIT/ROLLBACK: as demais queries e
+   * transações esperam, e só o client recebido pelo callback executa nela.
+   *
+   * @param {Function} callback - async (client) => resultado; client expõe query()
+   * @param {Object} options - { foreignKeys?: boolean }
+   * @returns {Promise<*>} Resultado do callback
+   */
+  async transaction(callback, options = {}) {
+    return this._exclusive(() => this._runTransaction(callback, options));
+  }
+
+  /**
+   * @private
+   */
+  async _runTransaction(callback, { foreignKeys = true }) {
+
+    if (!this.db) {
+      await this.connect();
+    }
+
+    // PRAGMA foreign_keys não tem efeito dentro de uma transação
+    if (!foreignKeys) {
+      this.db.pragma('foreign_keys = OFF');
+    }
+
+    this.db.exec('BEGIN');
+
+    try {
+      const client = { query: (text, params) => this._execute(text, params) };
+      const result = await callback(client);
+
+      if (!foreignKeys) {
+        this._assertForeignKeys();
+      }
+
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      if (this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      if (!foreignKeys) {
+        this.db.pragma('foreign_keys = ON');
+      }
+    }
+  }
+
+  /**
+   * Executa a tarefa depois das que já estão na fila
+   * @private
+   */
+  _exclusive(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Garante que nenhuma foreign key ficou quebrada
+   * @throws {Error} Com o código 23503 (como o PostgreSQL)
+   * @private
+   */
+  _assertForeignKeys() {
+    const violations = this.db.pragma('foreign_key_check');
+
+    if (violations.length > 0) {
+      const tables = [...new Set(violations.map(v => `${v.table} → ${v.parent}`))].join(', ');
+      const error = new Error(`Violação de foreign key (${tables})`);
+      error.code = '23503';
+      throw error;
+    }
+  }
+
+  /**
+   * Fecha a conexão
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Converte tipos das colunas para os mesmos retornados pelo driver pg
+   * @private
+   */
+  _normalizeRow(row) {
+    Object.keys(row).forEach(column => {
+      const value = row[column];
+
+      if (value === null || value === undefined) {
+        return;
+      }
+
+      if (DATE_COLUMNS.has(column) && typeof value === 'string') {
+        row[column] = SqliteDialect.parseDate(value);
+      } else if (BOOLEAN_COLUMNS.has(column)) {
+        row[column] = Boolean(value);
+      }
+    });
+
+    return row;
+  }
+
+  /**
+   * Verifica se o SQL contém mais de um comando
+   * @private
+   */
+  _isScript(sql) {
+    const statements = sql
+      .split(';')
+      .map(part => part.replace(/--.*$/gm, '').trim())
+      .filter(part => part.length > 0);
+
+    return statements.length > 1;
+  }
+}
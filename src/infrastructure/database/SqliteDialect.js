@@ -0,0 +1,214 @@
+/**
+ * Tradução do dialeto PostgreSQL usado pelos repositórios e casos de uso
+ * para o dialeto do SQLite
+ *
+ * As queries do projeto são escritas para o NeonDB (PostgreSQL). Em vez de
+ * manter duas versões de cada query, o SqliteDatabase traduz a sintaxe
+ * específica do Postgres e registra funções equivalentes no SQLite.
+ */
+export class SqliteDialect {
+  /**
+   * Traduz uma query PostgreSQL e seus parâmetros para o SQLite
+   * @param {string} text - Query SQL no dialeto PostgreSQL
+   * @param {Array} params - Parâmetros posicionais ($1, $2, ...)
+   * @returns {{sql: string, params: Object}}
+   */
+  static translate(text, params = []) {
+    let sql = text;
+
+    // Casts para date precisam truncar o horário ($1::date)
+    sql = sql.replace(/(\$\d+)::date\b/gi, 'date($1)');
+
+    // Demais casts são desnecessários no SQLite
+    sql = sql.replace(/::[a-z]+\b/gi, '');
+
+    // (a, b) OVERLAPS (c, d) -> intervalos semiabertos, como no Postgres
+    const operand = '(\\w+\\([^()]*\\)|[\\w.$@]+)';
+    sql = sql.replace(
+      new RegExp(`\\(\\s*${operand}\\s*,\\s*${operand}\\s*\\)\\s+OVERLAPS\\s+\\(\\s*${operand}\\s*,\\s*${operand}\\s*\\)`, 'gi'),
+      '($1 < $4 AND $3 < $2)'
+    );
+
+    // Diferença em dias entre timestamps: EXTRACT(DAY FROM (a - b))
+    sql = sql.replace(
+      /EXTRACT\s*\(\s*DAY\s+FROM\s+\(\s*([\w.]+)\s*-\s*([\w.]+)\s*\)\s*\)/gi,
+      'CAST(julianday($1) - julianday($2) AS INTEGER)'
+    );
+
+    // EXTRACT(MONTH FROM date) -> extract('MONTH', date)
+    sql = sql.replace(/EXTRACT\s*\(\s*(\w+)\s+FROM\s+/gi, 'extract(\'$1\', ');
+
+    // CURRENT_DATE - INTERVAL '5 months'
+    sql = sql.replace(
+      /CURRENT_DATE\s*-\s*INTERVAL\s*'(\d+)\s+(\w+)'/gi,
+      'date(\'now\', \'localtime\', \'-$1 $2\')'
+    );
+
+    // coluna - INTERVAL '5 days'
+    sql = sql.replace(
+      /([\w.]+)\s*-\s*INTERVAL\s*'(\d+)\s+(\w+)'/gi,
+      'date($1, \'-$2 $3\')'
+    );
+
+    // Datas e horários correntes no horário local
+    sql = sql.replace(/\bNOW\(\)/gi, 'datetime(\'now\', \'localtime\')');
+    sql = sql.replace(/\bCURRENT_TIMESTAMP\b/gi, 'datetime(\'now\', \'localtime\')');
+    sql = sql.replace(/\bCURRENT_DATE\b/gi, 'date(\'now\', \'localtime\')');
+
+    // Mediana: PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY amount)
+    sql = sql.replace(
+      /PERCENTILE_CONT\s*\(\s*([\d.]+)\s*\)\s*WITHIN\s+GROUP\s*\(\s*ORDER\s+BY\s+([\w.]+)\s*\)/gi,
+      'percentile_cont($1, $2)'
+    );
+
+    // LIKE do SQLite já ignora maiúsculas/minúsculas (ASCII)
+    sql = sql.replace(/\bILIKE\b/gi, 'LIKE');
+
+    // "exists" é palavra reservada no SQLite
+    sql = sql.replace(/\bas\s+exists\b/gi, 'AS "exists"');
+
+    // Parâmetros posicionais -> nomeados
+    sql = sql.replace(/\$(\d+)/g, '@p$1');
+
+    const named = {};
+    params.forEach((value, index) => {
+      named[`p${index + 1}`] = SqliteDialect.toSqliteValue(value);
+    });
+
+    return { sql, params: named };
+  }
+
+  /**
+   * Converte um valor JavaScript para um tipo aceito pelo SQLite
+   * @param {*} value
+   * @returns {string|number|bigint|Buffer|null}
+   */
+  static toSqliteValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return SqliteDialect.formatDate(value);
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+
+    return value;
+  }
+
+  /**
+   * Formata uma data no horário local
+   * Datas à meia-noite viram 'YYYY-MM-DD' para comparar corretamente com colunas DATE
+   * @param {Date} date
+   * @returns {string}
+   */
+  static formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    if (date.getHours() === 0 && date.getMinutes() === 0 &&
+        date.getSeconds() === 0 && date.getMilliseconds() === 0) {
+      return day;
+    }
+
+    return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Converte texto 'YYYY-MM-DD[ HH:MM:SS]' (horário local) para Date
+   * @param {string} value
+   * @returns {Date|string}
+   */
+  static parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?/.exec(value);
+
+    if (!match) {
+      return value;
+    }
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+
+  /**
+   * Registra no SQLite as funções do Postgres usadas pelas queries
+   * @param {import('better-sqlite3').Database} db
+   */
+  static registerFunctions(db) {
+    db.function('date_trunc', { deterministic: true }, (unit, value) => {
+      if (value === null) return null;
+
+      const date = SqliteDialect.parseDate(String(value));
+      if (!(date instanceof Date)) return null;
+
+      switch (String(unit).toLowerCase()) {
+      case 'year':
+        return SqliteDialect.formatDate(new Date(date.getFullYear(), 0, 1));
+      case 'month':
+        return SqliteDialect.formatDate(new Date(date.getFullYear(), date.getMonth(), 1));
+      case 'day':
+        return SqliteDialect.formatDate(new Date(date.getFullYear(), date.getMonth(), date.getDate()));
+      default:
+        throw new Error(`date_trunc: unidade não suportada (${unit})`);
+      }
+    });
+
+    db.function('to_char', { deterministic: true }, (value, format) => {
+      if (value === null) return null;
+
+      const date = SqliteDialect.parseDate(String(value));
+      if (!(date instanceof Date)) return null;
+
+      const pad = (n) => String(n).padStart(2, '0');
+      return String(format)
+        .replace('YYYY', String(date.getFullYear()))
+        .replace('MM', pad(date.getMonth() + 1))
+        .replace('DD', pad(date.getDate()));
+    });
+
+    db.function('extract', { deterministic: true }, (field, value) => {
+      if (value === null) return null;
+
+      const date = SqliteDialect.parseDate(String(value));
+      if (!(date instanceof Date)) return null;
+
+      switch (String(field).toUpperCase()) {
+      case 'YEAR':
+        return date.getFullYear();
+      case 'MONTH':
+        return date.getMonth() + 1;
+      case 'DAY':
+        return date.getDate();
+      case 'DOW':
+        return date.getDay();
+      case 'EPOCH':
+        return Math.floor(date.getTime() / 1000);
+      default:
+        throw new Error(`extract: campo não suportado (${field})`);
+      }
+    });
+
+    db.aggregate('percentile_cont', {
+      start: () => [],
+      step: (values, fraction, value) => {
+        if (value !== null) {
+          values.push({ fraction, value: Number(value) });
+        }
+      },
+      result: (values) => {
+        if (values.length === 0) return null;
+
+        const fraction = values[0].fraction;
+        const sorted = values.map(v => v.value).sort((a, b) => a - b);
+        const position = (sorted.length - 1) * fraction;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+      }
+    });
+  }
+}
@@ -0,0 +1,46 @@
+import { ITagRepository } from '../../domain/repositories/ITagRepository.js';
+import { Tag } from '../../domain/entities/Tag.js';
+
+/**
+ * Implementação do repositório de tags usando NeonDB
+ */
+export class TagRepository extends ITagRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade Tag
+   * @private
+   */
+  _rowToTag(row) {
+    return new Tag({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      createdAt: row.created_at,
+      // Quantidade de transações (quando há agregação)
+      transactionCount: row.transaction_count
+    });
+  }
+
+  /**
+   * Lista as tags de um usuário com a quantidade de transações
+   */
+  async findByUserId(userId) {
+    const result = await this.database.query(
+      `SELECT
+        tg.*,
+        COUNT(tt.transaction_id) as transaction_count
+      FROM tags tg
+      LEFT JOIN transaction_tags tt ON tt.tag_id = tg.id
+      WHERE tg.user_id = $1
+      GROUP BY tg.id
+      ORDER BY transaction_count DESC, tg.name`,
+      [userId]
+    );
+
+    return result.rows.map(row => this._rowToTag(row));
+  }
+}
@@ -1,5 +1,16 @@
 import { ITransactionRepository } from '../../domain/repositories/ITransactionRepository.js';
 import { Transaction } from '../../domain/entities/Transaction.js';
+import { Tag } from '../../domain/entities/Tag.js';
+import { UNCATEGORIZED_NAME, UNCATEGORIZED_ICON } from '../../domain/entities/Category.js';
+
+const DUPLICATE_EXTERNAL_ID_MESSAGE = 'Esta transação do extrato já foi importada nesta conta';
+const STALE_SELECTION_MESSAGE = 'Algumas transações foram alteradas, conciliadas ou deletadas durante a operação; selecione de novo';
+
+/**
+ * Transações que podem ser alteradas e deletadas por si mesmas: nem
+ * transferência, nem parcela, nem conciliada
+ */
+const UNLOCKED_CONDITION = 'transfer_id IS NULL AND installment_plan_id IS NULL AND reconciliation_id IS NULL';
 
 /**
  * Implementação do repositório de transações usando NeonDB
@@ -20,6 +31,15 @@ export class TransactionRepository extends ITransactionRepository {
       userId: row.user_id,
       type: row.type,
       categoryId: row.category_id,
+      accountId: row.account_id,
+      transferId: row.transfer_id,
+      installmentPlanId: row.installment_plan_id,
+      installmentNumber: row.installment_number,
+      recurringRuleId: row.recurring_rule_id,
+      reconciliationId: row.reconciliation_id,
+      payeeId: row.payee_id,
+      externalId: row.external_id,
+      status: row.status,
       amount: parseFloat(row.amount),
       description: row.description,
       date: row.date,
@@ -28,19 +48,30 @@ export class TransactionRepository extends ITransactionRepository {
       // Dados da categoria (quando há JOIN)
       categoryName: row.category_name,
       categoryIcon: row.category_icon,
-      categoryColor: row.category_color
+      categoryColor: row.category_color,
+      // Dados da conta (quando há JOIN)
+      accountName: row.account_name,
+      accountIcon: row.account_icon,
+      // Conta do outro lado da transferência (quando há JOIN)
+      transferAccountName: row.transfer_account_name,
+      transferAccountIcon: row.transfer_account_icon,
+      // Total de parcelas (quando há JOIN)
+      installmentCount: row.installment_count,
+      // Nome do favorecido (quando há JOIN)
+      payeeName: row.payee_name
     });
   }
 
   /**
-   * Cria uma nova transação
+   * Cria uma nova transação (com as suas tags e a divisão entre categorias)
    */
   async create(transaction) {
     const query = `
       INSERT INTO transactions (
-        user_id, type, category_id, amount, description, date, created_at, updated_at
+        user_id, type, category_id, account_id, payee_id, external_id, status, amount, description, date,
+        created_at, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
       RETURNING *
     `;
 
@@ -48,46 +79,284 @@ export class TransactionRepository extends ITransactionRepository {
       transaction.userId,
       transaction.type,
       transaction.categoryId,
+      transaction.accountId,
+      transaction.payeeId || null,
+      transaction.externalId || null,
+      transaction.status || 'cleared',
       transaction.amount,
       transaction.description,
       transaction.date
     ];
 
     try {
-      const result = await this.database.query(query, params);
+      const id = await this.database.transaction(async (client) => {
+        const result = await client.query(query, params);
+        const transactionId = result.rows[0].id;
+
+        await this._saveTags(client, transaction.userId, transactionId, transaction.tags || []);
+        await this._saveSplits(client, transactionId, transaction.splits || []);
+
+        return transactionId;
+      });
 
       // Buscar dados da categoria via JOIN
-      return await this.findById(result.rows[0].id);
+      return await this.findById(id);
     } catch (error) {
       if (error.code === '23503') { // Foreign key violation
-        throw new Error('Categoria não encontrada');
+        throw new Error('Categoria, conta ou favorecido não encontrado');
+      }
+      if (error.code === '23505') { // Mesmo FITID na conta
+        throw new Error(DUPLICATE_EXTERNAL_ID_MESSAGE);
       }
       throw error;
     }
   }
 
   /**
-   * Busca uma transação por ID (com JOIN em categories)
+   * Substitui as tags de uma transação, criando as que o usuário ainda não tem
+   * @param {Object} client - Cliente da transação do banco
+   * @param {string} userId
+   * @param {number} transactionId
+   * @param {string[]} names - Nomes já normalizados
+   * @private
    */
-  async findById(id) {
-    const query = `
+  async _saveTags(client, userId, transactionId, names) {
+    await client.query('DELETE FROM transaction_tags WHERE transaction_id = $1', [transactionId]);
+
+    if (names.length === 0) {
+      return;
+    }
+
+    const values = names.map((_, index) => `($1, $${index + 2})`).join(', ');
+    await client.query(
+      `INSERT INTO tags (user_id, name) VALUES ${values}
+       ON CONFLICT (user_id, name) DO NOTHING`,
+      [userId, ...names]
+    );
+
+    const placeholders = names.map((_, index) => `$${index + 3}`).join(', ');
+    await client.query(
+      `INSERT INTO transaction_tags (transaction_id, tag_id)
+       SELECT $1, id FROM tags WHERE user_id = $2 AND name IN (${placeholders})`,
+      [transactionId, userId, ...names]
+    );
+  }
+
+  /**
+   * Substitui as linhas da divisão de uma transação entre categorias
+   * @param {Object} client - Cliente da transação do banco
+   * @param {number} transactionId
+   * @param {Array<{categoryId: number, amount: number}>} splits - Vazio = sem divisão
+   * @private
+   */
+  async _saveSplits(client, transactionId, splits) {
+    await client.query('DELETE FROM transaction_splits WHERE transaction_id = $1', [transactionId]);
+
+    if (splits.length === 0) {
+      return;
+    }
+
+    const values = splits.map((_, index) => `($1, $${index * 2 + 2}, $${index * 2 + 3})`).join(', ');
+    await client.query(
+      `INSERT INTO transaction_splits (transaction_id, category_id, amount) VALUES ${values}`,
+      [transactionId, ...splits.flatMap(split => [split.categoryId, split.amount])]
+    );
+  }
+
+  /**
+   * Carrega as tags e a divisão entre categorias das transações
+   * @param {Transaction[]} transactions
+   * @returns {Promise<Transaction[]>}
+   * @private
+   */
+  async _attachDetails(transactions) {
+    await this._attachTags(transactions);
+    return this._attachSplits(transactions);
+  }
+
+  /**
+   * Carrega os nomes das tags das transações (em ordem alfabética)
+   * @param {Transaction[]} transactions
+   * @returns {Promise<Transaction[]>}
+   * @private
+   */
+  async _attachTags(transactions) {
+    if (transactions.length === 0) {
+      return transactions;
+    }
+
+    const ids = transactions.map(transaction => transaction.id);
+    const placeholders = ids.map((_, index) => `$${index + 1}`).join(', ');
+    const result = await this.database.query(
+      `SELECT tt.transaction_id, tg.name
+       FROM transaction_tags tt
+       INNER JOIN tags tg ON tt.tag_id = tg.id
+       WHERE tt.transaction_id IN (${placeholders})
+       ORDER BY tg.name`,
+      ids
+    );
+
+    transactions.forEach(transaction => {
+      transaction.tags = result.rows
+        .filter(row => row.transaction_id === transaction.id)
+        .map(row => row.name);
+    });
+
+    return transactions;
+  }
+
+  /**
+   * Carrega as linhas da divisão das transações (na ordem em que foram gravadas)
+   * @param {Transaction[]} transactions
+   * @returns {Promise<Transaction[]>}
+   * @private
+   */
+  async _attachSplits(transactions) {
+    if (transactions.length === 0) {
+      return transactions;
+    }
+
+    const ids = transactions.map(transaction => transaction.id);
+    const placeholders = ids.map((_, index) => `$${index + 1}`).join(', ');
+    const result = await this.database.query(
+      `SELECT s.transaction_id, s.category_id, s.amount, c.name as category_name, c.icon as category_icon
+       FROM transaction_splits s
+       LEFT JOIN categories c ON s.category_id = c.id
+       WHERE s.transaction_id IN (${placeholders})
+       ORDER BY s.id`,
+      ids
+    );
+
+    transactions.forEach(transaction => {
+      transaction.splits = result.rows
+        .filter(row => row.transaction_id === transaction.id)
+        .map(row => ({
+          categoryId: row.category_id,
+          amount: parseFloat(row.amount),
+          categoryName: row.category_name,
+          categoryIcon: row.category_icon
+        }));
+    });
+
+    return transactions;
+  }
+
+  /**
+   * Condição "a transação tem a tag" (alias = nome ou alias da tabela transactions)
+   * @private
+   */
+  _tagCondition(alias, paramIndex) {
+    return `EXISTS (
+      SELECT 1 FROM transaction_tags tt
+      INNER JOIN tags tg ON tt.tag_id = tg.id
+      WHERE tt.transaction_id = ${alias}.id AND tg.name = $${paramIndex}
+    )`;
+  }
+
+  /**
+   * Condição "a transação tem valor na categoria" (na categoria da transação ou
+   * em uma linha da divisão)
+   * @private
+   */
+  _categoryCondition(alias, paramIndex) {
+    return `EXISTS (
+      SELECT 1 FROM transaction_category_lines l
+      WHERE l.id = ${alias}.id AND l.category_id = $${paramIndex}
+    )`;
+  }
+
+  /**
+   * Condição "a transação está sem categoria" (ela ou uma linha da divisão
+   * sem categoria, ou com uma categoria que não existe mais; transferências
+   * não têm categoria)
+   * @private
+   */
+  _uncategorizedCondition(alias) {
+    return `EXISTS (
+      SELECT 1 FROM transaction_category_lines l
+      LEFT JOIN categories lc ON l.category_id = lc.id
+      WHERE l.id = ${alias}.id AND l.transfer_id IS NULL AND lc.id IS NULL
+    )`;
+  }
+
+  /**
+   * Tabela das consultas de relatório: com filtro de categoria, as transações
+   * divididas entram só com o valor da linha da categoria
+   * @private
+   */
+  _reportSource(filters) {
+    return filters.categoryId ? 'transaction_category_lines' : 'transactions';
+  }
+
+  /**
+   * Consulta das transações com os dados de categoria, conta, transferência,
+   * parcelamento e favorecido
+   * @private
+   */
+  _detailedQuery(where) {
+    return `
       SELECT
         t.*,
         c.name as category_name,
         c.icon as category_icon,
-        c.color as category_color
+        c.color as category_color,
+        a.name as account_name,
+        a.icon as account_icon,
+        pa.name as transfer_account_name,
+        pa.icon as transfer_account_icon,
+        ip.installment_count,
+        py.name as payee_name
       FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.id = $1
+      LEFT JOIN categories c ON t.category_id = c.id
+      LEFT JOIN accounts a ON t.account_id = a.id
+      LEFT JOIN transactions pt ON pt.transfer_id = t.transfer_id AND pt.id <> t.id
+      LEFT JOIN accounts pa ON pt.account_id = pa.id
+      LEFT JOIN installment_plans ip ON t.installment_plan_id = ip.id
+      LEFT JOIN payees py ON t.payee_id = py.id
+      WHERE ${where}
     `;
+  }
 
-    const result = await this.database.query(query, [id]);
+  /**
+   * Busca uma transação por ID (com JOIN em categories e accounts)
+   */
+  async findById(id) {
+    const result = await this.database.query(this._detailedQuery('t.id = $1'), [id]);
 
     if (result.rows.length === 0) {
       return null;
     }
 
-    return this._rowToTransaction(result.rows[0]);
+    const [transaction] = await this._attachDetails([this._rowToTransaction(result.rows[0])]);
+    return transaction;
+  }
+
+  /**
+   * Busca as transações de um usuário pelos IDs (as de outros usuários ficam de fora)
+   */
+  async findByIdsForUser(userId, ids) {
+    const uniqueIds = [...new Set(ids.map(Number))];
+
+    if (uniqueIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = uniqueIds.map((_, index) => `$${index + 2}`).join(', ');
+    const result = await this.database.query(
+      `${this._detailedQuery(`t.user_id = $1 AND t.id IN (${placeholders})`)} ORDER BY t.id`,
+      [userId, ...uniqueIds]
+    );
+
+    return this._attachDetails(result.rows.map(row => this._rowToTransaction(row)));
+  }
+
+  /**
+   * Transações de uma seleção das operações em lote (pelos IDs ou pelo filtro)
+   */
+  async findBySelection(userId, { transactionIds = null, filters = null } = {}) {
+    return transactionIds
+      ? this.findByIdsForUser(userId, transactionIds)
+      : this.findByFilters({ ...(filters || {}), userId, limit: null });
   }
 
   /**
@@ -110,60 +379,105 @@ export class TransactionRepository extends ITransactionRepository {
     // Validar orderDirection
     const safeOrderDirection = orderDirection === 'ASC' ? 'ASC' : 'DESC';
 
-    const query = `
-      SELECT
-        t.*,
-        c.name as category_name,
-        c.icon as category_icon,
-        c.color as category_color
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1
+    const query = `${this._detailedQuery('t.user_id = $1')}
       ORDER BY t.${safeOrderBy} ${safeOrderDirection}, t.created_at DESC
       LIMIT $2 OFFSET $3
     `;
 
     const result = await this.database.query(query, [userId, limit, offset]);
 
-    return result.rows.map(row => this._rowToTransaction(row));
+    return this._attachDetails(result.rows.map(row => this._rowToTransaction(row)));
   }
 
   /**
-   * Busca transações com filtros avançados
+   * Condições (sobre o alias t de transactions) e parâmetros dos filtros da
+   * listagem, usados por findByFilters e count
+   * @private
+   * @returns {{conditions: string[], params: Array}}
    */
-  async findByFilters(filters) {
+  _buildFilterConditions(filters) {
     const {
       userId,
       type,
       categoryId,
+      uncategorized = false,
+      accountId,
+      installmentPlanId,
+      status,
+      reconciled,
       startDate,
       endDate,
       minAmount,
       maxAmount,
       search,
-      page = 1,
-      limit = 20
+      tag,
+      payeeId,
+      afterId,
+      includeTransfers = true,
+      includePlanned = true
     } = filters;
 
-    const offset = (page - 1) * limit;
     const params = [userId];
     const conditions = ['t.user_id = $1'];
     let paramIndex = 2;
 
-    // Filtro por tipo
+    // Filtro por tipo (receitas/despesas não incluem as transferências)
     if (type && (type === 'income' || type === 'expense')) {
-      conditions.push(`t.type = $${paramIndex}`);
+      conditions.push(`t.type = $${paramIndex}`, 't.transfer_id IS NULL');
       params.push(type);
       paramIndex++;
+    } else if (type === 'transfer') {
+      conditions.push('t.transfer_id IS NOT NULL');
+    }
+
+    if (!includeTransfers) {
+      conditions.push('t.transfer_id IS NULL');
     }
 
-    // Filtro por categoria
+    // Filtro por categoria (inclui as transações divididas com uma linha nela)
     if (categoryId) {
-      conditions.push(`t.category_id = $${paramIndex}`);
+      conditions.push(this._categoryCondition('t', paramIndex));
       params.push(categoryId);
       paramIndex++;
     }
 
+    // Filtro "Sem categoria"
+    if (uncategorized) {
+      conditions.push(this._uncategorizedCondition('t'));
+    }
+
+    // Filtro por conta
+    if (accountId) {
+      conditions.push(`t.account_id = $${paramIndex}`);
+      params.push(accountId);
+      paramIndex++;
+    }
+
+    // Filtro por parcelamento
+    if (installmentPlanId) {
+      conditions.push(`t.installment_plan_id = $${paramIndex}`);
+      params.push(installmentPlanId);
+      paramIndex++;
+    }
+
+    // Filtro por situação
+    if (status) {
+      conditions.push(`t.status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (!includePlanned) {
+      conditions.push('t.status <> \'planned\'');
+    }
+
+    // Filtro por conciliação (true = só conciliadas, false = só as pendentes de conferência)
+    if (reconciled === true) {
+      conditions.push('t.reconciliation_id IS NOT NULL');
+    } else if (reconciled === false) {
+      conditions.push('t.reconciliation_id IS NULL');
+    }
+
     // Filtro por período
     if (startDate) {
       conditions.push(`t.date >= $${paramIndex}`);
@@ -197,37 +511,139 @@ export class TransactionRepository extends ITransactionRepository {
       paramIndex++;
     }
 
-    // Adicionar limit e offset
-    params.push(limit, offset);
+    // Filtro por tag
+    if (tag) {
+      conditions.push(this._tagCondition('t', paramIndex));
+      params.push(Tag.normalize(tag));
+      paramIndex++;
+    }
+
+    // Filtro por favorecido
+    if (payeeId) {
+      conditions.push(`t.payee_id = $${paramIndex}`);
+      params.push(payeeId);
+      paramIndex++;
+    }
 
-    const query = `
-      SELECT
-        t.*,
-        c.name as category_name,
-        c.icon as category_icon,
-        c.color as category_color
-      FROM transactions t
-      INNER JOIN categories c ON t.category_id = c.id
-      WHERE ${conditions.join(' AND ')}
-      ORDER BY t.date DESC, t.created_at DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    // Só as registradas depois de uma transação
+    if (afterId) {
+      conditions.push(`t.id > $${paramIndex}`);
+      params.push(afterId);
+      paramIndex++;
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Busca transações com filtros avançados
+   */
+  async findByFilters(filters) {
+    const { orderBy = 'date', page = 1, limit = 20 } = filters;
+    const { conditions, params } = this._buildFilterConditions(filters);
+    const paramIndex = params.length + 1;
+
+    // Ordenação (maiores valores primeiro ou mais recentes primeiro)
+    const orderClause = orderBy === 'amount'
+      ? 't.amount DESC, t.date DESC'
+      : 't.date DESC, t.created_at DESC';
+
+    let query = `${this._detailedQuery(conditions.join(' AND '))}
+      ORDER BY ${orderClause}
     `;
 
+    // Adicionar limit e offset (limit null = todas as transações)
+    if (limit !== null) {
+      query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+      params.push(limit, (page - 1) * limit);
+    }
+
     const result = await this.database.query(query, params);
 
-    return result.rows.map(row => this._rowToTransaction(row));
+    return this._attachDetails(result.rows.map(row => this._rowToTransaction(row)));
+  }
+
+  /**
+   * Transações de uma conta já importadas com os identificadores do extrato
+   */
+  async findByExternalIds(accountId, externalIds) {
+    if (externalIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = externalIds.map((_, index) => `$${index + 2}`).join(', ');
+    const result = await this.database.query(
+      `SELECT t.* FROM transactions t WHERE t.account_id = $1 AND t.external_id IN (${placeholders})`,
+      [accountId, ...externalIds]
+    );
+
+    return this._attachDetails(result.rows.map(row => this._rowToTransaction(row)));
   }
 
   /**
-   * Atualiza uma transação existente
+   * Atualiza uma transação existente (data.tags substitui as tags e data.splits,
+   * a divisão entre categorias)
    */
   async update(id, data) {
+    try {
+      const updatedId = await this.database.transaction(client => this._updateRow(client, id, data));
+
+      // Buscar com dados da categoria
+      return await this.findById(updatedId);
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Categoria, conta ou favorecido não encontrado');
+      }
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_EXTERNAL_ID_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza várias transações de uma vez: ou todas mudam, ou nenhuma (nem
+   * quando uma delas deixou de ser do usuário ou livre depois de carregada)
+   * @param {string} userId
+   * @param {Array<{id: number, data: Object}>} changes - Os mesmos dados de update()
+   * @returns {Promise<number>} Quantidade de transações atualizadas
+   */
+  async bulkUpdate(userId, changes) {
+    if (changes.length === 0) {
+      return 0;
+    }
+
+    try {
+      await this.database.transaction(async (client) => {
+        for (const { id, data } of changes) {
+          await this._updateRow(client, id, data, { userId });
+        }
+      });
+
+      return changes.length;
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Categoria, conta ou favorecido não encontrado');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Grava as alterações de uma transação
+   * @param {Object} client - Cliente da transação do banco
+   * @param {Object} [guard] - { userId }: só grava a transação do usuário que
+   *   não for transferência, parcela nem conciliada (operações em lote)
+   * @returns {Promise<number>} ID da transação
+   * @private
+   */
+  async _updateRow(client, id, data, guard = null) {
     const updateFields = [];
     const params = [];
     let paramIndex = 1;
 
     // Campos que podem ser atualizados
-    const allowedFields = ['type', 'category_id', 'amount', 'description', 'date'];
+    const allowedFields = ['type', 'category_id', 'account_id', 'payee_id', 'status', 'amount', 'description', 'date'];
 
     // Construir query dinâmica baseado nos campos fornecidos
     Object.keys(data).forEach(key => {
@@ -239,7 +655,7 @@ export class TransactionRepository extends ITransactionRepository {
       }
     });
 
-    if (updateFields.length === 0) {
+    if (updateFields.length === 0 && data.tags === undefined && data.splits === undefined) {
       throw new Error('Nenhum campo válido para atualizar');
     }
 
@@ -249,28 +665,37 @@ export class TransactionRepository extends ITransactionRepository {
     // Adicionar ID no final dos params
     params.push(id);
 
+    const conditions = [`id = $${paramIndex}`];
+
+    if (guard) {
+      conditions.push(`user_id = $${paramIndex + 1}`, UNLOCKED_CONDITION);
+      params.push(guard.userId);
+    }
+
     const query = `
       UPDATE transactions
       SET ${updateFields.join(', ')}
-      WHERE id = $${paramIndex}
+      WHERE ${conditions.join(' AND ')}
       RETURNING *
     `;
 
-    try {
-      const result = await this.database.query(query, params);
+    const result = await client.query(query, params);
 
-      if (result.rows.length === 0) {
-        throw new Error('Transação não encontrada');
-      }
+    if (result.rows.length === 0) {
+      throw new Error(guard ? STALE_SELECTION_MESSAGE : 'Transação não encontrada');
+    }
 
-      // Buscar com dados da categoria
-      return await this.findById(result.rows[0].id);
-    } catch (error) {
-      if (error.code === '23503') {
-        throw new Error('Categoria não encontrada');
-      }
-      throw error;
+    const row = result.rows[0];
+
+    if (data.tags !== undefined) {
+      await this._saveTags(client, row.user_id, row.id, Tag.parseList(data.tags));
+    }
+
+    if (data.splits !== undefined) {
+      await this._saveSplits(client, row.id, data.splits);
     }
+
+    return row.id;
   }
 
   /**
@@ -284,69 +709,102 @@ export class TransactionRepository extends ITransactionRepository {
   }
 
   /**
-   * Conta o total de transações
+   * Deleta várias transações de uma vez: ou todas saem, ou nenhuma (nem
+   * quando uma delas deixou de ser do usuário ou livre depois de carregada)
+   * @param {string} userId
+   * @param {number[]} ids
+   * @returns {Promise<number[]>} IDs das transações deletadas
    */
-  async count(userId, filters = {}) {
-    const {
-      type,
-      categoryId,
-      startDate,
-      endDate,
-      minAmount,
-      maxAmount,
-      search
-    } = filters;
+  async bulkDelete(userId, ids) {
+    const uniqueIds = [...new Set(ids.map(Number))];
 
-    const params = [userId];
-    const conditions = ['user_id = $1'];
-    let paramIndex = 2;
-
-    // Aplicar os mesmos filtros de findByFilters
-    if (type && (type === 'income' || type === 'expense')) {
-      conditions.push(`type = $${paramIndex}`);
-      params.push(type);
-      paramIndex++;
+    if (uniqueIds.length === 0) {
+      return [];
     }
 
-    if (categoryId) {
-      conditions.push(`category_id = $${paramIndex}`);
-      params.push(categoryId);
-      paramIndex++;
-    }
+    const placeholders = uniqueIds.map((_, index) => `$${index + 2}`).join(', ');
 
-    if (startDate) {
-      conditions.push(`date >= $${paramIndex}`);
-      params.push(startDate);
-      paramIndex++;
-    }
+    return this.database.transaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM transactions
+         WHERE user_id = $1 AND id IN (${placeholders}) AND ${UNLOCKED_CONDITION}
+         RETURNING id`,
+        [userId, ...uniqueIds]
+      );
 
-    if (endDate) {
-      conditions.push(`date <= $${paramIndex}`);
-      params.push(endDate);
-      paramIndex++;
-    }
+      // Outra operação mexeu nas transações depois de o caso de uso conferi-las
+      if (result.rows.length !== uniqueIds.length) {
+        throw new Error(STALE_SELECTION_MESSAGE);
+      }
 
-    if (minAmount !== undefined && minAmount !== null) {
-      conditions.push(`amount >= $${paramIndex}`);
-      params.push(minAmount);
-      paramIndex++;
-    }
+      return result.rows.map(row => Number(row.id));
+    });
+  }
 
-    if (maxAmount !== undefined && maxAmount !== null) {
-      conditions.push(`amount <= $${paramIndex}`);
-      params.push(maxAmount);
-      paramIndex++;
+  /**
+   * Mescla transações duplicadas numa única transação do banco
+   */
+  async merge(keeperId, changes, duplicateIds) {
+    try {
+      return await this.database.transaction(async (client) => {
+        if (Object.keys(changes).length > 0) {
+          await this._updateRow(client, keeperId, changes);
+        }
+
+        const placeholders = duplicateIds.map((_, index) => `$${index + 1}`).join(', ');
+
+        // Anexos das que saem que a que fica ainda não tem (os arquivos são
+        // os mesmos, então continuam em uso)
+        const attachments = await client.query(
+          `SELECT * FROM attachments WHERE transaction_id IN (${placeholders}) ORDER BY id ASC`,
+          duplicateIds
+        );
+        const existing = await client.query('SELECT content_hash FROM attachments WHERE transaction_id = $1', [keeperId]);
+        const hashes = new Set(existing.rows.map(row => row.content_hash));
+
+        for (const attachment of attachments.rows) {
+          if (hashes.has(attachment.content_hash)) {
+            continue;
+          }
+
+          await client.query(
+            `INSERT INTO attachments (user_id, transaction_id, file_name, content_hash, mime_type, size, created_at)
+             SELECT user_id, $1, $2, $3, $4, $5, NOW() FROM transactions WHERE id = $1`,
+            [keeperId, attachment.file_name, attachment.content_hash, attachment.mime_type, attachment.size]
+          );
+          hashes.add(attachment.content_hash);
+        }
+
+        const deleted = await client.query(
+          `DELETE FROM transactions
+           WHERE id IN (${placeholders}) AND ${UNLOCKED_CONDITION}`,
+          duplicateIds
+        );
+
+        // Outra operação mexeu nas duplicadas enquanto a mesclagem era feita
+        if (deleted.rowCount !== duplicateIds.length) {
+          throw new Error('Algumas transações duplicadas foram alteradas ou conciliadas; busque as duplicadas de novo');
+        }
+
+        return deleted.rowCount;
+      });
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Categoria, conta ou favorecido não encontrado');
+      }
+      throw error;
     }
+  }
 
-    if (search && search.trim().length > 0) {
-      conditions.push(`description ILIKE $${paramIndex}`);
-      params.push(`%${search.trim()}%`);
-      paramIndex++;
-    }
+  /**
+   * Conta o total de transações (com os mesmos filtros de findByFilters)
+   */
+  async count(userId, filters = {}) {
+    const { conditions, params } = this._buildFilterConditions({ ...filters, userId });
 
     const query = `
       SELECT COUNT(*) as count
-      FROM transactions
+      FROM transactions t
       WHERE ${conditions.join(' AND ')}
     `;
 
@@ -356,17 +814,24 @@ export class TransactionRepository extends ITransactionRepository {
   }
 
   /**
-   * Calcula o resumo financeiro
+   * Calcula o resumo financeiro (sem as transferências entre contas)
+   * As transações previstas são somadas à parte dos totais realizados
    */
   async getSummary(userId, filters = {}) {
     const {
       startDate,
       endDate,
-      categoryId
+      categoryId,
+      uncategorized = false,
+      accountId,
+      status,
+      tag,
+      payeeId
     } = filters;
+    const source = this._reportSource(filters);
 
     const params = [userId];
-    const conditions = ['user_id = $1'];
+    const conditions = ['user_id = $1', 'transfer_id IS NULL'];
     let paramIndex = 2;
 
     if (startDate) {
@@ -387,12 +852,44 @@ export class TransactionRepository extends ITransactionRepository {
       paramIndex++;
     }
 
+    if (uncategorized) {
+      conditions.push(this._uncategorizedCondition(source));
+    }
+
+    if (accountId) {
+      conditions.push(`account_id = $${paramIndex}`);
+      params.push(accountId);
+      paramIndex++;
+    }
+
+    if (status) {
+      conditions.push(`status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (tag) {
+      conditions.push(this._tagCondition(source, paramIndex));
+      params.push(Tag.normalize(tag));
+      paramIndex++;
+    }
+
+    if (payeeId) {
+      // A view de categorias não tem payee_id: filtra pelo id da transação
+      conditions.push(`id IN (SELECT id FROM transactions WHERE payee_id = $${paramIndex})`);
+      params.push(payeeId);
+      paramIndex++;
+    }
+
     const query = `
       SELECT
-        COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as total_income,
-        COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expense,
-        COUNT(*) as count
-      FROM transactions
+        COALESCE(SUM(CASE WHEN type = 'income' AND status <> 'planned' THEN amount ELSE 0 END), 0) as total_income,
+        COALESCE(SUM(CASE WHEN type = 'expense' AND status <> 'planned' THEN amount ELSE 0 END), 0) as total_expense,
+        COUNT(CASE WHEN status <> 'planned' THEN 1 END) as count,
+        COALESCE(SUM(CASE WHEN type = 'income' AND status = 'planned' THEN amount ELSE 0 END), 0) as planned_income,
+        COALESCE(SUM(CASE WHEN type = 'expense' AND status = 'planned' THEN amount ELSE 0 END), 0) as planned_expense,
+        COUNT(CASE WHEN status = 'planned' THEN 1 END) as planned_count
+      FROM ${source}
       WHERE ${conditions.join(' AND ')}
     `;
 
@@ -406,10 +903,264 @@ export class TransactionRepository extends ITransactionRepository {
       totalIncome,
       totalExpense,
       balance: totalIncome - totalExpense,
-      count: parseInt(row.count)
+      count: parseInt(row.count),
+      plannedIncome: parseFloat(row.planned_income),
+      plannedExpense: parseFloat(row.planned_expense),
+      plannedCount: parseInt(row.planned_count)
     };
   }
 
+  /**
+   * Totais agrupados por tipo
+   */
+  async getTotalsByType(userId, filters = {}) {
+    const { conditions, params } = this._buildReportConditions(userId, filters);
+
+    const query = `
+      SELECT
+        type,
+        COALESCE(SUM(amount), 0) as total,
+        COUNT(*) as count,
+        AVG(amount) as average,
+        MIN(amount) as min,
+        MAX(amount) as max,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY amount) as median
+      FROM ${this._reportSource(filters)}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY type
+    `;
+
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => ({
+      type: row.type,
+      total: parseFloat(row.total),
+      count: parseInt(row.count),
+      average: parseFloat(row.average),
+      min: parseFloat(row.min),
+      max: parseFloat(row.max),
+      median: parseFloat(row.median)
+    }));
+  }
+
+  /**
+   * Totais agrupados por categoria (as transações divididas entram em cada
+   * categoria com o valor da sua linha; as sem categoria, em "Sem categoria")
+   */
+  async getTotalsByCategory(userId, filters = {}) {
+    const { conditions, params } = this._buildReportConditions(userId, filters, 't.');
+
+    const query = `
+      SELECT
+        c.id,
+        c.name,
+        c.icon,
+        c.color,
+        t.type,
+        COALESCE(SUM(t.amount), 0) as total,
+        COUNT(*) as count,
+        AVG(t.amount) as average
+      FROM transaction_category_lines t
+      LEFT JOIN categories c ON t.category_id = c.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY c.id, c.name, c.icon, c.color, t.type
+      ORDER BY total DESC
+    `;
+
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => ({
+      categoryId: row.id,
+      name: row.id ? row.name : UNCATEGORIZED_NAME,
+      icon: row.id ? row.icon : UNCATEGORIZED_ICON,
+      color: row.id ? row.color : 'gray',
+      type: row.type,
+      total: parseFloat(row.total),
+      count: parseInt(row.count),
+      average: parseFloat(row.average)
+    }));
+  }
+
+  /**
+   * Totais agrupados por tag
+   * Uma transação com várias tags entra no total de cada uma delas
+   */
+  async getTotalsByTag(userId, filters = {}) {
+    const { conditions, params } = this._buildReportConditions(userId, filters, 't.');
+
+    const query = `
+      SELECT
+        tg.id,
+        tg.name,
+        COALESCE(SUM(t.amount), 0) as total,
+        COUNT(*) as count,
+        AVG(t.amount) as average
+      FROM transactions t
+      INNER JOIN transaction_tags tt ON tt.transaction_id = t.id
+      INNER JOIN tags tg ON tt.tag_id = tg.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY tg.id, tg.name
+      ORDER BY total DESC, tg.name
+    `;
+
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => ({
+      tagId: row.id,
+      name: row.name,
+      total: parseFloat(row.total),
+      count: parseInt(row.count),
+      average: parseFloat(row.average)
+    }));
+  }
+
+  /**
+   * Totais agrupados por favorecido
+   */
+  async getTotalsByPayee(userId, filters = {}) {
+    const { conditions, params } = this._buildReportConditions(userId, filters, 't.');
+
+    const query = `
+      SELECT
+        py.id,
+        py.name,
+        COALESCE(SUM(t.amount), 0) as total,
+        COUNT(*) as count,
+        AVG(t.amount) as average,
+        MIN(t.date) as first_date,
+        MAX(t.date) as last_date
+      FROM transactions t
+      INNER JOIN payees py ON t.payee_id = py.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY py.id, py.name
+      ORDER BY total DESC, py.name
+    `;
+
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => ({
+      payeeId: row.id,
+      name: row.name,
+      total: parseFloat(row.total),
+      count: parseInt(row.count),
+      average: parseFloat(row.average),
+      firstDate: row.first_date,
+      lastDate: row.last_date
+    }));
+  }
+
+  /**
+   * Totais mensais agrupados por tipo
+   */
+  async getMonthlyTotals(userId, filters = {}) {
+    const { conditions, params } = this._buildReportConditions(userId, filters);
+
+    const query = `
+      SELECT
+        TO_CHAR(date, 'YYYY-MM') as month_year,
+        EXTRACT(MONTH FROM date) as month,
+        EXTRACT(YEAR FROM date) as year,
+        type,
+        COALESCE(SUM(amount), 0) as total,
+        COUNT(*) as count,
+        AVG(amount) as average
+      FROM ${this._reportSource(filters)}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY month_year, month, year, type
+      ORDER BY month_year
+    `;
+
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => ({
+      monthYear: row.month_year,
+      month: parseInt(row.month),
+      year: parseInt(row.year),
+      type: row.type,
+      total: parseFloat(row.total),
+      count: parseInt(row.count),
+      average: parseFloat(row.average)
+    }));
+  }
+
+  /**
+   * Totais diários
+   */
+  async getDailyTotals(userId, filters = {}) {
+    const { conditions, params } = this._buildReportConditions(userId, filters);
+
+    const query = `
+      SELECT
+        DATE(date) as day,
+        COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as expense,
+        COUNT(CASE WHEN type = 'income' THEN 1 END) as income_count,
+        COUNT(CASE WHEN type = 'expense' THEN 1 END) as expense_count,
+        COUNT(*) as count
+      FROM ${this._reportSource(filters)}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY DATE(date)
+      ORDER BY DATE(date)
+    `;
+
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => ({
+      day: row.day,
+      income: parseFloat(row.income),
+      expense: parseFloat(row.expense),
+      incomeCount: parseInt(row.income_count),
+      expenseCount: parseInt(row.expense_count),
+      count: parseInt(row.count)
+    }));
+  }
+
+  /**
+   * Monta as condições WHERE das consultas de relatório
+   * Transferências entre contas e transações previstas nunca entram nos totais
+   * de receitas/despesas
+   * @param {string} userId
+   * @param {Object} filters - { startDate?, endDate?, type?, categoryId?, accountId? }
+   * @param {string} prefix - Alias da tabela transactions (ex: 't.')
+   * @private
+   */
+  _buildReportConditions(userId, filters, prefix = '') {
+    const { startDate, endDate, type, categoryId, accountId } = filters;
+    const params = [userId];
+    const conditions = [
+      `${prefix}user_id = $1`,
+      `${prefix}transfer_id IS NULL`,
+      `${prefix}status <> 'planned'`
+    ];
+
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`${prefix}date >= $${params.length}`);
+    }
+
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`${prefix}date <= $${params.length}`);
+    }
+
+    if (type) {
+      params.push(type);
+      conditions.push(`${prefix}type = $${params.length}`);
+    }
+
+    if (categoryId) {
+      params.push(categoryId);
+      conditions.push(`${prefix}category_id = $${params.length}`);
+    }
+
+    if (accountId) {
+      params.push(accountId);
+      conditions.push(`${prefix}account_id = $${params.length}`);
+    }
+
+    return { conditions, params };
+  }
+
   /**
    * Verifica se uma transação existe e pertence ao usuário
    */
@@ -0,0 +1,284 @@
+import { ITransferRepository } from '../../domain/repositories/ITransferRepository.js';
+import { Transfer } from '../../domain/entities/Transfer.js';
+import { Transaction } from '../../domain/entities/Transaction.js';
+
+/**
+ * Erros das transferências com movimentação conciliada
+ */
+const RECONCILED_UPDATE_ERROR = 'Conciliada (desbloqueie antes de alterar)';
+const RECONCILED_DELETE_ERROR = 'Conciliada (desbloqueie antes de deletar)';
+
+/**
+ * Implementação do repositório de transferências usando NeonDB
+ */
+export class TransferRepository extends ITransferRepository {
+  constructor(database) {
+    super();
+    this.database = database;
+  }
+
+  /**
+   * Converte row do banco para entidade Transfer
+   * @private
+   */
+  _rowToTransfer(row) {
+    return new Transfer({
+      id: row.id,
+      userId: row.user_id,
+      fromAccountId: row.from_account_id,
+      toAccountId: row.to_account_id,
+      amount: parseFloat(row.amount),
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados das contas (quando há JOIN)
+      fromAccountName: row.from_account_name,
+      fromAccountIcon: row.from_account_icon,
+      toAccountName: row.to_account_name,
+      toAccountIcon: row.to_account_icon
+    });
+  }
+
+  /**
+   * Query base: transferências com os dados das contas de origem e destino
+   * @private
+   */
+  _selectQuery(where) {
+    return `
+      SELECT
+        tr.*,
+        fa.name as from_account_name,
+        fa.icon as from_account_icon,
+        ta.name as to_account_name,
+        ta.icon as to_account_icon
+      FROM transfers tr
+      INNER JOIN accounts fa ON tr.from_account_id = fa.id
+      INNER JOIN accounts ta ON tr.to_account_id = ta.id
+      WHERE ${where}
+    `;
+  }
+
+  /**
+   * Grava as duas movimentações da transferência
+   * Saída (expense) na conta de origem, entrada (income) na de destino
+   * @private
+   */
+  async _insertMovements(client, row) {
+    const query = `
+      INSERT INTO transactions (
+        user_id, type, category_id, account_id, transfer_id, amount, description, date, created_at, updated_at
+      )
+      VALUES ($1, $2, NULL, $3, $4, $5, $6, $7, NOW(), NOW())
+    `;
+
+    await client.query(query, [
+      row.user_id, 'expense', row.from_account_id, row.id, row.amount, row.description, row.date
+    ]);
+    await client.query(query, [
+      row.user_id, 'income', row.to_account_id, row.id, row.amount, row.description, row.date
+    ]);
+  }
+
+  /**
+   * Sincroniza as duas movimentações com os dados da transferência
+   * @private
+   */
+  async _updateMovements(client, row) {
+    const query = `
+      UPDATE transactions
+      SET account_id = $1, amount = $2, description = $3, date = $4, updated_at = NOW()
+      WHERE transfer_id = $5 AND type = $6 AND reconciliation_id IS NULL
+    `;
+
+    const movements = [['expense', row.from_account_id], ['income', row.to_account_id]];
+
+    for (const [type, accountId] of movements) {
+      const result = await client.query(query, [
+        accountId, row.amount, row.description, row.date, row.id, type
+      ]);
+
+      // Movimentação conciliada não muda: desfaz a transação inteira
+      if (result.rowCount === 0) {
+        throw new Error(RECONCILED_UPDATE_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Cria uma transferência e as duas movimentações ligadas a ela
+   */
+  async create(transfer) {
+    try {
+      const id = await this.database.transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO transfers (
+            user_id, from_account_id, to_account_id, amount, description, date, created_at, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+          RETURNING *`,
+          [
+            transfer.userId,
+            transfer.fromAccountId,
+            transfer.toAccountId,
+            transfer.amount,
+            transfer.description,
+            transfer.date
+          ]
+        );
+
+        await this._insertMovements(client, result.rows[0]);
+
+        return result.rows[0].id;
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Conta não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma transferência por ID (com os dados das contas)
+   */
+  async findById(id) {
+    const result = await this.database.query(this._selectQuery('tr.id = $1'), [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this._rowToTransfer(result.rows[0]);
+  }
+
+  /**
+   * Busca as duas movimentações de uma transferência (saída e entrada)
+   */
+  async findMovements(id) {
+    const result = await this.database.query(
+      'SELECT * FROM transactions WHERE transfer_id = $1 ORDER BY id ASC',
+      [id]
+    );
+
+    return result.rows.map(row => new Transaction({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      accountId: row.account_id,
+      transferId: row.transfer_id,
+      reconciliationId: row.reconciliation_id,
+      status: row.status,
+      amount: parseFloat(row.amount),
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Lista as transferências de um usuário
+   */
+  async findByUserId(userId, filters = {}) {
+    const { accountId, startDate, endDate } = filters;
+    const params = [userId];
+    const conditions = ['tr.user_id = $1'];
+
+    if (accountId) {
+      params.push(accountId);
+      conditions.push(`(tr.from_account_id = $${params.length} OR tr.to_account_id = $${params.length})`);
+    }
+
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`tr.date >= $${params.length}`);
+    }
+
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`tr.date <= $${params.length}`);
+    }
+
+    const query = `${this._selectQuery(conditions.join(' AND '))} ORDER BY tr.date DESC, tr.id DESC`;
+    const result = await this.database.query(query, params);
+
+    return result.rows.map(row => this._rowToTransfer(row));
+  }
+
+  /**
+   * Atualiza uma transferência e as suas duas movimentações
+   */
+  async update(id, data) {
+    const updateFields = [];
+    const params = [];
+
+    // Campos que podem ser atualizados
+    const allowedFields = ['from_account_id', 'to_account_id', 'amount', 'description', 'date'];
+
+    Object.keys(data).forEach(key => {
+      const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      if (allowedFields.includes(snakeKey) && data[key] !== undefined) {
+        params.push(data[key]);
+        updateFields.push(`${snakeKey} = $${params.length}`);
+      }
+    });
+
+    if (updateFields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    updateFields.push('updated_at = NOW()');
+    params.push(id);
+
+    try {
+      await this.database.transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE transfers
+           SET ${updateFields.join(', ')}
+           WHERE id = $${params.length}
+           RETURNING *`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Transferência não encontrada');
+        }
+
+        await this._updateMovements(client, result.rows[0]);
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Conta não encontrada');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Deleta uma transferência e as suas duas movimentações
+   */
+  async delete(id) {
+    return await this.database.transaction(async (client) => {
+      await client.query('DELETE FROM transactions WHERE transfer_id = $1 AND reconciliation_id IS NULL', [id]);
+
+      const left = await client.query(
+        'SELECT COUNT(*) as count FROM transactions WHERE transfer_id = $1',
+        [id]
+      );
+
+      // Movimentação conciliada não sai: desfaz a transação inteira
+      if (parseInt(left.rows[0].count) > 0) {
+        throw new Error(RECONCILED_DELETE_ERROR);
+      }
+
+      const result = await client.query('DELETE FROM transfers WHERE id = $1', [id]);
+
+      return result.rowCount > 0;
+    });
+  }
+}
@@ -0,0 +1,475 @@
+import { Budget } from '../../domain/entities/Budget.js';
+import { Account } from '../../domain/entities/Account.js';
+import { Transfer } from '../../domain/entities/Transfer.js';
+import { InstallmentPlan } from '../../domain/entities/InstallmentPlan.js';
+import { RecurringRule } from '../../domain/entities/RecurringRule.js';
+import { CreditCardStatement } from '../../domain/entities/CreditCardStatement.js';
+
+/**
+ * Credenciais do usuário de demonstração
+ */
+export const DEMO_CREDENTIALS = {
+  email: 'demo@gestao-financeira.app',
+  username: 'demo',
+  password: 'demo1234'
+};
+
+/**
+ * Contas: [nome, tipo, saldo inicial]
+ */
+const ACCOUNTS = [
+  ['Conta corrente', 'checking', 2500],
+  ['Poupança', 'savings', 8000],
+  ['Carteira', 'cash', 900],
+  ['Vale-refeição', 'meal_voucher', 0]
+];
+
+/**
+ * Cartões de crédito: [nome, limite, dia de fechamento, dia de vencimento, conta de pagamento]
+ */
+const CREDIT_CARDS = [
+  ['Cartão de crédito', 6000, 25, 5, 'Conta corrente']
+];
+
+/**
+ * Conta usada por categoria de despesa (as demais saem da conta corrente)
+ */
+const EXPENSE_ACCOUNTS = {
+  Restaurante: 'Vale-refeição',
+  Padaria: 'Carteira',
+  Delivery: 'Cartão de crédito',
+  Combustível: 'Cartão de crédito',
+  'Uber/Táxi': 'Cartão de crédito',
+  Streaming: 'Cartão de crédito'
+};
+
+/**
+ * Transferências de todo mês: [origem, destino, dia, valor, descrição]
+ */
+const MONTHLY_TRANSFERS = [
+  ['Conta corrente', 'Poupança', 6, 500, 'Reserva do mês'],
+  ['Conta corrente', 'Carteira', 7, 200, 'Saque']
+];
+
+/**
+ * Despesas recorrentes de todo mês: [categoria, dia, valor mínimo, valor máximo, descrição]
+ */
+const MONTHLY_EXPENSES = [
+  ['Aluguel', 10, 1800, 1800, 'Aluguel do apartamento'],
+  ['Condomínio', 10, 450, 450, 'Condomínio'],
+  ['Energia elétrica', 15, 160, 260, 'Conta de luz'],
+  ['Internet', 12, 119.9, 119.9, 'Internet fibra'],
+  ['Plano de saúde', 8, 380, 380, 'Plano de saúde'],
+  ['Academia', 5, 99.9, 99.9, 'Mensalidade da academia'],
+  ['Streaming', 18, 55.9, 55.9, 'Assinaturas de streaming']
+];
+
+/**
+ * Receitas de todo mês cadastradas como recorrência: [categoria, dia, valor, descrição]
+ * (as despesas fixas de valor constante também viram recorrências)
+ */
+const RECURRING_INCOMES = [
+  ['Salário fixo', 5, 6500, 'Salário']
+];
+
+/**
+ * Despesas variáveis: [categoria, ocorrências por mês, valor mínimo, valor máximo, descrição]
+ */
+const VARIABLE_EXPENSES = [
+  ['Supermercado', 5, 120, 420, 'Compras no mercado'],
+  ['Restaurante', 3, 60, 180, 'Almoço fora'],
+  ['Delivery', 4, 35, 90, 'Pedido de delivery'],
+  ['Padaria', 6, 12, 35, 'Padaria'],
+  ['Combustível', 2, 180, 260, 'Abastecimento'],
+  ['Uber/Táxi', 3, 18, 45, 'Corrida de aplicativo'],
+  ['Cinema', 1, 40, 90, 'Cinema'],
+  ['Medicamentos', 1, 25, 120, 'Farmácia']
+];
+
+/**
+ * Compras parceladas: [categoria, conta, meses atrás, dia, valor total, parcelas, descrição]
+ */
+const INSTALLMENT_PURCHASES = [
+  ['Eletrônicos', 'Cartão de crédito', 3, 14, 3600, 10, 'Notebook'],
+  ['Móveis', 'Cartão de crédito', 1, 20, 1250, 5, 'Sofá']
+];
+
+/**
+ * Contas já conhecidas, lançadas como previstas: [categoria, meses à frente, dia, valor, descrição]
+ */
+const PLANNED_EXPENSES = [
+  ['Seguros', 1, 20, 1890, 'Renovação do seguro do carro'],
+  ['IPTU', 2, 10, 420, 'IPTU - parcela única']
+];
+
+/**
+ * Orçamentos do mês corrente: [categoria, valor]
+ */
+const BUDGETS = [
+  ['Supermercado', 1500],
+  ['Restaurante', 400],
+  ['Delivery', 250],
+  ['Combustível', 500],
+  ['Uber/Táxi', 150]
+];
+
+/**
+ * Metas: [nome, valor objetivo, valor já guardado, contribuição, meses até o prazo, contribuição mensal]
+ * O valor guardado é registrado em contribuições do valor da contribuição
+ * (o que não fecha uma contribuição inteira entra como saldo anterior)
+ */
+const GOALS = [
+  ['Reserva de emergência', 20000, 6400, 800, 14, 800],
+  ['Viagem para o Chile', 12000, 3000, 500, 9, 1000],
+  ['Notebook novo', 7000, 5400, 400, 4, 400],
+  ['Curso de inglês', 2400, 2400, 400, 3, 200]
+];
+
+/**
+ * Popula os repositórios do modo demonstração
+ *
+ * Os dados são gerados a partir de uma semente fixa, relativos ao mês
+ * corrente (últimos 6 meses), para que telas e relatórios sempre mostrem
+ * o mesmo cenário.
+ */
+export class DemoDataSeeder {
+  /**
+   * @param {Object} dependencies
+   * @param {IAuthService} dependencies.authService
+   * @param {ICategoryRepository} dependencies.categoryRepository
+   * @param {IAccountRepository} dependencies.accountRepository
+   * @param {ITransferRepository} dependencies.transferRepository
+   * @param {IInstallmentPlanRepository} dependencies.installmentPlanRepository
+   * @param {IRecurringRuleRepository} dependencies.recurringRuleRepository
+   * @param {ITransactionRepository} dependencies.transactionRepository
+   * @param {IBudgetRepository} dependencies.budgetRepository
+   * @param {IGoalRepository} dependencies.goalRepository
+   */
+  constructor({
+    authService,
+    categoryRepository,
+    accountRepository,
+    transferRepository,
+    installmentPlanRepository,
+    recurringRuleRepository,
+    transactionRepository,
+    budgetRepository,
+    goalRepository
+  }) {
+    this.authService = authService;
+    this.categoryRepository = categoryRepository;
+    this.accountRepository = accountRepository;
+    this.transferRepository = transferRepository;
+    this.installmentPlanRepository = installmentPlanRepository;
+    this.recurringRuleRepository = recurringRuleRepository;
+    this.transactionRepository = transactionRepository;
+    this.budgetRepository = budgetRepository;
+    this.goalRepository = goalRepository;
+    this.randomState = 42;
+  }
+
+  /**
+   * Cria o usuário de demonstração e seus dados
+   * (as categorias padrão já devem existir)
+   * @param {Date} today - Data de referência
+   * @returns {Promise<User>} Usuário de demonstração
+   */
+  async run(today = new Date()) {
+    const result = await this.authService.register({
+      email: DEMO_CREDENTIALS.email,
+      name: 'Usuário Demo',
+      username: DEMO_CREDENTIALS.username,
+      password: DEMO_CREDENTIALS.password
+    });
+
+    if (!result.success) {
+      throw new Error(`Erro ao criar usuário de demonstração: ${result.error}`);
+    }
+
+    const user = result.user;
+    const categories = await this.categoryRepository.findByUserId(user.id);
+    const categoryByName = new Map(categories.map(c => [c.name, c]));
+
+    const accountByName = await this._seedAccounts(user.id);
+
+    await this._seedTransactions(user.id, categoryByName, accountByName, today);
+    await this._seedTransfers(user.id, accountByName, today);
+    await this._seedInstallmentPurchases(user.id, categoryByName, accountByName, today);
+    await this._seedCardPayments(user.id, accountByName, today);
+    await this._seedRecurringRules(user.id, categoryByName, accountByName, today);
+    await this._seedBudgets(user.id, categoryByName, today);
+    await this._seedGoals(user.id, today);
+
+    return user;
+  }
+
+  /**
+   * Contas do usuário (corrente, poupança, carteira, vale-refeição e cartão)
+   * @private
+   */
+  async _seedAccounts(userId) {
+    const accountByName = new Map();
+
+    for (const [name, type, initialBalance] of ACCOUNTS) {
+      const account = await this.accountRepository.create(new Account({ userId, name, type, initialBalance }));
+      accountByName.set(name, account);
+    }
+
+    for (const [name, creditLimit, closingDay, dueDay] of CREDIT_CARDS) {
+      const account = await this.accountRepository.create(new Account({
+        userId,
+        name,
+        type: 'credit_card',
+        creditLimit,
+        closingDay,
+        dueDay
+      }));
+      accountByName.set(name, account);
+    }
+
+    return accountByName;
+  }
+
+  /**
+   * Receitas e despesas dos últimos 6 meses (até hoje) e as contas futuras
+   * já previstas
+   * @private
+   */
+  async _seedTransactions(userId, categoryByName, accountByName, today) {
+    const transactions = [];
+    const add = (categoryName, type, date, amount, description, accountName = 'Conta corrente') => {
+      if (date > today) return;
+
+      transactions.push({
+        userId,
+        type,
+        categoryId: categoryByName.get(categoryName).id,
+        accountId: accountByName.get(accountName).id,
+        amount: Math.round(amount * 100) / 100,
+        description,
+        date
+      });
+    };
+
+    for (let monthsAgo = 5; monthsAgo >= 0; monthsAgo--) {
+      const year = today.getFullYear();
+      const month = today.getMonth() - monthsAgo;
+      const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+      // Receitas
+      add('Salário fixo', 'income', new Date(year, month, 5), 6500, 'Salário');
+      add('Salário', 'income', new Date(year, month, 5), 600, 'Crédito do vale-refeição', 'Vale-refeição');
+      if (monthsAgo % 2 === 1) {
+        add('Projetos', 'income', new Date(year, month, 20), this._between(800, 2200), 'Projeto freelance');
+      }
+      if (monthsAgo === 3) {
+        add('Dividendos', 'income', new Date(year, month, 15), 320.45, 'Dividendos', 'Poupança');
+      }
+
+      // Despesas fixas
+      MONTHLY_EXPENSES.forEach(([category, day, min, max, description]) => {
+        add(category, 'expense', new Date(year, month, day), this._between(min, max), description, EXPENSE_ACCOUNTS[category]);
+      });
+
+      // Despesas variáveis
+      VARIABLE_EXPENSES.forEach(([category, occurrences, min, max, description]) => {
+        for (let i = 0; i < occurrences; i++) {
+          const day = 1 + Math.floor(this._random() * daysInMonth);
+          add(category, 'expense', new Date(year, month, day), this._between(min, max), description, EXPENSE_ACCOUNTS[category]);
+        }
+      });
+
+      if (monthsAgo === 2) {
+        add('Roupas', 'expense', new Date(year, month, 22), 349.9, 'Roupas de inverno');
+      }
+    }
+
+    // Contas futuras já conhecidas
+    PLANNED_EXPENSES.forEach(([category, monthsAhead, day, amount, description]) => {
+      transactions.push({
+        userId,
+        type: 'expense',
+        categoryId: categoryByName.get(category).id,
+        accountId: accountByName.get('Conta corrente').id,
+        status: 'planned',
+        amount,
+        description,
+        date: new Date(today.getFullYear(), today.getMonth() + monthsAhead, day)
+      });
+    });
+
+    for (const transaction of transactions) {
+      await this.transactionRepository.create(transaction);
+    }
+  }
+
+  /**
+   * Transferências mensais entre as contas dos últimos 6 meses (até hoje)
+   * @private
+   */
+  async _seedTransfers(userId, accountByName, today) {
+    for (let monthsAgo = 5; monthsAgo >= 0; monthsAgo--) {
+      for (const [from, to, day, amount, description] of MONTHLY_TRANSFERS) {
+        const date = new Date(today.getFullYear(), today.getMonth() - monthsAgo, day);
+        if (date > today) continue;
+
+        await this.transferRepository.create(new Transfer({
+          userId,
+          fromAccountId: accountByName.get(from).id,
+          toAccountId: accountByName.get(to).id,
+          amount,
+          description,
+          date
+        }));
+      }
+    }
+  }
+
+  /**
+   * Compras parceladas (as parcelas seguem pelos próximos meses)
+   * @private
+   */
+  async _seedInstallmentPurchases(userId, categoryByName, accountByName, today) {
+    for (const [categoryName, accountName, monthsAgo, day, totalAmount, installmentCount, description] of INSTALLMENT_PURCHASES) {
+      const date = new Date(today.getFullYear(), today.getMonth() - monthsAgo, day);
+      if (date > today) continue;
+
+      await this.installmentPlanRepository.create(new InstallmentPlan({
+        userId,
+        categoryId: categoryByName.get(categoryName).id,
+        accountId: accountByName.get(accountName).id,
+        description,
+        totalAmount,
+        installmentCount,
+        date
+      }));
+    }
+  }
+
+  /**
+   * Pagamento das faturas dos cartões já vencidas (a fatura fechada mais
+   * recente fica em aberto quando ainda não venceu)
+   * @private
+   */
+  async _seedCardPayments(userId, accountByName, today) {
+    for (const [name, , , , paymentAccountName] of CREDIT_CARDS) {
+      const card = accountByName.get(name);
+      const transactions = await this.transactionRepository.findByFilters({ userId, accountId: card.id, limit: null });
+      const statements = CreditCardStatement.fromTransactions(card, transactions, today);
+
+      for (const statement of statements) {
+        if (statement.total <= 0 || statement.dueDate > today) continue;
+
+        await this.transferRepository.create(new Transfer({
+          userId,
+          fromAccountId: accountByName.get(paymentAccountName).id,
+          toAccountId: card.id,
+          amount: statement.total,
+          description: `Pagamento da fatura ${statement.reference} - ${card.name}`,
+          date: statement.dueDate
+        }));
+      }
+    }
+  }
+
+  /**
+   * Regras de recorrência das receitas e despesas fixas, a partir do
+   * primeiro mês dos dados. As ocorrências até hoje já foram geradas por
+   * _seedTransactions, então as regras começam com elas processadas.
+   * @private
+   */
+  async _seedRecurringRules(userId, categoryByName, accountByName, today) {
+    const startMonth = new Date(today.getFullYear(), today.getMonth() - 5, 1);
+    const rules = [
+      ...RECURRING_INCOMES.map(([category, day, amount, description]) => [category, 'income', day, amount, description]),
+      ...MONTHLY_EXPENSES
+        .filter(([, , min, max]) => min === max)
+        .map(([category, day, amount, , description]) => [category, 'expense', day, amount, description])
+    ];
+
+    for (const [categoryName, type, day, amount, description] of rules) {
+      const rule = new RecurringRule({
+        userId,
+        type,
+        categoryId: categoryByName.get(categoryName).id,
+        accountId: accountByName.get(EXPENSE_ACCOUNTS[categoryName] || 'Conta corrente').id,
+        amount,
+        description,
+        frequency: 'monthly',
+        dayOfMonth: day,
+        startDate: startMonth
+      });
+      rule.generatedCount = rule.getDueOccurrences(today).length;
+
+      await this.recurringRuleRepository.create(rule);
+    }
+  }
+
+  /**
+   * Orçamentos mensais do mês corrente
+   * @private
+   */
+  async _seedBudgets(userId, categoryByName, today) {
+    for (const [categoryName, amount] of BUDGETS) {
+      const budget = new Budget({
+        userId,
+        categoryId: categoryByName.get(categoryName).id,
+        amount,
+        period: 'monthly',
+        startDate: new Date(today.getFullYear(), today.getMonth(), 1)
+      });
+
+      await this.budgetRepository.create(budget);
+    }
+  }
+
+  /**
+   * Metas com contribuições (a última é concluída pela contribuição)
+   * Começam zeradas: o valor guardado é a soma das contribuições, como a
+   * verificação de integridade espera
+   * @private
+   */
+  async _seedGoals(userId, today) {
+    for (const [name, targetAmount, saved, contribution, monthsToDeadline, monthlyContribution] of GOALS) {
+      const goal = await this.goalRepository.create({
+        userId,
+        name,
+        targetAmount,
+        currentAmount: 0,
+        monthlyContribution,
+        deadline: new Date(today.getFullYear(), today.getMonth() + monthsToDeadline, 1),
+        status: 'active'
+      });
+      const deposits = Math.floor(saved / contribution);
+      const previous = saved - deposits * contribution;
+
+      if (previous > 0) {
+        await this.goalRepository.addContribution(goal.id, previous, 'Saldo anterior');
+      }
+
+      for (let i = 0; i < deposits; i++) {
+        await this.goalRepository.addContribution(goal.id, contribution, 'Depósito do mês');
+      }
+    }
+  }
+
+  /**
+   * Número pseudoaleatório em [0, 1) a partir da semente (mulberry32)
+   * @private
+   */
+  _random() {
+    this.randomState = (this.randomState + 0x6D2B79F5) | 0;
+    let t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Valor pseudoaleatório entre min e max
+   * @private
+   */
+  _between(min, max) {
+    return min + (max - min) * this._random();
+  }
+}
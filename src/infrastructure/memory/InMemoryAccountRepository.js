@@ -0,0 +1,195 @@
+import { IAccountRepository } from '../../domain/repositories/IAccountRepository.js';
+import { Account } from '../../domain/entities/Account.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de contas em memória (modo demonstração)
+ */
+export class InMemoryAccountRepository extends IAccountRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Account
+   * @private
+   */
+  _rowToAccount(row) {
+    return new Account({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      type: row.type,
+      initialBalance: row.initial_balance,
+      icon: row.icon,
+      color: row.color,
+      isArchived: row.is_archived,
+      creditLimit: row.credit_limit,
+      closingDay: row.closing_day,
+      dueDay: row.due_day,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados calculados (quando há agregação)
+      balance: row.balance,
+      projectedBalance: row.projected_balance,
+      transactionCount: row.transaction_count
+    });
+  }
+
+  /**
+   * Conta com saldo atual (saldo inicial + receitas - despesas realizadas até
+   * hoje) e saldo previsto (incluindo as parcelas futuras e as transações previstas)
+   * @private
+   */
+  _withBalance(row) {
+    const transactions = this.store.table('transactions').filter(t => t.account_id === row.id);
+    const today = InMemoryStore.toDate(new Date());
+    const movementOf = (rows) => rows.reduce((sum, t) => {
+      if (t.type === 'income') return sum + t.amount;
+      if (t.type === 'expense') return sum - t.amount;
+      return sum;
+    }, 0);
+
+    return {
+      ...row,
+      balance: InMemoryStore.toAmount(row.initial_balance + movementOf(transactions.filter(t => t.date <= today && t.status !== 'planned'))),
+      projected_balance: InMemoryStore.toAmount(row.initial_balance + movementOf(transactions)),
+      transaction_count: transactions.length
+    };
+  }
+
+  /**
+   * Cria uma nova conta
+   */
+  async create(account) {
+    this._assertUniqueName(account.userId, account.name);
+
+    const now = new Date();
+    const row = this.store.insert('accounts', {
+      user_id: account.userId,
+      name: account.name.trim(),
+      type: account.type,
+      initial_balance: InMemoryStore.toAmount(account.initialBalance || 0),
+      icon: account.icon || null,
+      color: account.color || null,
+      is_archived: Boolean(account.isArchived),
+      credit_limit: account.creditLimit !== null && account.creditLimit !== undefined
+        ? InMemoryStore.toAmount(account.creditLimit)
+        : null,
+      closing_day: account.closingDay || null,
+      due_day: account.dueDay || null,
+      created_at: now,
+      updated_at: now
+    });
+
+    return this._rowToAccount(this._withBalance(row));
+  }
+
+  /**
+   * Busca uma conta por ID (com saldo atual)
+   */
+  async findById(id) {
+    const row = this.store.table('accounts').find(r => r.id === Number(id));
+    return row ? this._rowToAccount(this._withBalance(row)) : null;
+  }
+
+  /**
+   * Lista as contas de um usuário com o saldo atual de cada uma
+   */
+  async findByUserId(userId, options = {}) {
+    const { includeArchived = false } = options;
+
+    return this.store.table('accounts')
+      .filter(row => row.user_id === userId && (includeArchived || !row.is_archived))
+      .sort((a, b) =>
+        Number(a.is_archived) - Number(b.is_archived) || a.created_at - b.created_at || a.id - b.id
+      )
+      .map(row => this._rowToAccount(this._withBalance(row)));
+  }
+
+  /**
+   * Busca a conta padrão do usuário (a conta ativa mais antiga)
+   */
+  async findDefaultByUserId(userId) {
+    const [account] = await this.findByUserId(userId);
+    return account || null;
+  }
+
+  /**
+   * Atualiza uma conta existente
+   */
+  async update(id, data) {
+    const row = this.store.table('accounts').find(r => r.id === Number(id));
+
+    if (!row) {
+      throw new Error('Conta não encontrada');
+    }
+
+    if (data.name !== undefined) {
+      this._assertUniqueName(row.user_id, data.name, row.id);
+      row.name = data.name.trim();
+    }
+    if (data.type !== undefined) row.type = data.type;
+    if (data.initialBalance !== undefined) row.initial_balance = InMemoryStore.toAmount(data.initialBalance);
+    if (data.icon !== undefined) row.icon = data.icon;
+    if (data.color !== undefined) row.color = data.color;
+    if (data.isArchived !== undefined) row.is_archived = Boolean(data.isArchived);
+    if (data.creditLimit !== undefined) row.credit_limit = data.creditLimit === null ? null : InMemoryStore.toAmount(data.creditLimit);
+    if (data.closingDay !== undefined) row.closing_day = data.closingDay;
+    if (data.dueDay !== undefined) row.due_day = data.dueDay;
+    row.updated_at = new Date();
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Deleta uma conta
+   */
+  async delete(id) {
+    // ON DELETE CASCADE nas conciliações da conta
+    this.store.remove('reconciliations', row => row.account_id === Number(id));
+    return this.store.remove('accounts', row => row.id === Number(id)).length > 0;
+  }
+
+  /**
+   * Verifica se o usuário já possui uma conta com o nome
+   */
+  async existsByName(userId, name, excludeId = null) {
+    const normalized = name.trim().toLowerCase();
+
+    return this.store.table('accounts').some(row =>
+      row.user_id === userId &&
+      row.name.toLowerCase() === normalized &&
+      (!excludeId || row.id !== Number(excludeId))
+    );
+  }
+
+  /**
+   * Verifica se a conta possui transações
+   */
+  async hasTransactions(accountId) {
+    return this.store.table('transactions').some(row => row.account_id === Number(accountId));
+  }
+
+  /**
+   * Garante nome único por usuário (constraint UNIQUE(user_id, name))
+   * @private
+   */
+  _assertUniqueName(userId, name, excludeId = null) {
+    const conflict = this.store.table('accounts').some(row =>
+      row.user_id === userId &&
+      row.name === name.trim() &&
+      row.id !== excludeId
+    );
+
+    if (conflict) {
+      const error = new Error('duplicate key value violates unique constraint');
+      error.code = '23505';
+      throw error;
+    }
+  }
+}
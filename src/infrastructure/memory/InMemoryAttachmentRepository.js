@@ -0,0 +1,121 @@
+import { IAttachmentRepository } from '../../domain/repositories/IAttachmentRepository.js';
+import { Attachment } from '../../domain/entities/Attachment.js';
+
+/**
+ * Implementação do repositório de anexos em memória (modo demonstração)
+ */
+export class InMemoryAttachmentRepository extends IAttachmentRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Attachment
+   * @private
+   */
+  _rowToAttachment(row) {
+    return new Attachment({
+      id: row.id,
+      userId: row.user_id,
+      transactionId: row.transaction_id,
+      fileName: row.file_name,
+      contentHash: row.content_hash,
+      mimeType: row.mime_type,
+      size: row.size,
+      createdAt: row.created_at
+    });
+  }
+
+  /**
+   * Rows dos anexos cujas transações ainda existem (equivalente ao ON DELETE
+   * CASCADE para as transações removidas junto com parcelamentos e transferências)
+   * @private
+   */
+  _rows() {
+    const transactionIds = new Set(this.store.table('transactions').map(row => row.id));
+
+    return this.store.table('attachments').filter(row => transactionIds.has(row.transaction_id));
+  }
+
+  /**
+   * Grava um anexo
+   */
+  async create(attachment) {
+    const transactionId = Number(attachment.transactionId);
+
+    if (!this.store.table('transactions').some(row => row.id === transactionId)) {
+      throw new Error('Transação não encontrada');
+    }
+
+    if (await this.existsInTransaction(transactionId, attachment.contentHash)) {
+      throw new Error('Este arquivo já está anexado a esta transação');
+    }
+
+    const row = this.store.insert('attachments', {
+      user_id: attachment.userId,
+      transaction_id: transactionId,
+      file_name: attachment.fileName,
+      content_hash: attachment.contentHash,
+      mime_type: attachment.mimeType,
+      size: attachment.size,
+      created_at: new Date()
+    });
+
+    return this._rowToAttachment(row);
+  }
+
+  /**
+   * Busca um anexo por ID
+   */
+  async findById(id) {
+    const row = this._rows().find(attachment => attachment.id === Number(id));
+
+    return row ? this._rowToAttachment(row) : null;
+  }
+
+  /**
+   * Lista os anexos de uma transação
+   */
+  async findByTransactionId(transactionId) {
+    return this.findByTransactionIds([transactionId]);
+  }
+
+  /**
+   * Lista os anexos de várias transações
+   */
+  async findByTransactionIds(transactionIds) {
+    const ids = transactionIds.map(Number);
+
+    return this._rows()
+      .filter(row => ids.includes(row.transaction_id))
+      .sort((a, b) => a.id - b.id)
+      .map(row => this._rowToAttachment(row));
+  }
+
+  /**
+   * Verifica se o arquivo já está anexado à transação
+   */
+  async existsInTransaction(transactionId, contentHash) {
+    return this._rows().some(row =>
+      row.transaction_id === Number(transactionId) && row.content_hash === contentHash
+    );
+  }
+
+  /**
+   * Verifica se algum anexo ainda usa o arquivo
+   */
+  async isContentInUse(contentHash) {
+    return this._rows().some(row => row.content_hash === contentHash);
+  }
+
+  /**
+   * Remove um anexo
+   */
+  async delete(id) {
+    return this.store.remove('attachments', row => row.id === Number(id)).length > 0;
+  }
+}
@@ -0,0 +1,285 @@
+import { IBudgetRepository } from '../../domain/repositories/IBudgetRepository.js';
+import { Budget } from '../../domain/entities/Budget.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de orçamentos em memória (modo demonstração)
+ */
+export class InMemoryBudgetRepository extends IBudgetRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Budget
+   * @private
+   */
+  _rowToBudget(row) {
+    return new Budget({
+      id: row.id,
+      userId: row.user_id,
+      categoryId: row.category_id,
+      amount: row.amount,
+      period: row.period,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      rollover: row.rollover,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria (se disponíveis no JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      categoryColor: row.category_color,
+      categoryType: row.category_type,
+      // Dados de uso (se disponíveis no cálculo)
+      spent: row.spent
+    });
+  }
+
+  /**
+   * Orçamentos com os dados da categoria e o valor gasto no período
+   * @param {Function} predicate - (row) => boolean
+   * @private
+   */
+  _joined(predicate = () => true) {
+    const categories = new Map(this.store.table('categories').map(c => [c.id, c]));
+
+    return this.store.table('budgets')
+      .filter(row => categories.has(row.category_id) && predicate(row))
+      .map(row => {
+        const category = categories.get(row.category_id);
+        return {
+          ...row,
+          category_name: category.name,
+          category_icon: category.icon,
+          category_color: category.color,
+          category_type: category.type,
+          spent: this._spent(row.user_id, row.category_id, row.start_date, row.end_date)
+        };
+      });
+  }
+
+  /**
+   * Total de despesas de uma categoria entre duas datas (inclusivo; das
+   * transações divididas, conta só o valor da linha da categoria)
+   * @private
+   */
+  _spent(userId, categoryId, startDate, endDate) {
+    const start = InMemoryStore.toDate(startDate);
+    const end = InMemoryStore.toDate(endDate);
+
+    const total = this.store.categoryLines()
+      .filter(row =>
+        row.user_id === userId &&
+        row.category_id === categoryId &&
+        row.type === 'expense' &&
+        row.status !== 'planned' &&
+        row.date >= start &&
+        row.date <= end
+      )
+      .reduce((sum, row) => sum + row.amount, 0);
+
+    return InMemoryStore.toAmount(total);
+  }
+
+  /**
+   * Cria um novo orçamento
+   */
+  async create(budget) {
+    const categoryId = Number(budget.categoryId);
+    const startDate = InMemoryStore.toDate(budget.startDate);
+    const endDate = InMemoryStore.toDate(budget.endDate);
+
+    if (!this.store.table('categories').some(row => row.id === categoryId)) {
+      const error = new Error('insert or update on table "budgets" violates foreign key constraint');
+      error.code = '23503';
+      throw error;
+    }
+
+    const duplicate = this.store.table('budgets').some(row =>
+      row.user_id === budget.userId &&
+      row.category_id === categoryId &&
+      row.start_date.getTime() === startDate.getTime() &&
+      row.end_date.getTime() === endDate.getTime()
+    );
+
+    if (duplicate) {
+      const error = new Error('duplicate key value violates unique constraint');
+      error.code = '23505';
+      throw error;
+    }
+
+    const row = this.store.insert('budgets', {
+      user_id: budget.userId,
+      category_id: categoryId,
+      amount: InMemoryStore.toAmount(budget.amount),
+      period: budget.period,
+      start_date: startDate,
+      end_date: endDate,
+      rollover: Boolean(budget.rollover),
+      created_at: budget.createdAt || new Date(),
+      updated_at: budget.updatedAt || new Date()
+    });
+
+    return this._rowToBudget(row);
+  }
+
+  /**
+   * Busca um orçamento por ID
+   */
+  async findById(id) {
+    const [row] = this._joined(r => r.id === Number(id));
+    return row ? this._rowToBudget(row) : null;
+  }
+
+  /**
+   * Busca orçamentos de um usuário
+   */
+  async findByUserId(userId, options = {}) {
+    return this._joined(row =>
+      row.user_id === userId &&
+      (!options.period || row.period === options.period) &&
+      (!options.categoryId || row.category_id === Number(options.categoryId))
+    )
+      .sort((a, b) => b.start_date - a.start_date || b.created_at - a.created_at)
+      .map(row => this._rowToBudget(row));
+  }
+
+  /**
+   * Busca orçamentos ativos de um usuário
+   */
+  async findActiveByUserId(userId, date = new Date()) {
+    const day = InMemoryStore.toDate(date);
+
+    // Estourados primeiro, depois em alerta (80%), atenção (50%) e o restante
+    const priority = (row) => {
+      const ratio = row.spent / row.amount;
+      if (ratio >= 1) return 1;
+      if (ratio >= 0.8) return 2;
+      if (ratio >= 0.5) return 3;
+      return 4;
+    };
+
+    return this._joined(row =>
+      row.user_id === userId && row.start_date <= day && row.end_date >= day
+    )
+      .sort((a, b) => priority(a) - priority(b) || b.start_date - a.start_date)
+      .map(row => this._rowToBudget(row));
+  }
+
+  /**
+   * Busca orçamento por categoria e período
+   */
+  async findByCategoryAndPeriod(userId, categoryId, startDate, endDate) {
+    const start = InMemoryStore.toDate(startDate).getTime();
+    const end = InMemoryStore.toDate(endDate).getTime();
+
+    const [row] = this._joined(r =>
+      r.user_id === userId &&
+      r.category_id === Number(categoryId) &&
+      r.start_date.getTime() === start &&
+      r.end_date.getTime() === end
+    );
+
+    return row ? this._rowToBudget(row) : null;
+  }
+
+  /**
+   * Atualiza um orçamento existente
+   */
+  async update(id, data) {
+    const row = this.store.table('budgets').find(r => r.id === Number(id));
+
+    if (!row) {
+      throw new Error('Orçamento não encontrado');
+    }
+
+    if (data.amount) row.amount = InMemoryStore.toAmount(data.amount);
+    if (data.period) row.period = data.period;
+    if (data.startDate) row.start_date = InMemoryStore.toDate(data.startDate);
+    if (data.endDate) row.end_date = InMemoryStore.toDate(data.endDate);
+    if (data.rollover !== undefined) row.rollover = Boolean(data.rollover);
+    row.updated_at = new Date();
+
+    return this._rowToBudget(row);
+  }
+
+  /**
+   * Deleta um orçamento
+   */
+  async delete(id) {
+    return this.store.remove('budgets', row => row.id === Number(id)).length > 0;
+  }
+
+  /**
+   * Calcula o valor gasto em uma categoria durante um período
+   */
+  async getSpentAmount(userId, categoryId, startDate, endDate) {
+    return this._spent(userId, Number(categoryId), startDate, endDate);
+  }
+
+  /**
+   * Busca orçamentos que estão em alerta
+   */
+  async findBudgetsInAlert(userId, thresholdPercentage = 50) {
+    const today = InMemoryStore.toDate(new Date());
+
+    return this._joined(row =>
+      row.user_id === userId && row.start_date <= today && row.end_date >= today
+    )
+      .filter(row => (row.spent / row.amount) * 100 >= thresholdPercentage)
+      .sort((a, b) => (b.spent / b.amount) - (a.spent / a.amount))
+      .map(row => this._rowToBudget(row));
+  }
+
+  /**
+   * Calcula a média de gastos históricos de uma categoria
+   */
+  async getAverageSpending(userId, categoryId, months = 3) {
+    const since = InMemoryStore.toDate(new Date());
+    since.setMonth(since.getMonth() - months);
+
+    const monthlyTotals = new Map();
+
+    this.store.categoryLines()
+      .filter(row =>
+        row.user_id === userId &&
+        row.category_id === Number(categoryId) &&
+        row.type === 'expense' &&
+        row.status !== 'planned' &&
+        row.date >= since
+      )
+      .forEach(row => {
+        const key = `${row.date.getFullYear()}-${row.date.getMonth()}`;
+        monthlyTotals.set(key, (monthlyTotals.get(key) || 0) + row.amount);
+      });
+
+    if (monthlyTotals.size === 0) {
+      return 0;
+    }
+
+    const total = Array.from(monthlyTotals.values()).reduce((sum, value) => sum + value, 0);
+    return total / monthlyTotals.size;
+  }
+
+  /**
+   * Verifica se já existe um orçamento para a categoria no período
+   */
+  async existsForCategoryAndPeriod(userId, categoryId, startDate, endDate, excludeId = null) {
+    const start = InMemoryStore.toDate(startDate);
+    const end = InMemoryStore.toDate(endDate);
+
+    // Intervalos semiabertos, como o OVERLAPS do Postgres
+    return this.store.table('budgets').some(row =>
+      row.user_id === userId &&
+      row.category_id === Number(categoryId) &&
+      row.start_date < end &&
+      start < row.end_date &&
+      (!excludeId || row.id !== Number(excludeId))
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import { ICategoryModelRepository } from '../../domain/repositories/ICategoryModelRepository.js';
+import { CategoryModel } from '../../domain/entities/CategoryModel.js';
+
+/**
+ * Implementação do repositório de modelos de sugestão de categoria em memória (modo demonstração)
+ */
+export class InMemoryCategoryModelRepository extends ICategoryModelRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade CategoryModel
+   * (o modelo fica serializado, como no banco)
+   * @private
+   */
+  _rowToModel(row) {
+    return new CategoryModel({
+      ...JSON.parse(row.model),
+      userId: row.user_id,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Busca o modelo de um usuário
+   */
+  async findByUserId(userId) {
+    const row = this.store.table('category_models').find(r => r.user_id === userId);
+    return row ? this._rowToModel(row) : null;
+  }
+
+  /**
+   * Grava o modelo do usuário (cria ou substitui)
+   */
+  async save(model) {
+    this.store.remove('category_models', row => row.user_id === model.userId);
+    this.store.insert('category_models', {
+      user_id: model.userId,
+      model: JSON.stringify(model.toJSON()),
+      updated_at: new Date()
+    });
+
+    return await this.findByUserId(model.userId);
+  }
+}
@@ -0,0 +1,389 @@
+import { ICategoryRepository } from '../../domain/repositories/ICategoryRepository.js';
+import { Category } from '../../domain/entities/Category.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de categorias em memória (modo demonstração)
+ */
+export class InMemoryCategoryRepository extends ICategoryRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Category
+   * @private
+   */
+  _rowToCategory(row) {
+    return new Category({
+      id: row.id,
+      userId: row.user_id,
+      parentId: row.parent_id,
+      name: row.name,
+      type: row.type,
+      icon: row.icon,
+      color: row.color,
+      isDefault: row.is_default,
+      createdAt: row.created_at
+    });
+  }
+
+  /**
+   * Filtra, ordena e converte as categorias
+   * @param {Function} predicate - (row) => boolean
+   * @param {boolean} defaultsFirst - Ordena as categorias padrão primeiro
+   * @private
+   */
+  _select(predicate, defaultsFirst = false) {
+    return this.store.table('categories')
+      .filter(predicate)
+      .sort((a, b) => {
+        if (defaultsFirst && a.is_default !== b.is_default) {
+          return a.is_default ? -1 : 1;
+        }
+        return a.name.localeCompare(b.name);
+      })
+      .map(row => this._rowToCategory(row));
+  }
+
+  /**
+   * Busca uma categoria por ID
+   */
+  async findById(id) {
+    const row = this.store.table('categories').find(r => r.id === Number(id));
+    return row ? this._rowToCategory(row) : null;
+  }
+
+  /**
+   * Busca categorias de um usuário (incluindo globais)
+   */
+  async findByUserId(userId, type = null) {
+    return this._select(row =>
+      (row.user_id === userId || row.user_id === null) &&
+      (!type || row.type === type),
+    true);
+  }
+
+  /**
+   * Busca subcategorias de uma categoria pai
+   */
+  async findByParentId(parentId) {
+    return this._select(row => row.parent_id === Number(parentId));
+  }
+
+  /**
+   * Busca apenas categorias globais (padrão do sistema)
+   */
+  async findGlobalCategories(type = null) {
+    return this._select(row => row.user_id === null && (!type || row.type === type));
+  }
+
+  /**
+   * Busca categorias raiz (sem parent_id)
+   */
+  async findRootCategories(userId, type = null) {
+    return this._select(row =>
+      (row.user_id === userId || row.user_id === null) &&
+      row.parent_id === null &&
+      (!type || row.type === type),
+    true);
+  }
+
+  /**
+   * Verifica se uma categoria tem transações vinculadas (inclusive como linha
+   * da divisão de uma transação)
+   */
+  async hasTransactions(categoryId) {
+    return this.store.categoryLines().some(row => row.category_id === Number(categoryId));
+  }
+
+  /**
+   * Conta quantas subcategorias uma categoria possui
+   */
+  async countSubcategories(categoryId) {
+    return this.store.table('categories').filter(row => row.parent_id === Number(categoryId)).length;
+  }
+
+  /**
+   * Cria uma nova categoria
+   */
+  async create(category) {
+    const parentId = category.parentId ? Number(category.parentId) : null;
+
+    if (parentId && !this.store.table('categories').some(row => row.id === parentId)) {
+      const error = new Error('insert or update on table "categories" violates foreign key constraint');
+      error.code = '23503';
+      throw error;
+    }
+
+    const row = this.store.insert('categories', {
+      user_id: category.userId || null,
+      parent_id: parentId,
+      name: category.name,
+      type: category.type,
+      icon: category.icon || null,
+      color: category.color || null,
+      is_default: Boolean(category.isDefault),
+      created_at: category.createdAt || new Date()
+    });
+
+    return this._rowToCategory(row);
+  }
+
+  /**
+   * Atualiza uma categoria existente
+   */
+  async update(category) {
+    const row = this.store.table('categories').find(r => r.id === Number(category.id));
+
+    if (!row) {
+      throw new Error('Categoria não encontrada');
+    }
+
+    row.name = category.name;
+    row.icon = category.icon;
+    row.color = category.color;
+
+    return this._rowToCategory(row);
+  }
+
+  /**
+   * Deleta uma categoria (cascata deleta subcategorias)
+   */
+  async delete(id) {
+    const ids = this._collectDescendants(Number(id));
+
+    if (ids.length === 0) {
+      return false;
+    }
+
+    this.store.remove('categories', row => ids.includes(row.id));
+    this.store.remove('budgets', row => ids.includes(row.category_id));
+    this.store.remove('category_rules', row => ids.includes(row.category_id));
+
+    // ON DELETE SET NULL em transactions.category_id e transaction_splits.category_id
+    [...this.store.table('transactions'), ...this.store.table('transaction_splits')]
+      .filter(row => ids.includes(row.category_id))
+      .forEach(row => {
+        row.category_id = null;
+      });
+
+    // ON DELETE SET NULL em payees.default_category_id
+    this.store.table('payees')
+      .filter(row => ids.includes(row.default_category_id))
+      .forEach(row => {
+        row.default_category_id = null;
+      });
+
+    return true;
+  }
+
+  /**
+   * Verifica se a categoria ou alguma subcategoria dela é usada por
+   * transações, orçamentos, parcelamentos, regras recorrentes, regras de
+   * categorização ou como categoria padrão de um favorecido
+   */
+  async isInUse(categoryId) {
+    const id = Number(categoryId);
+    const ids = this.store.table('categories')
+      .filter(row => row.id === id || row.parent_id === id)
+      .map(row => row.id);
+    const uses = row => ids.includes(row.category_id);
+
+    return this.store.categoryLines().some(uses) ||
+      this.store.table('installment_plans').some(uses) ||
+      this.store.table('recurring_rules').some(uses) ||
+      this.store.table('budgets').some(uses) ||
+      this.store.table('category_rules').some(uses) ||
+      this.store.table('payees').some(row => ids.includes(row.default_category_id));
+  }
+
+  /**
+   * Move uma categoria para baixo de outra (ou para a raiz)
+   */
+  async move(id, parentId) {
+    const row = this.store.table('categories').find(r => r.id === Number(id));
+
+    if (!row) {
+      throw new Error('Categoria não encontrada');
+    }
+
+    const newParentId = parentId ? Number(parentId) : null;
+
+    if (newParentId && !this.store.table('categories').some(r => r.id === newParentId)) {
+      const error = new Error('insert or update on table "categories" violates foreign key constraint');
+      error.code = '23503';
+      throw error;
+    }
+
+    // Equivalente ao índice único (usuário, nome, tipo, categoria pai)
+    if (this.store.table('categories').some(r =>
+      r.id !== row.id &&
+      r.user_id === row.user_id &&
+      r.name === row.name &&
+      r.type === row.type &&
+      r.parent_id === newParentId
+    )) {
+      throw new Error('Já existe uma categoria com este nome no destino');
+    }
+
+    row.parent_id = newParentId;
+
+    return this._rowToCategory(row);
+  }
+
+  /**
+   * Mescla uma categoria em outra (as subcategorias passam para o destino)
+   */
+  async mergeInto(sourceId, targetId) {
+    const source = Number(sourceId);
+    const target = Number(targetId);
+
+    this.store.table('categories')
+      .filter(row => row.parent_id === source)
+      .forEach(child => {
+        // Uma subcategoria com o mesmo nome de uma do destino é mesclada nela
+        const sameName = this.store.table('categories').find(row =>
+          row.parent_id === target &&
+          row.type === child.type &&
+          row.name.toLowerCase() === child.name.toLowerCase() &&
+          (row.user_id === child.user_id || row.user_id === null)
+        );
+
+        if (sameName) {
+          this._reassign(child.id, sameName.id);
+          this.store.remove('categories', row => row.id === child.id);
+        } else {
+          child.parent_id = target;
+        }
+      });
+
+    this._reassign(source, target);
+    this.store.remove('categories', row => row.id === source);
+
+    return true;
+  }
+
+  /**
+   * Deleta uma categoria e suas subcategorias passando tudo para a substituta
+   */
+  async deleteWithReplacement(id, replacementId) {
+    const ids = this._collectDescendants(Number(id));
+
+    ids.forEach(categoryId => this._reassign(categoryId, Number(replacementId)));
+    this.store.remove('categories', row => ids.includes(row.id));
+
+    return true;
+  }
+
+  /**
+   * Passa para a categoria de destino tudo o que usa a categoria de origem
+   * (equivalente ao CategoryRepository._reassign)
+   * @private
+   */
+  _reassign(sourceId, targetId) {
+    this.store.table('transactions')
+      .filter(row => row.category_id === sourceId)
+      .forEach(row => {
+        row.category_id = targetId;
+        row.updated_at = new Date();
+      });
+
+    const movedSplits = this.store.table('transaction_splits').filter(row => row.category_id === sourceId);
+    movedSplits.forEach(row => {
+      row.category_id = targetId;
+    });
+
+    // Linhas de uma divisão que acabam na mesma categoria viram uma só
+    new Set(movedSplits.map(row => row.transaction_id)).forEach(transactionId => {
+      const lines = this.store.table('transaction_splits')
+        .filter(row => row.transaction_id === transactionId)
+        .sort((a, b) => a.id - b.id);
+      const targetLines = lines.filter(row => row.category_id === targetId);
+
+      targetLines[0].amount = InMemoryStore.toAmount(targetLines.reduce((sum, row) => sum + row.amount, 0));
+      const removed = targetLines.slice(1).map(row => row.id);
+
+      // Uma divisão que fica com uma linha deixa de ser divisão
+      if (lines.length - removed.length === 1) {
+        removed.push(targetLines[0].id);
+      }
+
+      this.store.remove('transaction_splits', row => removed.includes(row.id));
+    });
+
+    // Orçamentos do mesmo período são somados no orçamento do destino
+    this.store.table('budgets')
+      .filter(row => row.category_id === sourceId)
+      .forEach(row => {
+        const existing = this.store.table('budgets').find(other =>
+          other.category_id === targetId &&
+          other.user_id === row.user_id &&
+          other.start_date.getTime() === row.start_date.getTime() &&
+          other.end_date.getTime() === row.end_date.getTime()
+        );
+
+        if (existing) {
+          existing.amount = InMemoryStore.toAmount(existing.amount + row.amount);
+          existing.updated_at = new Date();
+          this.store.remove('budgets', other => other.id === row.id);
+        } else {
+          row.category_id = targetId;
+        }
+      });
+
+    ['installment_plans', 'recurring_rules', 'category_rules'].forEach(table => {
+      this.store.table(table)
+        .filter(row => row.category_id === sourceId)
+        .forEach(row => {
+          row.category_id = targetId;
+        });
+    });
+
+    this.store.table('payees')
+      .filter(row => row.default_category_id === sourceId)
+      .forEach(row => {
+        row.default_category_id = targetId;
+      });
+  }
+
+  /**
+   * Verifica se já existe uma categoria com o mesmo nome
+   */
+  async existsByName(userId, name, type, parentId = null, excludeId = null) {
+    const normalizedParentId = parentId ? Number(parentId) : null;
+
+    return this.store.table('categories').some(row =>
+      (row.user_id === userId || row.user_id === null) &&
+      row.name.toLowerCase() === name.toLowerCase() &&
+      row.type === type &&
+      row.parent_id === normalizedParentId &&
+      (!excludeId || row.id !== Number(excludeId))
+    );
+  }
+
+  /**
+   * IDs da categoria e de todas as suas subcategorias
+   * @private
+   */
+  _collectDescendants(id) {
+    const categories = this.store.table('categories');
+
+    if (!categories.some(row => row.id === id)) {
+      return [];
+    }
+
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+      categories
+        .filter(row => row.parent_id === ids[i])
+        .forEach(row => ids.push(row.id));
+    }
+
+    return ids;
+  }
+}
@@ -0,0 +1,154 @@
+import { ICategoryRuleRepository } from '../../domain/repositories/ICategoryRuleRepository.js';
+import { CategoryRule } from '../../domain/entities/CategoryRule.js';
+
+/**
+ * Implementação do repositório de regras de categorização em memória (modo demonstração)
+ */
+export class InMemoryCategoryRuleRepository extends ICategoryRuleRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade CategoryRule
+   * @private
+   */
+  _rowToRule(row) {
+    const categories = this.store.table('categories');
+    const category = categories.find(c => c.id === row.category_id);
+    const parent = category ? categories.find(c => c.id === category.parent_id) : null;
+
+    return new CategoryRule({
+      id: row.id,
+      userId: row.user_id,
+      priority: row.priority,
+      isActive: row.is_active,
+      descriptionContains: row.description_contains,
+      minAmount: row.min_amount,
+      maxAmount: row.max_amount,
+      weekdays: row.weekdays,
+      categoryId: row.category_id,
+      tags: row.tags,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria (equivalente ao LEFT JOIN)
+      categoryName: category ? category.name : null,
+      categoryIcon: category ? category.icon : null,
+      categoryType: category ? category.type : null,
+      parentCategoryName: parent ? parent.name : null
+    });
+  }
+
+  /**
+   * Garante que a categoria existe (FOREIGN KEY de category_rules.category_id)
+   * @private
+   */
+  _assertCategoryExists(categoryId) {
+    if (categoryId && !this.store.table('categories').some(row => row.id === Number(categoryId))) {
+      throw new Error('Categoria não encontrada');
+    }
+  }
+
+  /**
+   * Cria uma regra
+   */
+  async create(rule) {
+    this._assertCategoryExists(rule.categoryId);
+
+    const now = new Date();
+    const row = this.store.insert('category_rules', {
+      user_id: rule.userId,
+      priority: rule.priority,
+      is_active: rule.isActive,
+      description_contains: rule.descriptionContains,
+      min_amount: rule.minAmount,
+      max_amount: rule.maxAmount,
+      weekdays: [...rule.weekdays],
+      category_id: rule.categoryId ? Number(rule.categoryId) : null,
+      tags: [...rule.tags],
+      created_at: now,
+      updated_at: now
+    });
+
+    return this._rowToRule(row);
+  }
+
+  /**
+   * Busca uma regra por ID
+   */
+  async findById(id) {
+    const row = this.store.table('category_rules').find(rule => rule.id === Number(id));
+    return row ? this._rowToRule(row) : null;
+  }
+
+  /**
+   * Lista as regras de um usuário em ordem de prioridade
+   */
+  async findByUserId(userId) {
+    return this.store.table('category_rules')
+      .filter(row => row.user_id === userId)
+      .sort((a, b) => a.priority - b.priority || a.id - b.id)
+      .map(row => this._rowToRule(row));
+  }
+
+  /**
+   * Atualiza uma regra
+   */
+  async update(id, data) {
+    const row = this.store.table('category_rules').find(rule => rule.id === Number(id));
+    const fields = {
+      isActive: 'is_active',
+      descriptionContains: 'description_contains',
+      minAmount: 'min_amount',
+      maxAmount: 'max_amount',
+      weekdays: 'weekdays',
+      categoryId: 'category_id',
+      tags: 'tags'
+    };
+    const keys = Object.keys(fields).filter(key => data[key] !== undefined);
+
+    if (keys.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    if (!row) {
+      throw new Error('Regra não encontrada');
+    }
+
+    this._assertCategoryExists(data.categoryId);
+
+    keys.forEach(key => {
+      row[fields[key]] = key === 'categoryId' && data[key] ? Number(data[key]) : data[key];
+    });
+    row.updated_at = new Date();
+
+    return this._rowToRule(row);
+  }
+
+  /**
+   * Grava as prioridades na ordem informada
+   */
+  async reorder(userId, ruleIds) {
+    ruleIds.forEach((ruleId, index) => {
+      const row = this.store.table('category_rules')
+        .find(rule => rule.id === Number(ruleId) && rule.user_id === userId);
+
+      if (row) {
+        row.priority = index + 1;
+        row.updated_at = new Date();
+      }
+    });
+  }
+
+  /**
+   * Deleta uma regra
+   */
+  async delete(id) {
+    const removed = this.store.remove('category_rules', row => row.id === Number(id));
+    return removed.length > 0;
+  }
+}
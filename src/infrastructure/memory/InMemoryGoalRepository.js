@@ -0,0 +1,358 @@
+import { IGoalRepository } from '../../domain/repositories/IGoalRepository.js';
+import { Goal } from '../../domain/entities/Goal.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de metas em memória (modo demonstração)
+ *
+ * As listagens retornam rows no mesmo formato do GoalRepository (snake_case,
+ * com total_contributed, contribution_count etc.), que é o que as telas esperam.
+ */
+export class InMemoryGoalRepository extends IGoalRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Goal
+   * @private
+   */
+  _rowToGoal(row) {
+    return new Goal({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      targetAmount: row.target_amount,
+      currentAmount: row.current_amount,
+      monthlyContribution: row.monthly_contribution,
+      deadline: row.deadline,
+      status: row.status,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Contribuições de uma meta
+   * @private
+   */
+  _contributionsOf(goalId) {
+    return this.store.table('goal_contributions').filter(row => row.goal_id === goalId);
+  }
+
+  /**
+   * Média dos totais mensais das contribuições dos últimos 6 meses
+   * @param {Array<Object>} contributions
+   * @returns {number|null} null quando não há contribuições (AVG de conjunto vazio)
+   * @private
+   */
+  _averageMonthly(contributions) {
+    const now = new Date();
+    const since = new Date(now.getFullYear(), now.getMonth() - 6, 1);
+    const monthlyTotals = new Map();
+
+    contributions
+      .filter(row => row.contribution_date >= since)
+      .forEach(row => {
+        const key = `${row.contribution_date.getFullYear()}-${row.contribution_date.getMonth()}`;
+        monthlyTotals.set(key, (monthlyTotals.get(key) || 0) + row.amount);
+      });
+
+    if (monthlyTotals.size === 0) {
+      return null;
+    }
+
+    const total = Array.from(monthlyTotals.values()).reduce((sum, value) => sum + value, 0);
+    return total / monthlyTotals.size;
+  }
+
+  /**
+   * Row da meta com os totais de contribuições
+   * @private
+   */
+  _withTotals(row) {
+    const contributions = this._contributionsOf(row.id);
+
+    return {
+      ...row,
+      total_contributed: InMemoryStore.toAmount(contributions.reduce((sum, c) => sum + c.amount, 0)),
+      contribution_count: contributions.length
+    };
+  }
+
+  /**
+   * Ordenação das listagens: atrasadas, quase concluídas (80%) e demais;
+   * depois pelo prazo mais próximo e pelas mais recentes
+   * @private
+   */
+  _sortForListing(rows) {
+    const today = InMemoryStore.toDate(new Date());
+    const priority = (row) => {
+      if (row.deadline && row.deadline < today) return 1;
+      if (row.current_amount / row.target_amount >= 0.8) return 2;
+      return 3;
+    };
+
+    return rows.sort((a, b) => {
+      const byPriority = priority(a) - priority(b);
+      if (byPriority !== 0) return byPriority;
+
+      if (a.deadline && b.deadline && a.deadline - b.deadline !== 0) return a.deadline - b.deadline;
+      if (a.deadline && !b.deadline) return -1;
+      if (!a.deadline && b.deadline) return 1;
+
+      return b.created_at - a.created_at;
+    });
+  }
+
+  /**
+   * Cria uma nova meta
+   * @param {Goal} goal - Meta a ser criada
+   * @returns {Promise<Goal>} Meta criada
+   */
+  async create(goal) {
+    const now = new Date();
+    const row = this.store.insert('goals', {
+      user_id: goal.userId,
+      name: goal.name,
+      target_amount: InMemoryStore.toAmount(goal.targetAmount),
+      current_amount: InMemoryStore.toAmount(goal.currentAmount || 0),
+      monthly_contribution: goal.monthlyContribution ? InMemoryStore.toAmount(goal.monthlyContribution) : null,
+      deadline: InMemoryStore.toDate(goal.deadline),
+      status: goal.status || 'active',
+      completed_at: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    return this._rowToGoal(row);
+  }
+
+  /**
+   * Busca uma meta por ID
+   * @param {number} id - ID da meta
+   * @returns {Promise<Goal|null>} Meta encontrada ou null
+   */
+  async findById(id) {
+    const row = this.store.table('goals').find(r => r.id === Number(id));
+    return row ? this._rowToGoal(this._withTotals(row)) : null;
+  }
+
+  /**
+   * Busca todas as metas de um usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - Opções de filtro
+   * @returns {Promise<Array>} Lista de metas
+   */
+  async findByUserId(userId, options = {}) {
+    const { status, limit, offset = 0 } = options;
+
+    const rows = this._sortForListing(
+      this.store.table('goals').filter(row => row.user_id === userId && (!status || row.status === status))
+    ).map(row => ({
+      ...this._withTotals(row),
+      avg_monthly_contribution: this._averageMonthly(this._contributionsOf(row.id))
+    }));
+
+    return limit ? rows.slice(offset, offset + limit) : rows.slice(offset);
+  }
+
+  /**
+   * Busca metas ativas de um usuário
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Array>} Lista de metas ativas
+   */
+  async findActiveByUserId(userId) {
+    return this.findByUserId(userId, { status: 'active' });
+  }
+
+  /**
+   * Busca metas concluídas de um usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - Opções de paginação
+   * @returns {Promise<Array>} Lista de metas concluídas
+   */
+  async findCompletedByUserId(userId, options = {}) {
+    const { limit = 10, offset = 0 } = options;
+    const day = 1000 * 60 * 60 * 24;
+
+    return this.store.table('goals')
+      .filter(row => row.user_id === userId && row.status === 'completed')
+      .sort((a, b) => b.completed_at - a.completed_at)
+      .slice(offset, offset + limit)
+      .map(row => ({
+        ...this._withTotals(row),
+        days_to_complete: row.completed_at
+          ? Math.floor((row.completed_at - row.created_at) / day)
+          : null
+      }));
+  }
+
+  /**
+   * Atualiza uma meta
+   * @param {number} id - ID da meta
+   * @param {Object} data - Dados para atualização
+   * @returns {Promise<Goal>} Meta atualizada
+   */
+  async update(id, data) {
+    const allowedFields = [
+      'name',
+      'target_amount',
+      'monthly_contribution',
+      'deadline',
+      'status',
+      'current_amount'
+    ];
+
+    const fields = allowedFields.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    const row = this.store.table('goals').find(r => r.id === Number(id));
+
+    if (!row) {
+      throw new Error('Meta não encontrada');
+    }
+
+    fields.forEach(field => {
+      if (field === 'deadline') {
+        row.deadline = InMemoryStore.toDate(data.deadline);
+      } else if (field.endsWith('_amount') || field === 'monthly_contribution') {
+        row[field] = data[field] === null ? null : InMemoryStore.toAmount(data[field]);
+      } else {
+        row[field] = data[field];
+      }
+    });
+
+    row.updated_at = new Date();
+
+    // Se status mudou para completed, adicionar completed_at
+    if (data.status === 'completed' && !row.completed_at) {
+      row.completed_at = new Date();
+    }
+
+    return this._rowToGoal(row);
+  }
+
+  /**
+   * Deleta uma meta
+   * @param {number} id - ID da meta
+   * @returns {Promise<boolean>} true se deletado com sucesso
+   */
+  async delete(id) {
+    const removed = this.store.remove('goals', row => row.id === Number(id));
+    this.store.remove('goal_contributions', row => row.goal_id === Number(id));
+    return removed.length > 0;
+  }
+
+  /**
+   * Adiciona uma contribuição a uma meta
+   * @param {number} goalId - ID da meta
+   * @param {number} amount - Valor da contribuição
+   * @param {string} description - Descrição da contribuição
+   * @returns {Promise<Object>} Contribuição e meta atualizada
+   */
+  async addContribution(goalId, amount, description = null) {
+    const goal = this.store.table('goals').find(r => r.id === Number(goalId));
+
+    if (!goal) {
+      const error = new Error('insert or update on table "goal_contributions" violates foreign key constraint');
+      error.code = '23503';
+      throw error;
+    }
+
+    const now = new Date();
+    const contribution = this.store.insert('goal_contributions', {
+      goal_id: goal.id,
+      amount: InMemoryStore.toAmount(amount),
+      description,
+      contribution_date: InMemoryStore.toDate(now),
+      created_at: now
+    });
+
+    goal.current_amount = InMemoryStore.toAmount(goal.current_amount + contribution.amount);
+    goal.updated_at = now;
+
+    if (goal.current_amount >= goal.target_amount) {
+      goal.status = 'completed';
+      goal.completed_at = goal.completed_at || now;
+    }
+
+    return {
+      contribution: { ...contribution },
+      goal: this._rowToGoal(goal)
+    };
+  }
+
+  /**
+   * Obtém as contribuições de uma meta
+   * @param {number} goalId - ID da meta
+   * @param {Object} options - Opções de paginação
+   * @returns {Promise<Array>} Lista de contribuições
+   */
+  async getContributions(goalId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    return this._contributionsOf(Number(goalId))
+      .sort((a, b) => b.contribution_date - a.contribution_date || b.created_at - a.created_at)
+      .slice(offset, offset + limit)
+      .map(row => ({ ...row }));
+  }
+
+  /**
+   * Calcula a média mensal de contribuições
+   * @param {string} userId - ID do usuário
+   * @param {number|null} goalId - ID da meta (opcional)
+   * @returns {Promise<number>} Média mensal
+   */
+  async getMonthlyAverage(userId, goalId = null) {
+    const goalIds = this.store.table('goals')
+      .filter(row => row.user_id === userId && (goalId === null || row.id === Number(goalId)))
+      .map(row => row.id);
+
+    const contributions = this.store.table('goal_contributions')
+      .filter(row => goalIds.includes(row.goal_id));
+
+    return this._averageMonthly(contributions) || 0;
+  }
+
+  /**
+   * Obtém estatísticas gerais das metas
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Object>} Estatísticas
+   */
+  async getStats(userId) {
+    const goals = this.store.table('goals').filter(row => row.user_id === userId);
+    const active = goals.filter(row => row.status === 'active');
+
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const goalIds = goals.map(row => row.id);
+
+    const thisMonthContributions = this.store.table('goal_contributions')
+      .filter(row => goalIds.includes(row.goal_id) && row.contribution_date >= monthStart)
+      .reduce((sum, row) => sum + row.amount, 0);
+
+    // Meta ativa mais próxima de ser concluída
+    const [closest] = [...active].sort((a, b) =>
+      (b.current_amount / b.target_amount) - (a.current_amount / a.target_amount)
+    );
+
+    return {
+      activeCount: active.length,
+      completedCount: goals.filter(row => row.status === 'completed').length,
+      cancelledCount: goals.filter(row => row.status === 'cancelled').length,
+      totalSaved: InMemoryStore.toAmount(active.reduce((sum, row) => sum + row.current_amount, 0)),
+      totalRemaining: InMemoryStore.toAmount(active.reduce((sum, row) => sum + row.target_amount - row.current_amount, 0)),
+      thisMonthContributions: InMemoryStore.toAmount(thisMonthContributions),
+      closestGoal: closest ? this._rowToGoal(closest) : null
+    };
+  }
+}
@@ -0,0 +1,113 @@
+import { IImportProfileRepository } from '../../domain/repositories/IImportProfileRepository.js';
+import { ImportProfile } from '../../domain/entities/ImportProfile.js';
+
+/**
+ * Implementação do repositório de perfis de importação em memória (modo demonstração)
+ */
+export class InMemoryImportProfileRepository extends IImportProfileRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade ImportProfile
+   * (a configuração fica serializada, como no banco)
+   * @private
+   */
+  _rowToProfile(row) {
+    return new ImportProfile({
+      ...JSON.parse(row.settings),
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Cria um perfil
+   */
+  async create(profile) {
+    this._assertUniqueName(profile.userId, profile.name);
+
+    const now = new Date();
+    const row = this.store.insert('import_profiles', {
+      user_id: profile.userId,
+      name: profile.name,
+      settings: JSON.stringify(profile.getSettings()),
+      created_at: now,
+      updated_at: now
+    });
+
+    return this._rowToProfile(row);
+  }
+
+  /**
+   * Busca um perfil por ID
+   */
+  async findById(id) {
+    const row = this.store.table('import_profiles').find(r => r.id === Number(id));
+    return row ? this._rowToProfile(row) : null;
+  }
+
+  /**
+   * Lista os perfis de um usuário
+   */
+  async findByUserId(userId) {
+    return this.store.table('import_profiles')
+      .filter(row => row.user_id === userId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(row => this._rowToProfile(row));
+  }
+
+  /**
+   * Substitui o nome e a configuração de um perfil
+   */
+  async update(id, profile) {
+    const row = this.store.table('import_profiles').find(r => r.id === Number(id));
+
+    if (!row) {
+      return null;
+    }
+
+    this._assertUniqueName(row.user_id, profile.name, row.id);
+
+    Object.assign(row, {
+      name: profile.name,
+      settings: JSON.stringify(profile.getSettings()),
+      updated_at: new Date()
+    });
+
+    return this._rowToProfile(row);
+  }
+
+  /**
+   * Deleta um perfil
+   */
+  async delete(id) {
+    return this.store.remove('import_profiles', row => row.id === Number(id)).length > 0;
+  }
+
+  /**
+   * Garante nome único por usuário (constraint UNIQUE da tabela import_profiles)
+   * @private
+   */
+  _assertUniqueName(userId, name, excludeId = null) {
+    const conflict = this.store.table('import_profiles').some(row =>
+      row.user_id === userId &&
+      row.name === name &&
+      row.id !== excludeId
+    );
+
+    if (conflict) {
+      const error = new Error('Já existe um perfil de importação com este nome');
+      error.code = '23505';
+      throw error;
+    }
+  }
+}
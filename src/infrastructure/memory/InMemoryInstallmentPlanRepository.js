@@ -0,0 +1,267 @@
+import { IInstallmentPlanRepository } from '../../domain/repositories/IInstallmentPlanRepository.js';
+import { InstallmentPlan } from '../../domain/entities/InstallmentPlan.js';
+import { Transaction } from '../../domain/entities/Transaction.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de compras parceladas em memória (modo demonstração)
+ */
+export class InMemoryInstallmentPlanRepository extends IInstallmentPlanRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade InstallmentPlan
+   * @private
+   */
+  _rowToPlan(row, installments = []) {
+    return new InstallmentPlan({
+      id: row.id,
+      userId: row.user_id,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      description: row.description,
+      totalAmount: row.total_amount,
+      installmentCount: row.installment_count,
+      date: row.date,
+      cancelledAt: row.cancelled_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria e da conta (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      accountName: row.account_name,
+      accountIcon: row.account_icon,
+      installments
+    });
+  }
+
+  /**
+   * Converte row de uma parcela para entidade Transaction
+   * @private
+   */
+  _rowToInstallment(row, installmentCount) {
+    return new Transaction({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      installmentPlanId: row.installment_plan_id,
+      installmentNumber: row.installment_number,
+      installmentCount,
+      reconciliationId: row.reconciliation_id,
+      amount: row.amount,
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria e da conta (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      categoryColor: row.category_color,
+      accountName: row.account_name,
+      accountIcon: row.account_icon
+    });
+  }
+
+  /**
+   * Acrescenta os dados da categoria e da conta a uma row
+   * (equivalente aos LEFT JOIN em categories e accounts)
+   * @private
+   */
+  _join(row) {
+    const category = this.store.table('categories').find(c => c.id === row.category_id);
+    const account = this.store.table('accounts').find(a => a.id === row.account_id);
+
+    return {
+      ...row,
+      category_name: category ? category.name : null,
+      category_icon: category ? category.icon : null,
+      category_color: category ? category.color : null,
+      account_name: account ? account.name : null,
+      account_icon: account ? account.icon : null
+    };
+  }
+
+  /**
+   * Garante que a categoria e a conta existem (FOREIGN KEY de category_id/account_id)
+   * @private
+   */
+  _assertReferencesExist(categoryId, accountId) {
+    const categoryExists = categoryId === undefined ||
+      this.store.table('categories').some(row => row.id === Number(categoryId));
+    const accountExists = accountId === undefined ||
+      this.store.table('accounts').some(row => row.id === Number(accountId));
+
+    if (!categoryExists || !accountExists) {
+      throw new Error('Categoria ou conta não encontrada');
+    }
+  }
+
+  /**
+   * Parcelas de um parcelamento com data posterior a uma data
+   * @private
+   */
+  _installmentsAfter(id, after) {
+    const cutoff = InMemoryStore.toDate(after);
+    return row => row.installment_plan_id === Number(id) && row.date > cutoff;
+  }
+
+  /**
+   * Parcelas conciliadas não mudam nem saem pelo parcelamento
+   * @param {Function} predicate - (row) => boolean, as parcelas afetadas
+   * @param {string} action - 'alterar' ou 'deletar'
+   * @private
+   */
+  _assertNotReconciled(predicate, action) {
+    if (this.store.table('transactions').some(row => predicate(row) && row.reconciliation_id)) {
+      throw new Error(`Conciliada (desbloqueie antes de ${action})`);
+    }
+  }
+
+  /**
+   * Cria um parcelamento e todas as suas parcelas
+   */
+  async create(plan) {
+    this._assertReferencesExist(plan.categoryId, plan.accountId);
+
+    const now = new Date();
+    const row = this.store.insert('installment_plans', {
+      user_id: plan.userId,
+      category_id: Number(plan.categoryId),
+      account_id: Number(plan.accountId),
+      description: plan.description || null,
+      total_amount: InMemoryStore.toAmount(plan.totalAmount),
+      installment_count: plan.installmentCount,
+      date: InMemoryStore.toDate(plan.date),
+      cancelled_at: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    new InstallmentPlan({ ...plan, id: row.id }).buildInstallments().forEach(installment => {
+      this.store.insert('transactions', {
+        user_id: installment.userId,
+        type: installment.type,
+        category_id: Number(installment.categoryId),
+        account_id: Number(installment.accountId),
+        transfer_id: null,
+        installment_plan_id: row.id,
+        installment_number: installment.installmentNumber,
+        recurring_rule_id: null,
+        reconciliation_id: null,
+        status: 'cleared',
+        amount: InMemoryStore.toAmount(installment.amount),
+        description: installment.description || null,
+        date: InMemoryStore.toDate(installment.date),
+        created_at: now,
+        updated_at: now
+      });
+    });
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Busca um parcelamento por ID (com as parcelas, da primeira para a última)
+   */
+  async findById(id) {
+    const row = this.store.table('installment_plans').find(r => r.id === Number(id));
+
+    if (!row) {
+      return null;
+    }
+
+    const installments = this.store.table('transactions')
+      .filter(t => t.installment_plan_id === row.id)
+      .sort((a, b) => a.installment_number - b.installment_number)
+      .map(t => this._rowToInstallment(this._join(t), row.installment_count));
+
+    return this._rowToPlan(this._join(row), installments);
+  }
+
+  /**
+   * Altera as parcelas que ainda não venceram
+   */
+  async updateRemaining(id, data, after) {
+    const row = this.store.table('installment_plans').find(r => r.id === Number(id));
+
+    const allowedFields = ['categoryId', 'accountId', 'description', 'amount'];
+    const fields = allowedFields.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    this._assertReferencesExist(data.categoryId, data.accountId);
+    this._assertNotReconciled(this._installmentsAfter(id, after), 'alterar');
+
+    const now = new Date();
+    const changes = {};
+
+    fields.forEach(field => {
+      switch (field) {
+      case 'categoryId':
+        changes.category_id = Number(data.categoryId);
+        break;
+      case 'accountId':
+        changes.account_id = Number(data.accountId);
+        break;
+      case 'amount':
+        changes.amount = InMemoryStore.toAmount(data.amount);
+        break;
+      default:
+        changes[field] = data[field];
+      }
+    });
+
+    // O valor é o de cada parcela; os demais campos valem também para o parcelamento
+    const planChanges = Object.fromEntries(Object.entries(changes).filter(([key]) => key !== 'amount'));
+
+    if (row && Object.keys(planChanges).length > 0) {
+      Object.assign(row, planChanges, { updated_at: now });
+    }
+
+    this.store.table('transactions')
+      .filter(this._installmentsAfter(id, after))
+      .forEach(installment => Object.assign(installment, changes, { updated_at: now }));
+
+    return this.findById(id);
+  }
+
+  /**
+   * Cancela as parcelas que ainda não venceram
+   */
+  async cancelRemaining(id, after) {
+    this._assertNotReconciled(this._installmentsAfter(id, after), 'deletar');
+
+    const removed = this.store.remove('transactions', this._installmentsAfter(id, after));
+    const left = this.store.table('transactions').some(row => row.installment_plan_id === Number(id));
+
+    if (!left) {
+      this.store.remove('installment_plans', row => row.id === Number(id));
+    } else {
+      const row = this.store.table('installment_plans').find(r => r.id === Number(id));
+      row.cancelled_at = new Date();
+      row.updated_at = row.cancelled_at;
+    }
+
+    return removed.length;
+  }
+
+  /**
+   * Deleta um parcelamento e todas as suas parcelas
+   */
+  async delete(id) {
+    this._assertNotReconciled(row => row.installment_plan_id === Number(id), 'deletar');
+
+    this.store.remove('transactions', row => row.installment_plan_id === Number(id));
+    return this.store.remove('installment_plans', row => row.id === Number(id)).length > 0;
+  }
+}
@@ -0,0 +1,170 @@
+import { IPayeeRepository } from '../../domain/repositories/IPayeeRepository.js';
+import { Payee } from '../../domain/entities/Payee.js';
+
+/**
+ * Implementação do repositório de favorecidos em memória (modo demonstração)
+ */
+export class InMemoryPayeeRepository extends IPayeeRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Payee
+   * @private
+   */
+  _rowToPayee(row) {
+    const category = this.store.table('categories').find(c => c.id === row.default_category_id);
+
+    return new Payee({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      aliases: this.store.table('payee_aliases')
+        .filter(alias => alias.payee_id === row.id)
+        .map(alias => alias.alias),
+      defaultCategoryId: row.default_category_id,
+      createdAt: row.created_at,
+      // Dados da categoria padrão (equivalente ao LEFT JOIN)
+      defaultCategoryName: category ? category.name : null,
+      defaultCategoryIcon: category ? category.icon : null,
+      // Quantidade de transações (equivalente ao COUNT)
+      transactionCount: this.store.table('transactions').filter(t => t.payee_id === row.id).length
+    });
+  }
+
+  /**
+   * Garante as restrições do banco: nome único por usuário e categoria existente
+   * @private
+   */
+  _assertValid(userId, name, defaultCategoryId, excludeId = null) {
+    if (this.store.table('payees').some(row => row.user_id === userId && row.name === name && row.id !== excludeId)) {
+      throw new Error('Já existe um favorecido com este nome');
+    }
+
+    if (defaultCategoryId && !this.store.table('categories').some(row => row.id === Number(defaultCategoryId))) {
+      throw new Error('Categoria não encontrada');
+    }
+  }
+
+  /**
+   * Substitui os apelidos de um favorecido
+   * @private
+   */
+  _saveAliases(payeeId, aliases) {
+    this.store.remove('payee_aliases', row => row.payee_id === payeeId);
+    aliases.forEach(alias => this.store.insert('payee_aliases', { payee_id: payeeId, alias }));
+  }
+
+  /**
+   * Cria um favorecido com os seus apelidos
+   */
+  async create(payee) {
+    this._assertValid(payee.userId, payee.name, payee.defaultCategoryId);
+
+    const row = this.store.insert('payees', {
+      user_id: payee.userId,
+      name: payee.name,
+      default_category_id: payee.defaultCategoryId ? Number(payee.defaultCategoryId) : null,
+      created_at: new Date()
+    });
+
+    this._saveAliases(row.id, payee.aliases);
+
+    return this._rowToPayee(row);
+  }
+
+  /**
+   * Busca um favorecido por ID
+   */
+  async findById(id) {
+    const row = this.store.table('payees').find(payee => payee.id === Number(id));
+    return row ? this._rowToPayee(row) : null;
+  }
+
+  /**
+   * Lista os favorecidos de um usuário
+   */
+  async findByUserId(userId) {
+    return this.store.table('payees')
+      .filter(row => row.user_id === userId)
+      .map(row => this._rowToPayee(row))
+      .sort((a, b) => b.transactionCount - a.transactionCount || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Atualiza um favorecido
+   */
+  async update(id, data) {
+    const row = this.store.table('payees').find(payee => payee.id === Number(id));
+
+    if (data.name === undefined && data.defaultCategoryId === undefined && data.aliases === undefined) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    if (!row) {
+      throw new Error('Favorecido não encontrado');
+    }
+
+    this._assertValid(
+      row.user_id,
+      data.name !== undefined ? data.name : row.name,
+      data.defaultCategoryId,
+      row.id
+    );
+
+    if (data.name !== undefined) {
+      row.name = data.name;
+    }
+
+    if (data.defaultCategoryId !== undefined) {
+      row.default_category_id = data.defaultCategoryId ? Number(data.defaultCategoryId) : null;
+    }
+
+    if (data.aliases !== undefined) {
+      this._saveAliases(row.id, data.aliases);
+    }
+
+    return this._rowToPayee(row);
+  }
+
+  /**
+   * Deleta um favorecido (equivalente ao ON DELETE SET NULL em transactions.payee_id)
+   */
+  async delete(id) {
+    const payeeId = Number(id);
+    const removed = this.store.remove('payees', row => row.id === payeeId);
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    this.store.remove('payee_aliases', row => row.payee_id === payeeId);
+    this.store.table('transactions')
+      .filter(row => row.payee_id === payeeId)
+      .forEach(row => {
+        row.payee_id = null;
+      });
+
+    return true;
+  }
+
+  /**
+   * Vincula ao favorecido as transações que ainda não têm favorecido
+   */
+  async linkTransactions(payeeId, transactionIds) {
+    const ids = transactionIds.map(Number);
+    const rows = this.store.table('transactions').filter(row => ids.includes(row.id) && !row.payee_id);
+
+    rows.forEach(row => {
+      row.payee_id = Number(payeeId);
+      row.updated_at = new Date();
+    });
+
+    return rows.length;
+  }
+}
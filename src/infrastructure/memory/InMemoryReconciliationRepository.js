@@ -0,0 +1,128 @@
+import { IReconciliationRepository } from '../../domain/repositories/IReconciliationRepository.js';
+import { Reconciliation } from '../../domain/entities/Reconciliation.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de conciliações em memória (modo demonstração)
+ */
+export class InMemoryReconciliationRepository extends IReconciliationRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Reconciliation
+   * @private
+   */
+  _rowToReconciliation(row) {
+    const account = this.store.table('accounts').find(a => a.id === row.account_id);
+
+    return new Reconciliation({
+      id: row.id,
+      userId: row.user_id,
+      accountId: row.account_id,
+      statementDate: row.statement_date,
+      statementBalance: row.statement_balance,
+      createdAt: row.created_at,
+      // Dados da conta e quantidade de transações (equivalente ao JOIN)
+      accountName: account ? account.name : null,
+      accountIcon: account ? account.icon : null,
+      transactionCount: this.store.table('transactions').filter(t => t.reconciliation_id === row.id).length
+    });
+  }
+
+  /**
+   * Grava uma conciliação e trava as transações marcadas
+   */
+  async create(reconciliation) {
+    const accountId = Number(reconciliation.accountId);
+
+    if (!this.store.table('accounts').some(row => row.id === accountId)) {
+      throw new Error('Conta não encontrada');
+    }
+
+    const ids = reconciliation.getSelectedTransactions().map(transaction => transaction.id);
+    const rows = this.store.table('transactions').filter(row =>
+      ids.includes(row.id) &&
+      row.account_id === accountId &&
+      !row.reconciliation_id &&
+      row.status !== 'planned'
+    );
+
+    // Outra conciliação (ou edição) mexeu nas transações enquanto esta era feita
+    if (rows.length !== ids.length) {
+      throw new Error('Algumas transações marcadas já foram conciliadas ou alteradas');
+    }
+
+    const now = new Date();
+    const row = this.store.insert('reconciliations', {
+      user_id: reconciliation.userId,
+      account_id: accountId,
+      statement_date: InMemoryStore.toDate(reconciliation.statementDate),
+      statement_balance: InMemoryStore.toAmount(reconciliation.statementBalance),
+      created_at: now
+    });
+
+    rows.forEach(transaction => {
+      transaction.reconciliation_id = row.id;
+      transaction.status = 'cleared';
+      transaction.updated_at = now;
+    });
+
+    return this._rowToReconciliation(row);
+  }
+
+  /**
+   * Lista as conciliações de uma conta
+   */
+  async findByAccountId(accountId) {
+    return this.store.table('reconciliations')
+      .filter(row => row.account_id === Number(accountId))
+      .sort((a, b) => b.statement_date - a.statement_date || b.id - a.id)
+      .map(row => this._rowToReconciliation(row));
+  }
+
+  /**
+   * Busca a conciliação mais recente de uma conta
+   */
+  async findLastByAccountId(accountId) {
+    const [last] = await this.findByAccountId(accountId);
+    return last || null;
+  }
+
+  /**
+   * Saldo já conferido da conta (saldo inicial + transações conciliadas)
+   */
+  async getReconciledBalance(accountId) {
+    const account = this.store.table('accounts').find(row => row.id === Number(accountId));
+
+    if (!account) {
+      return 0;
+    }
+
+    const reconciled = this.store.table('transactions')
+      .filter(row => row.account_id === account.id && row.reconciliation_id)
+      .reduce((sum, row) => sum + (row.type === 'income' ? row.amount : -row.amount), 0);
+
+    return InMemoryStore.toAmount(account.initial_balance + reconciled);
+  }
+
+  /**
+   * Desfaz o vínculo de uma transação com a sua conciliação
+   */
+  async unlockTransaction(transactionId) {
+    const row = this.store.table('transactions').find(r => r.id === Number(transactionId));
+
+    if (!row || !row.reconciliation_id) {
+      return false;
+    }
+
+    row.reconciliation_id = null;
+    row.updated_at = new Date();
+    return true;
+  }
+}
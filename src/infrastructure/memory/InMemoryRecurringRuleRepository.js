@@ -0,0 +1,267 @@
+import { IRecurringRuleRepository } from '../../domain/repositories/IRecurringRuleRepository.js';
+import { RecurringRule } from '../../domain/entities/RecurringRule.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de regras de recorrência em memória (modo demonstração)
+ */
+export class InMemoryRecurringRuleRepository extends IRecurringRuleRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade RecurringRule
+   * @private
+   */
+  _rowToRule(row) {
+    const category = this.store.table('categories').find(c => c.id === row.category_id);
+    const account = this.store.table('accounts').find(a => a.id === row.account_id);
+    const exceptions = this.store.table('recurring_rule_exceptions')
+      .filter(e => e.rule_id === row.id && e.occurrence_number > row.generated_count)
+      .sort((a, b) => a.occurrence_number - b.occurrence_number);
+
+    return new RecurringRule({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      amount: row.amount,
+      description: row.description,
+      frequency: row.frequency,
+      dayOfMonth: row.day_of_month,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      maxOccurrences: row.max_occurrences,
+      generatedCount: row.generated_count,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados da categoria e da conta (equivalente aos LEFT JOIN)
+      categoryName: category ? category.name : null,
+      categoryIcon: category ? category.icon : null,
+      accountName: account ? account.name : null,
+      accountIcon: account ? account.icon : null,
+      exceptions: exceptions.map(exception => ({
+        occurrenceNumber: exception.occurrence_number,
+        isSkipped: exception.is_skipped,
+        amount: exception.amount,
+        description: exception.description
+      }))
+    });
+  }
+
+  /**
+   * Garante que a categoria e a conta existem (FOREIGN KEY de category_id/account_id)
+   * @private
+   */
+  _assertReferencesExist(categoryId, accountId) {
+    const categoryExists = categoryId === undefined ||
+      this.store.table('categories').some(row => row.id === Number(categoryId));
+    const accountExists = accountId === undefined ||
+      this.store.table('accounts').some(row => row.id === Number(accountId));
+
+    if (!categoryExists || !accountExists) {
+      throw new Error('Categoria ou conta não encontrada');
+    }
+  }
+
+  /**
+   * Regras ordenadas por data de criação
+   * @private
+   */
+  _findWhere(predicate) {
+    return this.store.table('recurring_rules')
+      .filter(predicate)
+      .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+      .map(row => this._rowToRule(row));
+  }
+
+  /**
+   * Cria uma nova regra
+   */
+  async create(rule) {
+    this._assertReferencesExist(rule.categoryId, rule.accountId);
+
+    const now = new Date();
+    const row = this.store.insert('recurring_rules', {
+      user_id: rule.userId,
+      type: rule.type,
+      category_id: Number(rule.categoryId),
+      account_id: Number(rule.accountId),
+      amount: InMemoryStore.toAmount(rule.amount),
+      description: rule.description || null,
+      frequency: rule.frequency,
+      day_of_month: rule.dayOfMonth,
+      start_date: InMemoryStore.toDate(rule.startDate),
+      end_date: InMemoryStore.toDate(rule.endDate),
+      max_occurrences: rule.maxOccurrences,
+      generated_count: rule.generatedCount,
+      is_active: rule.isActive,
+      created_at: now,
+      updated_at: now
+    });
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Busca uma regra por ID (com as exceções)
+   */
+  async findById(id) {
+    return this._findWhere(row => row.id === Number(id))[0] || null;
+  }
+
+  /**
+   * Busca as regras de um usuário (com as exceções)
+   */
+  async findByUserId(userId) {
+    return this._findWhere(row => row.user_id === userId);
+  }
+
+  /**
+   * Busca as regras ativas (com as exceções)
+   */
+  async findActive(userId = null) {
+    return this._findWhere(row => row.is_active && (!userId || row.user_id === userId));
+  }
+
+  /**
+   * Atualiza uma regra
+   */
+  async update(id, data) {
+    const row = this.store.table('recurring_rules').find(r => r.id === Number(id));
+
+    const allowedFields = [
+      'categoryId', 'accountId', 'amount', 'description', 'endDate',
+      'maxOccurrences', 'isActive', 'generatedCount'
+    ];
+    const fields = allowedFields.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    this._assertReferencesExist(data.categoryId, data.accountId);
+
+    if (!row) {
+      return null;
+    }
+
+    fields.forEach(field => {
+      switch (field) {
+      case 'categoryId':
+        row.category_id = Number(data.categoryId);
+        break;
+      case 'accountId':
+        row.account_id = Number(data.accountId);
+        break;
+      case 'amount':
+        row.amount = InMemoryStore.toAmount(data.amount);
+        break;
+      case 'endDate':
+        row.end_date = InMemoryStore.toDate(data.endDate);
+        break;
+      default: {
+        const snakeKey = field.replace(/([A-Z])/g, '_$1').toLowerCase();
+        row[snakeKey] = data[field];
+      }
+      }
+    });
+    row.updated_at = new Date();
+
+    return this.findById(id);
+  }
+
+  /**
+   * Deleta uma regra (as transações já lançadas são mantidas)
+   */
+  async delete(id) {
+    const ruleId = Number(id);
+
+    // ON DELETE CASCADE nas exceções e ON DELETE SET NULL nas transações
+    this.store.remove('recurring_rule_exceptions', row => row.rule_id === ruleId);
+    this.store.table('transactions')
+      .filter(row => row.recurring_rule_id === ruleId)
+      .forEach(row => { row.recurring_rule_id = null; });
+
+    return this.store.remove('recurring_rules', row => row.id === ruleId).length > 0;
+  }
+
+  /**
+   * Grava (ou substitui) a exceção de uma ocorrência
+   */
+  async saveException(ruleId, exception) {
+    const id = Number(ruleId);
+
+    this.store.remove('recurring_rule_exceptions', row =>
+      row.rule_id === id && row.occurrence_number === exception.occurrenceNumber
+    );
+
+    this.store.insert('recurring_rule_exceptions', {
+      rule_id: id,
+      occurrence_number: exception.occurrenceNumber,
+      is_skipped: Boolean(exception.isSkipped),
+      amount: exception.amount ? InMemoryStore.toAmount(exception.amount) : null,
+      description: exception.description || null,
+      created_at: new Date()
+    });
+
+    return this.findById(id);
+  }
+
+  /**
+   * Remove a exceção de uma ocorrência
+   */
+  async deleteException(ruleId, occurrenceNumber) {
+    this.store.remove('recurring_rule_exceptions', row =>
+      row.rule_id === Number(ruleId) && row.occurrence_number === occurrenceNumber
+    );
+
+    return this.findById(ruleId);
+  }
+
+  /**
+   * Grava as transações das ocorrências vencidas e avança o generated_count
+   */
+  async materialize(id, transactions, fromCount, toCount) {
+    const row = this.store.table('recurring_rules').find(r => r.id === Number(id));
+
+    if (!row || row.generated_count !== fromCount) {
+      return 0;
+    }
+
+    const now = new Date();
+    row.generated_count = toCount;
+    row.updated_at = now;
+
+    transactions.forEach(transaction => {
+      this.store.insert('transactions', {
+        user_id: transaction.userId,
+        type: transaction.type,
+        category_id: Number(transaction.categoryId),
+        account_id: Number(transaction.accountId),
+        transfer_id: null,
+        installment_plan_id: null,
+        installment_number: null,
+        recurring_rule_id: row.id,
+        reconciliation_id: null,
+        status: 'cleared',
+        amount: InMemoryStore.toAmount(transaction.amount),
+        description: transaction.description || null,
+        date: InMemoryStore.toDate(transaction.date),
+        created_at: now,
+        updated_at: now
+      });
+    });
+
+    this.store.remove('recurring_rule_exceptions', e => e.rule_id === row.id && e.occurrence_number <= toCount);
+
+    return transactions.length;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Armazenamento em memória compartilhado pelos repositórios do modo demonstração
+ *
+ * Cada tabela do schema vira um array de rows no mesmo formato retornado
+ * pelo banco (snake_case), para que os repositórios em memória convertam
+ * para entidades da mesma forma que os repositórios SQL. Nada é persistido:
+ * os dados existem apenas enquanto o processo estiver rodando.
+ */
+export class InMemoryStore {
+  constructor() {
+    this.tables = {
+      users: [],
+      user_auth: [],
+      categories: [],
+      accounts: [],
+      transfers: [],
+      installment_plans: [],
+      recurring_rules: [],
+      recurring_rule_exceptions: [],
+      reconciliations: [],
+      payees: [],
+      payee_aliases: [],
+      category_rules: [],
+      category_models: [],
+      import_profiles: [],
+      transactions: [],
+      transaction_splits: [],
+      tags: [],
+      transaction_tags: [],
+      attachments: [],
+      budgets: [],
+      goals: [],
+      goal_contributions: []
+    };
+    this.sequences = {};
+  }
+
+  /**
+   * Retorna as rows de uma tabela
+   * @param {string} name - Nome da tabela
+   * @returns {Array<Object>}
+   */
+  table(name) {
+    if (!this.tables[name]) {
+      throw new Error(`Tabela não encontrada: ${name}`);
+    }
+
+    return this.tables[name];
+  }
+
+  /**
+   * Próximo ID de uma tabela (equivalente ao SERIAL do Postgres)
+   * @param {string} name - Nome da tabela
+   * @returns {number}
+   */
+  nextId(name) {
+    this.sequences[name] = (this.sequences[name] || 0) + 1;
+    return this.sequences[name];
+  }
+
+  /**
+   * Insere uma row, gerando o ID quando não informado
+   * @param {string} name - Nome da tabela
+   * @param {Object} row - Dados da row
+   * @returns {Object} Row inserida
+   */
+  insert(name, row) {
+    const id = row.id === undefined || row.id === null ? this.nextId(name) : row.id;
+    const inserted = Object.assign({ id }, row, { id });
+
+    this.table(name).push(inserted);
+    return inserted;
+  }
+
+  /**
+   * Remove as rows que satisfazem o predicado
+   * @param {string} name - Nome da tabela
+   * @param {Function} predicate - (row) => boolean
+   * @returns {Array<Object>} Rows removidas
+   */
+  remove(name, predicate) {
+    const rows = this.table(name);
+    const removed = rows.filter(predicate);
+
+    this.tables[name] = rows.filter(row => !predicate(row));
+    return removed;
+  }
+
+  /**
+   * Valores das transações por categoria (equivalente à view
+   * transaction_category_lines): uma row por linha da divisão, com a categoria
+   * e o valor da linha, ou a própria transação quando ela não é dividida
+   * @returns {Array<Object>}
+   */
+  categoryLines() {
+    const splits = this.table('transaction_splits');
+
+    return this.table('transactions').flatMap(row => {
+      const lines = splits.filter(split => split.transaction_id === row.id);
+
+      return lines.length === 0
+        ? [row]
+        : lines.map(split => ({ ...row, category_id: split.category_id, amount: split.amount }));
+    });
+  }
+
+  /**
+   * Trunca uma data para a meia-noite local (equivalente a uma coluna DATE)
+   * @param {Date|string|null} value
+   * @returns {Date|null}
+   */
+  static toDate(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Arredonda um valor monetário para 2 casas (equivalente a DECIMAL(15, 2))
+   * @param {number|string} value
+   * @returns {number}
+   */
+  static toAmount(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+  }
+}
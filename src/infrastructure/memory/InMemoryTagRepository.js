@@ -0,0 +1,44 @@
+import { ITagRepository } from '../../domain/repositories/ITagRepository.js';
+import { Tag } from '../../domain/entities/Tag.js';
+
+/**
+ * Implementação do repositório de tags em memória (modo demonstração)
+ */
+export class InMemoryTagRepository extends ITagRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Tag
+   * @private
+   */
+  _rowToTag(row) {
+    const transactionIds = new Set(this.store.table('transactions').map(t => t.id));
+
+    return new Tag({
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      createdAt: row.created_at,
+      // Quantidade de transações (equivalente ao COUNT do LEFT JOIN)
+      transactionCount: this.store.table('transaction_tags')
+        .filter(link => link.tag_id === row.id && transactionIds.has(link.transaction_id))
+        .length
+    });
+  }
+
+  /**
+   * Lista as tags de um usuário com a quantidade de transações
+   */
+  async findByUserId(userId) {
+    return this.store.table('tags')
+      .filter(row => row.user_id === userId)
+      .map(row => this._rowToTag(row))
+      .sort((a, b) => b.transactionCount - a.transactionCount || a.name.localeCompare(b.name));
+  }
+}
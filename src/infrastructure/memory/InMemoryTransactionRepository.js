@@ -0,0 +1,914 @@
+import { ITransactionRepository } from '../../domain/repositories/ITransactionRepository.js';
+import { Transaction } from '../../domain/entities/Transaction.js';
+import { Tag } from '../../domain/entities/Tag.js';
+import { UNCATEGORIZED_NAME, UNCATEGORIZED_ICON } from '../../domain/entities/Category.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+const STALE_SELECTION_MESSAGE = 'Algumas transações foram alteradas, conciliadas ou deletadas durante a operação; selecione de novo';
+
+/**
+ * Implementação do repositório de transações em memória (modo demonstração)
+ */
+export class InMemoryTransactionRepository extends ITransactionRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Transaction
+   * @private
+   */
+  _rowToTransaction(row) {
+    return new Transaction({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      categoryId: row.category_id,
+      accountId: row.account_id,
+      transferId: row.transfer_id,
+      installmentPlanId: row.installment_plan_id,
+      installmentNumber: row.installment_number,
+      recurringRuleId: row.recurring_rule_id,
+      reconciliationId: row.reconciliation_id,
+      payeeId: row.payee_id,
+      externalId: row.external_id,
+      status: row.status,
+      amount: row.amount,
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      tags: this._tagNames(row.id),
+      splits: this._splits(row.id),
+      // Dados da categoria (quando há JOIN)
+      categoryName: row.category_name,
+      categoryIcon: row.category_icon,
+      categoryColor: row.category_color,
+      // Dados da conta (quando há JOIN)
+      accountName: row.account_name,
+      accountIcon: row.account_icon,
+      // Conta do outro lado da transferência (quando há JOIN)
+      transferAccountName: row.transfer_account_name,
+      transferAccountIcon: row.transfer_account_icon,
+      // Total de parcelas (quando há JOIN)
+      installmentCount: row.installment_count,
+      // Nome do favorecido (quando há JOIN)
+      payeeName: row.payee_name
+    });
+  }
+
+  /**
+   * Transações com os dados da categoria, da conta e do favorecido
+   * (equivalente aos LEFT JOIN em categories, accounts e payees)
+   * @param {Function} predicate - (row) => boolean
+   * @private
+   */
+  _joined(predicate = () => true) {
+    const transactions = this.store.table('transactions');
+    const categories = new Map(this.store.table('categories').map(c => [c.id, c]));
+    const accounts = new Map(this.store.table('accounts').map(a => [a.id, a]));
+    const plans = new Map(this.store.table('installment_plans').map(p => [p.id, p]));
+    const payees = new Map(this.store.table('payees').map(p => [p.id, p]));
+
+    return transactions
+      .filter(predicate)
+      .map(row => {
+        const category = categories.get(row.category_id);
+        const account = accounts.get(row.account_id);
+        const peer = row.transfer_id
+          ? transactions.find(t => t.transfer_id === row.transfer_id && t.id !== row.id)
+          : null;
+        const peerAccount = peer ? accounts.get(peer.account_id) : null;
+        const plan = plans.get(row.installment_plan_id);
+        const payee = payees.get(row.payee_id);
+        return {
+          ...row,
+          category_name: category ? category.name : null,
+          category_icon: category ? category.icon : null,
+          category_color: category ? category.color : null,
+          category_type: category ? category.type : null,
+          account_name: account ? account.name : null,
+          account_icon: account ? account.icon : null,
+          transfer_account_name: peerAccount ? peerAccount.name : null,
+          transfer_account_icon: peerAccount ? peerAccount.icon : null,
+          installment_count: plan ? plan.installment_count : null,
+          payee_name: payee ? payee.name : null
+        };
+      });
+  }
+
+  /**
+   * Nomes das tags de uma transação, em ordem alfabética
+   * @private
+   */
+  _tagNames(transactionId) {
+    const tagIds = this.store.table('transaction_tags')
+      .filter(link => link.transaction_id === transactionId)
+      .map(link => link.tag_id);
+
+    return this.store.table('tags')
+      .filter(tag => tagIds.includes(tag.id))
+      .map(tag => tag.name)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Verifica se a transação tem a tag (pelo nome)
+   * @private
+   */
+  _hasTag(row, name) {
+    return this._tagNames(row.id).includes(name);
+  }
+
+  /**
+   * Substitui as tags de uma transação, criando as que o usuário ainda não tem
+   * @private
+   */
+  _saveTags(userId, transactionId, names) {
+    this.store.remove('transaction_tags', link => link.transaction_id === transactionId);
+
+    names.forEach(name => {
+      const tag = this.store.table('tags').find(row => row.user_id === userId && row.name === name) ||
+        this.store.insert('tags', { user_id: userId, name, created_at: new Date() });
+
+      this.store.insert('transaction_tags', { transaction_id: transactionId, tag_id: tag.id });
+    });
+  }
+
+  /**
+   * Linhas da divisão de uma transação, com os dados da categoria
+   * @private
+   */
+  _splits(transactionId) {
+    const categories = new Map(this.store.table('categories').map(c => [c.id, c]));
+
+    return this.store.table('transaction_splits')
+      .filter(split => split.transaction_id === transactionId)
+      .map(split => {
+        const category = categories.get(split.category_id);
+        return {
+          categoryId: split.category_id,
+          amount: split.amount,
+          categoryName: category ? category.name : null,
+          categoryIcon: category ? category.icon : null
+        };
+      });
+  }
+
+  /**
+   * Substitui as linhas da divisão de uma transação entre categorias
+   * @private
+   */
+  _saveSplits(transactionId, splits) {
+    splits.forEach(split => this._assertCategoryExists(split.categoryId));
+
+    this.store.remove('transaction_splits', split => split.transaction_id === transactionId);
+
+    splits.forEach(split => {
+      this.store.insert('transaction_splits', {
+        transaction_id: transactionId,
+        category_id: Number(split.categoryId),
+        amount: InMemoryStore.toAmount(split.amount)
+      });
+    });
+  }
+
+  /**
+   * Verifica se a transação tem valor na categoria (na categoria da transação
+   * ou em uma linha da divisão)
+   * @private
+   */
+  _hasCategory(row, categoryId) {
+    const splits = this.store.table('transaction_splits').filter(split => split.transaction_id === row.id);
+
+    return splits.length === 0
+      ? row.category_id === categoryId
+      : splits.some(split => split.category_id === categoryId);
+  }
+
+  /**
+   * Verifica se a transação está sem categoria (ela ou uma linha da divisão
+   * sem categoria, ou com uma categoria que não existe mais)
+   * @private
+   */
+  _isUncategorized(row) {
+    if (row.transfer_id) {
+      return false;
+    }
+
+    const categories = this.store.table('categories');
+    const splits = this.store.table('transaction_splits').filter(split => split.transaction_id === row.id);
+    const categoryIds = splits.length === 0 ? [row.category_id] : splits.map(split => split.category_id);
+
+    return categoryIds.some(categoryId => !categories.some(category => category.id === categoryId));
+  }
+
+  /**
+   * Rows das consultas de relatório: com filtro de categoria, as transações
+   * divididas entram só com o valor da linha da categoria
+   * @private
+   */
+  _reportRows(userId, filters, includePlanned = false) {
+    const rows = filters.categoryId ? this.store.categoryLines() : this.store.table('transactions');
+    return rows.filter(this._buildReportFilter(userId, filters, includePlanned));
+  }
+
+  /**
+   * Garante que a categoria existe (FOREIGN KEY de transactions.category_id)
+   * @private
+   */
+  _assertCategoryExists(categoryId) {
+    if (!this.store.table('categories').some(row => row.id === Number(categoryId))) {
+      throw new Error('Categoria não encontrada');
+    }
+  }
+
+  /**
+   * Garante que a conta existe (FOREIGN KEY de transactions.account_id)
+   * @private
+   */
+  _assertAccountExists(accountId) {
+    if (!this.store.table('accounts').some(row => row.id === Number(accountId))) {
+      throw new Error('Conta não encontrada');
+    }
+  }
+
+  /**
+   * Garante que o favorecido existe (FOREIGN KEY de transactions.payee_id)
+   * @private
+   */
+  _assertPayeeExists(payeeId) {
+    if (!this.store.table('payees').some(row => row.id === Number(payeeId))) {
+      throw new Error('Favorecido não encontrado');
+    }
+  }
+
+  /**
+   * Garante que o identificador do extrato não se repete na conta
+   * (UNIQUE de transactions(account_id, external_id))
+   * @private
+   */
+  _assertUniqueExternalId(accountId, externalId, excludeId = null) {
+    const conflict = externalId && this.store.table('transactions').some(row =>
+      row.account_id === Number(accountId) &&
+      row.external_id === externalId &&
+      row.id !== excludeId
+    );
+
+    if (conflict) {
+      throw new Error('Esta transação do extrato já foi importada nesta conta');
+    }
+  }
+
+  /**
+   * Cria uma nova transação
+   */
+  async create(transaction) {
+    this._assertCategoryExists(transaction.categoryId);
+    if (transaction.accountId) {
+      this._assertAccountExists(transaction.accountId);
+    }
+    if (transaction.payeeId) {
+      this._assertPayeeExists(transaction.payeeId);
+    }
+    this._assertUniqueExternalId(transaction.accountId, transaction.externalId);
+
+    const now = new Date();
+    const row = this.store.insert('transactions', {
+      user_id: transaction.userId,
+      type: transaction.type,
+      category_id: Number(transaction.categoryId),
+      account_id: transaction.accountId ? Number(transaction.accountId) : null,
+      transfer_id: null,
+      installment_plan_id: null,
+      installment_number: null,
+      recurring_rule_id: null,
+      reconciliation_id: null,
+      payee_id: transaction.payeeId ? Number(transaction.payeeId) : null,
+      external_id: transaction.externalId || null,
+      status: transaction.status || 'cleared',
+      amount: InMemoryStore.toAmount(transaction.amount),
+      description: transaction.description || null,
+      date: InMemoryStore.toDate(transaction.date),
+      created_at: now,
+      updated_at: now
+    });
+
+    this._saveTags(row.user_id, row.id, transaction.tags || []);
+    this._saveSplits(row.id, transaction.splits || []);
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Busca uma transação por ID (com dados da categoria)
+   */
+  async findById(id) {
+    const [row] = this._joined(r => r.id === Number(id));
+    return row ? this._rowToTransaction(row) : null;
+  }
+
+  /**
+   * Busca as transações de um usuário pelos IDs (as de outros usuários ficam de fora)
+   */
+  async findByIdsForUser(userId, ids) {
+    const uniqueIds = new Set(ids.map(Number));
+
+    return this._joined(row => row.user_id === userId && uniqueIds.has(row.id))
+      .sort((a, b) => a.id - b.id)
+      .map(row => this._rowToTransaction(row));
+  }
+
+  /**
+   * Transações de uma seleção das operações em lote (pelos IDs ou pelo filtro)
+   */
+  async findBySelection(userId, { transactionIds = null, filters = null } = {}) {
+    return transactionIds
+      ? this.findByIdsForUser(userId, transactionIds)
+      : this.findByFilters({ ...(filters || {}), userId, limit: null });
+  }
+
+  /**
+   * Lista transações de um usuário com paginação
+   */
+  async findByUserId(userId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      orderBy = 'date',
+      orderDirection = 'DESC'
+    } = options;
+
+    const allowedOrderBy = { date: 'date', amount: 'amount', created_at: 'created_at' };
+    const field = allowedOrderBy[orderBy] || 'date';
+    const direction = orderDirection === 'ASC' ? 1 : -1;
+
+    return this._joined(row => row.user_id === userId)
+      .sort((a, b) =>
+        direction * (a[field] - b[field]) || b.created_at - a.created_at || b.id - a.id
+      )
+      .slice((page - 1) * limit, page * limit)
+      .map(row => this._rowToTransaction(row));
+  }
+
+  /**
+   * Busca transações com filtros avançados
+   */
+  async findByFilters(filters) {
+    const {
+      userId,
+      orderBy = 'date',
+      page = 1,
+      limit = 20
+    } = filters;
+
+    const matches = this._buildFilter(userId, filters);
+
+    // Ordenação (maiores valores primeiro ou mais recentes primeiro)
+    const rows = this._joined(matches).sort((a, b) => {
+      if (orderBy === 'amount') {
+        return b.amount - a.amount || b.date - a.date;
+      }
+      return b.date - a.date || b.created_at - a.created_at || b.id - a.id;
+    });
+
+    // limit null = todas as transações
+    const paged = limit === null ? rows : rows.slice((page - 1) * limit, page * limit);
+
+    return paged.map(row => this._rowToTransaction(row));
+  }
+
+  /**
+   * Transações de uma conta já importadas com os identificadores do extrato
+   */
+  async findByExternalIds(accountId, externalIds) {
+    return this._joined(row => row.account_id === Number(accountId) && externalIds.includes(row.external_id))
+      .map(row => this._rowToTransaction(row));
+  }
+
+  /**
+   * Atualiza uma transação existente
+   */
+  async update(id, data) {
+    const row = this._assertUpdatable(id, data);
+
+    this._applyUpdate(row, data);
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Atualiza várias transações de uma vez: tudo é validado antes de qualquer
+   * alteração, para que ou todas mudem, ou nenhuma
+   */
+  async bulkUpdate(userId, changes) {
+    this._assertUnlocked(userId, changes.map(change => change.id));
+
+    const rows = changes.map(({ id, data }) => this._assertUpdatable(id, data));
+
+    rows.forEach((row, index) => this._applyUpdate(row, changes[index].data));
+
+    return rows.length;
+  }
+
+  /**
+   * Confere que as transações existem, são do usuário e não são
+   * transferência, parcela nem conciliadas (equivalente à condição das
+   * operações em lote no banco)
+   * @private
+   * @returns {Object[]} Rows das transações
+   */
+  _assertUnlocked(userId, ids) {
+    const idSet = new Set(ids.map(Number));
+    const rows = this.store.table('transactions').filter(row => idSet.has(row.id));
+
+    if (rows.length !== idSet.size || rows.some(row =>
+      row.user_id !== userId || row.transfer_id || row.installment_plan_id || row.reconciliation_id)) {
+      throw new Error(STALE_SELECTION_MESSAGE);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Valida uma atualização (equivalente às restrições do banco)
+   * @private
+   * @returns {Object} Row da transação
+   */
+  _assertUpdatable(id, data) {
+    const row = this.store.table('transactions').find(r => r.id === Number(id));
+
+    const allowedFields = ['type', 'categoryId', 'accountId', 'payeeId', 'status', 'amount', 'description', 'date'];
+    const fields = allowedFields.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0 && data.tags === undefined && data.splits === undefined) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    if (!row) {
+      throw new Error('Transação não encontrada');
+    }
+
+    if (data.categoryId !== undefined) {
+      this._assertCategoryExists(data.categoryId);
+    }
+
+    if (data.accountId !== undefined) {
+      this._assertAccountExists(data.accountId);
+      this._assertUniqueExternalId(data.accountId, row.external_id, row.id);
+    }
+
+    if (data.payeeId) {
+      this._assertPayeeExists(data.payeeId);
+    }
+
+    if (data.splits !== undefined) {
+      data.splits.forEach(split => this._assertCategoryExists(split.categoryId));
+    }
+
+    return row;
+  }
+
+  /**
+   * Grava as alterações já validadas de uma transação
+   * @private
+   */
+  _applyUpdate(row, data) {
+    if (data.splits !== undefined) {
+      this._saveSplits(row.id, data.splits);
+    }
+
+    const allowedFields = ['type', 'categoryId', 'accountId', 'payeeId', 'status', 'amount', 'description', 'date'];
+
+    allowedFields.filter(field => data[field] !== undefined).forEach(field => {
+      switch (field) {
+      case 'categoryId':
+        row.category_id = Number(data.categoryId);
+        break;
+      case 'accountId':
+        row.account_id = Number(data.accountId);
+        break;
+      case 'payeeId':
+        row.payee_id = data.payeeId ? Number(data.payeeId) : null;
+        break;
+      case 'amount':
+        row.amount = InMemoryStore.toAmount(data.amount);
+        break;
+      case 'date':
+        row.date = InMemoryStore.toDate(data.date);
+        break;
+      default:
+        row[field] = data[field];
+      }
+    });
+
+    if (data.tags !== undefined) {
+      this._saveTags(row.user_id, row.id, Tag.parseList(data.tags));
+    }
+
+    row.updated_at = new Date();
+  }
+
+  /**
+   * Deleta uma transação
+   */
+  async delete(id) {
+    this.store.remove('transaction_tags', link => link.transaction_id === Number(id));
+    this.store.remove('transaction_splits', split => split.transaction_id === Number(id));
+    this.store.remove('attachments', attachment => attachment.transaction_id === Number(id));
+    return this.store.remove('transactions', row => row.id === Number(id)).length > 0;
+  }
+
+  /**
+   * Deleta várias transações de uma vez: ou todas saem, ou nenhuma
+   */
+  async bulkDelete(userId, ids) {
+    const rows = this._assertUnlocked(userId, ids);
+
+    this._removeRows(new Set(rows.map(row => row.id)));
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Remove as transações com as tags, a divisão e os anexos delas
+   * @private
+   * @returns {number} Quantidade de transações removidas
+   */
+  _removeRows(idSet) {
+    this.store.remove('transaction_tags', link => idSet.has(link.transaction_id));
+    this.store.remove('transaction_splits', split => idSet.has(split.transaction_id));
+    this.store.remove('attachments', attachment => idSet.has(attachment.transaction_id));
+    return this.store.remove('transactions', row => idSet.has(row.id)).length;
+  }
+
+  /**
+   * Mescla transações duplicadas: tudo é validado antes de qualquer alteração
+   */
+  async merge(keeperId, changes, duplicateIds) {
+    const idSet = new Set(duplicateIds.map(Number));
+    const keeper = Object.keys(changes).length > 0
+      ? this._assertUpdatable(keeperId, changes)
+      : this.store.table('transactions').find(row => row.id === Number(keeperId));
+    const deletable = this.store.table('transactions')
+      .filter(row => idSet.has(row.id) && !row.transfer_id && !row.installment_plan_id && !row.reconciliation_id);
+
+    if (!keeper) {
+      throw new Error('Transação não encontrada');
+    }
+
+    if (deletable.length !== idSet.size) {
+      throw new Error('Algumas transações duplicadas foram alteradas ou conciliadas; busque as duplicadas de novo');
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this._applyUpdate(keeper, changes);
+    }
+
+    const attachments = this.store.table('attachments');
+    const hashes = new Set(attachments.filter(row => row.transaction_id === keeper.id).map(row => row.content_hash));
+
+    attachments
+      .filter(row => idSet.has(row.transaction_id))
+      .sort((a, b) => a.id - b.id)
+      .forEach(attachment => {
+        if (hashes.has(attachment.content_hash)) {
+          return;
+        }
+
+        this.store.insert('attachments', {
+          user_id: keeper.user_id,
+          transaction_id: keeper.id,
+          file_name: attachment.file_name,
+          content_hash: attachment.content_hash,
+          mime_type: attachment.mime_type,
+          size: attachment.size,
+          created_at: new Date()
+        });
+        hashes.add(attachment.content_hash);
+      });
+
+    return this._removeRows(idSet);
+  }
+
+  /**
+   * Conta o total de transações
+   */
+  async count(userId, filters = {}) {
+    return this.store.table('transactions').filter(this._buildFilter(userId, filters)).length;
+  }
+
+  /**
+   * Calcula o resumo financeiro (sem as transferências entre contas)
+   * As transações previstas são somadas à parte dos totais realizados
+   */
+  async getSummary(userId, filters = {}) {
+    const { startDate, endDate, categoryId, uncategorized, accountId, status, tag, payeeId } = filters;
+    const rows = this._reportRows(userId, { startDate, endDate, categoryId, accountId }, true)
+      .filter(row => !uncategorized || this._isUncategorized(row))
+      .filter(row => !status || row.status === status)
+      .filter(row => !tag || this._hasTag(row, Tag.normalize(tag)))
+      .filter(row => !payeeId || row.payee_id === Number(payeeId));
+    const realized = rows.filter(row => row.status !== 'planned');
+    const planned = rows.filter(row => row.status === 'planned');
+
+    const totalIncome = this._sum(realized.filter(row => row.type === 'income'));
+    const totalExpense = this._sum(realized.filter(row => row.type === 'expense'));
+
+    return {
+      totalIncome,
+      totalExpense,
+      balance: totalIncome - totalExpense,
+      count: realized.length,
+      plannedIncome: this._sum(planned.filter(row => row.type === 'income')),
+      plannedExpense: this._sum(planned.filter(row => row.type === 'expense')),
+      plannedCount: planned.length
+    };
+  }
+
+  /**
+   * Totais agrupados por tipo
+   */
+  async getTotalsByType(userId, filters = {}) {
+    const rows = this._reportRows(userId, filters);
+
+    return this._groupBy(rows, row => row.type).map(([type, group]) => {
+      const amounts = group.map(row => row.amount).sort((a, b) => a - b);
+      const total = this._sum(group);
+
+      return {
+        type,
+        total,
+        count: group.length,
+        average: total / group.length,
+        min: amounts[0],
+        max: amounts[amounts.length - 1],
+        median: this._median(amounts)
+      };
+    });
+  }
+
+  /**
+   * Totais agrupados por categoria (as transações divididas entram em cada
+   * categoria com o valor da sua linha; as sem categoria, em "Sem categoria")
+   */
+  async getTotalsByCategory(userId, filters = {}) {
+    const categories = new Map(this.store.table('categories').map(c => [c.id, c]));
+    const rows = this.store.categoryLines()
+      .filter(this._buildReportFilter(userId, filters));
+
+    return this._groupBy(rows, row => (categories.has(row.category_id) ? `${row.category_id}` : `:${row.type}`))
+      .map(([, group]) => {
+        const category = categories.get(group[0].category_id);
+        const total = this._sum(group);
+
+        return {
+          categoryId: category ? category.id : null,
+          name: category ? category.name : UNCATEGORIZED_NAME,
+          icon: category ? category.icon : UNCATEGORIZED_ICON,
+          color: category ? category.color : 'gray',
+          type: group[0].type,
+          total,
+          count: group.length,
+          average: total / group.length
+        };
+      })
+      .sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Totais agrupados por tag
+   * Uma transação com várias tags entra no total de cada uma delas
+   */
+  async getTotalsByTag(userId, filters = {}) {
+    const rows = this.store.table('transactions').filter(this._buildReportFilter(userId, filters));
+    const tags = new Map(this.store.table('tags').map(tag => [tag.id, tag]));
+    const tagged = this.store.table('transaction_tags')
+      .filter(link => tags.has(link.tag_id))
+      .flatMap(link => rows
+        .filter(row => row.id === link.transaction_id)
+        .map(row => ({ ...row, tag_id: link.tag_id })));
+
+    return this._groupBy(tagged, row => row.tag_id)
+      .map(([tagId, group]) => {
+        const total = this._sum(group);
+
+        return {
+          tagId,
+          name: tags.get(tagId).name,
+          total,
+          count: group.length,
+          average: total / group.length
+        };
+      })
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Totais agrupados por favorecido
+   */
+  async getTotalsByPayee(userId, filters = {}) {
+    const payees = new Map(this.store.table('payees').map(payee => [payee.id, payee]));
+    const rows = this.store.table('transactions')
+      .filter(row => payees.has(row.payee_id))
+      .filter(this._buildReportFilter(userId, filters));
+
+    return this._groupBy(rows, row => row.payee_id)
+      .map(([payeeId, group]) => {
+        const total = this._sum(group);
+        const dates = group.map(row => row.date.getTime());
+
+        return {
+          payeeId,
+          name: payees.get(payeeId).name,
+          total,
+          count: group.length,
+          average: total / group.length,
+          firstDate: new Date(Math.min(...dates)),
+          lastDate: new Date(Math.max(...dates))
+        };
+      })
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Totais mensais agrupados por tipo
+   */
+  async getMonthlyTotals(userId, filters = {}) {
+    const rows = this._reportRows(userId, filters);
+
+    return this._groupBy(rows, row => `${this._monthKey(row.date)}|${row.type}`)
+      .map(([key, group]) => {
+        const [monthYear, type] = key.split('|');
+        const total = this._sum(group);
+
+        return {
+          monthYear,
+          month: group[0].date.getMonth() + 1,
+          year: group[0].date.getFullYear(),
+          type,
+          total,
+          count: group.length,
+          average: total / group.length
+        };
+      })
+      .sort((a, b) => a.monthYear.localeCompare(b.monthYear));
+  }
+
+  /**
+   * Totais diários
+   */
+  async getDailyTotals(userId, filters = {}) {
+    const rows = this._reportRows(userId, filters);
+
+    return this._groupBy(rows, row => row.date.getTime())
+      .map(([time, group]) => {
+        const income = group.filter(row => row.type === 'income');
+        const expense = group.filter(row => row.type === 'expense');
+
+        return {
+          day: new Date(time),
+          income: this._sum(income),
+          expense: this._sum(expense),
+          incomeCount: income.length,
+          expenseCount: expense.length,
+          count: group.length
+        };
+      })
+      .sort((a, b) => a.day - b.day);
+  }
+
+  /**
+   * Verifica se uma transação existe e pertence ao usuário
+   */
+  async existsAndBelongsToUser(id, userId) {
+    return this.store.table('transactions').some(row => row.id === Number(id) && row.user_id === userId);
+  }
+
+  /**
+   * Monta o predicado dos filtros de findByFilters/count
+   * @private
+   */
+  _buildFilter(userId, filters) {
+    const {
+      type,
+      categoryId,
+      uncategorized = false,
+      accountId,
+      installmentPlanId,
+      status,
+      reconciled,
+      minAmount,
+      maxAmount,
+      search,
+      tag,
+      payeeId,
+      afterId,
+      includeTransfers = true,
+      includePlanned = true
+    } = filters;
+    const tagName = tag ? Tag.normalize(tag) : null;
+    const start = filters.startDate ? new Date(filters.startDate) : null;
+    const end = filters.endDate ? new Date(filters.endDate) : null;
+    const term = search && search.trim().length > 0 ? search.trim().toLowerCase() : null;
+
+    // Receitas/despesas não incluem as transferências; 'transfer' traz apenas elas
+    const matchesType = row => {
+      if (type === 'income' || type === 'expense') return row.type === type && !row.transfer_id;
+      if (type === 'transfer') return Boolean(row.transfer_id);
+      return true;
+    };
+
+    return row =>
+      row.user_id === userId &&
+      (!start || row.date >= start) &&
+      (!end || row.date <= end) &&
+      matchesType(row) &&
+      (includeTransfers || !row.transfer_id) &&
+      (!categoryId || this._hasCategory(row, Number(categoryId))) &&
+      (!uncategorized || this._isUncategorized(row)) &&
+      (!accountId || row.account_id === Number(accountId)) &&
+      (!installmentPlanId || row.installment_plan_id === Number(installmentPlanId)) &&
+      (!status || row.status === status) &&
+      (includePlanned || row.status !== 'planned') &&
+      (typeof reconciled !== 'boolean' || reconciled === Boolean(row.reconciliation_id)) &&
+      (minAmount === undefined || minAmount === null || row.amount >= minAmount) &&
+      (maxAmount === undefined || maxAmount === null || row.amount <= maxAmount) &&
+      (!term || (row.description || '').toLowerCase().includes(term)) &&
+      (!tagName || this._hasTag(row, tagName)) &&
+      (!payeeId || row.payee_id === Number(payeeId)) &&
+      (!afterId || row.id > Number(afterId));
+  }
+
+  /**
+   * Monta o predicado das consultas de relatório
+   * Transferências entre contas e transações previstas nunca entram nos totais
+   * de receitas/despesas
+   * @param {string} userId
+   * @param {Object} filters - { startDate?, endDate?, type?, categoryId?, accountId? }
+   * @param {boolean} includePlanned - Mantém as previstas (o resumo as soma à parte)
+   * @private
+   */
+  _buildReportFilter(userId, filters, includePlanned = false) {
+    const { startDate, endDate, type, categoryId, accountId } = filters;
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    return row =>
+      row.user_id === userId &&
+      !row.transfer_id &&
+      (includePlanned || row.status !== 'planned') &&
+      (!start || row.date >= start) &&
+      (!end || row.date <= end) &&
+      (!type || row.type === type) &&
+      (!categoryId || row.category_id === Number(categoryId)) &&
+      (!accountId || row.account_id === Number(accountId));
+  }
+
+  /**
+   * Agrupa rows por chave, mantendo a ordem de inserção
+   * @private
+   */
+  _groupBy(rows, keyFn) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const key = keyFn(row);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    });
+
+    return Array.from(groups.entries());
+  }
+
+  /**
+   * Soma dos valores das rows
+   * @private
+   */
+  _sum(rows) {
+    return InMemoryStore.toAmount(rows.reduce((sum, row) => sum + row.amount, 0));
+  }
+
+  /**
+   * Mediana de valores já ordenados (PERCENTILE_CONT(0.5))
+   * @private
+   */
+  _median(sorted) {
+    const middle = (sorted.length - 1) / 2;
+    return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+  }
+
+  /**
+   * Chave 'YYYY-MM' de uma data
+   * @private
+   */
+  _monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+}
@@ -0,0 +1,253 @@
+import { ITransferRepository } from '../../domain/repositories/ITransferRepository.js';
+import { Transfer } from '../../domain/entities/Transfer.js';
+import { Transaction } from '../../domain/entities/Transaction.js';
+import { InMemoryStore } from './InMemoryStore.js';
+
+/**
+ * Implementação do repositório de transferências em memória (modo demonstração)
+ */
+export class InMemoryTransferRepository extends ITransferRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade Transfer
+   * @private
+   */
+  _rowToTransfer(row) {
+    return new Transfer({
+      id: row.id,
+      userId: row.user_id,
+      fromAccountId: row.from_account_id,
+      toAccountId: row.to_account_id,
+      amount: row.amount,
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Dados das contas (quando há JOIN)
+      fromAccountName: row.from_account_name,
+      fromAccountIcon: row.from_account_icon,
+      toAccountName: row.to_account_name,
+      toAccountIcon: row.to_account_icon
+    });
+  }
+
+  /**
+   * Transferências com os dados das contas de origem e destino
+   * @param {Function} predicate - (row) => boolean
+   * @private
+   */
+  _joined(predicate = () => true) {
+    const accounts = new Map(this.store.table('accounts').map(a => [a.id, a]));
+
+    return this.store.table('transfers')
+      .filter(row => accounts.has(row.from_account_id) && accounts.has(row.to_account_id) && predicate(row))
+      .map(row => {
+        const from = accounts.get(row.from_account_id);
+        const to = accounts.get(row.to_account_id);
+        return {
+          ...row,
+          from_account_name: from.name,
+          from_account_icon: from.icon,
+          to_account_name: to.name,
+          to_account_icon: to.icon
+        };
+      });
+  }
+
+  /**
+   * Garante que as contas existem (FOREIGN KEY de from_account_id/to_account_id)
+   * @private
+   */
+  _assertAccountsExist(...accountIds) {
+    const accounts = this.store.table('accounts');
+
+    if (!accountIds.every(id => accounts.some(row => row.id === Number(id)))) {
+      throw new Error('Conta não encontrada');
+    }
+  }
+
+  /**
+   * Grava as duas movimentações da transferência
+   * Saída (expense) na conta de origem, entrada (income) na de destino
+   * @private
+   */
+  _insertMovements(row) {
+    [['expense', row.from_account_id], ['income', row.to_account_id]].forEach(([type, accountId]) => {
+      this.store.insert('transactions', {
+        user_id: row.user_id,
+        type,
+        category_id: null,
+        account_id: accountId,
+        transfer_id: row.id,
+        installment_plan_id: null,
+        installment_number: null,
+        recurring_rule_id: null,
+        reconciliation_id: null,
+        status: 'cleared',
+        amount: row.amount,
+        description: row.description,
+        date: row.date,
+        created_at: row.updated_at,
+        updated_at: row.updated_at
+      });
+    });
+  }
+
+  /**
+   * Cria uma transferência e as duas movimentações ligadas a ela
+   */
+  async create(transfer) {
+    this._assertAccountsExist(transfer.fromAccountId, transfer.toAccountId);
+
+    const now = new Date();
+    const row = this.store.insert('transfers', {
+      user_id: transfer.userId,
+      from_account_id: Number(transfer.fromAccountId),
+      to_account_id: Number(transfer.toAccountId),
+      amount: InMemoryStore.toAmount(transfer.amount),
+      description: transfer.description || null,
+      date: InMemoryStore.toDate(transfer.date),
+      created_at: now,
+      updated_at: now
+    });
+
+    this._insertMovements(row);
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Busca uma transferência por ID (com os dados das contas)
+   */
+  async findById(id) {
+    const [row] = this._joined(r => r.id === Number(id));
+    return row ? this._rowToTransfer(row) : null;
+  }
+
+  /**
+   * Busca as duas movimentações de uma transferência (saída e entrada)
+   */
+  async findMovements(id) {
+    return this._movements(id).map(row => new Transaction({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      accountId: row.account_id,
+      transferId: row.transfer_id,
+      reconciliationId: row.reconciliation_id,
+      status: row.status,
+      amount: row.amount,
+      description: row.description,
+      date: row.date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Movimentações de uma transferência
+   * @private
+   */
+  _movements(id) {
+    return this.store.table('transactions')
+      .filter(row => row.transfer_id === Number(id))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Lista as transferências de um usuário
+   */
+  async findByUserId(userId, filters = {}) {
+    const { accountId, startDate, endDate } = filters;
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    return this._joined(row =>
+      row.user_id === userId &&
+      (!accountId || row.from_account_id === Number(accountId) || row.to_account_id === Number(accountId)) &&
+      (!start || row.date >= start) &&
+      (!end || row.date <= end)
+    )
+      .sort((a, b) => b.date - a.date || b.id - a.id)
+      .map(row => this._rowToTransfer(row));
+  }
+
+  /**
+   * Atualiza uma transferência e as suas duas movimentações
+   */
+  async update(id, data) {
+    const row = this.store.table('transfers').find(r => r.id === Number(id));
+
+    const allowedFields = ['fromAccountId', 'toAccountId', 'amount', 'description', 'date'];
+    const fields = allowedFields.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('Nenhum campo válido para atualizar');
+    }
+
+    if (!row) {
+      throw new Error('Transferência não encontrada');
+    }
+
+    if (this._movements(row.id).some(movement => movement.reconciliation_id)) {
+      throw new Error('Conciliada (desbloqueie antes de alterar)');
+    }
+
+    this._assertAccountsExist(
+      data.fromAccountId !== undefined ? data.fromAccountId : row.from_account_id,
+      data.toAccountId !== undefined ? data.toAccountId : row.to_account_id
+    );
+
+    fields.forEach(field => {
+      switch (field) {
+      case 'fromAccountId':
+        row.from_account_id = Number(data.fromAccountId);
+        break;
+      case 'toAccountId':
+        row.to_account_id = Number(data.toAccountId);
+        break;
+      case 'amount':
+        row.amount = InMemoryStore.toAmount(data.amount);
+        break;
+      case 'date':
+        row.date = InMemoryStore.toDate(data.date);
+        break;
+      default:
+        row[field] = data[field];
+      }
+    });
+
+    row.updated_at = new Date();
+
+    // Sincroniza as movimentações com os dados da transferência
+    this._movements(row.id)
+      .forEach(movement => {
+        movement.account_id = movement.type === 'expense' ? row.from_account_id : row.to_account_id;
+        movement.amount = row.amount;
+        movement.description = row.description;
+        movement.date = row.date;
+        movement.updated_at = row.updated_at;
+      });
+
+    return this.findById(row.id);
+  }
+
+  /**
+   * Deleta uma transferência e as suas duas movimentações
+   */
+  async delete(id) {
+    if (this._movements(id).some(movement => movement.reconciliation_id)) {
+      throw new Error('Conciliada (desbloqueie antes de deletar)');
+    }
+
+    this.store.remove('transactions', row => row.transfer_id === Number(id));
+    return this.store.remove('transfers', row => row.id === Number(id)).length > 0;
+  }
+}
@@ -0,0 +1,178 @@
+import { IUserRepository } from '../../domain/repositories/IUserRepository.js';
+import { User } from '../../domain/entities/User.js';
+
+/**
+ * Implementação do repositório de usuários em memória (modo demonstração)
+ */
+export class InMemoryUserRepository extends IUserRepository {
+  /**
+   * @param {InMemoryStore} store - Armazenamento em memória
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Converte row do armazenamento para entidade User
+   * @private
+   */
+  _rowToUser(row) {
+    return new User({
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      username: row.username,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Busca a row de um usuário pelo predicado
+   * @private
+   */
+  _findOne(predicate) {
+    const row = this.store.table('users').find(predicate);
+    return row ? this._rowToUser(row) : null;
+  }
+
+  /**
+   * Busca um usuário por ID
+   */
+  async findById(id) {
+    return this._findOne(row => row.id === id);
+  }
+
+  /**
+   * Busca um usuário por email
+   */
+  async findByEmail(email) {
+    return this._findOne(row => row.email === email);
+  }
+
+  /**
+   * Busca um usuário por username
+   */
+  async findByUsername(username) {
+    return this._findOne(row => row.username === username);
+  }
+
+  /**
+   * Busca um usuário por username OU email
+   */
+  async findByUsernameOrEmail(usernameOrEmail) {
+    return this._findOne(row => row.username === usernameOrEmail || row.email === usernameOrEmail);
+  }
+
+  /**
+   * Atualiza o username de um usuário
+   */
+  async updateUsername(userId, username) {
+    const row = this.store.table('users').find(r => r.id === userId);
+
+    if (!row) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    this._assertUnique(userId, row.email, username);
+
+    row.username = username;
+    row.updated_at = new Date();
+
+    return this._rowToUser(row);
+  }
+
+  /**
+   * Cria um novo usuário
+   */
+  async create(user) {
+    this._assertUnique(user.id, user.email, user.username);
+
+    const row = this.store.insert('users', {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      username: user.username || null,
+      created_at: user.createdAt,
+      updated_at: user.updatedAt
+    });
+
+    return this._rowToUser(row);
+  }
+
+  /**
+   * Atualiza um usuário existente
+   */
+  async update(user) {
+    const row = this.store.table('users').find(r => r.id === user.id);
+
+    if (!row) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    this._assertUnique(user.id, user.email, user.username);
+
+    user.updatedAt = new Date();
+
+    row.email = user.email;
+    row.name = user.name;
+    row.username = user.username || null;
+    row.updated_at = user.updatedAt;
+
+    return this._rowToUser(row);
+  }
+
+  /**
+   * Deleta um usuário (e todos os seus dados, como o ON DELETE CASCADE)
+   */
+  async delete(id) {
+    const removed = this.store.remove('users', row => row.id === id);
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    const goalIds = this.store.table('goals')
+      .filter(row => row.user_id === id)
+      .map(row => row.id);
+
+    const tagIds = this.store.table('tags')
+      .filter(row => row.user_id === id)
+      .map(row => row.id);
+
+    const payeeIds = this.store.table('payees')
+      .filter(row => row.user_id === id)
+      .map(row => row.id);
+
+    const transactionIds = this.store.table('transactions')
+      .filter(row => row.user_id === id)
+      .map(row => row.id);
+
+    this.store.remove('goal_contributions', row => goalIds.includes(row.goal_id));
+    this.store.remove('transaction_tags', row => tagIds.includes(row.tag_id));
+    this.store.remove('transaction_splits', row => transactionIds.includes(row.transaction_id));
+    this.store.remove('payee_aliases', row => payeeIds.includes(row.payee_id));
+    ['user_auth', 'categories', 'accounts', 'reconciliations', 'transfers', 'transactions', 'tags', 'payees', 'category_rules', 'category_models', 'import_profiles', 'attachments', 'budgets', 'goals'].forEach(table => {
+      this.store.remove(table, row => row.user_id === id);
+    });
+
+    return true;
+  }
+
+  /**
+   * Garante email e username únicos (constraints UNIQUE da tabela users)
+   * @private
+   */
+  _assertUnique(id, email, username) {
+    const conflict = this.store.table('users').find(row =>
+      row.id !== id && (row.email === email || (username && row.username === username))
+    );
+
+    if (conflict) {
+      const error = new Error('duplicate key value violates unique constraint');
+      error.code = '23505';
+      throw error;
+    }
+  }
+}
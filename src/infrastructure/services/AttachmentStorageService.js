@@ -0,0 +1,205 @@
+/**
+ * Attachment Storage Service
+ *
+ * Guarda o conteúdo dos anexos no diretório de anexos, com o hash SHA-256
+ * como nome (data/attachments/ab/abcdef...): o mesmo arquivo anexado várias
+ * vezes é gravado uma única vez. Também assina os links de download servidos
+ * pelo servidor web, para que cada anexo só seja aberto pelo seu dono e só
+ * até o link expirar.
+ * Parte da Infrastructure Layer
+ *
+ * @class AttachmentStorageService
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Validade padrão dos links de download, em dias
+ */
+const DEFAULT_LINK_DAYS = 7;
+
+export class AttachmentStorageService {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseDir - Diretório dos anexos (padrão: ATTACHMENTS_PATH ou ./data/attachments)
+   * @param {string} options.secret - Chave dos links de download (padrão: ATTACHMENTS_SECRET)
+   * @param {string} options.publicUrl - Endereço do servidor web (padrão: APP_URL ou localhost)
+   * @param {number} options.linkDays - Validade dos links de download, em dias
+   *   (padrão: ATTACHMENTS_LINK_DAYS ou 7)
+   */
+  constructor({ baseDir, secret, publicUrl, linkDays } = {}) {
+    this.baseDir = path.resolve(baseDir || process.env.ATTACHMENTS_PATH || path.join('data', 'attachments'));
+    this.secret = secret || process.env.ATTACHMENTS_SECRET || null;
+    this.publicUrl = (publicUrl || process.env.APP_URL || `http://localhost:${process.env.WEB_PORT || 3000}`)
+      .replace(/\/+$/, '');
+    this.linkDays = Number(linkDays || process.env.ATTACHMENTS_LINK_DAYS) || DEFAULT_LINK_DAYS;
+  }
+
+  /**
+   * Nome e tamanho de um arquivo, sem ler o conteúdo
+   *
+   * @param {string} sourcePath - Caminho do arquivo
+   * @returns {Promise<{fileName: string, size: number}>}
+   */
+  async inspect(sourcePath) {
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(sourcePath);
+    } catch {
+      throw new Error(`Arquivo não encontrado: ${sourcePath}`);
+    }
+
+    if (!stats.isFile()) {
+      throw new Error(`O caminho não é um arquivo: ${sourcePath}`);
+    }
+
+    return { fileName: path.basename(sourcePath), size: stats.size };
+  }
+
+  /**
+   * Grava o conteúdo de um arquivo (se ainda não estiver gravado)
+   *
+   * @param {string} sourcePath - Caminho do arquivo
+   * @returns {Promise<{contentHash: string, size: number}>}
+   */
+  async store(sourcePath) {
+    return this.storeContent(await fs.promises.readFile(sourcePath));
+  }
+
+  /**
+   * Grava um conteúdo já lido (se ainda não estiver gravado)
+   *
+   * @param {Buffer} content - Conteúdo do anexo
+   * @returns {Promise<{contentHash: string, size: number}>}
+   */
+  async storeContent(content) {
+    const contentHash = this.hashContent(content);
+    const target = this.getPath(contentHash);
+
+    if (!fs.existsSync(target)) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      // Grava em um arquivo temporário e renomeia: nunca fica um anexo pela metade
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, content);
+      await fs.promises.rename(temp, target);
+    }
+
+    return { contentHash, size: content.length };
+  }
+
+  /**
+   * Lê o conteúdo de um anexo
+   *
+   * @param {string} contentHash - Hash SHA-256 do conteúdo
+   * @returns {Promise<Buffer>}
+   */
+  async read(contentHash) {
+    return fs.promises.readFile(this.getPath(contentHash));
+  }
+
+  /**
+   * Hash SHA-256 de um conteúdo (o nome do arquivo gravado)
+   *
+   * @param {Buffer} content
+   * @returns {string}
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Caminho do conteúdo de um anexo
+   *
+   * @param {string} contentHash - Hash SHA-256 do conteúdo
+   * @returns {string}
+   */
+  getPath(contentHash) {
+    if (!/^[0-9a-f]{64}$/.test(contentHash || '')) {
+      throw new Error('Hash do conteúdo inválido');
+    }
+
+    return path.join(this.baseDir, contentHash.slice(0, 2), contentHash);
+  }
+
+  /**
+   * Verifica se o conteúdo está gravado
+   *
+   * @param {string} contentHash - Hash SHA-256 do conteúdo
+   * @returns {boolean}
+   */
+  exists(contentHash) {
+    return fs.existsSync(this.getPath(contentHash));
+  }
+
+  /**
+   * Remove o conteúdo de um anexo (quando nenhum anexo o usa mais)
+   *
+   * @param {string} contentHash - Hash SHA-256 do conteúdo
+   * @returns {Promise<boolean>} True se o arquivo existia
+   */
+  async remove(contentHash) {
+    try {
+      await fs.promises.unlink(this.getPath(contentHash));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Link de download de um anexo, assinado para o seu dono e com validade
+   *
+   * @param {Attachment} attachment
+   * @param {Date} now - Data de referência (o link vale por linkDays a partir dela)
+   * @returns {string|null} null se não houver chave configurada
+   */
+  createLink(attachment, now = new Date()) {
+    if (!this.secret) {
+      return null;
+    }
+
+    const expires = Math.floor(now.getTime() / 1000) + this.linkDays * 24 * 60 * 60;
+    const token = this._sign(attachment.id, attachment.userId, expires);
+    return `${this.publicUrl}/attachments/${attachment.id}` +
+      `?user=${encodeURIComponent(attachment.userId)}&expires=${expires}&token=${token}`;
+  }
+
+  /**
+   * Confere a assinatura e a validade de um link de download
+   *
+   * @param {number|string} attachmentId
+   * @param {string} userId
+   * @param {string} expires - Fim da validade (segundos desde 1970, como no link)
+   * @param {string} token
+   * @param {Date} now - Data de referência
+   * @returns {boolean}
+   */
+  verifyLink(attachmentId, userId, expires, token, now = new Date()) {
+    if (!this.secret || !userId || typeof token !== 'string' || !/^\d+$/.test(expires || '')) {
+      return false;
+    }
+
+    if (Number(expires) * 1000 <= now.getTime()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this._sign(attachmentId, userId, expires));
+    const received = Buffer.from(token);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Assinatura (HMAC) de anexo + usuário + validade
+   * @private
+   */
+  _sign(attachmentId, userId, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${attachmentId}:${userId}:${expires}`).digest('hex');
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Backup File Service
+ *
+ * Grava e lê os arquivos de backup (JSON). O backup traz a senha
+ * (criptografada) e o conteúdo dos anexos: o arquivo é gravado só com
+ * permissão de leitura para o dono, e na leitura não há limite de tamanho.
+ * Parte da Infrastructure Layer
+ *
+ * @class BackupFileService
+ */
+import fs from 'fs';
+import path from 'path';
+
+export class BackupFileService {
+  /**
+   * @param {Object} options - { backupsDir? } (padrão: BACKUPS_PATH ou ./backups)
+   */
+  constructor({ backupsDir = null } = {}) {
+    this.backupsDir = path.resolve(backupsDir || process.env.BACKUPS_PATH || 'backups');
+  }
+
+  /**
+   * Grava o backup na pasta de backups
+   *
+   * @param {string} filename - Nome do arquivo (sem pastas)
+   * @param {string} content - Texto do arquivo
+   * @returns {Promise<{filename: string, filepath: string, size: number}>}
+   */
+  async write(filename, content) {
+    const safeName = path.basename(filename);
+    const filepath = path.join(this.backupsDir, safeName);
+
+    await fs.promises.mkdir(this.backupsDir, { recursive: true });
+    await fs.promises.writeFile(filepath, content, { encoding: 'utf8', mode: 0o600 });
+
+    const stats = await fs.promises.stat(filepath);
+
+    return { filename: safeName, filepath, size: stats.size };
+  }
+
+  /**
+   * Lê um arquivo de backup como texto
+   *
+   * @param {string} sourcePath - Caminho do arquivo
+   * @returns {Promise<{fileName: string, text: string}>}
+   */
+  async read(sourcePath) {
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(sourcePath);
+    } catch {
+      throw new Error(`Arquivo não encontrado: ${sourcePath}`);
+    }
+
+    if (!stats.isFile()) {
+      throw new Error(`O caminho não é um arquivo: ${sourcePath}`);
+    }
+
+    return {
+      fileName: path.basename(sourcePath),
+      text: (await fs.promises.readFile(sourcePath, 'utf8')).replace(/^\uFEFF/, '')
+    };
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Export File Service
+ *
+ * Grava os arquivos de texto exportados (QIF, CSV e JSON) na
+ * mesma pasta exports/ dos PDFs, servida para download pelo servidor web.
+ * Parte da Infrastructure Layer
+ *
+ * @class ExportFileService
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Extensões dos arquivos gravados por este serviço
+ */
+const EXPORT_EXTENSIONS = ['.qif', '.csv', '.json'];
+
+export class ExportFileService {
+  /**
+   * @param {Object} options - { exportsDir? } (padrão: exports/ no diretório atual)
+   */
+  constructor({ exportsDir = null } = {}) {
+    this.exportsDir = exportsDir || path.join(process.cwd(), 'exports');
+  }
+
+  /**
+   * Grava o conteúdo no arquivo
+   *
+   * @param {string} filename - Nome do arquivo (sem pastas)
+   * @param {string} content - Texto do arquivo
+   * @returns {Promise<{filename: string, filepath: string, size: number}>}
+   */
+  async write(filename, content) {
+    const safeName = path.basename(filename);
+    const filepath = path.join(this.exportsDir, safeName);
+
+    await fs.promises.mkdir(this.exportsDir, { recursive: true });
+    await fs.promises.writeFile(filepath, content, 'utf8');
+
+    const stats = await fs.promises.stat(filepath);
+
+    return { filename: safeName, filepath, size: stats.size };
+  }
+
+  /**
+   * Lista os arquivos de texto exportados, do mais recente para o mais antigo
+   *
+   * @returns {Array<{filename: string, filepath: string, size: number, created: Date, modified: Date}>}
+   */
+  listExports() {
+    try {
+      if (!fs.existsSync(this.exportsDir)) {
+        return [];
+      }
+
+      return fs.readdirSync(this.exportsDir)
+        .filter(file => EXPORT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(file => {
+          const filepath = path.join(this.exportsDir, file);
+          const stats = fs.statSync(filepath);
+
+          return {
+            filename: file,
+            filepath,
+            size: stats.size,
+            created: stats.birthtime,
+            modified: stats.mtime
+          };
+        })
+        .sort((a, b) => b.created - a.created);
+    } catch (error) {
+      console.error('Erro ao listar exports:', error);
+      return [];
+    }
+  }
+}
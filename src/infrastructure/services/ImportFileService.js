@@ -0,0 +1,67 @@
+/**
+ * Import File Service
+ *
+ * Lê os arquivos importados (extratos e planilhas) como texto. Os bancos
+ * brasileiros costumam exportar em Latin-1: na detecção automática, um
+ * arquivo que não é UTF-8 válido é lido como Latin-1.
+ * Parte da Infrastructure Layer
+ *
+ * @class ImportFileService
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Tamanho máximo de um arquivo importado
+ */
+export const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+export class ImportFileService {
+  /**
+   * Lê um arquivo como texto
+   *
+   * @param {string} sourcePath - Caminho do arquivo
+   * @param {string} encoding - 'auto', 'utf-8' ou 'latin1'
+   * @returns {Promise<{fileName: string, text: string, encoding: string}>}
+   *   encoding é a codificação usada na leitura
+   */
+  async read(sourcePath, encoding = 'auto') {
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(sourcePath);
+    } catch {
+      throw new Error(`Arquivo não encontrado: ${sourcePath}`);
+    }
+
+    if (!stats.isFile()) {
+      throw new Error(`O caminho não é um arquivo: ${sourcePath}`);
+    }
+
+    if (stats.size > MAX_IMPORT_FILE_SIZE) {
+      throw new Error(`O arquivo passa do limite de ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`);
+    }
+
+    const content = await fs.promises.readFile(sourcePath);
+    const used = encoding === 'auto' ? this._detectEncoding(content) : encoding;
+
+    return {
+      fileName: path.basename(sourcePath),
+      text: used === 'latin1' ? content.toString('latin1') : content.toString('utf8').replace(/^\uFEFF/, ''),
+      encoding: used
+    };
+  }
+
+  /**
+   * UTF-8 quando o conteúdo é UTF-8 válido, Latin-1 quando não é
+   * @private
+   */
+  _detectEncoding(content) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(content);
+      return 'utf-8';
+    } catch {
+      return 'latin1';
+    }
+  }
+}
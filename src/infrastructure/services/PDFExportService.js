@@ -59,6 +59,7 @@ export class PDFExportService {
    * @param {Object} data - Dados das transações
    * @param {Array} data.transactions - Lista de transações
    * @param {Object} data.summary - Resumo financeiro
+   * @param {Array} data.attachments - Anexos das transações (opcional)
    * @param {Object} options - Opções adicionais
    * @returns {Promise<Object>} Informações do arquivo gerado
    */
@@ -114,6 +115,11 @@ export class PDFExportService {
             });
         }
 
+        // Anexos (miniaturas e links)
+        if (data.attachments && data.attachments.length > 0) {
+          this.addAttachmentsSection(doc, data.attachments);
+        }
+
         // Footer em todas as páginas
         this.addFooter(doc);
 
@@ -413,7 +419,7 @@ export class PDFExportService {
 
       // Categoria
       doc.text(
-        transaction.category_name || 'Sem categoria',
+        transaction.categoryName || transaction.category_name || 'Sem categoria',
         headers[1].x,
         currentY,
         { width: headers[1].width }
@@ -457,6 +463,75 @@ export class PDFExportService {
     });
   }
 
+  /**
+   * Adiciona os anexos das transações: miniatura das imagens (JPEG e PNG) e
+   * link de download de cada arquivo
+   *
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {Array} attachments - Anexos com a transação, o arquivo local e o link
+   */
+  addAttachmentsSection(doc, attachments) {
+    const thumbnailSize = 120;
+    const pageHeight = doc.page.height - doc.page.margins.bottom - 50;
+    let lastTransaction = null;
+
+    doc.addPage();
+    doc.fontSize(this.fonts.heading)
+      .fillColor(this.colors.primary)
+      .text('Anexos', 50, 50, { underline: true });
+
+    doc.moveDown(0.5);
+
+    attachments.forEach(attachment => {
+      const thumbnail = attachment.filePath && ['image/jpeg', 'image/png'].includes(attachment.mimeType);
+
+      // Espaço para o título da transação, a miniatura e o link
+      if (doc.y + (thumbnail ? thumbnailSize : 0) + 40 > pageHeight) {
+        doc.addPage();
+        doc.y = 50;
+      }
+
+      // Transação (uma vez para todos os seus anexos)
+      if (attachment.transaction !== lastTransaction) {
+        const transaction = attachment.transaction;
+        const valuePrefix = transaction.type === 'income' ? '+' : '-';
+
+        doc.moveDown(0.5);
+        doc.fontSize(this.fonts.body)
+          .fillColor(this.colors.dark)
+          .text(
+            `${this.formatDate(new Date(transaction.date))} - ` +
+            `${transaction.categoryName || 'Sem categoria'} - ` +
+            `${transaction.description || '-'} - ${valuePrefix} R$ ${this.formatMoney(transaction.amount)}`,
+            50
+          );
+        lastTransaction = transaction;
+      }
+
+      if (thumbnail) {
+        try {
+          const top = doc.y + 5;
+          doc.image(attachment.filePath, 60, top, { fit: [thumbnailSize, thumbnailSize] });
+          doc.y = top + thumbnailSize + 5;
+        } catch {
+          // Imagem corrompida: fica só o link
+        }
+      }
+
+      const label = `${attachment.fileName} (${attachment.mimeType === 'application/pdf' ? 'PDF' : 'imagem'})`;
+
+      doc.fontSize(this.fonts.small);
+
+      if (attachment.url) {
+        doc.fillColor(this.colors.info)
+          .text(label, 60, doc.y, { link: attachment.url, underline: true });
+      } else {
+        doc.fillColor(this.colors.secondary)
+          .text(`${label} - disponível no aplicativo`, 60, doc.y);
+      }
+    });
+  }
+
   /**
    * Adiciona conteúdo do relatório mensal
    *
@@ -701,7 +776,7 @@ export class PDFExportService {
 
         doc.fontSize(this.fonts.small)
           .fillColor(this.colors.secondary)
-          .text(`${trans.category_name || 'Sem categoria'} - ${this.formatDate(new Date(trans.date))}`);
+          .text(`${trans.category.name} - ${this.formatDate(new Date(trans.date))}`);
 
         doc.fontSize(this.fonts.subtitle)
           .fillColor(this.colors.danger)
@@ -726,7 +801,7 @@ export class PDFExportService {
 
         doc.fontSize(this.fonts.small)
           .fillColor(this.colors.secondary)
-          .text(`${trans.category_name || 'Sem categoria'} - ${this.formatDate(new Date(trans.date))}`);
+          .text(`${trans.category.name} - ${this.formatDate(new Date(trans.date))}`);
 
         doc.fontSize(this.fonts.subtitle)
           .fillColor(this.colors.success)
@@ -0,0 +1,44 @@
+import { CreateTransactionUseCase } from '../../src/application/use-cases/CreateTransactionUseCase.js';
+import { InMemoryStore } from '../../src/infrastructure/memory/InMemoryStore.js';
+import { InMemoryAccountRepository } from '../../src/infrastructure/memory/InMemoryAccountRepository.js';
+import { InMemoryCategoryRepository } from '../../src/infrastructure/memory/InMemoryCategoryRepository.js';
+import { InMemoryCategoryRuleRepository } from '../../src/infrastructure/memory/InMemoryCategoryRuleRepository.js';
+import { InMemoryPayeeRepository } from '../../src/infrastructure/memory/InMemoryPayeeRepository.js';
+import { InMemoryTransactionRepository } from '../../src/infrastructure/memory/InMemoryTransactionRepository.js';
+import { InMemoryTransferRepository } from '../../src/infrastructure/memory/InMemoryTransferRepository.js';
+
+/**
+ * Repositórios em memória que as transações usam, num armazenamento novo
+ * @returns {{store: InMemoryStore, accountRepository: InMemoryAccountRepository,
+ *   categoryRepository: InMemoryCategoryRepository, transactionRepository: InMemoryTransactionRepository,
+ *   transferRepository: InMemoryTransferRepository, payeeRepository: InMemoryPayeeRepository,
+ *   categoryRuleRepository: InMemoryCategoryRuleRepository}}
+ */
+export function createMemoryRepositories() {
+  const store = new InMemoryStore();
+
+  return {
+    store,
+    accountRepository: new InMemoryAccountRepository(store),
+    categoryRepository: new InMemoryCategoryRepository(store),
+    transactionRepository: new InMemoryTransactionRepository(store),
+    transferRepository: new InMemoryTransferRepository(store),
+    payeeRepository: new InMemoryPayeeRepository(store),
+    categoryRuleRepository: new InMemoryCategoryRuleRepository(store)
+  };
+}
+
+/**
+ * Criação de transação ligada aos repositórios em memória
+ * @param {Object} repositories - O retorno de createMemoryRepositories()
+ * @returns {CreateTransactionUseCase}
+ */
+export function createTransactionUseCase(repositories) {
+  return new CreateTransactionUseCase(
+    repositories.transactionRepository,
+    repositories.categoryRepository,
+    repositories.accountRepository,
+    repositories.payeeRepository,
+    repositories.categoryRuleRepository
+  );
+}
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SqliteDatabase } from '../../src/infrastructure/database/SqliteDatabase.js';
+import { MigrationRunner } from '../../src/infrastructure/database/MigrationRunner.js';
+
+/**
+ * Banco SQLite num arquivo de uma pasta temporária (ainda fechado)
+ * @param {string} [name] - Nome do arquivo, sem extensão
+ * @returns {{dir: string, database: SqliteDatabase}}
+ */
+export function createTempDatabase(name = 'financas') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gestao-financeira-test-'));
+
+  return { dir, database: new SqliteDatabase(path.join(dir, `${name}.db`)) };
+}
+
+/**
+ * Abre o banco e aplica todas as migrações
+ * @param {SqliteDatabase} database
+ */
+export async function migrate(database) {
+  await database.connect();
+  await new MigrationRunner(database).up();
+}
+
+/**
+ * Fecha o banco e apaga a pasta temporária
+ * @param {{dir: string, database: SqliteDatabase}} temp
+ */
+export async function removeTempDatabase({ dir, database }) {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Grava um usuário
+ * @param {SqliteDatabase} database
+ * @param {string} id
+ * @param {string} [email]
+ */
+export async function insertUser(database, id, email = 'teste@exemplo.com') {
+  await database.query(
+    'INSERT INTO users (id, email, name, username) VALUES ($1, $2, $3, $4)',
+    [id, email, 'Teste', 'teste']
+  );
+}
+
+/**
+ * Grava uma conta corrente do usuário
+ * @returns {Promise<number>} ID da conta
+ */
+export async function insertAccount(database, userId, name = 'Conta Corrente') {
+  const result = await database.query(
+    "INSERT INTO accounts (user_id, name, type) VALUES ($1, $2, 'checking') RETURNING id",
+    [userId, name]
+  );
+
+  return result.rows[0].id;
+}
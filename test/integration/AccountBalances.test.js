@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account } from '../../src/domain/entities/Account.js';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { CreateTransferUseCase } from '../../src/application/use-cases/transfers/CreateTransferUseCase.js';
+import { AccountRepository } from '../../src/infrastructure/database/AccountRepository.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { TransferRepository } from '../../src/infrastructure/database/TransferRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const temp = createTempDatabase();
+const { database } = temp;
+const accountRepository = new AccountRepository(database);
+const transactionRepository = new TransactionRepository(database);
+
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+let checking;
+let savings;
+
+describe('Saldos das contas', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+
+    const categoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Diversos', 'expense') RETURNING id", [USER_ID]
+    )).rows[0].id;
+    const incomeCategoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Salário', 'income') RETURNING id", [USER_ID]
+    )).rows[0].id;
+
+    checking = await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking', initialBalance: 1000 }));
+    savings = await accountRepository.create(new Account({ userId: USER_ID, name: 'Poupança', type: 'savings', initialBalance: 50 }));
+
+    const create = (data) => transactionRepository.create(new Transaction({
+      userId: USER_ID, type: 'expense', categoryId, accountId: checking.id, date: daysFromToday(-3), ...data
+    }));
+
+    await create({ type: 'income', categoryId: incomeCategoryId, amount: 500, description: 'Salário' });
+    await create({ amount: 200, description: 'Mercado' });
+    await create({ amount: 80, description: 'Internet', status: 'pending' });
+    // Prevista e lançamento com data futura (como as parcelas): só no saldo previsto
+    await create({ amount: 300, description: 'Aluguel', status: 'planned', date: daysFromToday(5) });
+    await create({ amount: 120, description: 'Parcela do sofá', date: daysFromToday(30) });
+
+    const transfer = await new CreateTransferUseCase(new TransferRepository(database), accountRepository)
+      .execute(USER_ID, { fromAccountId: checking.id, toAccountId: savings.id, amount: 100, date: daysFromToday(-1) });
+
+    assert.equal(transfer.success, true, transfer.errors && transfer.errors.join(', '));
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('soma ao saldo inicial só o que já foi realizado até hoje', async () => {
+    const account = await accountRepository.findById(checking.id);
+
+    assert.equal(account.balance, 1000 + 500 - 200 - 80 - 100);
+  });
+
+  it('inclui as previstas e as futuras no saldo previsto', async () => {
+    const account = await accountRepository.findById(checking.id);
+
+    assert.equal(account.projectedBalance, 1120 - 300 - 120);
+  });
+
+  it('move o saldo entre as contas na transferência', async () => {
+    const accounts = await accountRepository.findByUserId(USER_ID);
+    const byName = Object.fromEntries(accounts.map(account => [account.name, account.balance]));
+
+    assert.deepEqual(byName, { 'Conta Corrente': 1120, 'Poupança': 150 });
+  });
+
+  it('deixa as transferências fora dos totais de receitas e despesas', async () => {
+    const summary = await transactionRepository.getSummary(USER_ID, { accountId: checking.id, endDate: daysFromToday(0) });
+
+    assert.equal(summary.totalIncome, 500);
+    assert.equal(summary.totalExpense, 200 + 80);
+  });
+});
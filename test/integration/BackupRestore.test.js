@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { CreateTransferUseCase } from '../../src/application/use-cases/transfers/CreateTransferUseCase.js';
+import { CreateBackupUseCase } from '../../src/application/use-cases/backup/CreateBackupUseCase.js';
+import { RestoreBackupUseCase } from '../../src/application/use-cases/backup/RestoreBackupUseCase.js';
+import { AccountRepository } from '../../src/infrastructure/database/AccountRepository.js';
+import { BackupRepository } from '../../src/infrastructure/database/BackupRepository.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { TransferRepository } from '../../src/infrastructure/database/TransferRepository.js';
+import { UserRepository } from '../../src/infrastructure/database/UserRepository.js';
+import { AttachmentStorageService } from '../../src/infrastructure/services/AttachmentStorageService.js';
+import { BackupFileService } from '../../src/infrastructure/services/BackupFileService.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const EMAIL = 'teste@exemplo.com';
+const RECEIPT = Buffer.from('comprovante de pagamento');
+
+/**
+ * Campos que apontam para outra seção do backup
+ */
+const REFERENCES = {
+  parentId: 'categories',
+  defaultCategoryId: 'categories',
+  categoryId: 'categories',
+  accountId: 'accounts',
+  fromAccountId: 'accounts',
+  toAccountId: 'accounts',
+  payeeId: 'payees',
+  transferId: 'transfers',
+  installmentPlanId: 'installmentPlans',
+  recurringRuleId: 'recurringRules',
+  reconciliationId: 'reconciliations',
+  transactionId: 'transactions'
+};
+
+/**
+ * Banco e pasta de anexos de uma instalação
+ */
+const createSite = async (name) => {
+  const temp = createTempDatabase(name);
+
+  await migrate(temp.database);
+
+  return {
+    ...temp,
+    backupRepository: new BackupRepository(temp.database),
+    attachmentStorage: new AttachmentStorageService({ baseDir: path.join(temp.dir, 'anexos') })
+  };
+};
+
+/**
+ * Dados do usuário com os ids trocados pela posição do registro na seção,
+ * para comparar bancos diferentes (as categorias vão pelo nome: a
+ * restauração grava as principais antes das subcategorias)
+ */
+const withoutIds = (snapshot) => {
+  const positions = {};
+  const data = {
+    ...snapshot.data,
+    categories: [...snapshot.data.categories].sort((a, b) => a.name.localeCompare(b.name))
+  };
+
+  Object.entries(data).forEach(([section, rows]) => {
+    if (Array.isArray(rows)) {
+      positions[section] = new Map(rows.map((row, index) => [Number(row.id), index]));
+    }
+  });
+
+  const replace = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(replace);
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== 'id')
+      .map(([key, field]) => REFERENCES[key] && field !== null
+        ? [key, `${REFERENCES[key]}#${positions[REFERENCES[key]].get(Number(field))}`]
+        : [key, replace(field)]));
+  };
+
+  return { user: replace(snapshot.user), data: replace(data) };
+};
+
+describe('Backup e restauração', () => {
+  let source;
+  let target;
+  let backupFile;
+
+  before(async () => {
+    source = await createSite('origem');
+    target = await createSite('destino');
+
+    const { database } = source;
+    const accountRepository = new AccountRepository(database);
+    const transactionRepository = new TransactionRepository(database);
+    const insert = async (sql, params) => (await database.query(`${sql} RETURNING id`, params)).rows[0].id;
+
+    await insertUser(database, USER_ID, EMAIL);
+    await database.query('INSERT INTO user_auth (user_id, password_hash) VALUES ($1, $2)', [USER_ID, 'hash-da-senha']);
+
+    const checking = await insert("INSERT INTO accounts (user_id, name, type, initial_balance) VALUES ($1, 'Conta Corrente', 'checking', 1000)", [USER_ID]);
+    const savings = await insert("INSERT INTO accounts (user_id, name, type) VALUES ($1, 'Poupança', 'savings')", [USER_ID]);
+    const food = await insert("INSERT INTO categories (user_id, name, type) VALUES ($1, 'Alimentação', 'expense')", [USER_ID]);
+    const market = await insert("INSERT INTO categories (user_id, parent_id, name, type) VALUES ($1, $2, 'Mercado', 'expense')", [USER_ID, food]);
+    const salary = await insert("INSERT INTO categories (user_id, name, type) VALUES ($1, 'Salário', 'income')", [USER_ID]);
+
+    await transactionRepository.create(new Transaction({
+      userId: USER_ID, type: 'income', categoryId: salary, accountId: checking, amount: 5000, description: 'Salário', date: new Date('2026-03-05T12:00:00')
+    }));
+
+    const purchase = await transactionRepository.create(new Transaction({
+      userId: USER_ID,
+      type: 'expense',
+      categoryId: market,
+      accountId: checking,
+      amount: 320.5,
+      description: 'Compras do mês',
+      date: new Date('2026-03-08T12:00:00'),
+      tags: ['casa', 'mercado']
+    }));
+
+    const { contentHash } = await source.attachmentStorage.storeContent(RECEIPT);
+    await database.query(
+      "INSERT INTO attachments (user_id, transaction_id, file_name, content_hash, mime_type, size) VALUES ($1, $2, 'nota.pdf', $3, 'application/pdf', $4)",
+      [USER_ID, purchase.id, contentHash, RECEIPT.length]
+    );
+
+    const transfer = await new CreateTransferUseCase(new TransferRepository(database), accountRepository)
+      .execute(USER_ID, { fromAccountId: checking, toAccountId: savings, amount: 500, description: 'Reserva', date: new Date('2026-03-10T12:00:00') });
+    assert.equal(transfer.success, true, transfer.errors && transfer.errors.join(', '));
+
+    const goal = await insert("INSERT INTO goals (user_id, name, target_amount, current_amount) VALUES ($1, 'Viagem', 3000, 200)", [USER_ID]);
+    await database.query("INSERT INTO goal_contributions (goal_id, amount, description, contribution_date) VALUES ($1, 200, 'Primeiro depósito', '2026-03-10')", [goal]);
+
+    const backup = await new CreateBackupUseCase(
+      source.backupRepository,
+      source.attachmentStorage,
+      new BackupFileService({ backupsDir: path.join(source.dir, 'backups') })
+    ).execute(USER_ID);
+
+    assert.equal(backup.success, true, backup.errors && backup.errors.join(', '));
+    backupFile = backup.filepath;
+  });
+
+  after(async () => {
+    await removeTempDatabase(source);
+    await removeTempDatabase(target);
+  });
+
+  const restore = (options = {}) => new RestoreBackupUseCase(
+    new BackupFileService(),
+    target.backupRepository,
+    new UserRepository(target.database),
+    target.attachmentStorage
+  ).execute(backupFile, options);
+
+  it('confere o backup sem gravar nada no dry-run', async () => {
+    const result = await restore({ dryRun: true });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.restored.transactions, 4);
+    assert.equal((await target.database.query('SELECT COUNT(*) AS total FROM users')).rows[0].total, 0);
+    assert.equal(target.attachmentStorage.exists(target.attachmentStorage.hashContent(RECEIPT)), false);
+  });
+
+  it('restaura num banco novo os mesmos dados, com ids novos', async () => {
+    const result = await restore();
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.createdUser, true);
+    assert.equal(result.userId, USER_ID);
+    assert.deepEqual(result.skippedAttachments, []);
+
+    const original = await source.backupRepository.findUserData(USER_ID);
+    const restored = await target.backupRepository.findUserData(result.userId);
+
+    assert.deepEqual(withoutIds(restored), withoutIds(original));
+    assert.deepEqual(await target.attachmentStorage.read(target.attachmentStorage.hashContent(RECEIPT)), RECEIPT);
+  });
+
+  it('recusa restaurar de novo num usuário que já tem dados', async () => {
+    const result = await restore();
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /já tem transações, orçamentos ou metas/);
+  });
+});
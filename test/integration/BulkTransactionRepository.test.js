@@ -0,0 +1,145 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { Attachment } from '../../src/domain/entities/Attachment.js';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { BulkDeleteTransactionsUseCase } from '../../src/application/use-cases/bulk/BulkDeleteTransactionsUseCase.js';
+import { BulkUpdateTransactionsUseCase } from '../../src/application/use-cases/bulk/BulkUpdateTransactionsUseCase.js';
+import { AttachmentRepository } from '../../src/infrastructure/database/AttachmentRepository.js';
+import { CategoryRepository } from '../../src/infrastructure/database/CategoryRepository.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { AttachmentStorageService } from '../../src/infrastructure/services/AttachmentStorageService.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+const attachmentRepository = new AttachmentRepository(database);
+const attachmentStorage = new AttachmentStorageService({ baseDir: path.join(temp.dir, 'anexos') });
+const bulkDelete = new BulkDeleteTransactionsUseCase(transactionRepository, attachmentRepository, attachmentStorage);
+const bulkUpdate = new BulkUpdateTransactionsUseCase(transactionRepository, new CategoryRepository(database));
+
+let accountId;
+let first;
+let second;
+
+const create = (description) => transactionRepository.create(new Transaction({
+  userId: USER_ID, type: 'expense', accountId, amount: 80, description, date: new Date('2026-03-10T12:00:00')
+}));
+
+const attach = async (transaction, text) => {
+  const { contentHash, size } = await attachmentStorage.storeContent(Buffer.from(text));
+
+  await attachmentRepository.create(new Attachment({
+    userId: USER_ID, transactionId: transaction.id, fileName: 'nota.pdf', contentHash, size
+  }));
+
+  return contentHash;
+};
+
+/**
+ * Concilia a transação logo antes de o repositório executar o método, como
+ * se a conciliação chegasse depois de o caso de uso conferir as travas
+ */
+const reconcileBefore = async (method, transactionId, operation) => {
+  const reconciliationId = (await database.query(
+    "INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance) VALUES ($1, $2, '2026-03-31', 0) RETURNING id",
+    [USER_ID, accountId]
+  )).rows[0].id;
+  const original = transactionRepository[method].bind(transactionRepository);
+
+  transactionRepository[method] = async (...args) => {
+    await database.query('UPDATE transactions SET reconciliation_id = $1 WHERE id = $2', [reconciliationId, transactionId]);
+    return original(...args);
+  };
+
+  try {
+    return await operation();
+  } finally {
+    transactionRepository[method] = original;
+  }
+};
+
+describe('Operações em lote no banco', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+    accountId = await insertAccount(database, USER_ID);
+  });
+
+  beforeEach(async () => {
+    await database.query('DELETE FROM transactions WHERE user_id = $1', [USER_ID]);
+    await database.query('DELETE FROM reconciliations WHERE user_id = $1', [USER_ID]);
+
+    first = await create('Padaria');
+    second = await create('Feira');
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('não deleta nada quando uma transação é conciliada no meio da exclusão', async () => {
+    const result = await reconcileBefore('bulkDelete', second.id, () =>
+      bulkDelete.execute(USER_ID, { transactionIds: [first.id, second.id] }));
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /foram alteradas, conciliadas ou deletadas/);
+    assert.ok(await transactionRepository.findById(first.id));
+    assert.ok(await transactionRepository.findById(second.id));
+  });
+
+  it('não altera nada quando uma transação é conciliada no meio da alteração', async () => {
+    const result = await reconcileBefore('bulkUpdate', second.id, () =>
+      bulkUpdate.execute(USER_ID, { transactionIds: [first.id, second.id] }, { addTags: ['revisar'] }));
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /foram alteradas, conciliadas ou deletadas/);
+    assert.deepEqual((await transactionRepository.findById(first.id)).tags, []);
+    assert.deepEqual((await transactionRepository.findById(second.id)).tags, []);
+  });
+
+  it('apaga só os arquivos das transações deletadas que nenhum outro anexo usa', async () => {
+    const third = await create('Mercado');
+    const own = await attach(first, 'nota da padaria');
+    const shared = await attach(first, 'nota compartilhada');
+
+    await attach(third, 'nota compartilhada');
+
+    const result = await bulkDelete.execute(USER_ID, { transactionIds: [first.id, second.id] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.deletedCount, 2);
+    assert.equal(attachmentStorage.exists(own), false);
+    assert.equal(attachmentStorage.exists(shared), true);
+  });
+
+  it('mantém os arquivos quando a exclusão é desfeita', async () => {
+    const own = await attach(first, 'nota da padaria');
+
+    const result = await reconcileBefore('bulkDelete', second.id, () =>
+      bulkDelete.execute(USER_ID, { transactionIds: [first.id, second.id] }));
+
+    assert.equal(result.success, false);
+    assert.equal(attachmentStorage.exists(own), true);
+    assert.deepEqual((await attachmentRepository.findByTransactionIds([first.id])).map(a => a.contentHash), [own]);
+  });
+
+  it('não deleta nem altera transações de outro usuário', async () => {
+    await assert.rejects(transactionRepository.bulkDelete('outro-usuario', [first.id]), /selecione de novo/);
+    await assert.rejects(
+      transactionRepository.bulkUpdate('outro-usuario', [{ id: first.id, data: { description: 'Outra' } }]),
+      /selecione de novo/
+    );
+
+    assert.equal((await transactionRepository.findById(first.id)).description, 'Padaria');
+  });
+
+  it('devolve os IDs das transações deletadas', async () => {
+    const deletedIds = await transactionRepository.bulkDelete(USER_ID, [second.id, first.id, first.id]);
+
+    assert.deepEqual([...deletedIds].sort((a, b) => a - b), [Number(first.id), Number(second.id)]);
+    assert.equal(await transactionRepository.findById(first.id), null);
+  });
+});
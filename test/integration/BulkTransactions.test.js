@@ -0,0 +1,130 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account } from '../../src/domain/entities/Account.js';
+import { SeedDefaultCategoriesUseCase } from '../../src/application/use-cases/SeedDefaultCategoriesUseCase.js';
+import { CreateTransferUseCase } from '../../src/application/use-cases/transfers/CreateTransferUseCase.js';
+import { CreateInstallmentPlanUseCase } from '../../src/application/use-cases/installments/CreateInstallmentPlanUseCase.js';
+import { StartReconciliationUseCase } from '../../src/application/use-cases/reconciliation/StartReconciliationUseCase.js';
+import { FinishReconciliationUseCase } from '../../src/application/use-cases/reconciliation/FinishReconciliationUseCase.js';
+import { BulkDeleteTransactionsUseCase } from '../../src/application/use-cases/bulk/BulkDeleteTransactionsUseCase.js';
+import { BulkUpdateTransactionsUseCase } from '../../src/application/use-cases/bulk/BulkUpdateTransactionsUseCase.js';
+import { InMemoryInstallmentPlanRepository } from '../../src/infrastructure/memory/InMemoryInstallmentPlanRepository.js';
+import { InMemoryReconciliationRepository } from '../../src/infrastructure/memory/InMemoryReconciliationRepository.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+const OTHER_USER_ID = 'outro-usuario';
+
+let transactionRepository;
+let bulkDelete;
+let bulkUpdate;
+let selection;
+
+describe('Operações em lote nas transações', () => {
+  beforeEach(async () => {
+    const repositories = createMemoryRepositories();
+    const { store, accountRepository, categoryRepository } = repositories;
+    const reconciliationRepository = new InMemoryReconciliationRepository(store);
+    const today = new Date();
+
+    transactionRepository = repositories.transactionRepository;
+    bulkDelete = new BulkDeleteTransactionsUseCase(transactionRepository);
+    bulkUpdate = new BulkUpdateTransactionsUseCase(transactionRepository, categoryRepository);
+
+    await new SeedDefaultCategoriesUseCase(categoryRepository).execute();
+
+    const categories = await categoryRepository.findByUserId(USER_ID);
+    const expenseCategory = categories.find(category => category.type === 'expense');
+    const createTransaction = createTransactionUseCase(repositories);
+    const create = async (userId, description, accountId = null) => {
+      const result = await createTransaction.execute({
+        userId, type: 'expense', categoryId: expenseCategory.id, accountId, amount: 50, description, date: today
+      });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      return result.transaction;
+    };
+
+    const checking = await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    const savings = await accountRepository.create(new Account({ userId: USER_ID, name: 'Poupança', type: 'savings' }));
+    const wallet = await accountRepository.create(new Account({ userId: USER_ID, name: 'Carteira', type: 'cash' }));
+
+    const free = await create(USER_ID, 'Padaria', checking.id);
+    const foreign = await create(OTHER_USER_ID, 'Mercado do vizinho');
+
+    await new CreateTransferUseCase(repositories.transferRepository, accountRepository)
+      .execute(USER_ID, { fromAccountId: checking.id, toAccountId: savings.id, amount: 100, date: today });
+    await new CreateInstallmentPlanUseCase(new InMemoryInstallmentPlanRepository(store), categoryRepository, accountRepository)
+      .execute(USER_ID, { categoryId: expenseCategory.id, accountId: checking.id, totalAmount: 300, installmentCount: 3, date: today });
+
+    // Conciliar a única transação da carteira
+    const reconciled = await create(USER_ID, 'Feira', wallet.id);
+    const started = await new StartReconciliationUseCase(reconciliationRepository, accountRepository, transactionRepository)
+      .execute(USER_ID, wallet.id, { statementDate: today, statementBalance: -50 });
+
+    started.reconciliation.toggle(reconciled.id);
+    const finished = await new FinishReconciliationUseCase(reconciliationRepository).execute(USER_ID, started.reconciliation);
+
+    assert.equal(finished.success, true, finished.errors && finished.errors.join(', '));
+
+    const all = await transactionRepository.findByFilters({ userId: USER_ID, includePlanned: true, limit: null });
+
+    selection = {
+      free,
+      foreign,
+      transfer: all.find(transaction => transaction.isTransfer()),
+      installment: all.find(transaction => transaction.isInstallment()),
+      reconciled: all.find(transaction => transaction.isReconciled())
+    };
+  });
+
+  const lockedIds = () => [selection.transfer.id, selection.installment.id, selection.reconciled.id];
+
+  it('deleta só as transações livres e explica as que ficaram', async () => {
+    const result = await bulkDelete.execute(USER_ID, { transactionIds: [selection.free.id, ...lockedIds()] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.matchedCount, 4);
+    assert.equal(result.deletedCount, 1);
+    assert.deepEqual(result.skipped.map(item => item.reason).sort(), [
+      'Conciliada (desbloqueie antes de deletar)',
+      'Parcela (cancele pelo parcelamento)',
+      'Transferência (delete a transferência)'
+    ]);
+    assert.equal(await transactionRepository.findById(selection.free.id), null);
+
+    for (const id of lockedIds()) {
+      assert.ok(await transactionRepository.findById(id));
+    }
+  });
+
+  it('altera só as transações livres, com os mesmos bloqueios da exclusão', async () => {
+    const result = await bulkUpdate.execute(
+      USER_ID,
+      { transactionIds: [selection.free.id, ...lockedIds()] },
+      { addTags: ['revisar'] }
+    );
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.updatedCount, 1);
+    assert.deepEqual(result.skipped.map(item => item.reason).sort(), [
+      'Conciliada (desbloqueie antes de alterar)',
+      'Parcela (altere pelo parcelamento)',
+      'Transferência (altere pela transferência)'
+    ]);
+    assert.deepEqual((await transactionRepository.findById(selection.free.id)).tags, ['revisar']);
+  });
+
+  it('ignora IDs repetidos e de outros usuários', async () => {
+    const ids = [selection.foreign.id, selection.free.id, selection.free.id];
+
+    const updated = await bulkUpdate.execute(USER_ID, { transactionIds: ids }, { shiftDays: -1 });
+    assert.equal(updated.matchedCount, 1);
+    assert.equal(updated.updatedCount, 1);
+
+    const deleted = await bulkDelete.execute(USER_ID, { transactionIds: ids });
+    assert.equal(deleted.matchedCount, 1);
+    assert.equal(deleted.deletedCount, 1);
+    assert.ok(await transactionRepository.findById(selection.foreign.id));
+  });
+});
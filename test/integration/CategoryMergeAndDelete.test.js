@@ -0,0 +1,139 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { MergeCategoriesUseCase } from '../../src/application/use-cases/MergeCategoriesUseCase.js';
+import { DeleteCategoryUseCase } from '../../src/application/use-cases/DeleteCategoryUseCase.js';
+import { CategoryRepository } from '../../src/infrastructure/database/CategoryRepository.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const temp = createTempDatabase();
+const { database } = temp;
+const categoryRepository = new CategoryRepository(database);
+const transactionRepository = new TransactionRepository(database);
+const createCategory = new CreateCategoryUseCase(categoryRepository);
+const mergeCategories = new MergeCategoriesUseCase(categoryRepository);
+const deleteCategory = new DeleteCategoryUseCase(categoryRepository);
+
+let accountId;
+
+const category = async (name, type = 'expense', parentId = null) => {
+  const result = await createCategory.execute({ userId: USER_ID, name, type, parentId });
+
+  assert.equal(result.success, true, result.errors && result.errors.join(', '));
+  return result.category;
+};
+
+const transaction = (categoryId, type = 'expense') => transactionRepository.create(new Transaction({
+  userId: USER_ID, type, categoryId, accountId, amount: 25, description: 'Compra', date: new Date('2026-03-10T12:00:00')
+}));
+
+const categoryOf = async (transactionId) => Number((await transactionRepository.findById(transactionId)).categoryId);
+
+describe('Mesclagem e exclusão de categorias', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+    accountId = await insertAccount(database, USER_ID);
+  });
+
+  beforeEach(async () => {
+    await database.query('DELETE FROM transactions WHERE user_id = $1', [USER_ID]);
+    await database.query('DELETE FROM categories WHERE user_id = $1', [USER_ID]);
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('mescla a origem, as transações e as subcategorias no destino', async () => {
+    const source = await category('Mercado');
+    const sourceFeira = await category('Feira', 'expense', source.id);
+    const padaria = await category('Padaria', 'expense', source.id);
+    const target = await category('Alimentação');
+    const targetFeira = await category('feira', 'expense', target.id);
+
+    const onSource = await transaction(source.id);
+    const onFeira = await transaction(sourceFeira.id);
+
+    const result = await mergeCategories.execute({ sourceId: source.id, targetId: target.id, userId: USER_ID });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(await categoryRepository.findById(source.id), null);
+    assert.equal(await categoryRepository.findById(sourceFeira.id), null);
+    assert.equal(Number((await categoryRepository.findById(padaria.id)).parentId), Number(target.id));
+    assert.equal(await categoryOf(onSource.id), Number(target.id));
+    assert.equal(await categoryOf(onFeira.id), Number(targetFeira.id));
+  });
+
+  it('recusa mesclar categorias de tipos diferentes', async () => {
+    const source = await category('Freelas', 'income');
+    const target = await category('Serviços');
+    const onSource = await transaction(source.id, 'income');
+
+    const result = await mergeCategories.execute({ sourceId: source.id, targetId: target.id, userId: USER_ID });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, ['As duas categorias precisam ser do mesmo tipo']);
+    assert.equal(await categoryOf(onSource.id), Number(source.id));
+  });
+
+  it('pede uma substituta para deletar uma categoria em uso e não deleta nada', async () => {
+    const parent = await category('Lazer');
+    const child = await category('Cinema', 'expense', parent.id);
+    await transaction(child.id);
+
+    const result = await deleteCategory.execute({ id: parent.id, userId: USER_ID });
+
+    assert.equal(result.success, false);
+    assert.equal(result.requiresReplacement, true);
+    assert.ok(await categoryRepository.findById(parent.id));
+    assert.ok(await categoryRepository.findById(child.id));
+  });
+
+  it('pede uma substituta para deletar uma categoria usada só por um orçamento', async () => {
+    const budgeted = await category('Academia');
+    await database.query(
+      "INSERT INTO budgets (user_id, category_id, amount, period, start_date, end_date) VALUES ($1, $2, 150, 'monthly', '2026-03-01', '2026-03-31')",
+      [USER_ID, budgeted.id]
+    );
+
+    const result = await deleteCategory.execute({ id: budgeted.id, userId: USER_ID });
+
+    assert.equal(result.success, false);
+    assert.equal(result.requiresReplacement, true);
+    assert.ok(await categoryRepository.findById(budgeted.id));
+    assert.equal((await database.query('SELECT * FROM budgets WHERE category_id = $1', [budgeted.id])).rows.length, 1);
+  });
+
+  it('passa o que usava a categoria e as subcategorias para a substituta', async () => {
+    const parent = await category('Lazer');
+    const child = await category('Cinema', 'expense', parent.id);
+    const replacement = await category('Diversão');
+    const onParent = await transaction(parent.id);
+    const onChild = await transaction(child.id);
+
+    const result = await deleteCategory.execute({ id: parent.id, userId: USER_ID, replacementCategoryId: replacement.id });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.warnings.length, 1);
+    assert.equal(await categoryRepository.findById(parent.id), null);
+    assert.equal(await categoryRepository.findById(child.id), null);
+    assert.equal(await categoryOf(onParent.id), Number(replacement.id));
+    assert.equal(await categoryOf(onChild.id), Number(replacement.id));
+  });
+
+  it('recusa como substituta uma subcategoria da própria categoria', async () => {
+    const parent = await category('Lazer');
+    const child = await category('Cinema', 'expense', parent.id);
+    await transaction(parent.id);
+
+    const result = await deleteCategory.execute({ id: parent.id, userId: USER_ID, replacementCategoryId: child.id });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, ['A categoria substituta não pode ser a própria categoria nem uma subcategoria dela']);
+    assert.ok(await categoryRepository.findById(parent.id));
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account } from '../../src/domain/entities/Account.js';
+import { CategoryRule } from '../../src/domain/entities/CategoryRule.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { CreateCategoryRuleUseCase } from '../../src/application/use-cases/rules/CreateCategoryRuleUseCase.js';
+import { UpdateCategoryRuleUseCase } from '../../src/application/use-cases/rules/UpdateCategoryRuleUseCase.js';
+import { ApplyCategoryRulesUseCase } from '../../src/application/use-cases/rules/ApplyCategoryRulesUseCase.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+
+let repositories;
+let createRule;
+let updateRule;
+let applyRules;
+let createTransaction;
+let transport;
+let leisure;
+let food;
+
+const rule = async (data) => {
+  const result = await createRule.execute(USER_ID, data);
+
+  assert.equal(result.success, true, result.errors && result.errors.join(', '));
+  return result.rule;
+};
+
+const evaluate = async (transaction) => CategoryRule.evaluate(
+  await repositories.categoryRuleRepository.findByUserId(USER_ID),
+  { type: 'expense', amount: 30, date: new Date(2026, 2, 10), ...transaction }
+);
+
+describe('Regras de categorização', () => {
+  beforeEach(async () => {
+    repositories = createMemoryRepositories();
+    const { categoryRepository, categoryRuleRepository, transactionRepository, accountRepository } = repositories;
+    const createCategory = new CreateCategoryUseCase(categoryRepository);
+
+    createRule = new CreateCategoryRuleUseCase(categoryRuleRepository, categoryRepository);
+    updateRule = new UpdateCategoryRuleUseCase(categoryRuleRepository, categoryRepository);
+    applyRules = new ApplyCategoryRulesUseCase(categoryRuleRepository, transactionRepository);
+    createTransaction = createTransactionUseCase(repositories);
+
+    await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    transport = (await createCategory.execute({ userId: USER_ID, name: 'Transporte', type: 'expense' })).category;
+    leisure = (await createCategory.execute({ userId: USER_ID, name: 'Lazer', type: 'expense' })).category;
+    food = (await createCategory.execute({ userId: USER_ID, name: 'Alimentação', type: 'expense' })).category;
+  });
+
+  describe('CategoryRule.evaluate', () => {
+    it('usa a categoria da regra de maior prioridade e soma as tags de todas', async () => {
+      await rule({ descriptionContains: 'uber', categoryId: transport.id, tags: ['app'] });
+      await rule({ descriptionContains: 'uber eats', categoryId: food.id, tags: ['delivery'] });
+      await rule({ minAmount: 20, tags: ['revisar'] });
+
+      const result = await evaluate({ description: 'UBER EATS pedido' });
+
+      assert.equal(Number(result.categoryId), Number(transport.id));
+      assert.deepEqual(result.tags, ['app', 'delivery', 'revisar']);
+      assert.equal(result.rules.length, 3);
+    });
+
+    it('segue a nova ordem depois de mover a regra na fila', async () => {
+      await rule({ descriptionContains: 'uber', categoryId: transport.id });
+      const specific = await rule({ descriptionContains: 'uber eats', categoryId: food.id });
+
+      const moved = await updateRule.execute(USER_ID, specific.id, { priority: 1 });
+
+      assert.equal(moved.success, true, moved.errors && moved.errors.join(', '));
+      assert.deepEqual((await repositories.categoryRuleRepository.findByUserId(USER_ID)).map(r => r.priority), [1, 2]);
+      assert.equal(Number((await evaluate({ description: 'UBER EATS pedido' })).categoryId), Number(food.id));
+      assert.equal(Number((await evaluate({ description: 'Uber viagem' })).categoryId), Number(transport.id));
+    });
+
+    it('pula a regra pausada e a que não tem categoria', async () => {
+      const paused = await rule({ descriptionContains: 'cinema', categoryId: transport.id });
+      await rule({ descriptionContains: 'cinema', tags: ['fim-de-semana'] });
+      await rule({ descriptionContains: 'cinema', categoryId: leisure.id });
+
+      await updateRule.execute(USER_ID, paused.id, { isActive: false });
+
+      const result = await evaluate({ description: 'Cinema shopping' });
+
+      assert.equal(Number(result.categoryId), Number(leisure.id));
+      assert.deepEqual(result.tags, ['fim-de-semana']);
+    });
+
+    it('não aplica a regra de despesa numa receita', async () => {
+      await rule({ descriptionContains: 'uber', categoryId: transport.id });
+
+      const result = await evaluate({ type: 'income', description: 'Reembolso Uber' });
+
+      assert.equal(result.categoryId, null);
+    });
+  });
+
+  describe('ApplyCategoryRulesUseCase', () => {
+    it('reaplica as regras ao histórico, mantendo as tags que a transação já tem', async () => {
+      const created = await createTransaction.execute({
+        userId: USER_ID, type: 'expense', categoryId: leisure.id, amount: 30,
+        description: 'Uber viagem', date: new Date(2026, 2, 10), tags: ['trabalho']
+      });
+      const other = await createTransaction.execute({
+        userId: USER_ID, type: 'expense', categoryId: leisure.id, amount: 60,
+        description: 'Teatro', date: new Date(2026, 2, 11)
+      });
+
+      await rule({ descriptionContains: 'uber', categoryId: transport.id, tags: ['app'] });
+
+      const result = await applyRules.execute(USER_ID);
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      assert.equal(result.matchedCount, 1);
+      assert.equal(result.updatedCount, 1);
+
+      const updated = await repositories.transactionRepository.findById(created.transaction.id);
+
+      assert.equal(Number(updated.categoryId), Number(transport.id));
+      assert.deepEqual(updated.tags.sort(), ['app', 'trabalho']);
+      assert.equal(Number((await repositories.transactionRepository.findById(other.transaction.id)).categoryId), Number(leisure.id));
+
+      const again = await applyRules.execute(USER_ID);
+
+      assert.equal(again.matchedCount, 1);
+      assert.equal(again.updatedCount, 0);
+    });
+  });
+});
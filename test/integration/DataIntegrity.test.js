@@ -0,0 +1,97 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { UNCATEGORIZED_NAME } from '../../src/domain/entities/Category.js';
+import { CheckDataIntegrityUseCase } from '../../src/application/use-cases/integrity/CheckDataIntegrityUseCase.js';
+import { RepairDataIntegrityUseCase } from '../../src/application/use-cases/integrity/RepairDataIntegrityUseCase.js';
+import { IntegrityRepository } from '../../src/infrastructure/database/IntegrityRepository.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const MISSING_ID = 9999;
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+const integrityRepository = new IntegrityRepository(database);
+const checkIntegrity = new CheckDataIntegrityUseCase(integrityRepository);
+const repairIntegrity = new RepairDataIntegrityUseCase(integrityRepository);
+
+let cinema;
+
+const issueCounts = async () => {
+  const result = await checkIntegrity.execute();
+
+  assert.equal(result.success, true, result.errors && result.errors.join(', '));
+  return Object.fromEntries(result.issues.map(issue => [issue.code, issue.count]));
+};
+
+describe('Transações sem categoria e integridade dos dados', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+
+    const accountId = await insertAccount(database, USER_ID);
+    const categoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Mercado', 'expense') RETURNING id", [USER_ID]
+    )).rows[0].id;
+    const create = (data) => transactionRepository.create(new Transaction({
+      userId: USER_ID, type: 'expense', accountId, date: new Date('2026-03-10T12:00:00'), ...data
+    }));
+
+    await create({ categoryId, amount: 100, description: 'Feira' });
+    await create({ categoryId: null, amount: 40, description: 'Saque' });
+    cinema = await create({ categoryId, amount: 25, description: 'Cinema' });
+
+    // Referências quebradas como as de bancos anteriores às foreign keys
+    database.db.pragma('foreign_keys = OFF');
+    await database.query('UPDATE transactions SET category_id = $1 WHERE id = $2', [MISSING_ID, cinema.id]);
+    await database.query('INSERT INTO transaction_tags (transaction_id, tag_id) VALUES ($1, $2)', [cinema.id, MISSING_ID]);
+    database.db.pragma('foreign_keys = ON');
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('lista as sem categoria e as de categoria deletada no filtro "Sem categoria"', async () => {
+    const uncategorized = await transactionRepository.findByFilters({ userId: USER_ID, uncategorized: true, limit: null });
+
+    assert.deepEqual(uncategorized.map(transaction => transaction.description).sort(), ['Cinema', 'Saque']);
+    assert.equal(await transactionRepository.count(USER_ID, { uncategorized: true }), 2);
+  });
+
+  it(`junta as duas em "${UNCATEGORIZED_NAME}" nos totais por categoria`, async () => {
+    const totals = await transactionRepository.getTotalsByCategory(USER_ID);
+    const byName = Object.fromEntries(totals.map(row => [row.name, [row.total, row.count]]));
+
+    assert.deepEqual(byName, { Mercado: [100, 1], [UNCATEGORIZED_NAME]: [65, 2] });
+    assert.equal(totals.find(row => row.name === UNCATEGORIZED_NAME).categoryId, null);
+  });
+
+  it('encontra as referências quebradas na verificação', async () => {
+    assert.deepEqual(await issueCounts(), {
+      transaction_missing_category: 1,
+      uncategorized_transaction: 2,
+      orphan_transaction_tag: 1
+    });
+  });
+
+  it('repara as referências e deixa as sem categoria para o usuário', async () => {
+    const result = await repairIntegrity.execute();
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.deepEqual(result.repaired, [
+      { code: 'transaction_missing_category', count: 1 },
+      { code: 'orphan_transaction_tag', count: 1 }
+    ]);
+    assert.deepEqual(await issueCounts(), { uncategorized_transaction: 2 });
+    assert.equal((await transactionRepository.findById(cinema.id)).categoryId, null);
+  });
+
+  it('recusa verificação desconhecida', async () => {
+    const result = await repairIntegrity.execute(['nao_existe']);
+
+    assert.deepEqual(result.errors, ['Verificação desconhecida: nao_existe']);
+  });
+});
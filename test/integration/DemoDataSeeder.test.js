@@ -0,0 +1,56 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeedDefaultCategoriesUseCase } from '../../src/application/use-cases/SeedDefaultCategoriesUseCase.js';
+import { InMemoryAuthService } from '../../src/infrastructure/auth/InMemoryAuthService.js';
+import { InMemoryStore } from '../../src/infrastructure/memory/InMemoryStore.js';
+import { InMemoryUserRepository } from '../../src/infrastructure/memory/InMemoryUserRepository.js';
+import { InMemoryCategoryRepository } from '../../src/infrastructure/memory/InMemoryCategoryRepository.js';
+import { InMemoryTransactionRepository } from '../../src/infrastructure/memory/InMemoryTransactionRepository.js';
+import { InMemoryAccountRepository } from '../../src/infrastructure/memory/InMemoryAccountRepository.js';
+import { InMemoryTransferRepository } from '../../src/infrastructure/memory/InMemoryTransferRepository.js';
+import { InMemoryInstallmentPlanRepository } from '../../src/infrastructure/memory/InMemoryInstallmentPlanRepository.js';
+import { InMemoryRecurringRuleRepository } from '../../src/infrastructure/memory/InMemoryRecurringRuleRepository.js';
+import { InMemoryBudgetRepository } from '../../src/infrastructure/memory/InMemoryBudgetRepository.js';
+import { InMemoryGoalRepository } from '../../src/infrastructure/memory/InMemoryGoalRepository.js';
+import { DemoDataSeeder } from '../../src/infrastructure/memory/DemoDataSeeder.js';
+
+describe('DemoDataSeeder', () => {
+  const store = new InMemoryStore();
+  const categoryRepository = new InMemoryCategoryRepository(store);
+  const goalRepository = new InMemoryGoalRepository(store);
+  let user;
+
+  before(async () => {
+    await new SeedDefaultCategoriesUseCase(categoryRepository).execute();
+    user = await new DemoDataSeeder({
+      authService: new InMemoryAuthService(new InMemoryUserRepository(store), store),
+      categoryRepository,
+      accountRepository: new InMemoryAccountRepository(store),
+      transferRepository: new InMemoryTransferRepository(store),
+      installmentPlanRepository: new InMemoryInstallmentPlanRepository(store),
+      recurringRuleRepository: new InMemoryRecurringRuleRepository(store),
+      transactionRepository: new InMemoryTransactionRepository(store),
+      budgetRepository: new InMemoryBudgetRepository(store),
+      goalRepository
+    }).run();
+  });
+
+  it('registra o valor guardado das metas em contribuições', async () => {
+    const goals = await goalRepository.findByUserId(user.id);
+
+    assert.equal(goals.length, 4);
+
+    for (const goal of goals) {
+      const contributions = await goalRepository.getContributions(goal.id, { limit: 1000 });
+      const total = contributions.reduce((sum, contribution) => sum + contribution.amount, 0);
+
+      assert.equal(Math.round(total * 100), Math.round(goal.current_amount * 100), goal.name);
+    }
+  });
+
+  it('conclui só a meta que a contribuição completa', async () => {
+    const goals = await goalRepository.findByUserId(user.id);
+
+    assert.deepEqual(goals.filter(goal => goal.status === 'completed').map(goal => goal.name), ['Curso de inglês']);
+  });
+});
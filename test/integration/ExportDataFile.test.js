@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Account } from '../../src/domain/entities/Account.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { ExportTransactionsToDataFileUseCase } from '../../src/application/use-cases/exports/ExportTransactionsToDataFileUseCase.js';
+import { ExportReportToDataFileUseCase } from '../../src/application/use-cases/exports/ExportReportToDataFileUseCase.js';
+import { GenerateMonthlyReportUseCase } from '../../src/application/use-cases/reports/GenerateMonthlyReportUseCase.js';
+import { ExportFileService } from '../../src/infrastructure/services/ExportFileService.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+const PERIOD = { startDate: new Date(2026, 2, 1), endDate: new Date(2026, 2, 31) };
+
+let exportsDir;
+let exportTransactions;
+let exportReport;
+
+const read = (result) => fs.readFileSync(result.filepath, 'utf8');
+
+// Linhas do CSV, sem o BOM e a quebra de linha do fim
+const csvLines = (result) => {
+  const text = read(result);
+
+  assert.ok(text.startsWith('\uFEFF'));
+  assert.ok(text.endsWith('\r\n'));
+
+  return text.slice(1, -2).split('\r\n');
+};
+
+describe('Exportação para CSV e JSON', () => {
+  before(async () => {
+    const repositories = createMemoryRepositories();
+    const { transactionRepository, categoryRepository, accountRepository } = repositories;
+    const createCategory = new CreateCategoryUseCase(categoryRepository);
+    const createTransaction = createTransactionUseCase(repositories);
+    const exportFileService = new ExportFileService({
+      exportsDir: fs.mkdtempSync(path.join(os.tmpdir(), 'gestao-financeira-test-'))
+    });
+
+    exportsDir = exportFileService.exportsDir;
+    exportTransactions = new ExportTransactionsToDataFileUseCase(transactionRepository, categoryRepository, exportFileService);
+    exportReport = new ExportReportToDataFileUseCase(
+      { monthly: new GenerateMonthlyReportUseCase(transactionRepository) },
+      exportFileService
+    );
+
+    await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    const salary = (await createCategory.execute({ userId: USER_ID, name: 'Salário', type: 'income' })).category;
+    const market = (await createCategory.execute({ userId: USER_ID, name: 'Mercado', type: 'expense' })).category;
+
+    for (const data of [
+      { type: 'income', categoryId: salary.id, amount: 1234.56, description: 'Salário março', date: new Date(2026, 2, 5) },
+      { type: 'expense', categoryId: market.id, amount: 45.9, description: 'Feira; hortifruti', date: new Date(2026, 2, 12) }
+    ]) {
+      const result = await createTransaction.execute({ userId: USER_ID, ...data });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    }
+  });
+
+  after(() => {
+    fs.rmSync(exportsDir, { recursive: true, force: true });
+  });
+
+  describe('ExportTransactionsToDataFileUseCase', () => {
+    it('usa ";", vírgula decimal e DD/MM/AAAA em pt-BR', async () => {
+      const result = await exportTransactions.execute(USER_ID, PERIOD, { locale: 'pt-BR', filename: 'pt-br.csv' });
+
+      assert.equal(result.transactionCount, 2);
+      assert.deepEqual(csvLines(result), [
+        'Data;Tipo;Valor;Descrição;Categoria;Conta;Favorecido;Tags;Situação',
+        '05/03/2026;Receita;1234,56;Salário março;Salário;Conta Corrente;;;Compensada',
+        '12/03/2026;Despesa;45,90;"Feira; hortifruti";Mercado;Conta Corrente;;;Compensada'
+      ]);
+    });
+
+    it('usa ",", ponto decimal e MM/DD/AAAA em en-US', async () => {
+      const result = await exportTransactions.execute(USER_ID, PERIOD, { locale: 'en-US', filename: 'en-us.csv' });
+
+      assert.deepEqual(csvLines(result), [
+        'Data,Tipo,Valor,Descrição,Categoria,Conta,Favorecido,Tags,Situação',
+        '03/05/2026,Receita,1234.56,Salário março,Salário,Conta Corrente,,,Compensada',
+        '03/12/2026,Despesa,45.90,Feira; hortifruti,Mercado,Conta Corrente,,,Compensada'
+      ]);
+    });
+
+    it('usa AAAA-MM-DD no formato iso', async () => {
+      const result = await exportTransactions.execute(USER_ID, PERIOD, { locale: 'iso', filename: 'iso.csv' });
+
+      assert.deepEqual(csvLines(result).map(line => line.split(',').slice(0, 3).join(',')), [
+        'Data,Tipo,Valor',
+        '2026-03-05,Receita,1234.56',
+        '2026-03-12,Despesa,45.90'
+      ]);
+    });
+
+    it('mantém números e datas AAAA-MM-DD no JSON', async () => {
+      const result = await exportTransactions.execute(USER_ID, PERIOD, { format: 'json', filename: 'transacoes.json' });
+      const data = JSON.parse(read(result));
+
+      assert.equal(data.type, 'transactions');
+      assert.deepEqual(data.period, { start: '2026-03-01', end: '2026-03-31' });
+      assert.deepEqual(data.tables.transactions.map(({ date, type, amount, status }) => ({ date, type, amount, status })), [
+        { date: '2026-03-05', type: 'income', amount: 1234.56, status: 'cleared' },
+        { date: '2026-03-12', type: 'expense', amount: 45.9, status: 'cleared' }
+      ]);
+    });
+  });
+
+  describe('ExportReportToDataFileUseCase', () => {
+    it('separa as tabelas do relatório mensal e formata o resumo em pt-BR', async () => {
+      const result = await exportReport.execute(USER_ID, 'monthly', { month: '2026-03', filename: 'mensal.csv' });
+      const lines = csvLines(result);
+
+      assert.equal(result.tableCount, 4);
+      assert.deepEqual(lines.slice(0, 4), ['Resumo', 'Campo;Valor', 'Período;Março de 2026', 'Receitas;1234,56']);
+      assert.ok(lines.includes(''));
+      assert.ok(lines.includes('05/03/2026;Receita;1234,56;Salário março;Salário'));
+      assert.ok(lines.includes('12/03/2026;Despesa;45,90;"Feira; hortifruti";Mercado'));
+    });
+
+    it('mantém números e datas AAAA-MM-DD no JSON do relatório mensal', async () => {
+      const result = await exportReport.execute(USER_ID, 'monthly', { month: '2026-03', format: 'json', filename: 'mensal.json' });
+      const data = JSON.parse(read(result));
+
+      assert.equal(data.type, 'monthly');
+      assert.deepEqual(data.period, { label: 'Março de 2026', start: '2026-03-01', end: '2026-03-31' });
+      assert.equal(data.tables.summary.totalIncome, 1234.56);
+      assert.equal(data.tables.summary.totalExpense, 45.9);
+      assert.equal(data.tables.summary.transactionCount, 2);
+      assert.deepEqual(data.tables.transactions.map(({ date, amount }) => ({ date, amount })), [
+        { date: '2026-03-12', amount: 45.9 },
+        { date: '2026-03-05', amount: 1234.56 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { Account } from '../../src/domain/entities/Account.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { ImportOfxStatementUseCase } from '../../src/application/use-cases/imports/ImportOfxStatementUseCase.js';
+import { ImportFileService } from '../../src/infrastructure/services/ImportFileService.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+const fixture = name => fileURLToPath(new URL(`../fixtures/${name}`, import.meta.url));
+
+let importOfx;
+let transactionRepository;
+let account;
+let options;
+
+describe('ImportOfxStatementUseCase', () => {
+  beforeEach(async () => {
+    const repositories = createMemoryRepositories();
+    const { accountRepository, categoryRepository } = repositories;
+    const createCategory = new CreateCategoryUseCase(categoryRepository);
+    const income = await createCategory.execute({ userId: USER_ID, name: 'Outras receitas', type: 'income' });
+    const expense = await createCategory.execute({ userId: USER_ID, name: 'Outras despesas', type: 'expense' });
+
+    transactionRepository = repositories.transactionRepository;
+    account = await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    options = {
+      accountId: account.id,
+      fallbackCategoryIds: { income: income.category.id, expense: expense.category.id }
+    };
+    importOfx = new ImportOfxStatementUseCase(
+      new ImportFileService(),
+      createTransactionUseCase(repositories),
+      transactionRepository,
+      accountRepository
+    );
+  });
+
+  /**
+   * Transações gravadas do usuário
+   */
+  async function listTransactions() {
+    return transactionRepository.findByFilters({ userId: USER_ID, limit: null });
+  }
+
+  it('importa os lançamentos com o FITID', async () => {
+    const result = await importOfx.execute(USER_ID, fixture('extrato-sgml.ofx'), options);
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 3);
+    assert.deepEqual(result.entries.map(entry => entry.status), ['imported', 'imported', 'imported']);
+
+    const transactions = await listTransactions();
+
+    assert.deepEqual(transactions.map(transaction => transaction.externalId).sort(),
+      ['20240105001', '20240110002', '20240115003']);
+    assert.ok(transactions.every(transaction => Number(transaction.accountId) === Number(account.id)));
+  });
+
+  it('reimportar o mesmo extrato pula os FITIDs já importados', async () => {
+    await importOfx.execute(USER_ID, fixture('extrato-sgml.ofx'), options);
+    const result = await importOfx.execute(USER_ID, fixture('extrato-sgml.ofx'), options);
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 0);
+    assert.deepEqual(result.entries.map(entry => [entry.status, entry.reason]), [
+      ['skipped', 'Já importado'],
+      ['skipped', 'Já importado'],
+      ['skipped', 'Já importado']
+    ]);
+    assert.equal((await listTransactions()).length, 3);
+  });
+
+  it('lançamento com data inválida não é gravado', async () => {
+    const result = await importOfx.execute(USER_ID, fixture('extrato-xml.ofx'), options);
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 2);
+    assert.equal(result.entries[2].status, 'error');
+    assert.equal((await listTransactions()).length, 2);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { Account } from '../../src/domain/entities/Account.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { CreateTransferUseCase } from '../../src/application/use-cases/transfers/CreateTransferUseCase.js';
+import { ImportQifTransactionsUseCase } from '../../src/application/use-cases/imports/ImportQifTransactionsUseCase.js';
+import { ImportFileService } from '../../src/infrastructure/services/ImportFileService.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+const fixture = name => fileURLToPath(new URL(`../fixtures/${name}`, import.meta.url));
+
+let importQif;
+let createTransaction;
+let categoryRepository;
+let accountRepository;
+let transactionRepository;
+let transferRepository;
+let account;
+
+describe('ImportQifTransactionsUseCase', () => {
+  beforeEach(async () => {
+    const repositories = createMemoryRepositories();
+
+    ({ accountRepository, transactionRepository, transferRepository, categoryRepository } = repositories);
+    account = await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    createTransaction = createTransactionUseCase(repositories);
+    importQif = new ImportQifTransactionsUseCase(
+      new ImportFileService(),
+      createTransaction,
+      new CreateCategoryUseCase(categoryRepository),
+      new CreateTransferUseCase(transferRepository, accountRepository),
+      categoryRepository,
+      accountRepository,
+      transferRepository
+    );
+  });
+
+  it('cria a categoria principal e a subcategoria de "Pai:Filho"', async () => {
+    const result = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [1, 2] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 2);
+    assert.deepEqual(result.newCategories, ['Moradia:Aluguel (despesa)', 'Alimentação:Supermercado (despesa)']);
+
+    const categories = await categoryRepository.findByUserId(USER_ID);
+    const moradia = categories.find(category => category.name === 'Moradia');
+    const aluguel = categories.find(category => category.name === 'Aluguel');
+
+    assert.ok(moradia && !moradia.isSubcategory());
+    assert.equal(Number(aluguel.parentId), Number(moradia.id));
+    assert.equal(Number(result.results[0].transaction.categoryId), Number(aluguel.id));
+    assert.equal(Number(result.results[0].transaction.accountId), Number(account.id));
+  });
+
+  it('reaproveita a categoria principal que já existe', async () => {
+    await new CreateCategoryUseCase(categoryRepository).execute({ userId: USER_ID, name: 'Alimentação', type: 'expense' });
+
+    const result = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [2] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 1);
+
+    const categories = await categoryRepository.findByUserId(USER_ID);
+    const parents = categories.filter(category => category.name === 'Alimentação');
+    const child = categories.find(category => category.name === 'Supermercado');
+
+    assert.equal(parents.length, 1);
+    assert.equal(Number(child.parentId), Number(parents[0].id));
+  });
+
+  it('remove as categorias criadas para uma transação que não foi importada', async () => {
+    const preview = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [1], dryRun: true });
+    const { amount, date, description } = preview.results[0].transaction;
+    const { category: casa } = await new CreateCategoryUseCase(categoryRepository).execute({ userId: USER_ID, name: 'Casa', type: 'expense' });
+    const existing = await createTransaction.execute({
+      userId: USER_ID, type: 'expense', categoryId: casa.id, accountId: account.id, amount, date, description
+    });
+
+    assert.equal(existing.success, true, existing.errors && existing.errors.join(', '));
+
+    const result = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [1, 2] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.deepEqual(result.results.map(row => row.status), ['duplicate', 'imported']);
+    assert.deepEqual(result.newCategories, ['Alimentação:Supermercado (despesa)']);
+
+    const names = (await categoryRepository.findByUserId(USER_ID)).map(category => category.name).sort();
+
+    assert.deepEqual(names, ['Alimentação', 'Casa', 'Supermercado']);
+  });
+
+  it('ignora a transferência quando não há conta com o nome de "[Conta]"', async () => {
+    const result = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [3] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 0);
+    assert.equal(result.results[0].status, 'skipped');
+    assert.match(result.results[0].warnings[0], /Transferência com "Poupança" ignorada/);
+    assert.equal((await transactionRepository.findByFilters({ userId: USER_ID, limit: null })).length, 0);
+  });
+
+  it('cria a transferência para a conta de mesmo nome de "[Conta]"', async () => {
+    const savings = await accountRepository.create(new Account({ userId: USER_ID, name: 'Poupança', type: 'savings' }));
+    const result = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [3] });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.importedCount, 1);
+
+    const transfers = await transferRepository.findByUserId(USER_ID);
+
+    assert.equal(transfers.length, 1);
+    assert.equal(Number(transfers[0].fromAccountId), Number(account.id));
+    assert.equal(Number(transfers[0].toAccountId), Number(savings.id));
+    assert.equal(transfers[0].amount, 500);
+
+    // Só as duas movimentações da transferência, nenhuma receita ou despesa comum
+    const transactions = await transactionRepository.findByFilters({ userId: USER_ID, limit: null });
+
+    assert.ok(transactions.every(transaction => transaction.transferId));
+
+    // Reimportar não duplica a transferência
+    const again = await importQif.execute(USER_ID, fixture('contas.qif'), { entries: [3] });
+
+    assert.equal(again.results[0].status, 'duplicate');
+    assert.equal((await transferRepository.findByUserId(USER_ID)).length, 1);
+  });
+
+  it('cria uma transferência só quando o arquivo traz os dois lados', async () => {
+    await accountRepository.create(new Account({ userId: USER_ID, name: 'Poupança', type: 'savings' }));
+    const result = await importQif.execute(USER_ID, fixture('transferencia.qif'));
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.deepEqual(result.results.map(row => row.status), ['imported', 'skipped']);
+    assert.equal((await transferRepository.findByUserId(USER_ID)).length, 1);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { MergeDuplicateTransactionsUseCase } from '../../src/application/use-cases/duplicates/MergeDuplicateTransactionsUseCase.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+const mergeDuplicates = new MergeDuplicateTransactionsUseCase(transactionRepository);
+
+let categoryId;
+let accountId;
+let keeper;
+let withTag;
+let plain;
+
+const create = (data) => transactionRepository.create(new Transaction({
+  userId: USER_ID, type: 'expense', categoryId, accountId, amount: 80, date: new Date('2026-03-10T12:00:00'), ...data
+}));
+
+const attachmentHashes = async (transactionId) => {
+  const result = await database.query('SELECT content_hash FROM attachments WHERE transaction_id = $1 ORDER BY id', [transactionId]);
+  return result.rows.map(row => row.content_hash);
+};
+
+describe('MergeDuplicateTransactionsUseCase', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+    categoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Mercado', 'expense') RETURNING id", [USER_ID]
+    )).rows[0].id;
+    accountId = await insertAccount(database, USER_ID);
+  });
+
+  beforeEach(async () => {
+    await database.query('DELETE FROM transactions WHERE user_id = $1', [USER_ID]);
+
+    keeper = await create({});
+    withTag = await create({ description: 'Supermercado', tags: ['mercado'] });
+    plain = await create({ description: 'Supermercado' });
+
+    await database.query(
+      "INSERT INTO attachments (user_id, transaction_id, file_name, content_hash, mime_type, size) VALUES ($1, $2, 'nota.pdf', 'hash-nota', 'application/pdf', 10)",
+      [USER_ID, withTag.id]
+    );
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('passa tags, descrição e anexos para a que fica e apaga as outras', async () => {
+    const result = await mergeDuplicates.execute(USER_ID, keeper.id, [withTag.id, plain.id]);
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.removedCount, 2);
+    assert.deepEqual(result.transaction.tags, ['mercado']);
+    assert.equal(result.transaction.description, 'Supermercado');
+    assert.deepEqual(await attachmentHashes(keeper.id), ['hash-nota']);
+    assert.equal(await transactionRepository.findById(withTag.id), null);
+    assert.equal(await transactionRepository.findById(plain.id), null);
+  });
+
+  it('não muda nada quando uma duplicada é conciliada no meio da mesclagem', async () => {
+    const reconciliationId = (await database.query(
+      "INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance) VALUES ($1, $2, '2026-03-31', 0) RETURNING id",
+      [USER_ID, accountId]
+    )).rows[0].id;
+
+    // A conciliação chega depois de o caso de uso conferir as duplicadas
+    const merge = transactionRepository.merge.bind(transactionRepository);
+    transactionRepository.merge = async (...args) => {
+      await database.query('UPDATE transactions SET reconciliation_id = $1 WHERE id = $2', [reconciliationId, plain.id]);
+      return merge(...args);
+    };
+
+    try {
+      const result = await mergeDuplicates.execute(USER_ID, keeper.id, [withTag.id, plain.id]);
+
+      assert.equal(result.success, false);
+      assert.match(result.errors[0], /foram alteradas ou conciliadas/);
+    } finally {
+      transactionRepository.merge = merge;
+    }
+
+    const unchanged = await transactionRepository.findById(keeper.id);
+
+    assert.deepEqual(unchanged.tags, []);
+    assert.equal(unchanged.description, '');
+    assert.deepEqual(await attachmentHashes(keeper.id), []);
+    assert.ok(await transactionRepository.findById(withTag.id));
+    assert.deepEqual(await attachmentHashes(withTag.id), ['hash-nota']);
+  });
+});
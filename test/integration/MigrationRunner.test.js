@@ -0,0 +1,80 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { MigrationRunner } from '../../src/infrastructure/database/MigrationRunner.js';
+import { createTempDatabase, removeTempDatabase } from '../helpers/sqlite.js';
+
+const temp = createTempDatabase();
+const { database } = temp;
+const databasePath = database.filename;
+const migrateScript = fileURLToPath(new URL('../../scripts/migrate.js', import.meta.url));
+
+/**
+ * Roda "npm run migrate" no banco do teste
+ */
+const migrate = (...args) => spawnSync(process.execPath, [migrateScript, ...args], {
+  encoding: 'utf8',
+  timeout: 30000,
+  env: { ...process.env, DATABASE_PROVIDER: 'sqlite', SQLITE_DATABASE_PATH: databasePath }
+});
+const runner = new MigrationRunner(database);
+
+describe('MigrationRunner', () => {
+  before(async () => {
+    await database.connect();
+    await runner.up();
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('aplica todas as migrações', async () => {
+    assert.equal((await runner.getPendingMigrations()).length, 0);
+    assert.equal((await runner.getAppliedMigrations()).length, runner.loadMigrations().length);
+  });
+
+  it('recusa reverter 0, negativo, fracionário ou texto sem reverter nada', async () => {
+    const applied = (await runner.getAppliedMigrations()).length;
+
+    for (const steps of [0, -1, 1.5, NaN, '1']) {
+      await assert.rejects(() => runner.down(steps), /Quantidade de migrações a reverter inválida/);
+    }
+
+    assert.equal((await runner.getAppliedMigrations()).length, applied);
+  });
+
+  it('reverte só a última migração por padrão e reaplica', async () => {
+    const applied = await runner.getAppliedMigrations();
+    const reverted = await runner.down();
+
+    assert.deepEqual(reverted.map(migration => migration.version), [applied[applied.length - 1].version]);
+    assert.equal((await runner.getAppliedMigrations()).length, applied.length - 1);
+
+    assert.equal((await runner.up()).length, 1);
+  });
+
+  it('o comando migrate recusa "down 0" e "down abc" sem reverter nada', async () => {
+    const applied = (await runner.getAppliedMigrations()).length;
+
+    for (const steps of ['0', 'abc']) {
+      const result = migrate('down', steps);
+
+      assert.equal(result.status, 1, result.stderr);
+      assert.match(result.stderr, new RegExp(`Argumento inválido para "down": ${steps}`));
+    }
+
+    assert.equal((await runner.getAppliedMigrations()).length, applied);
+  });
+
+  it('o comando migrate reverte e reaplica a quantidade informada', async () => {
+    const applied = (await runner.getAppliedMigrations()).length;
+
+    assert.equal(migrate('down', '2').status, 0);
+    assert.equal((await runner.getAppliedMigrations()).length, applied - 2);
+
+    assert.equal(migrate('up').status, 0);
+    assert.equal((await runner.getAppliedMigrations()).length, applied);
+  });
+});
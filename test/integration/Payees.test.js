@@ -0,0 +1,117 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account } from '../../src/domain/entities/Account.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { MISSING_CATEGORY_ERROR } from '../../src/application/use-cases/CreateTransactionUseCase.js';
+import { CreatePayeeUseCase } from '../../src/application/use-cases/payees/CreatePayeeUseCase.js';
+import { CreateCategoryRuleUseCase } from '../../src/application/use-cases/rules/CreateCategoryRuleUseCase.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+
+let repositories;
+let createTransaction;
+let createPayee;
+let bakery;
+let market;
+let salary;
+let payee;
+
+const expense = (data) => createTransaction.execute({
+  userId: USER_ID, type: 'expense', amount: 25, date: new Date(2026, 2, 10), allowDuplicate: true, ...data
+});
+
+describe('Favorecidos', () => {
+  beforeEach(async () => {
+    repositories = createMemoryRepositories();
+    const { categoryRepository, accountRepository, payeeRepository, transactionRepository } = repositories;
+    const createCategory = new CreateCategoryUseCase(categoryRepository);
+
+    createTransaction = createTransactionUseCase(repositories);
+    createPayee = new CreatePayeeUseCase(payeeRepository, categoryRepository, transactionRepository);
+
+    await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    bakery = (await createCategory.execute({ userId: USER_ID, name: 'Padaria', type: 'expense' })).category;
+    market = (await createCategory.execute({ userId: USER_ID, name: 'Mercado', type: 'expense' })).category;
+    salary = (await createCategory.execute({ userId: USER_ID, name: 'Salário', type: 'income' })).category;
+
+    const created = await createPayee.execute(USER_ID, {
+      name: 'Padaria Central',
+      aliases: ['PAD CENTRAL'],
+      defaultCategoryId: bakery.id
+    });
+
+    assert.equal(created.success, true, created.errors && created.errors.join(', '));
+    payee = created.payee;
+  });
+
+  describe('CreateTransactionUseCase', () => {
+    it('vincula o favorecido pelo apelido na descrição', async () => {
+      const result = await expense({ categoryId: market.id, description: 'COMPRA CARTAO PAD CENTRAL 1234' });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      assert.equal(result.transaction.payeeId, payee.id);
+      assert.equal(result.transaction.categoryId, market.id);
+    });
+
+    it('usa a categoria padrão do favorecido quando a transação não tem categoria', async () => {
+      const result = await expense({ description: 'Padaria Central', fallbackCategoryId: market.id });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      assert.equal(result.transaction.payeeId, payee.id);
+      assert.equal(Number(result.transaction.categoryId), Number(bakery.id));
+    });
+
+    it('deixa a regra de categorização na frente da categoria do favorecido', async () => {
+      const rule = await new CreateCategoryRuleUseCase(repositories.categoryRuleRepository, repositories.categoryRepository)
+        .execute(USER_ID, { descriptionContains: 'central', categoryId: market.id });
+
+      assert.equal(rule.success, true, rule.errors && rule.errors.join(', '));
+
+      const result = await expense({ description: 'Padaria Central' });
+
+      assert.equal(Number(result.transaction.categoryId), Number(market.id));
+    });
+
+    it('ignora a categoria do favorecido de outro tipo', async () => {
+      const withFallback = await createTransaction.execute({
+        userId: USER_ID, type: 'income', amount: 25, description: 'Estorno Padaria Central', date: new Date(2026, 2, 10),
+        fallbackCategoryId: salary.id
+      });
+
+      assert.equal(withFallback.success, true, withFallback.errors && withFallback.errors.join(', '));
+      assert.equal(Number(withFallback.transaction.categoryId), Number(salary.id));
+
+      const withoutFallback = await createTransaction.execute({
+        userId: USER_ID, type: 'income', amount: 30, description: 'Estorno Padaria Central', date: new Date(2026, 2, 11)
+      });
+
+      assert.deepEqual(withoutFallback.errors, [MISSING_CATEGORY_ERROR]);
+    });
+
+    it('exige categoria sem favorecido, regra nem categoria padrão', async () => {
+      const result = await expense({ description: 'Farmácia' });
+
+      assert.equal(result.success, false);
+      assert.deepEqual(result.errors, [MISSING_CATEGORY_ERROR]);
+    });
+  });
+
+  describe('CreatePayeeUseCase', () => {
+    it('vincula as transações já registradas que correspondem ao favorecido', async () => {
+      await expense({ categoryId: market.id, description: 'Supermercado Bom Preço' });
+      await expense({ categoryId: market.id, description: 'BOM PRECO FILIAL 2', amount: 40 });
+
+      const result = await createPayee.execute(USER_ID, { name: 'Bom Preço' });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      assert.equal(result.linkedCount, 2);
+    });
+
+    it('recusa o apelido que já é de outro favorecido', async () => {
+      const result = await createPayee.execute(USER_ID, { name: 'Outra Padaria', aliases: ['pad central'] });
+
+      assert.equal(result.success, false);
+    });
+  });
+});
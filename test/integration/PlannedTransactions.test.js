@@ -0,0 +1,90 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { ConfirmPlannedTransactionUseCase } from '../../src/application/use-cases/ConfirmPlannedTransactionUseCase.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+const confirmPlanned = new ConfirmPlannedTransactionUseCase(transactionRepository);
+
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+let accountId;
+let categoryId;
+let planned;
+
+const create = (data) => transactionRepository.create(new Transaction({
+  userId: USER_ID, type: 'expense', categoryId, accountId, date: daysFromToday(-2), ...data
+}));
+
+describe('Transações previstas', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+    accountId = await insertAccount(database, USER_ID);
+    categoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Moradia', 'expense') RETURNING id", [USER_ID]
+    )).rows[0].id;
+  });
+
+  beforeEach(async () => {
+    await database.query('DELETE FROM transactions WHERE user_id = $1', [USER_ID]);
+
+    await create({ amount: 200, description: 'Conta de luz' });
+    await create({ amount: 80, description: 'Internet', status: 'pending' });
+    planned = await create({ amount: 1500, description: 'Aluguel', status: 'planned', date: daysFromToday(10) });
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('deixa as previstas fora dos totais realizados do resumo', async () => {
+    const summary = await transactionRepository.getSummary(USER_ID);
+
+    assert.equal(summary.totalExpense, 280);
+    assert.equal(summary.count, 2);
+    assert.equal(summary.plannedExpense, 1500);
+    assert.equal(summary.plannedCount, 1);
+    assert.equal(summary.balance, -280);
+  });
+
+  it('deixa as previstas fora da listagem quando pedido', async () => {
+    const all = await transactionRepository.findByFilters({ userId: USER_ID, limit: null });
+    const realized = await transactionRepository.findByFilters({ userId: USER_ID, includePlanned: false, limit: null });
+
+    assert.equal(all.length, 3);
+    assert.deepEqual(realized.map(transaction => transaction.description).sort(), ['Conta de luz', 'Internet']);
+  });
+
+  it('passa a contar a prevista confirmada, com o valor efetivo', async () => {
+    const result = await confirmPlanned.execute({ id: planned.id, userId: USER_ID, amount: 1450, date: daysFromToday(0) });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+    assert.equal(result.transaction.status, 'cleared');
+
+    const summary = await transactionRepository.getSummary(USER_ID);
+
+    assert.equal(summary.totalExpense, 1730);
+    assert.equal(summary.plannedCount, 0);
+  });
+
+  it('não confirma com data futura nem o que não está previsto', async () => {
+    const future = await confirmPlanned.execute({ id: planned.id, userId: USER_ID, date: daysFromToday(10) });
+    const [cleared] = await transactionRepository.findByFilters({ userId: USER_ID, status: 'cleared', limit: null });
+    const notPlanned = await confirmPlanned.execute({ id: cleared.id, userId: USER_ID });
+
+    assert.equal(future.success, false);
+    assert.deepEqual(notPlanned.errors, ['Esta transação não está prevista']);
+    assert.equal((await transactionRepository.findById(planned.id)).status, 'planned');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account } from '../../src/domain/entities/Account.js';
+import { SeedDefaultCategoriesUseCase } from '../../src/application/use-cases/SeedDefaultCategoriesUseCase.js';
+import { CreateTransferUseCase } from '../../src/application/use-cases/transfers/CreateTransferUseCase.js';
+import { UpdateTransferUseCase } from '../../src/application/use-cases/transfers/UpdateTransferUseCase.js';
+import { DeleteTransferUseCase } from '../../src/application/use-cases/transfers/DeleteTransferUseCase.js';
+import { CreateInstallmentPlanUseCase } from '../../src/application/use-cases/installments/CreateInstallmentPlanUseCase.js';
+import { DeleteInstallmentPlanUseCase } from '../../src/application/use-cases/installments/DeleteInstallmentPlanUseCase.js';
+import { CancelRemainingInstallmentsUseCase } from '../../src/application/use-cases/installments/CancelRemainingInstallmentsUseCase.js';
+import { UpdateRemainingInstallmentsUseCase } from '../../src/application/use-cases/installments/UpdateRemainingInstallmentsUseCase.js';
+import { StartReconciliationUseCase } from '../../src/application/use-cases/reconciliation/StartReconciliationUseCase.js';
+import { FinishReconciliationUseCase } from '../../src/application/use-cases/reconciliation/FinishReconciliationUseCase.js';
+import { UnlockReconciledTransactionUseCase } from '../../src/application/use-cases/reconciliation/UnlockReconciledTransactionUseCase.js';
+import { InMemoryStore } from '../../src/infrastructure/memory/InMemoryStore.js';
+import { InMemoryAccountRepository } from '../../src/infrastructure/memory/InMemoryAccountRepository.js';
+import { InMemoryCategoryRepository } from '../../src/infrastructure/memory/InMemoryCategoryRepository.js';
+import { InMemoryInstallmentPlanRepository } from '../../src/infrastructure/memory/InMemoryInstallmentPlanRepository.js';
+import { InMemoryReconciliationRepository } from '../../src/infrastructure/memory/InMemoryReconciliationRepository.js';
+import { InMemoryTransactionRepository } from '../../src/infrastructure/memory/InMemoryTransactionRepository.js';
+import { InMemoryTransferRepository } from '../../src/infrastructure/memory/InMemoryTransferRepository.js';
+
+const USER_ID = 'usuario-teste';
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+};
+
+let accountRepository;
+let categoryRepository;
+let transferRepository;
+let installmentPlanRepository;
+let reconcile;
+let unlock;
+let checking;
+let savings;
+
+describe('Travas das transações conciliadas', () => {
+  beforeEach(async () => {
+    const store = new InMemoryStore();
+    const reconciliationRepository = new InMemoryReconciliationRepository(store);
+    const transactionRepository = new InMemoryTransactionRepository(store);
+
+    accountRepository = new InMemoryAccountRepository(store);
+    categoryRepository = new InMemoryCategoryRepository(store);
+    transferRepository = new InMemoryTransferRepository(store);
+    installmentPlanRepository = new InMemoryInstallmentPlanRepository(store);
+    unlock = new UnlockReconciledTransactionUseCase(transactionRepository, reconciliationRepository);
+
+    await new SeedDefaultCategoriesUseCase(categoryRepository).execute();
+
+    checking = await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    savings = await accountRepository.create(new Account({ userId: USER_ID, name: 'Poupança', type: 'savings' }));
+
+    // Concilia todas as transações da conta até hoje
+    reconcile = async (account, statementBalance) => {
+      const started = await new StartReconciliationUseCase(reconciliationRepository, accountRepository, transactionRepository)
+        .execute(USER_ID, account.id, { statementDate: new Date(), statementBalance });
+
+      assert.equal(started.success, true, started.errors && started.errors.join(', '));
+      started.reconciliation.setSelected(started.reconciliation.transactions.map(transaction => transaction.id), true);
+
+      const finished = await new FinishReconciliationUseCase(reconciliationRepository).execute(USER_ID, started.reconciliation);
+
+      assert.equal(finished.success, true, finished.errors && finished.errors.join(', '));
+      return started.reconciliation.transactions;
+    };
+  });
+
+  describe('Transferências', () => {
+    let transfer;
+
+    beforeEach(async () => {
+      const result = await new CreateTransferUseCase(transferRepository, accountRepository)
+        .execute(USER_ID, { fromAccountId: checking.id, toAccountId: savings.id, amount: 100, date: monthsAgo(1) });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      transfer = result.transfer;
+    });
+
+    it('não altera nem deleta uma transferência com um lado conciliado', async () => {
+      await reconcile(savings, 100);
+
+      const updated = await new UpdateTransferUseCase(transferRepository, accountRepository)
+        .execute(USER_ID, transfer.id, { amount: 150 });
+      const deleted = await new DeleteTransferUseCase(transferRepository).execute(USER_ID, transfer.id);
+
+      assert.deepEqual(updated.errors, ['Conciliada (desbloqueie antes de alterar)']);
+      assert.deepEqual(deleted.errors, ['Conciliada (desbloqueie antes de deletar)']);
+      assert.equal((await transferRepository.findById(transfer.id)).amount, 100);
+    });
+
+    it('deleta a transferência depois de desbloquear o lado conciliado', async () => {
+      const [movement] = await reconcile(savings, 100);
+
+      assert.equal((await unlock.execute(USER_ID, movement.id)).success, true);
+
+      const deleted = await new DeleteTransferUseCase(transferRepository).execute(USER_ID, transfer.id);
+
+      assert.equal(deleted.success, true, deleted.errors && deleted.errors.join(', '));
+      assert.equal(await transferRepository.findById(transfer.id), null);
+    });
+  });
+
+  describe('Parcelamentos', () => {
+    let plan;
+
+    beforeEach(async () => {
+      const categories = await categoryRepository.findByUserId(USER_ID);
+      const result = await new CreateInstallmentPlanUseCase(installmentPlanRepository, categoryRepository, accountRepository)
+        .execute(USER_ID, {
+          categoryId: categories.find(category => category.type === 'expense').id,
+          accountId: checking.id,
+          totalAmount: 300,
+          installmentCount: 3,
+          date: monthsAgo(3)
+        });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      plan = result.plan;
+
+      await reconcile(checking, -300);
+    });
+
+    it('não deleta um parcelamento com parcelas conciliadas', async () => {
+      const result = await new DeleteInstallmentPlanUseCase(installmentPlanRepository).execute(USER_ID, plan.id);
+
+      assert.deepEqual(result.errors, ['Conciliada (desbloqueie antes de deletar)']);
+      assert.ok(await installmentPlanRepository.findById(plan.id));
+    });
+
+    it('não cancela nem altera parcelas restantes conciliadas', async () => {
+      // Visto do dia da compra, as parcelas seguintes ainda estão a vencer
+      const options = { today: monthsAgo(3) };
+      const cancelled = await new CancelRemainingInstallmentsUseCase(installmentPlanRepository)
+        .execute(USER_ID, plan.id, options);
+      const updated = await new UpdateRemainingInstallmentsUseCase(installmentPlanRepository, categoryRepository, accountRepository)
+        .execute(USER_ID, plan.id, { description: 'Celular' }, options);
+
+      assert.deepEqual(cancelled.errors, ['Conciliada (desbloqueie antes de deletar)']);
+      assert.deepEqual(updated.errors, ['Conciliada (desbloqueie antes de alterar)']);
+      assert.equal((await installmentPlanRepository.findById(plan.id)).installments.length, 3);
+    });
+  });
+});
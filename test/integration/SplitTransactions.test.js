@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { BudgetRepository } from '../../src/infrastructure/database/BudgetRepository.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const START = new Date('2026-03-01T00:00:00');
+const END = new Date('2026-03-31T00:00:00');
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+const budgetRepository = new BudgetRepository(database);
+
+let accountId;
+let market;
+let pharmacy;
+let split;
+
+const insertCategory = async (name) => (await database.query(
+  "INSERT INTO categories (user_id, name, type) VALUES ($1, $2, 'expense') RETURNING id", [USER_ID, name]
+)).rows[0].id;
+
+const create = (data) => transactionRepository.create(new Transaction({
+  userId: USER_ID, type: 'expense', accountId, date: new Date('2026-03-10T12:00:00'), ...data
+}));
+
+describe('Transações divididas entre categorias', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+    accountId = await insertAccount(database, USER_ID);
+    market = await insertCategory('Mercado');
+    pharmacy = await insertCategory('Farmácia');
+
+    split = await create({
+      categoryId: market,
+      amount: 100,
+      description: 'Hipermercado',
+      splits: [{ categoryId: market, amount: 70 }, { categoryId: pharmacy, amount: 30 }]
+    });
+    await create({ categoryId: pharmacy, amount: 20, description: 'Drogaria' });
+    await create({ categoryId: market, amount: 500, description: 'Compra do mês', status: 'planned', date: new Date('2026-03-28T12:00:00') });
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('só aceita a divisão que soma o valor da transação', () => {
+    const data = { userId: USER_ID, type: 'expense', accountId: 1, categoryId: market, amount: 100, date: new Date('2026-03-10T12:00:00') };
+
+    assert.equal(new Transaction({ ...data, splits: [{ categoryId: market, amount: 70 }, { categoryId: pharmacy, amount: 30 }] }).isValidSplits(), true);
+    assert.equal(new Transaction({ ...data, splits: [{ categoryId: market, amount: 70 }, { categoryId: pharmacy, amount: 20 }] }).isValidSplits(), false);
+    assert.equal(new Transaction({ ...data, splits: [{ categoryId: pharmacy, amount: 30 }, { categoryId: market, amount: 70 }] }).isValidSplits(), false);
+  });
+
+  it('grava e devolve as linhas da divisão', async () => {
+    const found = await transactionRepository.findById(split.id);
+
+    assert.deepEqual(found.splits.map(line => [Number(line.categoryId), line.amount]), [[market, 70], [pharmacy, 30]]);
+  });
+
+  it('soma no orçamento só a linha da categoria, sem as previstas', async () => {
+    assert.equal(await budgetRepository.getSpentAmount(USER_ID, market, START, END), 70);
+    assert.equal(await budgetRepository.getSpentAmount(USER_ID, pharmacy, START, END), 50);
+  });
+
+  it('soma nos relatórios por categoria o valor de cada linha', async () => {
+    const totals = await transactionRepository.getTotalsByCategory(USER_ID, { startDate: START, endDate: END, includePlanned: false });
+    const byCategory = Object.fromEntries(totals.map(row => [Number(row.categoryId), row.total]));
+
+    assert.deepEqual(byCategory, { [market]: 70, [pharmacy]: 50 });
+  });
+
+  it('lista a transação dividida no filtro de cada categoria', async () => {
+    const inPharmacy = await transactionRepository.findByFilters({ userId: USER_ID, categoryId: pharmacy, limit: null });
+
+    assert.deepEqual(inPharmacy.map(transaction => transaction.description).sort(), ['Drogaria', 'Hipermercado']);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SqliteDatabase } from '../../src/infrastructure/database/SqliteDatabase.js';
+
+const database = new SqliteDatabase(':memory:');
+
+const names = async () => (await database.query('SELECT name FROM items ORDER BY name')).rows.map(row => row.name);
+
+// Devolve o controle ao event loop, como uma query do PostgreSQL faria
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('SqliteDatabase', () => {
+  before(async () => {
+    await database.connect();
+    await database.query('CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL)');
+  });
+
+  beforeEach(async () => {
+    await database.query('DELETE FROM items');
+  });
+
+  after(async () => {
+    await database.close();
+  });
+
+  describe('transaction', () => {
+    it('não desfaz no ROLLBACK uma query feita fora dela enquanto aguardava', async () => {
+      const failing = database.transaction(async (client) => {
+        await client.query('INSERT INTO items (name) VALUES ($1)', ['dentro']);
+        await tick();
+        throw new Error('falhou');
+      });
+      const outside = database.query('INSERT INTO items (name) VALUES ($1)', ['fora']);
+
+      await assert.rejects(failing, /falhou/);
+      await outside;
+
+      assert.deepEqual(await names(), ['fora']);
+    });
+
+    it('executa transações concorrentes uma depois da outra', async () => {
+      const insert = (name) => database.transaction(async (client) => {
+        await client.query('INSERT INTO items (name) VALUES ($1)', [name]);
+        await tick();
+        return (await client.query('SELECT COUNT(*) as count FROM items')).rows[0].count;
+      });
+
+      const counts = await Promise.all([insert('a'), insert('b')]);
+
+      assert.deepEqual(counts, [1, 2]);
+      assert.deepEqual(await names(), ['a', 'b']);
+    });
+
+    it('libera a fila depois de uma transação que falhou', async () => {
+      await assert.rejects(database.transaction(async () => {
+        throw new Error('falhou');
+      }));
+
+      await database.query('INSERT INTO items (name) VALUES ($1)', ['depois']);
+
+      assert.deepEqual(await names(), ['depois']);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account } from '../../src/domain/entities/Account.js';
+import { CreateCategoryUseCase } from '../../src/application/use-cases/CreateCategoryUseCase.js';
+import { UpdateTransactionUseCase } from '../../src/application/use-cases/UpdateTransactionUseCase.js';
+import { BulkUpdateTransactionsUseCase } from '../../src/application/use-cases/bulk/BulkUpdateTransactionsUseCase.js';
+import { SuggestCategoryUseCase } from '../../src/application/use-cases/suggestions/SuggestCategoryUseCase.js';
+import { RelearnTransactionsUseCase } from '../../src/application/use-cases/suggestions/RelearnTransactionsUseCase.js';
+import { InMemoryCategoryModelRepository } from '../../src/infrastructure/memory/InMemoryCategoryModelRepository.js';
+import { createMemoryRepositories, createTransactionUseCase } from '../helpers/memory.js';
+
+const USER_ID = 'usuario-teste';
+
+let suggest;
+let updateTransaction;
+let bulkUpdate;
+let transport;
+let leisure;
+let transactions;
+
+const suggestedFor = async (description) => {
+  const result = await suggest.execute(USER_ID, { type: 'expense', description, amount: 30 });
+
+  assert.equal(result.success, true, result.errors && result.errors.join(', '));
+  return result;
+};
+
+describe('SuggestCategoryUseCase', () => {
+  beforeEach(async () => {
+    const repositories = createMemoryRepositories();
+    const { transactionRepository, categoryRepository, accountRepository } = repositories;
+    const categoryModelRepository = new InMemoryCategoryModelRepository(repositories.store);
+    const relearn = new RelearnTransactionsUseCase(categoryModelRepository);
+    const createCategory = new CreateCategoryUseCase(categoryRepository);
+    const createTransaction = createTransactionUseCase(repositories);
+
+    suggest = new SuggestCategoryUseCase(categoryModelRepository, transactionRepository, categoryRepository);
+    updateTransaction = new UpdateTransactionUseCase(transactionRepository, categoryRepository, accountRepository, null, relearn);
+    bulkUpdate = new BulkUpdateTransactionsUseCase(transactionRepository, categoryRepository, relearn);
+
+    await accountRepository.create(new Account({ userId: USER_ID, name: 'Conta Corrente', type: 'checking' }));
+    transport = (await createCategory.execute({ userId: USER_ID, name: 'Transporte', type: 'expense' })).category;
+    leisure = (await createCategory.execute({ userId: USER_ID, name: 'Lazer', type: 'expense' })).category;
+    transactions = [];
+
+    for (let day = 1; day <= 5; day++) {
+      const result = await createTransaction.execute({
+        userId: USER_ID,
+        type: 'expense',
+        categoryId: transport.id,
+        amount: 30,
+        description: 'Uber viagem',
+        date: new Date(2026, 2, day),
+        allowDuplicate: true
+      });
+
+      assert.equal(result.success, true, result.errors && result.errors.join(', '));
+      transactions.push(result.transaction);
+    }
+  });
+
+  it('aprende o histórico uma vez e depois só as transações novas', async () => {
+    const first = await suggestedFor('Uber');
+
+    assert.equal(first.suggestions[0].categoryId, Number(transport.id));
+    assert.equal(first.model.documentCount, 5);
+
+    const again = await suggestedFor('Uber');
+
+    assert.equal(again.model.documentCount, 5);
+  });
+
+  it('reaprende as transações recategorizadas em lote', async () => {
+    await suggestedFor('Uber');
+
+    const result = await bulkUpdate.execute(USER_ID, { transactionIds: transactions.map(t => t.id) }, { categoryId: leisure.id });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+
+    const after = await suggestedFor('Uber');
+
+    assert.equal(after.suggestions[0].categoryId, Number(leisure.id));
+    assert.equal(after.model.documentCount, 5);
+    assert.equal(after.model.categories[String(transport.id)], undefined);
+  });
+
+  it('reaprende a transação editada', async () => {
+    await suggestedFor('Uber');
+
+    const result = await updateTransaction.execute({
+      id: transactions[0].id,
+      userId: USER_ID,
+      data: { categoryId: leisure.id, description: 'Cinema' }
+    });
+
+    assert.equal(result.success, true, result.errors && result.errors.join(', '));
+
+    const after = await suggestedFor('Cinema');
+
+    assert.equal(after.model.documentCount, 5);
+    assert.equal(after.model.categories[String(transport.id)].documents, 4);
+    assert.equal(after.suggestions[0].categoryId, Number(leisure.id));
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { GenerateTagReportUseCase } from '../../src/application/use-cases/reports/GenerateTagReportUseCase.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const PERIOD = { period: 'custom', startDate: new Date('2026-03-01T00:00:00'), endDate: new Date('2026-03-31T23:59:59') };
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+const generateTagReport = new GenerateTagReportUseCase(transactionRepository);
+
+describe('Tags', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+
+    const accountId = await insertAccount(database, USER_ID);
+    const categoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Viagem', 'expense') RETURNING id", [USER_ID]
+    )).rows[0].id;
+    const create = (data) => transactionRepository.create(new Transaction({
+      userId: USER_ID, type: 'expense', categoryId, accountId, date: new Date('2026-03-10T12:00:00'), ...data
+    }));
+
+    await create({ amount: 600, description: 'Passagem', tags: ['#Viagem 2026', 'reembolsável'] });
+    await create({ amount: 300, description: 'Hotel', tags: ['viagem-2026'] });
+    await create({ amount: 100, description: 'Farmácia' });
+    await create({ amount: 50, description: 'Táxi previsto', tags: ['viagem-2026'], status: 'planned', date: new Date('2026-03-30T12:00:00') });
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  it('grava os nomes normalizados e sem repetir a tag', async () => {
+    const [passagem] = await transactionRepository.findByFilters({ userId: USER_ID, search: 'Passagem', limit: null });
+
+    assert.deepEqual(passagem.tags.sort(), ['reembolsável', 'viagem-2026']);
+    assert.equal((await database.query('SELECT COUNT(*) as count FROM tags WHERE user_id = $1', [USER_ID])).rows[0].count, 2);
+  });
+
+  it('filtra a listagem pela tag, do jeito que ela foi digitada', async () => {
+    const tagged = await transactionRepository.findByFilters({ userId: USER_ID, tag: '#Viagem 2026', includePlanned: false, limit: null });
+
+    assert.deepEqual(tagged.map(transaction => transaction.description).sort(), ['Hotel', 'Passagem']);
+    assert.equal(await transactionRepository.count(USER_ID, { tag: 'viagem-2026', includePlanned: false }), 2);
+  });
+
+  it('totaliza as despesas por tag, com as sem tag à parte', async () => {
+    const report = await generateTagReport.execute(USER_ID, PERIOD);
+    const byTag = Object.fromEntries(report.data.tags.map(tag => [tag.name, [tag.total, tag.count, tag.percentage]]));
+
+    assert.deepEqual(byTag, {
+      'viagem-2026': [900, 2, 90],
+      'reembolsável': [600, 1, 60]
+    });
+    assert.deepEqual(report.data.untagged, { total: 100, count: 1 });
+    assert.equal(report.summary.totalExpense, 1000);
+    assert.equal(report.summary.taggedTotal, 900);
+  });
+});
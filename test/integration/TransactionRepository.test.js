@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction } from '../../src/domain/entities/Transaction.js';
+import { TransactionRepository } from '../../src/infrastructure/database/TransactionRepository.js';
+import { createTempDatabase, migrate, removeTempDatabase, insertUser, insertAccount } from '../helpers/sqlite.js';
+
+const USER_ID = 'usuario-teste';
+const temp = createTempDatabase();
+const { database } = temp;
+const transactionRepository = new TransactionRepository(database);
+
+let accountId;
+let categoryId;
+let payeeId;
+
+const create = (data) => transactionRepository.create(new Transaction({
+  userId: USER_ID, type: 'expense', categoryId, accountId, amount: 50, date: new Date('2026-03-10T12:00:00'), ...data
+}));
+
+describe('TransactionRepository (SQLite)', () => {
+  before(async () => {
+    await migrate(database);
+    await insertUser(database, USER_ID);
+    accountId = await insertAccount(database, USER_ID);
+    categoryId = (await database.query(
+      "INSERT INTO categories (user_id, name, type) VALUES ($1, 'Mercado', 'expense') RETURNING id", [USER_ID]
+    )).rows[0].id;
+    payeeId = (await database.query(
+      "INSERT INTO payees (user_id, name) VALUES ($1, 'Padaria Central') RETURNING id", [USER_ID]
+    )).rows[0].id;
+
+    await create({ description: 'Pão', payeeId, tags: ['casa'] });
+    await create({ description: 'Feira', amount: 120, tags: ['casa', 'feira'] });
+    await create({ description: 'Aluguel', status: 'planned', date: new Date('2026-04-05T12:00:00') });
+    await create({ type: 'income', categoryId: null, description: 'Salário', amount: 3000 });
+  });
+
+  after(async () => {
+    await removeTempDatabase(temp);
+  });
+
+  describe('count', () => {
+    it('conta com os mesmos filtros da listagem', async () => {
+      const filterSets = [
+        {},
+        { type: 'expense' },
+        { tag: 'casa' },
+        { tag: 'feira' },
+        { payeeId },
+        { status: 'planned' },
+        { includePlanned: false },
+        { uncategorized: true },
+        { categoryId },
+        { minAmount: 100 },
+        { search: 'feir' },
+        { startDate: new Date('2026-04-01T00:00:00') }
+      ];
+
+      for (const filters of filterSets) {
+        const listed = await transactionRepository.findByFilters({ ...filters, userId: USER_ID, limit: null });
+        const counted = await transactionRepository.count(USER_ID, filters);
+
+        assert.equal(counted, listed.length, JSON.stringify(filters));
+      }
+
+      assert.equal(await transactionRepository.count(USER_ID, { tag: 'casa', includePlanned: false }), 2);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AttachmentStorageService } from '../../src/infrastructure/services/AttachmentStorageService.js';
+
+const NOW = new Date(2026, 2, 10, 12, 0, 0);
+const DAY = 24 * 60 * 60 * 1000;
+
+const storage = new AttachmentStorageService({
+  baseDir: 'anexos-teste',
+  secret: 'chave-de-teste',
+  publicUrl: 'http://financas.local/',
+  linkDays: 7
+});
+
+const attachment = { id: 42, userId: 'usuario-teste' };
+
+// Parâmetros do link, como o servidor web os recebe
+const parseLink = (link) => {
+  const url = new URL(link);
+
+  return {
+    attachmentId: url.pathname.split('/').pop(),
+    userId: url.searchParams.get('user'),
+    expires: url.searchParams.get('expires'),
+    token: url.searchParams.get('token')
+  };
+};
+
+const verify = ({ attachmentId, userId, expires, token }, now = NOW) =>
+  storage.verifyLink(attachmentId, userId, expires, token, now);
+
+describe('AttachmentStorageService', () => {
+  describe('createLink / verifyLink', () => {
+    it('aceita o link do dono dentro da validade', () => {
+      const link = storage.createLink(attachment, NOW);
+      const params = parseLink(link);
+
+      assert.ok(link.startsWith('http://financas.local/attachments/42?'));
+      assert.equal(params.userId, 'usuario-teste');
+      assert.equal(Number(params.expires) * 1000, NOW.getTime() + 7 * DAY);
+      assert.equal(verify(params), true);
+      assert.equal(verify(params, new Date(NOW.getTime() + 7 * DAY - 1000)), true);
+    });
+
+    it('recusa o link expirado', () => {
+      const params = parseLink(storage.createLink(attachment, NOW));
+
+      assert.equal(verify(params, new Date(NOW.getTime() + 7 * DAY)), false);
+      assert.equal(verify(params, new Date(NOW.getTime() + 30 * DAY)), false);
+    });
+
+    it('recusa o token adulterado', () => {
+      const params = parseLink(storage.createLink(attachment, NOW));
+      const last = params.token.slice(-1) === '0' ? '1' : '0';
+
+      assert.equal(verify({ ...params, token: params.token.slice(0, -1) + last }), false);
+      assert.equal(verify({ ...params, token: params.token.slice(0, -1) }), false);
+      assert.equal(verify({ ...params, token: '' }), false);
+      assert.equal(verify({ ...params, token: undefined }), false);
+    });
+
+    it('recusa a validade estendida sem nova assinatura', () => {
+      const params = parseLink(storage.createLink(attachment, NOW));
+
+      assert.equal(verify({ ...params, expires: String(Number(params.expires) + 30 * 24 * 60 * 60) }), false);
+    });
+
+    it('recusa o link usado por outro usuário ou para outro anexo', () => {
+      const params = parseLink(storage.createLink(attachment, NOW));
+
+      assert.equal(verify({ ...params, userId: 'outro-usuario' }), false);
+      assert.equal(verify({ ...params, userId: '' }), false);
+      assert.equal(verify({ ...params, attachmentId: '43' }), false);
+    });
+
+    it('recusa o link assinado com outra chave', () => {
+      const other = new AttachmentStorageService({ baseDir: 'anexos-teste', secret: 'outra-chave', linkDays: 7 });
+      const params = parseLink(other.createLink(attachment, NOW));
+
+      assert.equal(verify(params), false);
+    });
+
+    it('não cria nem aceita links sem chave configurada', () => {
+      const previous = process.env.ATTACHMENTS_SECRET;
+      delete process.env.ATTACHMENTS_SECRET;
+
+      try {
+        const unsigned = new AttachmentStorageService({ baseDir: 'anexos-teste' });
+        const params = parseLink(storage.createLink(attachment, NOW));
+
+        assert.equal(unsigned.createLink(attachment, NOW), null);
+        assert.equal(unsigned.verifyLink(params.attachmentId, params.userId, params.expires, params.token, NOW), false);
+      } finally {
+        if (previous !== undefined) {
+          process.env.ATTACHMENTS_SECRET = previous;
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { ImportProfile } from '../../src/domain/entities/ImportProfile.js';
+
+const fixture = name => fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+
+const profile = new ImportProfile({
+  name: 'Banco',
+  delimiter: ';',
+  dateFormat: 'dd/mm/yyyy',
+  decimalSeparator: ',',
+  columns: { date: 0, description: 1, amount: 2 }
+});
+
+describe('ImportProfile', () => {
+  it('converte os valores no formato brasileiro', () => {
+    assert.equal(profile.parseAmount('1.234,56'), 1234.56);
+    assert.equal(profile.parseAmount('(10,00)'), -10);
+    assert.equal(profile.parseAmount('99,90 D'), -99.9);
+    assert.equal(profile.parseAmount('99,90 C'), 99.9);
+    assert.equal(profile.parseAmount('R$ -1.234,56'), -1234.56);
+    assert.equal(profile.parseAmount('50,00-'), -50);
+    assert.equal(profile.parseAmount('dez reais'), null);
+  });
+
+  it('converte os valores com ponto decimal', () => {
+    const dotted = new ImportProfile({ name: 'Planilha', decimalSeparator: '.' });
+
+    assert.equal(dotted.parseAmount('1,234.56'), 1234.56);
+    assert.equal(dotted.parseAmount('(10.00)'), -10);
+  });
+
+  it('recusa datas que não existem', () => {
+    assert.deepEqual(profile.parseDate('29/02/2024'), new Date(2024, 1, 29));
+    assert.equal(profile.parseDate('31/02/2024'), null);
+    assert.equal(profile.parseDate('29/02/2023'), null);
+    assert.equal(profile.parseDate('2024-01-05'), null);
+  });
+
+  it('lê as linhas do CSV com o perfil', () => {
+    const rows = profile.getDataRows(ImportProfile.parseCsv(fixture('extrato-banco.csv'), profile.delimiter));
+    const [salary, fee, market, invalid] = rows.map(row => profile.parseRow(row.cells));
+
+    assert.deepEqual(salary, {
+      transaction: {
+        type: 'income',
+        amount: 1234.56,
+        date: new Date(2024, 0, 5),
+        description: 'Salário',
+        categoryName: null
+      },
+      errors: []
+    });
+    assert.equal(fee.transaction.type, 'expense');
+    assert.equal(fee.transaction.amount, 10);
+    assert.equal(market.transaction.type, 'expense');
+    assert.equal(market.transaction.amount, 99.9);
+
+    assert.equal(invalid.transaction.date, null);
+    assert.deepEqual(invalid.errors, ['Data inválida: "31/02/2024" (formato DD/MM/AAAA)']);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { OfxStatement } from '../../src/domain/entities/OfxStatement.js';
+
+const fixture = name => fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('OfxStatement', () => {
+  it('lê o extrato OFX 1.x (SGML, campos sem fechamento)', () => {
+    const statement = OfxStatement.parse(fixture('extrato-sgml.ofx'));
+
+    assert.equal(statement.bankId, '0341');
+    assert.equal(statement.accountNumber, '12345-6');
+    assert.equal(statement.isCreditCard, false);
+    assert.equal(statement.currency, 'BRL');
+    assert.equal(statement.balance, 2175.54);
+    assert.deepEqual(statement.startDate, new Date(2024, 0, 1));
+    assert.deepEqual(statement.endDate, new Date(2024, 0, 31));
+
+    assert.deepEqual(statement.entries.map(entry => [entry.fitId, entry.type, entry.amount]), [
+      ['20240105001', 'income', 3500],
+      ['20240110002', 'expense', 1234.56],
+      ['20240115003', 'expense', 89.9]
+    ]);
+    assert.deepEqual(statement.entries[0].date, new Date(2024, 0, 5));
+    assert.equal(statement.entries[1].description, 'ALUGUEL - PAGTO BOLETO & TAXA');
+    assert.ok(statement.entries.every(entry => entry.errors.length === 0));
+  });
+
+  it('lê o extrato OFX 2.x (XML) de cartão de crédito', () => {
+    const statement = OfxStatement.parse(fixture('extrato-xml.ofx'));
+
+    assert.equal(statement.bankId, null);
+    assert.equal(statement.accountNumber, '5555********1234');
+    assert.equal(statement.isCreditCard, true);
+    assert.equal(statement.balance, -165);
+
+    const [bakery, fuel, refund] = statement.entries;
+
+    assert.equal(bakery.description, 'Padaria Pão & Cia');
+    assert.equal(bakery.type, 'expense');
+    assert.equal(bakery.amount, 45);
+
+    // Débito com valor positivo continua sendo despesa
+    assert.equal(fuel.type, 'expense');
+    assert.equal(fuel.amount, 120);
+    assert.equal(fuel.description, 'Posto Estrada Combustível');
+
+    // 30/02 não existe
+    assert.equal(refund.date, null);
+    assert.deepEqual(refund.errors, ['Data inválida: "20240230"']);
+  });
+
+  it('recusa arquivo sem a tag <OFX> ou sem extrato', () => {
+    assert.throws(() => OfxStatement.parse('Data;Valor\n01/01/2024;10,00'), /tag <OFX> não foi encontrada/);
+    assert.throws(() => OfxStatement.parse('<OFX><SIGNONMSGSRSV1></SIGNONMSGSRSV1></OFX>'), /Nenhum extrato/);
+  });
+
+  it('converte os valores com ponto ou vírgula decimal', () => {
+    assert.equal(OfxStatement.parseAmount('-89.90'), -89.9);
+    assert.equal(OfxStatement.parseAmount('1,234.56'), 1234.56);
+    assert.equal(OfxStatement.parseAmount('-1.234,56'), -1234.56);
+    assert.equal(OfxStatement.parseAmount('abc'), null);
+  });
+});
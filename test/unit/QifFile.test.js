@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { QifFile } from '../../src/domain/entities/QifFile.js';
+
+const fixture = name => fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('QifFile', () => {
+  it('lê as categorias "Pai:Filho" do arquivo QIF', () => {
+    const qif = QifFile.parse(fixture('contas.qif'));
+    const [rent, market, transfer] = qif.entries;
+
+    assert.equal(qif.dateFormat, 'dd/mm/yyyy');
+    assert.deepEqual(qif.getAccountNames(), ['Conta Corrente']);
+
+    assert.deepEqual(rent.category, { path: ['Moradia', 'Aluguel'], transferAccount: null });
+    assert.deepEqual(rent.date, new Date(2024, 0, 15));
+    assert.equal(rent.type, 'expense');
+    assert.equal(rent.amount, 1250);
+    assert.equal(rent.cleared, true);
+
+    // A classe depois da barra é descartada
+    assert.deepEqual(market.category, { path: ['Alimentação', 'Supermercado'], transferAccount: null });
+
+    // [Conta] é transferência, não categoria
+    assert.deepEqual(transfer.category, { path: null, transferAccount: 'Poupança' });
+  });
+
+  it('lê as categorias "Pai:Filho" das divisões', () => {
+    const split = QifFile.parse(fixture('contas.qif')).entries[3];
+
+    assert.equal(split.category.path, null);
+    assert.deepEqual(split.splits, [
+      { category: { path: ['Saúde', 'Farmácia'], transferAccount: null }, amount: -150, memo: 'Remédios' },
+      { category: { path: ['Alimentação', 'Padaria'], transferAccount: null }, amount: -50, memo: '' }
+    ]);
+  });
+
+  it('gera "Pai:Filho" ao exportar e lê de volta', () => {
+    const text = QifFile.serialize([{
+      name: 'Conta Corrente',
+      accountType: 'Bank',
+      transactions: [{ date: new Date(2024, 0, 15), amount: -1250, payee: 'Imobiliária', category: 'Moradia:Aluguel' }]
+    }]);
+
+    assert.match(text, /^LMoradia:Aluguel$/m);
+    assert.deepEqual(QifFile.parse(text).entries[0].category.path, ['Moradia', 'Aluguel']);
+  });
+
+  it('recusa arquivo sem o cabeçalho !Type', () => {
+    assert.throws(() => QifFile.parse('D15/01/2024\nT-10,00\n^'), /!Type não foi encontrado/);
+  });
+});
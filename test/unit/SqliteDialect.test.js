@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SqliteDialect } from '../../src/infrastructure/database/SqliteDialect.js';
+
+const sqlOf = (text) => SqliteDialect.translate(text).sql;
+
+describe('SqliteDialect', () => {
+  describe('translate', () => {
+    it('troca os parâmetros posicionais por nomeados', () => {
+      const { sql, params } = SqliteDialect.translate(
+        'SELECT * FROM transactions WHERE user_id = $1 AND amount > $2 AND id <> $10',
+        ['usuario', 50, undefined, null, true, false, 'a', 'b', 'c', 7]
+      );
+
+      assert.equal(sql, 'SELECT * FROM transactions WHERE user_id = @p1 AND amount > @p2 AND id <> @p10');
+      assert.deepEqual(params, {
+        p1: 'usuario', p2: 50, p3: null, p4: null, p5: 1, p6: 0, p7: 'a', p8: 'b', p9: 'c', p10: 7
+      });
+    });
+
+    it('grava datas no horário local, só o dia quando é meia-noite', () => {
+      const { params } = SqliteDialect.translate('SELECT $1, $2', [
+        new Date(2026, 2, 5),
+        new Date(2026, 2, 5, 14, 7, 9)
+      ]);
+
+      assert.deepEqual(params, { p1: '2026-03-05', p2: '2026-03-05 14:07:09' });
+    });
+
+    it('trunca o horário nos casts para date e remove os demais casts', () => {
+      assert.equal(sqlOf('WHERE t.date >= $1::date AND t.amount::numeric > $2::int'), 'WHERE t.date >= date(@p1) AND t.amount > @p2');
+    });
+
+    it('traduz as datas correntes e os intervalos', () => {
+      assert.equal(sqlOf('SET updated_at = NOW()'), 'SET updated_at = datetime(\'now\', \'localtime\')');
+      assert.equal(sqlOf('WHERE created_at < CURRENT_TIMESTAMP'), 'WHERE created_at < datetime(\'now\', \'localtime\')');
+      assert.equal(
+        sqlOf('WHERE date >= CURRENT_DATE - INTERVAL \'5 months\''),
+        'WHERE date >= date(\'now\', \'localtime\', \'-5 months\')'
+      );
+      assert.equal(sqlOf('WHERE t.date >= r.end_date - INTERVAL \'3 days\''), 'WHERE t.date >= date(r.end_date, \'-3 days\')');
+      assert.equal(sqlOf('WHERE date <= CURRENT_DATE'), 'WHERE date <= date(\'now\', \'localtime\')');
+    });
+
+    it('traduz EXTRACT, inclusive a diferença em dias', () => {
+      assert.equal(sqlOf('EXTRACT(MONTH FROM t.date)'), 'extract(\'MONTH\', t.date)');
+      assert.equal(
+        sqlOf('EXTRACT(DAY FROM (b.end_date - b.start_date))'),
+        'CAST(julianday(b.end_date) - julianday(b.start_date) AS INTEGER)'
+      );
+    });
+
+    it('traduz OVERLAPS para intervalos semiabertos', () => {
+      assert.equal(
+        sqlOf('WHERE (b.start_date, b.end_date) OVERLAPS ($1, $2)'),
+        'WHERE (b.start_date < @p2 AND @p1 < b.end_date)'
+      );
+      assert.equal(
+        sqlOf('WHERE (start_date, date(end_date)) OVERLAPS ($1, $2)'),
+        'WHERE (start_date < @p2 AND @p1 < date(end_date))'
+      );
+    });
+
+    it('traduz a mediana, ILIKE e o alias "exists"', () => {
+      assert.equal(
+        sqlOf('SELECT PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY t.amount) AS median'),
+        'SELECT percentile_cont(0.5, t.amount) AS median'
+      );
+      assert.equal(sqlOf('WHERE description ILIKE $1'), 'WHERE description LIKE @p1');
+      assert.equal(sqlOf('SELECT EXISTS (SELECT 1) as exists'), 'SELECT EXISTS (SELECT 1) AS "exists"');
+    });
+  });
+
+  describe('parseDate', () => {
+    it('lê datas e horários no horário local', () => {
+      assert.deepEqual(SqliteDialect.parseDate('2026-03-05'), new Date(2026, 2, 5));
+      assert.deepEqual(SqliteDialect.parseDate('2026-03-05 14:07:09'), new Date(2026, 2, 5, 14, 7, 9));
+      assert.deepEqual(SqliteDialect.parseDate('2026-03-05T14:07:09'), new Date(2026, 2, 5, 14, 7, 9));
+    });
+
+    it('devolve como está o que não é data', () => {
+      assert.equal(SqliteDialect.parseDate('Mercado'), 'Mercado');
+    });
+  });
+});